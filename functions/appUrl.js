@@ -0,0 +1,35 @@
+/**
+ * ============================================
+ * appUrl.js - メールに載せるアプリのURL
+ * ============================================
+ *
+ * Cloud Functions が作るメール（マイ予約のログイン用リンク・カレンダーの .ics の説明）に載せる、
+ * アプリのURLを組み立てる関数群です。
+ *
+ * なぜ画面から受け取らないか：
+ * - 別のサイトのURLを渡されると、リンクのトークン（ログイン用リンク・cancelToken）を盗まれてしまうため
+ *   （アプリのURLは functions/.env の APP_BASE_URL で決める）
+ */
+
+// アプリのURL（末尾の / は除く）
+export const APP_BASE_URL = String(process.env.APP_BASE_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+/**
+ * キャンセル用URLを組み立てる関数（画面の src/utils/mailRequests.js の buildCancelUrl と同じ形）
+ *
+ * @param {string} cancelToken - 予約のcancelToken
+ * @returns {string} 例：https://example.com/cancel?token=abc...
+ */
+export function buildCancelUrl(cancelToken) {
+  return `${APP_BASE_URL}/cancel?token=${cancelToken}`;
+}
+
+/**
+ * お支払いページのURLを組み立てる関数（予約ページがお支払い待ちの予約で開くURLと同じ形）
+ *
+ * @param {string} cancelToken - 予約のcancelToken
+ * @returns {string} 例：https://example.com/payment?token=abc...
+ */
+export function buildPaymentUrl(cancelToken) {
+  return `${APP_BASE_URL}/payment?token=${cancelToken}`;
+}
@@ -0,0 +1,141 @@
+/**
+ * ============================================
+ * bookingData.js - 予約・キャンセル待ち・抽選の申込のデータを作る（Cloud Functions 側）
+ * ============================================
+ *
+ * 予約ページ・カートページから受け取った入力（予約者・券種ごとの枚数・回答など）を確認し、
+ * 公演・ステージ・劇団のデータと合わせて、予約（キャンセル待ち・抽選の申込）に保存するデータを作ります。
+ *
+ * 【画面から受け取る値】（これ以外の項目は受け取らない）
+ * - customer: { name, email, note } 予約者の情報
+ * - ticketQuantities: { [券種ID]: 枚数 } 券種ごとの枚数
+ * - answers: { [質問ID]: 回答 } 追加質問への回答
+ * - accessibility: 配慮のご要望（車椅子スペース・同伴者席など）
+ *
+ * なぜ券種の名前・料金・公演名などを画面から受け取らないか：
+ * - 画面の値をそのまま保存すると、料金を0円に書き換えたり、席を使わない券種に見せかけたりして
+ *   人数・席数・金額の制限をすり抜けられてしまうため
+ * - 券種の内訳・合計金額・人数は、ここで公演の券種（performances.ticketTypes）から作り直す
+ */
+
+import { HttpsError } from "firebase-functions/v2/https";
+import { getTicketTypes, buildTicketBreakdown, getReservationSubtotalPrice, getReservationAttendeeCount } from "./shared/ticketUtils.js";
+import { getFormQuestions, validateAnswers, buildReservationAnswers } from "./shared/formQuestionUtils.js";
+import { normalizeAccessibilityRequest } from "./shared/accessibilityUtils.js";
+import { getEmailKey } from "./shared/reservationLimitUtils.js";
+
+// 予約者の情報の文字数の上限
+const MAX_NAME_LENGTH = 100;
+const MAX_EMAIL_LENGTH = 254; // メールアドレスとして使える長さの上限
+const MAX_NOTE_LENGTH = 1000;
+
+// メールアドレスの形（「@」の前後に文字があり、ドメインに「.」を含む）
+// なぜ厳密に確認しないか：実際に使われているアドレスを弾かないため（届くかどうかは送信で分かる）
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * 画面から受け取った予約者の情報を確認し、保存する形にそろえる関数
+ *
+ * @param {Object} input - 画面から受け取った値（{ name, email, note }）
+ * @returns {Promise<{ name: string, email: string, note: string, emailKey: string }>}
+ *   前後の空白を除いた値と、メールアドレスのハッシュ値（reservationLimitUtils の getEmailKey）
+ *
+ * エラー：
+ * - 氏名・メールアドレスが無い、形が正しくない、長すぎる場合は HttpsError（invalid-argument）
+ */
+export async function normalizeCustomer(input) {
+  const name = String(input?.name || "").trim();
+  const email = String(input?.email || "").trim();
+  const note = String(input?.note || "").trim();
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    throw new HttpsError("invalid-argument", `氏名を${MAX_NAME_LENGTH}文字以内で入力してください。`);
+  }
+  if (email.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(email)) {
+    throw new HttpsError("invalid-argument", "メールアドレスを正しく入力してください。");
+  }
+  if (note.length > MAX_NOTE_LENGTH) {
+    throw new HttpsError("invalid-argument", `備考は${MAX_NOTE_LENGTH}文字以内で入力してください。`);
+  }
+  return { name, email, note, emailKey: await getEmailKey(email) };
+}
+
+/**
+ * 予約・キャンセル待ち・抽選の申込に保存するデータを作る関数
+ *
+ * @param {Object} params
+ * @param {string} params.performanceId - 公演ID
+ * @param {Object} params.performance - 公演データ（トランザクション内で読んだもの）
+ * @param {Object|null} params.troupe - 劇団データ（troupes/{troupeId}。劇団名に使う）
+ * @param {Object} params.customer - normalizeCustomer でそろえた予約者の情報
+ * @param {Object} params.ticketQuantities - 画面から受け取った券種ごとの枚数
+ * @param {Object} params.answers - 画面から受け取った追加質問への回答（{ [質問ID]: 回答 }）
+ * @param {Object} params.accessibility - 画面から受け取った配慮のご要望
+ * @returns {Object} 公演・予約者・券種の内訳の情報（ステージの情報は含まない）
+ *   { performanceId, troupeId, performanceTitle, troupeName, venue, address, prefecture, region,
+ *     tickets, totalPrice, people, answers, accessibility?, name, email, note, emailKey }
+ *
+ * エラー：
+ * - 枚数が0枚、または追加質問の回答が足りない・選択肢に無い場合は HttpsError（invalid-argument）
+ *
+ * 注意：totalPrice は割引前の金額（割引コードは呼び出し側で確認して上書きする）
+ */
+export function buildBookingData({ performanceId, performance, troupe, customer, ticketQuantities, answers, accessibility }) {
+  const tickets = buildTicketBreakdown(getTicketTypes(performance), ticketQuantities);
+  if (getReservationAttendeeCount({ tickets }) < 1) {
+    throw new HttpsError("invalid-argument", "枚数を1枚以上選択してください。");
+  }
+
+  const formQuestions = getFormQuestions(performance);
+  const answerValues = answers && typeof answers === "object" ? answers : {};
+  const answersError = validateAnswers(formQuestions, answerValues);
+  if (answersError) {
+    throw new HttpsError("invalid-argument", answersError);
+  }
+
+  const accessibilityRequest = normalizeAccessibilityRequest(accessibility);
+
+  return {
+    // 公演の情報（検索・表示用）
+    performanceId,
+    troupeId: performance.troupeId || "",
+    performanceTitle: performance.title || "",
+    troupeName: troupe?.troupeName || "",
+    venue: performance.venue || "",
+    address: performance.address || "",
+    prefecture: performance.prefecture || "",
+    region: performance.region || "",
+
+    // 券種の内訳（予約時点の券種名・料金を保存する）
+    tickets,
+    totalPrice: getReservationSubtotalPrice({ tickets }),
+    people: getReservationAttendeeCount({ tickets }),
+
+    // 追加質問への回答（予約時点の質問文と一緒に保存する）
+    answers: buildReservationAnswers(formQuestions, answerValues),
+
+    // 配慮のご要望（ご要望が無い場合は保存しない）
+    ...(accessibilityRequest ? { accessibility: accessibilityRequest } : {}),
+
+    // 予約者の情報
+    name: customer.name,
+    email: customer.email,
+    note: customer.note,
+    emailKey: customer.emailKey,
+  };
+}
+
+/**
+ * 予約に保存するステージの情報を作る関数
+ *
+ * @param {string|number} stageId - ステージID
+ * @param {Object} stage - ステージデータ
+ * @returns {{ stageId, stageDate: string, stageStart: string, stageEnd: string }}
+ */
+export function buildStageFields(stageId, stage) {
+  return {
+    stageId,
+    stageDate: stage.date || "",
+    stageStart: stage.start || "",
+    stageEnd: stage.end || "",
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * ============================================
+ * calendar.js - メールに添付するカレンダーのファイル（iCalendar / .ics）
+ * ============================================
+ *
+ * 予約の日時が決まる・変わる・取り消されるメールに、カレンダーに追加するファイル（.ics）を添付するための関数群です。
+ * ファイルの中身は、画面のダウンロード（src/utils/icsUtils.js）と同じ形にします。
+ *
+ * 【添付するメール】MAIL_CALENDAR_MODES
+ * - 予約確認・キャンセル待ちの繰り上げ・抽選の当選：予定を追加する
+ * - 予約変更・一部キャンセル：予定を最新の内容に更新する
+ * - キャンセル・ステージの中止：予定を取り消す（STATUS:CANCELLED）
+ *
+ * なぜ画面で作ったファイルを添付しないか：
+ * - mailQueue の添付ファイルをそのまま送ると、画面から好きなファイルを付けたメールを送れてしまうため
+ *   （送信する時点の予約データから、このファイルの関数だけが作る）
+ *
+ * 【予定の更新・取り消し】
+ * - UID は予約ごとに固定（予約番号から作る）。同じ UID のファイルを開くと、カレンダーの予定が置き換わる
+ * - SEQUENCE は予約の変更履歴（history）の件数。取り消しは履歴に残らないので +1 する
+ *   （送信する時点では、変更の履歴は保存済み）
+ */
+
+import { buildCancelUrl } from "./appUrl.js";
+import { getReservationAttendeeCount } from "./shared/ticketUtils.js";
+
+// 終了時刻が未設定のステージで使う上演時間（時間）
+const DEFAULT_EVENT_HOURS = 2;
+
+// 公演日時のタイムゾーン（日本時間）
+const STAGE_TIMEZONE_OFFSET = "+09:00";
+
+// UID のドメイン部分（src/utils/icsUtils.js と同じ値にする。違うと画面で追加した予定と別の予定になる）
+const EVENT_UID_DOMAIN = "theater-reservation-app";
+
+// 1行の最大の長さ（バイト数。RFC 5545 では75バイトを超える行は折り返す）
+const MAX_LINE_BYTES = 75;
+
+// メールの種類ごとの添付のしかた（ここに無い種類のメールには添付しない）
+const MAIL_CALENDAR_MODES = {
+  "reservation-confirm": { cancelled: false },
+  "waitlist-promoted": { cancelled: false },
+  "lottery-won": { cancelled: false },
+  "reservation-changed": { cancelled: false },
+  "reservation-partially-cancelled": { cancelled: false },
+  "reservation-cancelled": { cancelled: true },
+  "stage-cancelled": { cancelled: true },
+};
+
+/**
+ * 公演の日付と時刻を、iCalendar の日時（UTC）にする関数
+ *
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - "HH:mm"
+ * @param {number} [addHours] - 足す時間（終了時刻が無い場合に使う）
+ * @returns {string|null} 例："20251203T050000Z"（日時が正しくない場合はnull）
+ */
+function toIcsDateTime(date, time, addHours = 0) {
+  const millis = Date.parse(`${date}T${time}:00${STAGE_TIMEZONE_OFFSET}`);
+  if (Number.isNaN(millis)) {
+    return null;
+  }
+  return formatIcsTimestamp(new Date(millis + addHours * 60 * 60 * 1000));
+}
+
+/**
+ * Date を iCalendar の日時（UTC）にする関数
+ *
+ * @param {Date} date - 日時
+ * @returns {string} 例："20251203T050000Z"
+ */
+function formatIcsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * iCalendar の文字列の値をエスケープする関数
+ *
+ * @param {string} text - 文字列
+ * @returns {string} \ ; , 改行をエスケープした文字列
+ */
+function escapeIcsText(text) {
+  return String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * 75バイトを超える行を折り返す関数（日本語の1文字の途中では区切らない）
+ *
+ * @param {string} line - 1行（"SUMMARY:..." など）
+ * @returns {string} 折り返した行（続きの行は先頭が半角スペース）
+ */
+function foldLine(line) {
+  const lines = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // 続きの行は先頭の半角スペースの分だけ短くする
+    const limit = lines.length === 0 ? MAX_LINE_BYTES : MAX_LINE_BYTES - 1;
+    if (currentBytes + charBytes > limit) {
+      lines.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  lines.push(current);
+  return lines.join("\r\n ");
+}
+
+/**
+ * 予約した公演日時の .ics ファイルの中身を作る関数（src/utils/icsUtils.js の buildReservationIcs と同じ形）
+ *
+ * @param {Object} reservation - 予約データ
+ * @param {Object} options
+ * @param {boolean} options.cancelled - 取り消した予定として作るか
+ * @param {number} options.sequence - SEQUENCE
+ * @returns {string|null} .ics ファイルの中身（公演日時が無い・正しくない場合はnull）
+ */
+function buildReservationIcs(reservation, { cancelled, sequence }) {
+  const dtStart = toIcsDateTime(reservation.stageDate, reservation.stageStart || "00:00");
+  if (!dtStart) {
+    return null;
+  }
+  const dtEnd = reservation.stageEnd
+    ? toIcsDateTime(reservation.stageDate, reservation.stageEnd)
+    : toIcsDateTime(reservation.stageDate, reservation.stageStart || "00:00", DEFAULT_EVENT_HOURS);
+
+  const cancelUrl = reservation.cancelToken ? buildCancelUrl(reservation.cancelToken) : "";
+  const title = reservation.performanceTitle || "公演";
+  const description = [
+    reservation.troupeName ? `劇団：${reservation.troupeName}` : "",
+    reservation.confirmationCode ? `予約番号：${reservation.confirmationCode}` : "",
+    `人数：${getReservationAttendeeCount(reservation)}名`,
+    cancelled
+      ? "このご予約は取り消されました。"
+      : cancelUrl ? `キャンセル・変更はこちら：${cancelUrl}` : "",
+  ].filter(Boolean).join("\n");
+  const location = [reservation.venue, reservation.address].filter(Boolean).join(" ");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//theater-reservation-app//reservation//JA",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${reservation.confirmationCode || reservation.cancelToken}@${EVENT_UID_DOMAIN}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatIcsTimestamp(new Date())}`,
+    `DTSTART:${dtStart}`,
+    ...(dtEnd ? [`DTEND:${dtEnd}`] : []),
+    `SUMMARY:${escapeIcsText(cancelled ? `【中止・キャンセル】${title}` : title)}`,
+    ...(location ? [`LOCATION:${escapeIcsText(location)}`] : []),
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    ...(cancelUrl && !cancelled ? [`URL:${cancelUrl}`] : []),
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * メールに添付するカレンダーのファイルと、本文に加える案内を返す関数
+ *
+ * @param {string} mailType - mailQueue の type
+ * @param {Array<DocumentSnapshot>} reservationSnaps - メールに紐づく予約（送信する時点のデータ）
+ * @returns {{ attachments: Array<Object>, note: string }} 添付ファイル（nodemailer の形）と案内（添付しない場合は空）
+ *
+ * なぜ予約の今の状態と合わない場合は添付しないか：
+ * - 送り直しの間にキャンセルされた予約の確認メールで、取り消した予定をカレンダーに戻さないようにするため
+ */
+export function buildCalendarAttachments(mailType, reservationSnaps) {
+  const mode = MAIL_CALENDAR_MODES[mailType];
+  if (!mode) {
+    return { attachments: [], note: "" };
+  }
+
+  const attachments = reservationSnaps
+    .map((reservationSnap) => reservationSnap.data())
+    .filter((reservation) => (reservation.status === "cancelled") === mode.cancelled)
+    .map((reservation) => {
+      const content = buildReservationIcs(reservation, {
+        cancelled: mode.cancelled,
+        sequence: (reservation.history?.length || 0) + (mode.cancelled ? 1 : 0),
+      });
+      return content
+        ? {
+          filename: `reservation-${reservation.confirmationCode || reservation.stageDate || "event"}.ics`,
+          content,
+          contentType: "text/calendar; charset=utf-8; method=PUBLISH",
+        }
+        : null;
+    })
+    .filter(Boolean);
+  if (attachments.length === 0) {
+    return { attachments: [], note: "" };
+  }
+
+  const note = mode.cancelled
+    ? "※カレンダーの予定を取り消すためのファイル（.ics）を添付しています。追加済みの予定がある場合は、開くと取り消されます。"
+    : "※カレンダーに追加するためのファイル（.ics）を添付しています。追加済みの予定がある場合は、開くと最新の内容に更新されます。";
+  return { attachments, note };
+}
@@ -0,0 +1,50 @@
+/**
+ * ============================================
+ * callableErrors.js - 予約の関数のエラーを画面に返す形にする
+ * ============================================
+ *
+ * 予約・キャンセル待ち・抽選の申込の関数（reservations.js・waitlist.js・lottery.js）は、
+ * 画面のトランザクションから移したチェックの処理をそのまま使い、
+ * 「error.code にコード（例："reservation/sold-out"）を入れた Error」を投げます。
+ * このファイルの関数で、その Error を画面が受け取れる HttpsError に変えます。
+ *
+ * 【画面が受け取る形】
+ * - message: お客様に表示するメッセージ
+ * - details.code: エラーコード（functions/shared/reservationErrorCodes.js など）
+ * - details のその他の項目: error に付けた追加の情報（availableSeats・itemIndex など）
+ *   （画面側の callReservationFunction が、元の Error と同じ形に戻す）
+ */
+
+import { HttpsError } from "firebase-functions/v2/https";
+
+// 画面に返さない Error の項目
+const HIDDEN_ERROR_FIELDS = ["code", "message", "stack"];
+
+/**
+ * 関数の中で投げられたエラーを、画面に返す HttpsError にする関数
+ *
+ * @param {Error} error - 投げられたエラー
+ * @returns {HttpsError} 画面に返すエラー
+ *
+ * なぜコードの無いエラーは "internal" にするか：
+ * - Firestore の通信エラーなどの中身（内部の情報）を、お客様の画面に出さないため
+ *   （内容は Cloud Functions のログで確認する）
+ */
+export function toHttpsError(error) {
+  if (error instanceof HttpsError) {
+    return error;
+  }
+  if (typeof error?.code !== "string" || !error.code.includes("/")) {
+    console.error("予約の処理に失敗しました:", error);
+    return new HttpsError("internal", "予約の処理に失敗しました。しばらくしてからもう一度お試しください。");
+  }
+
+  const details = { code: error.code };
+  Object.entries(error).forEach(([key, value]) => {
+    if (!HIDDEN_ERROR_FIELDS.includes(key)) {
+      // 日時（キャンセルの締め切りなど）は、画面で Date に戻せるように文字列にする
+      details[key] = value instanceof Date ? value.toISOString() : value;
+    }
+  });
+  return new HttpsError("failed-precondition", error.message, details);
+}
@@ -0,0 +1,457 @@
+/**
+ * ============================================
+ * cancellations.js - 予約のキャンセル・お支払い待ちの取り消し・ステージの中止
+ * ============================================
+ *
+ * キャンセルページ・お支払いページ・予約ページ・劇団の予約一覧から呼ばれ、予約を取り消して在庫を戻し、
+ * 空いた席にキャンセル待ちを繰り上げる関数です（繰り上げは waitlistPromotions.js）。
+ * 在庫ドキュメントの項目と残席の数え方は、画面側の src/services/reservationService.js の説明と同じです。
+ *
+ * なぜ画面から直接書き込まず、この関数で取り消すか：
+ * - 取り消しでは在庫・割引コードの利用件数・キャンセル待ちから繰り上げた予約も書き込むため、
+ *   画面から行うとルールでそれらの書き込みを許可しなければならず、スクリプトから在庫を好きな値にできてしまうため
+ * - 予約の取り消しは、予約の cancelToken（キャンセル用リンクに含まれる）を知っている予約者本人か、
+ *   公演の劇団だけが行えるようにするため
+ *
+ * 【関数】（全て httpsCallable で呼ぶ）
+ * - cancelReservation({ reservationId, cancelToken, reason, reasonNote }) → { cancelled }
+ *     お客様のキャンセル（キャンセルページ）
+ * - releaseUnpaidReservation({ reservationId, cancelToken }) → { released }
+ *     お支払いをやめた場合の取り消し（お支払いページ）
+ * - expireUnpaidReservations({ performanceId, stageId }) → { releasedCount }
+ *     お支払いの期限が切れた予約の取り消し（予約ページ・劇団の予約一覧。期限を過ぎた予約だけを取り消す）
+ * - cancelStage({ performanceId, stageId }) → { cancelledCount }
+ *     劇団によるステージの中止（公演の劇団のアカウントでログインしていること）
+ *
+ * 【エラー】（HttpsError。details.code にエラーコード）
+ * - 予約が無い・cancelToken が違う場合は RESERVATION_ERROR_CODES.NOT_FOUND
+ * - キャンセルの締め切りを過ぎている場合は RESERVATION_ERROR_CODES.CANCEL_DEADLINE_PASSED（details.deadline）
+ * - 公演・ステージが無い場合は RESERVATION_ERROR_CODES.PERFORMANCE_NOT_FOUND / STAGE_NOT_FOUND
+ * - ステージの中止で、ログインしていない場合は unauthenticated、自分の公演でない場合は permission-denied
+ */
+
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { getFirestore, FieldValue } from "firebase-admin/firestore";
+import { findStageById, getStageKey } from "./shared/stageUtils.js";
+import { getReservationTickets, getReservationAttendeeCount } from "./shared/ticketUtils.js";
+import { getPromoCodeDocId } from "./shared/promoCodeUtils.js";
+import { getReservationDeadline, isBeforeDeadline, formatDateTime } from "./shared/deadlineUtils.js";
+import { CANCELLATION_TYPES, normalizeCancellationReason } from "./shared/cancellationUtils.js";
+import { PAYMENT_STATUSES, isPaymentPending, findExpiredPaymentIds } from "./shared/paymentUtils.js";
+import { REFUND_CAUSES, buildRefundFields } from "./shared/refundUtils.js";
+import { RESERVATION_ERROR_CODES } from "./shared/reservationErrorCodes.js";
+import { getStageInventoryRef, readStageInventory, releaseReservationFromInventory } from "./inventory.js";
+import { readWaitlistCandidates, writeInventoryWithPromotions } from "./waitlistPromotions.js";
+import { buildMailRequest, MAIL_TYPES } from "./mailRequests.js";
+import { toHttpsError } from "./callableErrors.js";
+
+/**
+ * 予約を読み、cancelToken が一致するかを確認する関数
+ *
+ * @param {DocumentSnapshot} reservationSnap - 予約のスナップショット
+ * @param {string} cancelToken - 画面から受け取った cancelToken
+ * @returns {Object} 予約データ
+ *
+ * エラー：予約が無い・cancelToken が違う場合は code = RESERVATION_ERROR_CODES.NOT_FOUND
+ *
+ * なぜ「無い」と「違う」を区別しないか：他の方の予約IDを探れないようにするため
+ * （お支払い・予約内容の変更の関数（payments.js・reservationChanges.js）も同じ確認に使う）
+ */
+export function readOwnReservation(reservationSnap, cancelToken) {
+  if (!cancelToken || !reservationSnap.exists || reservationSnap.data().cancelToken !== cancelToken) {
+    const error = new Error("予約が見つかりませんでした。");
+    error.code = RESERVATION_ERROR_CODES.NOT_FOUND;
+    throw error;
+  }
+  return reservationSnap.data();
+}
+
+/**
+ * 画面から受け取った公演・ステージの指定を確認する関数
+ *
+ * @param {Object} data - request.data
+ * @returns {{ performanceId: string, stageId: string|number }}
+ *
+ * エラー：公演・ステージの指定が無い場合は HttpsError（invalid-argument）
+ *
+ * なぜ stageId の数値をそのまま残すか：ステージIDの無い旧データの公演は、インデックス（数値）で在庫を持つため
+ */
+function normalizeStageTarget(data) {
+  const performanceId = typeof data.performanceId === "string" ? data.performanceId : "";
+  const stageId = typeof data.stageId === "number" || typeof data.stageId === "string" ? data.stageId : null;
+  if (!performanceId || stageId === null || stageId === "") {
+    throw new HttpsError("invalid-argument", "公演日時が指定されていません。");
+  }
+  return { performanceId, stageId };
+}
+
+/**
+ * キャンセル・変更の締め切り前かどうかを確認する関数
+ *
+ * @param {Object} performance - 公演データ
+ * @param {Object} stage - ステージデータ
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @param {string} code - 締め切り後の場合に投げるエラーコード
+ * @param {string} label - エラーメッセージに使う操作名（「キャンセル」「変更」）
+ *
+ * エラー：締め切りを過ぎている場合は code のエラー（error.deadline に締め切り日時）
+ */
+export function assertBeforeDeadline(performance, stage, now, code, label) {
+  const deadline = getReservationDeadline(performance, stage);
+  if (!isBeforeDeadline(deadline, new Date(now))) {
+    const error = new Error(`${label}の受付は${formatDateTime(deadline)}で締め切りました。`);
+    error.code = code;
+    error.deadline = deadline;
+    throw error;
+  }
+}
+
+/**
+ * キャンセル記録（cancellationLogs）のデータを作る関数
+ *
+ * @param {Object} reservation - キャンセルする前の予約データ
+ * @param {Object} params
+ * @param {string} params.reservationId - 予約のドキュメントID
+ * @param {string} params.type - CANCELLATION_TYPES.FULL | CANCELLATION_TYPES.PARTIAL
+ * @param {Array} params.cancelledTickets - キャンセルした券種の内訳
+ * @param {string} params.reason - キャンセル理由のID
+ * @param {string} params.reasonNote - 自由記入の理由
+ * @returns {Object} cancellationLogsに保存するデータ
+ */
+export function buildCancellationLog(reservation, { reservationId, type, cancelledTickets, reason, reasonNote }) {
+  return {
+    performanceId: reservation.performanceId,
+    troupeId: reservation.troupeId || "",
+    stageId: reservation.stageId,
+    stageDate: reservation.stageDate || "",
+    stageStart: reservation.stageStart || "",
+    reservationId,
+    name: reservation.name || "",
+    type,
+    cancelledTickets: cancelledTickets.map(({ typeId, name, quantity }) => ({ typeId, name, quantity })),
+    cancelledPeople: getReservationAttendeeCount({ tickets: cancelledTickets }),
+    reason,
+    reasonNote,
+    createdAt: FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * 予約を取り消すトランザクションの本体（このファイルの各関数から呼ぶ）
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {string} reservationId - 予約のドキュメントID
+ * @param {Object} options
+ * @param {string} [options.cancelToken] - 予約の cancelToken（お客様のキャンセル・お支払いをやめた場合）
+ * @param {string} [options.reason] - キャンセル理由のID
+ * @param {string} [options.reasonNote] - 自由記入の理由
+ * @param {boolean} [options.unpaidRelease] - お支払い待ちの予約を取り消す場合のみtrue
+ *   （cancelToken が無い場合は、期限を過ぎた予約だけを取り消す）
+ * @param {boolean} [options.stageCancellation] - 劇団がステージを中止した場合のみtrue（呼び出し側で劇団を確認済み）
+ * @returns {Promise<boolean>} 取り消した場合true（既に取り消し済み・取り消す必要が無い場合はfalse）
+ *
+ * 処理の流れ：
+ * 1. 予約・公演・在庫・キャンセル待ちの候補・割引コードを読む
+ * 2. 既にキャンセル済みなら何もしない（二重に在庫を戻さないため）
+ * 3. 予約を "cancelled" にし、空いた席にキャンセル待ちを登録順に繰り上げる
+ *    （事前決済でお支払い済みの予約は、返金ポリシーで計算した返金額と返金の状況も保存する）
+ * 4. 在庫の reservedSeats を「戻した人数 - 繰り上げた人数」分だけ更新する
+ *
+ * ステージの中止の場合：
+ * - キャンセルの締め切りを確認しない・キャンセル記録を残さない（お客様のキャンセルではないため）
+ * - キャンセル待ちを繰り上げない（中止したステージの席は、もう販売しないため）
+ * - お支払い済みの予約は全額を返金待ちにし、中止のお知らせメールを送る
+ *
+ * お支払い待ちの予約の取り消しの場合：
+ * - キャンセルの締め切りを確認しない（お支払いが無ければ、締め切り後でも席を空ける）
+ * - キャンセル記録を残さない（お客様が理由を選んだキャンセルではないため）
+ *
+ * なぜキャンセルと繰り上げを同じトランザクションで行うか：
+ * - 別々に行うと、空いた席を一般の予約とキャンセル待ちが同時に取り合い、
+ *   繰り上げた結果が席数上限を超えてしまうことがあるため
+ */
+async function runCancellation(db, reservationId, { cancelToken, reason, reasonNote, unpaidRelease = false, stageCancellation = false }) {
+  const reservationRef = db.collection("reservations").doc(reservationId);
+  const cancellationReason = normalizeCancellationReason({ reason, reasonNote });
+
+  return db.runTransaction(async (transaction) => {
+    // ============================================
+    // 読み取り（トランザクションでは書き込みより先に全て読む）
+    // ============================================
+    const reservationSnap = await transaction.get(reservationRef);
+    // お客様のキャンセル・お支払いをやめた場合は、cancelToken で予約者本人かを確認する
+    // （劇団によるステージの中止と、期限切れの取り消しでは確認しない）
+    if (!stageCancellation && !(unpaidRelease && !cancelToken)) {
+      readOwnReservation(reservationSnap, cancelToken);
+    }
+    if (!reservationSnap.exists) {
+      const error = new Error("予約が見つかりませんでした。");
+      error.code = RESERVATION_ERROR_CODES.NOT_FOUND;
+      throw error;
+    }
+    const reservation = reservationSnap.data();
+    if (reservation.status === "cancelled") {
+      return false;
+    }
+    const now = Date.now();
+    // お支払い済みの予約と、まだ期限前の予約（お客様がお支払いをやめた場合を除く）は取り消さない
+    if (
+      unpaidRelease &&
+      (!isPaymentPending(reservation) || (!cancelToken && (Number(reservation.paymentExpiresAt) || 0) > now))
+    ) {
+      return false;
+    }
+
+    const { performanceId, stageId, promoCode } = reservation;
+    const performanceSnap = await transaction.get(db.collection("performances").doc(performanceId));
+    const performance = performanceSnap.exists ? performanceSnap.data() : null;
+    const stock = await readStageInventory(transaction, db, performanceId, stageId);
+    const candidateSnaps = stageCancellation ? [] : await readWaitlistCandidates(transaction, db, performanceId, stageId);
+    // 割引コードを使った予約は、キャンセル時に利用件数を戻す
+    const promoCodeRef = promoCode ? db.collection("promoCodes").doc(getPromoCodeDocId(performanceId, promoCode)) : null;
+    const promoCodeSnap = promoCodeRef ? await transaction.get(promoCodeRef) : null;
+
+    // 締め切りのチェック（公演が削除されている場合は締め切りが分からないため確認しない）
+    // お支払い待ちの予約の取り消し・ステージの中止は、締め切り後でも行う（お支払いが無い予約で席を埋めたままにしないため）
+    if (performance && !unpaidRelease && !stageCancellation) {
+      assertBeforeDeadline(
+        performance,
+        findStageById(performance.stages, stageId),
+        now,
+        RESERVATION_ERROR_CODES.CANCEL_DEADLINE_PASSED,
+        "キャンセル"
+      );
+    }
+
+    // ============================================
+    // 書き込み
+    // ============================================
+    if (unpaidRelease) {
+      transaction.update(reservationRef, {
+        status: "cancelled",
+        cancelledAt: FieldValue.serverTimestamp(),
+        paymentStatus: cancelToken ? PAYMENT_STATUSES.CANCELLED : PAYMENT_STATUSES.EXPIRED,
+      });
+    } else if (stageCancellation) {
+      // お支払い待ちの予約は、お支払いを受け付けないように取りやめにする（返金は無い）
+      transaction.update(reservationRef, {
+        status: "cancelled",
+        cancelledAt: FieldValue.serverTimestamp(),
+        cancelledByTroupe: true,
+        ...(isPaymentPending(reservation) ? { paymentStatus: PAYMENT_STATUSES.CANCELLED } : {}),
+        ...buildRefundFields(performance, reservation, REFUND_CAUSES.STAGE_CANCELLED),
+      });
+      transaction.set(db.collection("mailQueue").doc(), buildMailRequest(MAIL_TYPES.STAGE_CANCELLED, { reservationId }));
+    } else {
+      // 事前決済でお支払い済みの予約は、キャンセルした時点の返金ポリシー（直前のキャンセルかどうか）で返金額を決める
+      transaction.update(reservationRef, {
+        status: "cancelled",
+        cancelledAt: FieldValue.serverTimestamp(),
+        cancellationReason: cancellationReason.reason,
+        cancellationReasonNote: cancellationReason.reasonNote,
+        ...buildRefundFields(performance, reservation, REFUND_CAUSES.CUSTOMER_CANCEL, new Date(now)),
+      });
+
+      // キャンセルの受付メール（カレンダーの予定を取り消すファイルを添付する）
+      transaction.set(db.collection("mailQueue").doc(), buildMailRequest(MAIL_TYPES.RESERVATION_CANCELLED, { reservationId }));
+
+      // キャンセル記録（劇団側でキャンセル理由を確認するため）
+      transaction.set(db.collection("cancellationLogs").doc(), buildCancellationLog(reservation, {
+        reservationId,
+        type: CANCELLATION_TYPES.FULL,
+        cancelledTickets: getReservationTickets(reservation),
+        ...cancellationReason,
+      }));
+    }
+
+    // 割引コードの利用件数を戻す（キャンセルした分は、他のお客様が使えるようにする）
+    if (promoCodeSnap?.exists) {
+      transaction.update(promoCodeRef, {
+        usedCount: Math.max((Number(promoCodeSnap.data().usedCount) || 0) - 1, 0),
+      });
+    }
+
+    // 在庫を戻し、空いた席にキャンセル待ちを繰り上げる
+    // （お支払い待ちの予約だった場合は、期限の記録も一緒に消す）
+    const { [reservationId]: _pendingPayment, ...pendingPayments } = stock.inventory.pendingPayments;
+    const promotedSeats = writeInventoryWithPromotions(transaction, db, {
+      performanceId,
+      stageId,
+      performance,
+      stock,
+      inventoryAfter: { ...releaseReservationFromInventory(stock.inventory, reservation), pendingPayments },
+      candidateSnaps,
+      now,
+    });
+
+    if (promotedSeats > 0) {
+      console.log(`キャンセル待ちから${promotedSeats}人分を繰り上げました。予約ID:`, reservationId);
+    }
+
+    return true;
+  });
+}
+
+/**
+ * お客様が予約をキャンセルする関数（キャンセルページから httpsCallable で呼ぶ）
+ */
+export const cancelReservation = onCall(async (request) => {
+  const db = getFirestore();
+  const data = request.data || {};
+
+  try {
+    const reservationId = typeof data.reservationId === "string" ? data.reservationId : "";
+    const cancelToken = typeof data.cancelToken === "string" ? data.cancelToken : "";
+    if (!reservationId || !cancelToken) {
+      throw new HttpsError("invalid-argument", "キャンセルする予約が指定されていません。");
+    }
+    const cancelled = await runCancellation(db, reservationId, {
+      cancelToken,
+      reason: data.reason,
+      reasonNote: data.reasonNote,
+    });
+    return { cancelled };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+/**
+ * お客様がお支払いをやめて、お支払い待ちの予約を取り消す関数（お支払いページから httpsCallable で呼ぶ）
+ *
+ * 期限前でも取り消す（お客様自身が取り消すため、すぐに席を空ける）
+ */
+export const releaseUnpaidReservation = onCall(async (request) => {
+  const db = getFirestore();
+  const data = request.data || {};
+
+  try {
+    const reservationId = typeof data.reservationId === "string" ? data.reservationId : "";
+    const cancelToken = typeof data.cancelToken === "string" ? data.cancelToken : "";
+    if (!reservationId || !cancelToken) {
+      throw new HttpsError("invalid-argument", "取り消す予約が指定されていません。");
+    }
+    const released = await runCancellation(db, reservationId, { cancelToken, unpaidRelease: true });
+    return { released };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+/**
+ * ステージのお支払い待ちの予約のうち、期限を過ぎたものを取り消す関数（予約ページ・劇団の予約一覧から呼ぶ）
+ *
+ * なぜ誰でも呼べるか：
+ * - 定期的に動くサーバーの処理が無くても、期限切れの予約の席を空けられるようにするため
+ *   （仮押さえと同じく、次に誰かが在庫を見るときに片付ける。期限前の予約は取り消さないので、呼ばれても害は無い）
+ *
+ * 1件の取り消しに失敗しても、残りの予約は取り消す（次に呼んだときにやり直す）
+ */
+export const expireUnpaidReservations = onCall(async (request) => {
+  const db = getFirestore();
+
+  try {
+    const { performanceId, stageId } = normalizeStageTarget(request.data || {});
+    const inventorySnap = await getStageInventoryRef(db, performanceId, stageId).get();
+    const expiredIds = inventorySnap.exists
+      ? findExpiredPaymentIds(inventorySnap.data().pendingPayments || {}, Date.now())
+      : [];
+
+    let releasedCount = 0;
+    for (const reservationId of expiredIds) {
+      try {
+        if (await runCancellation(db, reservationId, { unpaidRelease: true })) {
+          releasedCount += 1;
+        }
+      } catch (error) {
+        console.warn("期限切れの予約の取り消しに失敗しました。予約ID:", reservationId, error);
+      }
+    }
+    if (releasedCount > 0) {
+      console.log(`お支払いの期限が切れた予約を${releasedCount}件取り消しました。`);
+    }
+    return { releasedCount };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+/**
+ * 劇団がステージを中止する関数（以降の予約を止め、そのステージの予約を全て取り消す。劇団の予約一覧から呼ぶ）
+ *
+ * 処理の流れ：
+ * 1. ログインしている劇団の公演かを確認する
+ * 2. 公演の stages[] で、ステージに cancelled: true を付ける（以降の予約・キャンセル待ちの登録は受付期間の確認で断られる）
+ * 3. そのステージの有効な予約・お支払い待ちの予約を1件ずつ取り消し、中止のお知らせメールを送る
+ *    （お支払い済みの予約は、返金ポリシーに関わらず全額を返金待ちにする）
+ *
+ * なぜ1件ずつ取り消すか：
+ * - 1つのトランザクションで読み書きできる件数には上限があり、大きな会場では超えてしまうため
+ * - 途中で失敗しても、もう一度呼べば残りの予約だけを取り消せる（取り消し済みの予約は何もしない）
+ */
+export const cancelStage = onCall(async (request) => {
+  const db = getFirestore();
+
+  try {
+    if (!request.auth) {
+      throw new HttpsError("unauthenticated", "劇団のアカウントでログインしてください。");
+    }
+    const { performanceId, stageId } = normalizeStageTarget(request.data || {});
+
+    // ============================================
+    // 1・2. 劇団の確認と、ステージを中止にする
+    // ============================================
+    const performanceRef = db.collection("performances").doc(performanceId);
+    await db.runTransaction(async (transaction) => {
+      const performanceSnap = await transaction.get(performanceRef);
+      if (!performanceSnap.exists) {
+        const error = new Error("公演が見つかりませんでした。");
+        error.code = RESERVATION_ERROR_CODES.PERFORMANCE_NOT_FOUND;
+        throw error;
+      }
+      if (performanceSnap.data().troupeId !== request.auth.uid) {
+        throw new HttpsError("permission-denied", "この公演のステージを中止する権限がありません。");
+      }
+      const stages = performanceSnap.data().stages || [];
+      const stage = findStageById(stages, stageId);
+      if (!stage) {
+        const error = new Error("ステージが見つかりませんでした。");
+        error.code = RESERVATION_ERROR_CODES.STAGE_NOT_FOUND;
+        throw error;
+      }
+      if (stage.cancelled) {
+        return; // 既に中止済み（取り消しの途中で失敗した場合のやり直し）
+      }
+      transaction.update(performanceRef, {
+        stages: stages.map((current, index) =>
+          String(getStageKey(current, index)) === String(stageId)
+            ? { ...current, cancelled: true, cancelledAt: new Date().toISOString() }
+            : current
+        ),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    });
+
+    // ============================================
+    // 3. そのステージの予約を取り消す
+    // ============================================
+    const reservationsSnapshot = await db.collection("reservations")
+      .where("performanceId", "==", performanceId)
+      .where("stageId", "==", stageId)
+      .get();
+
+    let cancelledCount = 0;
+    for (const reservationDoc of reservationsSnapshot.docs) {
+      if (reservationDoc.data().status === "cancelled") {
+        continue;
+      }
+      if (await runCancellation(db, reservationDoc.id, { stageCancellation: true })) {
+        cancelledCount += 1;
+      }
+    }
+    console.log(`ステージを中止し、予約を${cancelledCount}件取り消しました。ステージID:`, stageId);
+    return { cancelledCount };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
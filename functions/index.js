@@ -0,0 +1,63 @@
+/**
+ * ============================================
+ * index.js - Cloud Functions のエントリーポイント
+ * ============================================
+ *
+ * Firebase CLI はこのファイルから export された関数をデプロイ（エミュレーターで起動）します。
+ * 関数の中身は役割ごとのファイルに分け、ここでは初期化と export だけを行います。
+ *
+ * 起動方法（リポジトリのルートで実行）：
+ *   cd functions && npm install
+ *   firebase emulators:start --only functions,firestore
+ */
+
+// 日時を日本時間で扱う（公演の日時・締め切りの計算に使う。他のファイルより先に読み込む）
+import "./timezone.js";
+import { initializeApp } from "firebase-admin/app";
+import { setGlobalOptions } from "firebase-functions/v2";
+
+// Admin SDK の初期化（エミュレーターでは FIRESTORE_EMULATOR_HOST が自動で設定され、エミュレーターに接続する）
+initializeApp();
+
+// なぜ東京リージョンにするか：観客・劇団とも日本国内からの利用がほとんどのため
+// （予約ページ側の getFunctions に渡すリージョンと揃えること）
+setGlobalOptions({ region: "asia-northeast1" });
+
+// 予約フォームのボット対策（フォームの開始トークン・予約パスの発行）
+export { startReservationForm, issueReservationPass } from "./reservationPass.js";
+
+// 予約・キャンセル待ち・抽選の申込の作成（予約パスの確認・在庫と上限のチェック・確認メールの送信依頼）
+export { createReservations } from "./reservations.js";
+export { joinWaitlist } from "./waitlist.js";
+export { applyForLottery } from "./lottery.js";
+
+// 在庫を変える操作（仮押さえ・キャンセル・お支払い待ちの取り消し・予約内容の変更・ステージの中止）
+// 空いた席へのキャンセル待ちの繰り上げも、同じトランザクションで行う（waitlistPromotions.js）
+export { holdSeats, releaseSeatHold } from "./seatHolds.js";
+export {
+  cancelReservation,
+  releaseUnpaidReservation,
+  expireUnpaidReservations,
+  cancelStage,
+} from "./cancellations.js";
+export { modifyReservation, partiallyCancelReservation } from "./reservationChanges.js";
+
+// 観客の予約の照会（cancelToken・予約番号）と確認メールの再送（予約は画面から直接読めないため）
+export { getReservationByToken, lookupReservation, resendReservationConfirmation } from "./reservationLookup.js";
+
+// 事前決済のお支払い（決済サービスの結果を確認してから、予約をお支払い済みにする）
+export { payReservation } from "./payments.js";
+
+// 電子チケット（チケットコードの発行・受付。確認メールへのQRコードの追加は mailDelivery.js が送る時に行う）
+export { getTicketCodes, checkInTicket } from "./tickets.js";
+
+// 観客の「マイ予約」（メールのログイン用リンク・予約の一覧）
+export {
+  requestMyReservationsLink,
+  openMyReservationsLink,
+  listMyReservations,
+  signOutMyReservations,
+} from "./myReservations.js";
+
+// mailQueue のメールの送信（宛先の確認・文面と添付ファイルの作成・SMTP・送り直し・送信状況の記録）
+export { deliverMail, retryMailQueue } from "./mailDelivery.js";
@@ -0,0 +1,271 @@
+/**
+ * ============================================
+ * inventory.js - ステージごとの座席在庫（Cloud Functions 側）
+ * ============================================
+ *
+ * 予約・キャンセル待ち・抽選の申込の関数（reservations.js・waitlist.js・lottery.js）が、
+ * トランザクションの中で座席在庫ドキュメント（stageInventories）を読み書きするための関数群です。
+ * 在庫ドキュメントの項目と残席の数え方は、画面側の src/services/reservationService.js の説明と同じです。
+ *
+ * 【画面側との違い】
+ * - Admin SDK のトランザクションはクエリも読めるため、在庫ドキュメントがまだ無い場合の集計
+ *   （既存予約から初期値を作る）もトランザクションの中で行う
+ *   （画面側はトランザクションの外で集計し、Firestoreの再実行に任せている）
+ * - マップから消すキーには FieldValue.delete() を使う（画面側の deleteField() と同じ）
+ *
+ * 【エラー】
+ * - 画面側と同じく、error.code に RESERVATION_ERROR_CODES のコードを入れた Error を投げる
+ *   （画面に返すときは callableErrors.js の toHttpsError で HttpsError にする）
+ */
+
+import { FieldValue } from "firebase-admin/firestore";
+import { getReservationSeatCount, getTicketCounts, mergeTicketCounts } from "./shared/ticketUtils.js";
+import { findExpiredHoldIds } from "./shared/seatHoldUtils.js";
+import {
+  getReservationCountByEmail,
+  getPeopleLimitError,
+  getEmailLimitError,
+  adjustEmailCounts,
+} from "./shared/reservationLimitUtils.js";
+import {
+  getAccessibilityCounts,
+  adjustAccessibilityCounts,
+  findAccessibilityShortage,
+  getAccessibilityRequestError,
+} from "./shared/accessibilityUtils.js";
+import { isPaymentPending } from "./shared/paymentUtils.js";
+import { RESERVATION_ERROR_CODES } from "./shared/reservationErrorCodes.js";
+
+/**
+ * 座席在庫ドキュメントの参照を返す関数
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {string} performanceId - 公演ID
+ * @param {string|number} stageId - ステージID（stage.id。旧データはインデックス）
+ * @returns {DocumentReference} stageInventories/{performanceId}__{stageId}
+ */
+export function getStageInventoryRef(db, performanceId, stageId) {
+  return db.collection("stageInventories").doc(`${performanceId}__${stageId}`);
+}
+
+/**
+ * 在庫ドキュメントのスナップショットから値を取り出す関数
+ *
+ * @param {DocumentSnapshot} inventorySnap - 在庫ドキュメント（存在すること）
+ * @returns {{ reservedSeats: number, ticketCounts: Object, takenSeats: Object, holds: Object, emailCounts: Object, accessibilityCounts: Object, pendingPayments: Object }}
+ */
+function readInventory(inventorySnap) {
+  const data = inventorySnap.data();
+  return {
+    reservedSeats: Number(data.reservedSeats) || 0,
+    ticketCounts: data.ticketCounts || {},
+    takenSeats: data.takenSeats || {},
+    holds: data.holds || {},
+    emailCounts: data.emailCounts || {},
+    accessibilityCounts: data.accessibilityCounts || {},
+    pendingPayments: data.pendingPayments || {},
+  };
+}
+
+/**
+ * reservationsコレクションを集計して、在庫ドキュメントと同じ形の値を返す関数（トランザクション内で使う）
+ *
+ * @param {Transaction} transaction - 実行中のトランザクション
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {string} performanceId - 公演ID
+ * @param {string|number} stageId - ステージID
+ * @returns {Promise<Object>} readInventory と同じ形の値（仮押さえは空）
+ *
+ * なぜ必要か：
+ * - 在庫ドキュメントが作られる前の既存予約を、在庫の初期値として数えるため
+ */
+async function countActiveInventory(transaction, db, performanceId, stageId) {
+  const querySnapshot = await transaction.get(
+    db.collection("reservations")
+      .where("performanceId", "==", performanceId)
+      .where("stageId", "==", stageId)
+  );
+
+  let reservedSeats = 0;
+  let ticketCounts = {};
+  const takenSeats = {};
+  let emailCounts = {};
+  let accessibilityCounts = {};
+  const pendingPayments = {};
+  querySnapshot.forEach((reservationDoc) => {
+    const data = reservationDoc.data();
+    if (data.status === "cancelled") {
+      return; // キャンセル済みは数えない
+    }
+    reservedSeats += getReservationSeatCount(data);
+    ticketCounts = mergeTicketCounts(ticketCounts, getTicketCounts(data));
+    (data.seats || []).forEach((seat) => {
+      takenSeats[seat] = reservationDoc.id;
+    });
+    emailCounts = adjustEmailCounts(emailCounts, data.emailKey);
+    accessibilityCounts = adjustAccessibilityCounts(accessibilityCounts, data);
+    if (isPaymentPending(data)) {
+      pendingPayments[reservationDoc.id] = Number(data.paymentExpiresAt) || 0;
+    }
+  });
+
+  return { reservedSeats, ticketCounts, takenSeats, holds: {}, emailCounts, accessibilityCounts, pendingPayments };
+}
+
+/**
+ * ステージの在庫をトランザクション内で読む関数
+ *
+ * @param {Transaction} transaction - 実行中のトランザクション
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {string} performanceId - 公演ID
+ * @param {string|number} stageId - ステージID
+ * @returns {Promise<{ inventoryRef: DocumentReference, exists: boolean, inventory: Object }>}
+ *   在庫ドキュメントの参照・既にあるかどうか・在庫の値（無ければ既存予約の集計）
+ *
+ * 注意：トランザクションでは書き込みより先に全てを読むこと（読んだ後に書き込むと、次の読み取りでエラーになる）
+ */
+export async function readStageInventory(transaction, db, performanceId, stageId) {
+  const inventoryRef = getStageInventoryRef(db, performanceId, stageId);
+  const inventorySnap = await transaction.get(inventoryRef);
+  if (inventorySnap.exists) {
+    return { inventoryRef, exists: true, inventory: readInventory(inventorySnap) };
+  }
+  return {
+    inventoryRef,
+    exists: false,
+    inventory: await countActiveInventory(transaction, db, performanceId, stageId),
+  };
+}
+
+/**
+ * 在庫を書き込むときに一緒に削除する仮押さえを、FieldValue.delete() 付きのマップにする関数
+ *
+ * @param {Object} holds - 在庫ドキュメントの holds
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @param {Array<string>} [extraHoldIds] - 期限内でも削除する仮押さえID（予約に使った自分の仮押さえなど）
+ * @returns {Object} merge付きのsetに渡す holds の更新内容
+ */
+export function buildHoldsCleanup(holds, now, extraHoldIds = []) {
+  const update = {};
+  [...findExpiredHoldIds(holds, now), ...extraHoldIds].forEach((holdId) => {
+    update[holdId] = FieldValue.delete();
+  });
+  return update;
+}
+
+/**
+ * 在庫のマップ型の項目（takenSeats・emailCounts など）の更新内容を、merge付きのsetに渡せる形にする関数
+ *
+ * @param {Object} before - 更新前の値
+ * @param {Object} after - 更新後の値
+ * @param {boolean} inventoryExists - 在庫ドキュメントが既にあるかどうか
+ * @returns {Object} 消えたキーは FieldValue.delete()、新しく増えた・変わったキーは新しい値
+ */
+export function buildMapFieldUpdate(before, after, inventoryExists) {
+  const update = {};
+  Object.keys(before).forEach((key) => {
+    if (!(key in after)) {
+      update[key] = FieldValue.delete();
+    }
+  });
+  Object.entries(after).forEach(([key, value]) => {
+    // 在庫ドキュメントを新しく作る場合は、集計した既存の値も一緒に書き込む
+    if (!inventoryExists || before[key] !== value) {
+      update[key] = value;
+    }
+  });
+  return update;
+}
+
+/**
+ * 在庫の値から、予約1件分（席数・券種の枚数・座席）を取り除いた値を返す関数
+ *
+ * @param {Object} inventory - 在庫の値（readStageInventory の inventory）
+ * @param {Object} reservation - 取り除く予約データ
+ * @returns {Object} 取り除いた後の在庫の値（holdsはそのまま）
+ *
+ * 注意：在庫ドキュメントが無い場合、集計結果にはこの予約自身も含まれている
+ */
+export function releaseReservationFromInventory(inventory, reservation) {
+  const takenSeats = { ...inventory.takenSeats };
+  (reservation.seats || []).forEach((seat) => {
+    delete takenSeats[seat];
+  });
+  return {
+    ...inventory,
+    reservedSeats: Math.max(inventory.reservedSeats - getReservationSeatCount(reservation), 0),
+    ticketCounts: mergeTicketCounts(inventory.ticketCounts, getTicketCounts(reservation), -1),
+    takenSeats,
+    emailCounts: adjustEmailCounts(inventory.emailCounts, reservation.emailKey, -1),
+    accessibilityCounts: adjustAccessibilityCounts(inventory.accessibilityCounts, reservation, -1),
+  };
+}
+
+/**
+ * 人数と、同じメールアドレスの予約件数の上限を確認する関数
+ *
+ * @param {Object} performance - 公演データ
+ * @param {Object} inventory - 予約を追加する前の在庫の値
+ * @param {Object} params
+ * @param {number} params.attendeeCount - 予約する人数
+ * @param {string} [params.emailKey] - 予約の emailKey（件数を確認しない場合は省略）
+ *
+ * エラー：
+ * - 人数の上限を超える場合は code = RESERVATION_ERROR_CODES.PEOPLE_LIMIT_EXCEEDED
+ * - 同じメールアドレスの予約件数が上限に達している場合は code = RESERVATION_ERROR_CODES.EMAIL_LIMIT_EXCEEDED
+ */
+export function assertReservationLimits(performance, inventory, { attendeeCount, emailKey }) {
+  const peopleLimitError = getPeopleLimitError(performance, attendeeCount);
+  if (peopleLimitError) {
+    const error = new Error(peopleLimitError);
+    error.code = RESERVATION_ERROR_CODES.PEOPLE_LIMIT_EXCEEDED;
+    throw error;
+  }
+  if (emailKey) {
+    const emailLimitError = getEmailLimitError(performance, getReservationCountByEmail(inventory, emailKey));
+    if (emailLimitError) {
+      const error = new Error(emailLimitError);
+      error.code = RESERVATION_ERROR_CODES.EMAIL_LIMIT_EXCEEDED;
+      throw error;
+    }
+  }
+}
+
+/**
+ * 車椅子スペース・同伴者席のご要望が、枠と席数に収まるかを確認する関数
+ *
+ * @param {Object} stage - ステージデータ
+ * @param {Object} accessibilityCounts - 予約を追加する前の車椅子スペース・同伴者席の人数
+ * @param {Object} params
+ * @param {Object|null|undefined} params.request - 予約の accessibility
+ * @param {number} params.requestedSeats - 予約の席を使う枚数
+ *
+ * エラー：
+ * - 車椅子スペース・同伴者席の合計が席数を超える場合は code = RESERVATION_ERROR_CODES.INVALID_ACCESSIBILITY
+ * - 枠を超える場合は code = RESERVATION_ERROR_CODES.ACCESSIBILITY_QUOTA_EXCEEDED
+ *   （error.accessibilityNeed・error.availableQuantity に、ご要望の種類と残りの数が入る）
+ */
+export function assertAccessibilityAvailable(stage, accessibilityCounts, { request, requestedSeats }) {
+  const requestError = getAccessibilityRequestError(request, requestedSeats);
+  if (requestError) {
+    const error = new Error(requestError);
+    error.code = RESERVATION_ERROR_CODES.INVALID_ACCESSIBILITY;
+    throw error;
+  }
+  const shortage = findAccessibilityShortage(
+    stage,
+    accessibilityCounts,
+    getAccessibilityCounts({ accessibility: request })
+  );
+  if (shortage) {
+    const error = new Error(
+      shortage.availableQuantity > 0
+        ? `この公演日時の${shortage.label}の残りは${shortage.availableQuantity}です。`
+        : `この公演日時の${shortage.label}は満席、または用意がありません。劇団にお問い合わせください。`
+    );
+    error.code = RESERVATION_ERROR_CODES.ACCESSIBILITY_QUOTA_EXCEEDED;
+    error.accessibilityNeed = shortage.need;
+    error.availableQuantity = shortage.availableQuantity;
+    throw error;
+  }
+}
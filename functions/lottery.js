@@ -0,0 +1,157 @@
+/**
+ * ============================================
+ * lottery.js - 抽選の申込
+ * ============================================
+ *
+ * 抽選で予約を受け付ける公演の予約ページから呼ばれ、予約パスを確認して抽選の申込（lotteryApplications）を保存し、
+ * 受付メールの送信依頼を積む関数です。
+ * 申込の項目と抽選の流れは、画面側の src/services/lotteryService.js の説明と同じです
+ * （抽選と結果のお知らせは、劇団の画面が行う）。
+ *
+ * なぜ画面から直接書き込まず、この関数で申し込むか：
+ * - 当選した申込は、そのまま予約データになるため
+ *   （画面の値をそのまま保存すると、人数・券種・金額を書き換えた予約が当選してしまう）
+ *
+ * 【受け取る値】（request.data）
+ * - reservationPassId: 予約パスのID
+ * - customer: { name, email, note } 予約者の情報
+ * - performanceId: 申し込む公演
+ * - preferences: 希望する公演日時のID（第1希望・第2希望の順。最大 MAX_LOTTERY_PREFERENCES 件）
+ * - ticketQuantities, answers, accessibility: 券種ごとの枚数・追加質問への回答・配慮のご要望
+ *
+ * 【返す値】{ applicationId }
+ *
+ * 【エラー】（HttpsError。details.code にエラーコード）
+ * - LOTTERY_ERROR_CODES（functions/shared/lotteryUtils.js）
+ * - 予約パスが使えない場合は "bot-protection/pass-invalid"
+ */
+
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { getFirestore, FieldValue } from "firebase-admin/firestore";
+import { findStageById } from "./shared/stageUtils.js";
+import { getReservationSeatCount, getReservationAttendeeCount } from "./shared/ticketUtils.js";
+import { getPeopleLimitError } from "./shared/reservationLimitUtils.js";
+import { getAccessibilityRequestError } from "./shared/accessibilityUtils.js";
+import { SALES_STATUS, getStageSalesStatus } from "./shared/salesWindowUtils.js";
+import {
+  LOTTERY_PHASES,
+  LOTTERY_ERROR_CODES,
+  MAX_LOTTERY_PREFERENCES,
+  getLotteryPhase,
+} from "./shared/lotteryUtils.js";
+import { RESERVATION_ERROR_CODES } from "./shared/reservationErrorCodes.js";
+import { normalizeCustomer, buildBookingData } from "./bookingData.js";
+import { getReservationPassRef, assertReservationPass } from "./reservationPass.js";
+import { buildMailRequest, MAIL_TYPES } from "./mailRequests.js";
+import { toHttpsError } from "./callableErrors.js";
+
+// 抽選の申込のステータス（画面の lotteryService.js の LOTTERY_STATUS.APPLIED と同じ）
+const APPLIED_STATUS = "applied";
+
+/**
+ * 抽選に申し込む関数（予約ページから httpsCallable で呼ぶ）
+ *
+ * なぜ申込のドキュメントIDにメールアドレスのハッシュ値を使うか：
+ * - 同じメールアドレスで何度も申し込み、当選しやすくすることを防ぐため
+ */
+export const applyForLottery = onCall(async (request) => {
+  const db = getFirestore();
+  const data = request.data || {};
+
+  try {
+    const performanceId = typeof data.performanceId === "string" ? data.performanceId : "";
+    const preferenceIds = (Array.isArray(data.preferences) ? data.preferences : [])
+      .filter((stageId) => typeof stageId === "number" || (typeof stageId === "string" && stageId));
+    if (!performanceId) {
+      throw new HttpsError("invalid-argument", "申し込む公演が選択されていません。");
+    }
+    const customer = await normalizeCustomer(data.customer);
+
+    const passRef = getReservationPassRef(db, data.reservationPassId);
+    const applicationRef = db.collection("lotteryApplications").doc(`${performanceId}__${customer.emailKey}`);
+
+    await db.runTransaction(async (transaction) => {
+      const passSnap = await transaction.get(passRef);
+      const performanceSnap = await transaction.get(db.collection("performances").doc(performanceId));
+      const existingSnap = await transaction.get(applicationRef);
+      const performance = performanceSnap.exists ? performanceSnap.data() : null;
+      const troupeSnap = performance?.troupeId
+        ? await transaction.get(db.collection("troupes").doc(performance.troupeId))
+        : null;
+
+      const now = new Date();
+      assertReservationPass(passSnap, { emailKey: customer.emailKey, performanceIds: [performanceId], now });
+
+      if (getLotteryPhase(performance, now) !== LOTTERY_PHASES.OPEN) {
+        const error = new Error("この公演は現在、抽選の申込を受け付けていません。");
+        error.code = LOTTERY_ERROR_CODES.NOT_ACCEPTING;
+        throw error;
+      }
+      if (existingSnap.exists) {
+        const error = new Error("このメールアドレスでは、既にこの公演の抽選に申し込んでいます（お申し込みは1回までです）。");
+        error.code = LOTTERY_ERROR_CODES.ALREADY_APPLIED;
+        throw error;
+      }
+
+      // 希望の日時の確認（1つ以上・重複なし・予約の受付が終わっていない日時のみ）
+      const preferenceStages = preferenceIds.map((stageId) => findStageById(performance.stages, stageId));
+      const isValidPreferences =
+        preferenceIds.length > 0 &&
+        preferenceIds.length <= MAX_LOTTERY_PREFERENCES &&
+        new Set(preferenceIds.map(String)).size === preferenceIds.length &&
+        preferenceStages.every((stage) => stage && getStageSalesStatus(performance, stage, now) === SALES_STATUS.LOTTERY);
+      if (!isValidPreferences) {
+        const error = new Error("希望する公演日時を確認してください（第1希望と第2希望は別の日時を選んでください）。");
+        error.code = LOTTERY_ERROR_CODES.INVALID_PREFERENCES;
+        throw error;
+      }
+
+      const application = {
+        ...buildBookingData({
+          performanceId,
+          performance,
+          troupe: troupeSnap?.exists ? troupeSnap.data() : null,
+          customer,
+          ticketQuantities: data.ticketQuantities,
+          answers: data.answers,
+          accessibility: data.accessibility,
+        }),
+        // 公演日時は第1希望・第2希望の順で preferences に入れる（当選した日時が予約の stageId になる）
+        preferences: preferenceIds.map((stageId, index) => ({
+          stageId,
+          stageDate: preferenceStages[index].date || "",
+          stageStart: preferenceStages[index].start || "",
+          stageEnd: preferenceStages[index].end || "",
+        })),
+        reservationPassId: passRef.id,
+        status: APPLIED_STATUS,
+        createdAt: FieldValue.serverTimestamp(),
+      };
+
+      const peopleLimitError = getPeopleLimitError(performance, getReservationAttendeeCount(application));
+      if (peopleLimitError) {
+        const error = new Error(peopleLimitError);
+        error.code = LOTTERY_ERROR_CODES.PEOPLE_LIMIT_EXCEEDED;
+        throw error;
+      }
+      // 車椅子スペース・同伴者席は、席を使う枚数の中で選ぶ（枠の確認は抽選のときに行う）
+      const accessibilityError = getAccessibilityRequestError(application.accessibility, getReservationSeatCount(application));
+      if (accessibilityError) {
+        const error = new Error(accessibilityError);
+        error.code = RESERVATION_ERROR_CODES.INVALID_ACCESSIBILITY;
+        throw error;
+      }
+
+      transaction.set(applicationRef, application);
+      transaction.set(
+        db.collection("mailQueue").doc(),
+        buildMailRequest(MAIL_TYPES.LOTTERY_APPLIED, { lotteryApplicationId: applicationRef.id })
+      );
+      transaction.update(passRef, { used: true, usedAt: FieldValue.serverTimestamp(), lotteryApplicationId: applicationRef.id });
+    });
+
+    return { applicationId: applicationRef.id };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
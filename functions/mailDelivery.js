@@ -0,0 +1,471 @@
+/**
+ * ============================================
+ * mailDelivery.js - mailQueue のメールの送信（再送と送信状況の記録）
+ * ============================================
+ *
+ * 画面・Cloud Functions が mailQueue に積んだ送信依頼を、実際にメールで送るための関数群です。
+ * 送信方法（SMTPなど）は mailTransports.js で選びます。
+ *
+ * 主な機能：
+ * 1. deliverMail：mailQueue のメールが "pending"・"awaiting_ticket" で作成されたら送る
+ * 2. retryMailQueue：送れなかったメールを、待ち時間を空けて送り直す（5分ごと）
+ * 3. processDueMail：送るべきメールをまとめて送る（retryMailQueue と、開発用のスクリプトから使う）
+ *
+ * 【送信状況】mailQueue の status
+ *   "pending"（送信待ち）→ "sending"（送信中）→ "sent"（送信済み）
+ *                                             → "retry"（送れなかった。nextAttemptAt の後に送り直す）
+ *                                             → "failed"（MAX_ATTEMPTS 回送れなかった・宛先の誤りなど送り直しても届かない）
+ *   ※ "awaiting_ticket"（チケットを載せて送る）も "pending" と同じく送信待ち。送る時に functions/tickets.js で
+ *      チケットコードとQRコードを追加する（送り直しでも追加するため、取り出す時に withTickets を記録する）
+ *
+ * 【送る前の確認】（画面から mailQueue に積まれたメールを、好きな宛先・内容で送らせないため）
+ *   - メールに紐づく予約（reservationId / reservationIds）・キャンセル待ち（waitlistEntryId）・
+ *     抽選の申込（lotteryApplicationId）・マイ予約のログイン用リンク（myReservationLinkId）が全て存在し、
+ *     メールアドレスが揃っていること（宛先は mailQueue の to ではなく、紐づくデータのメールアドレスにする）
+ *   - 1つの予約などに送るメールは、直近1時間で MAX_MAILS_PER_RECORD 通まで
+ *     （rateLimits/mail__{コレクション名}__{ID} で数える。超えたメールは送らずに "failed" にする）
+ *   - お客様の操作で送り直す予約確認メール（resent: true）は、同じ予約で RESEND_COOLDOWN_MS に1通まで
+ *   - 件名・本文・html・添付ファイルは mailQueue の値を使わず、送る時に作る
+ *     （文面は functions/mailTemplates.js、カレンダーの .ics は functions/calendar.js、
+ *       チケットのQRコードは functions/tickets.js）
+ *
+ * 【記録する項目】
+ *   - attempts: 送信を試みた回数 / lastAttemptAt: 最後に試みた日時
+ *   - nextAttemptAt: 次に送り直す日時（"retry" のみ）
+ *   - sentAt, messageId, transport: 送信した日時・SMTPサーバーのメッセージID・送信方法
+ *   - error: 最後に送れなかった理由（送信できたら null にする）
+ *   - withTickets: チケットを載せて送るメールか / ticketError: チケットを作れなかった理由（チケット無しで送る）
+ *
+ * 【送り直しの間隔】
+ *   RETRY_BASE_MS × 2^(attempts - 1)（5分 → 10分 → 20分 → 40分。RETRY_MAX_MS が上限）
+ *   なぜ間隔を倍にしていくか：SMTPサーバーが止まっている間に、送り直しで負荷をかけ続けないようにするため
+ *
+ * なぜ送る前に "sending" にするか：
+ * - 作成時のトリガーと5分ごとの送り直しが同じメールを同時に取り出しても、2通送らないようにするため
+ *   （"sending" のまま SENDING_TIMEOUT_MS を過ぎたメールは、途中で止まったものとして送り直す）
+ */
+
+import { onDocumentWritten } from "firebase-functions/v2/firestore";
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import { getFirestore, FieldValue, Timestamp } from "firebase-admin/firestore";
+import { getMailTransport, SMTP_PASSWORD } from "./mailTransports.js";
+import { TICKET_SIGNING_SECRET, AWAITING_TICKET_STATUS, buildTicketMailFields } from "./tickets.js";
+import { buildCalendarAttachments } from "./calendar.js";
+import { renderMail } from "./mailTemplates.js";
+import { pruneTimestamps } from "./requestUtils.js";
+
+// 送信を試みる回数の上限（functions/.env の MAIL_MAX_ATTEMPTS で変えられる）
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS) || 5;
+
+// 送り直しの最初の待ち時間（5分）と上限（1時間）
+const RETRY_BASE_MS = 5 * 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// "sending" のまま止まったとみなすまでの時間（10分）
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// 1回の送り直しで取り出すメールの件数の上限（状態ごと）
+const BATCH_SIZE = 50;
+
+// 送信元（functions/.env の MAIL_FROM）
+const MAIL_FROM = process.env.MAIL_FROM || "劇団予約 <no-reply@localhost>";
+
+// 1通のメールに紐づけられる予約の件数の上限（カートでまとめて予約できる件数と揃える）
+const MAX_LINKED_RESERVATIONS = 20;
+
+// 1つの予約などに送れるメールの数の上限（直近1時間。functions/.env の MAX_MAILS_PER_RECORD で変えられる）
+const MAX_MAILS_PER_RECORD = Number(process.env.MAX_MAILS_PER_RECORD) || 10;
+
+// お客様の操作で送り直す予約確認メール（resent: true）の間隔（10分。functions/.env の RESEND_COOLDOWN_MINUTES で変えられる）
+const RESEND_COOLDOWN_MS = (Number(process.env.RESEND_COOLDOWN_MINUTES) || 10) * 60 * 1000;
+
+// 予約以外でメールに紐づけるデータ（mailQueue の項目 → コレクション）
+const LINKED_RECORD_COLLECTIONS = {
+  waitlistEntryId: "waitlistEntries",
+  lotteryApplicationId: "lotteryApplications",
+  myReservationLinkId: "myReservationLinks",
+};
+
+// 宛先の形（1件のメールアドレスだけを許す。カンマ・山かっこで複数の宛先が入った予約などには送らない）
+const SINGLE_EMAIL_PATTERN = /^[^\s@,;<>]+@[^\s@,;<>]+\.[^\s@,;<>]+$/;
+
+/**
+ * 送り直すまでの待ち時間を返す関数
+ *
+ * @param {number} attempts - これまでに送信を試みた回数（1以上）
+ * @returns {number} 待ち時間（ミリ秒）
+ */
+function getRetryDelayMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
+
+/**
+ * 送り直しても届かないエラーかどうかを返す関数
+ *
+ * @param {Error} error - 送信方法が投げたエラー
+ * @returns {boolean} SMTPサーバーが 5xx（宛先が存在しないなど）を返した場合はtrue
+ *
+ * なぜ 4xx は送り直すか：4xx は「一時的に受け取れない」（混雑・容量不足など）という意味のため
+ */
+function isPermanentError(error) {
+  return Number(error?.responseCode) >= 500 && Number(error?.responseCode) < 600;
+}
+
+/**
+ * 送り直しても届かないエラーを作る関数
+ *
+ * @param {string} message - エラーの内容（mailQueue の error に残る）
+ * @returns {Error} responseCode = 550（isPermanentError が true を返す）のエラー
+ */
+function createUndeliverableError(message) {
+  const error = new Error(message);
+  error.responseCode = 550;
+  return error;
+}
+
+/**
+ * メールアドレスを比べられる形にする関数
+ *
+ * @param {string} email - メールアドレス
+ * @returns {string} 前後の空白を除いて小文字にしたもの
+ */
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+/**
+ * メールに紐づくデータを読み込み、宛先を決める関数
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {Object} mail - mailQueue のデータ
+ * @returns {Promise<Object>} 紐づくデータ
+ *   - to: 宛先（紐づくデータのメールアドレス）
+ *   - reservationSnaps: 紐づく予約（カレンダー・チケットを作るのに使う）
+ *   - record: 紐づくキャンセル待ち・抽選の申込・ログイン用リンク（無い場合はnull）
+ *   - performances: 予約の公演ID → 公演データ（文面のキャンセルポリシーに使う）
+ *   - recordKeys: 回数制限に使う、紐づくデータのキー（"コレクション名__ID"）
+ * @throws {Error} 紐づくデータが無い・メールアドレスが揃わない場合（responseCode = 550。送らずに "failed" にする）
+ *
+ * なぜ宛先を mailQueue の to から取らないか：
+ * - 画面から mailQueue に書き込めるため、to を使うと好きな宛先にメールを送れてしまうため
+ *   （カートの予約は全件が同じメールアドレスであることも確認する）
+ */
+async function loadLinkedRecords(db, mail) {
+  const reservationIds = Array.isArray(mail.reservationIds)
+    ? mail.reservationIds
+    : mail.reservationId ? [mail.reservationId] : [];
+  if (reservationIds.length > MAX_LINKED_RESERVATIONS) {
+    throw createUndeliverableError("メールに紐づく予約が多すぎます。");
+  }
+
+  const reservationRefs = reservationIds.map((reservationId) => db.collection("reservations").doc(String(reservationId)));
+  const otherRefs = Object.entries(LINKED_RECORD_COLLECTIONS)
+    .filter(([field]) => mail[field])
+    .map(([field, collection]) => db.collection(collection).doc(String(mail[field])));
+  if (reservationRefs.length + otherRefs.length === 0) {
+    throw createUndeliverableError("メールに紐づく予約・キャンセル待ち・抽選の申込がありません。");
+  }
+
+  const snaps = await db.getAll(...reservationRefs, ...otherRefs);
+  if (snaps.some((snap) => !snap.exists)) {
+    throw createUndeliverableError("メールに紐づく予約などが見つかりません。");
+  }
+  const emails = new Set(snaps.map((snap) => normalizeEmail(snap.data().email)));
+  const [to] = emails;
+  if (emails.size !== 1 || !SINGLE_EMAIL_PATTERN.test(to)) {
+    throw createUndeliverableError("メールに紐づく予約などのメールアドレスが、1件のメールアドレスに揃っていません。");
+  }
+
+  const reservationSnaps = snaps.slice(0, reservationRefs.length);
+  const performanceIds = [...new Set(reservationSnaps.map((snap) => String(snap.data().performanceId || "")))]
+    .filter(Boolean);
+  const performanceSnaps = performanceIds.length > 0
+    ? await db.getAll(...performanceIds.map((performanceId) => db.collection("performances").doc(performanceId)))
+    : [];
+
+  return {
+    to,
+    reservationSnaps,
+    record: otherRefs.length > 0 ? snaps[reservationRefs.length].data() : null,
+    performances: new Map(performanceSnaps.filter((snap) => snap.exists).map((snap) => [snap.id, snap.data()])),
+    recordKeys: snaps.map((snap) => `${snap.ref.parent.id}__${snap.id}`),
+  };
+}
+
+/**
+ * 紐づくデータごとのメールの回数を数え、上限を超えていないかを確認する関数
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {Array<string>} recordKeys - 紐づくデータのキー（loadLinkedRecords の recordKeys）
+ * @throws {Error} 直近1時間のメールが MAX_MAILS_PER_RECORD 通に達している場合（responseCode = 550）
+ *
+ * なぜ数えるか：
+ * - 画面から mailQueue に書き込めるため、同じ予約に紐づけた送信依頼を大量に作られると、
+ *   予約者に同じメールが何通も届いてしまうため（文面は送る時に作るので、内容は変えられない）
+ * なぜ最初に送る時だけ数えるか：送り直しで数えると、SMTPサーバーの不調だけで上限に達してしまうため
+ */
+async function countMailForRecords(db, recordKeys) {
+  const refs = recordKeys.map((key) => db.collection("rateLimits").doc(`mail__${key}`));
+  await db.runTransaction(async (transaction) => {
+    const snaps = await transaction.getAll(...refs);
+    const now = Date.now();
+    const timestampsList = snaps.map((snap) => pruneTimestamps(snap.data()?.timestamps, now));
+    if (timestampsList.some((timestamps) => timestamps.length >= MAX_MAILS_PER_RECORD)) {
+      throw createUndeliverableError("同じ予約などへのメールが多すぎるため、送りませんでした。");
+    }
+    refs.forEach((ref, index) => {
+      transaction.set(ref, { timestamps: [...timestampsList[index], now] });
+    });
+  });
+}
+
+/**
+ * お客様の操作で送り直すメールが、前回の送り直しから RESEND_COOLDOWN_MS 経っているかを確認する関数
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {Object} mail - mailQueue のデータ（resent: true のメールだけを確認する）
+ * @throws {Error} 前回の送り直しから RESEND_COOLDOWN_MS 経っていない場合（responseCode = 550）
+ *
+ * なぜ予約ごとに間隔を空けるか：
+ * - 予約照会ページの「再送する」は予約番号とメールアドレスを知っていれば何度でも押せるため、
+ *   1時間の回数制限（MAX_MAILS_PER_RECORD）の範囲でも、続けて押されると予約者に同じメールが何通も届くため
+ *   （rateLimits/resend__{予約ID} の lastResentAt に、最後に送り直した日時を残す）
+ */
+async function assertResendCooldown(db, mail) {
+  if (mail.resent !== true || !mail.reservationId) {
+    return;
+  }
+  const cooldownRef = db.collection("rateLimits").doc(`resend__${mail.reservationId}`);
+  await db.runTransaction(async (transaction) => {
+    const lastResentAt = Number((await transaction.get(cooldownRef)).data()?.lastResentAt) || 0;
+    const now = Date.now();
+    if (now - lastResentAt < RESEND_COOLDOWN_MS) {
+      throw createUndeliverableError(
+        `前回の送り直しから${RESEND_COOLDOWN_MS / 60 / 1000}分経っていないため、送りませんでした。`
+      );
+    }
+    transaction.set(cooldownRef, { lastResentAt: now });
+  });
+}
+
+/**
+ * mailQueue の送信依頼を、送信方法に渡す形にする関数
+ *
+ * @param {Object} mail - mailQueue のデータ（type, historyIndex など）
+ * @param {boolean} withTickets - チケットを載せて送るか
+ * @param {Object} linked - メールに紐づくデータ（loadLinkedRecords の結果）
+ * @returns {Promise<{ message: Object, ticketError: string|null }>} nodemailer の形のメッセージと、チケットを作れなかった理由
+ * @throws {Error} 文面を作れない種類のメール・紐づくデータが足りないメールの場合（responseCode = 550）
+ *
+ * 件名・本文は functions/mailTemplates.js が、送る時点の紐づくデータから作る（mailQueue の subject・body は使わない）。
+ * 添付ファイルは、カレンダーの .ics（{ filename, content, contentType }）と、
+ * チケットのQRコードの画像（{ filename, content, encoding: "base64", cid }）の2種類。どちらも送る時に作る
+ * （mailQueue の html・attachments は使わない）
+ *
+ * チケットを作れなかった場合も、チケット無しで送る（予約の確認メールが届かない方が困るため）
+ */
+async function buildMessage(mail, withTickets, linked) {
+  const { reservationSnaps } = linked;
+  const rendered = renderMail(mail, {
+    reservations: reservationSnaps.map((snap) => snap.data()),
+    record: linked.record,
+    performances: linked.performances,
+  });
+  if (!rendered) {
+    throw createUndeliverableError(`メールの文面を作れません（種類：${mail.type || "未設定"}）。`);
+  }
+
+  // カレンダーの案内は、チケットより前（本文の最後）に載せる
+  const calendar = buildCalendarAttachments(mail.type, reservationSnaps);
+  const body = calendar.note ? `${rendered.body}\n\n${calendar.note}` : rendered.body;
+
+  let ticketFields = {};
+  let ticketError = null;
+  if (withTickets) {
+    try {
+      ticketFields = await buildTicketMailFields(reservationSnaps, body);
+    } catch (error) {
+      ticketError = error.message || String(error);
+    }
+  }
+
+  return {
+    message: {
+      from: MAIL_FROM,
+      to: linked.to,
+      subject: rendered.subject,
+      text: ticketFields.body || body,
+      ...(ticketFields.html ? { html: ticketFields.html } : {}),
+      attachments: [...calendar.attachments, ...(ticketFields.attachments || [])],
+    },
+    ticketError,
+  };
+}
+
+/**
+ * 今送ってよいメールかどうかを返す関数
+ *
+ * @param {Object} mail - mailQueue のデータ
+ * @param {number} now - 現在日時（ミリ秒）
+ * @returns {boolean} 送信待ち（"pending"・"awaiting_ticket"）・送り直しの時刻を過ぎた・"sending" のまま止まったメールならtrue
+ */
+function isDue(mail, now) {
+  if (mail?.status === "pending" || mail?.status === AWAITING_TICKET_STATUS) {
+    return true;
+  }
+  if (mail?.status === "retry") {
+    return (mail.nextAttemptAt?.toMillis?.() ?? 0) <= now;
+  }
+  if (mail?.status === "sending") {
+    return (mail.lastAttemptAt?.toMillis?.() ?? 0) + SENDING_TIMEOUT_MS <= now;
+  }
+  return false;
+}
+
+/**
+ * メールを1通送り、送信状況を記録する関数
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {DocumentReference} mailRef - mailQueue のドキュメント
+ * @returns {Promise<string|null>} 送信後の status（他の処理が先に取り出した・送る必要が無い場合はnull）
+ */
+async function deliverQueuedMail(db, mailRef) {
+  // ============================================
+  // 1. "sending" にして取り出す（同じメールを2か所で送らないように）
+  // ============================================
+  const claimed = await db.runTransaction(async (transaction) => {
+    const mail = (await transaction.get(mailRef)).data();
+    const now = Date.now();
+    if (!isDue(mail, now)) {
+      return null;
+    }
+    const attempts = (Number(mail.attempts) || 0) + 1;
+    // "sending" に変えると "awaiting_ticket" だったことが分からなくなるので、最初に取り出した時に残す
+    const withTickets = mail.withTickets ?? mail.status === AWAITING_TICKET_STATUS;
+    transaction.update(mailRef, {
+      status: "sending",
+      attempts,
+      lastAttemptAt: Timestamp.fromMillis(now),
+      withTickets,
+    });
+    return { mail, attempts, withTickets };
+  });
+  if (!claimed) {
+    return null;
+  }
+  const { mail, attempts, withTickets } = claimed;
+
+  // ============================================
+  // 2. 宛先を確認し、送信して、結果を記録する
+  // ============================================
+  let transportId = "";
+  try {
+    // 紐づくデータが無い・回数の上限を超えたメールは送り直しても届けてはいけないので、すぐに "failed" にする
+    const linked = await loadLinkedRecords(db, mail);
+    if (attempts === 1) {
+      await assertResendCooldown(db, mail);
+      await countMailForRecords(db, linked.recordKeys);
+    }
+    const { message, ticketError } = await buildMessage(mail, withTickets, linked);
+    if (ticketError) {
+      console.error("メールへのチケットの追加に失敗しました:", mailRef.id, ticketError);
+    }
+
+    const transport = getMailTransport();
+    transportId = transport.id;
+    const { messageId } = await transport.send(message);
+    await mailRef.update({
+      status: "sent",
+      sentAt: FieldValue.serverTimestamp(),
+      messageId,
+      transport: transportId,
+      error: null,
+      ...(ticketError ? { ticketError } : {}),
+      nextAttemptAt: FieldValue.delete(),
+    });
+    return "sent";
+  } catch (error) {
+    const failed = isPermanentError(error) || attempts >= MAX_ATTEMPTS;
+    console.error(
+      failed ? "メールを送れませんでした（送り直しません）:" : "メールを送れませんでした（後で送り直します）:",
+      mailRef.id,
+      error.message
+    );
+    await mailRef.update({
+      status: failed ? "failed" : "retry",
+      error: error.message || String(error),
+      ...(transportId ? { transport: transportId } : {}),
+      nextAttemptAt: failed ? FieldValue.delete() : Timestamp.fromMillis(Date.now() + getRetryDelayMs(attempts)),
+    });
+    return failed ? "failed" : "retry";
+  }
+}
+
+/**
+ * 送るべきメールをまとめて送る関数
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @returns {Promise<{ sent: number, retry: number, failed: number }>} 送信後の status ごとの件数
+ *
+ * なぜ "pending"・"awaiting_ticket" も探すか：
+ * - 作成時のトリガーが動かなかった（エミュレーターで Functions を起動していなかったなど）メールも送るため
+ *
+ * なぜ nextAttemptAt を条件にして探さないか：
+ * - status と nextAttemptAt の両方で探すには複合インデックスが必要になるため（件数は少ないので取り出した後で絞る）
+ */
+export async function processDueMail(db) {
+  const snapshots = await Promise.all(
+    ["pending", AWAITING_TICKET_STATUS, "retry", "sending"].map((status) =>
+      db.collection("mailQueue").where("status", "==", status).limit(BATCH_SIZE).get()
+    )
+  );
+  const now = Date.now();
+  const dueDocs = snapshots.flatMap((snapshot) => snapshot.docs).filter((mailDoc) => isDue(mailDoc.data(), now));
+
+  const counts = { sent: 0, retry: 0, failed: 0 };
+  // なぜ1通ずつ送るか：SMTPサーバーに同時に多くの接続を開かないようにするため
+  for (const mailDoc of dueDocs) {
+    const status = await deliverQueuedMail(db, mailDoc.ref);
+    if (status) {
+      counts[status] += 1;
+    }
+  }
+  return counts;
+}
+
+/**
+ * mailQueue のメールが送信待ちになったら送る関数（作成時・更新時に動く）
+ *
+ * 対象：
+ * - "pending" で作成されたメール（キャンセルの受付・キャンセル待ちの登録など）
+ * - "awaiting_ticket" で作成されたメール（チケットを載せる予約確認メールなど。送る時にチケットを追加する）
+ *
+ * 送信状況の更新（"sending" → "sent" など）でも動くが、送信待ちに変わった場合以外は何もしない
+ */
+export const deliverMail = onDocumentWritten(
+  { document: "mailQueue/{mailId}", secrets: [SMTP_PASSWORD, TICKET_SIGNING_SECRET] },
+  async (event) => {
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    const isWaiting = after?.status === "pending" || after?.status === AWAITING_TICKET_STATUS;
+    if (!isWaiting || before?.status === after.status) {
+      return;
+    }
+    await deliverQueuedMail(getFirestore(), event.data.after.ref);
+  }
+);
+
+/**
+ * 送れなかったメールを送り直す関数（5分ごとに動く）
+ *
+ * エミュレーターでは定期実行されないため、開発中は functions/scripts/processMailQueue.js を使う
+ */
+export const retryMailQueue = onSchedule(
+  { schedule: "every 5 minutes", secrets: [SMTP_PASSWORD, TICKET_SIGNING_SECRET] },
+  async () => {
+    const counts = await processDueMail(getFirestore());
+    if (counts.sent + counts.retry + counts.failed > 0) {
+      console.log("メールの送り直しが終わりました:", counts);
+    }
+  }
+);
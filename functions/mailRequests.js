@@ -0,0 +1,30 @@
+/**
+ * ============================================
+ * mailRequests.js - mailQueueに積むメールの送信依頼（Cloud Functions 側）
+ * ============================================
+ *
+ * 予約・キャンセル待ち・抽選の申込の関数が、書き込みと同じトランザクションで
+ * mailQueue に積む送信依頼を組み立てます（画面の src/utils/mailRequests.js と同じ形）。
+ * 送信依頼を積むと、functions/mailDelivery.js の deliverMail が宛先・文面を作って送ります。
+ */
+
+import { FieldValue } from "firebase-admin/firestore";
+import { getMailRequestStatus } from "./shared/mailRequestUtils.js";
+
+export { MAIL_TYPES } from "./shared/mailRequestUtils.js";
+
+/**
+ * mailQueueに保存する送信依頼を組み立てる関数
+ *
+ * @param {string} type - メールの種類（MAIL_TYPES）
+ * @param {Object} [links] - 紐づくデータ（reservationId・reservationIds・waitlistEntryId・lotteryApplicationId・historyIndex）
+ * @returns {Object} mailQueueに保存する送信依頼
+ */
+export function buildMailRequest(type, links = {}) {
+  return {
+    type,
+    ...links,
+    status: getMailRequestStatus(type),
+    createdAt: FieldValue.serverTimestamp(),
+  };
+}
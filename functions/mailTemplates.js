@@ -0,0 +1,610 @@
+/**
+ * ============================================
+ * mailTemplates.js - mailQueue のメールの文面
+ * ============================================
+ *
+ * mailQueue の送信依頼（メールの種類と、紐づく予約などのID）から、件名・本文を作る関数群です。
+ * functions/mailDelivery.js が、送る時点の予約・キャンセル待ち・抽選の申込のデータで文面を作ります。
+ *
+ * 【なぜ文面を1か所にまとめるか】
+ * - 予約フォーム・キャンセル待ちの繰り上げなど、複数の画面・処理から同じ形式のメールを送るため
+ * - 文面を修正するときに、この1ファイルだけ直せば済むようにするため
+ *
+ * 【なぜ画面で作った件名・本文を使わないか】
+ * - mailQueue は劇団の画面から作成できるため、画面の文面をそのまま送ると、予約に紐づけさえすれば
+ *   好きな内容のメール（別のサイトへのリンクなど）を予約者に送れてしまうため
+ *   （画面は mailQueue に type と予約などのIDだけを書き込む。src/utils/mailRequests.js）
+ *
+ * 【送る時点のデータで作るもの】
+ * - 予約変更・一部キャンセルの「変更前」「キャンセルした分」は、予約の変更履歴（history）の
+ *   historyIndex 番目から作る（送信依頼を作ったトランザクションで追加した履歴）
+ * - キャンセルの締め切り・ポリシーの文章は、送る時点の公演データから作る
+ *
+ * 予約の日時が決まる・変わる・取り消されるメールのカレンダーのファイル（.ics）は functions/calendar.js、
+ * 電子チケット（チケットコードとQRコード）は functions/tickets.js が、送る時に追加します。
+ */
+
+import {
+  formatTicketBreakdown,
+  getReservationAttendeeCount,
+  getReservationTotalPrice,
+} from "./shared/ticketUtils.js";
+import { formatSeatLabels } from "./shared/seatMapUtils.js";
+import { formatDateTime, getCancellationPolicy } from "./shared/deadlineUtils.js";
+import { hasAccessibilityRequest, formatAccessibilityRequest } from "./shared/accessibilityUtils.js";
+import { PAYMENT_STATUSES } from "./shared/paymentUtils.js";
+import { REFUND_STATUSES } from "./shared/refundUtils.js";
+import { findStageById } from "./shared/stageUtils.js";
+import { buildCancelUrl, buildPaymentUrl } from "./appUrl.js";
+
+/**
+ * 金額を表示用の文字列にする関数
+ *
+ * @param {number} price - 金額（円）
+ * @returns {string} 例："3,000円"（0円の場合は"無料"）
+ */
+function formatPrice(price) {
+  return price === 0 ? "無料" : `${price.toLocaleString("ja-JP")}円`;
+}
+
+/**
+ * 配慮のご要望の行を組み立てる関数
+ *
+ * @param {Object} reservation - 予約データ（抽選の申込も同じ形）
+ * @returns {string} 例：「配慮のご要望：車椅子スペース 1、同伴者席 1 / 段差の少ない入口を希望」（改行つき。ご要望が無い場合は空文字）
+ *
+ * なぜメールにも載せるか：お客様が、ご要望が正しく伝わったかを確認できるようにするため
+ */
+function buildAccessibilityLine(reservation) {
+  if (!hasAccessibilityRequest(reservation)) {
+    return "";
+  }
+  const text = [formatAccessibilityRequest(reservation), reservation.accessibility.note].filter(Boolean).join(" / ");
+  return `配慮のご要望：${text}\n`;
+}
+
+/**
+ * 予約内容（メール本文の共通部分）を組み立てる関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {string} 【予約内容】ブロックの文字列
+ */
+function buildReservationSummary(reservation) {
+  return `
+【予約内容】
+${reservation.confirmationCode ? `予約番号：${reservation.confirmationCode}\n` : ""}公演名：${reservation.performanceTitle || "タイトル未設定"}
+日時：${reservation.stageDate || ""} ${reservation.stageStart || ""}
+会場：${reservation.venue || ""}
+予約者名：${reservation.name}
+人数：${getReservationAttendeeCount(reservation)}名（${formatTicketBreakdown(reservation)}）
+${reservation.promoCode ? `割引コード：${reservation.promoCode}（-${formatPrice(Number(reservation.discountAmount) || 0)}）\n` : ""}合計金額：${formatPrice(getReservationTotalPrice(reservation))}
+${reservation.paymentStatus === PAYMENT_STATUSES.PAID ? "お支払い：事前決済（お支払い済み）\n" : ""}${reservation.seats?.length ? `座席：${formatSeatLabels(reservation.seats)}\n` : ""}${buildAccessibilityLine(reservation)}${reservation.note ? `備考：${reservation.note}` : ""}
+  `.trim();
+}
+
+/**
+ * キャンセル案内（メール本文の共通部分）を組み立てる関数
+ *
+ * @param {string} cancelToken - 予約のcancelToken
+ * @param {Object} [policy] - キャンセルポリシー（deadlineUtils の getCancellationPolicy の戻り値）
+ * @param {Date|null} [policy.deadline] - キャンセル・変更の締め切り日時
+ * @param {string} [policy.policyText] - キャンセルポリシーの文章
+ * @returns {string} 【キャンセルについて】ブロックの文字列
+ */
+function buildCancelSection(cancelToken, { deadline, policyText } = {}) {
+  return `
+【キャンセルについて】
+キャンセルをご希望の場合は、以下のリンクからお手続きください。
+${buildCancelUrl(cancelToken)}
+${deadline ? `キャンセル・変更の締め切り：${formatDateTime(deadline)}\n` : ""}${policyText ? `${policyText}\n` : ""}
+※このリンクは予約者様のみが使用できます。他の方に共有しないようご注意ください。
+  `.trim();
+}
+
+/**
+ * 予約確認メールを組み立てる関数
+ *
+ * @param {Object} reservation - reservationsに保存した予約データ
+ * @param {Object} [policy] - キャンセルポリシー（{ deadline, policyText }。締め切りをメールに載せる）
+ * @returns {{ subject: string, body: string }} 件名と本文
+ */
+function buildReservationConfirmMail(reservation, policy) {
+  return {
+    subject: `【予約確認】${reservation.performanceTitle || "公演"}のご予約`,
+    body: `
+${reservation.name} 様
+
+この度は、${reservation.performanceTitle || "公演"}のご予約ありがとうございます。
+
+${buildReservationSummary(reservation)}
+
+${buildCancelSection(reservation.cancelToken, policy)}
+
+ご不明な点がございましたら、劇団までお問い合わせください。
+    `.trim(),
+  };
+}
+
+/**
+ * キャンセル待ち受付メールを組み立てる関数
+ *
+ * @param {Object} entry - waitlistEntriesに保存したキャンセル待ちデータ
+ * @returns {{ subject: string, body: string }} 件名と本文
+ */
+function buildWaitlistJoinedMail(entry) {
+  return {
+    subject: `【キャンセル待ち受付】${entry.performanceTitle || "公演"}`,
+    body: `
+${entry.name} 様
+
+${entry.performanceTitle || "公演"}のキャンセル待ちを受け付けました。
+キャンセルが出て席をご用意できた場合は、順番に自動で予約を確定し、このアドレスにお知らせします。
+
+【キャンセル待ち内容】
+公演名：${entry.performanceTitle || "タイトル未設定"}
+日時：${entry.stageDate || ""} ${entry.stageStart || ""}
+会場：${entry.venue || ""}
+人数：${getReservationAttendeeCount(entry)}名（${formatTicketBreakdown(entry)}）
+合計金額：${formatPrice(getReservationTotalPrice(entry))}
+
+※席のご用意をお約束するものではありません。あらかじめご了承ください。
+    `.trim(),
+  };
+}
+
+/**
+ * キャンセル待ちから予約が確定したことを知らせるメールを組み立てる関数
+ *
+ * @param {Object} reservation - 繰り上げで作成した予約データ
+ * @returns {{ subject: string, body: string }} 件名と本文
+ */
+function buildWaitlistPromotedMail(reservation) {
+  return {
+    subject: `【予約確定】${reservation.performanceTitle || "公演"}のキャンセル待ちから予約が確定しました`,
+    body: `
+${reservation.name} 様
+
+${reservation.performanceTitle || "公演"}にキャンセルが出たため、キャンセル待ちから予約を確定しました。
+
+${buildReservationSummary(reservation)}
+
+${buildCancelSection(reservation.cancelToken)}
+
+ご都合が合わなくなった場合は、お早めにキャンセルのお手続きをお願いいたします。
+    `.trim(),
+  };
+}
+
+/**
+ * 事前決済の公演で、キャンセル待ちから繰り上げた予約のお支払いをお願いするメールを組み立てる関数
+ *
+ * @param {Object} reservation - 繰り上げで作成したお支払い待ちの予約データ（paymentExpiresAt はミリ秒）
+ * @returns {{ subject: string, body: string }} 件名と本文
+ *
+ * なぜ予約確定のメールと分けるか：
+ * - お支払いが済むまでは予約が確定していないため、チケットを載せず、お支払いページへのリンクと期限を案内する
+ *   （お支払いが済むと、functions/payments.js が予約確認メールを送る）
+ */
+function buildWaitlistPaymentRequiredMail(reservation) {
+  const expiresAt = Number(reservation.paymentExpiresAt) || 0;
+  return {
+    subject: `【お支払いのお願い】${reservation.performanceTitle || "公演"}のキャンセル待ちから席をご用意しました`,
+    body: `
+${reservation.name} 様
+
+${reservation.performanceTitle || "公演"}にキャンセルが出たため、キャンセル待ちのお客様に席をご用意しました。
+この公演は事前決済のため、以下のリンクからお支払いいただくと予約が確定します。
+
+${buildReservationSummary(reservation)}
+
+【お支払いについて】
+${buildPaymentUrl(reservation.cancelToken)}
+${expiresAt ? `お支払いの期限：${formatDateTime(new Date(expiresAt))}\n` : ""}※期限までにお支払いが無い場合は、ご用意した席を取り消し、次のキャンセル待ちのお客様にお回しします。
+
+ご都合が合わなくなった場合は、お支払いページの「お支払いをやめて予約を取り消す」からお手続きください。
+    `.trim(),
+  };
+}
+
+/**
+ * カートからまとめて予約したときの予約確認メールを組み立てる関数
+ *
+ * @param {Array<Object>} reservations - reservationsに保存した予約データの配列（予約者は全て同じ）
+ * @param {Array<Object>} [policies] - 予約ごとのキャンセルポリシー（reservations と同じ順。{ deadline, policyText }）
+ * @returns {{ subject: string, body: string }} 件名と本文
+ *
+ * なぜ1通にまとめるか：
+ * - 同時に予約した公演の確認メールがばらばらに届くと、予約内容を見比べにくいため
+ * なぜ予約ごとにキャンセル案内を載せるか：
+ * - 予約ごとにcancelTokenが違い、一部の公演だけキャンセルできるようにするため
+ */
+function buildCartConfirmMail(reservations, policies = []) {
+  const [first] = reservations;
+  const sections = reservations.map((reservation, index) => `
+■ ${index + 1}件目
+
+${buildReservationSummary(reservation)}
+
+${buildCancelSection(reservation.cancelToken, policies[index])}
+  `.trim());
+  const grandTotal = reservations.reduce(
+    (sum, reservation) => sum + getReservationTotalPrice(reservation),
+    0
+  );
+
+  return {
+    subject: `【予約確認】${reservations.length}件のご予約`,
+    body: `
+${first.name} 様
+
+この度は、以下の${reservations.length}件のご予約ありがとうございます。
+お支払い合計：${formatPrice(grandTotal)}
+
+${sections.join("\n\n")}
+
+ご不明な点がございましたら、各劇団までお問い合わせください。
+    `.trim(),
+  };
+}
+
+/**
+ * 予約内容の変更確認メールを組み立てる関数
+ *
+ * @param {Object} reservation - 変更後の予約データ
+ * @param {Object} previous - 変更前の予約内容（変更履歴の before。totalPrice は割引後の合計金額）
+ * @param {Object} [policy] - 変更後のステージのキャンセルポリシー（{ deadline, policyText }）
+ * @returns {{ subject: string, body: string }} 件名と本文
+ *
+ * なぜ変更前の内容も載せるか：
+ * - 日時を変えたつもりが人数だけ変わっていた、などの間違いにお客様がすぐ気づけるようにするため
+ */
+function buildReservationChangedMail(reservation, previous, policy) {
+  return {
+    subject: `【予約変更】${reservation.performanceTitle || "公演"}のご予約内容を変更しました`,
+    body: `
+${reservation.name} 様
+
+${reservation.performanceTitle || "公演"}のご予約内容を、以下のとおり変更しました。
+
+【変更前】
+日時：${previous.stageDate || ""} ${previous.stageStart || ""}
+人数：${getReservationAttendeeCount(previous)}名（${formatTicketBreakdown(previous)}）
+${previous.seats?.length ? `座席：${formatSeatLabels(previous.seats)}\n` : ""}合計金額：${formatPrice(Number(previous.totalPrice) || 0)}
+
+${buildReservationSummary(reservation).replace("【予約内容】", "【変更後の予約内容】")}
+
+${buildCancelSection(reservation.cancelToken, policy)}
+
+※このリンクから、締め切りまでは再度ご予約内容を変更できます。
+    `.trim(),
+  };
+}
+
+/**
+ * 一部キャンセルのお知らせメールを作る関数
+ *
+ * @param {Object} reservation - 一部キャンセル後の予約データ（cancelTokenを含む）
+ * @param {Array} cancelledTickets - キャンセルした券種の内訳（[{ name, quantity }]）
+ * @param {Object} [policy] - キャンセルポリシー（{ deadline, policyText }）
+ * @returns {{ subject: string, body: string }} 件名と本文
+ */
+function buildPartialCancelMail(reservation, cancelledTickets, policy) {
+  const cancelledText = cancelledTickets.map((ticket) => `${ticket.name} ${ticket.quantity}枚`).join("、");
+  return {
+    subject: `【一部キャンセル】${reservation.performanceTitle || "公演"}のご予約の一部をキャンセルしました`,
+    body: `
+${reservation.name} 様
+
+${reservation.performanceTitle || "公演"}のご予約のうち、以下をキャンセルしました。
+
+【キャンセルした分】
+${cancelledText}
+
+${buildReservationSummary(reservation).replace("【予約内容】", "【キャンセル後の予約内容】")}
+
+${buildCancelSection(reservation.cancelToken, policy)}
+    `.trim(),
+  };
+}
+
+/**
+ * キャンセルの受付をお知らせするメールを組み立てる関数（お客様が予約を全部キャンセルした場合）
+ *
+ * @param {Object} reservation - キャンセルした予約データ（お支払い済みの予約は refundStatus, refundAmount を含む）
+ * @returns {{ subject: string, body: string }} 件名と本文
+ *
+ * なぜキャンセルでもメールを送るか：
+ * - カレンダーに追加した予定を取り消すファイル（.ics）を届けるため
+ * - 返金がある場合に、返金額をお客様の手元に残すため
+ */
+function buildReservationCancelledMail(reservation) {
+  const refundText = reservation.refundStatus === REFUND_STATUSES.DUE
+    ? `お支払いいただいた金額のうち、${formatPrice(Number(reservation.refundAmount) || 0)}を返金いたします。\n返金の手続きが済みましたら、改めてメールでお知らせします。\n\n`
+    : reservation.refundStatus === REFUND_STATUSES.NOT_REFUNDABLE
+      ? "返金ポリシーにより、今回のキャンセルでは返金はございません。\n\n"
+      : "";
+  return {
+    subject: `【キャンセル受付】${reservation.performanceTitle || "公演"}のご予約をキャンセルしました`,
+    body: `
+${reservation.name} 様
+
+${reservation.performanceTitle || "公演"}のご予約のキャンセルを承りました。
+
+${buildReservationSummary(reservation).replace("【予約内容】", "【キャンセルした予約】")}
+
+${refundText}またのご予約をお待ちしております。
+    `.trim(),
+  };
+}
+
+/**
+ * 抽選の希望日時（メール本文の共通部分）を組み立てる関数
+ *
+ * @param {Object} application - lotteryApplicationsに保存した抽選の申込
+ * @returns {string} 例：「第1希望：2025-12-03 14:00\n第2希望：2025-12-04 18:00」
+ */
+function buildLotteryPreferences(application) {
+  return (application.preferences || [])
+    .map((preference, index) => `第${index + 1}希望：${preference.stageDate || ""} ${preference.stageStart || ""}`)
+    .join("\n");
+}
+
+/**
+ * 抽選の申込受付メールを組み立てる関数
+ *
+ * @param {Object} application - lotteryApplicationsに保存した抽選の申込
+ * @returns {{ subject: string, body: string }} 件名と本文
+ */
+function buildLotteryAppliedMail(application) {
+  return {
+    subject: `【抽選申込受付】${application.performanceTitle || "公演"}`,
+    body: `
+${application.name} 様
+
+${application.performanceTitle || "公演"}の抽選のお申し込みを受け付けました。
+抽選の結果は、申込期間の終了後にこのアドレスにお知らせします。
+
+【お申し込み内容】
+公演名：${application.performanceTitle || "タイトル未設定"}
+${buildLotteryPreferences(application)}
+会場：${application.venue || ""}
+人数：${getReservationAttendeeCount(application)}名（${formatTicketBreakdown(application)}）
+合計金額：${formatPrice(getReservationTotalPrice(application))}
+${buildAccessibilityLine(application)}
+※まだご予約は確定していません。当選した場合のみ、ご予約が確定します。
+    `.trim(),
+  };
+}
+
+/**
+ * 抽選の当選（予約確定）をお知らせするメールを組み立てる関数
+ *
+ * @param {Object} reservation - 当選で作成した予約データ
+ * @param {Object} [policy] - キャンセルポリシー（{ deadline, policyText }）
+ * @returns {{ subject: string, body: string }} 件名と本文
+ */
+function buildLotteryWonMail(reservation, policy) {
+  return {
+    subject: `【当選・予約確定】${reservation.performanceTitle || "公演"}の抽選結果`,
+    body: `
+${reservation.name} 様
+
+${reservation.performanceTitle || "公演"}の抽選の結果、ご当選されましたのでお知らせします。
+以下の内容でご予約を確定しました。
+
+${buildReservationSummary(reservation)}
+
+${buildCancelSection(reservation.cancelToken, policy)}
+
+ご都合が合わなくなった場合は、お早めにキャンセルのお手続きをお願いいたします。
+    `.trim(),
+  };
+}
+
+/**
+ * 抽選の落選をお知らせするメールを組み立てる関数
+ *
+ * @param {Object} application - lotteryApplicationsに保存した抽選の申込
+ * @returns {{ subject: string, body: string }} 件名と本文
+ */
+function buildLotteryLostMail(application) {
+  return {
+    subject: `【抽選結果】${application.performanceTitle || "公演"}の抽選結果のお知らせ`,
+    body: `
+${application.name} 様
+
+${application.performanceTitle || "公演"}の抽選にお申し込みいただき、ありがとうございました。
+厳正な抽選の結果、誠に残念ながら今回はご希望に添えませんでした。
+
+【お申し込み内容】
+${buildLotteryPreferences(application)}
+人数：${getReservationAttendeeCount(application)}名（${formatTicketBreakdown(application)}）
+
+残った席がある場合は、抽選の後に先着順で予約を受け付けます。公演ページをご確認ください。
+    `.trim(),
+  };
+}
+
+/**
+ * ステージの中止をお知らせするメールを組み立てる関数
+ *
+ * @param {Object} reservation - 取り消した予約データ（お支払い済みの予約は refundStatus, refundAmount を含む）
+ * @returns {{ subject: string, body: string }} 件名と本文
+ */
+function buildStageCancelledMail(reservation) {
+  const refundText = reservation.refundStatus === REFUND_STATUSES.DUE
+    ? `お支払いいただいた${formatPrice(Number(reservation.refundAmount) || 0)}は、全額を返金いたします。\n返金の手続きが済みましたら、改めてメールでお知らせします。\n\n`
+    : "";
+  return {
+    subject: `【公演中止】${reservation.performanceTitle || "公演"}の公演中止のお知らせ`,
+    body: `
+${reservation.name} 様
+
+誠に申し訳ございませんが、ご予約いただいていた以下の公演は中止となりました。
+ご予約は取り消しましたので、キャンセルのお手続きは必要ありません。
+
+${buildReservationSummary(reservation)}
+
+${refundText}ご迷惑をおかけし、誠に申し訳ございません。ご不明な点がございましたら、劇団までお問い合わせください。
+    `.trim(),
+  };
+}
+
+/**
+ * 返金が済んだことをお知らせするメールを組み立てる関数
+ *
+ * @param {Object} reservation - 返金した予約データ（refundAmount を含む）
+ * @returns {{ subject: string, body: string }} 件名と本文
+ */
+function buildRefundNoticeMail(reservation) {
+  return {
+    subject: `【返金のお知らせ】${reservation.performanceTitle || "公演"}のご予約の返金`,
+    body: `
+${reservation.name} 様
+
+キャンセルされたご予約の返金の手続きが完了しました。
+
+【返金内容】
+${reservation.confirmationCode ? `予約番号：${reservation.confirmationCode}\n` : ""}公演名：${reservation.performanceTitle || "タイトル未設定"}
+日時：${reservation.stageDate || ""} ${reservation.stageStart || ""}
+お支払い金額：${formatPrice(getReservationTotalPrice(reservation))}
+返金額：${formatPrice(Number(reservation.refundAmount) || 0)}
+
+お支払いに使われたカードなどへの返金の反映には、カード会社によって数日〜1か月ほどかかる場合があります。
+ご不明な点がございましたら、劇団までお問い合わせください。
+    `.trim(),
+  };
+}
+
+// ============================================
+// 送信依頼から文面を作る
+// ============================================
+
+/**
+ * 予約の変更履歴から、送信依頼の変更を取り出す関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @param {number} [historyIndex] - 送信依頼の historyIndex（変更履歴の何番目か。無い場合は最後の変更）
+ * @returns {Object|null} 変更履歴の1件（{ type, before, after, ... }。見つからない場合はnull）
+ */
+function findHistoryEntry(reservation, historyIndex) {
+  const history = Array.isArray(reservation.history) ? reservation.history : [];
+  const index = Number.isInteger(historyIndex) ? historyIndex : history.length - 1;
+  return history[index] || null;
+}
+
+/**
+ * 変更履歴の1件から、キャンセルした券種の内訳を返す関数
+ *
+ * @param {Object} change - 変更履歴の1件（before・after の tickets は [{ typeId, name, quantity }]）
+ * @returns {Array<{ name: string, quantity: number }>} 減った枚数（減っていない券種は含めない）
+ */
+function getCancelledTickets(change) {
+  const remaining = new Map((change.after?.tickets || []).map((ticket) => [ticket.typeId, Number(ticket.quantity) || 0]));
+  return (change.before?.tickets || [])
+    .map((ticket) => ({ name: ticket.name, quantity: (Number(ticket.quantity) || 0) - (remaining.get(ticket.typeId) || 0) }))
+    .filter((ticket) => ticket.quantity > 0);
+}
+
+/**
+ * メールの種類ごとの文面の作り方
+ *
+ * 各関数は { mail, reservations, record, getPolicy } を受け取る
+ * - mail: mailQueue のデータ / reservations: 紐づく予約（reservationIds の順）
+ * - record: 紐づくキャンセル待ち・抽選の申込 / getPolicy: 予約からキャンセルポリシーを返す関数
+ * - requires: 文面を作るのに必要な紐づくデータ（"reservation" / "record"）
+ */
+const MAIL_RENDERERS = {
+  "reservation-confirm": {
+    requires: "reservation",
+    // カートからまとめて予約した場合（予約が2件以上）は1通にまとめる
+    render: ({ reservations, getPolicy }) => (reservations.length > 1
+      ? buildCartConfirmMail(reservations, reservations.map(getPolicy))
+      : buildReservationConfirmMail(reservations[0], getPolicy(reservations[0]))),
+  },
+  "waitlist-joined": {
+    requires: "record",
+    render: ({ record }) => buildWaitlistJoinedMail(record),
+  },
+  "waitlist-promoted": {
+    requires: "reservation",
+    render: ({ reservations }) => buildWaitlistPromotedMail(reservations[0]),
+  },
+  "waitlist-payment-required": {
+    requires: "reservation",
+    render: ({ reservations }) => buildWaitlistPaymentRequiredMail(reservations[0]),
+  },
+  "reservation-changed": {
+    requires: "reservation",
+    render: ({ mail, reservations, getPolicy }) => {
+      const change = findHistoryEntry(reservations[0], mail.historyIndex);
+      return change ? buildReservationChangedMail(reservations[0], change.before, getPolicy(reservations[0])) : null;
+    },
+  },
+  "reservation-partially-cancelled": {
+    requires: "reservation",
+    render: ({ mail, reservations, getPolicy }) => {
+      const change = findHistoryEntry(reservations[0], mail.historyIndex);
+      return change
+        ? buildPartialCancelMail(reservations[0], getCancelledTickets(change), getPolicy(reservations[0]))
+        : null;
+    },
+  },
+  "reservation-cancelled": {
+    requires: "reservation",
+    render: ({ reservations }) => buildReservationCancelledMail(reservations[0]),
+  },
+  "lottery-applied": {
+    requires: "record",
+    render: ({ record }) => buildLotteryAppliedMail(record),
+  },
+  "lottery-won": {
+    requires: "reservation",
+    render: ({ reservations, getPolicy }) => buildLotteryWonMail(reservations[0], getPolicy(reservations[0])),
+  },
+  "lottery-lost": {
+    requires: "record",
+    render: ({ record }) => buildLotteryLostMail(record),
+  },
+  "stage-cancelled": {
+    requires: "reservation",
+    render: ({ reservations }) => buildStageCancelledMail(reservations[0]),
+  },
+  "refund-notice": {
+    requires: "reservation",
+    render: ({ reservations }) => buildRefundNoticeMail(reservations[0]),
+  },
+  // マイ予約のログイン用リンク：functions/myReservations.js（Admin SDK）だけが作るので、保存した文面を使う
+  // （firestore.rules で、画面からはこの種類・subject・body を書き込めないようにしている）
+  "my-reservations-link": {
+    requires: "record",
+    render: ({ mail }) => ({ subject: String(mail.subject || ""), body: String(mail.body || "") }),
+  },
+};
+
+/**
+ * 送信依頼と、送る時点の紐づくデータから、件名・本文を作る関数
+ *
+ * @param {Object} mail - mailQueue のデータ（type, historyIndex など）
+ * @param {Object} linked - 紐づくデータ
+ * @param {Array<Object>} linked.reservations - 紐づく予約（reservationIds の順）
+ * @param {Object|null} linked.record - 紐づくキャンセル待ち・抽選の申込・ログイン用リンク
+ * @param {Map<string, Object>} linked.performances - 予約の公演ID → 公演データ（キャンセルポリシーに使う）
+ * @returns {{ subject: string, body: string }|null} 件名と本文（種類が分からない・紐づくデータが足りない場合はnull）
+ */
+export function renderMail(mail, { reservations, record, performances }) {
+  const renderer = MAIL_RENDERERS[mail.type];
+  if (!renderer) {
+    return null;
+  }
+  if (renderer.requires === "reservation" ? reservations.length === 0 : !record) {
+    return null;
+  }
+  // 公演・ステージが削除された予約は、締め切りを載せずに送る
+  const getPolicy = (reservation) => {
+    const performance = performances.get(reservation.performanceId);
+    const stage = performance ? findStageById(performance.stages, reservation.stageId) : null;
+    return stage ? getCancellationPolicy(performance, stage) : undefined;
+  };
+  return renderer.render({ mail, reservations, record, getPolicy });
+}
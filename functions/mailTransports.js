@@ -0,0 +1,92 @@
+/**
+ * ============================================
+ * mailTransports.js - メールの送信方法（SMTP・ログへの出力）
+ * ============================================
+ *
+ * mailQueue のメールを実際に送る「送信方法」を定義するファイルです。
+ * どの送信方法を使うかは functions/.env の MAIL_TRANSPORT で選びます（未設定は "smtp"）。
+ *
+ * 【送信方法の形】
+ * 送信方法は、次のプロパティ・関数を持つオブジェクトです。
+ *   - id: 送信方法の種類（mailQueue の transport に保存する）
+ *   - send(message) → Promise<{ messageId }>
+ *       message は nodemailer の形（from, to, subject, text, html, attachments）
+ *       送れなかった場合はエラーを投げる（SMTPサーバーの応答コードがある場合は error.responseCode）
+ *
+ * なぜ送信方法を差し替えられるようにするか：
+ * - 開発中はローカルのSMTPキャッチャー（Mailpit など）やログに送り、本番だけ実際のSMTPサーバーを使うため
+ * - SMTP以外のメール配信サービスに変える場合に、送信の処理（mailDelivery.js）を書き換えずに済むようにするため
+ *
+ * 【SMTPの設定】（functions/.env）
+ *   - SMTP_HOST（既定 "localhost"）, SMTP_PORT（既定 1025：Mailpit・MailHog の既定のポート）
+ *   - SMTP_SECURE（"true" で最初からTLSで接続する。465番ポートの場合）
+ *   - SMTP_USER（認証が無いSMTPキャッチャーの場合は空）
+ *   - パスワードは Secret Manager の SMTP_PASSWORD（エミュレーターでは functions/.secret.local に書く）
+ */
+
+import nodemailer from "nodemailer";
+import { defineSecret } from "firebase-functions/params";
+
+export const SMTP_PASSWORD = defineSecret("SMTP_PASSWORD");
+
+// nodemailer の transporter（同じインスタンスで続けて送る場合に、接続の設定を毎回作らずに済むように使い回す）
+let smtpTransporter = null;
+
+/**
+ * SMTPで送る送信方法（ローカルのSMTPキャッチャーにも、本番のSMTPサーバーにも使う）
+ */
+export const smtpMailTransport = {
+  id: "smtp",
+  async send(message) {
+    if (!smtpTransporter) {
+      const user = process.env.SMTP_USER || "";
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || "localhost",
+        port: Number(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === "true",
+        // SMTPキャッチャーは認証が無いので、ユーザー名が無い場合は認証しない
+        ...(user ? { auth: { user, pass: SMTP_PASSWORD.value() } } : {}),
+      });
+    }
+    const info = await smtpTransporter.sendMail(message);
+    return { messageId: info.messageId || "" };
+  },
+};
+
+/**
+ * 送らずにログへ出力する送信方法（SMTPサーバーを用意できない環境での動作確認用）
+ */
+export const logMailTransport = {
+  id: "log",
+  async send(message) {
+    console.log("【メールの送信（ログのみ）】", {
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      attachments: (message.attachments || []).map((attachment) => attachment.filename),
+    });
+    return { messageId: `log-${Date.now()}` };
+  },
+};
+
+// 使える送信方法（id -> 送信方法）
+// メール配信サービスを追加する場合は、同じ形のオブジェクトを作ってここに登録する
+export const MAIL_TRANSPORTS = {
+  [smtpMailTransport.id]: smtpMailTransport,
+  [logMailTransport.id]: logMailTransport,
+};
+
+/**
+ * 使う送信方法を返す関数
+ *
+ * @returns {Object} 送信方法（MAIL_TRANSPORT で指定したもの。未設定はSMTP）
+ * @throws {Error} 指定した送信方法が登録されていない場合
+ */
+export function getMailTransport() {
+  const transportId = process.env.MAIL_TRANSPORT || smtpMailTransport.id;
+  const transport = MAIL_TRANSPORTS[transportId];
+  if (!transport) {
+    throw new Error(`メールの送信方法「${transportId}」が見つかりません。`);
+  }
+  return transport;
+}
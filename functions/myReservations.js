@@ -0,0 +1,309 @@
+/**
+ * ============================================
+ * myReservations.js - 観客の「マイ予約」（メールのログイン用リンク）
+ * ============================================
+ *
+ * アカウントを持たない観客が、メールアドレスに届く1回きりのログイン用リンクから、
+ * そのメールアドレスの予約（劇団・公演をまたいで全て）を一覧で確認するための関数群です。
+ * アカウントが無くても予約できることは変わりません（このページを使うかどうかはお客様が選べます）。
+ *
+ * 主な機能：
+ * 1. requestMyReservationsLink：メールアドレス宛てに、ログイン用リンクを mailQueue で送る
+ * 2. openMyReservationsLink：ログイン用リンクを使用済みにして、一覧を見るためのセッションを発行する
+ * 3. listMyReservations：セッションのメールアドレスの予約を一覧で返す
+ * 4. signOutMyReservations：セッションを削除する（ログアウト）
+ *
+ * 【保存するデータ】（どちらも Cloud Functions だけが読み書きする）
+ * myReservationLinks/{リンクのトークンのハッシュ値}
+ *   - email, emailKey, used, expiresAt（LINK_EXPIRES_MS）, createdAt, usedAt
+ * myReservationSessions/{セッションのトークンのハッシュ値}
+ *   - email, emailKey, expiresAt（SESSION_EXPIRES_MS）, createdAt
+ *
+ * なぜトークンそのものではなくハッシュ値をIDにするか：
+ * - Firestoreのデータが見えてしまった場合でも、リンク・セッションを使えないようにするため
+ *
+ * なぜ予約の一覧をFirestoreから直接読ませないか：
+ * - メールアドレスで予約を探せるようにすると、他人のメールアドレスを入れるだけで予約を見られてしまうため
+ *   （メールを受け取れた方だけが、セッションを通して一覧を見られる）
+ * - 予約の読み取りは firestore.rules で公演の劇団だけに許可しているため、観客の画面は予約を直接読めない
+ *   （この関数は Admin SDK で読むため、ルールを通らない。cancelToken・予約番号での照会は reservationLookup.js）
+ */
+
+import { randomBytes } from "node:crypto";
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { getFirestore, FieldValue, Timestamp } from "firebase-admin/firestore";
+import { hashValue, getClientIp, pruneTimestamps } from "./requestUtils.js";
+import { APP_BASE_URL } from "./appUrl.js";
+
+// ログイン用リンクの有効期限（30分。メールが届くまでの時間を考えて少し長めにする）
+const LINK_EXPIRES_MS = 30 * 60 * 1000;
+
+// 一覧を見るセッションの有効期限（24時間）
+const SESSION_EXPIRES_MS = 24 * 60 * 60 * 1000;
+
+// 1時間（requestUtils.js の RATE_LIMIT_WINDOW_MS）に、同じメールアドレス・同じIPアドレスからリンクを送れる回数の上限
+// （functions/.env で変えられる。いたずらで大量のメールが送られないようにするため）
+const MAX_LINKS_PER_EMAIL = Number(process.env.MAX_MY_RESERVATIONS_LINKS_PER_EMAIL) || 5;
+const MAX_LINKS_PER_IP = Number(process.env.MAX_MY_RESERVATIONS_LINKS_PER_IP) || 20;
+
+// メールアドレスの形（予約フォームと同じく、おおまかに確認する）
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * メールアドレスの予約を全て読み込む関数
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {Object} params
+ * @param {string} params.email - メールアドレス（小文字にしたもの）
+ * @param {string} params.emailKey - メールアドレスのハッシュ値
+ * @returns {Promise<Array<QueryDocumentSnapshot>>} 予約のドキュメント（重複なし）
+ *
+ * なぜ email でも探すか：
+ * - emailKey の無い予約（件数の制限を入れる前の予約）も一覧に出すため
+ */
+async function findReservationDocs(db, { email, emailKey }) {
+  const [byKey, byEmail] = await Promise.all([
+    db.collection("reservations").where("emailKey", "==", emailKey).get(),
+    db.collection("reservations").where("email", "==", email).get(),
+  ]);
+  const docs = new Map();
+  [...byKey.docs, ...byEmail.docs].forEach((reservationDoc) => docs.set(reservationDoc.id, reservationDoc));
+  return [...docs.values()];
+}
+
+/**
+ * 一覧に表示する予約の項目だけを取り出す関数
+ *
+ * @param {QueryDocumentSnapshot} reservationDoc - 予約のドキュメント
+ * @returns {Object} 予約の内容（id と cancelToken を含む。日時の型の項目・変更履歴などは含まない）
+ *
+ * なぜ cancelToken を返すか：
+ * - 一覧から、予約確認ページ・キャンセル/変更ページ（どちらも cancelToken で開く）へ進めるようにするため
+ */
+function pickReservationFields(reservationDoc) {
+  const reservation = reservationDoc.data();
+  return {
+    id: reservationDoc.id,
+    cancelToken: reservation.cancelToken || "",
+    confirmationCode: reservation.confirmationCode || "",
+    performanceId: reservation.performanceId || "",
+    performanceTitle: reservation.performanceTitle || "",
+    troupeName: reservation.troupeName || "",
+    stageId: reservation.stageId ?? null,
+    stageDate: reservation.stageDate || "",
+    stageStart: reservation.stageStart || "",
+    stageEnd: reservation.stageEnd || "",
+    venue: reservation.venue || "",
+    address: reservation.address || "",
+    name: reservation.name || "",
+    tickets: reservation.tickets ?? null,
+    people: reservation.people ?? null,
+    price: reservation.price ?? null,
+    discountAmount: reservation.discountAmount ?? null,
+    seats: reservation.seats || [],
+    status: reservation.status || "",
+    paymentStatus: reservation.paymentStatus || "",
+    refundStatus: reservation.refundStatus || "",
+    refundAmount: reservation.refundAmount ?? null,
+    cancelledByTroupe: reservation.cancelledByTroupe === true,
+    checkedIn: reservation.checkedIn === true,
+  };
+}
+
+/**
+ * セッションのトークンを確認する関数
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {string} sessionToken - セッションのトークン
+ * @returns {Promise<{ ref: DocumentReference, email: string, emailKey: string }>} セッション
+ *
+ * エラー（HttpsError）：
+ * - セッションが無い・期限切れ：unauthenticated（画面ではメールアドレスの入力に戻す）
+ */
+async function getSession(db, sessionToken) {
+  if (!sessionToken) {
+    throw new HttpsError("unauthenticated", "ログインの期限が切れました。もう一度メールアドレスを入力してください。");
+  }
+  const sessionRef = db.collection("myReservationSessions").doc(hashValue(String(sessionToken)));
+  const session = (await sessionRef.get()).data();
+  if (!session || session.expiresAt.toMillis() <= Date.now()) {
+    throw new HttpsError("unauthenticated", "ログインの期限が切れました。もう一度メールアドレスを入力してください。");
+  }
+  return { ref: sessionRef, email: session.email, emailKey: session.emailKey };
+}
+
+/**
+ * ログイン用リンクをメールで送る関数（httpsCallable で呼ぶ）
+ *
+ * 受け取る値（request.data）：
+ * - email: メールアドレス
+ *
+ * 返す値：{ sent: true }（予約が無いメールアドレスの場合も同じ）
+ *
+ * なぜ予約が無い場合も同じ値を返すか：
+ * - 他人のメールアドレスで予約があるかどうかを探れないようにするため
+ *   （予約が無いメールアドレスにはメールを送らない。いたずらで知らない方にメールが届かないようにする）
+ *
+ * エラー（HttpsError）：
+ * - メールアドレスの形が正しくない：invalid-argument
+ * - 回数の上限を超えた：resource-exhausted
+ */
+export const requestMyReservationsLink = onCall(async (request) => {
+  const db = getFirestore();
+  const email = String(request.data?.email || "").trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) {
+    throw new HttpsError("invalid-argument", "メールアドレスを正しく入力してください。");
+  }
+  const emailKey = hashValue(email);
+  const ipKey = hashValue(getClientIp(request.rawRequest));
+
+  // ============================================
+  // 1. 回数制限（メールアドレス・IPアドレス）
+  // ============================================
+  // 予約パスの回数（rateLimits の ip__ / email__）とは別に数える
+  const emailLimitRef = db.collection("rateLimits").doc(`my_reservations_email__${emailKey}`);
+  const ipLimitRef = db.collection("rateLimits").doc(`my_reservations_ip__${ipKey}`);
+  const limited = await db.runTransaction(async (transaction) => {
+    const [emailSnap, ipSnap] = await Promise.all([transaction.get(emailLimitRef), transaction.get(ipLimitRef)]);
+    const now = Date.now();
+    const emailTimestamps = pruneTimestamps(emailSnap.data()?.timestamps, now);
+    const ipTimestamps = pruneTimestamps(ipSnap.data()?.timestamps, now);
+    if (emailTimestamps.length >= MAX_LINKS_PER_EMAIL || ipTimestamps.length >= MAX_LINKS_PER_IP) {
+      return true;
+    }
+    transaction.set(emailLimitRef, { timestamps: [...emailTimestamps, now] });
+    transaction.set(ipLimitRef, { timestamps: [...ipTimestamps, now] });
+    return false;
+  });
+  if (limited) {
+    throw new HttpsError("resource-exhausted", "短い時間に何度も送信されたため、しばらくしてからお試しください。");
+  }
+
+  // ============================================
+  // 2. 予約があるメールアドレスにだけ、ログイン用リンクを送る
+  // ============================================
+  const reservationDocs = await findReservationDocs(db, { email, emailKey });
+  if (reservationDocs.length === 0) {
+    return { sent: true };
+  }
+
+  const linkToken = randomBytes(32).toString("base64url");
+  const linkId = hashValue(linkToken);
+  const linkUrl = `${APP_BASE_URL}/my-reservations?link=${linkToken}`;
+  const batch = db.batch();
+  batch.set(db.collection("myReservationLinks").doc(linkId), {
+    email,
+    emailKey,
+    used: false,
+    expiresAt: Timestamp.fromMillis(Date.now() + LINK_EXPIRES_MS),
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  batch.set(db.collection("mailQueue").doc(), {
+    type: "my-reservations-link",
+    to: email,
+    subject: "【ログイン用リンク】ご予約の一覧",
+    body: `
+ご予約の一覧を表示するためのリンクをお送りします。
+以下のリンクを${LINK_EXPIRES_MS / 60 / 1000}分以内に開いてください（リンクは1回だけ使えます）。
+${linkUrl}
+
+一覧では、このメールアドレスでご予約いただいた公演（劇団をまたいで全て）の確認と、キャンセル・変更のお手続きができます。
+
+※このリンクは受け取った方のみが使用できます。他の方に共有しないようご注意ください。
+※お心当たりの無い場合は、このメールを破棄してください。
+    `.trim(),
+    status: "pending",
+    createdAt: FieldValue.serverTimestamp(),
+    // 送信前に、宛先がリンクのメールアドレスと一致するかを確認するため（functions/mailDelivery.js）
+    myReservationLinkId: linkId,
+  });
+  await batch.commit();
+
+  return { sent: true };
+});
+
+/**
+ * ログイン用リンクを使って、一覧を見るセッションを発行する関数（httpsCallable で呼ぶ）
+ *
+ * 受け取る値（request.data）：
+ * - linkToken: メールのリンクに含まれるトークン
+ *
+ * 返す値：{ sessionToken, email, expiresAt }（expiresAt はミリ秒）
+ *
+ * エラー（HttpsError）：
+ * - リンクが無い・使用済み・期限切れ：failed-precondition
+ *
+ * なぜトランザクションで使用済みにするか：
+ * - 同じリンクを2つの画面で同時に開いた場合も、セッションを1つだけ発行するため
+ */
+export const openMyReservationsLink = onCall(async (request) => {
+  const db = getFirestore();
+  const linkToken = String(request.data?.linkToken || "");
+  if (!linkToken) {
+    throw new HttpsError("invalid-argument", "ログイン用リンクが正しくありません。");
+  }
+
+  const linkRef = db.collection("myReservationLinks").doc(hashValue(linkToken));
+  const sessionToken = randomBytes(32).toString("base64url");
+  const sessionRef = db.collection("myReservationSessions").doc(hashValue(sessionToken));
+  const expiresAt = Date.now() + SESSION_EXPIRES_MS;
+
+  const email = await db.runTransaction(async (transaction) => {
+    const link = (await transaction.get(linkRef)).data();
+    if (!link || link.used || link.expiresAt.toMillis() <= Date.now()) {
+      return "";
+    }
+    transaction.update(linkRef, { used: true, usedAt: FieldValue.serverTimestamp() });
+    transaction.set(sessionRef, {
+      email: link.email,
+      emailKey: link.emailKey,
+      expiresAt: Timestamp.fromMillis(expiresAt),
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    return link.email;
+  });
+  if (!email) {
+    throw new HttpsError("failed-precondition", "このログイン用リンクは使用済みか、期限が切れています。もう一度メールアドレスを入力してください。");
+  }
+
+  return { sessionToken, email, expiresAt };
+});
+
+/**
+ * セッションのメールアドレスの予約を一覧で返す関数（httpsCallable で呼ぶ）
+ *
+ * 受け取る値（request.data）：
+ * - sessionToken: openMyReservationsLink で受け取ったトークン
+ *
+ * 返す値：{ email, reservations }（reservations は公演日時の順。キャンセル済みの予約も含む）
+ *
+ * エラー（HttpsError）：
+ * - セッションが無い・期限切れ：unauthenticated
+ */
+export const listMyReservations = onCall(async (request) => {
+  const db = getFirestore();
+  const session = await getSession(db, request.data?.sessionToken);
+
+  const reservations = (await findReservationDocs(db, session))
+    .map(pickReservationFields)
+    .sort((a, b) => `${a.stageDate} ${a.stageStart}`.localeCompare(`${b.stageDate} ${b.stageStart}`));
+
+  return { email: session.email, reservations };
+});
+
+/**
+ * セッションを削除する関数（ログアウト。httpsCallable で呼ぶ）
+ *
+ * 受け取る値（request.data）：
+ * - sessionToken: openMyReservationsLink で受け取ったトークン
+ *
+ * 返す値：{ signedOut: true }（既に期限切れ・削除済みの場合も同じ）
+ */
+export const signOutMyReservations = onCall(async (request) => {
+  const db = getFirestore();
+  const sessionToken = String(request.data?.sessionToken || "");
+  if (sessionToken) {
+    await db.collection("myReservationSessions").doc(hashValue(sessionToken)).delete();
+  }
+  return { signedOut: true };
+});
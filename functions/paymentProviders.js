@@ -0,0 +1,112 @@
+/**
+ * ============================================
+ * paymentProviders.js - 決済サービス（お支払いの関数 payments.js が使う）
+ * ============================================
+ *
+ * 事前決済の予約のお支払いに使う「決済サービス」を定義するファイルです。
+ * どの決済サービスを使うかは functions/.env の PAYMENT_PROVIDER で選びます。
+ *
+ * 【決済サービスの形】
+ * 決済サービスは、次のプロパティ・関数を持つオブジェクトです（例：fakePaymentProvider）。
+ *   - id: 決済サービスの種類（予約の paymentProvider に保存する）
+ *   - createPayment({ amount, currency, reservationId, description }) → Promise<{ paymentId, status }>
+ *       支払いを作成する（まだお金は動かない）
+ *   - confirmPayment(paymentId, details) → Promise<{ paymentId, status: "succeeded" | "failed", amount?, failureMessage? }>
+ *       お支払い画面で入力された内容（details。カードのトークンなど）で支払いを確定する
+ *   - refundPayment(paymentId, { amount, idempotencyKey }) → Promise<{ paymentId, refundId, status: "refunded" }>
+ *       支払いを返金する（amount を省略した場合は全額）
+ *
+ * なぜ決済サービスをサーバー側に置くか：
+ * - 画面で決済サービスを呼ぶと、スクリプトから「支払いが成功した」と報告するだけで
+ *   予約をお支払い済みにできてしまうため（決済サービスの結果は、この関数が直接受け取って確認する）
+ *
+ * なぜテスト用の決済サービスはエミュレーターでしか使えないか：
+ * - 本番で PAYMENT_PROVIDER の設定を忘れた場合に、お金を受け取らずに予約を確定させないため
+ *   （設定が無い・使えない決済サービスの場合は、お支払いを受け付けない）
+ */
+
+import { generatePrefixedId } from "./shared/tokenUtils.js";
+import { PAYMENT_ERROR_CODES } from "./shared/paymentUtils.js";
+
+// テスト用のカード番号（画面の fakePaymentProvider.js の TEST_CARD_NUMBERS と同じ）
+const TEST_CARD_NUMBERS = {
+  SUCCESS: "4242424242424242",
+  DECLINED: "4000000000000002",
+};
+
+// 支払いID -> { amount, currency, reservationId, status, refundedAmount }
+// 作成から確定までは1回の関数の呼び出しの中で行うため、関数のインスタンスのメモリにだけ持つ
+const fakePayments = new Map();
+
+/**
+ * 実際にはお金を動かさない決済サービス（エミュレーターでの動作確認用）
+ *
+ * - TEST_CARD_NUMBERS.SUCCESS（4242 4242 4242 4242）：支払いが成功する
+ * - TEST_CARD_NUMBERS.DECLINED（4000 0000 0000 0002）：カード会社に断られたものとして失敗する
+ * - それ以外の16桁の番号も成功として扱う（番号の形が違う場合は失敗）
+ */
+export const fakePaymentProvider = {
+  id: "fake",
+
+  async createPayment({ amount, currency, reservationId }) {
+    const paymentId = generatePrefixedId("fakepay");
+    fakePayments.set(paymentId, { amount, currency, reservationId, status: "requires_confirmation" });
+    return { paymentId, status: "requires_confirmation" };
+  },
+
+  async confirmPayment(paymentId, { cardNumber } = {}) {
+    const payment = fakePayments.get(paymentId);
+    if (!payment) {
+      return { paymentId, status: "failed", failureMessage: "お支払いの情報が見つかりませんでした。最初からやり直してください。" };
+    }
+    const digits = String(cardNumber || "").replace(/[\s-]/g, "");
+    if (!/^\d{16}$/.test(digits)) {
+      payment.status = "failed";
+      return { paymentId, status: "failed", failureMessage: "カード番号は16桁の数字で入力してください。" };
+    }
+    if (digits === TEST_CARD_NUMBERS.DECLINED) {
+      payment.status = "failed";
+      return { paymentId, status: "failed", failureMessage: "このカードはご利用いただけませんでした。別のカードをお試しください。" };
+    }
+    payment.status = "succeeded";
+    return { paymentId, status: "succeeded", amount: payment.amount };
+  },
+
+  async refundPayment(paymentId, { amount, idempotencyKey } = {}) {
+    const payment = fakePayments.get(paymentId);
+    if (payment) {
+      payment.status = "refunded";
+      payment.refundedAmount = amount ?? payment.amount;
+    }
+    return { paymentId, refundId: `fakerefund_${idempotencyKey || paymentId}`, status: "refunded" };
+  },
+};
+
+// 使える決済サービス（id -> 決済サービス）
+// 実際の決済サービスを追加する場合は、同じ形のオブジェクトを作ってここに登録する
+export const PAYMENT_PROVIDERS = {
+  [fakePaymentProvider.id]: fakePaymentProvider,
+};
+
+// エミュレーターで動いているか（Firebase CLI のエミュレーターが FUNCTIONS_EMULATOR=true を設定する）
+const IS_EMULATOR = process.env.FUNCTIONS_EMULATOR === "true";
+
+/**
+ * 使う決済サービスを返す関数
+ *
+ * @returns {Object} 決済サービス（PAYMENT_PROVIDER で指定したもの。エミュレーターで未設定の場合はテスト用）
+ *
+ * エラー：
+ * - 決済サービスが設定されていない・登録されていない場合、またはエミュレーターの外でテスト用の決済サービスを
+ *   指定した場合は code = PAYMENT_ERROR_CODES.PROVIDER_NOT_FOUND
+ */
+export function getPaymentProvider() {
+  const providerId = process.env.PAYMENT_PROVIDER || (IS_EMULATOR ? fakePaymentProvider.id : "");
+  const provider = PAYMENT_PROVIDERS[providerId];
+  if (!provider || (provider === fakePaymentProvider && !IS_EMULATOR)) {
+    const error = new Error("お支払いの準備ができていません。劇団にお問い合わせください。");
+    error.code = PAYMENT_ERROR_CODES.PROVIDER_NOT_FOUND;
+    throw error;
+  }
+  return provider;
+}
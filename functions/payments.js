@@ -0,0 +1,157 @@
+/**
+ * ============================================
+ * payments.js - 事前決済のお支払い
+ * ============================================
+ *
+ * お支払いページから呼ばれ、お支払い待ちの予約を決済サービスで支払い、
+ * 決済サービスの結果を確認してから予約をお支払い済みにする関数です。
+ * （決済サービスは paymentProviders.js、お支払い方法・支払い状況の項目は shared/paymentUtils.js）
+ *
+ * なぜ画面から予約をお支払い済みにせず、この関数で行うか：
+ * - 画面の「支払いが成功した」という報告だけを信じると、お金を払わずに予約を確定できてしまうため
+ * - 金額は、予約データ（作成時に関数が公演データから計算したもの）から、この関数が決める
+ *
+ * 【受け取る値】（request.data）
+ * - reservationId: お支払い待ちの予約のID
+ * - cancelToken: 予約の cancelToken（お支払いページのURLに含まれる。予約者本人の確認に使う）
+ * - paymentDetails: お支払い画面で入力された内容（決済サービスの confirmPayment に渡す）
+ *
+ * 【返す値】{ paymentProvider, paymentId }
+ *
+ * 【エラー】（HttpsError。details.code にエラーコード）
+ * - 決済サービスで支払いが失敗した場合は PAYMENT_ERROR_CODES.DECLINED（message が理由）
+ * - 決済サービスが設定されていない場合は PAYMENT_ERROR_CODES.PROVIDER_NOT_FOUND
+ * - 予約が無い・cancelToken が違う場合は RESERVATION_ERROR_CODES.NOT_FOUND
+ * - 期限切れ・お支払いをやめたことで予約が取り消されている場合は RESERVATION_ERROR_CODES.PAYMENT_EXPIRED
+ * - 支払い金額が予約の金額と違う場合は RESERVATION_ERROR_CODES.PAYMENT_AMOUNT_MISMATCH
+ *   （この2つは、決済サービス側の支払いを取り消してから返す）
+ */
+
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { getFirestore, FieldValue } from "firebase-admin/firestore";
+import { getReservationTotalPrice } from "./shared/ticketUtils.js";
+import { PAYMENT_STATUSES, PAYMENT_ERROR_CODES, isPaymentPending } from "./shared/paymentUtils.js";
+import { RESERVATION_ERROR_CODES } from "./shared/reservationErrorCodes.js";
+import { getStageInventoryRef } from "./inventory.js";
+import { getPaymentProvider } from "./paymentProviders.js";
+import { readOwnReservation } from "./cancellations.js";
+import { buildMailRequest, MAIL_TYPES } from "./mailRequests.js";
+import { toHttpsError } from "./callableErrors.js";
+
+/**
+ * 予約が取り消されていた場合のエラーを作る関数
+ *
+ * @returns {Error} code = RESERVATION_ERROR_CODES.PAYMENT_EXPIRED
+ */
+function buildPaymentExpiredError() {
+  const error = new Error("お支払いの期限が過ぎたため、この予約は取り消されました。お手数ですが、もう一度ご予約ください。");
+  error.code = RESERVATION_ERROR_CODES.PAYMENT_EXPIRED;
+  return error;
+}
+
+/**
+ * お支払い待ちの予約を支払い、お支払い済みにする関数（お支払いページから httpsCallable で呼ぶ）
+ *
+ * 処理の流れ：
+ * 1. 予約を読み、cancelToken とお支払い待ちであることを確認して、金額を予約データから決める
+ * 2. 決済サービスで支払いを作成し、入力された内容で確定する（成功と金額を確認する）
+ * 3. トランザクションで予約を読み直し、お支払い済みにして予約確認メールを mailQueue に追加する
+ * 4. 3で予約が取り消されていた・金額が違った場合は、決済サービス側の支払いを取り消す
+ *    （お金だけ受け取って席が無い状態にしない）
+ *
+ * なぜ期限を過ぎていても受け付けるか：
+ * - 取り消される前なら、席はまだこの予約のために空けてあるため
+ *   （お支払いの手続き中に期限を迎えた方の予約を、無駄に取り消さないようにする）
+ */
+export const payReservation = onCall(async (request) => {
+  const db = getFirestore();
+  const data = request.data || {};
+
+  try {
+    const reservationId = typeof data.reservationId === "string" ? data.reservationId : "";
+    const cancelToken = typeof data.cancelToken === "string" ? data.cancelToken : "";
+    if (!reservationId || !cancelToken) {
+      throw new HttpsError("invalid-argument", "お支払いする予約が指定されていません。");
+    }
+    const paymentDetails = data.paymentDetails && typeof data.paymentDetails === "object" ? data.paymentDetails : {};
+    const provider = getPaymentProvider();
+    const reservationRef = db.collection("reservations").doc(reservationId);
+
+    // ============================================
+    // 1. 予約の確認と金額
+    // ============================================
+    const reservation = readOwnReservation(await reservationRef.get(), cancelToken);
+    if (!isPaymentPending(reservation)) {
+      throw buildPaymentExpiredError();
+    }
+    const amount = getReservationTotalPrice(reservation);
+
+    // ============================================
+    // 2. 決済サービスでの支払い
+    // ============================================
+    const { paymentId } = await provider.createPayment({
+      amount,
+      currency: "JPY",
+      reservationId,
+      description: `${reservation.performanceTitle || "公演"} ${reservation.stageDate || ""} ${reservation.stageStart || ""}`.trim(),
+    });
+    const result = await provider.confirmPayment(paymentId, paymentDetails);
+    if (result.status !== "succeeded") {
+      const error = new Error(result.failureMessage || "お支払いができませんでした。");
+      error.code = PAYMENT_ERROR_CODES.DECLINED;
+      throw error;
+    }
+
+    // ============================================
+    // 3. 予約をお支払い済みにする
+    // ============================================
+    try {
+      await db.runTransaction(async (transaction) => {
+        const current = readOwnReservation(await transaction.get(reservationRef), cancelToken);
+        if (!isPaymentPending(current)) {
+          throw buildPaymentExpiredError();
+        }
+        // 決済サービスが受け取った金額と、予約の金額（トランザクション内で読み直したもの）を比べる
+        if (Number(result.amount ?? amount) !== getReservationTotalPrice(current)) {
+          const error = new Error("お支払い金額が予約の金額と一致しません。");
+          error.code = RESERVATION_ERROR_CODES.PAYMENT_AMOUNT_MISMATCH;
+          throw error;
+        }
+
+        transaction.update(reservationRef, {
+          status: "active",
+          paymentStatus: PAYMENT_STATUSES.PAID,
+          paymentProvider: provider.id,
+          paymentId,
+          paidAt: FieldValue.serverTimestamp(),
+        });
+
+        // お支払い待ちの記録を消す（期限切れとして取り消されないようにする）
+        // 席・券種の枚数は予約の作成時に数え済みなので、在庫はこれ以外変えない
+        transaction.set(
+          getStageInventoryRef(db, current.performanceId, current.stageId),
+          { pendingPayments: { [reservationId]: FieldValue.delete() }, updatedAt: FieldValue.serverTimestamp() },
+          { merge: true }
+        );
+
+        transaction.set(
+          db.collection("mailQueue").doc(),
+          buildMailRequest(MAIL_TYPES.RESERVATION_CONFIRM, { reservationId })
+        );
+      });
+    } catch (error) {
+      if (
+        error.code === RESERVATION_ERROR_CODES.PAYMENT_EXPIRED ||
+        error.code === RESERVATION_ERROR_CODES.PAYMENT_AMOUNT_MISMATCH
+      ) {
+        await provider.refundPayment(paymentId, { idempotencyKey: `payment-failed__${paymentId}` });
+        console.warn("予約を確定できなかったため、お支払いを取り消しました。支払いID:", paymentId);
+      }
+      throw error;
+    }
+
+    return { paymentProvider: provider.id, paymentId };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
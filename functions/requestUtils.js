@@ -0,0 +1,59 @@
+/**
+ * ============================================
+ * requestUtils.js - 呼び出し元の確認・回数制限の共通処理
+ * ============================================
+ *
+ * 予約パスの発行（reservationPass.js）と、マイ予約のログイン用リンクの送信（myReservations.js）で使う、
+ * ハッシュ値・呼び出し元のIPアドレス・回数制限の期間の計算をまとめたファイルです。
+ *
+ * なぜ共通化するか：
+ * - IPアドレスの取り方などを片方だけ直してしまい、もう片方の回数制限をすり抜けられることが無いようにするため
+ */
+
+import { createHash } from "node:crypto";
+
+// 回数を数える期間（1時間）
+export const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * 文字列のSHA-256ハッシュ値を返す関数
+ *
+ * @param {string} value - ハッシュにする文字列
+ * @returns {string} 16進数64文字（空文字の場合は空文字）
+ *
+ * メールアドレスは、予約ページの getEmailKey（functions/shared/reservationLimitUtils.js）と同じ値になるように
+ * 前後の空白を除いて小文字にしてから渡すこと
+ */
+export function hashValue(value) {
+  return value ? createHash("sha256").update(value).digest("hex") : "";
+}
+
+/**
+ * 呼び出し元のIPアドレスを返す関数
+ *
+ * @param {Object} rawRequest - Cloud Functionsのリクエスト
+ * @returns {string} IPアドレス（取得できない場合は"unknown"）
+ *
+ * なぜ x-forwarded-for の末尾を使うか：Cloud Functionsはロードバランサの後ろで動き、
+ * ロードバランサは接続元のIPアドレスをこのヘッダーの末尾に追加するため
+ * なぜ先頭を使わないか：先頭は呼び出し元が自由に書けるので、毎回違うIPアドレスを名乗れば
+ * 回数制限と確認の質問をすり抜けられてしまうため
+ */
+export function getClientIp(rawRequest) {
+  const forwarded = String(rawRequest?.headers?.["x-forwarded-for"] || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  return forwarded[forwarded.length - 1] || rawRequest?.ip || "unknown";
+}
+
+/**
+ * 期間内の日時だけを残す関数
+ *
+ * @param {Array<number>} timestamps - 発行・送信した日時（ミリ秒）の配列
+ * @param {number} now - 現在日時（ミリ秒）
+ * @returns {Array<number>} RATE_LIMIT_WINDOW_MS 以内の日時
+ */
+export function pruneTimestamps(timestamps, now) {
+  return (timestamps || []).filter((time) => now - time < RATE_LIMIT_WINDOW_MS);
+}
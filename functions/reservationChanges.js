@@ -0,0 +1,478 @@
+/**
+ * ============================================
+ * reservationChanges.js - お客様自身による予約内容の変更・一部キャンセル
+ * ============================================
+ *
+ * キャンセルページ（キャンセル用リンク）から呼ばれ、予約の人数・日時の変更と、一部の人数だけのキャンセルを
+ * 在庫・キャンセル待ちの繰り上げ・割引額の計算し直しと一緒に1つのトランザクションで行う関数です。
+ * 変更の締め切り・座席の割り当てのルールは、画面側の src/services/reservationService.js の説明と同じです。
+ *
+ * なぜ画面から直接書き込まず、この関数で変更するか：
+ * - 変更では在庫・券種の内訳・金額も書き換えるため、画面から行うとルールでそれらの書き込みを許可しなければならず、
+ *   スクリプトから好きな人数・金額に書き換えられてしまうため
+ *   （券種の内訳・金額はこの関数が公演データと予約時の内訳から作り直す。画面からは枚数だけを受け取る）
+ *
+ * 【関数】（全て httpsCallable で呼ぶ）
+ * - modifyReservation({ reservationId, cancelToken, stageId, ticketQuantities }) → { changes }
+ * - partiallyCancelReservation({ reservationId, cancelToken, cancelQuantities, reason, reasonNote }) → { changes }
+ *   changes は予約データのうち変更した項目（変更が無い場合は空のオブジェクト）
+ *
+ * 【エラー】（HttpsError。details.code にエラーコード）
+ * - 予約が無い・cancelToken が違う場合は RESERVATION_ERROR_CODES.NOT_FOUND
+ * - キャンセル済みの予約は RESERVATION_ERROR_CODES.NOT_ACTIVE
+ * - 事前決済の予約は RESERVATION_ERROR_CODES.PREPAID_NOT_CHANGEABLE
+ * - 締め切り後は CHANGE_DEADLINE_PASSED（変更）/ CANCEL_DEADLINE_PASSED（一部キャンセル）。details.deadline に締め切り日時
+ * - 枚数が正しくない場合は INVALID_TICKETS
+ * - 残席・券種の残り枚数・車椅子スペースなどの枠・上限・移る先の受付期間は、予約の作成（reservations.js）と同じエラー
+ */
+
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { getFirestore, FieldValue } from "firebase-admin/firestore";
+import { findStageById } from "./shared/stageUtils.js";
+import {
+  getTicketTypes,
+  getTicketCounts,
+  mergeTicketCounts,
+  findQuotaShortage,
+  buildTicketBreakdown,
+  getReservationTickets,
+  getReservationSeatCount,
+  getReservationAttendeeCount,
+  getReservationSubtotalPrice,
+  getReservationTotalPrice,
+} from "./shared/ticketUtils.js";
+import { hasSeatMap, findUnavailableSeats, pickAvailableSeats, sortSeatLabels } from "./shared/seatMapUtils.js";
+import { countHeldSeats } from "./shared/seatHoldUtils.js";
+import { getPromoCodeDocId, calculateDiscount } from "./shared/promoCodeUtils.js";
+import { CANCELLATION_TYPES, normalizeCancellationReason } from "./shared/cancellationUtils.js";
+import { adjustEmailCounts } from "./shared/reservationLimitUtils.js";
+import { assertSalesWindowOpen } from "./shared/salesWindowUtils.js";
+import {
+  getAccessibilityCounts,
+  countReservedAccessibleSeats,
+  fitAccessibilityToSeats,
+} from "./shared/accessibilityUtils.js";
+import { PAYMENT_METHODS } from "./shared/paymentUtils.js";
+import { RESERVATION_ERROR_CODES } from "./shared/reservationErrorCodes.js";
+import {
+  readStageInventory,
+  releaseReservationFromInventory,
+  assertReservationLimits,
+  assertAccessibilityAvailable,
+} from "./inventory.js";
+import { readWaitlistCandidates, writeInventoryWithPromotions } from "./waitlistPromotions.js";
+import { readOwnReservation, assertBeforeDeadline, buildCancellationLog } from "./cancellations.js";
+import { buildMailRequest, MAIL_TYPES } from "./mailRequests.js";
+import { toHttpsError } from "./callableErrors.js";
+
+/**
+ * 券種ごとの枚数が同じかどうかを判定する関数
+ *
+ * @param {Object} a - 券種IDごとの枚数
+ * @param {Object} b - 券種IDごとの枚数
+ * @returns {boolean} 全ての券種で枚数が同じならtrue（0枚の券種は無いものとして扱う）
+ */
+function isSameTicketCounts(a, b) {
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].every(
+    (typeId) => (Number(a[typeId]) || 0) === (Number(b[typeId]) || 0)
+  );
+}
+
+/**
+ * 予約内容の変更履歴に残す項目を取り出す関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {Object} 日時・券種の内訳・人数・座席・金額
+ */
+function buildHistorySnapshot(reservation) {
+  return {
+    stageId: reservation.stageId,
+    stageDate: reservation.stageDate || "",
+    stageStart: reservation.stageStart || "",
+    tickets: getReservationTickets(reservation).map(({ typeId, name, quantity }) => ({ typeId, name, quantity })),
+    people: getReservationAttendeeCount(reservation),
+    seats: reservation.seats || [],
+    totalPrice: getReservationTotalPrice(reservation),
+  };
+}
+
+/**
+ * 画面から受け取った予約の指定（予約IDと cancelToken）を確認する関数
+ *
+ * @param {Object} data - request.data
+ * @returns {{ reservationId: string, cancelToken: string }}
+ *
+ * エラー：予約の指定が無い場合は HttpsError（invalid-argument）
+ */
+function normalizeReservationTarget(data) {
+  const reservationId = typeof data.reservationId === "string" ? data.reservationId : "";
+  const cancelToken = typeof data.cancelToken === "string" ? data.cancelToken : "";
+  if (!reservationId || !cancelToken) {
+    throw new HttpsError("invalid-argument", "変更する予約が指定されていません。");
+  }
+  return { reservationId, cancelToken };
+}
+
+/**
+ * 予約内容の変更・一部キャンセルの本体（modifyReservation・partiallyCancelReservation から呼ぶ）
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {Object} params
+ * @param {string} params.reservationId - 予約のドキュメントID
+ * @param {string} params.cancelToken - 予約のcancelToken
+ * @param {string|number} [params.stageId] - 変更後のステージID（一部キャンセルでは使わない）
+ * @param {Object} [params.ticketQuantities] - 変更後の券種IDごとの枚数（一部キャンセルでは使わない）
+ * @param {Object} [params.cancellation] - 一部キャンセルの内容（{ cancelQuantities, reason, reasonNote }）
+ * @returns {Promise<Object>} 予約データのうち変更した項目（変更が無い場合は空のオブジェクト）
+ *
+ * 処理の流れ：
+ * 1. 予約・公演・変更前後の在庫・キャンセル待ちの候補・割引コードを読む
+ * 2. 変更前の予約分を在庫から取り除いた上で、変更後の内容が収まるかを確認する
+ * 3. 予約を書き換え、変更履歴（history）に変更前後の内容を追加する
+ * 4. 空いた席にキャンセル待ちを繰り上げ、変更確認メールをmailQueueに追加する
+ *
+ * なぜ座席表のあるステージでは自動で座席を割り当てるか：
+ * - 変更ページでは座席表を表示しないため。同じステージで人数を減らす場合は、
+ *   今の座席を前から順に残し、増やす場合は今の座席を残したまま空いている座席を追加する
+ */
+async function applyReservationChange(db, { reservationId, cancelToken, stageId, ticketQuantities, cancellation }) {
+  const reservationRef = db.collection("reservations").doc(reservationId);
+
+  return db.runTransaction(async (transaction) => {
+    // ============================================
+    // 読み取り（トランザクションでは書き込みより先に全て読む）
+    // ============================================
+    const reservation = readOwnReservation(await transaction.get(reservationRef), cancelToken);
+    if (reservation.status === "cancelled") {
+      const error = new Error("この予約は既にキャンセルされているため、変更できません。");
+      error.code = RESERVATION_ERROR_CODES.NOT_ACTIVE;
+      throw error;
+    }
+    // 事前決済の予約は、金額が変わるとお支払い済みの金額と合わなくなるため、劇団に対応してもらう
+    if (reservation.paymentMethod === PAYMENT_METHODS.PREPAID) {
+      const error = new Error("事前決済の予約は、変更・一部キャンセルができません。劇団にお問い合わせください。");
+      error.code = RESERVATION_ERROR_CODES.PREPAID_NOT_CHANGEABLE;
+      throw error;
+    }
+
+    const { performanceId, stageId: oldStageId, promoCode } = reservation;
+    // 一部キャンセルでは日時は変えない
+    const newStageId = cancellation ? oldStageId : stageId;
+    const isSameStage = String(oldStageId) === String(newStageId);
+
+    const performanceSnap = await transaction.get(db.collection("performances").doc(performanceId));
+    if (!performanceSnap.exists) {
+      const error = new Error("公演が見つかりませんでした。");
+      error.code = RESERVATION_ERROR_CODES.PERFORMANCE_NOT_FOUND;
+      throw error;
+    }
+    const performance = performanceSnap.data();
+    const oldStage = findStageById(performance.stages, oldStageId);
+    const newStage = findStageById(performance.stages, newStageId);
+    if (!oldStage || !newStage) {
+      const error = new Error("選択された公演日時が見つかりませんでした。");
+      error.code = RESERVATION_ERROR_CODES.STAGE_NOT_FOUND;
+      throw error;
+    }
+
+    const oldStock = await readStageInventory(transaction, db, performanceId, oldStageId);
+    const newStock = isSameStage ? oldStock : await readStageInventory(transaction, db, performanceId, newStageId);
+    // 人数を減らす・日時を移る場合に、空いた席へ繰り上げる候補
+    const candidateSnaps = await readWaitlistCandidates(transaction, db, performanceId, oldStageId);
+    const promoCodeRef = promoCode ? db.collection("promoCodes").doc(getPromoCodeDocId(performanceId, promoCode)) : null;
+    const promoCodeSnap = promoCodeRef ? await transaction.get(promoCodeRef) : null;
+
+    // ============================================
+    // 締め切りのチェック（変更は変更前・変更後の両方のステージ、一部キャンセルは今のステージ）
+    // ============================================
+    const now = Date.now();
+    if (cancellation) {
+      assertBeforeDeadline(performance, oldStage, now, RESERVATION_ERROR_CODES.CANCEL_DEADLINE_PASSED, "キャンセル");
+    } else {
+      [oldStage, newStage].forEach((stage) => {
+        assertBeforeDeadline(performance, stage, now, RESERVATION_ERROR_CODES.CHANGE_DEADLINE_PASSED, "変更");
+      });
+      // 別の日時に移る場合は新しく予約するのと同じなので、移る先の予約の受付期間も確認する
+      if (!isSameStage) {
+        assertSalesWindowOpen(performance, newStage, new Date(now));
+      }
+    }
+
+    // ============================================
+    // 変更後の券種の内訳
+    // ============================================
+    const originalTickets = getReservationTickets(reservation);
+    let tickets;
+    let cancelledTickets = [];
+    if (cancellation) {
+      // 一部キャンセル：予約時の内訳から、キャンセルする枚数を引く（料金は予約時のまま）
+      cancelledTickets = originalTickets
+        .map(({ typeId, name, price, occupiesSeat, quantity }) => ({
+          typeId,
+          name,
+          price,
+          occupiesSeat,
+          quantity: Math.min(
+            Math.max(Math.floor(Number(cancellation.cancelQuantities?.[typeId]) || 0), 0),
+            Number(quantity) || 0
+          ),
+        }))
+        .filter((ticket) => ticket.quantity > 0);
+      tickets = originalTickets
+        .map((ticket) => {
+          const cancelled = cancelledTickets.find((current) => current.typeId === ticket.typeId);
+          return { ...ticket, quantity: (Number(ticket.quantity) || 0) - (cancelled?.quantity || 0) };
+        })
+        .filter((ticket) => ticket.quantity > 0);
+      if (cancelledTickets.length === 0) {
+        const error = new Error("キャンセルする枚数を選択してください。");
+        error.code = RESERVATION_ERROR_CODES.INVALID_TICKETS;
+        throw error;
+      }
+      if (getReservationAttendeeCount({ tickets }) < 1) {
+        const error = new Error("全員分をキャンセルする場合は、予約全体のキャンセルを選んでください。");
+        error.code = RESERVATION_ERROR_CODES.INVALID_TICKETS;
+        throw error;
+      }
+    } else {
+      // 予約時と同じ券種は予約時の料金のまま、新しく選んだ券種は現在の料金で計算する
+      tickets = buildTicketBreakdown(getTicketTypes(performance), ticketQuantities).map((ticket) => {
+        const original = originalTickets.find((current) => current.typeId === ticket.typeId);
+        return original ? { ...ticket, name: original.name, price: Number(original.price) || 0 } : ticket;
+      });
+      if (getReservationAttendeeCount({ tickets }) < 1) {
+        const error = new Error("枚数を1枚以上選択してください。");
+        error.code = RESERVATION_ERROR_CODES.INVALID_TICKETS;
+        throw error;
+      }
+    }
+    const requestedSeats = getReservationSeatCount({ tickets });
+    const requestedCounts = getTicketCounts({ tickets });
+    // 席数を減らした場合は、車椅子スペース・同伴者席のご要望も席数に収める
+    const accessibility = fitAccessibilityToSeats(reservation.accessibility, requestedSeats);
+    const requestedAccessibility = getAccessibilityCounts({ accessibility });
+
+    // 変更が無ければ何もしない
+    if (isSameStage && isSameTicketCounts(getTicketCounts(reservation), requestedCounts)) {
+      return {};
+    }
+
+    // ============================================
+    // 残席・券種の販売上限のチェック（変更前の予約分を除いた在庫で確認する）
+    // ============================================
+    const oldInventoryReleased = releaseReservationFromInventory(oldStock.inventory, reservation);
+    const base = isSameStage ? oldInventoryReleased : newStock.inventory;
+
+    // まだ予約されていない車椅子スペース・同伴者席は、この予約で使う分を除いて埋まっている席として数える
+    const heldSeats = countHeldSeats(base.holds, now)
+      + countReservedAccessibleSeats(newStage, mergeTicketCounts(base.accessibilityCounts, requestedAccessibility));
+    const seatLimit = Number(newStage.seatLimit) || 0;
+    if (seatLimit > 0 && base.reservedSeats + heldSeats + requestedSeats > seatLimit) {
+      const availableSeats = Math.max(seatLimit - base.reservedSeats - heldSeats, 0);
+      const error = new Error(`残席が不足しています。残席: ${availableSeats}席、希望人数: ${requestedSeats}人`);
+      error.code = RESERVATION_ERROR_CODES.SOLD_OUT;
+      error.availableSeats = availableSeats;
+      throw error;
+    }
+
+    const shortage = findQuotaShortage(getTicketTypes(performance), base.ticketCounts, requestedCounts);
+    if (shortage) {
+      const error = new Error(
+        `「${shortage.ticketType.name}」の残り枚数が不足しています。残り: ${shortage.availableQuantity}枚`
+      );
+      error.code = RESERVATION_ERROR_CODES.TICKET_QUOTA_EXCEEDED;
+      error.ticketTypeName = shortage.ticketType.name;
+      error.availableQuantity = shortage.availableQuantity;
+      throw error;
+    }
+
+    // 車椅子スペース・同伴者席の枠も確認する（別の日時に移る場合は、移り先の枠で確認する）
+    assertAccessibilityAvailable(newStage, base.accessibilityCounts, { request: accessibility, requestedSeats });
+
+    // 人数の上限と、別の日時に移る場合は移り先での同じメールアドレスの予約件数を確認する
+    // （同じ日時のままなら、この予約自身を除いた件数は変わらないため確認しない）
+    if (!cancellation) {
+      assertReservationLimits(performance, base, {
+        attendeeCount: getReservationAttendeeCount({ tickets }),
+        emailKey: isSameStage ? "" : reservation.emailKey,
+      });
+    }
+
+    // ============================================
+    // 座席の割り当て（座席表のあるステージのみ）
+    // ============================================
+    let seats = [];
+    if (hasSeatMap(newStage)) {
+      const keptSeats = isSameStage
+        ? (reservation.seats || [])
+            .filter((seat) => findUnavailableSeats(newStage.seatMap, base.takenSeats, [seat]).length === 0)
+            .slice(0, requestedSeats)
+        : [];
+      const takenWithKept = { ...base.takenSeats };
+      keptSeats.forEach((seat) => {
+        takenWithKept[seat] = reservationId;
+      });
+      const addedSeats = pickAvailableSeats(newStage.seatMap, takenWithKept, requestedSeats - keptSeats.length);
+      if (!addedSeats) {
+        const error = new Error("空いている座席が足りません。");
+        error.code = RESERVATION_ERROR_CODES.SOLD_OUT;
+        error.availableSeats = Math.max(seatLimit - base.reservedSeats - heldSeats, 0);
+        throw error;
+      }
+      seats = sortSeatLabels([...keptSeats, ...addedSeats]);
+    }
+    const seatAssignments = {};
+    seats.forEach((seat) => {
+      seatAssignments[seat] = reservationId;
+    });
+
+    // ============================================
+    // 金額（割引コードを使った予約は、変更後の金額で割引額を計算し直す）
+    // ============================================
+    const subtotalPrice = getReservationSubtotalPrice({ tickets });
+    const discountAmount = promoCode
+      ? promoCodeSnap?.exists
+        ? calculateDiscount(promoCodeSnap.data(), subtotalPrice)
+        : Math.min(Number(reservation.discountAmount) || 0, subtotalPrice)
+      : 0;
+
+    const changes = {
+      stageId: isSameStage ? oldStageId : newStageId, // 同じステージなら保存済みの値（型）をそのまま使う
+      stageDate: newStage.date || "",
+      stageStart: newStage.start || "",
+      stageEnd: newStage.end || "",
+      tickets,
+      people: getReservationAttendeeCount({ tickets }),
+      totalPrice: subtotalPrice - discountAmount,
+      ...(promoCode ? { subtotalPrice, discountAmount } : {}),
+      ...(accessibility ? { accessibility } : {}),
+      seats,
+    };
+
+    // ============================================
+    // 書き込み
+    // ============================================
+    // 変更履歴（なぜ配列に追加するか：劇団側で「いつ・何を変えたか」を後から確認できるようにするため）
+    // 注意：配列の中では serverTimestamp が使えないため、変更日時はISO形式の文字列で保存する
+    transaction.update(reservationRef, {
+      ...changes,
+      history: [
+        ...(reservation.history || []),
+        {
+          type: cancellation ? "partially_cancelled" : "modified",
+          changedAt: new Date(now).toISOString(),
+          before: buildHistorySnapshot(reservation),
+          after: buildHistorySnapshot({ ...reservation, ...changes }),
+          ...(cancellation ? { reason: cancellation.reason, reasonNote: cancellation.reasonNote } : {}),
+        },
+      ],
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    const addedInventory = (inventory) => ({
+      ...inventory,
+      reservedSeats: inventory.reservedSeats + requestedSeats,
+      ticketCounts: mergeTicketCounts(inventory.ticketCounts, requestedCounts),
+      takenSeats: { ...inventory.takenSeats, ...seatAssignments },
+      emailCounts: adjustEmailCounts(inventory.emailCounts, reservation.emailKey),
+      accessibilityCounts: mergeTicketCounts(inventory.accessibilityCounts, requestedAccessibility),
+    });
+
+    // 変更前のステージ：人数を減らした・日時を移った分の空きにキャンセル待ちを繰り上げる
+    const promotedSeats = writeInventoryWithPromotions(transaction, db, {
+      performanceId,
+      stageId: oldStageId,
+      performance,
+      stock: oldStock,
+      inventoryAfter: isSameStage ? addedInventory(oldInventoryReleased) : oldInventoryReleased,
+      candidateSnaps,
+      now,
+    });
+
+    // 変更後のステージ（別の日時に移る場合のみ）
+    if (!isSameStage) {
+      writeInventoryWithPromotions(transaction, db, {
+        performanceId,
+        stageId: newStageId,
+        performance,
+        stock: newStock,
+        inventoryAfter: addedInventory(newStock.inventory),
+        candidateSnaps: [], // 席が増えるだけなので繰り上げは発生しない
+        now,
+      });
+    }
+
+    // 一部キャンセルは、理由と一緒にキャンセル記録にも残す
+    if (cancellation) {
+      transaction.set(db.collection("cancellationLogs").doc(), buildCancellationLog(reservation, {
+        reservationId,
+        type: CANCELLATION_TYPES.PARTIAL,
+        cancelledTickets,
+        reason: cancellation.reason,
+        reasonNote: cancellation.reasonNote,
+      }));
+    }
+
+    // 変更前の内容・キャンセルした分は、送る時にこの変更履歴（historyIndex 番目）から文面に載せる
+    transaction.set(db.collection("mailQueue").doc(), buildMailRequest(
+      cancellation ? MAIL_TYPES.RESERVATION_PARTIALLY_CANCELLED : MAIL_TYPES.RESERVATION_CHANGED,
+      { reservationId, historyIndex: (reservation.history || []).length }
+    ));
+
+    if (promotedSeats > 0) {
+      console.log(`キャンセル待ちから${promotedSeats}人分を繰り上げました。予約ID:`, reservationId);
+    }
+
+    return changes;
+  });
+}
+
+/**
+ * お客様自身が予約内容（人数・日時）を変更する関数（キャンセルページから httpsCallable で呼ぶ）
+ */
+export const modifyReservation = onCall(async (request) => {
+  const db = getFirestore();
+  const data = request.data || {};
+
+  try {
+    const target = normalizeReservationTarget(data);
+    const stageId = typeof data.stageId === "number" || typeof data.stageId === "string" ? data.stageId : null;
+    if (stageId === null || stageId === "") {
+      throw new HttpsError("invalid-argument", "変更後の公演日時が選択されていません。");
+    }
+    const changes = await applyReservationChange(db, {
+      ...target,
+      stageId,
+      ticketQuantities: data.ticketQuantities && typeof data.ticketQuantities === "object" ? data.ticketQuantities : {},
+    });
+    return { changes };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+/**
+ * お客様自身が予約の一部の人数だけをキャンセルする関数（キャンセルページから httpsCallable で呼ぶ）
+ *
+ * 予約内容の変更と同じトランザクションで、空いた席をキャンセル待ちに回し、
+ * キャンセル記録（cancellationLogs）と一部キャンセルのお知らせメールを追加する
+ * （全員分をキャンセルする場合は cancellations.js の cancelReservation を使う）
+ */
+export const partiallyCancelReservation = onCall(async (request) => {
+  const db = getFirestore();
+  const data = request.data || {};
+
+  try {
+    const target = normalizeReservationTarget(data);
+    const changes = await applyReservationChange(db, {
+      ...target,
+      cancellation: {
+        cancelQuantities: data.cancelQuantities && typeof data.cancelQuantities === "object" ? data.cancelQuantities : {},
+        ...normalizeCancellationReason({ reason: data.reason, reasonNote: data.reasonNote }),
+      },
+    });
+    return { changes };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
@@ -0,0 +1,196 @@
+/**
+ * ============================================
+ * reservationLookup.js - 観客の予約の照会と確認メールの再送
+ * ============================================
+ *
+ * キャンセル・変更ページ・お支払いページ・予約確認ページ・予約照会ページから呼ばれ、
+ * 予約者本人であることを確かめてから予約を返す・予約確認メールを送り直す関数です。
+ *
+ * なぜ画面から予約を直接読ませないか：
+ * - 予約にはメールアドレス・cancelToken・予約番号が入るため、読み取りを許可すると
+ *   予約の一覧を取り出すだけで、他の方の予約をキャンセル・変更できてしまうため
+ *   （firestore.rules では、予約の読み取りを公演の劇団だけに許可している）
+ *
+ * 【関数】（全て httpsCallable で呼ぶ）
+ * - getReservationByToken({ cancelToken, reservationId? }) → { reservation }
+ *     cancelToken（メールのリンクに含まれる）で予約を返す。reservationId も渡すと、そのIDの予約だけを確認する
+ * - lookupReservation({ email, confirmationCode }) → { reservation }
+ *     予約時のメールアドレスと予約番号で予約を返す（IPアドレスごとに回数を制限する）
+ * - resendReservationConfirmation({ reservationId, cancelToken }) → {}
+ *     予約確認メールを送り直す（同じ予約の送り直しの間隔は functions/mailDelivery.js が確認する）
+ *
+ * 【返す予約】
+ * - 予約データに id を加えたもの。日時の型の項目（createdAt・変更履歴の changedAt など）はミリ秒にする
+ * - 見つからない場合は reservation: null（「無い」と「違う」を区別しない。他の方の予約を探れないようにする）
+ *
+ * 【エラー】（HttpsError。details.code にエラーコード）
+ * - 送り直せない予約（キャンセル済み・お支払い待ち）は RESERVATION_ERROR_CODES.NOT_ACTIVE
+ * - 予約が無い・cancelToken が違う場合の送り直しは RESERVATION_ERROR_CODES.NOT_FOUND
+ */
+
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { getFirestore, Timestamp } from "firebase-admin/firestore";
+import { normalizeConfirmationCode } from "./shared/tokenUtils.js";
+import { isPaymentPending } from "./shared/paymentUtils.js";
+import { RESERVATION_ERROR_CODES } from "./shared/reservationErrorCodes.js";
+import { hashValue, getClientIp, pruneTimestamps } from "./requestUtils.js";
+import { readOwnReservation } from "./cancellations.js";
+import { buildMailRequest, MAIL_TYPES } from "./mailRequests.js";
+import { toHttpsError } from "./callableErrors.js";
+
+// 1時間（requestUtils.js の RATE_LIMIT_WINDOW_MS）に、同じIPアドレスから予約番号で照会できる回数の上限
+// （functions/.env で変えられる。予約番号は短いため、総当たりで他の方の予約を探せないようにする）
+const MAX_LOOKUPS_PER_IP = Number(process.env.MAX_RESERVATION_LOOKUPS_PER_IP) || 30;
+
+// 画面に返さない項目（予約者本人の画面でも使わない、内部の確認用の値）
+const HIDDEN_FIELDS = ["emailKey", "reservationPassId"];
+
+/**
+ * Firestoreの値を、画面に返せる値にする関数
+ *
+ * @param {*} value - 予約データの項目の値
+ * @returns {*} Timestamp はミリ秒、配列・オブジェクトは中の値も変換したもの
+ *
+ * なぜ変換するか：httpsCallable は Timestamp をそのまま返せない（中身の無いオブジェクトになる）ため
+ */
+function toPlainValue(value) {
+  if (value instanceof Timestamp) {
+    return value.toMillis();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlainValue(item)]));
+  }
+  return value;
+}
+
+/**
+ * 予約のドキュメントを、画面に返す形にする関数
+ *
+ * @param {DocumentSnapshot} reservationSnap - 予約のスナップショット
+ * @returns {Object} 予約データ（id を含む。HIDDEN_FIELDS は除く）
+ */
+function serializeReservation(reservationSnap) {
+  const data = { ...reservationSnap.data() };
+  HIDDEN_FIELDS.forEach((field) => delete data[field]);
+  return { id: reservationSnap.id, ...toPlainValue(data) };
+}
+
+/**
+ * cancelToken で予約を返す関数（キャンセル・変更ページ・お支払いページ・予約確認ページから httpsCallable で呼ぶ）
+ *
+ * なぜ reservationId を受け取れるようにするか：
+ * - 予約確認ページのURLは予約IDと cancelToken の組なので、URLの予約IDと違う予約を表示しないようにするため
+ */
+export const getReservationByToken = onCall(async (request) => {
+  const db = getFirestore();
+  const data = request.data || {};
+
+  try {
+    const cancelToken = typeof data.cancelToken === "string" ? data.cancelToken : "";
+    const reservationId = typeof data.reservationId === "string" ? data.reservationId : "";
+    if (!cancelToken) {
+      throw new HttpsError("invalid-argument", "予約のリンクが正しくありません。");
+    }
+
+    if (reservationId) {
+      const reservationSnap = await db.collection("reservations").doc(reservationId).get();
+      if (!reservationSnap.exists || reservationSnap.data().cancelToken !== cancelToken) {
+        return { reservation: null };
+      }
+      return { reservation: serializeReservation(reservationSnap) };
+    }
+
+    const querySnapshot = await db.collection("reservations").where("cancelToken", "==", cancelToken).limit(1).get();
+    return { reservation: querySnapshot.empty ? null : serializeReservation(querySnapshot.docs[0]) };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+/**
+ * メールアドレスと予約番号で予約を返す関数（予約照会ページから httpsCallable で呼ぶ）
+ *
+ * なぜメールアドレスと組み合わせるか：
+ * - 予約番号は短く、受付や電話で口にするものなので、番号だけで予約を開けないようにするため
+ */
+export const lookupReservation = onCall(async (request) => {
+  const db = getFirestore();
+  const data = request.data || {};
+
+  try {
+    const code = normalizeConfirmationCode(typeof data.confirmationCode === "string" ? data.confirmationCode : "");
+    const email = String(data.email || "").trim().toLowerCase();
+    if (!code || !email) {
+      throw new HttpsError("invalid-argument", "メールアドレスと予約番号を入力してください。");
+    }
+
+    // 回数制限（IPアドレス）。見つかった・見つからないに関わらず数える
+    const ipLimitRef = db.collection("rateLimits").doc(`lookup_ip__${hashValue(getClientIp(request.rawRequest))}`);
+    const limited = await db.runTransaction(async (transaction) => {
+      const ipSnap = await transaction.get(ipLimitRef);
+      const now = Date.now();
+      const ipTimestamps = pruneTimestamps(ipSnap.data()?.timestamps, now);
+      if (ipTimestamps.length >= MAX_LOOKUPS_PER_IP) {
+        return true;
+      }
+      transaction.set(ipLimitRef, { timestamps: [...ipTimestamps, now] });
+      return false;
+    });
+    if (limited) {
+      throw new HttpsError("resource-exhausted", "短い時間に何度も照会されたため、しばらくしてからお試しください。");
+    }
+
+    const querySnapshot = await db.collection("reservations").where("confirmationCode", "==", code).get();
+    const reservationSnap = querySnapshot.docs.find(
+      (current) => String(current.data().email || "").trim().toLowerCase() === email
+    );
+    return { reservation: reservationSnap ? serializeReservation(reservationSnap) : null };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+/**
+ * 予約確認メールを送り直す関数（予約照会ページから httpsCallable で呼ぶ）
+ *
+ * 文面は送る時に deliverMail が作るため、締め切りは送り直す時点の公演の設定で載る
+ * （予約後に劇団が変更している場合があるため）
+ */
+export const resendReservationConfirmation = onCall(async (request) => {
+  const db = getFirestore();
+  const data = request.data || {};
+
+  try {
+    const reservationId = typeof data.reservationId === "string" ? data.reservationId : "";
+    const cancelToken = typeof data.cancelToken === "string" ? data.cancelToken : "";
+    if (!reservationId || !cancelToken) {
+      throw new HttpsError("invalid-argument", "送り直す予約が指定されていません。");
+    }
+
+    const reservation = readOwnReservation(
+      await db.collection("reservations").doc(reservationId).get(),
+      cancelToken
+    );
+    if (reservation.status === "cancelled") {
+      const error = new Error("キャンセル済みの予約です。");
+      error.code = RESERVATION_ERROR_CODES.NOT_ACTIVE;
+      throw error;
+    }
+    if (isPaymentPending(reservation)) {
+      const error = new Error("お支払いが済んでいない予約です。お支払いが済むと予約確認メールをお送りします。");
+      error.code = RESERVATION_ERROR_CODES.NOT_ACTIVE;
+      throw error;
+    }
+
+    await db.collection("mailQueue").add({
+      ...buildMailRequest(MAIL_TYPES.RESERVATION_CONFIRM, { reservationId }),
+      resent: true, // お客様の操作で送り直したメール
+    });
+    return {};
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
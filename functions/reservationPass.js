@@ -0,0 +1,388 @@
+/**
+ * ============================================
+ * reservationPass.js - 予約フォームのボット対策（予約パスの発行）
+ * ============================================
+ *
+ * 観客の予約フォームは未ログインのブラウザから呼ばれるため、そのままではスクリプトから
+ * 空いている席を埋めたり、確認メールを使って迷惑メールを送ったりできてしまいます。
+ * そこで、予約（キャンセル待ちの登録・抽選の申込）の前にこの関数を呼び、チェックを通過した場合だけ
+ * 1回きりの「予約パス」（reservationPasses）を発行します。
+ * 予約・キャンセル待ち・抽選の申込の関数（reservations.js・waitlist.js・lottery.js）は、
+ * トランザクションの中で予約パスを確認して使用済みにするため、パス無しでは予約できません。
+ *
+ * 【チェックの内容】（上から順に確認する）
+ * 1. ハニーポット：人には見えない入力欄に値が入っていたら拒否（ボットは全ての欄を埋めがち）
+ *    画面が送る値なので、予約フォームを使わずに関数を呼ぶスクリプトには効かない（単純なボットを弾くためのもの）
+ * 2. 入力時間：フォームを開いてから MIN_FORM_FILL_MS 未満で送信されたら拒否
+ *    フォームを開いた時刻は、フォームを開いた時に startReservationForm が署名して渡す「フォームの開始トークン」から読む
+ *    （画面が測った時間を信じると、スクリプトが好きな値を送るだけで通れてしまうため）
+ * 3. 確認の質問：同じIPアドレスからの1時間の発行回数が CHALLENGE_THRESHOLD を超えたら、
+ *    簡単な計算問題に答えてもらう（0にすると確認の質問は出さない）
+ * 4. 回数制限：同じIPアドレス・同じメールアドレスからの発行回数を1時間ごとに数え、上限を超えたら拒否
+ *
+ * 【予約パス】reservationPasses/{passId}
+ *   - emailKey: メールアドレスのハッシュ値（予約のメールアドレスと一致するかを確認する）
+ *   - performanceIds: 予約する公演のID
+ *   - maxUses: 予約できる件数（カートでまとめて予約する場合は公演日時の数）
+ *   - used: 使用済みかどうか / expiresAt: 有効期限
+ *
+ * 【拒否の記録】botProtectionLogs/{自動ID}
+ *   - performanceIds, troupeIds: どの公演の予約フォームで拒否したか（劇団の予約一覧に表示する）
+ *   - reason: 拒否した理由（REJECT_REASONS）
+ *   - emailKey, ipKey: 同じ相手からの試みをまとめて見るためのハッシュ値（生のIPアドレス・メールアドレスは残さない）
+ *   - createdAt: 拒否した日時
+ *
+ * 【フォームの開始トークン】
+ *   FS1.{発行した日時（ミリ秒）}.{署名}
+ *   - 署名：先頭からの文字列を FORM_TOKEN_SECRET で署名した値（HMAC-SHA256 の先頭16バイト）
+ *   - FORM_TOKEN_SECRET は Secret Manager（エミュレーターでは functions/.secret.local に書く）
+ *   なぜ Firestore に保存せず署名にするか：フォームを開くたびに書き込むと、開くだけで書き込みを増やせてしまうため
+ */
+
+import { createHmac, randomInt, timingSafeEqual } from "node:crypto";
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { defineSecret } from "firebase-functions/params";
+import { getFirestore, FieldValue, Timestamp } from "firebase-admin/firestore";
+import { hashValue, getClientIp, pruneTimestamps } from "./requestUtils.js";
+
+// フォームの開始トークンの署名の鍵（鍵を変えると、開いている予約フォームは再読み込みが必要になる）
+const FORM_TOKEN_SECRET = defineSecret("FORM_TOKEN_SECRET");
+
+// フォームの開始トークンの先頭（形を変える場合は FS2 のように変えて、古いトークンと区別する）
+const FORM_TOKEN_PREFIX = "FS1";
+
+// 署名の長さ（16バイト = base64urlで22文字）
+const FORM_TOKEN_SIGNATURE_BYTES = 16;
+
+// フォームを開いてから送信できるまでの最短時間（人が名前とメールアドレスを入力するには数秒かかるため）
+const MIN_FORM_FILL_MS = 5 * 1000;
+
+// フォームの開始トークンを使える時間
+// なぜ期限を付けるか：一度受け取ったトークンを、スクリプトがいつまでも使い回せないようにするため
+// （半日より長く開いたままのフォームは、ページを再読み込みしてもらう）
+const FORM_TOKEN_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+// 1時間に予約パスを発行できる回数の上限
+// なぜIPアドレスの上限を大きくするか：劇場や学校などで、同じIPアドレスから複数の方が予約するため
+const MAX_PASSES_PER_IP = Number(process.env.MAX_PASSES_PER_IP) || 20;
+const MAX_PASSES_PER_EMAIL = Number(process.env.MAX_PASSES_PER_EMAIL) || 5;
+
+// IPアドレスの発行回数がこの回数を超えたら、確認の質問を出す（0なら出さない）
+const CHALLENGE_THRESHOLD = Number(process.env.CHALLENGE_THRESHOLD ?? 5);
+
+// 1つの予約パスで予約できる件数の上限
+const MAX_ITEMS_PER_PASS = 20;
+
+// 予約パス・確認の質問の有効期限（予約フォームの仮押さえと同じ10分）
+const PASS_EXPIRES_MS = 10 * 60 * 1000;
+
+// 予約パスが使えない場合のエラーコード（画面の BOT_PROTECTION_ERROR_CODES.PASS_INVALID と同じ）
+export const PASS_INVALID_ERROR_CODE = "bot-protection/pass-invalid";
+
+// 拒否した理由
+export const REJECT_REASONS = {
+  HONEYPOT: "honeypot",                   // ハニーポットの入力欄に値が入っていた
+  TOO_FAST: "too_fast",                   // 入力時間が短すぎる
+  FORM_TOKEN_INVALID: "form_token_invalid", // フォームの開始トークンが無い・署名が違う・期限切れ
+  RATE_LIMITED_IP: "rate_limited_ip",     // 同じIPアドレスからの回数が上限を超えた
+  RATE_LIMITED_EMAIL: "rate_limited_email", // 同じメールアドレスからの回数が上限を超えた
+  CHALLENGE_FAILED: "challenge_failed",   // 確認の質問の答えが違う・期限切れ
+};
+
+/**
+ * フォームの開始トークンの署名を作る関数
+ *
+ * @param {string} payload - 署名する文字列（"FS1.{発行した日時}"）
+ * @returns {string} base64urlの署名
+ */
+function signFormToken(payload) {
+  return createHmac("sha256", FORM_TOKEN_SECRET.value())
+    .update(payload)
+    .digest()
+    .subarray(0, FORM_TOKEN_SIGNATURE_BYTES)
+    .toString("base64url");
+}
+
+/**
+ * フォームの開始トークンを読み、署名を確認する関数
+ *
+ * @param {*} token - 画面から受け取ったトークン
+ * @returns {number|null} 署名が正しければフォームを開いた日時（ミリ秒。正しくなければnull）
+ *
+ * なぜ timingSafeEqual で比べるか：functions/tickets.js のチケットコードと同じ（署名を1文字ずつ推測されないように）
+ */
+function readFormStartedAt(token) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3 || parts[0] !== FORM_TOKEN_PREFIX || !/^\d+$/.test(parts[1])) {
+    return null;
+  }
+  const expected = Buffer.from(signFormToken(`${FORM_TOKEN_PREFIX}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return Number(parts[1]);
+}
+
+/**
+ * 予約フォームを開いた時に、フォームの開始トークンを返す関数（予約ページ・カートページから httpsCallable で呼ぶ）
+ *
+ * 返す値：{ formToken }（予約パスを受け取る時に issueReservationPass に渡す）
+ */
+export const startReservationForm = onCall({ secrets: [FORM_TOKEN_SECRET] }, async () => {
+  const payload = `${FORM_TOKEN_PREFIX}.${Date.now()}`;
+  return { formToken: `${payload}.${signFormToken(payload)}` };
+});
+
+/**
+ * 拒否した試みを記録する関数
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {Object} params
+ * @param {Array<string>} params.performanceIds - 予約しようとした公演のID
+ * @param {string} params.reason - 拒否した理由（REJECT_REASONS）
+ * @param {string} params.emailKey - メールアドレスのハッシュ値
+ * @param {string} params.ipKey - IPアドレスのハッシュ値
+ */
+async function logRejectedAttempt(db, { performanceIds, reason, emailKey, ipKey }) {
+  // 劇団の予約一覧で絞り込めるように、公演の劇団IDも一緒に残す
+  const performanceSnaps = await Promise.all(
+    performanceIds.map((performanceId) => db.collection("performances").doc(performanceId).get())
+  );
+  const troupeIds = [
+    ...new Set(performanceSnaps.map((snap) => snap.data()?.troupeId).filter(Boolean)),
+  ];
+
+  await db.collection("botProtectionLogs").add({
+    performanceIds,
+    troupeIds,
+    reason,
+    emailKey,
+    ipKey,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  console.warn("予約フォームの送信を拒否しました:", reason, performanceIds.join(","));
+}
+
+/**
+ * 拒否してエラーを返す関数
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {Object} context - 記録に使う情報（logRejectedAttempt と同じ）
+ * @param {string} code - HttpsErrorのコード
+ * @param {string} message - お客様に表示するメッセージ
+ * @param {Object} [details] - 画面に渡す追加の情報
+ * @returns {Promise<never>}
+ */
+async function reject(db, context, code, message, details = {}) {
+  await logRejectedAttempt(db, context);
+  throw new HttpsError(code, message, { reason: context.reason, ...details });
+}
+
+/**
+ * 確認の質問（簡単な足し算）を作る関数
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {string} ipKey - IPアドレスのハッシュ値（別の相手が答えを使い回せないようにする）
+ * @returns {Promise<{ challengeId: string, question: string }>}
+ *
+ * なぜ外部のCAPTCHAサービスを使わないか：
+ * - APIキーの管理や外部への送信が不要で、エミュレーターでもそのまま試せるようにするため
+ */
+async function createChallenge(db, ipKey) {
+  const a = randomInt(1, 10);
+  const b = randomInt(1, 10);
+  const challengeRef = db.collection("reservationChallenges").doc();
+  await challengeRef.set({
+    answer: a + b,
+    ipKey,
+    expiresAt: Timestamp.fromMillis(Date.now() + PASS_EXPIRES_MS),
+  });
+  return { challengeId: challengeRef.id, question: `${a} + ${b} はいくつですか？` };
+}
+
+/**
+ * 確認の質問の答えを確認する関数（確認した質問は削除して使い回せないようにする）
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {Object} params
+ * @param {string} params.challengeId - 質問のID
+ * @param {string|number} params.challengeAnswer - お客様の答え
+ * @param {string} params.ipKey - IPアドレスのハッシュ値
+ * @returns {Promise<boolean>} 正しければtrue
+ */
+async function verifyChallenge(db, { challengeId, challengeAnswer, ipKey }) {
+  if (!challengeId) {
+    return false;
+  }
+  const challengeRef = db.collection("reservationChallenges").doc(String(challengeId));
+  const challengeSnap = await challengeRef.get();
+  if (!challengeSnap.exists) {
+    return false;
+  }
+  await challengeRef.delete();
+  const challenge = challengeSnap.data();
+  return (
+    challenge.ipKey === ipKey &&
+    challenge.expiresAt.toMillis() > Date.now() &&
+    Number(challengeAnswer) === challenge.answer
+  );
+}
+
+/**
+ * 予約パスを発行する関数（予約ページ・カートページから httpsCallable で呼ぶ）
+ *
+ * 受け取る値（request.data）：
+ * - email: 予約者のメールアドレス
+ * - performanceIds: 予約する公演のID（予約1件ごとに1つ。カートで同じ公演の別日時を予約する場合は同じIDが並ぶ）
+ * - honeypot: ハニーポットの入力欄の値（人が入力していれば空）
+ * - formToken: フォームを開いた時に startReservationForm から受け取ったトークン
+ * - challengeId, challengeAnswer: 確認の質問に答えた場合のみ
+ *
+ * 返す値：{ passId }
+ *
+ * エラー（HttpsError。details.reason に REJECT_REASONS）：
+ * - ハニーポット・フォームの開始トークン・入力時間・確認の質問の誤り：permission-denied
+ * - 回数の上限：resource-exhausted
+ * - 確認の質問が必要：failed-precondition（details.challenge に { challengeId, question }）
+ */
+export const issueReservationPass = onCall({ secrets: [FORM_TOKEN_SECRET] }, async (request) => {
+  const db = getFirestore();
+  const data = request.data || {};
+
+  const email = String(data.email || "").trim().toLowerCase();
+  const itemPerformanceIds = (Array.isArray(data.performanceIds) ? data.performanceIds : [])
+    .map(String)
+    .filter(Boolean);
+  // カートでまとめて予約できる件数より多い場合は受け付けない
+  if (!email || itemPerformanceIds.length === 0 || itemPerformanceIds.length > MAX_ITEMS_PER_PASS) {
+    throw new HttpsError("invalid-argument", "予約内容が正しくありません。");
+  }
+  const performanceIds = [...new Set(itemPerformanceIds)];
+
+  const emailKey = hashValue(email);
+  const ipKey = hashValue(getClientIp(request.rawRequest));
+  const context = { performanceIds, emailKey, ipKey };
+
+  // ============================================
+  // 1. ハニーポット・2. 入力時間
+  // ============================================
+  // なぜ理由を画面に出さないか：ボットに「どのチェックで弾かれたか」を教えないため
+  if (String(data.honeypot || "").trim()) {
+    await reject(db, { ...context, reason: REJECT_REASONS.HONEYPOT }, "permission-denied",
+      "予約を受け付けられませんでした。ページを再読み込みして、もう一度お試しください。");
+  }
+  const formStartedAt = readFormStartedAt(data.formToken);
+  const elapsedMs = Date.now() - formStartedAt;
+  if (formStartedAt === null || elapsedMs > FORM_TOKEN_MAX_AGE_MS) {
+    await reject(db, { ...context, reason: REJECT_REASONS.FORM_TOKEN_INVALID }, "permission-denied",
+      "予約を受け付けられませんでした。ページを再読み込みして、もう一度お試しください。");
+  }
+  if (elapsedMs < MIN_FORM_FILL_MS) {
+    await reject(db, { ...context, reason: REJECT_REASONS.TOO_FAST }, "permission-denied",
+      "予約を受け付けられませんでした。入力内容をご確認のうえ、少し時間をおいてもう一度お試しください。");
+  }
+
+  // ============================================
+  // 3. 確認の質問（IPアドレスの回数がしきい値を超えた場合のみ）
+  // ============================================
+  const ipLimitRef = db.collection("rateLimits").doc(`ip__${ipKey}`);
+  const emailLimitRef = db.collection("rateLimits").doc(`email__${emailKey}`);
+  const recentIpCount = pruneTimestamps((await ipLimitRef.get()).data()?.timestamps, Date.now()).length;
+  if (CHALLENGE_THRESHOLD > 0 && recentIpCount >= CHALLENGE_THRESHOLD && recentIpCount < MAX_PASSES_PER_IP) {
+    if (!data.challengeId) {
+      // 初めて質問を出す場合は記録しない（人が予約している可能性が高いため）
+      throw new HttpsError("failed-precondition", "確認のため、質問に答えてください。", {
+        challenge: await createChallenge(db, ipKey),
+      });
+    }
+    if (!(await verifyChallenge(db, { challengeId: data.challengeId, challengeAnswer: data.challengeAnswer, ipKey }))) {
+      await reject(db, { ...context, reason: REJECT_REASONS.CHALLENGE_FAILED }, "permission-denied",
+        "確認の質問の答えが違います。新しい質問に答えてください。",
+        { challenge: await createChallenge(db, ipKey) });
+    }
+  }
+
+  // ============================================
+  // 4. 回数制限（IPアドレス・メールアドレス）と予約パスの発行
+  // ============================================
+  // なぜトランザクションを使うか：同時に送信された場合も、回数を取りこぼさずに数えて上限を守るため
+  const passRef = db.collection("reservationPasses").doc();
+  const rejectedReason = await db.runTransaction(async (transaction) => {
+    const [ipSnap, emailSnap] = await Promise.all([transaction.get(ipLimitRef), transaction.get(emailLimitRef)]);
+    const now = Date.now();
+    const ipTimestamps = pruneTimestamps(ipSnap.data()?.timestamps, now);
+    const emailTimestamps = pruneTimestamps(emailSnap.data()?.timestamps, now);
+    if (ipTimestamps.length >= MAX_PASSES_PER_IP) {
+      return REJECT_REASONS.RATE_LIMITED_IP;
+    }
+    if (emailTimestamps.length >= MAX_PASSES_PER_EMAIL) {
+      return REJECT_REASONS.RATE_LIMITED_EMAIL;
+    }
+
+    // 回数は配列で持ち、書き込むたびに1時間より前の分を捨てる（ドキュメントが大きくならないように）
+    transaction.set(ipLimitRef, { timestamps: [...ipTimestamps, now] });
+    transaction.set(emailLimitRef, { timestamps: [...emailTimestamps, now] });
+    transaction.set(passRef, {
+      emailKey,
+      performanceIds,
+      maxUses: itemPerformanceIds.length,
+      used: false,
+      expiresAt: Timestamp.fromMillis(now + PASS_EXPIRES_MS),
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    return "";
+  });
+
+  if (rejectedReason === REJECT_REASONS.RATE_LIMITED_IP) {
+    await reject(db, { ...context, reason: rejectedReason }, "resource-exhausted",
+      "短い時間に多くの予約が行われたため、受付を一時的に停止しています。しばらくしてからお試しください。");
+  }
+  if (rejectedReason === REJECT_REASONS.RATE_LIMITED_EMAIL) {
+    await reject(db, { ...context, reason: rejectedReason }, "resource-exhausted",
+      "このメールアドレスからの予約が続いているため、受付を一時的に停止しています。しばらくしてからお試しください。");
+  }
+
+  return { passId: passRef.id };
+});
+
+/**
+ * 予約パスのドキュメント参照を返す関数
+ *
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {string} passId - 予約パスのID
+ * @returns {DocumentReference} reservationPasses/{passId}
+ */
+export function getReservationPassRef(db, passId) {
+  return db.collection("reservationPasses").doc(String(passId || "-"));
+}
+
+/**
+ * 予約パスを確認する関数（予約・キャンセル待ち・抽選の申込のトランザクション内で使う）
+ *
+ * @param {DocumentSnapshot} passSnap - トランザクション内で読んだ予約パス
+ * @param {Object} params
+ * @param {string} params.emailKey - 予約のemailKey
+ * @param {Array<string>} params.performanceIds - 予約する公演のID（予約1件ごとに1つ）
+ * @param {Date} params.now - 現在日時
+ *
+ * エラー：
+ * - 予約パスが無い・使用済み・期限切れ・内容が違う場合は code = PASS_INVALID_ERROR_CODE
+ *
+ * 確認が済んだら、呼び出し側で transaction.update(passRef, { used: true, ... }) を行うこと
+ */
+export function assertReservationPass(passSnap, { emailKey, performanceIds, now }) {
+  const pass = passSnap.exists ? passSnap.data() : null;
+  const isValid =
+    pass &&
+    pass.used !== true &&
+    pass.expiresAt?.toMillis() > now.getTime() &&
+    pass.emailKey === emailKey &&
+    performanceIds.length <= (Number(pass.maxUses) || 0) &&
+    performanceIds.every((performanceId) => (pass.performanceIds || []).includes(performanceId));
+  if (!isValid) {
+    const error = new Error("予約の受付確認の有効期限が切れました。もう一度お試しください。");
+    error.code = PASS_INVALID_ERROR_CODE;
+    throw error;
+  }
+}
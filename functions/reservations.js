@@ -0,0 +1,474 @@
+/**
+ * ============================================
+ * reservations.js - 予約の作成（座席在庫つき）
+ * ============================================
+ *
+ * 予約ページ・カートページから呼ばれ、予約パスの確認・在庫のチェック・予約の作成・
+ * 確認メールの送信依頼を1つのトランザクションで行う関数です。
+ *
+ * 【なぜ画面から直接書き込まず、この関数で作成するか】
+ * - 画面のトランザクションで確認しても、スクリプトから直接書き込まれると素通りされてしまうため
+ *   （予約パスさえあれば、好きな人数・券種・金額の予約を作れてしまう）
+ * - この関数は、画面から「予約者の情報・券種ごとの枚数・座席・割引コード」だけを受け取り、
+ *   券種の内訳・金額・人数・公演の情報はサーバー側で公演データから作り直してから、
+ *   残席・券種の販売上限・人数と件数の上限・車椅子スペースなどの枠を確認する
+ * - firestore.rules では、画面からの予約の作成を許可していない（劇団が作成する抽選の当選などを除く）
+ *
+ * 【受け取る値】（request.data）
+ * - reservationPassId: 予約パスのID（functions/reservationPass.js の issueReservationPass で受け取る）
+ * - customer: { name, email, note } 予約者の情報（全ての予約で共通）
+ * - items: 予約する公演日時の配列（1件〜MAX_ITEMS_PER_REQUEST件）
+ *     { performanceId, stageId, ticketQuantities, seats, holdId, promoCode, discountAmount, answers, accessibility }
+ * - allowPrepayment: 事前決済の公演の予約（お支払い待ちの予約）を作成してよいか
+ *     （予約ページから1件だけ予約する場合のみ。お支払いの画面は1件ずつのため、カートからは作成しない）
+ *
+ * 【返す値】
+ * - { reservations: [{ id, ...予約データ }] }（items と同じ順番。createdAt は含まない）
+ *   予約完了ページ・お支払いページへ渡すため、cancelToken・予約番号もそのまま返す
+ *
+ * 【エラー】（HttpsError。details.code にエラーコード。詳しくは callableErrors.js）
+ * - 予約できない理由は RESERVATION_ERROR_CODES（functions/shared/reservationErrorCodes.js）
+ *   どの予約で失敗したかは details.itemIndex に入る
+ * - 予約パスが使えない場合は "bot-protection/pass-invalid"
+ * - 入力の形が正しくない場合は invalid-argument（details.code は無し）
+ */
+
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { getFirestore, FieldValue } from "firebase-admin/firestore";
+import { findStageById } from "./shared/stageUtils.js";
+import {
+  getTicketTypes,
+  mergeTicketCounts,
+  findQuotaShortage,
+  getTicketCounts,
+  getReservationSeatCount,
+  getReservationAttendeeCount,
+} from "./shared/ticketUtils.js";
+import { hasSeatMap, findUnavailableSeats, sortSeatLabels } from "./shared/seatMapUtils.js";
+import { countHeldSeats } from "./shared/seatHoldUtils.js";
+import {
+  normalizePromoCode,
+  isValidPromoCodeFormat,
+  getPromoCodeDocId,
+  getPromoCodeError,
+  calculateDiscount,
+} from "./shared/promoCodeUtils.js";
+import { generateCancelToken, generateConfirmationCode } from "./shared/tokenUtils.js";
+import { getReservationCountByEmail, adjustEmailCounts } from "./shared/reservationLimitUtils.js";
+import { assertSalesWindowOpen } from "./shared/salesWindowUtils.js";
+import { getAccessibilityCounts, countReservedAccessibleSeats } from "./shared/accessibilityUtils.js";
+import {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  PENDING_PAYMENT_STATUS,
+  PAYMENT_HOLD_MINUTES,
+  requiresPrepayment,
+} from "./shared/paymentUtils.js";
+import { RESERVATION_ERROR_CODES } from "./shared/reservationErrorCodes.js";
+import {
+  readStageInventory,
+  buildHoldsCleanup,
+  assertReservationLimits,
+  assertAccessibilityAvailable,
+} from "./inventory.js";
+import { normalizeCustomer, buildBookingData, buildStageFields } from "./bookingData.js";
+import { getReservationPassRef, assertReservationPass } from "./reservationPass.js";
+import { buildMailRequest, MAIL_TYPES } from "./mailRequests.js";
+import { toHttpsError } from "./callableErrors.js";
+
+// 1回でまとめて予約できる件数の上限（予約パスの MAX_ITEMS_PER_PASS と揃える）
+const MAX_ITEMS_PER_REQUEST = 20;
+
+// 仮押さえIDの長さの上限（予約ページの generateHoldId で作るIDより十分長く）
+const MAX_HOLD_ID_LENGTH = 64;
+
+/**
+ * 画面から受け取った1件分の予約の内容を、決まった形にそろえる関数
+ *
+ * @param {Object} item - 画面から受け取った値
+ * @returns {Object} { performanceId, stageId, ticketQuantities, seats, holdId, promoCode, discountAmount, answers, accessibility }
+ *
+ * エラー：
+ * - 公演・公演日時の指定が無い場合は HttpsError（invalid-argument）
+ *
+ * なぜ stageId の数値をそのまま残すか：ステージIDの無い旧データの公演は、インデックス（数値）で予約するため
+ */
+function normalizeItem(item) {
+  const performanceId = typeof item?.performanceId === "string" ? item.performanceId : "";
+  const stageId = typeof item?.stageId === "number" || typeof item?.stageId === "string" ? item.stageId : null;
+  if (!performanceId || stageId === null || stageId === "") {
+    throw new HttpsError("invalid-argument", "予約する公演日時が選択されていません。");
+  }
+  const holdId = typeof item.holdId === "string" ? item.holdId.slice(0, MAX_HOLD_ID_LENGTH) : "";
+  return {
+    performanceId,
+    stageId,
+    ticketQuantities: item.ticketQuantities && typeof item.ticketQuantities === "object" ? item.ticketQuantities : {},
+    seats: Array.isArray(item.seats) ? item.seats.map(String) : [],
+    holdId,
+    promoCode: normalizePromoCode(item.promoCode),
+    discountAmount: Number(item.discountAmount) || 0,
+    answers: item.answers,
+    accessibility: item.accessibility,
+  };
+}
+
+/**
+ * 1件分の予約が可能かを確認する関数（トランザクション内で使う）
+ *
+ * @param {Object} item - normalizeItem でそろえた予約の内容
+ * @param {Object} context
+ * @param {Object} context.performance - 公演データ
+ * @param {Object} context.stage - ステージデータ
+ * @param {Object} context.reservationData - 保存する予約データ（券種の内訳などをサーバー側で作ったもの）
+ * @param {string} context.reservationId - 作成する予約のID
+ * @param {Object} context.inventory - 在庫の値（readStageInventory の inventory）
+ * @param {Object|null|undefined} context.promoCode - 割引コードデータ（コードを使わない場合はundefined）
+ * @param {number} context.now - 現在時刻（ミリ秒）
+ * @param {boolean} context.allowPrepayment - 事前決済の公演の予約を作成してよいか
+ * @returns {{ requestedSeats: number, requestedCounts: Object, requestedAccessibility: Object, seatAssignments: Object, priceFields: Object, paymentFields: Object }}
+ *   priceFields は割引コードを使った場合の金額（promoCode・subtotalPrice・discountAmount・totalPrice）、
+ *   paymentFields は事前決済の場合の status・お支払いの期限など（当日精算の場合は空）
+ *
+ * 割引コードを使う場合は、context.promoCode.usedCount を1増やす
+ * （同じコードを複数の予約で使ったときに、利用上限を正しくチェックするため）
+ */
+function checkReservationItem(item, { performance, stage, reservationData, reservationId, inventory, promoCode, now, allowPrepayment }) {
+  // 予約の受付期間（予約開始日時〜開演の○時間前）の外は予約できない
+  assertSalesWindowOpen(performance, stage, new Date(now));
+
+  // 席を使わない券種（膝上の未就学児など）は席数に含めない
+  const requestedSeats = getReservationSeatCount(reservationData);
+  const requestedCounts = getTicketCounts(reservationData);
+  const requestedAccessibility = getAccessibilityCounts(reservationData);
+  const { reservedSeats, ticketCounts, takenSeats, holds, accessibilityCounts } = inventory;
+
+  // ============================================
+  // 残席チェック（席数上限が設定されている場合のみ）
+  // ============================================
+  // 他のお客様が仮押さえ中の席は数え、自分の仮押さえ（holdId）は数えない
+  // まだ予約されていない車椅子スペース・同伴者席も埋まっている席として数える（この予約で使う分は除く）
+  const heldSeats = countHeldSeats(holds, now, item.holdId)
+    + countReservedAccessibleSeats(stage, mergeTicketCounts(accessibilityCounts, requestedAccessibility));
+  const seatLimit = Number(stage.seatLimit) || 0;
+  if (seatLimit > 0 && reservedSeats + heldSeats + requestedSeats > seatLimit) {
+    const availableSeats = Math.max(seatLimit - reservedSeats - heldSeats, 0);
+    const error = new Error(`残席が不足しています。残席: ${availableSeats}席、希望人数: ${requestedSeats}人`);
+    error.code = RESERVATION_ERROR_CODES.SOLD_OUT;
+    error.availableSeats = availableSeats;
+    throw error;
+  }
+
+  // ============================================
+  // 券種ごとの販売上限チェック（上限が設定されている券種のみ）
+  // ============================================
+  const shortage = findQuotaShortage(getTicketTypes(performance), ticketCounts, requestedCounts);
+  if (shortage) {
+    const error = new Error(
+      `「${shortage.ticketType.name}」の残り枚数が不足しています。残り: ${shortage.availableQuantity}枚`
+    );
+    error.code = RESERVATION_ERROR_CODES.TICKET_QUOTA_EXCEEDED;
+    error.ticketTypeName = shortage.ticketType.name;
+    error.availableQuantity = shortage.availableQuantity;
+    throw error;
+  }
+
+  // ============================================
+  // 車椅子スペース・同伴者席の枠のチェック（ご要望がある場合のみ）
+  // ============================================
+  assertAccessibilityAvailable(stage, accessibilityCounts, {
+    request: reservationData.accessibility,
+    requestedSeats,
+  });
+
+  // ============================================
+  // 人数・同じメールアドレスの予約件数の上限チェック（公演で設定されている場合のみ）
+  // ============================================
+  assertReservationLimits(performance, inventory, {
+    attendeeCount: getReservationAttendeeCount(reservationData),
+    emailKey: reservationData.emailKey,
+  });
+
+  // ============================================
+  // 座席チェック（座席表のあるステージのみ）
+  // ============================================
+  // なぜトランザクション内で確認するか：
+  // - 同じ座席を同時に選んだ2人のうち、先に保存した1人だけが予約できるようにするため
+  const seatAssignments = {};
+  if (hasSeatMap(stage)) {
+    if (item.seats.length !== requestedSeats) {
+      const error = new Error(`座席を${requestedSeats}席選択してください。`);
+      error.code = RESERVATION_ERROR_CODES.INVALID_SEATS;
+      throw error;
+    }
+    const unavailableSeats = findUnavailableSeats(stage.seatMap, takenSeats, item.seats);
+    if (unavailableSeats.length > 0) {
+      const error = new Error(`選択した座席（${unavailableSeats.join("、")}）は予約できません。`);
+      error.code = RESERVATION_ERROR_CODES.SEAT_TAKEN;
+      error.unavailableSeats = unavailableSeats;
+      throw error;
+    }
+    item.seats.forEach((seat) => {
+      seatAssignments[seat] = reservationId;
+    });
+  }
+
+  // ============================================
+  // 割引コードのチェック（コードを使う場合のみ）
+  // ============================================
+  // なぜ画面の割引額と比べるか：
+  // - 画面に表示した金額と違う金額で予約されないように、設定が変わった場合はもう一度適用してもらうため
+  //   （保存する割引額は、ここで計算した額を使う）
+  let priceFields = {};
+  if (promoCode !== undefined) {
+    const promoCodeError = getPromoCodeError(promoCode, { performanceId: item.performanceId, now: new Date(now) });
+    const subtotalPrice = reservationData.totalPrice;
+    const discountAmount = promoCode ? calculateDiscount(promoCode, subtotalPrice) : 0;
+    if (promoCodeError || discountAmount !== item.discountAmount) {
+      const error = new Error(promoCodeError || "割引コードの内容が変更されました。もう一度適用してください。");
+      error.code = RESERVATION_ERROR_CODES.PROMO_CODE_INVALID;
+      throw error;
+    }
+    promoCode.usedCount = (Number(promoCode.usedCount) || 0) + 1;
+    priceFields = {
+      promoCode: promoCode.code || item.promoCode,
+      subtotalPrice,
+      discountAmount,
+      totalPrice: subtotalPrice - discountAmount,
+    };
+  }
+
+  // ============================================
+  // 事前決済（お支払い金額が1円以上の予約のみ）
+  // ============================================
+  let paymentFields = {};
+  if (requiresPrepayment(performance, { ...reservationData, ...priceFields })) {
+    if (!allowPrepayment) {
+      const error = new Error("事前決済の公演は、カートからまとめて予約できません。公演の予約ページから予約してください。");
+      error.code = RESERVATION_ERROR_CODES.PREPAYMENT_NOT_IN_CART;
+      throw error;
+    }
+    paymentFields = {
+      status: PENDING_PAYMENT_STATUS,
+      paymentMethod: PAYMENT_METHODS.PREPAID,
+      paymentStatus: PAYMENT_STATUSES.PENDING,
+      paymentExpiresAt: now + PAYMENT_HOLD_MINUTES * 60 * 1000,
+    };
+  }
+
+  return { requestedSeats, requestedCounts, requestedAccessibility, seatAssignments, priceFields, paymentFields };
+}
+
+/**
+ * 予約を作成する関数（予約ページ・カートページから httpsCallable で呼ぶ）
+ *
+ * 処理の流れ：
+ * 1. 入力の形を確認する（同じステージが2回ある場合は DUPLICATE_STAGE）
+ * 2. トランザクション内で、予約パス・公演・劇団・在庫・割引コードを読む
+ * 3. 予約パスを確認し、予約ごとに保存するデータを作って、残席などを確認する（1件でも予約できなければ何も書き込まない）
+ * 4. 在庫・予約・割引コードの利用件数・予約パス（使用済み）・確認メールの送信依頼をまとめて書き込む
+ *    （事前決済のお支払い待ちの予約は、お支払いが済んでから確認メールを送る）
+ *
+ * なぜ1つのトランザクションで作成するか：
+ * - 「マチネは取れたがソワレは満席だった」のように一部だけ予約されると、
+ *   お客様が残りを取り消す手間がかかるため（全て予約できるか、何も予約しないかのどちらかにする）
+ */
+export const createReservations = onCall(async (request) => {
+  const db = getFirestore();
+  const data = request.data || {};
+
+  try {
+    const rawItems = Array.isArray(data.items) ? data.items : [];
+    if (rawItems.length === 0 || rawItems.length > MAX_ITEMS_PER_REQUEST) {
+      throw new HttpsError("invalid-argument", "予約する公演日時が選択されていません。");
+    }
+    const items = rawItems.map(normalizeItem);
+    const customer = await normalizeCustomer(data.customer);
+    const allowPrepayment = data.allowPrepayment === true && items.length === 1;
+
+    // 同じステージを2回予約しようとしていないか確認する
+    // （在庫ドキュメントへの書き込みが重なり、後の書き込みで前の分が消えてしまうため）
+    const stageKeys = items.map((item) => `${item.performanceId}__${item.stageId}`);
+    const duplicateIndex = stageKeys.findIndex((key, index) => stageKeys.indexOf(key) !== index);
+    if (duplicateIndex !== -1) {
+      const error = new Error("同じ公演日時が2回以上選択されています。");
+      error.code = RESERVATION_ERROR_CODES.DUPLICATE_STAGE;
+      error.itemIndex = duplicateIndex;
+      throw error;
+    }
+
+    const passRef = getReservationPassRef(db, data.reservationPassId);
+    // 予約のドキュメントIDを先に確定させる（座席の割り当て・確認メールに使うため）
+    const reservationRefs = items.map(() => db.collection("reservations").doc());
+
+    const reservations = await db.runTransaction(async (transaction) => {
+      // ============================================
+      // 読み取り（トランザクションでは書き込みより先に全て読む）
+      // ============================================
+      const passSnap = await transaction.get(passRef);
+      // 同じ公演・同じ割引コードは1回だけ読む
+      const performances = {};
+      const troupes = {};
+      const promoCodes = {};
+      const stocks = [];
+      for (const item of items) {
+        if (!(item.performanceId in performances)) {
+          const performanceSnap = await transaction.get(db.collection("performances").doc(item.performanceId));
+          const performance = performanceSnap.exists ? performanceSnap.data() : null;
+          performances[item.performanceId] = performance;
+          if (performance?.troupeId && !(performance.troupeId in troupes)) {
+            const troupeSnap = await transaction.get(db.collection("troupes").doc(performance.troupeId));
+            troupes[performance.troupeId] = troupeSnap.exists ? troupeSnap.data() : null;
+          }
+        }
+        stocks.push(await readStageInventory(transaction, db, item.performanceId, item.stageId));
+        if (item.promoCode && isValidPromoCodeFormat(item.promoCode)) {
+          const promoCodeId = getPromoCodeDocId(item.performanceId, item.promoCode);
+          if (!(promoCodeId in promoCodes)) {
+            const promoCodeSnap = await transaction.get(db.collection("promoCodes").doc(promoCodeId));
+            promoCodes[promoCodeId] = promoCodeSnap.exists ? { ...promoCodeSnap.data() } : null;
+          }
+        }
+      }
+
+      // ============================================
+      // チェック（1件でも予約できなければ、何も書き込まない）
+      // ============================================
+      const now = Date.now();
+      assertReservationPass(passSnap, {
+        emailKey: customer.emailKey,
+        performanceIds: items.map((item) => item.performanceId),
+        now: new Date(now),
+      });
+
+      const prepared = items.map((item, index) => {
+        try {
+          const performance = performances[item.performanceId];
+          if (!performance) {
+            const error = new Error("公演が見つかりませんでした。");
+            error.code = RESERVATION_ERROR_CODES.PERFORMANCE_NOT_FOUND;
+            throw error;
+          }
+          const stage = findStageById(performance.stages, item.stageId);
+          if (!stage) {
+            const error = new Error("選択された公演日時が見つかりませんでした。");
+            error.code = RESERVATION_ERROR_CODES.STAGE_NOT_FOUND;
+            throw error;
+          }
+
+          const reservationData = {
+            ...buildBookingData({
+              performanceId: item.performanceId,
+              performance,
+              troupe: troupes[performance.troupeId] || null,
+              customer,
+              ticketQuantities: item.ticketQuantities,
+              answers: item.answers,
+              accessibility: item.accessibility,
+            }),
+            ...buildStageFields(item.stageId, stage),
+            // 座席（指定席のステージのみ。例：["A-5", "A-6"]）
+            ...(hasSeatMap(stage) ? { seats: sortSeatLabels(item.seats) } : {}),
+          };
+
+          // 使えない形のコードは、コードが見つからない場合と同じく PROMO_CODE_INVALID にする
+          const promoCodeId = item.promoCode ? getPromoCodeDocId(item.performanceId, item.promoCode) : "";
+          const result = checkReservationItem(item, {
+            performance,
+            stage,
+            reservationData,
+            reservationId: reservationRefs[index].id,
+            inventory: stocks[index].inventory,
+            promoCode: item.promoCode ? promoCodes[promoCodeId] ?? null : undefined,
+            now,
+            allowPrepayment,
+          });
+          return {
+            ...result,
+            reservationData: {
+              ...reservationData,
+              ...result.priceFields,
+              status: "active",
+              cancelToken: generateCancelToken(),
+              confirmationCode: generateConfirmationCode(), // 予約番号（受付・お問い合わせ用）
+              reservationPassId: passRef.id, // どの予約パスで作成したか
+              ...result.paymentFields,
+            },
+          };
+        } catch (error) {
+          // 複数まとめて予約する場合に、どの予約で失敗したかを画面で示せるようにする
+          error.itemIndex = index;
+          throw error;
+        }
+      });
+
+      // ============================================
+      // 書き込み（在庫・予約・割引コード・予約パス・mailQueueをまとめて反映）
+      // ============================================
+      items.forEach((item, index) => {
+        const { inventoryRef, exists, inventory } = stocks[index];
+        const { reservationData, requestedSeats, requestedCounts, requestedAccessibility, seatAssignments, paymentFields } = prepared[index];
+        const { emailKey } = reservationData;
+        transaction.set(
+          inventoryRef,
+          {
+            performanceId: item.performanceId,
+            stageId: item.stageId,
+            reservedSeats: inventory.reservedSeats + requestedSeats,
+            ticketCounts: mergeTicketCounts(inventory.ticketCounts, requestedCounts),
+            // 在庫ドキュメントを新しく作る場合は、集計した既存の値も一緒に書き込む
+            // （merge付きのsetなので、既存の在庫ドキュメントには変わった分だけを書き込む）
+            takenSeats: exists ? seatAssignments : { ...inventory.takenSeats, ...seatAssignments },
+            emailCounts: exists
+              ? { [emailKey]: getReservationCountByEmail(inventory, emailKey) + 1 }
+              : adjustEmailCounts(inventory.emailCounts, emailKey),
+            accessibilityCounts: mergeTicketCounts(inventory.accessibilityCounts, requestedAccessibility),
+            // お支払い待ちの予約は、期限切れを見つけて取り消せるように期限を載せる
+            pendingPayments: {
+              ...(exists ? {} : inventory.pendingPayments),
+              ...(paymentFields.paymentExpiresAt ? { [reservationRefs[index].id]: paymentFields.paymentExpiresAt } : {}),
+            },
+            // 予約に使った仮押さえと、期限切れの仮押さえを削除する
+            holds: buildHoldsCleanup(inventory.holds, now, item.holdId ? [item.holdId] : []),
+            updatedAt: FieldValue.serverTimestamp(),
+          },
+          { merge: true }
+        );
+        transaction.set(reservationRefs[index], { ...reservationData, createdAt: FieldValue.serverTimestamp() });
+      });
+
+      // 割引コードの利用件数を増やす（利用上限のチェックに使う。checkReservationItemで数え済み）
+      Object.entries(promoCodes).forEach(([promoCodeId, promoCode]) => {
+        if (promoCode) {
+          transaction.update(db.collection("promoCodes").doc(promoCodeId), { usedCount: promoCode.usedCount });
+        }
+      });
+
+      // 予約パスを使用済みにする（同じパスで2回予約できないようにする）
+      const reservationIds = reservationRefs.map((reservationRef) => reservationRef.id);
+      transaction.update(passRef, {
+        used: true,
+        usedAt: FieldValue.serverTimestamp(),
+        reservationIds,
+      });
+
+      // お支払い待ちの予約は、お支払いが済んでから確認メールを送る
+      if (!prepared.some((result) => result.paymentFields.paymentExpiresAt)) {
+        transaction.set(
+          db.collection("mailQueue").doc(),
+          buildMailRequest(
+            MAIL_TYPES.RESERVATION_CONFIRM,
+            // 1件のときは reservationId、まとめて予約したときは reservationIds に入れる
+            reservationIds.length === 1 ? { reservationId: reservationIds[0] } : { reservationIds }
+          )
+        );
+      }
+
+      return prepared.map((result, index) => ({ id: reservationIds[index], ...result.reservationData }));
+    });
+
+    return { reservations };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
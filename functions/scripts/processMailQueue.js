@@ -0,0 +1,25 @@
+/**
+ * ============================================
+ * processMailQueue.js - mailQueue のメールを今すぐ送るスクリプト（開発用）
+ * ============================================
+ *
+ * 送信待ち・送り直しの時刻を過ぎたメールを、その場で1回だけ送ります。
+ * エミュレーターでは5分ごとの送り直し（retryMailQueue）が動かないため、開発中の動作確認に使います。
+ *
+ * 使い方（functions ディレクトリで実行。Firestore エミュレーターとSMTPキャッチャーを起動しておく）：
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 GCLOUD_PROJECT=プロジェクトID npm run mail:process
+ *
+ * SMTPの設定（SMTP_HOST など）は環境変数で渡します（未設定は localhost:1025 のSMTPキャッチャー）。
+ * チケットを載せるメール（"awaiting_ticket"）を送る場合は、署名の鍵 TICKET_SIGNING_SECRET も環境変数で渡してください
+ * （functions/.secret.local と同じ値。違う値で送ると、受付でチケットコードが使えません）。
+ */
+
+import "../timezone.js";
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+import { processDueMail } from "../mailDelivery.js";
+
+initializeApp({ projectId: process.env.GCLOUD_PROJECT });
+
+const counts = await processDueMail(getFirestore());
+console.log(`送信済み：${counts.sent}件 / 送り直し待ち：${counts.retry}件 / 送信失敗：${counts.failed}件`);
@@ -0,0 +1,167 @@
+/**
+ * ============================================
+ * seatHolds.js - 予約フォーム入力中の座席の仮押さえ
+ * ============================================
+ *
+ * 予約ページから呼ばれ、予約フォームの入力中に席を一定時間だけ仮押さえする・解放する関数です。
+ * 仮押さえの項目と期限は functions/shared/seatHoldUtils.js、残席の数え方は画面側の
+ * src/services/reservationService.js の説明と同じです。
+ *
+ * なぜ画面から直接書き込まず、この関数で仮押さえするか：
+ * - 仮押さえは在庫ドキュメント（stageInventories）に書き込むため、画面から行うとルールで在庫の書き込みを
+ *   許可しなければならず、スクリプトから予約済みの席数・座席を好きな値にできてしまうため
+ *
+ * 【関数】（全て httpsCallable で呼ぶ）
+ * - holdSeats({ performanceId, stageId, holdId, seats }) → { hold }
+ *     hold は { holdId, seats, expiresAt }（席数上限が無いステージは仮押さえ不要のため null）
+ * - releaseSeatHold({ performanceId, stageId, holdId }) → {}
+ *
+ * 【エラー】（HttpsError。details.code にエラーコード）
+ * - 残席が足りない場合は RESERVATION_ERROR_CODES.SOLD_OUT（details.availableSeats に、自分の仮押さえを除いた残席数）
+ * - 公演・ステージが無い場合は RESERVATION_ERROR_CODES.PERFORMANCE_NOT_FOUND / STAGE_NOT_FOUND
+ */
+
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { getFirestore, FieldValue, FieldPath } from "firebase-admin/firestore";
+import { findStageById } from "./shared/stageUtils.js";
+import { SEAT_HOLD_MINUTES, countHeldSeats } from "./shared/seatHoldUtils.js";
+import { RESERVATION_ERROR_CODES } from "./shared/reservationErrorCodes.js";
+import { getStageInventoryRef, readStageInventory, buildHoldsCleanup } from "./inventory.js";
+import { toHttpsError } from "./callableErrors.js";
+
+// 仮押さえIDの形（予約ページの generateHoldId で作るID。例："hold_3f9a0c12b7e4"）
+// なぜ形を決めるか：在庫ドキュメントの holds のキーになるため、好きな文字列のキーを書き込ませないようにする
+const HOLD_ID_PATTERN = /^hold_[0-9a-f]{12}$/;
+
+/**
+ * 画面から受け取った仮押さえの指定を確認する関数
+ *
+ * @param {Object} data - request.data
+ * @returns {{ performanceId: string, stageId: string|number, holdId: string }}
+ *
+ * エラー：公演・ステージ・仮押さえIDの指定が正しくない場合は HttpsError（invalid-argument）
+ */
+function normalizeHoldTarget(data) {
+  const performanceId = typeof data.performanceId === "string" ? data.performanceId : "";
+  const stageId = typeof data.stageId === "number" || typeof data.stageId === "string" ? data.stageId : null;
+  const holdId = typeof data.holdId === "string" ? data.holdId : "";
+  if (!performanceId || stageId === null || stageId === "" || !HOLD_ID_PATTERN.test(holdId)) {
+    throw new HttpsError("invalid-argument", "仮押さえする公演日時が指定されていません。");
+  }
+  return { performanceId, stageId, holdId };
+}
+
+/**
+ * 予約フォームの入力中に、席を一定時間だけ仮押さえする関数（予約ページから httpsCallable で呼ぶ）
+ *
+ * 同じIDで呼ぶと席数だけを更新する
+ *
+ * なぜ同じIDで席数を変えても期限を延ばさないか：
+ * - 枚数を変えるたびに期限が延びると、席をいつまでも確保し続けられてしまうため
+ */
+export const holdSeats = onCall(async (request) => {
+  const db = getFirestore();
+  const data = request.data || {};
+
+  try {
+    const { performanceId, stageId, holdId } = normalizeHoldTarget(data);
+    const seats = Math.floor(Number(data.seats) || 0);
+    if (seats < 1) {
+      throw new HttpsError("invalid-argument", "仮押さえする席数を指定してください。");
+    }
+
+    const hold = await db.runTransaction(async (transaction) => {
+      const performanceSnap = await transaction.get(db.collection("performances").doc(performanceId));
+      if (!performanceSnap.exists) {
+        const error = new Error("公演が見つかりませんでした。");
+        error.code = RESERVATION_ERROR_CODES.PERFORMANCE_NOT_FOUND;
+        throw error;
+      }
+      const stage = findStageById(performanceSnap.data().stages, stageId);
+      if (!stage) {
+        const error = new Error("選択された公演日時が見つかりませんでした。");
+        error.code = RESERVATION_ERROR_CODES.STAGE_NOT_FOUND;
+        throw error;
+      }
+
+      const seatLimit = Number(stage.seatLimit) || 0;
+      if (seatLimit <= 0) {
+        return null; // 席数上限が無いステージは満席にならないので、仮押さえしない
+      }
+
+      const { inventoryRef, exists, inventory } = await readStageInventory(transaction, db, performanceId, stageId);
+      const now = Date.now();
+      const availableSeats = Math.max(
+        seatLimit - inventory.reservedSeats - countHeldSeats(inventory.holds, now, holdId),
+        0
+      );
+      if (seats > availableSeats) {
+        const error = new Error(`残席が不足しています。残席: ${availableSeats}席、希望人数: ${seats}人`);
+        error.code = RESERVATION_ERROR_CODES.SOLD_OUT;
+        error.availableSeats = availableSeats;
+        throw error;
+      }
+
+      const currentHold = inventory.holds[holdId];
+      const expiresAt = currentHold && currentHold.expiresAt > now
+        ? currentHold.expiresAt
+        : now + SEAT_HOLD_MINUTES * 60 * 1000;
+
+      transaction.set(
+        inventoryRef,
+        {
+          performanceId,
+          stageId,
+          // 在庫ドキュメントを新しく作る場合は、集計した既存予約の値も一緒に書き込む
+          // （予約の確定時と同じ項目。件数の上限・車椅子スペースの枠・お支払いの期限切れの確認が既存予約を数えられるように）
+          ...(exists
+            ? {}
+            : {
+                reservedSeats: inventory.reservedSeats,
+                ticketCounts: inventory.ticketCounts,
+                takenSeats: inventory.takenSeats,
+                emailCounts: inventory.emailCounts,
+                accessibilityCounts: inventory.accessibilityCounts,
+                pendingPayments: inventory.pendingPayments,
+              }),
+          holds: {
+            ...buildHoldsCleanup(inventory.holds, now),
+            [holdId]: { seats, expiresAt },
+          },
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+
+      return { holdId, seats, expiresAt };
+    });
+
+    return { hold };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+/**
+ * 仮押さえを解放する関数（予約ページから httpsCallable で呼ぶ）
+ *
+ * なぜトランザクションを使わないか：
+ * - 仮押さえを消すだけで、他の値の計算に影響しないため
+ * - 解放に失敗しても、期限が過ぎれば数えられなくなるため（エラーは呼び出し側で無視してよい）
+ */
+export const releaseSeatHold = onCall(async (request) => {
+  const db = getFirestore();
+
+  try {
+    const { performanceId, stageId, holdId } = normalizeHoldTarget(request.data || {});
+    const inventoryRef = getStageInventoryRef(db, performanceId, stageId);
+    // なぜ在庫ドキュメントがあるときだけ更新するか：在庫ドキュメントが無い場合に、空の在庫ドキュメントを作らないため
+    const inventorySnap = await inventoryRef.get();
+    if (inventorySnap.exists) {
+      await inventoryRef.update(new FieldPath("holds", holdId), FieldValue.delete());
+    }
+    return {};
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
@@ -0,0 +1,289 @@
+/**
+ * ============================================
+ * accessibilityUtils.js - 配慮が必要なお客様のご要望（車椅子スペース・同伴者席など）
+ * ============================================
+ *
+ * 予約フォームで受け付ける「配慮のご要望」と、ステージごとの車椅子スペース・同伴者席の枠を扱う関数群です。
+ *
+ * 【ステージの項目】performances.stages[]
+ *   - wheelchairSpaces: 車椅子スペースの数（0または未設定は受け付けない）
+ *   - companionSeats: 同伴者席（車椅子スペースの隣など、介助の方のための席）の数（0または未設定は受け付けない）
+ *
+ * 【予約の項目】reservations.accessibility（ご要望が無い予約には保存しない）
+ *   - wheelchair: 車椅子スペースを使う人数
+ *   - companion: 同伴者席を使う人数
+ *   - hearing: 聴覚のサポート（台本の貸し出し・筆談など）を希望するか
+ *   - visual: 視覚のサポート（座席までのご案内など）を希望するか
+ *   - note: 詳しいご要望（自由記入）
+ *
+ * 【在庫の項目】stageInventories.accessibilityCounts
+ *   - { wheelchair: 人数, companion: 人数 }（キャンセル分は含まない）
+ *
+ * 【枠の考え方】
+ * - 車椅子スペース・同伴者席も、seatLimit（席数上限）の内数として数える
+ * - まだ予約されていない枠の分は、一般のお客様に販売しない（枠を使う予約のために取っておく）
+ *   例：seatLimit 50席・車椅子スペース2つ → 一般のお客様が予約できるのは48席まで
+ * - 聴覚・視覚のサポートは、席の数に関わらないので枠を設けない（受付で準備するための情報）
+ */
+
+import { mergeTicketCounts } from "./ticketUtils.js";
+
+// ご要望の種類
+export const ACCESSIBILITY_NEEDS = {
+  WHEELCHAIR: "wheelchair", // 車椅子スペース
+  COMPANION: "companion",   // 同伴者席
+  HEARING: "hearing",       // 聴覚のサポート
+  VISUAL: "visual",         // 視覚のサポート
+};
+
+// ご要望の表示名
+export const ACCESSIBILITY_NEED_LABELS = {
+  [ACCESSIBILITY_NEEDS.WHEELCHAIR]: "車椅子スペース",
+  [ACCESSIBILITY_NEEDS.COMPANION]: "同伴者席",
+  [ACCESSIBILITY_NEEDS.HEARING]: "聴覚サポート",
+  [ACCESSIBILITY_NEEDS.VISUAL]: "視覚サポート",
+};
+
+// 枠のあるご要望（人数で数える）と、ステージの項目名
+export const ACCESSIBILITY_QUOTA_FIELDS = {
+  [ACCESSIBILITY_NEEDS.WHEELCHAIR]: "wheelchairSpaces",
+  [ACCESSIBILITY_NEEDS.COMPANION]: "companionSeats",
+};
+
+// 詳しいご要望（自由記入）の最大文字数
+export const MAX_ACCESSIBILITY_NOTE_LENGTH = 200;
+
+/**
+ * ステージの車椅子スペース・同伴者席の枠を返す関数
+ *
+ * @param {Object} stage - ステージデータ
+ * @returns {{ wheelchair: number, companion: number }} 枠の数（0は受け付けない）
+ */
+export function getStageAccessibilityQuotas(stage) {
+  const quotas = {};
+  Object.entries(ACCESSIBILITY_QUOTA_FIELDS).forEach(([need, field]) => {
+    quotas[need] = Math.max(Math.floor(Number(stage?.[field]) || 0), 0);
+  });
+  return quotas;
+}
+
+/**
+ * ステージに車椅子スペース・同伴者席の枠があるかどうかを判定する関数
+ *
+ * @param {Object} stage - ステージデータ
+ * @returns {boolean} どちらかの枠が1以上ならtrue
+ */
+export function hasAccessibilityQuota(stage) {
+  return Object.values(getStageAccessibilityQuotas(stage)).some((quota) => quota > 0);
+}
+
+/**
+ * ステージの車椅子スペース・同伴者席の枠の設定のエラーメッセージを返す関数（公演の作成・編集ページ用）
+ *
+ * @param {Object} stage - ステージデータ
+ * @returns {string} エラーメッセージ（問題が無ければ空文字）
+ *
+ * なぜ席数上限と比べるか：枠は seatLimit の内数なので、上限を超えると一般のお客様が予約できなくなるため
+ */
+export function getStageAccessibilityQuotaError(stage) {
+  const seatLimit = Number(stage?.seatLimit) || 0;
+  const quotas = getStageAccessibilityQuotas(stage);
+  if (seatLimit > 0 && quotas.wheelchair + quotas.companion > seatLimit) {
+    return "車椅子スペース・同伴者席の合計は、席数上限以下にしてください。";
+  }
+  return "";
+}
+
+/**
+ * ステージの車椅子スペース・同伴者席の枠を、表示用の文字列にする関数
+ *
+ * @param {Object} stage - ステージデータ
+ * @returns {string} 例：「車椅子スペース 2・同伴者席 2」（枠が無い場合は空文字）
+ */
+export function formatStageAccessibilityQuotas(stage) {
+  const quotas = getStageAccessibilityQuotas(stage);
+  return Object.keys(ACCESSIBILITY_QUOTA_FIELDS)
+    .filter((need) => quotas[need] > 0)
+    .map((need) => `${ACCESSIBILITY_NEED_LABELS[need]} ${quotas[need]}`)
+    .join("・");
+}
+
+/**
+ * 予約フォームの入力を、予約に保存する形に整える関数
+ *
+ * @param {Object} input - 入力内容（{ wheelchair, companion, hearing, visual, note }）
+ * @returns {Object|null} 保存する内容（ご要望が何も無い場合はnull）
+ */
+export function normalizeAccessibilityRequest(input) {
+  const request = {
+    wheelchair: Math.max(Math.floor(Number(input?.wheelchair) || 0), 0),
+    companion: Math.max(Math.floor(Number(input?.companion) || 0), 0),
+    hearing: Boolean(input?.hearing),
+    visual: Boolean(input?.visual),
+    note: String(input?.note || "").trim().slice(0, MAX_ACCESSIBILITY_NOTE_LENGTH),
+  };
+  return hasAccessibilityRequest({ accessibility: request }) ? request : null;
+}
+
+/**
+ * 予約に配慮のご要望があるかどうかを判定する関数
+ *
+ * @param {Object} reservation - 予約データ（キャンセル待ち・抽選の申込も同じ形）
+ * @returns {boolean} ご要望が1つでもあればtrue
+ */
+export function hasAccessibilityRequest(reservation) {
+  const request = reservation?.accessibility;
+  if (!request) {
+    return false;
+  }
+  return (
+    Number(request.wheelchair) > 0 ||
+    Number(request.companion) > 0 ||
+    Boolean(request.hearing) ||
+    Boolean(request.visual) ||
+    Boolean(request.note)
+  );
+}
+
+/**
+ * 予約が使う車椅子スペース・同伴者席の数を返す関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {Object} 例：{ wheelchair: 1, companion: 1 }（使わないものは含まない）
+ *
+ * なぜ ticketUtils の getTicketCounts と同じ形にするか：
+ * - 在庫の accessibilityCounts の増減に、券種の枚数と同じ関数（mergeTicketCounts）を使うため
+ */
+export function getAccessibilityCounts(reservation) {
+  const counts = {};
+  Object.keys(ACCESSIBILITY_QUOTA_FIELDS).forEach((need) => {
+    const count = Math.max(Math.floor(Number(reservation?.accessibility?.[need]) || 0), 0);
+    if (count > 0) {
+      counts[need] = count;
+    }
+  });
+  return counts;
+}
+
+/**
+ * 在庫の accessibilityCounts に、予約1件分を足す（引く）関数
+ *
+ * @param {Object} baseCounts - 元の人数（{ wheelchair, companion }）
+ * @param {Object} reservation - 足す（引く）予約データ
+ * @param {number} [sign] - 1で足す、-1で引く
+ * @returns {Object} 新しい人数（元のオブジェクトは変更しない。0未満にはならない）
+ */
+export function adjustAccessibilityCounts(baseCounts, reservation, sign = 1) {
+  return mergeTicketCounts(baseCounts, getAccessibilityCounts(reservation), sign);
+}
+
+/**
+ * 枠を超える車椅子スペース・同伴者席のご要望を探す関数
+ *
+ * @param {Object} stage - ステージデータ
+ * @param {Object} soldCounts - ステージの予約済みの人数（在庫の accessibilityCounts）
+ * @param {Object} requestedCounts - 今回の人数（getAccessibilityCounts の結果）
+ * @returns {{ need: string, label: string, availableQuantity: number }|null} 超えるご要望（無ければnull）
+ *
+ * 注意：券種の販売上限と違い、枠が0のステージでは受け付けない（車椅子で入れる場所が無いため）
+ */
+export function findAccessibilityShortage(stage, soldCounts, requestedCounts) {
+  const quotas = getStageAccessibilityQuotas(stage);
+  for (const need of Object.keys(ACCESSIBILITY_QUOTA_FIELDS)) {
+    const requested = Number(requestedCounts?.[need]) || 0;
+    if (requested === 0) {
+      continue;
+    }
+    const sold = Number(soldCounts?.[need]) || 0;
+    if (sold + requested > quotas[need]) {
+      return {
+        need,
+        label: ACCESSIBILITY_NEED_LABELS[need],
+        availableQuantity: Math.max(quotas[need] - sold, 0),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * 一般のお客様に販売しないで取っておく席数（まだ予約されていない枠の合計）を返す関数
+ *
+ * @param {Object} stage - ステージデータ
+ * @param {Object} counts - 予約済みの人数（予約を追加した後の accessibilityCounts）
+ * @returns {number} 取っておく席数
+ *
+ * 残席の確認では、次のように使う：
+ *   予約済み + 仮押さえ + 取っておく席数（今回の予約を足した後） + 今回の席数 <= seatLimit
+ * - 今回の予約が枠を使う場合は、その分だけ取っておく席数が減るので、取っておいた席で予約できる
+ */
+export function countReservedAccessibleSeats(stage, counts) {
+  const quotas = getStageAccessibilityQuotas(stage);
+  return Object.keys(ACCESSIBILITY_QUOTA_FIELDS).reduce(
+    (total, need) => total + Math.max(quotas[need] - (Number(counts?.[need]) || 0), 0),
+    0
+  );
+}
+
+/**
+ * ご要望の入力内容のエラーメッセージを返す関数
+ *
+ * @param {Object|null|undefined} request - 予約の accessibility（normalizeAccessibilityRequest の結果）
+ * @param {number} seatCount - 席を使う枚数
+ * @returns {string} エラーメッセージ（問題が無ければ空文字）
+ *
+ * なぜ席を使う枚数と比べるか：
+ * - 車椅子スペース・同伴者席は、予約した席のうち何席をそこにするかを表すため
+ */
+export function getAccessibilityRequestError(request, seatCount) {
+  const counts = getAccessibilityCounts({ accessibility: request });
+  if ((counts.wheelchair || 0) + (counts.companion || 0) > seatCount) {
+    return "車椅子スペース・同伴者席の合計は、席を使う枚数以下にしてください。";
+  }
+  return "";
+}
+
+/**
+ * ご要望を、一覧・メール向けの説明にする関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {string} 例：「車椅子スペース 1、同伴者席 1、聴覚サポート」（ご要望が無い場合は空文字）
+ *   （詳しいご要望の自由記入は含まない。表示する側で別に出す）
+ */
+export function formatAccessibilityRequest(reservation) {
+  const request = reservation?.accessibility;
+  if (!request) {
+    return "";
+  }
+  const parts = [];
+  Object.keys(ACCESSIBILITY_QUOTA_FIELDS).forEach((need) => {
+    if (Number(request[need]) > 0) {
+      parts.push(`${ACCESSIBILITY_NEED_LABELS[need]} ${request[need]}`);
+    }
+  });
+  [ACCESSIBILITY_NEEDS.HEARING, ACCESSIBILITY_NEEDS.VISUAL].forEach((need) => {
+    if (request[need]) {
+      parts.push(ACCESSIBILITY_NEED_LABELS[need]);
+    }
+  });
+  return parts.join("、");
+}
+
+/**
+ * 座席数が減ったときに、車椅子スペース・同伴者席の人数を席数に収める関数（予約内容の変更用）
+ *
+ * @param {Object|null|undefined} request - 予約の accessibility
+ * @param {number} seatCount - 変更後の席を使う枚数
+ * @returns {Object|null|undefined} 収めた後の内容（ご要望が無ければ元の値のまま）
+ *
+ * なぜ車椅子スペースを優先して残すか：
+ * - 同伴者席は車椅子スペースを使う方の介助のための席で、車椅子スペースの方が欠かせないため
+ */
+export function fitAccessibilityToSeats(request, seatCount) {
+  if (!request) {
+    return request;
+  }
+  const wheelchair = Math.min(Number(request.wheelchair) || 0, seatCount);
+  const companion = Math.min(Number(request.companion) || 0, seatCount - wheelchair);
+  return { ...request, wheelchair, companion };
+}
@@ -0,0 +1,68 @@
+/**
+ * ============================================
+ * cancellationUtils.js - キャンセル理由とキャンセル記録
+ * ============================================
+ *
+ * お客様がキャンセル（全部・一部）するときに選ぶ理由の一覧と、表示用の関数です。
+ *
+ * 【キャンセル記録】cancellationLogs/{自動ID}
+ *   - performanceId, troupeId, stageId, reservationId: どの予約のキャンセルか
+ *   - stageDate, stageStart, name: 表示用（予約が変更されても、キャンセル時点の内容を残す）
+ *   - type: "full"（全部キャンセル） | "partial"（一部キャンセル）
+ *   - cancelledTickets: キャンセルした券種の内訳（[{ typeId, name, quantity }]）
+ *   - cancelledPeople: キャンセルした人数
+ *   - reason: 理由のID（CANCELLATION_REASONS。未選択は空文字）
+ *   - reasonNote: 自由記入の理由
+ *   - createdAt: キャンセルした日時
+ *
+ * なぜ予約とは別のコレクションに記録するか：
+ * - 1つの予約で一部キャンセルが何回も起きても、1件ずつ理由を残せるようにするため
+ * - 劇団側で「なぜキャンセルされるのか」を公演単位でまとめて見られるようにするため
+ */
+
+// キャンセル理由の選択肢（IDは保存用。表示名を変えても過去の記録の集計がずれないようにする）
+export const CANCELLATION_REASONS = [
+  { id: "schedule", label: "予定が合わなくなった" },
+  { id: "health", label: "体調不良" },
+  { id: "companion", label: "同行者の都合" },
+  { id: "weather", label: "天候・交通の事情" },
+  { id: "mistake", label: "予約内容を間違えた" },
+  { id: "other", label: "その他" },
+];
+
+// キャンセルの種類
+export const CANCELLATION_TYPES = {
+  FULL: "full",       // 予約の全部をキャンセル
+  PARTIAL: "partial", // 一部の人数だけキャンセル
+};
+
+// 自由記入の理由の最大文字数
+export const MAX_REASON_NOTE_LENGTH = 500;
+
+/**
+ * キャンセル理由のIDから表示名を返す関数
+ *
+ * @param {string} reasonId - 理由のID
+ * @returns {string} 表示名（未選択は「未回答」、一覧に無いIDはそのまま）
+ */
+export function getCancellationReasonLabel(reasonId) {
+  if (!reasonId) {
+    return "未回答";
+  }
+  return CANCELLATION_REASONS.find((reason) => reason.id === reasonId)?.label || reasonId;
+}
+
+/**
+ * キャンセル理由の入力を保存用の形に整える関数
+ *
+ * @param {Object} [params]
+ * @param {string} [params.reason] - 理由のID
+ * @param {string} [params.reasonNote] - 自由記入の理由
+ * @returns {{ reason: string, reasonNote: string }} 一覧に無いIDは空文字、自由記入は前後の空白を除いて最大文字数まで
+ */
+export function normalizeCancellationReason({ reason, reasonNote } = {}) {
+  return {
+    reason: CANCELLATION_REASONS.some((option) => option.id === reason) ? reason : "",
+    reasonNote: String(reasonNote || "").trim().slice(0, MAX_REASON_NOTE_LENGTH),
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * ============================================
+ * deadlineUtils.js - キャンセル・変更受付の締め切り
+ * ============================================
+ *
+ * お客様が予約確認メールのリンクから予約をキャンセル・変更できる期限（キャンセルポリシー）を扱う関数群です。
+ *
+ * 【公演データの項目】performances
+ *   - deadlineType: 締め切りの決め方（DEADLINE_TYPES。未設定は HOURS_BEFORE）
+ *   - changeDeadlineHours: 開演の何時間前まで受け付けるか（HOURS_BEFORE の場合。未設定は DEFAULT_CHANGE_DEADLINE_HOURS = 開演時刻まで）
+ *   - cancellationPolicyText: 劇団が書いたキャンセルポリシーの文章（任意。締め切り後の案内にも表示する）
+ *
+ * なぜ締め切りを設けるか：
+ * - 開演直前のキャンセル・変更は、受付名簿や座席の準備に間に合わないため
+ * - 終演後にキャンセルされると、来場しなかった予約を後から消せてしまうため
+ *
+ * なぜキャンセルと変更で同じ締め切りにするか：
+ * - 変更で人数を減らせばキャンセルと同じことができるため、別々にしても意味がないから
+ */
+
+// 締め切りが未設定の公演で使う値（開演時刻まで）
+// なぜ0時間か：締め切りの設定ができる前に作った公演で、劇団が決めていない締め切りを後から付けないため
+//   （以前は締め切りが無く、開演まではキャンセル・変更できていた）
+export const DEFAULT_CHANGE_DEADLINE_HOURS = 0;
+
+// 締め切りの決め方
+export const DEADLINE_TYPES = {
+  HOURS_BEFORE: "hours_before",         // 開演の何時間前まで
+  PREVIOUS_DAY_END: "previous_day_end", // 公演前日の24時（公演日の0時）まで
+};
+
+/**
+ * ステージの開演日時を返す関数
+ *
+ * @param {Object} stage - ステージデータ（date: "YYYY-MM-DD", start: "HH:mm"）
+ * @returns {Date|null} 開演日時（日付が無い場合はnull）
+ */
+export function getStageStartDate(stage) {
+  if (!stage?.date) {
+    return null;
+  }
+  const startDate = new Date(`${stage.date}T${stage.start || "00:00"}`);
+  return Number.isNaN(startDate.getTime()) ? null : startDate;
+}
+
+/**
+ * 公演に設定された変更の締め切り（開演の何時間前か）を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {number} 時間（0以上）
+ */
+export function getChangeDeadlineHours(performance) {
+  const value = performance?.changeDeadlineHours;
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_CHANGE_DEADLINE_HOURS;
+  }
+  const hours = Number(value);
+  return Number.isNaN(hours) ? DEFAULT_CHANGE_DEADLINE_HOURS : Math.max(hours, 0);
+}
+
+/**
+ * 公演に設定された締め切りの決め方を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {string} DEADLINE_TYPES のいずれか（一覧に無い値は HOURS_BEFORE）
+ */
+export function getDeadlineType(performance) {
+  return Object.values(DEADLINE_TYPES).includes(performance?.deadlineType)
+    ? performance.deadlineType
+    : DEADLINE_TYPES.HOURS_BEFORE;
+}
+
+/**
+ * ステージの予約をキャンセル・変更できる締め切り日時を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @param {Object} stage - ステージデータ
+ * @returns {Date|null} 締め切り日時（開演日時が分からない場合はnull）
+ */
+export function getReservationDeadline(performance, stage) {
+  const startDate = getStageStartDate(stage);
+  if (!startDate) {
+    return null;
+  }
+  if (getDeadlineType(performance) === DEADLINE_TYPES.PREVIOUS_DAY_END) {
+    // 公演日の0時 = 前日の24時
+    return new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  }
+  return new Date(startDate.getTime() - getChangeDeadlineHours(performance) * 60 * 60 * 1000);
+}
+
+/**
+ * 締め切りの決め方を、お客様向けの文章にする関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {string} 例：「開演の24時間前まで、キャンセル・変更を受け付けます。」
+ */
+export function describeDeadlinePolicy(performance) {
+  if (getDeadlineType(performance) === DEADLINE_TYPES.PREVIOUS_DAY_END) {
+    return "公演前日の24時まで、キャンセル・変更を受け付けます。";
+  }
+  const hours = getChangeDeadlineHours(performance);
+  return hours === 0
+    ? "開演時刻まで、キャンセル・変更を受け付けます。"
+    : `開演の${hours}時間前まで、キャンセル・変更を受け付けます。`;
+}
+
+/**
+ * お客様に表示するキャンセルポリシーの文章を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {string} 劇団が書いた文章（未設定の場合は締め切りの説明）
+ */
+export function getCancellationPolicyText(performance) {
+  return String(performance?.cancellationPolicyText || "").trim() || describeDeadlinePolicy(performance);
+}
+
+/**
+ * 締め切り前かどうかを判定する関数
+ *
+ * @param {Date|null} deadline - 締め切り日時
+ * @param {Date} [now] - 現在日時
+ * @returns {boolean} 締め切り前ならtrue（締め切りが無い場合もtrue）
+ */
+export function isBeforeDeadline(deadline, now = new Date()) {
+  return !deadline || now < deadline;
+}
+
+/**
+ * 日時を「2025-12-01 14:00」の形の文字列にする関数
+ *
+ * @param {Date|null} date - 日時
+ * @returns {string} 表示用の文字列（nullの場合は空文字）
+ */
+export function formatDateTime(date) {
+  if (!date) {
+    return "";
+  }
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * 予約確認メールなどに載せるキャンセルポリシーをまとめて返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @param {Object} stage - ステージデータ
+ * @returns {{ deadline: Date|null, policyText: string }} 締め切り日時とポリシーの文章
+ */
+export function getCancellationPolicy(performance, stage) {
+  return {
+    deadline: getReservationDeadline(performance, stage),
+    policyText: getCancellationPolicyText(performance),
+  };
+}
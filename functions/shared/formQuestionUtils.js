@@ -0,0 +1,258 @@
+/**
+ * ============================================
+ * formQuestionUtils.js - 予約フォームの追加質問
+ * ============================================
+ *
+ * 劇団が公演ごとに設定する、予約フォームの追加質問（「どこで公演を知りましたか？」など）と、
+ * 予約に保存する回答を扱う関数群です。
+ *
+ * 【質問データ】performances.formQuestions[]
+ *   - id: 質問の固定ID（例："q_3f9a0c12b7e4"）
+ *   - type: 質問の種類（QUESTION_TYPES）
+ *   - label: 質問文
+ *   - options: 選択肢（単一選択・複数選択のみ。例：["SNS", "チラシ", "知人の紹介"]）
+ *   - required: 回答が必須かどうか（チェックボックスの場合は「チェックが必須」）
+ *
+ * 【予約の回答】reservations.answers[]
+ *   - { questionId, label, type, value }
+ *   - value は 記述式・単一選択：文字列 / 複数選択：文字列の配列 / チェックボックス：true・false
+ *   - 予約時点の質問文を保存する（後から質問を編集・削除しても、過去の回答の意味が分かるように）
+ */
+
+import { generatePrefixedId } from "./tokenUtils.js";
+
+// 質問の種類
+export const QUESTION_TYPES = {
+  TEXT: "text",                         // 記述式
+  SINGLE_CHOICE: "single_choice",       // 単一選択（ラジオボタン）
+  MULTIPLE_CHOICE: "multiple_choice",   // 複数選択（チェックボックスの一覧）
+  CHECKBOX: "checkbox",                 // チェックボックス1つ（「車椅子での来場」など、はい・いいえで答えるもの）
+};
+
+// 質問の種類の表示名（質問の編集画面で使う）
+export const QUESTION_TYPE_LABELS = {
+  [QUESTION_TYPES.TEXT]: "記述式",
+  [QUESTION_TYPES.SINGLE_CHOICE]: "単一選択",
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: "複数選択",
+  [QUESTION_TYPES.CHECKBOX]: "チェックボックス",
+};
+
+// 記述式の回答の最大文字数
+export const MAX_TEXT_ANSWER_LENGTH = 500;
+
+/**
+ * 新しい質問IDを生成する関数
+ *
+ * @returns {string} 例："q_3f9a0c12b7e4"
+ *
+ * なぜIDを持たせるか：
+ * - 質問の並び替え・質問文の変更をしても、予約一覧の列と回答の対応が崩れないようにするため
+ */
+export function generateQuestionId() {
+  return generatePrefixedId("q");
+}
+
+/**
+ * 選択肢を使う種類の質問かどうかを判定する関数
+ *
+ * @param {string} type - 質問の種類
+ * @returns {boolean} 単一選択・複数選択ならtrue
+ */
+export function hasQuestionOptions(type) {
+  return type === QUESTION_TYPES.SINGLE_CHOICE || type === QUESTION_TYPES.MULTIPLE_CHOICE;
+}
+
+/**
+ * 公演に設定された追加質問を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {Array<Object>} 質問の配列（種類が不明なもの・質問文が空のものは除く）
+ */
+export function getFormQuestions(performance) {
+  if (!Array.isArray(performance?.formQuestions)) {
+    return [];
+  }
+  return performance.formQuestions
+    .filter((question) => question?.id && question.label && Object.values(QUESTION_TYPES).includes(question.type))
+    .map((question) => ({
+      id: question.id,
+      type: question.type,
+      label: question.label,
+      options: hasQuestionOptions(question.type) ? (question.options || []).filter(Boolean) : [],
+      required: question.required === true,
+    }));
+}
+
+/**
+ * 質問の編集内容をチェックする関数（公演の保存前に使う）
+ *
+ * @param {Array<Object>} questions - 編集中の質問の配列
+ * @returns {string} エラーメッセージ（問題が無ければ空文字）
+ */
+export function validateFormQuestions(questions) {
+  for (const [index, question] of questions.entries()) {
+    if (!question.label?.trim()) {
+      return `追加質問${index + 1}の質問文を入力してください。`;
+    }
+    if (hasQuestionOptions(question.type)) {
+      const options = (question.options || []).map((option) => option.trim()).filter(Boolean);
+      if (options.length < 2) {
+        return `追加質問「${question.label.trim()}」の選択肢を2つ以上入力してください。`;
+      }
+      if (new Set(options).size !== options.length) {
+        return `追加質問「${question.label.trim()}」の選択肢が重複しています。`;
+      }
+    }
+  }
+  return "";
+}
+
+/**
+ * 質問を保存用の形に整える関数
+ *
+ * @param {Array<Object>} questions - 編集中の質問の配列（validateFormQuestions でチェック済み）
+ * @returns {Array<Object>} performances.formQuestions に保存する配列
+ */
+export function normalizeFormQuestions(questions) {
+  return questions.map((question) => ({
+    id: question.id || generateQuestionId(),
+    type: question.type,
+    label: question.label.trim(),
+    options: hasQuestionOptions(question.type)
+      ? question.options.map((option) => option.trim()).filter(Boolean)
+      : [],
+    required: question.required === true,
+  }));
+}
+
+/**
+ * 回答が空かどうかを判定する関数
+ *
+ * @param {Object} question - 質問
+ * @param {*} value - 回答
+ * @returns {boolean} 未回答ならtrue（チェックボックスはチェックしていなければ未回答）
+ */
+function isEmptyAnswer(question, value) {
+  switch (question.type) {
+    case QUESTION_TYPES.MULTIPLE_CHOICE:
+      return !Array.isArray(value) || value.length === 0;
+    case QUESTION_TYPES.CHECKBOX:
+      return value !== true;
+    default:
+      return !String(value || "").trim();
+  }
+}
+
+/**
+ * 追加質問の回答をチェックする関数
+ *
+ * @param {Array<Object>} questions - 質問の配列（getFormQuestions の戻り値）
+ * @param {Object} answers - 質問IDごとの回答
+ * @returns {string} エラーメッセージ（問題が無ければ空文字）
+ */
+export function validateAnswers(questions, answers) {
+  for (const question of questions) {
+    const value = answers[question.id];
+    if (question.required && isEmptyAnswer(question, value)) {
+      return question.type === QUESTION_TYPES.CHECKBOX
+        ? `「${question.label}」にチェックを入れてください。`
+        : `「${question.label}」に回答してください。`;
+    }
+    if (question.type === QUESTION_TYPES.TEXT && String(value || "").length > MAX_TEXT_ANSWER_LENGTH) {
+      return `「${question.label}」は${MAX_TEXT_ANSWER_LENGTH}文字以内で入力してください。`;
+    }
+    // 選択肢に無い値は受け付けない（画面を開いている間に選択肢が変わった場合など）
+    if (question.type === QUESTION_TYPES.SINGLE_CHOICE && value && !question.options.includes(value)) {
+      return `「${question.label}」の選択肢を選び直してください。`;
+    }
+    if (
+      question.type === QUESTION_TYPES.MULTIPLE_CHOICE
+      && Array.isArray(value)
+      && value.some((option) => !question.options.includes(option))
+    ) {
+      return `「${question.label}」の選択肢を選び直してください。`;
+    }
+  }
+  return "";
+}
+
+/**
+ * 予約に保存する回答の配列を作る関数
+ *
+ * @param {Array<Object>} questions - 質問の配列（getFormQuestions の戻り値）
+ * @param {Object} answers - 質問IDごとの回答（validateAnswers でチェック済み）
+ * @returns {Array<Object>} reservations.answers に保存する配列（質問の順）
+ */
+export function buildReservationAnswers(questions, answers) {
+  return questions.map((question) => {
+    const value = answers[question.id];
+    let savedValue;
+    switch (question.type) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE:
+        // 選択肢の順にそろえる（クリックした順に保存しない）
+        savedValue = question.options.filter((option) => Array.isArray(value) && value.includes(option));
+        break;
+      case QUESTION_TYPES.CHECKBOX:
+        savedValue = value === true;
+        break;
+      default:
+        savedValue = String(value || "").trim();
+    }
+    return { questionId: question.id, label: question.label, type: question.type, value: savedValue };
+  });
+}
+
+/**
+ * 保存した形の回答の配列から、質問IDごとの回答を作る関数（buildReservationAnswers の逆）
+ *
+ * @param {Array<Object>} reservationAnswers - reservations.answers の形の配列
+ * @returns {Object} 質問IDごとの回答（例：{ q_xxx: "SNS" }）
+ *
+ * なぜ必要か：予約の関数（Cloud Functions）には回答の値だけを渡し、質問文は関数が公演データから付け直すため
+ */
+export function getAnswerValues(reservationAnswers) {
+  return Object.fromEntries((reservationAnswers || []).map((answer) => [answer.questionId, answer.value]));
+}
+
+/**
+ * 予約の回答を表示用の文字列にする関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @param {string} questionId - 質問ID
+ * @returns {string} 例："SNS、チラシ"（チェックボックスは「はい」「いいえ」、未回答は"-"）
+ */
+export function formatReservationAnswer(reservation, questionId) {
+  const answer = (reservation.answers || []).find((current) => current.questionId === questionId);
+  if (!answer) {
+    return "-";
+  }
+  if (answer.type === QUESTION_TYPES.CHECKBOX) {
+    return answer.value ? "はい" : "いいえ";
+  }
+  if (Array.isArray(answer.value)) {
+    return answer.value.length > 0 ? answer.value.join("、") : "-";
+  }
+  return answer.value || "-";
+}
+
+/**
+ * 予約一覧に表示する回答の列を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @param {Array<Object>} reservations - 予約データの配列
+ * @returns {Array<{ id: string, label: string }>} 今の質問の順に並べ、削除された質問の回答がある場合は後ろに追加
+ *
+ * なぜ削除された質問も列にするか：
+ * - 質問を削除する前に受け付けた回答も、劇団が確認できるようにするため
+ */
+export function getAnswerColumns(performance, reservations) {
+  const columns = getFormQuestions(performance).map(({ id, label }) => ({ id, label }));
+  reservations.forEach((reservation) => {
+    (reservation.answers || []).forEach((answer) => {
+      if (!columns.some((column) => column.id === answer.questionId)) {
+        columns.push({ id: answer.questionId, label: answer.label });
+      }
+    });
+  });
+  return columns;
+}
@@ -0,0 +1,249 @@
+/**
+ * ============================================
+ * lotteryUtils.js - 抽選予約の設定と抽選の手順
+ * ============================================
+ *
+ * 公演ごとの予約方式（先着順 / 抽選）と、抽選の申込期間・抽選の手順を扱う関数群です。
+ *
+ * 【公演データの項目】performances
+ *   - reservationMode: 予約方式（RESERVATION_MODES。未設定は先着順）
+ *   - lotteryStartAt, lotteryEndAt: 抽選の申込期間（"YYYY-MM-DDTHH:mm"。開始が未設定はすぐに申込開始。終了は必須）
+ *   - lotteryDrawnAt: 抽選を行った日時（抽選後は、残った席を先着順で受け付ける）
+ *
+ * 【抽選の流れ】
+ * 1. 申込期間中、お客様は第1希望・第2希望のステージを選んで申し込む（lotteryApplications）
+ * 2. 申込期間の後、劇団が抽選を行う（lotteryService の runLotteryDraw）
+ * 3. 当選した方は通常の予約になり、当選・落選をメールでお知らせする
+ * 4. 抽選の後は、残った席を先着順で受け付ける（予約の受付期間は salesWindowUtils.js の設定に従う）
+ */
+
+import { getReservationSeatCount, getTicketCounts, mergeTicketCounts, findQuotaShortage } from "./ticketUtils.js";
+import { pickAvailableSeats, sortSeatLabels } from "./seatMapUtils.js";
+import { formatDateTime } from "./deadlineUtils.js";
+import { getAccessibilityCounts, findAccessibilityShortage, countReservedAccessibleSeats } from "./accessibilityUtils.js";
+
+// 予約方式
+export const RESERVATION_MODES = {
+  FIRST_COME: "first_come", // 先着順
+  LOTTERY: "lottery",       // 抽選
+};
+
+// 抽選の進み具合
+export const LOTTERY_PHASES = {
+  BEFORE: "before",     // 申込期間の前
+  OPEN: "open",         // 申込受付中
+  CLOSED: "closed",     // 申込期間が終わり、抽選待ち
+  DRAWN: "drawn",       // 抽選済み（残った席は先着順）
+};
+
+// 抽選の進み具合の表示名
+export const LOTTERY_PHASE_LABELS = {
+  [LOTTERY_PHASES.BEFORE]: "抽選申込前",
+  [LOTTERY_PHASES.OPEN]: "抽選申込受付中",
+  [LOTTERY_PHASES.CLOSED]: "抽選待ち",
+  [LOTTERY_PHASES.DRAWN]: "抽選済み",
+};
+
+// 希望できるステージの数（第1希望・第2希望）
+export const MAX_LOTTERY_PREFERENCES = 2;
+
+/**
+ * 抽選で発生するエラーコード
+ *
+ * なぜここで定義するか：
+ * - 申込は Cloud Functions（functions/lottery.js）、抽選は劇団の画面（lotteryService.js）が行うため、
+ *   どちらが返すエラーも同じコードで見分けられるようにする
+ */
+export const LOTTERY_ERROR_CODES = {
+  NOT_ACCEPTING: "lottery/not-accepting",           // 抽選の申込期間ではない
+  ALREADY_APPLIED: "lottery/already-applied",       // 同じメールアドレスで申込済み
+  INVALID_PREFERENCES: "lottery/invalid-preferences", // 希望の日時が無い・重複している・受付が終わっている
+  PEOPLE_LIMIT_EXCEEDED: "lottery/people-limit-exceeded", // 1件あたりの人数の上限を超えた
+  NOT_READY: "lottery/not-ready",                   // 申込期間中のため、まだ抽選できない
+  ALREADY_DRAWN: "lottery/already-drawn",           // 抽選済み
+};
+
+/**
+ * 抽選で予約を受け付ける公演かどうかを判定する関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {boolean} 予約方式が抽選ならtrue
+ */
+export function isLotteryMode(performance) {
+  return performance?.reservationMode === RESERVATION_MODES.LOTTERY;
+}
+
+/**
+ * 抽選の申込期間を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {{ startDate: Date|null, endDate: Date|null }} 申込の開始・終了日時（未設定・不正な値はnull）
+ */
+export function getLotteryPeriod(performance) {
+  const toDate = (value) => {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  };
+  return {
+    startDate: toDate(performance?.lotteryStartAt),
+    endDate: toDate(performance?.lotteryEndAt),
+  };
+}
+
+/**
+ * 抽選の進み具合を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @param {Date} [now] - 現在日時
+ * @returns {string|null} LOTTERY_PHASES のいずれか（抽選の公演でない場合はnull）
+ *
+ * 注意：申込の終了日時が未設定の場合は「申込受付中」のままになり、抽選できない
+ * - 終了日時は公演の作成・編集ページで必須にしている（旧データや直接書き換えた場合のみ起きる）
+ */
+export function getLotteryPhase(performance, now = new Date()) {
+  if (!isLotteryMode(performance)) {
+    return null;
+  }
+  if (performance.lotteryDrawnAt) {
+    return LOTTERY_PHASES.DRAWN;
+  }
+  const { startDate, endDate } = getLotteryPeriod(performance);
+  if (startDate && now < startDate) {
+    return LOTTERY_PHASES.BEFORE;
+  }
+  if (endDate && now >= endDate) {
+    return LOTTERY_PHASES.CLOSED;
+  }
+  return LOTTERY_PHASES.OPEN;
+}
+
+/**
+ * 抽選の前で、先着順の予約を受け付けない状態かどうかを判定する関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {boolean} 抽選の公演で、まだ抽選を行っていなければtrue
+ */
+export function isLotteryPending(performance) {
+  return isLotteryMode(performance) && !performance.lotteryDrawnAt;
+}
+
+/**
+ * 抽選の申込期間を、お客様向けの説明にする関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {string} 例：「抽選申込：2025-11-01 10:00 〜 2025-11-10 23:59」
+ */
+export function describeLotteryPeriod(performance) {
+  const { startDate, endDate } = getLotteryPeriod(performance);
+  if (!startDate && !endDate) {
+    return "抽選申込：受付中";
+  }
+  return `抽選申込：${startDate ? formatDateTime(startDate) : ""} 〜 ${endDate ? formatDateTime(endDate) : ""}`;
+}
+
+/**
+ * 配列を偏りなく並べ替えた新しい配列を返す関数（フィッシャー–イェーツのシャッフル）
+ *
+ * @param {Array} items - 並べ替える配列
+ * @returns {Array} 並べ替えた新しい配列
+ *
+ * なぜ Math.random ではなく crypto.getRandomValues を使うか：
+ * - 抽選の結果が予測されないようにするため（Math.random は暗号学的に安全な乱数ではない）
+ */
+export function shuffleFairly(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const random = new Uint32Array(1);
+    crypto.getRandomValues(random);
+    const j = random[0] % (i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * 抽選を行い、申込ごとの当選・落選と割り当てたステージ・座席を返す関数
+ *
+ * @param {Array<Object>} applications - 抽選の申込（{ id, preferences: [{ stageId }], tickets, ... }）
+ * @param {Object} stocks - ステージごとの在庫（キーは String(stageId)）
+ *   { [stageId]: { availableSeats, ticketCounts, takenSeats, seatMap, stage, accessibilityCounts } }
+ *   （availableSeats は上限なしならInfinity。stage・accessibilityCounts は車椅子スペース・同伴者席の枠の確認に使う）
+ * @param {Array} ticketTypes - 公演の券種（販売上限のチェックに使う）
+ * @returns {Object} 申込ごとの結果 { [applicationId]: { won: boolean, stageId?, preferenceIndex?, seats? } }
+ *
+ * 【公平にするための手順】
+ * 1. 申込の順番を偏りなく並べ替える（申込が早い方を有利にしない）
+ * 2. 並べ替えた順に、全員の第1希望を先に割り当てる
+ * 3. 第1希望で落選した方だけ、同じ順番で第2希望を割り当てる
+ *    （第2希望の方が、他の方の第1希望より先に席を取ってしまわないようにするため）
+ * - 人数が多くて残りの席に収まらない申込は飛ばし、後ろの収まる申込を先に割り当てる
+ *   （キャンセル待ちの繰り上げと同じく、席を無駄にしないため）
+ * - 座席表（指定席）のあるステージでは、なるべく同じ列の隣り合う座席を自動で割り当てる
+ * - 車椅子スペース・同伴者席のご要望は、希望したステージの枠に収まる場合のみ当選にする
+ *   （まだ当選していない枠の分は、他の申込に割り当てない）
+ */
+export function drawLottery(applications, stocks, ticketTypes) {
+  const currentStocks = {};
+  Object.entries(stocks).forEach(([stageKey, stock]) => {
+    currentStocks[stageKey] = { ...stock, takenSeats: { ...stock.takenSeats } };
+  });
+
+  const order = shuffleFairly(applications);
+  const results = {};
+
+  for (let preferenceIndex = 0; preferenceIndex < MAX_LOTTERY_PREFERENCES; preferenceIndex++) {
+    order.forEach((application) => {
+      if (results[application.id]?.won) {
+        return; // 第1希望で当選済み
+      }
+      const preference = application.preferences?.[preferenceIndex];
+      const stock = preference ? currentStocks[String(preference.stageId)] : null;
+      if (!stock) {
+        return;
+      }
+
+      const seats = getReservationSeatCount(application);
+      const requestedCounts = getTicketCounts(application);
+      const requestedAccessibility = getAccessibilityCounts(application);
+      const reservedAccessibleSeats = countReservedAccessibleSeats(
+        stock.stage,
+        mergeTicketCounts(stock.accessibilityCounts, requestedAccessibility)
+      );
+      if (
+        seats > stock.availableSeats - reservedAccessibleSeats ||
+        findQuotaShortage(ticketTypes, stock.ticketCounts, requestedCounts) ||
+        findAccessibilityShortage(stock.stage, stock.accessibilityCounts, requestedAccessibility)
+      ) {
+        return; // 残りの席・券種の残り枚数・車椅子スペースなどの枠に収まらない
+      }
+      const assignedSeats = stock.seatMap ? pickAvailableSeats(stock.seatMap, stock.takenSeats, seats) : null;
+      if (stock.seatMap && !assignedSeats) {
+        return;
+      }
+
+      stock.availableSeats -= seats;
+      stock.ticketCounts = mergeTicketCounts(stock.ticketCounts, requestedCounts);
+      stock.accessibilityCounts = mergeTicketCounts(stock.accessibilityCounts, requestedAccessibility);
+      (assignedSeats || []).forEach((seat) => {
+        stock.takenSeats[seat] = application.id; // 同じ抽選の中で、同じ座席を2回割り当てないため
+      });
+      results[application.id] = {
+        won: true,
+        stageId: preference.stageId,
+        preferenceIndex,
+        ...(assignedSeats ? { seats: sortSeatLabels(assignedSeats) } : {}),
+      };
+    });
+  }
+
+  applications.forEach((application) => {
+    if (!results[application.id]) {
+      results[application.id] = { won: false };
+    }
+  });
+
+  return results;
+}
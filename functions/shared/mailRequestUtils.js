@@ -0,0 +1,56 @@
+/**
+ * ============================================
+ * mailRequestUtils.js - mailQueueの送信依頼の種類
+ * ============================================
+ *
+ * mailQueueに積む送信依頼の種類（type）と、保存するときの状態（status）を決める関数です。
+ * 送信依頼は、予約の関数（Cloud Functions。functions/mailRequests.js）と
+ * 劇団の画面（src/utils/mailRequests.js）のどちらも作るため、種類と状態の決め方をここで共通にします。
+ *
+ * 件名・本文は送る時に Cloud Functions（functions/mailTemplates.js）が作るため、ここでは扱いません。
+ */
+
+// メールの種類（functions/mailTemplates.js の MAIL_RENDERERS と揃える。
+// 劇団の画面から作成できる種類は firestore.rules の mailQueue に書く）
+export const MAIL_TYPES = {
+  RESERVATION_CONFIRM: "reservation-confirm",
+  WAITLIST_JOINED: "waitlist-joined",
+  WAITLIST_PROMOTED: "waitlist-promoted",
+  // 事前決済の公演で、キャンセル待ちから繰り上げた予約のお支払いのお願い
+  // （Cloud Functions の繰り上げだけが作るため、firestore.rules の mailQueue の種類には入れない）
+  WAITLIST_PAYMENT_REQUIRED: "waitlist-payment-required",
+  RESERVATION_CHANGED: "reservation-changed",
+  RESERVATION_PARTIALLY_CANCELLED: "reservation-partially-cancelled",
+  RESERVATION_CANCELLED: "reservation-cancelled",
+  LOTTERY_APPLIED: "lottery-applied",
+  LOTTERY_WON: "lottery-won",
+  LOTTERY_LOST: "lottery-lost",
+  STAGE_CANCELLED: "stage-cancelled",
+  REFUND_NOTICE: "refund-notice",
+};
+
+// チケットコード・QRコードを追加して送るメールの状態
+// （Cloud Functions の deliverMail が、送る時にチケットを追加する）
+const AWAITING_TICKET_STATUS = "awaiting_ticket";
+
+// 予約が確定したときのメール（チケットを載せて送る）
+const TICKET_MAIL_TYPES = [
+  MAIL_TYPES.RESERVATION_CONFIRM,
+  MAIL_TYPES.WAITLIST_PROMOTED,
+  MAIL_TYPES.RESERVATION_CHANGED,
+  MAIL_TYPES.LOTTERY_WON,
+];
+
+/**
+ * 送信依頼を保存するときの状態を返す関数
+ *
+ * @param {string} type - メールの種類（MAIL_TYPES）
+ * @returns {string} 予約が確定したときのメールは "awaiting_ticket"、それ以外は "pending"
+ *
+ * なぜ種類で分けるか：
+ * - 電子チケット（チケットコードとQRコード）は署名の鍵を持つCloud Functionsでしか作れないため、
+ *   チケットを載せるメールは functions/mailDelivery.js が送る時に本文に追加する
+ */
+export function getMailRequestStatus(type) {
+  return TICKET_MAIL_TYPES.includes(type) ? AWAITING_TICKET_STATUS : "pending";
+}
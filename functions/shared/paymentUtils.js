@@ -0,0 +1,144 @@
+/**
+ * ============================================
+ * paymentUtils.js - お支払い方法（当日精算 / 事前決済）と支払い状況の扱い
+ * ============================================
+ *
+ * 公演ごとのお支払い方法と、事前決済の予約の支払い状況を扱う関数群です。
+ * （決済サービスとのやり取りは、Cloud Functions の functions/payments.js で行う）
+ *
+ * 【公演データの項目】performances
+ *   - paymentMethod: お支払い方法（PAYMENT_METHODS。未設定は当日精算）
+ *
+ * 【予約データの項目】reservations（事前決済の予約のみ）
+ *   - status: お支払いが済むまでは "pending_payment"、済んだら "active"
+ *   - paymentMethod: "prepaid"
+ *   - paymentStatus: 支払い状況（PAYMENT_STATUSES）
+ *   - paymentExpiresAt: お支払いの期限（ミリ秒のUNIX時刻）
+ *   - paymentProvider, paymentId: 決済サービスの種類と、決済サービス側の支払いID（支払い済みのみ）
+ *   - paidAt: お支払いが済んだ日時
+ *
+ * 【在庫ドキュメントの項目】stageInventories
+ *   - pendingPayments: { [reservationId]: paymentExpiresAt }（お支払い待ちの予約と、その期限）
+ *
+ * 【席の考え方】
+ * - お支払い待ちの予約も、通常の予約と同じく席・券種の枚数・座席を使う
+ *   （支払い画面にいる間に、選んだ座席を他のお客様に取られないようにするため）
+ * - 期限までにお支払いが無い予約は取り消し、席を空ける（functions/cancellations.js の expireUnpaidReservations）
+ *
+ * 注意：
+ * - キャンセル待ちの繰り上げ・抽選の当選で作成した予約は、事前決済の公演でも当日精算として扱う
+ *   （お客様が画面にいない時に作成されるため、その場でお支払いいただけない）
+ */
+
+import { getReservationTotalPrice } from "./ticketUtils.js";
+
+// お支払い方法
+export const PAYMENT_METHODS = {
+  ON_SITE: "on_site", // 当日精算（受付でお支払い）
+  PREPAID: "prepaid", // 事前決済（予約の後すぐにお支払い）
+};
+
+// お支払い方法の表示名
+export const PAYMENT_METHOD_LABELS = {
+  [PAYMENT_METHODS.ON_SITE]: "当日精算",
+  [PAYMENT_METHODS.PREPAID]: "事前決済",
+};
+
+// 事前決済の予約の支払い状況
+export const PAYMENT_STATUSES = {
+  PENDING: "pending",     // お支払い待ち
+  PAID: "paid",           // お支払い済み
+  EXPIRED: "expired",     // 期限までにお支払いが無く、予約を取り消した
+  CANCELLED: "cancelled", // お客様がお支払いをやめ、予約を取り消した
+};
+
+/**
+ * お支払いで発生するエラーコード（お支払いの関数 functions/payments.js と画面の paymentService.js で共通）
+ *
+ * なぜコードを定義するか：
+ * - 画面側で「カードを確認してもらう」場合と「予約からやり直してもらう」場合を区別するため
+ */
+export const PAYMENT_ERROR_CODES = {
+  DECLINED: "payment/declined",                     // 決済サービスで支払いが失敗した
+  PROVIDER_NOT_FOUND: "payment/provider-not-found", // 使える決済サービスが設定されていない
+};
+
+// 支払い状況の表示名
+export const PAYMENT_STATUS_LABELS = {
+  [PAYMENT_STATUSES.PENDING]: "お支払い待ち",
+  [PAYMENT_STATUSES.PAID]: "お支払い済み",
+  [PAYMENT_STATUSES.EXPIRED]: "期限切れ",
+  [PAYMENT_STATUSES.CANCELLED]: "お支払い取りやめ",
+};
+
+// お支払い待ちの予約の status
+export const PENDING_PAYMENT_STATUS = "pending_payment";
+
+// お支払いの期限（予約してから何分以内にお支払いいただくか）
+// なぜ仮押さえ（10分）より長いか：カード情報の入力や、決済サービスの本人認証に時間がかかるため
+export const PAYMENT_HOLD_MINUTES = 15;
+
+// キャンセル待ちから繰り上げた予約のお支払いの期限（繰り上げてから何分以内にお支払いいただくか）
+// なぜ予約ページの期限より長いか：繰り上げはメールでお知らせするため、お客様がメールに気づくまでの時間が要るため
+export const WAITLIST_PAYMENT_HOLD_MINUTES = 24 * 60;
+
+/**
+ * 公演のお支払い方法を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {string} PAYMENT_METHODS のいずれか（未設定・不正な値は当日精算）
+ */
+export function getPaymentMethod(performance) {
+  return performance?.paymentMethod === PAYMENT_METHODS.PREPAID
+    ? PAYMENT_METHODS.PREPAID
+    : PAYMENT_METHODS.ON_SITE;
+}
+
+/**
+ * 予約の前にお支払いが必要かどうかを判定する関数
+ *
+ * @param {Object} performance - 公演データ
+ * @param {Object} reservation - 予約データ（券種の内訳・割引後の金額を使う）
+ * @returns {boolean} 事前決済の公演で、お支払い金額が1円以上ならtrue
+ *
+ * なぜ金額も見るか：無料の券種だけの予約や、割引で0円になった予約は、お支払いの手続きが要らないため
+ */
+export function requiresPrepayment(performance, reservation) {
+  return getPaymentMethod(performance) === PAYMENT_METHODS.PREPAID && getReservationTotalPrice(reservation) > 0;
+}
+
+/**
+ * お支払い待ちの予約かどうかを判定する関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {boolean} status が "pending_payment" ならtrue
+ */
+export function isPaymentPending(reservation) {
+  return reservation?.status === PENDING_PAYMENT_STATUS;
+}
+
+/**
+ * 予約の支払い状況を表示用の文字列にする関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {string} 例：「お支払い済み」「お支払い待ち」（事前決済でない予約は「当日精算」）
+ */
+export function formatPaymentStatus(reservation) {
+  if (!reservation?.paymentStatus) {
+    return PAYMENT_METHOD_LABELS[PAYMENT_METHODS.ON_SITE];
+  }
+  return PAYMENT_STATUS_LABELS[reservation.paymentStatus] || reservation.paymentStatus;
+}
+
+/**
+ * 期限切れのお支払い待ちの予約IDを返す関数
+ *
+ * @param {Object} pendingPayments - 在庫ドキュメントの pendingPayments（予約ID -> 期限）
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {Array<string>} 期限を過ぎた予約ID
+ */
+export function findExpiredPaymentIds(pendingPayments, now) {
+  return Object.entries(pendingPayments || {})
+    .filter(([, expiresAt]) => (Number(expiresAt) || 0) <= now)
+    .map(([reservationId]) => reservationId);
+}
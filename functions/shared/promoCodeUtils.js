@@ -0,0 +1,123 @@
+/**
+ * ============================================
+ * promoCodeUtils.js - 割引コード（プロモーションコード）の扱い
+ * ============================================
+ *
+ * 劇団が公演ごとに発行する割引コード（早割・提携先・学校向けなど）の
+ * 入力チェックと割引額の計算を行う関数群です。
+ *
+ * 【割引コードデータ】promoCodes/{performanceId}__{code}
+ *   - performanceId, troupeId: どの公演・劇団のコードか
+ *   - code: コード（大文字に揃えて保存する。例："HAYAWARI"）
+ *   - discountType: "amount"（金額引き） | "percent"（割合引き）
+ *   - discountValue: 割引額（円）または割引率（%）
+ *   - usageLimit: 利用できる予約の件数（0なら上限なし）
+ *   - usedCount: 利用済みの件数（キャンセルされた予約の分は戻す）
+ *   - validFrom, validUntil: 有効期間（"YYYY-MM-DDTHH:mm"。空なら制限なし）
+ *   - active: 受付中かどうか（利用済みのコードは削除せず停止する）
+ *
+ * 【予約に保存する項目】reservations
+ *   - promoCode: 使ったコード
+ *   - subtotalPrice: 割引前の合計金額
+ *   - discountAmount: 割引額
+ *   - totalPrice: 割引後の合計金額
+ */
+
+// 割引の種類
+export const DISCOUNT_TYPES = {
+  AMOUNT: "amount",   // 金額引き（例：500円引き）
+  PERCENT: "percent", // 割合引き（例：10%引き）
+};
+
+/**
+ * 入力されたコードを保存用の形に揃える関数
+ *
+ * @param {string} code - 入力されたコード
+ * @returns {string} 前後の空白を除き、大文字にしたコード
+ *
+ * なぜ大文字に揃えるか：お客様が小文字で入力しても同じコードとして扱うため
+ */
+export function normalizePromoCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+/**
+ * コードとして使える文字だけかを判定する関数
+ *
+ * @param {string} code - normalizePromoCode() 済みのコード
+ * @returns {boolean} 英数字・ハイフン・アンダースコアの3〜32文字ならtrue
+ *
+ * なぜ文字を制限するか：ドキュメントIDの一部に使うため（「/」などは使えない）
+ */
+export function isValidPromoCodeFormat(code) {
+  return /^[A-Z0-9_-]{3,32}$/.test(code);
+}
+
+/**
+ * 割引コードのドキュメントIDを返す関数
+ *
+ * @param {string} performanceId - 公演ID
+ * @param {string} code - コード
+ * @returns {string} 例："abc123__HAYAWARI"
+ *
+ * なぜ公演IDを含めるか：同じコード名を別の公演でも使えるようにするため
+ */
+export function getPromoCodeDocId(performanceId, code) {
+  return `${performanceId}__${normalizePromoCode(code)}`;
+}
+
+/**
+ * 割引コードが今使えるかを確認する関数
+ *
+ * @param {Object|null} promoCode - 割引コードデータ
+ * @param {Object} params
+ * @param {string} params.performanceId - 予約する公演のID
+ * @param {Date} [params.now] - 現在日時
+ * @returns {string} 使えない理由（使える場合は空文字）
+ */
+export function getPromoCodeError(promoCode, { performanceId, now = new Date() }) {
+  if (!promoCode || promoCode.performanceId !== performanceId || promoCode.active === false) {
+    return "この割引コードは使用できません。";
+  }
+  if (promoCode.validFrom && now < new Date(promoCode.validFrom)) {
+    return "この割引コードの利用期間はまだ始まっていません。";
+  }
+  if (promoCode.validUntil && now > new Date(promoCode.validUntil)) {
+    return "この割引コードの利用期間は終了しました。";
+  }
+  const usageLimit = Number(promoCode.usageLimit) || 0;
+  if (usageLimit > 0 && (Number(promoCode.usedCount) || 0) >= usageLimit) {
+    return "この割引コードは利用上限に達しました。";
+  }
+  return "";
+}
+
+/**
+ * 割引額を計算する関数
+ *
+ * @param {Object} promoCode - 割引コードデータ
+ * @param {number} subtotal - 割引前の合計金額（円）
+ * @returns {number} 割引額（円。合計金額を超えない）
+ *
+ * 割合引きの1円未満は切り上げる（お客様に不利にならないよう、割引額を小さい方に丸めない）
+ */
+export function calculateDiscount(promoCode, subtotal) {
+  const value = Number(promoCode?.discountValue) || 0;
+  const discount = promoCode?.discountType === DISCOUNT_TYPES.PERCENT
+    ? Math.ceil((subtotal * value) / 100)
+    : value;
+  return Math.min(Math.max(discount, 0), subtotal);
+}
+
+/**
+ * 割引内容を表示用の文字列にする関数
+ *
+ * @param {Object} promoCode - 割引コードデータ
+ * @returns {string} 例："500円引き"、"10%引き"
+ */
+export function formatPromoDiscount(promoCode) {
+  const value = Number(promoCode?.discountValue) || 0;
+  return promoCode?.discountType === DISCOUNT_TYPES.PERCENT
+    ? `${value}%引き`
+    : `${value.toLocaleString("ja-JP")}円引き`;
+}
@@ -0,0 +1,232 @@
+/**
+ * ============================================
+ * refundUtils.js - 事前決済の予約の返金（返金ポリシーと返金の状況）
+ * ============================================
+ *
+ * 事前決済でお支払い済みの予約がキャンセルされたときの、返金額の計算と返金の状況を扱う関数群です。
+ * （返金の処理・返金待ちの一覧の取得は refundService.js で行う）
+ *
+ * 【公演データの項目】performances
+ *   - refundPercent: お客様のご都合でキャンセルされた場合に返金する割合（0〜100%。未設定は100%）
+ *   - lateCancelHours: 開演の何時間前からのキャンセルを「直前のキャンセル」とするか（0または未設定は区別しない）
+ *   - lateRefundPercent: 直前のキャンセルで返金する割合（0〜100%。未設定は0% = 返金なし）
+ *
+ * 【予約データの項目】reservations（お支払い済みの予約がキャンセルされた場合のみ）
+ *   - refundStatus: 返金の状況（REFUND_STATUSES）
+ *   - refundAmount: 返金する金額（キャンセルした時点の返金ポリシーで計算する）
+ *   - refundCause: 返金の理由（REFUND_CAUSES。お客様のキャンセル / 公演中止）
+ *   - refundedAt, refundedBy: 返金した日時と、返金の手続きをした劇団のアカウント（{ uid, email }）
+ *   - refundMethod: 返金の方法（"provider"：決済サービスで返金 / "manual"：振込など決済サービスの外で返金）
+ *   - refundId: 決済サービス側の返金ID（決済サービスで返金した場合のみ）
+ *   - refundNote: 劇団のメモ（振込日など）
+ *
+ * 【返金額の考え方】
+ * - お客様のご都合のキャンセル：お支払い金額 × キャンセルした日時の返金の割合（1円未満は切り捨て）
+ *   - 開演の lateCancelHours 時間前より前：refundPercent
+ *   - 開演の lateCancelHours 時間前から：lateRefundPercent（lateCancelHours が0の場合は、いつでも refundPercent）
+ *   （キャンセルはキャンセルの締め切りまでしかできないため、締め切り後の返金は考えない）
+ * - 劇団がステージを中止した場合：お支払い金額の全額
+ * - 返金額が0円の場合は「返金なし」とし、返金待ちの一覧には並べない
+ *
+ * なぜキャンセルした時点で返金額を決めるか：
+ * - 劇団が後から返金ポリシーを変えても、お客様がキャンセルしたときの案内と返金額がずれないようにするため
+ */
+
+import { getReservationTotalPrice } from "./ticketUtils.js";
+import { PAYMENT_STATUSES } from "./paymentUtils.js";
+import { getStageStartDate } from "./deadlineUtils.js";
+import { findStageById } from "./stageUtils.js";
+
+// 返金の状況
+export const REFUND_STATUSES = {
+  DUE: "due",                       // 返金待ち（劇団が返金の手続きをする）
+  REFUNDED: "refunded",             // 返金済み
+  NOT_REFUNDABLE: "not_refundable", // 返金なし（返金ポリシーで返金額が0円）
+};
+
+// 返金の状況の表示名
+export const REFUND_STATUS_LABELS = {
+  [REFUND_STATUSES.DUE]: "返金待ち",
+  [REFUND_STATUSES.REFUNDED]: "返金済み",
+  [REFUND_STATUSES.NOT_REFUNDABLE]: "返金なし（ポリシーによる）",
+};
+
+// 返金の理由
+export const REFUND_CAUSES = {
+  CUSTOMER_CANCEL: "customer_cancel", // お客様のご都合のキャンセル
+  STAGE_CANCELLED: "stage_cancelled", // 劇団がステージを中止した
+};
+
+// 返金の理由の表示名
+export const REFUND_CAUSE_LABELS = {
+  [REFUND_CAUSES.CUSTOMER_CANCEL]: "お客様のキャンセル",
+  [REFUND_CAUSES.STAGE_CANCELLED]: "公演中止",
+};
+
+// 返金の方法
+export const REFUND_METHODS = {
+  PROVIDER: "provider", // 決済サービスで返金
+  MANUAL: "manual",     // 振込など、決済サービスの外で返金
+};
+
+// 返金の割合が未設定の公演で使う値（全額返金）
+export const DEFAULT_REFUND_PERCENT = 100;
+
+// 直前のキャンセルの返金の割合が未設定の公演で使う値（返金なし）
+export const DEFAULT_LATE_REFUND_PERCENT = 0;
+
+/**
+ * 割合の入力値を 0〜100 の整数にする関数
+ *
+ * @param {*} value - 公演データの値
+ * @param {number} fallback - 未設定・不正な値の場合に使う値
+ * @returns {number} 0〜100（%）
+ */
+function normalizePercent(value, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const percent = Number(value);
+  return Number.isNaN(percent) ? fallback : Math.min(Math.max(Math.floor(percent), 0), 100);
+}
+
+/**
+ * 公演に設定された返金の割合（直前のキャンセル以外）を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {number} 0〜100（%）。未設定・不正な値は DEFAULT_REFUND_PERCENT
+ */
+export function getRefundPercent(performance) {
+  return normalizePercent(performance?.refundPercent, DEFAULT_REFUND_PERCENT);
+}
+
+/**
+ * 公演に設定された、直前のキャンセルとする時間（開演の何時間前から）を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {number} 時間（0は直前のキャンセルを区別しない）
+ */
+export function getLateCancelHours(performance) {
+  return Math.max(Number(performance?.lateCancelHours) || 0, 0);
+}
+
+/**
+ * 公演に設定された、直前のキャンセルの返金の割合を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {number} 0〜100（%）。未設定・不正な値は DEFAULT_LATE_REFUND_PERCENT
+ */
+export function getLateRefundPercent(performance) {
+  return normalizePercent(performance?.lateRefundPercent, DEFAULT_LATE_REFUND_PERCENT);
+}
+
+/**
+ * キャンセルした日時に使う返金の割合を返す関数（お客様のご都合のキャンセル）
+ *
+ * @param {Object|null} performance - 公演データ
+ * @param {Object} reservation - 予約データ（stageId で開演日時を調べる）
+ * @param {Date} now - キャンセルした日時
+ * @returns {number} 0〜100（%）
+ *
+ * なぜ予約の公演日時ではなく公演データのステージで開演日時を調べるか：
+ * - 劇団が開演時刻を変えた場合も、変えた後の開演時刻で「直前」かどうかを決めるため
+ */
+export function getRefundPercentAt(performance, reservation, now = new Date()) {
+  const lateCancelHours = getLateCancelHours(performance);
+  const startDate = getStageStartDate(findStageById(performance?.stages, reservation?.stageId));
+  if (lateCancelHours > 0 && startDate && now.getTime() >= startDate.getTime() - lateCancelHours * 60 * 60 * 1000) {
+    return getLateRefundPercent(performance);
+  }
+  return getRefundPercent(performance);
+}
+
+/**
+ * 返金額を計算する関数
+ *
+ * @param {Object|null} performance - 公演データ（削除されている場合はnull = 返金の割合は既定値）
+ * @param {Object} reservation - 予約データ（お支払い金額を使う）
+ * @param {string} cause - 返金の理由（REFUND_CAUSES）
+ * @param {Date} [now] - キャンセルした日時（直前のキャンセルかどうかの判定に使う）
+ * @returns {number} 返金額（円）
+ */
+export function calculateRefundAmount(performance, reservation, cause, now = new Date()) {
+  const paidAmount = getReservationTotalPrice(reservation);
+  if (cause === REFUND_CAUSES.STAGE_CANCELLED) {
+    return paidAmount;
+  }
+  return Math.floor((paidAmount * getRefundPercentAt(performance, reservation, now)) / 100);
+}
+
+/**
+ * キャンセルする予約に保存する返金の項目を返す関数
+ *
+ * @param {Object|null} performance - 公演データ
+ * @param {Object} reservation - キャンセルする予約データ
+ * @param {string} cause - 返金の理由（REFUND_CAUSES）
+ * @param {Date} [now] - キャンセルした日時
+ * @returns {Object} refundStatus, refundAmount, refundCause（お支払い済みでない予約は空のオブジェクト）
+ */
+export function buildRefundFields(performance, reservation, cause, now = new Date()) {
+  if (reservation?.paymentStatus !== PAYMENT_STATUSES.PAID) {
+    return {};
+  }
+  const refundAmount = calculateRefundAmount(performance, reservation, cause, now);
+  return {
+    refundStatus: refundAmount > 0 ? REFUND_STATUSES.DUE : REFUND_STATUSES.NOT_REFUNDABLE,
+    refundAmount,
+    refundCause: cause,
+  };
+}
+
+/**
+ * 返金の割合を、お客様向けの言い方にする関数
+ *
+ * @param {number} percent - 返金の割合（%）
+ * @returns {string} 例：「お支払い金額の80%を返金します」
+ */
+function describeRefundPercent(percent) {
+  if (percent === 100) {
+    return "お支払い金額の全額を返金します";
+  }
+  if (percent === 0) {
+    return "返金はいたしません";
+  }
+  return `お支払い金額の${percent}%を返金します`;
+}
+
+/**
+ * 返金ポリシーを、お客様向けの文章にする関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {string} 例：「キャンセルされた場合は、お支払い金額の80%を返金します。」
+ *   （直前のキャンセルを区別する場合：「開演の24時間前までにキャンセルされた場合は、お支払い金額の全額を返金します。
+ *     それ以降にキャンセルされた場合は、お支払い金額の50%を返金します。」）
+ */
+export function describeRefundPolicy(performance) {
+  const percent = getRefundPercent(performance);
+  const lateCancelHours = getLateCancelHours(performance);
+  if (lateCancelHours > 0) {
+    return `開演の${lateCancelHours}時間前までにキャンセルされた場合は、${describeRefundPercent(percent)}。`
+      + `それ以降にキャンセルされた場合は、${describeRefundPercent(getLateRefundPercent(performance))}。`;
+  }
+  if (percent === 0) {
+    return "お客様のご都合でキャンセルされた場合、返金はいたしません。";
+  }
+  return `キャンセルされた場合は、${describeRefundPercent(percent)}。`;
+}
+
+/**
+ * 予約の返金の状況を表示用の文字列にする関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {string} 例：「返金待ち（2,400円）」（返金の項目が無い予約は空文字）
+ */
+export function formatRefundStatus(reservation) {
+  if (!reservation?.refundStatus) {
+    return "";
+  }
+  const label = REFUND_STATUS_LABELS[reservation.refundStatus] || reservation.refundStatus;
+  return reservation.refundStatus === REFUND_STATUSES.NOT_REFUNDABLE
+    ? label
+    : `${label}（${(Number(reservation.refundAmount) || 0).toLocaleString("ja-JP")}円）`;
+}
@@ -0,0 +1,48 @@
+/**
+ * ============================================
+ * reservationErrorCodes.js - 予約処理のエラーコード
+ * ============================================
+ *
+ * 予約の作成・キャンセル・変更で発生するエラーのコードです。
+ * 予約の書き込みは Cloud Functions（functions/reservations.js など）が行い、
+ * 画面（src/services/reservationService.js）はこのコードでエラーの種類を見分けます。
+ *
+ * なぜ共通化するか：
+ * - Cloud Functions が返すコードと、画面が見分けるコードがずれないようにするため
+ */
+
+import { SALES_WINDOW_ERROR_CODES } from "./salesWindowUtils.js";
+
+/**
+ * 予約処理で発生するエラーコード
+ *
+ * なぜコードを定義するか：
+ * - 画面側で「売り切れ」と「その他のエラー」を区別して、
+ *   それぞれに合ったメッセージを表示するため
+ */
+export const RESERVATION_ERROR_CODES = {
+  SOLD_OUT: "reservation/sold-out",               // 入力中に残席がなくなった
+  TICKET_QUOTA_EXCEEDED: "reservation/ticket-quota-exceeded", // 券種の販売上限を超えた
+  SEAT_TAKEN: "reservation/seat-taken",           // 選んだ座席が予約済み・販売対象外になった
+  INVALID_SEATS: "reservation/invalid-seats",     // 選んだ座席の数が席数と合わない
+  PROMO_CODE_INVALID: "reservation/promo-code-invalid", // 割引コードが使えない・割引内容が変わった
+  DUPLICATE_STAGE: "reservation/duplicate-stage", // まとめて予約する中に同じステージが2回ある
+  PERFORMANCE_NOT_FOUND: "reservation/performance-not-found", // 公演が存在しない
+  STAGE_NOT_FOUND: "reservation/stage-not-found", // ステージが存在しない
+  NOT_FOUND: "reservation/not-found",             // 予約が存在しない
+  NOT_ACTIVE: "reservation/not-active",           // キャンセル済みの予約は変更できない
+  CHANGE_DEADLINE_PASSED: "reservation/change-deadline-passed", // 変更の受付が締め切られた
+  CANCEL_DEADLINE_PASSED: "reservation/cancel-deadline-passed", // キャンセルの受付が締め切られた
+  PEOPLE_LIMIT_EXCEEDED: "reservation/people-limit-exceeded", // 1件あたりの人数の上限を超えた
+  EMAIL_LIMIT_EXCEEDED: "reservation/email-limit-exceeded",   // 同じメールアドレスの予約件数の上限に達した
+  INVALID_TICKETS: "reservation/invalid-tickets", // 枚数が0枚
+  ACCESSIBILITY_QUOTA_EXCEEDED: "reservation/accessibility-quota-exceeded", // 車椅子スペース・同伴者席の枠を超えた
+  INVALID_ACCESSIBILITY: "reservation/invalid-accessibility", // 車椅子スペース・同伴者席の数が席数を超えている
+  PREPAYMENT_NOT_IN_CART: "reservation/prepayment-not-in-cart", // 事前決済の公演はカートからまとめて予約できない
+  PREPAID_NOT_CHANGEABLE: "reservation/prepaid-not-changeable", // 事前決済の予約はお客様自身で変更できない
+  PAYMENT_EXPIRED: "reservation/payment-expired",   // お支払いの期限が切れ、予約が取り消された
+  PAYMENT_AMOUNT_MISMATCH: "reservation/payment-amount-mismatch", // お支払い金額が予約の金額と違う
+  SALES_NOT_STARTED: SALES_WINDOW_ERROR_CODES.NOT_STARTED, // 予約開始前
+  SALES_CLOSED: SALES_WINDOW_ERROR_CODES.CLOSED,           // 予約の受付が締め切られた
+  LOTTERY_PENDING: SALES_WINDOW_ERROR_CODES.LOTTERY_PENDING, // 抽選の前なので先着順の予約は受け付けない
+};
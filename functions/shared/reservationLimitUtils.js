@@ -0,0 +1,116 @@
+/**
+ * ============================================
+ * reservationLimitUtils.js - 予約の人数制限・重複予約の制限
+ * ============================================
+ *
+ * 1件の予約で申し込める人数と、同じメールアドレスで同じ公演日時を予約できる件数の上限を扱う関数群です。
+ *
+ * 【公演データの項目】performances
+ *   - maxPeoplePerReservation: 1件の予約で申し込める人数の上限（0または未設定は上限なし）
+ *   - maxReservationsPerEmail: 同じメールアドレスで1つの公演日時を予約できる件数の上限（0または未設定は上限なし）
+ *
+ * 【在庫ドキュメントの項目】stageInventories.emailCounts
+ *   - { [emailKey]: 有効な予約の件数 }（予約・キャンセル・日時の変更のトランザクションで増減する）
+ *
+ * なぜメールアドレスそのものではなくハッシュ値（emailKey）で数えるか：
+ * - 在庫ドキュメントは予約ページから誰でも読めるため、メールアドレスを載せないようにするため
+ * - 大文字・小文字や前後の空白の違いで、同じメールアドレスを別人として数えないようにするため
+ */
+
+/**
+ * メールアドレスから、件数を数えるためのキーを作る関数
+ *
+ * @param {string} email - メールアドレス
+ * @returns {Promise<string>} SHA-256のハッシュ値（16進数64文字。空のメールアドレスは空文字）
+ */
+export async function getEmailKey(email) {
+  const normalized = String(email || "").trim().toLowerCase();
+  if (!normalized) {
+    return "";
+  }
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(normalized));
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * 公演に設定された、1件の予約で申し込める人数の上限を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {number} 上限（0は上限なし）
+ */
+export function getMaxPeoplePerReservation(performance) {
+  return Math.max(Math.floor(Number(performance?.maxPeoplePerReservation) || 0), 0);
+}
+
+/**
+ * 公演に設定された、同じメールアドレスで1つの公演日時を予約できる件数の上限を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {number} 上限（0は上限なし）
+ */
+export function getMaxReservationsPerEmail(performance) {
+  return Math.max(Math.floor(Number(performance?.maxReservationsPerEmail) || 0), 0);
+}
+
+/**
+ * 在庫の値から、同じメールアドレスの有効な予約の件数を返す関数
+ *
+ * @param {Object} inventory - 在庫の値（emailCounts を含む）
+ * @param {string} emailKey - getEmailKey で作ったキー
+ * @returns {number} 件数
+ */
+export function getReservationCountByEmail(inventory, emailKey) {
+  return emailKey ? Number(inventory?.emailCounts?.[emailKey]) || 0 : 0;
+}
+
+/**
+ * 人数の上限を超えていないかを確認する関数
+ *
+ * @param {Object} performance - 公演データ
+ * @param {number} attendeeCount - 予約する人数
+ * @returns {string} エラーメッセージ（問題が無ければ空文字）
+ */
+export function getPeopleLimitError(performance, attendeeCount) {
+  const maxPeople = getMaxPeoplePerReservation(performance);
+  return maxPeople > 0 && attendeeCount > maxPeople
+    ? `1件の予約でお申し込みいただけるのは${maxPeople}名までです。`
+    : "";
+}
+
+/**
+ * 同じメールアドレスの予約件数が上限に達していないかを確認する関数
+ *
+ * @param {Object} performance - 公演データ
+ * @param {number} currentCount - 同じメールアドレスの有効な予約の件数（これから予約する分は含まない）
+ * @returns {string} エラーメッセージ（問題が無ければ空文字）
+ */
+export function getEmailLimitError(performance, currentCount) {
+  const maxReservations = getMaxReservationsPerEmail(performance);
+  return maxReservations > 0 && currentCount >= maxReservations
+    ? `このメールアドレスでは、この公演日時を既に${currentCount}件予約しています（1つの公演日時につき${maxReservations}件まで）。`
+    : "";
+}
+
+/**
+ * 在庫の emailCounts に予約1件分を足した（引いた）値を返す関数
+ *
+ * @param {Object} emailCounts - 在庫の emailCounts
+ * @param {string} emailKey - 予約の emailKey（空の場合は何もしない）
+ * @param {number} [delta] - 1なら足す、-1なら引く
+ * @returns {Object} 新しい emailCounts（0件になったキーは削除する）
+ */
+export function adjustEmailCounts(emailCounts, emailKey, delta = 1) {
+  if (!emailKey) {
+    return emailCounts;
+  }
+  const next = { ...emailCounts };
+  const count = (Number(next[emailKey]) || 0) + delta;
+  if (count > 0) {
+    next[emailKey] = count;
+  } else {
+    delete next[emailKey];
+  }
+  return next;
+}
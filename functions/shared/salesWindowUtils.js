@@ -0,0 +1,244 @@
+/**
+ * ============================================
+ * salesWindowUtils.js - 予約の受付期間（販売開始・締め切り）
+ * ============================================
+ *
+ * 公演ごとの予約開始日時と、ステージごとの予約の締め切り（開演の何時間前まで・締め切り日時）を扱う関数群です。
+ *
+ * 【公演データの項目】performances
+ *   - salesStartAt: 予約開始日時（"YYYY-MM-DDTHH:mm"。未設定はすぐに受付開始）
+ *   - salesCloseHours: 開演の何時間前に予約を締め切るか（0または未設定は開演時刻まで）
+ *   - salesCloseAt: 予約の締め切り日時（"YYYY-MM-DDTHH:mm"。未設定は salesCloseHours だけで締め切る）
+ *       全てのステージに共通で、salesCloseHours で決まる締め切りより前の場合はこちらで締め切る
+ *
+ * 【ステージごとの受付状況】SALES_STATUS
+ *   - 予約開始前：予約開始日時より前
+ *   - 受付中：予約開始日時を過ぎ、締め切り（開演 - salesCloseHours と salesCloseAt の早い方）より前
+ *   - 受付終了：締め切りを過ぎた（開演後も含む）
+ *   - 抽選：抽選で受け付ける公演の、抽選を行う前（先着順の予約は受け付けない。詳しくは lotteryUtils.js）
+ *   - 公演中止：劇団がステージを中止した（stages[].cancelled。reservationService の cancelStage）
+ *
+ * なぜステージごとに締め切るか：
+ * - 公演の最終日だけで判定すると、14時のステージを15時にまだ予約できてしまうため
+ * - 開演直前の予約は、受付名簿の準備に間に合わないため
+ *
+ * なぜ締め切り日時（salesCloseAt）も設定できるようにするか：
+ * - 「全ステージの予約を○月○日の18時で締め切る」のように、名簿を印刷する日が決まっている場合に
+ *   開演の何時間前かをステージごとに計算しなくて済むようにするため
+ *
+ * 注意：キャンセル・変更の締め切り（deadlineUtils.js）とは別の設定です
+ */
+
+import { getStageStartDate, formatDateTime } from "./deadlineUtils.js";
+import { isLotteryPending, describeLotteryPeriod } from "./lotteryUtils.js";
+
+// 受付状況
+export const SALES_STATUS = {
+  NOT_STARTED: "not_started", // 予約開始前
+  OPEN: "open",               // 受付中
+  CLOSED: "closed",           // 受付終了
+  LOTTERY: "lottery",         // 抽選（抽選を行うまでは先着順の予約を受け付けない）
+  CANCELLED: "cancelled",     // 公演中止（劇団がステージを中止した）
+};
+
+// 受付状況の表示名
+export const SALES_STATUS_LABELS = {
+  [SALES_STATUS.NOT_STARTED]: "予約開始前",
+  [SALES_STATUS.OPEN]: "受付中",
+  [SALES_STATUS.CLOSED]: "受付終了",
+  [SALES_STATUS.LOTTERY]: "抽選受付",
+  [SALES_STATUS.CANCELLED]: "公演中止",
+};
+
+/**
+ * 受付期間の外で予約しようとした場合のエラーコード
+ *
+ * なぜここで定義するか：
+ * - 予約（reservationService.js）とキャンセル待ち（waitlistService.js）の両方で同じコードを使うため
+ */
+export const SALES_WINDOW_ERROR_CODES = {
+  NOT_STARTED: "reservation/sales-not-started", // 予約開始前
+  CLOSED: "reservation/sales-closed",           // 予約の受付が締め切られた
+  LOTTERY_PENDING: "reservation/lottery-pending", // 抽選の前なので先着順の予約は受け付けない
+};
+
+/**
+ * 公演に設定された予約開始日時を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {Date|null} 予約開始日時（未設定・不正な値の場合はnull = すぐに受付開始）
+ */
+export function getSalesStartDate(performance) {
+  if (!performance?.salesStartAt) {
+    return null;
+  }
+  const startDate = new Date(performance.salesStartAt);
+  return Number.isNaN(startDate.getTime()) ? null : startDate;
+}
+
+/**
+ * 公演に設定された予約の締め切り（開演の何時間前か）を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {number} 時間（0は開演時刻まで）
+ */
+export function getSalesCloseHours(performance) {
+  return Math.max(Number(performance?.salesCloseHours) || 0, 0);
+}
+
+/**
+ * 公演に設定された予約の締め切り日時（全てのステージに共通）を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {Date|null} 締め切り日時（未設定・不正な値の場合はnull = salesCloseHours だけで締め切る）
+ */
+export function getSalesCloseAtDate(performance) {
+  if (!performance?.salesCloseAt) {
+    return null;
+  }
+  const closeDate = new Date(performance.salesCloseAt);
+  return Number.isNaN(closeDate.getTime()) ? null : closeDate;
+}
+
+/**
+ * ステージの予約の締め切り日時を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @param {Object} stage - ステージデータ
+ * @returns {Date|null} 締め切り日時（開演の salesCloseHours 時間前と salesCloseAt の早い方。どちらも分からない場合はnull）
+ */
+export function getSalesCloseDate(performance, stage) {
+  const startDate = getStageStartDate(stage);
+  const closeAtDate = getSalesCloseAtDate(performance);
+  if (!startDate) {
+    return closeAtDate;
+  }
+  const hoursCloseDate = new Date(startDate.getTime() - getSalesCloseHours(performance) * 60 * 60 * 1000);
+  return closeAtDate && closeAtDate < hoursCloseDate ? closeAtDate : hoursCloseDate;
+}
+
+/**
+ * ステージの受付状況を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @param {Object} stage - ステージデータ
+ * @param {Date} [now] - 現在日時
+ * @returns {string} SALES_STATUS のいずれか
+ *
+ * なぜ締め切りを先に判定するか：
+ * - 予約開始日時がステージより後に設定されている場合は、受付することが無いため
+ * （中止したステージは、期間に関わらず受け付けないため最初に判定する）
+ */
+export function getStageSalesStatus(performance, stage, now = new Date()) {
+  if (stage?.cancelled) {
+    return SALES_STATUS.CANCELLED;
+  }
+  const closeDate = getSalesCloseDate(performance, stage);
+  if (closeDate && now >= closeDate) {
+    return SALES_STATUS.CLOSED;
+  }
+  if (isLotteryPending(performance)) {
+    return SALES_STATUS.LOTTERY;
+  }
+  const startDate = getSalesStartDate(performance);
+  if (startDate && now < startDate) {
+    return SALES_STATUS.NOT_STARTED;
+  }
+  return SALES_STATUS.OPEN;
+}
+
+/**
+ * 公演全体の受付状況を返す関数（公演一覧・公演詳細のバッジ用）
+ *
+ * @param {Object} performance - 公演データ
+ * @param {Date} [now] - 現在日時
+ * @returns {string} SALES_STATUS のいずれか
+ *   （受付中のステージが1つでもあれば受付中、無ければ 抽選 → 予約開始前 の順に、該当するステージがあればその状況、それ以外は受付終了）
+ */
+export function getPerformanceSalesStatus(performance, now = new Date()) {
+  const statuses = (performance?.stages || []).map((stage) => getStageSalesStatus(performance, stage, now));
+  if (statuses.includes(SALES_STATUS.OPEN)) {
+    return SALES_STATUS.OPEN;
+  }
+  if (statuses.includes(SALES_STATUS.LOTTERY)) {
+    return SALES_STATUS.LOTTERY;
+  }
+  if (statuses.includes(SALES_STATUS.NOT_STARTED)) {
+    return SALES_STATUS.NOT_STARTED;
+  }
+  return SALES_STATUS.CLOSED;
+}
+
+/**
+ * 公演の全てのステージが開演したかどうかを判定する関数
+ *
+ * @param {Object} performance - 公演データ
+ * @param {Date} [now] - 現在日時
+ * @returns {boolean} 全てのステージの開演日時を過ぎていればtrue（ステージが無い場合はfalse）
+ *
+ * なぜ最終日の日付ではなく開演日時で判定するか：
+ * - 最終日の公演が終わった後も、日付が変わるまで「終了」と表示されないため
+ */
+export function hasPerformanceEnded(performance, now = new Date()) {
+  const startDates = (performance?.stages || []).map(getStageStartDate).filter(Boolean);
+  return startDates.length > 0 && startDates.every((startDate) => startDate <= now);
+}
+
+/**
+ * 受付状況を、お客様向けの説明にする関数
+ *
+ * @param {Object} performance - 公演データ
+ * @param {Object} stage - ステージデータ
+ * @param {Date} [now] - 現在日時
+ * @returns {string} 例：「2025-12-01 10:00 予約開始」「2025-12-03 12:00 まで受付」
+ */
+export function describeStageSalesWindow(performance, stage, now = new Date()) {
+  const status = getStageSalesStatus(performance, stage, now);
+  if (status === SALES_STATUS.NOT_STARTED) {
+    return `${formatDateTime(getSalesStartDate(performance))} 予約開始`;
+  }
+  if (status === SALES_STATUS.LOTTERY) {
+    return describeLotteryPeriod(performance);
+  }
+  if (status === SALES_STATUS.OPEN) {
+    const closeDate = getSalesCloseDate(performance, stage);
+    return closeDate ? `${formatDateTime(closeDate)} まで受付` : "";
+  }
+  return "";
+}
+
+/**
+ * 受付期間の外であればエラーを投げる関数（予約・キャンセル待ちのトランザクション内で使う）
+ *
+ * @param {Object} performance - 公演データ
+ * @param {Object} stage - ステージデータ
+ * @param {Date} [now] - 現在日時
+ *
+ * エラー：
+ * - 予約開始前の場合は code = SALES_WINDOW_ERROR_CODES.NOT_STARTED
+ * - 締め切り後・ステージが中止された場合は code = SALES_WINDOW_ERROR_CODES.CLOSED
+ * - 抽選の前の場合は code = SALES_WINDOW_ERROR_CODES.LOTTERY_PENDING
+ */
+export function assertSalesWindowOpen(performance, stage, now = new Date()) {
+  const status = getStageSalesStatus(performance, stage, now);
+  if (status === SALES_STATUS.NOT_STARTED) {
+    const error = new Error(`この公演の予約受付は${formatDateTime(getSalesStartDate(performance))}に開始します。`);
+    error.code = SALES_WINDOW_ERROR_CODES.NOT_STARTED;
+    throw error;
+  }
+  if (status === SALES_STATUS.CANCELLED) {
+    const error = new Error("選択された公演日時は中止になりました。");
+    error.code = SALES_WINDOW_ERROR_CODES.CLOSED;
+    throw error;
+  }
+  if (status === SALES_STATUS.CLOSED) {
+    const error = new Error("選択された公演日時の予約受付は終了しました。");
+    error.code = SALES_WINDOW_ERROR_CODES.CLOSED;
+    throw error;
+  }
+  if (status === SALES_STATUS.LOTTERY) {
+    const error = new Error("この公演は抽選でお申し込みを受け付けています。抽選の後、残った席を先着順で受け付けます。");
+    error.code = SALES_WINDOW_ERROR_CODES.LOTTERY_PENDING;
+    throw error;
+  }
+}
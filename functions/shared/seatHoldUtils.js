@@ -0,0 +1,89 @@
+/**
+ * ============================================
+ * seatHoldUtils.js - 座席の仮押さえ（一時確保）の扱い
+ * ============================================
+ *
+ * 予約フォームの入力中に、希望の席数を一定時間だけ確保しておくための関数群です。
+ *
+ * 【仮押さえデータ】stageInventories.holds
+ *   - holds: { [holdId]: { seats, expiresAt } }
+ *     - seats: 確保している席数
+ *     - expiresAt: 期限（ミリ秒のUNIX時刻）。期限を過ぎた仮押さえは数えない
+ *
+ * なぜ在庫ドキュメントの中に持つか：
+ * - 予約・キャンセルのトランザクションが在庫ドキュメントを読むときに、
+ *   仮押さえも一緒に読めるため（別コレクションだとクエリが必要で、トランザクション内で読めない）
+ */
+
+import { generatePrefixedId } from "./tokenUtils.js";
+
+// 仮押さえの有効時間（分）
+export const SEAT_HOLD_MINUTES = 10;
+
+/**
+ * 新しい仮押さえIDを生成する関数
+ *
+ * @returns {string} 例："hold_3f9a0c12b7e4"
+ */
+export function generateHoldId() {
+  return generatePrefixedId("hold");
+}
+
+/**
+ * 仮押さえが期限内かどうかを判定する関数
+ *
+ * @param {Object} hold - 仮押さえ（{ seats, expiresAt }）
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {boolean} 期限内ならtrue
+ */
+export function isHoldActive(hold, now) {
+  return Boolean(hold) && (Number(hold.expiresAt) || 0) > now;
+}
+
+/**
+ * 期限内の仮押さえの席数を合計する関数
+ *
+ * @param {Object} holds - 在庫ドキュメントの holds
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @param {string} [excludeHoldId] - 数えない仮押さえID（自分の仮押さえ）
+ * @returns {number} 仮押さえ中の席数
+ */
+export function countHeldSeats(holds, now, excludeHoldId) {
+  return Object.entries(holds || {}).reduce((sum, [holdId, hold]) => {
+    if (holdId === excludeHoldId || !isHoldActive(hold, now)) {
+      return sum;
+    }
+    return sum + (Number(hold.seats) || 0);
+  }, 0);
+}
+
+/**
+ * 期限切れの仮押さえIDを返す関数
+ *
+ * @param {Object} holds - 在庫ドキュメントの holds
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {Array<string>} 期限切れの仮押さえID（在庫を書き込むときに一緒に削除する）
+ */
+export function findExpiredHoldIds(holds, now) {
+  return Object.entries(holds || {})
+    .filter(([, hold]) => !isHoldActive(hold, now))
+    .map(([holdId]) => holdId);
+}
+
+/**
+ * 残り時間を「9:05」のような文字列にする関数
+ *
+ * @param {number} remainingMs - 残り時間（ミリ秒）
+ * @returns {string} 分:秒（0未満は "0:00"）。1時間以上は「23:59:05」のように時:分:秒
+ *
+ * なぜ時間も出すか：キャンセル待ちから繰り上げた予約のお支払いの期限（24時間）もお支払いページで表示するため
+ */
+export function formatHoldRemaining(remainingMs) {
+  const totalSeconds = Math.max(Math.ceil(remainingMs / 1000), 0);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")}`
+    : `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
@@ -0,0 +1,182 @@
+/**
+ * ============================================
+ * seatMapUtils.js - 座席表（指定席）の扱い
+ * ============================================
+ *
+ * ステージごとに設定する座席表と、予約に保存する座席番号を扱う関数群です。
+ *
+ * 【座席表データ】performances.stages[].seatMap
+ *   - rows: 列の配列（前から順に並べる）
+ *     - label: 列名（例："A"）
+ *     - seatCount: 座席数（左から1, 2, 3...と番号を振る）
+ *     - aisleAfter: 通路を入れる位置（例：[4] → 4番と5番の間に通路）
+ *     - blocked: 販売しない座席番号（例：機材席・見切れ席）
+ *
+ * 【座席番号】"A-5" のように「列名-番号」で表す
+ * - reservations.seats[] と stageInventories.takenSeats のキーに使う
+ *
+ * 座席表が無いステージは、これまでどおり人数だけの自由席として扱います。
+ */
+
+/**
+ * 座席番号（ラベル）を組み立てる関数
+ *
+ * @param {string} rowLabel - 列名（例："A"）
+ * @param {number} seatNumber - 座席の番号（例：5）
+ * @returns {string} 例："A-5"
+ */
+export function buildSeatLabel(rowLabel, seatNumber) {
+  return `${rowLabel}-${seatNumber}`;
+}
+
+/**
+ * ステージに座席表（指定席）が設定されているかを判定する関数
+ *
+ * @param {Object} stage - ステージデータ
+ * @returns {boolean} 座席が1つ以上ある座席表を持つ場合true
+ */
+export function hasSeatMap(stage) {
+  return Array.isArray(stage?.seatMap?.rows) && stage.seatMap.rows.some((row) => Number(row.seatCount) > 0);
+}
+
+/**
+ * 画面に並べるための座席表のレイアウトを作る関数
+ *
+ * @param {Object} seatMap - 座席表データ
+ * @returns {Array} 列ごとの配列。各列は { label, cells }
+ *   cells は { type: "seat", label, number, blocked } または { type: "aisle" }
+ */
+export function getSeatMapLayout(seatMap) {
+  if (!Array.isArray(seatMap?.rows)) {
+    return [];
+  }
+
+  return seatMap.rows.map((row) => {
+    const seatCount = Math.max(Math.floor(Number(row.seatCount) || 0), 0);
+    const aisleAfter = new Set((row.aisleAfter || []).map(Number));
+    const blocked = new Set((row.blocked || []).map(Number));
+    const cells = [];
+
+    for (let seatNumber = 1; seatNumber <= seatCount; seatNumber += 1) {
+      cells.push({
+        type: "seat",
+        label: buildSeatLabel(row.label, seatNumber),
+        number: seatNumber,
+        blocked: blocked.has(seatNumber),
+      });
+      // 最後の座席の後ろには通路を入れない
+      if (aisleAfter.has(seatNumber) && seatNumber < seatCount) {
+        cells.push({ type: "aisle" });
+      }
+    }
+
+    return { label: row.label, cells };
+  });
+}
+
+/**
+ * 販売できる座席番号を、座席表の並び順で返す関数
+ *
+ * @param {Object} seatMap - 座席表データ
+ * @returns {Array<string>} 販売しない座席を除いた座席番号（前の列・左の座席から順）
+ */
+export function getSellableSeatLabels(seatMap) {
+  const labels = [];
+  getSeatMapLayout(seatMap).forEach((row) => {
+    row.cells.forEach((cell) => {
+      if (cell.type === "seat" && !cell.blocked) {
+        labels.push(cell.label);
+      }
+    });
+  });
+  return labels;
+}
+
+/**
+ * 選んだ座席のうち、予約できない座席を返す関数
+ *
+ * @param {Object} seatMap - 座席表データ
+ * @param {Object} takenSeats - 予約済みの座席（座席番号 -> 予約ID）
+ * @param {Array<string>} seats - 選んだ座席番号
+ * @returns {Array<string>} 存在しない・販売しない・予約済み・重複している座席番号
+ */
+export function findUnavailableSeats(seatMap, takenSeats, seats) {
+  const sellable = new Set(getSellableSeatLabels(seatMap));
+  const seen = new Set();
+  const unavailable = [];
+
+  (seats || []).forEach((seat) => {
+    if (!sellable.has(seat) || takenSeats?.[seat] || seen.has(seat)) {
+      unavailable.push(seat);
+    }
+    seen.add(seat);
+  });
+
+  return unavailable;
+}
+
+/**
+ * 空いている座席を前の列・左の座席から順に選ぶ関数
+ *
+ * @param {Object} seatMap - 座席表データ
+ * @param {Object} takenSeats - 予約済みの座席（座席番号 -> 予約ID）
+ * @param {number} count - 必要な座席数
+ * @returns {Array<string>|null} 選んだ座席番号（足りない場合はnull）
+ *
+ * なぜ必要か：
+ * - キャンセル待ちから繰り上げるときは、お客様が座席を選べないため自動で割り当てる
+ * - なるべく同じ列で隣り合う座席を優先し、見つからなければ前から順に割り当てる
+ */
+export function pickAvailableSeats(seatMap, takenSeats, count) {
+  if (count <= 0) {
+    return [];
+  }
+
+  // 同じ列で、通路をまたがずに連続して空いている座席を探す
+  for (const row of getSeatMapLayout(seatMap)) {
+    let run = [];
+    for (const cell of row.cells) {
+      if (cell.type === "seat" && !cell.blocked && !takenSeats?.[cell.label]) {
+        run.push(cell.label);
+        if (run.length === count) {
+          return run;
+        }
+      } else {
+        run = [];
+      }
+    }
+  }
+
+  // 連続した座席が無い場合は、空いている座席を前から順に割り当てる
+  const freeSeats = getSellableSeatLabels(seatMap).filter((label) => !takenSeats?.[label]);
+  return freeSeats.length >= count ? freeSeats.slice(0, count) : null;
+}
+
+/**
+ * 座席番号を座席表の並び順に並べ替える関数
+ *
+ * @param {Array<string>} seats - 座席番号
+ * @returns {Array<string>} 並べ替えた新しい配列（例：["A-2", "A-10", "B-1"]）
+ *
+ * なぜ必要か：選んだ順のままだと「A-10, A-2」のように読みにくいため
+ */
+export function sortSeatLabels(seats) {
+  return [...(seats || [])].sort((a, b) => {
+    const [rowA, numberA] = a.split("-");
+    const [rowB, numberB] = b.split("-");
+    if (rowA !== rowB) {
+      return rowA.localeCompare(rowB, "ja");
+    }
+    return Number(numberA) - Number(numberB);
+  });
+}
+
+/**
+ * 座席番号を表示用の文字列にする関数
+ *
+ * @param {Array<string>} seats - 座席番号
+ * @returns {string} 例："A-5、A-6"（座席が無い場合は空文字）
+ */
+export function formatSeatLabels(seats) {
+  return sortSeatLabels(seats).join("、");
+}
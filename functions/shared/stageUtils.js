@@ -0,0 +1,95 @@
+/**
+ * ============================================
+ * stageUtils.js - ステージ（公演日時）のID管理
+ * ============================================
+ *
+ * performances.stages[] の各ステージに付与する「変わらないID」を扱う関数群です。
+ *
+ * 【なぜ配列のインデックスではなくIDを使うのか】
+ * - 以前は予約の stageId に「stages配列のインデックス」を保存していた
+ * - 編集ページでステージを削除・挿入するとインデックスがずれ、
+ *   既存の予約がすべて別の日時を指してしまう事故が起きる
+ * - ステージごとに一意なIDを持たせれば、並び順が変わっても予約との対応が崩れない
+ *
+ * 【旧データとの互換性】
+ * - IDを持たないステージ・数値のstageIdを持つ予約も読めるように、
+ *   数値の場合はインデックスとして解釈する
+ */
+
+import { generatePrefixedId } from "./tokenUtils.js";
+
+/**
+ * 新しいステージIDを生成する関数
+ *
+ * @returns {string} 例："stg_3f9a0c12b7e4"
+ */
+export function generateStageId() {
+  return generatePrefixedId("stg");
+}
+
+/**
+ * IDの無いステージにIDを付与した配列を返す関数
+ *
+ * @param {Array} stages - ステージの配列
+ * @returns {Array} すべてのステージが id を持つ新しい配列（元の配列は変更しない）
+ */
+export function ensureStageIds(stages) {
+  if (!Array.isArray(stages)) {
+    return [];
+  }
+  return stages.map((stage) => (stage?.id ? stage : { ...stage, id: generateStageId() }));
+}
+
+/**
+ * ステージを識別するキーを返す関数
+ *
+ * @param {Object} stage - ステージデータ
+ * @param {number} index - stages配列内のインデックス
+ * @returns {string|number} stage.id があればそれを、無ければインデックスを返す
+ *
+ * なぜインデックスを返す場合があるか：
+ * - まだIDが付与されていない旧データの公演でも予約できるようにするため
+ */
+export function getStageKey(stage, index) {
+  return stage?.id || index;
+}
+
+/**
+ * stageIdに一致するステージを探す関数
+ *
+ * @param {Array} stages - ステージの配列
+ * @param {string|number} stageId - 予約などに保存されているステージID
+ * @returns {Object|null} 見つかったステージ（無ければnull）
+ *
+ * 判定ルール：
+ * - 文字列の場合：stage.id が一致するものを返す
+ * - 数値の場合（旧データ）：インデックスとして扱う
+ */
+export function findStageById(stages, stageId) {
+  if (!Array.isArray(stages) || stageId === null || stageId === undefined) {
+    return null;
+  }
+  if (typeof stageId === "number") {
+    return stages[stageId] || null;
+  }
+  return stages.find((stage) => stage?.id === stageId) || null;
+}
+
+/**
+ * stageIdに一致するステージのインデックスを返す関数
+ *
+ * @param {Array} stages - ステージの配列
+ * @param {string|number} stageId - ステージID
+ * @returns {number} 見つからない場合は -1
+ *
+ * なぜ必要か：「ステージ 2」のような表示用の番号を出すため
+ */
+export function findStageIndex(stages, stageId) {
+  if (!Array.isArray(stages)) {
+    return -1;
+  }
+  if (typeof stageId === "number") {
+    return stageId < stages.length ? stageId : -1;
+  }
+  return stages.findIndex((stage) => stage?.id === stageId);
+}
@@ -0,0 +1,258 @@
+/**
+ * ============================================
+ * ticketUtils.js - 券種（チケットの種類）の扱い
+ * ============================================
+ *
+ * 公演ごとに設定する券種（一般・学生・シニア・未就学児など）と、
+ * 予約に保存する「券種ごとの枚数の内訳」を扱う関数群です。
+ *
+ * 【券種データ】performances.ticketTypes[]
+ *   - id: 券種の固定ID（例："tkt_3f9a0c12b7e4"）
+ *   - name: 表示名（例："学生"）
+ *   - price: 1枚あたりの料金（0なら無料）
+ *   - quota: 1ステージあたりの販売上限（0なら上限なし）
+ *   - occupiesSeat: 席を使うかどうか（膝上の未就学児などは false）
+ *
+ * 【予約の内訳】reservations.tickets[]
+ *   - { typeId, name, price, quantity, occupiesSeat }
+ *   - 予約時点の名前・料金を保存する（後から券種を編集しても過去の予約の金額が変わらないように）
+ *
+ * 【旧データとの互換性】
+ * - ticketTypes の無い公演は、公演の price を料金とする「一般」1種類として扱う
+ * - tickets の無い予約は、people 枚の「一般」として扱う
+ */
+
+import { generatePrefixedId } from "./tokenUtils.js";
+
+// 券種が未設定の旧データで使う券種ID
+export const DEFAULT_TICKET_TYPE_ID = "general";
+
+/**
+ * 新しい券種IDを生成する関数
+ *
+ * @returns {string} 例："tkt_3f9a0c12b7e4"
+ *
+ * なぜIDを持たせるか：
+ * - 券種の並び替え・削除・名前の変更をしても、予約の内訳や販売数との対応が崩れないようにするため
+ */
+export function generateTicketTypeId() {
+  return generatePrefixedId("tkt");
+}
+
+/**
+ * 公演の券種一覧を返す関数
+ *
+ * @param {Object} performance - 公演データ
+ * @returns {Array} 券種の配列（未設定の旧データは「一般」1種類）
+ */
+export function getTicketTypes(performance) {
+  if (Array.isArray(performance?.ticketTypes) && performance.ticketTypes.length > 0) {
+    return performance.ticketTypes.map((ticketType) => ({
+      id: ticketType.id,
+      name: ticketType.name || "",
+      price: Number(ticketType.price) || 0,
+      quota: Number(ticketType.quota) || 0,
+      occupiesSeat: ticketType.occupiesSeat !== false, // 未指定は席を使う
+    }));
+  }
+
+  return [
+    {
+      id: DEFAULT_TICKET_TYPE_ID,
+      name: "一般",
+      price: Number(performance?.price) || 0,
+      quota: 0,
+      occupiesSeat: true,
+    },
+  ];
+}
+
+/**
+ * 一覧・詳細ページで表示する代表料金を返す関数
+ *
+ * @param {Array} ticketTypes - 券種の配列
+ * @returns {number} 先頭の券種の料金
+ *
+ * なぜ先頭の券種を使うか：
+ * - 「一般」を先頭に並べる運用が多く、最安値（未就学児の0円など）を出すと
+ *   有料公演なのに「無料」と表示されてしまうため
+ */
+export function getRepresentativePrice(ticketTypes) {
+  return Number(ticketTypes?.[0]?.price) || 0;
+}
+
+/**
+ * 券種ごとの枚数から、予約に保存する内訳を作る関数
+ *
+ * @param {Array} ticketTypes - 券種の配列
+ * @param {Object} quantities - 券種IDごとの枚数（例：{ tkt_xxx: 2 }）
+ * @returns {Array} 枚数が1枚以上の券種だけを含む内訳
+ */
+export function buildTicketBreakdown(ticketTypes, quantities) {
+  return ticketTypes
+    .map((ticketType) => ({
+      typeId: ticketType.id,
+      name: ticketType.name,
+      price: ticketType.price,
+      quantity: Math.max(Math.floor(Number(quantities?.[ticketType.id]) || 0), 0),
+      occupiesSeat: ticketType.occupiesSeat,
+    }))
+    .filter((ticket) => ticket.quantity > 0);
+}
+
+/**
+ * 予約（またはキャンセル待ち）の内訳を返す関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {Array} tickets（旧データは people 枚の「一般」）
+ */
+export function getReservationTickets(reservation) {
+  if (Array.isArray(reservation?.tickets)) {
+    return reservation.tickets;
+  }
+  // peopleが無い古いデータは1人として扱う
+  const people = typeof reservation?.people === "number" ? reservation.people : 1;
+  return [
+    {
+      typeId: DEFAULT_TICKET_TYPE_ID,
+      name: "一般",
+      price: Number(reservation?.price) || 0,
+      quantity: people,
+      occupiesSeat: true,
+    },
+  ];
+}
+
+/**
+ * 予約が使う席数を返す関数（席を使わない券種は数えない）
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {number} 席数（seatLimit・残席の計算に使う）
+ */
+export function getReservationSeatCount(reservation) {
+  return getReservationTickets(reservation).reduce(
+    (sum, ticket) => sum + (ticket.occupiesSeat === false ? 0 : Number(ticket.quantity) || 0),
+    0
+  );
+}
+
+/**
+ * 予約の来場人数を返す関数（膝上の未就学児なども含む）
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {number} 来場人数
+ */
+export function getReservationAttendeeCount(reservation) {
+  return getReservationTickets(reservation).reduce(
+    (sum, ticket) => sum + (Number(ticket.quantity) || 0),
+    0
+  );
+}
+
+/**
+ * 予約の割引前の合計金額を返す関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {number} 券種ごとの料金 × 枚数の合計（円）
+ */
+export function getReservationSubtotalPrice(reservation) {
+  return getReservationTickets(reservation).reduce(
+    (sum, ticket) => sum + (Number(ticket.price) || 0) * (Number(ticket.quantity) || 0),
+    0
+  );
+}
+
+/**
+ * 予約の合計金額（割引後）を返す関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {number} 合計金額（円）。割引コードを使った予約は discountAmount を引いた金額
+ */
+export function getReservationTotalPrice(reservation) {
+  const discountAmount = Number(reservation?.discountAmount) || 0;
+  return Math.max(getReservationSubtotalPrice(reservation) - discountAmount, 0);
+}
+
+/**
+ * 売上見込み（合計金額）を計算する関数
+ *
+ * @param {Array} reservations - 予約データの配列
+ * @returns {number} キャンセル済みを除いた予約の合計金額（円）
+ *
+ * 内訳の無い旧データは「予約時の料金 × 人数」として扱う
+ */
+export function getTotalSales(reservations) {
+  if (!Array.isArray(reservations)) {
+    return 0;
+  }
+  return reservations.reduce((sum, reservation) => {
+    if (!reservation || reservation.status === "cancelled") {
+      return sum;
+    }
+    return sum + getReservationTotalPrice(reservation);
+  }, 0);
+}
+
+/**
+ * 内訳を「一般 2枚、学生 1枚」のような文字列にする関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {string} 表示用の文字列
+ */
+export function formatTicketBreakdown(reservation) {
+  return getReservationTickets(reservation)
+    .map((ticket) => `${ticket.name} ${ticket.quantity}枚`)
+    .join("、");
+}
+
+/**
+ * 券種IDごとの枚数に集計する関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {Object} 例：{ tkt_xxx: 2, tkt_yyy: 1 }（在庫ドキュメントの ticketCounts に加算する）
+ */
+export function getTicketCounts(reservation) {
+  const counts = {};
+  getReservationTickets(reservation).forEach((ticket) => {
+    counts[ticket.typeId] = (counts[ticket.typeId] || 0) + (Number(ticket.quantity) || 0);
+  });
+  return counts;
+}
+
+/**
+ * 券種ごとの枚数を足し合わせる関数
+ *
+ * @param {Object} baseCounts - 元の枚数
+ * @param {Object} deltaCounts - 加える枚数（引く場合は sign = -1）
+ * @param {number} [sign=1] - 1なら加算、-1なら減算
+ * @returns {Object} 新しい枚数（0未満にはしない）
+ */
+export function mergeTicketCounts(baseCounts, deltaCounts, sign = 1) {
+  const merged = { ...(baseCounts || {}) };
+  Object.entries(deltaCounts || {}).forEach(([typeId, quantity]) => {
+    merged[typeId] = Math.max((Number(merged[typeId]) || 0) + sign * (Number(quantity) || 0), 0);
+  });
+  return merged;
+}
+
+/**
+ * 販売上限（quota）を超える券種を探す関数
+ *
+ * @param {Array} ticketTypes - 券種の配列
+ * @param {Object} soldCounts - ステージの販売済み枚数（券種IDごと）
+ * @param {Object} requestedCounts - 今回の枚数（券種IDごと）
+ * @returns {{ ticketType: Object, availableQuantity: number }|null} 超える券種（無ければnull）
+ */
+export function findQuotaShortage(ticketTypes, soldCounts, requestedCounts) {
+  for (const ticketType of ticketTypes) {
+    const requested = Number(requestedCounts?.[ticketType.id]) || 0;
+    if (ticketType.quota <= 0 || requested === 0) {
+      continue; // 上限なし、または今回申し込んでいない券種
+    }
+    const sold = Number(soldCounts?.[ticketType.id]) || 0;
+    if (sold + requested > ticketType.quota) {
+      return { ticketType, availableQuantity: Math.max(ticketType.quota - sold, 0) };
+    }
+  }
+  return null;
+}
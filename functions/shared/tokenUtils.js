@@ -0,0 +1,99 @@
+/**
+ * ============================================
+ * tokenUtils.js - 予約用トークンの生成
+ * ============================================
+ *
+ * 予約のキャンセルURLなどに使うランダムなトークンと、予約番号（confirmationCode）を生成する関数です。
+ * 予約フォームだけでなく、キャンセル待ちからの繰り上げ予約でも使うため共通化しています。
+ * ステージ・券種・仮押さえなどの、接頭辞付きのID（generatePrefixedId）もここで生成します。
+ */
+
+// 予約番号に使う文字（見間違えやすい 0・O・1・I を除いた32文字）
+// なぜ32文字にするか：乱数の1バイト（256通り）を32で割った余りが、どの文字にも均等に当たるため
+const CONFIRMATION_CODE_CHARS = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+
+// 予約番号の先頭に付ける文字（予約番号だと一目で分かるようにする）
+const CONFIRMATION_CODE_PREFIX = "TR";
+
+/**
+ * cancelTokenを生成する関数
+ *
+ * @returns {string} 64文字の16進数文字列
+ *
+ * なぜこの関数が必要か：
+ * - キャンセル用の安全なトークンを生成するため
+ * - crypto.getRandomValuesを使用して、セキュアな乱数を生成
+ * - 予測不可能なトークンにより、不正なキャンセルを防ぐ
+ */
+export function generateCancelToken() {
+  // なぜcrypto APIを使うか：Math.random()よりもセキュアで予測不可能なため
+  const array = new Uint8Array(32); // 32バイト = 256ビット
+  crypto.getRandomValues(array);
+
+  // バイト配列を16進数文字列に変換
+  return Array.from(array)
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join(""); // 64文字の16進数文字列
+}
+
+/**
+ * 接頭辞付きのランダムなIDを生成する関数
+ *
+ * @param {string} prefix - IDの先頭に付ける文字（例："stg"、"tkt"）
+ * @returns {string} 例："stg_3f9a0c12b7e4"
+ *
+ * なぜ接頭辞を付けるか：予約データなどにIDだけが残っても、何のIDか見分けられるようにするため
+ * なぜcrypto APIを使うか：Math.random()より衝突しにくいため
+ */
+export function generatePrefixedId(prefix) {
+  const array = new Uint8Array(6); // 6バイト = 12文字の16進数
+  crypto.getRandomValues(array);
+  const hexString = Array.from(array)
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+  return `${prefix}_${hexString}`;
+}
+
+/**
+ * 予約番号（confirmationCode）を生成する関数
+ *
+ * @returns {string} 例："TR-7K3Q-92"
+ *
+ * なぜcancelTokenとは別に予約番号を付けるか：
+ * - cancelTokenは64文字あり、受付や電話で読み上げられないため
+ * - 予約番号だけでは予約を操作できないようにし、照会ページではメールアドレスと組み合わせて確認する
+ *
+ * なぜ重複の確認をしないか：
+ * - 組み合わせが約10億通りあり、照会ではメールアドレスも一致する必要があるため、
+ *   別の方の予約と取り違えることは実質的に起きないから
+ */
+export function generateConfirmationCode() {
+  const array = new Uint8Array(6); // 6文字分
+  crypto.getRandomValues(array);
+  const chars = Array.from(array)
+    .map((b) => CONFIRMATION_CODE_CHARS[b % CONFIRMATION_CODE_CHARS.length])
+    .join("");
+  return `${CONFIRMATION_CODE_PREFIX}-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+/**
+ * 入力された予約番号を、保存されている形にそろえる関数
+ *
+ * @param {string} input - お客様が入力した予約番号（例："tr 7k3q 92"、"7K3Q92"）
+ * @returns {string} 例："TR-7K3Q-92"（形式が合わない場合は空文字）
+ *
+ * なぜそろえるか：
+ * - 電話口で聞き取った番号や、ハイフンを省いた入力でも照会できるようにするため
+ */
+export function normalizeConfirmationCode(input) {
+  let chars = String(input || "")
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, "");
+  if (chars.length === 8 && chars.startsWith(CONFIRMATION_CODE_PREFIX)) {
+    chars = chars.slice(CONFIRMATION_CODE_PREFIX.length);
+  }
+  if (chars.length !== 6 || [...chars].some((char) => !CONFIRMATION_CODE_CHARS.includes(char))) {
+    return "";
+  }
+  return `${CONFIRMATION_CODE_PREFIX}-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
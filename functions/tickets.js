@@ -0,0 +1,350 @@
+/**
+ * ============================================
+ * tickets.js - 電子チケット（署名つきのチケットコードと、コードでの受付）
+ * ============================================
+ *
+ * 予約ごとに「チケットコード」を発行し、当日の受付でコードを読み取って入場済みにするための関数群です。
+ * チケットコードはQRコードにして、予約完了ページと予約確認メールに載せます。
+ *
+ * 【チケットコードの形】
+ *   TK1.{予約ID}.{ステージID}.{署名}
+ *   - 署名：予約ID・ステージIDを TICKET_SIGNING_SECRET で署名した値（HMAC-SHA256 の先頭12バイト）
+ *
+ * なぜ予約にコードを保存せず、毎回署名して作るか：
+ * - 予約データに置いた値は書き換えられる（公演の劇団は自分の公演の予約を更新できる）ため、コードを置くと
+ *   書き換えた値が正しいコードとして通ってしまうため（署名の鍵はCloud Functionsだけが持つので、コードを作れるのはこのファイルの関数だけ）
+ *   （予約の作成・cancelToken での読み取りは Cloud Functions だけが行い、firestore.rules では予約の読み書きを
+ *    公演の劇団だけに許可している。入場済み（checkedIn）を書けるのも checkInTicket と公演の劇団だけ）
+ * - 日時を変更した予約は、ステージIDが変わるため古いコードが自動で使えなくなるため
+ *
+ * 主な機能：
+ * 1. getTicketCodes：予約完了ページから、予約ID と cancelToken でチケットコードを受け取る
+ * 2. buildTicketMailFields：予約確認メール（status が "awaiting_ticket"）に載せるチケットコードとQRコードを作る
+ *    （送信する時に functions/mailDelivery.js から呼ぶ）
+ * 3. checkInTicket：劇団の受付画面から、コードを確認して入場済み（checkedIn）にする
+ *
+ * 【署名の鍵】
+ * - TICKET_SIGNING_SECRET（Secret Manager。エミュレーターでは functions/.secret.local に書く）
+ *   鍵を変えると、発行済みのチケットコードは全て使えなくなるので注意
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { defineSecret } from "firebase-functions/params";
+import { getFirestore, FieldValue } from "firebase-admin/firestore";
+import QRCode from "qrcode";
+
+// チケットのメールを送る関数（functions/mailDelivery.js）でも使うため export する
+export const TICKET_SIGNING_SECRET = defineSecret("TICKET_SIGNING_SECRET");
+
+// チケットコードの先頭（形を変える場合は TK2 のように変えて、古いコードと区別する）
+const TICKET_CODE_PREFIX = "TK1";
+
+// 署名の長さ（12バイト = base64urlで16文字。手で入力する場合も考えて短めにする）
+const SIGNATURE_BYTES = 12;
+
+// 1回で受け取れるチケットコードの件数の上限（カートでまとめて予約できる件数と揃える）
+const MAX_TICKETS_PER_REQUEST = 20;
+
+// チケットコードを載せて送るメールの状態（functions/mailDelivery.js が送る時にチケットを追加する）
+export const AWAITING_TICKET_STATUS = "awaiting_ticket";
+
+// 受付の結果
+export const CHECK_IN_RESULTS = {
+  OK: "ok",                               // 入場済みにした
+  INVALID: "invalid",                     // コードが正しくない（読み取りの誤り・偽のコード・削除された予約）
+  OUTDATED: "outdated",                   // 日時を変更する前のコード
+  CANCELLED: "cancelled",                 // キャンセル済みの予約
+  NOT_PAID: "not_paid",                   // お支払いが済んでいない予約（事前決済）
+  WRONG_PERFORMANCE: "wrong_performance", // 別の公演のチケット
+  WRONG_STAGE: "wrong_stage",             // 同じ公演の別の日時のチケット
+  ALREADY_USED: "already_used",           // 既に入場済み
+};
+
+/**
+ * 予約ID・ステージIDの署名を作る関数
+ *
+ * @param {string} payload - 署名する文字列（"TK1.{予約ID}.{ステージID}"）
+ * @returns {string} base64urlの署名
+ */
+function sign(payload) {
+  return createHmac("sha256", TICKET_SIGNING_SECRET.value())
+    .update(payload)
+    .digest()
+    .subarray(0, SIGNATURE_BYTES)
+    .toString("base64url");
+}
+
+/**
+ * チケットコードを作る関数
+ *
+ * @param {string} reservationId - 予約のドキュメントID
+ * @param {string|number} stageId - 予約のステージID（旧データは数値のインデックス）
+ * @returns {string} 例："TK1.AbC123....stg_1a2b3c4d5e6f.Xy9..."
+ */
+export function signTicketCode(reservationId, stageId) {
+  const payload = `${TICKET_CODE_PREFIX}.${reservationId}.${stageId}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * チケットコードを読み取り、署名を確認する関数
+ *
+ * @param {string} code - 入力・読み取りされたチケットコード
+ * @returns {{ reservationId: string, stageId: string }|null} 署名が正しければ予約ID・ステージID（正しくなければnull）
+ *
+ * なぜ timingSafeEqual で比べるか：
+ * - 比べる時間の差から、正しい署名を1文字ずつ推測されないようにするため
+ */
+export function parseTicketCode(code) {
+  const parts = String(code || "").trim().split(".");
+  if (parts.length !== 4 || parts[0] !== TICKET_CODE_PREFIX || !parts[1] || !parts[2]) {
+    return null;
+  }
+  const [, reservationId, stageId, signature] = parts;
+  const expected = Buffer.from(sign(`${TICKET_CODE_PREFIX}.${reservationId}.${stageId}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return { reservationId, stageId };
+}
+
+/**
+ * チケットコードを発行できる予約かどうかを返す関数
+ *
+ * @param {Object|undefined} reservation - 予約データ
+ * @returns {boolean} キャンセル済み・お支払い待ちでなければtrue
+ */
+function isTicketIssuable(reservation) {
+  return Boolean(reservation) && reservation.status !== "cancelled" && reservation.status !== "pending_payment";
+}
+
+/**
+ * 予約完了ページに表示するチケットコードを返す関数（httpsCallable で呼ぶ）
+ *
+ * 受け取る値（request.data）：
+ * - tickets: [{ reservationId, cancelToken }]（カートでまとめて予約した場合は複数）
+ *
+ * 返す値：{ tickets: [{ reservationId, code }] }
+ * - cancelToken が違う予約・キャンセル済み・お支払い待ちの予約は code = null
+ *
+ * なぜ cancelToken を求めるか：
+ * - 予約IDだけでコードを受け取れると、他人の予約のチケットを表示できてしまうため
+ *   （cancelToken は予約したお客様の画面と確認メールにしか無い）
+ */
+export const getTicketCodes = onCall({ secrets: [TICKET_SIGNING_SECRET] }, async (request) => {
+  const db = getFirestore();
+  const tickets = Array.isArray(request.data?.tickets) ? request.data.tickets : [];
+  if (tickets.length === 0 || tickets.length > MAX_TICKETS_PER_REQUEST) {
+    throw new HttpsError("invalid-argument", "予約の指定が正しくありません。");
+  }
+
+  const results = await Promise.all(tickets.map(async ({ reservationId, cancelToken } = {}) => {
+    if (!reservationId || !cancelToken) {
+      return { reservationId: reservationId || null, code: null };
+    }
+    const reservationSnap = await db.collection("reservations").doc(String(reservationId)).get();
+    const reservation = reservationSnap.data();
+    if (!isTicketIssuable(reservation) || reservation.cancelToken !== String(cancelToken)) {
+      return { reservationId, code: null };
+    }
+    return { reservationId, code: signTicketCode(reservationSnap.id, reservation.stageId) };
+  }));
+
+  return { tickets: results };
+});
+
+/**
+ * 文字列をHTMLに埋め込める形にする関数
+ *
+ * @param {string} text - 文字列
+ * @returns {string} & < > " をエスケープした文字列
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * メールに載せるチケットコードとQRコードを作る関数
+ *
+ * @param {Array<DocumentSnapshot>} reservationSnaps - メールに紐づく予約（送信する時点のデータ）
+ * @param {string} body - メールの本文（テキスト）
+ * @returns {Promise<Object>} チケットを追加した項目（body, html, attachments。チケットを発行できる予約が無い場合は空）
+ *
+ * 追加する内容：
+ * - body（テキスト）：【電子チケット】としてチケットコードを載せる（QRコードが表示できないメールソフト用）
+ * - html：本文の後にQRコードの画像を並べる（画像は attachments の cid で参照する）
+ * - attachments：QRコードのPNG（{ filename, content, encoding, cid }。nodemailer の形）
+ *
+ * なぜ画面でQRコードを作ってメールに入れないか：
+ * - チケットコードの署名の鍵は画面に渡せないため（画面で作れると誰でもチケットを作れてしまう）
+ *
+ * なぜ送信する時に作るか：
+ * - mailQueue にチケット・html を保存すると、画面から作ったメールの項目と区別できなくなるため
+ *   （送信する関数は、画面から受け取った html・添付ファイルを使わない）
+ *
+ * なぜ画像を data: URL で本文に埋め込まないか：
+ * - 多くのメールソフトが data: URL の画像を表示しないため（添付ファイルを cid で参照する方が確実）
+ */
+export async function buildTicketMailFields(reservationSnaps, body) {
+  const tickets = [];
+  for (const reservationSnap of reservationSnaps) {
+    const reservation = reservationSnap.data();
+    if (!isTicketIssuable(reservation)) {
+      continue;
+    }
+    const code = signTicketCode(reservationSnap.id, reservation.stageId);
+    const image = await QRCode.toBuffer(code, { errorCorrectionLevel: "M", margin: 2, width: 240 });
+    tickets.push({
+      code,
+      cid: `ticket-${reservationSnap.id}`,
+      image,
+      label: `${reservation.stageDate || ""} ${reservation.stageStart || ""}`.trim(),
+    });
+  }
+  if (tickets.length === 0) {
+    return {};
+  }
+
+  const isMultiple = tickets.length > 1;
+  const ticketText = tickets
+    .map((ticket, index) => `${isMultiple ? `${index + 1}件目（${ticket.label}）\n` : ""}チケットコード：${ticket.code}`)
+    .join("\n\n");
+
+  const ticketHtml = tickets
+    .map((ticket, index) => `
+<div style="margin:16px 0;">
+  ${isMultiple ? `<p style="margin:0 0 4px;">${index + 1}件目（${escapeHtml(ticket.label)}）</p>` : ""}
+  <img src="cid:${ticket.cid}" alt="チケットのQRコード" width="240" height="240" />
+  <p style="margin:4px 0 0;font-family:monospace;font-size:12px;">${escapeHtml(ticket.code)}</p>
+</div>`)
+    .join("");
+
+  return {
+    body: `${body}
+
+【電子チケット】
+当日は受付で、このメールのQRコード（またはチケットコード）をご提示ください。
+${ticketText}`,
+    html: `<div style="white-space:pre-wrap;">${escapeHtml(body)}</div>
+<h3>【電子チケット】</h3>
+<p>当日は受付で、以下のQRコードをご提示ください。</p>
+${ticketHtml}`,
+    attachments: tickets.map((ticket, index) => ({
+      filename: `ticket-${index + 1}.png`,
+      content: ticket.image.toString("base64"),
+      encoding: "base64",
+      cid: ticket.cid,
+    })),
+  };
+}
+
+/**
+ * 予約を受付の結果に載せる項目だけにする関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {Object} 受付画面に表示する項目
+ */
+function pickReservationSummary(reservation) {
+  return {
+    name: reservation.name || "",
+    confirmationCode: reservation.confirmationCode || "",
+    stageDate: reservation.stageDate || "",
+    stageStart: reservation.stageStart || "",
+    people: reservation.people ?? null,
+    tickets: reservation.tickets || [],
+    seats: reservation.seats || [],
+    accessibility: reservation.accessibility || null,
+  };
+}
+
+/**
+ * チケットコードを確認して、予約を入場済みにする関数（劇団の受付画面から httpsCallable で呼ぶ）
+ *
+ * 受け取る値（request.data）：
+ * - code: 読み取った（入力した）チケットコード
+ * - performanceId: 受付をしている公演のID
+ * - stageId: 受付をしているステージのID
+ *
+ * 返す値：{ result, reservation?, checkedInAt? }
+ * - result：CHECK_IN_RESULTS
+ * - reservation：予約の内容（氏名・人数・日時など。コードが正しくない場合・別の公演の場合は無し）
+ * - checkedInAt：入場済みにした日時（ミリ秒。既に入場済みの場合は前回の日時）
+ *
+ * エラー（HttpsError）：
+ * - ログインしていない：unauthenticated
+ * - 自分の劇団の公演でない：permission-denied
+ *
+ * なぜ使えないチケットをエラーにせず result で返すか：
+ * - 受付画面では「キャンセル済み」「別の日時」などを色分けして、すぐに判断できるようにするため
+ *
+ * なぜトランザクションで入場済みにするか：
+ * - 同じチケットを2つの受付で同時に読み取った場合も、片方だけを入場済みにして、もう片方には「使用済み」と表示するため
+ */
+export const checkInTicket = onCall({ secrets: [TICKET_SIGNING_SECRET] }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "劇団のアカウントでログインしてください。");
+  }
+  const db = getFirestore();
+  const { code, performanceId, stageId } = request.data || {};
+  if (!performanceId || stageId === undefined || stageId === null || stageId === "") {
+    throw new HttpsError("invalid-argument", "受付をする公演日時を選んでください。");
+  }
+
+  const performanceSnap = await db.collection("performances").doc(String(performanceId)).get();
+  if (!performanceSnap.exists || performanceSnap.data().troupeId !== request.auth.uid) {
+    throw new HttpsError("permission-denied", "この公演の受付をする権限がありません。");
+  }
+
+  const ticket = parseTicketCode(code);
+  if (!ticket) {
+    return { result: CHECK_IN_RESULTS.INVALID };
+  }
+
+  const reservationRef = db.collection("reservations").doc(ticket.reservationId);
+  return db.runTransaction(async (transaction) => {
+    const reservationSnap = await transaction.get(reservationRef);
+    if (!reservationSnap.exists) {
+      return { result: CHECK_IN_RESULTS.INVALID };
+    }
+    const reservation = reservationSnap.data();
+
+    // 別の劇団の公演の予約の内容は返さない
+    if (reservation.performanceId !== performanceId) {
+      return { result: CHECK_IN_RESULTS.WRONG_PERFORMANCE };
+    }
+
+    const summary = pickReservationSummary(reservation);
+    if (String(reservation.stageId) !== ticket.stageId) {
+      return { result: CHECK_IN_RESULTS.OUTDATED, reservation: summary };
+    }
+    if (reservation.status === "cancelled") {
+      return { result: CHECK_IN_RESULTS.CANCELLED, reservation: summary };
+    }
+    if (reservation.status === "pending_payment") {
+      return { result: CHECK_IN_RESULTS.NOT_PAID, reservation: summary };
+    }
+    if (String(reservation.stageId) !== String(stageId)) {
+      return { result: CHECK_IN_RESULTS.WRONG_STAGE, reservation: summary };
+    }
+    if (reservation.checkedIn === true) {
+      return {
+        result: CHECK_IN_RESULTS.ALREADY_USED,
+        reservation: summary,
+        checkedInAt: reservation.checkedInAt?.toMillis?.() ?? null,
+      };
+    }
+
+    transaction.update(reservationRef, {
+      checkedIn: true,
+      checkedInAt: FieldValue.serverTimestamp(),
+      checkedInBy: { uid: request.auth.uid, email: request.auth.token?.email || null },
+    });
+    return { result: CHECK_IN_RESULTS.OK, reservation: summary, checkedInAt: Date.now() };
+  });
+});
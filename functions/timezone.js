@@ -0,0 +1,15 @@
+/**
+ * ============================================
+ * timezone.js - 日時を日本時間で扱うための設定
+ * ============================================
+ *
+ * 公演データの日時（stages[].date・start、salesStartAt など）は "YYYY-MM-DD"・"YYYY-MM-DDTHH:mm" の形で、
+ * 予約ページと共通の関数（functions/shared/）は、これを動いている環境の時刻（ブラウザでは日本時間）として読みます。
+ *
+ * なぜ Cloud Functions でも日本時間にするか：
+ * - Cloud Functions の環境は UTC で動くため、そのままでは締め切り・予約の受付期間が9時間ずれてしまうため
+ *
+ * 注意：日時を扱うファイルより先に読み込むこと（index.js・scripts/ の先頭で import する）
+ */
+
+process.env.TZ = "Asia/Tokyo";
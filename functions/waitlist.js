@@ -0,0 +1,136 @@
+/**
+ * ============================================
+ * waitlist.js - キャンセル待ちの登録
+ * ============================================
+ *
+ * 満席のステージの予約ページから呼ばれ、予約パスを確認してキャンセル待ち（waitlistEntries）を登録し、
+ * 受付メールの送信依頼を積む関数です。
+ * キャンセル待ちの項目と繰り上げのルールは、画面側の src/services/waitlistService.js の説明と同じです。
+ *
+ * なぜ画面から直接書き込まず、この関数で登録するか：
+ * - キャンセル待ちのデータは、繰り上げるときにそのまま予約データになるため
+ *   （画面の値をそのまま保存すると、人数・券種・金額を書き換えた予約が繰り上がってしまう）
+ * - 繰り上げでは予約件数の上限を確認しないため、登録の時点で人数と件数の上限を確認する
+ *
+ * 【受け取る値】（request.data）
+ * - reservationPassId: 予約パスのID
+ * - customer: { name, email, note } 予約者の情報
+ * - performanceId, stageId: キャンセル待ちする公演日時
+ * - ticketQuantities, answers, accessibility: 券種ごとの枚数・追加質問への回答・配慮のご要望
+ *
+ * 【返す値】{ entryId }
+ *
+ * 【エラー】（HttpsError。details.code にエラーコード）
+ * - 予約パスが使えない場合は "bot-protection/pass-invalid"
+ * - 予約の受付期間の外は RESERVATION_ERROR_CODES.SALES_NOT_STARTED / SALES_CLOSED
+ *   （受付が終わった日時のキャンセル待ちは、繰り上がっても来場の準備が間に合わないため）
+ * - 人数・件数の上限は RESERVATION_ERROR_CODES.PEOPLE_LIMIT_EXCEEDED / EMAIL_LIMIT_EXCEEDED
+ */
+
+import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { getFirestore, FieldValue } from "firebase-admin/firestore";
+import { findStageById } from "./shared/stageUtils.js";
+import { getReservationSeatCount, getReservationAttendeeCount } from "./shared/ticketUtils.js";
+import { getAccessibilityRequestError } from "./shared/accessibilityUtils.js";
+import { assertSalesWindowOpen } from "./shared/salesWindowUtils.js";
+import { RESERVATION_ERROR_CODES } from "./shared/reservationErrorCodes.js";
+import { readStageInventory, assertReservationLimits } from "./inventory.js";
+import { normalizeCustomer, buildBookingData, buildStageFields } from "./bookingData.js";
+import { getReservationPassRef, assertReservationPass } from "./reservationPass.js";
+import { buildMailRequest, MAIL_TYPES } from "./mailRequests.js";
+import { toHttpsError } from "./callableErrors.js";
+
+// キャンセル待ちのステータス（画面の waitlistService.js の WAITLIST_STATUS と同じ）
+export const WAITLIST_STATUS = {
+  WAITING: "waiting",   // 待機中
+  PROMOTED: "promoted", // 予約に繰り上げ済み
+};
+
+/**
+ * キャンセル待ちに登録する関数（予約ページから httpsCallable で呼ぶ）
+ *
+ * なぜトランザクションを使うか：
+ * - キャンセル待ちの登録・受付メールの送信依頼・予約パスの使用済みへの更新を、
+ *   どれか1つだけ保存されることがないようにするため（受付メールを何度も積めないようにする）
+ */
+export const joinWaitlist = onCall(async (request) => {
+  const db = getFirestore();
+  const data = request.data || {};
+
+  try {
+    const performanceId = typeof data.performanceId === "string" ? data.performanceId : "";
+    const stageId = typeof data.stageId === "number" || typeof data.stageId === "string" ? data.stageId : null;
+    if (!performanceId || stageId === null || stageId === "") {
+      throw new HttpsError("invalid-argument", "キャンセル待ちする公演日時が選択されていません。");
+    }
+    const customer = await normalizeCustomer(data.customer);
+
+    const passRef = getReservationPassRef(db, data.reservationPassId);
+    const entryRef = db.collection("waitlistEntries").doc();
+
+    await db.runTransaction(async (transaction) => {
+      const passSnap = await transaction.get(passRef);
+      const performanceSnap = await transaction.get(db.collection("performances").doc(performanceId));
+      const performance = performanceSnap.exists ? performanceSnap.data() : null;
+      const troupeSnap = performance?.troupeId
+        ? await transaction.get(db.collection("troupes").doc(performance.troupeId))
+        : null;
+      const { inventory } = await readStageInventory(transaction, db, performanceId, stageId);
+
+      const now = new Date();
+      assertReservationPass(passSnap, { emailKey: customer.emailKey, performanceIds: [performanceId], now });
+      if (!performance) {
+        const error = new Error("公演が見つかりませんでした。");
+        error.code = RESERVATION_ERROR_CODES.PERFORMANCE_NOT_FOUND;
+        throw error;
+      }
+      const stage = findStageById(performance.stages, stageId);
+      if (!stage) {
+        const error = new Error("選択された公演日時が見つかりませんでした。");
+        error.code = RESERVATION_ERROR_CODES.STAGE_NOT_FOUND;
+        throw error;
+      }
+      assertSalesWindowOpen(performance, stage, now);
+
+      const entry = {
+        ...buildBookingData({
+          performanceId,
+          performance,
+          troupe: troupeSnap?.exists ? troupeSnap.data() : null,
+          customer,
+          ticketQuantities: data.ticketQuantities,
+          answers: data.answers,
+          accessibility: data.accessibility,
+        }),
+        ...buildStageFields(stageId, stage),
+        reservationPassId: passRef.id,
+        status: WAITLIST_STATUS.WAITING,
+        createdAt: FieldValue.serverTimestamp(),
+      };
+
+      // 車椅子スペース・同伴者席は、席を使う枚数の中で選ぶ（枠の確認は繰り上げるときに行う）
+      const accessibilityError = getAccessibilityRequestError(entry.accessibility, getReservationSeatCount(entry));
+      if (accessibilityError) {
+        const error = new Error(accessibilityError);
+        error.code = RESERVATION_ERROR_CODES.INVALID_ACCESSIBILITY;
+        throw error;
+      }
+      // 繰り上げでは予約件数の上限を確認しないため、登録の時点で確認する
+      assertReservationLimits(performance, inventory, {
+        attendeeCount: getReservationAttendeeCount(entry),
+        emailKey: entry.emailKey,
+      });
+
+      transaction.set(entryRef, entry);
+      transaction.set(
+        db.collection("mailQueue").doc(),
+        buildMailRequest(MAIL_TYPES.WAITLIST_JOINED, { waitlistEntryId: entryRef.id })
+      );
+      transaction.update(passRef, { used: true, usedAt: FieldValue.serverTimestamp(), waitlistEntryId: entryRef.id });
+    });
+
+    return { entryId: entryRef.id };
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
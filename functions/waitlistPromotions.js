@@ -0,0 +1,284 @@
+/**
+ * ============================================
+ * waitlistPromotions.js - 空いた席へのキャンセル待ちの繰り上げ（Cloud Functions 側）
+ * ============================================
+ *
+ * キャンセル・お支払いの期限切れ・予約内容の変更（cancellations.js・reservationChanges.js）で席が空いたときに、
+ * 同じトランザクションの中で在庫を書き込み、空いた席にキャンセル待ちを繰り上げるための関数群です。
+ * キャンセル待ちの項目と繰り上げのルールは、画面側の src/services/waitlistService.js の説明と同じです。
+ *
+ * なぜ画面ではなく Cloud Functions で繰り上げるか：
+ * - 繰り上げは「予約の作成」と「在庫の書き込み」なので、画面から行うとルールで在庫・予約の書き込みを
+ *   許可しなければならず、スクリプトから好きな人数・座席の予約を作れてしまうため
+ *
+ * 【画面側で繰り上げていた頃との違い】
+ * - Admin SDK のトランザクションはクエリも読めるため、繰り上げる候補の検索もトランザクションの中で行う
+ * - 受付期間（shared/salesWindowUtils.js）を過ぎた・中止したステージでは繰り上げない
+ *   （登録の時点で受付期間を確認しても、席が空くのは締め切りの後のことがあるため）
+ * - 事前決済の公演（お支払い金額が1円以上の予約）は、お支払い待ち（pending_payment）の予約として繰り上げ、
+ *   お支払いのお願いのメールを送る（お支払いが済むまで予約を確定しない。期限は WAITLIST_PAYMENT_HOLD_MINUTES）
+ */
+
+import { FieldValue } from "firebase-admin/firestore";
+import { findStageById } from "./shared/stageUtils.js";
+import {
+  getTicketTypes,
+  getTicketCounts,
+  mergeTicketCounts,
+  findQuotaShortage,
+  getReservationSeatCount,
+  getReservationAttendeeCount,
+} from "./shared/ticketUtils.js";
+import { hasSeatMap, pickAvailableSeats, sortSeatLabels } from "./shared/seatMapUtils.js";
+import { countHeldSeats } from "./shared/seatHoldUtils.js";
+import { getStageSalesStatus, SALES_STATUS } from "./shared/salesWindowUtils.js";
+import {
+  PAYMENT_METHODS,
+  PAYMENT_STATUSES,
+  PENDING_PAYMENT_STATUS,
+  WAITLIST_PAYMENT_HOLD_MINUTES,
+  requiresPrepayment,
+} from "./shared/paymentUtils.js";
+import { adjustEmailCounts } from "./shared/reservationLimitUtils.js";
+import {
+  getAccessibilityCounts,
+  findAccessibilityShortage,
+  countReservedAccessibleSeats,
+} from "./shared/accessibilityUtils.js";
+import { generateCancelToken, generateConfirmationCode } from "./shared/tokenUtils.js";
+import { buildHoldsCleanup, buildMapFieldUpdate } from "./inventory.js";
+import { buildMailRequest, MAIL_TYPES } from "./mailRequests.js";
+import { WAITLIST_STATUS } from "./waitlist.js";
+
+// 1回のキャンセルで確認するキャンセル待ちの最大件数
+// なぜ上限を設けるか：トランザクション内で読むドキュメント数を抑えるため
+const MAX_PROMOTION_CANDIDATES = 20;
+
+/**
+ * 繰り上げ候補（待機中のキャンセル待ち）を、トランザクション内で登録順に読む関数
+ *
+ * @param {Transaction} transaction - 実行中のトランザクション
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {string} performanceId - 公演ID
+ * @param {string|number} stageId - ステージID
+ * @returns {Promise<Array<QueryDocumentSnapshot>>} 登録が早い順の候補（最大 MAX_PROMOTION_CANDIDATES 件）
+ *
+ * 注意：トランザクションでは書き込みより先に全てを読むこと
+ */
+export async function readWaitlistCandidates(transaction, db, performanceId, stageId) {
+  const querySnapshot = await transaction.get(
+    db.collection("waitlistEntries")
+      .where("performanceId", "==", performanceId)
+      .where("stageId", "==", stageId)
+      .where("status", "==", WAITLIST_STATUS.WAITING)
+  );
+
+  // なぜorderByを使わないか：複合インデックスを追加せずに動かすため（件数が少ないので並び替えは手元で行う）
+  return querySnapshot.docs
+    .sort((a, b) => (a.data().createdAt?.toMillis?.() || 0) - (b.data().createdAt?.toMillis?.() || 0))
+    .slice(0, MAX_PROMOTION_CANDIDATES);
+}
+
+/**
+ * 空いた席にキャンセル待ちを繰り上げる関数（トランザクション内で使用）
+ *
+ * @param {Transaction} transaction - 実行中のトランザクション
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {Array<DocumentSnapshot>} candidateSnaps - readWaitlistCandidates で読んだ候補（登録順）
+ * @param {Object} stock - 繰り上げに使える在庫（項目は画面側の applyWaitlistPromotions と同じ。
+ *   performance は事前決済かどうか、now はお支払いの期限に使う）
+ * @returns {{ promotedSeats: number, ticketCounts: Object, takenSeats: Object, emailCounts: Object, accessibilityCounts: Object, pendingPayments: Object }}
+ *   繰り上げで埋まった席数と、繰り上げ後の券種ごとの販売済み枚数・予約済みの座席・メールアドレスごとの件数・
+ *   車椅子スペース・同伴者席の人数・お支払い待ちの予約（予約ID -> 期限。お支払い待ちで繰り上げた予約だけ）
+ *
+ * なぜ繰り上げでは予約件数の上限を確認しないか：
+ * - 上限は登録時に関数（waitlist.js）で確認済みで、登録した順番を守って繰り上げるため
+ */
+function applyWaitlistPromotions(
+  transaction,
+  db,
+  candidateSnaps,
+  { availableSeats, ticketTypes, ticketCounts, seatMap, takenSeats, emailCounts, stage, accessibilityCounts, performance, now }
+) {
+  let remainingSeats = availableSeats;
+  let promotedSeats = 0;
+  let soldCounts = ticketCounts;
+  const currentTakenSeats = { ...takenSeats };
+  let currentEmailCounts = emailCounts;
+  let currentAccessibilityCounts = accessibilityCounts;
+  const pendingPayments = {};
+
+  candidateSnaps.forEach((entrySnap) => {
+    if (!entrySnap.exists) {
+      return;
+    }
+    // status・createdAt はキャンセル待ち自身の情報なので、予約データには引き継がない
+    const { status, createdAt: _createdAt, ...entry } = entrySnap.data();
+    const seats = getReservationSeatCount(entry);
+    const requestedCounts = getTicketCounts(entry);
+    const requestedAccessibility = getAccessibilityCounts(entry);
+    // まだ予約されていない車椅子スペース・同伴者席は、この申込で使う分を除いて空いた席から差し引く
+    const reservedAccessibleSeats = countReservedAccessibleSeats(
+      stage,
+      mergeTicketCounts(currentAccessibilityCounts, requestedAccessibility)
+    );
+    if (
+      status !== WAITLIST_STATUS.WAITING ||
+      getReservationAttendeeCount(entry) < 1 ||
+      seats > remainingSeats - reservedAccessibleSeats ||
+      findQuotaShortage(ticketTypes, soldCounts, requestedCounts) ||
+      findAccessibilityShortage(stage, currentAccessibilityCounts, requestedAccessibility)
+    ) {
+      return; // 既に繰り上げ済み、または空いた席・券種の残り枚数・車椅子スペースなどの枠に収まらない
+    }
+
+    // 座席表のあるステージでは、座席を割り当てられた場合のみ繰り上げる
+    const assignedSeats = seatMap ? pickAvailableSeats(seatMap, currentTakenSeats, seats) : null;
+    if (seatMap && !assignedSeats) {
+      return;
+    }
+
+    // 事前決済の公演では、予約ページからの予約と同じくお支払い待ちで作成する（金額はキャンセル待ちの登録時のもの）
+    const paymentFields = requiresPrepayment(performance, entry)
+      ? {
+          status: PENDING_PAYMENT_STATUS,
+          paymentMethod: PAYMENT_METHODS.PREPAID,
+          paymentStatus: PAYMENT_STATUSES.PENDING,
+          paymentExpiresAt: now + WAITLIST_PAYMENT_HOLD_MINUTES * 60 * 1000,
+        }
+      : { status: "active" };
+
+    const reservationRef = db.collection("reservations").doc();
+    transaction.set(reservationRef, {
+      ...entry,
+      ...(assignedSeats ? { seats: sortSeatLabels(assignedSeats) } : {}),
+      note: entry.note || "",
+      createdAt: FieldValue.serverTimestamp(),
+      ...paymentFields,
+      cancelToken: generateCancelToken(),
+      confirmationCode: generateConfirmationCode(), // 予約番号（受付・お問い合わせ用）
+      waitlistEntryId: entrySnap.id, // どのキャンセル待ちから繰り上げたか
+    });
+    // お支払い待ちの予約には、チケットではなくお支払いのお願いを送る（予約確認メールはお支払い後に payments.js が送る）
+    transaction.set(
+      db.collection("mailQueue").doc(),
+      buildMailRequest(
+        paymentFields.paymentExpiresAt ? MAIL_TYPES.WAITLIST_PAYMENT_REQUIRED : MAIL_TYPES.WAITLIST_PROMOTED,
+        { reservationId: reservationRef.id }
+      )
+    );
+    if (paymentFields.paymentExpiresAt) {
+      pendingPayments[reservationRef.id] = paymentFields.paymentExpiresAt;
+    }
+    transaction.update(entrySnap.ref, {
+      status: WAITLIST_STATUS.PROMOTED,
+      promotedAt: FieldValue.serverTimestamp(),
+      reservationId: reservationRef.id,
+    });
+
+    remainingSeats -= seats;
+    promotedSeats += seats;
+    soldCounts = mergeTicketCounts(soldCounts, requestedCounts);
+    (assignedSeats || []).forEach((seat) => {
+      currentTakenSeats[seat] = reservationRef.id;
+    });
+    currentEmailCounts = adjustEmailCounts(currentEmailCounts, entry.emailKey);
+    currentAccessibilityCounts = mergeTicketCounts(currentAccessibilityCounts, requestedAccessibility);
+  });
+
+  return {
+    promotedSeats,
+    ticketCounts: soldCounts,
+    takenSeats: currentTakenSeats,
+    emailCounts: currentEmailCounts,
+    accessibilityCounts: currentAccessibilityCounts,
+    pendingPayments,
+  };
+}
+
+/**
+ * 席が空いたステージの在庫を書き込み、空いた席にキャンセル待ちを繰り上げる関数（トランザクション内で使用）
+ *
+ * @param {Transaction} transaction - 実行中のトランザクション
+ * @param {Firestore} db - Firestore（Admin SDK）
+ * @param {Object} params
+ * @param {string} params.performanceId - 公演ID
+ * @param {string|number} params.stageId - ステージID
+ * @param {Object|null} params.performance - 公演データ
+ * @param {Object} params.stock - readStageInventory の結果（{ inventoryRef, exists, inventory }）
+ * @param {Object} params.inventoryAfter - 予約の取り消し・変更を反映した在庫の値（繰り上げ前）
+ * @param {Array<DocumentSnapshot>} params.candidateSnaps - readWaitlistCandidates で読んだ候補（繰り上げない場合は空）
+ * @param {number} params.now - 現在時刻（ミリ秒）
+ * @returns {number} 繰り上げで埋まった席数
+ *
+ * なぜ共通化するか：
+ * - キャンセル・予約内容の変更のどちらでも、空いた席は同じ手順でキャンセル待ちに回すため
+ * なぜ受付期間の外では繰り上げないか：
+ * - 締め切り後・中止したステージで予約を作ると、受付を終えた後に予約が増えてしまうため
+ *   （在庫は書き込み、候補はキャンセル待ちのまま残す）
+ */
+export function writeInventoryWithPromotions(transaction, db, {
+  performanceId,
+  stageId,
+  performance,
+  stock,
+  inventoryAfter,
+  candidateSnaps,
+  now,
+}) {
+  const { inventoryRef, exists, inventory: inventoryBefore } = stock;
+
+  // 空いた席数を計算して、キャンセル待ちを繰り上げる
+  // （席数上限が無いステージは満席にならないので、本来キャンセル待ちは発生しない）
+  const stage = performance ? findStageById(performance.stages, stageId) : null;
+  const salesOpen = Boolean(stage) && getStageSalesStatus(performance, stage, new Date(now)) === SALES_STATUS.OPEN;
+  const seatLimit = Number(stage?.seatLimit) || 0;
+  // 仮押さえ中の席は、入力中のお客様のために残しておく（繰り上げに使わない）
+  const availableSeats = seatLimit > 0
+    ? Math.max(seatLimit - inventoryAfter.reservedSeats - countHeldSeats(inventoryBefore.holds, now), 0)
+    : Infinity;
+  const promotion = salesOpen
+    ? applyWaitlistPromotions(transaction, db, candidateSnaps, {
+        availableSeats,
+        ticketTypes: getTicketTypes(performance),
+        ticketCounts: inventoryAfter.ticketCounts,
+        seatMap: hasSeatMap(stage) ? stage.seatMap : null,
+        takenSeats: inventoryAfter.takenSeats,
+        emailCounts: inventoryAfter.emailCounts,
+        stage,
+        accessibilityCounts: inventoryAfter.accessibilityCounts,
+        performance,
+        now,
+      })
+    : {
+        promotedSeats: 0,
+        ticketCounts: inventoryAfter.ticketCounts,
+        takenSeats: inventoryAfter.takenSeats,
+        emailCounts: inventoryAfter.emailCounts,
+        accessibilityCounts: inventoryAfter.accessibilityCounts,
+        pendingPayments: {},
+      };
+
+  transaction.set(
+    inventoryRef,
+    {
+      performanceId,
+      stageId,
+      reservedSeats: inventoryAfter.reservedSeats + promotion.promotedSeats,
+      ticketCounts: promotion.ticketCounts,
+      takenSeats: buildMapFieldUpdate(inventoryBefore.takenSeats, promotion.takenSeats, exists),
+      emailCounts: buildMapFieldUpdate(inventoryBefore.emailCounts, promotion.emailCounts, exists),
+      accessibilityCounts: promotion.accessibilityCounts,
+      pendingPayments: buildMapFieldUpdate(
+        inventoryBefore.pendingPayments,
+        { ...inventoryAfter.pendingPayments, ...promotion.pendingPayments },
+        exists
+      ),
+      holds: buildHoldsCleanup(inventoryBefore.holds, now),
+      updatedAt: FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+
+  return promotion.promotedSeats;
+}
@@ -31,7 +31,12 @@ import StageListPage from "./pages/audience/StageListPage";
 import StageDetailPage from "./pages/audience/StageDetailPage";
 import ReservePage from "./pages/audience/ReservePage";
 import ReserveCompletePage from "./pages/audience/ReserveCompletePage";
+import ReservationConfirmationPage from "./pages/audience/ReservationConfirmationPage";
+import CartPage from "./pages/audience/CartPage";
+import PaymentPage from "./pages/audience/PaymentPage";
 import CancelReservationPage from "./pages/audience/CancelReservationPage";
+import ReservationLookupPage from "./pages/audience/ReservationLookupPage";
+import MyReservationsPage from "./pages/audience/MyReservationsPage";
 import TroupeHomePage from "./pages/audience/TroupeHomePage";
 
 // ============================================
@@ -44,6 +49,11 @@ import TroupeProfilePublicPage from "./pages/troupe/TroupeProfilePublicPage";
 import TroupePerformancesPage from "./pages/troupe/TroupePerformancesPage";
 import TroupePerformanceCreatePage from "./pages/troupe/TroupePerformanceCreatePage";
 import TroupePerformanceEditPage from "./pages/troupe/TroupePerformanceEditPage";
+import TroupeSeatMapEditPage from "./pages/troupe/TroupeSeatMapEditPage";
+import TroupePromoCodesPage from "./pages/troupe/TroupePromoCodesPage";
+import TroupeLotteryPage from "./pages/troupe/TroupeLotteryPage";
+import TroupeRefundsPage from "./pages/troupe/TroupeRefundsPage";
+import TroupeCheckInPage from "./pages/troupe/TroupeCheckInPage";
 import PerformanceReservationsPage from "./pages/troupe/PerformanceReservationsPage";
 import TroupeReservationsPage from "./pages/troupe/TroupeReservationsPage";
 import TroupeAccountDeletePage from "./pages/troupe/TroupeAccountDeletePage";
@@ -84,11 +94,30 @@ export default function App() {
               :performanceIdは公演のドキュメントID（例：/reserve/abc123） */}
           <Route path="reserve/:performanceId" element={<ReservePage />} />
           
+          {/* 予約カートページ（/cart） */}
+          <Route path="cart" element={<CartPage />} />
+
+          {/* お支払いページ（/payment?token=...）
+              事前決済の公演で、予約の後にお支払いをする */}
+          <Route path="payment" element={<PaymentPage />} />
+
           {/* 予約完了ページ（/reserve-complete） */}
           <Route path="reserve-complete" element={<ReserveCompletePage />} />
+
+          {/* 予約確認ページ（/reservation/:reservationId?token=...）
+              再読み込み・ブックマークしても、Firestoreから予約を読み込んで表示する */}
+          <Route path="reservation/:reservationId" element={<ReservationConfirmationPage />} />
           
           {/* 予約キャンセルページ（/cancel） */}
           <Route path="cancel" element={<CancelReservationPage />} />
+
+          {/* 予約照会ページ（/reservation-lookup）
+              メールアドレスと予約番号で予約を確認する */}
+          <Route path="reservation-lookup" element={<ReservationLookupPage />} />
+
+          {/* マイ予約ページ（/my-reservations）
+              メールのログイン用リンク（?link=...）から、そのメールアドレスの予約を一覧で確認する */}
+          <Route path="my-reservations" element={<MyReservationsPage />} />
           
           {/* 劇団ホームページ（/troupe-home/:troupeId） */}
           <Route path="troupe-home/:troupeId" element={<TroupeHomePage />} />
@@ -125,6 +154,21 @@ export default function App() {
           {/* 公演編集ページ（/troupe/performance/:performanceId/edit） */}
           <Route path="performance/:performanceId/edit" element={<TroupePerformanceEditPage />} />
           
+          {/* 座席表の編集ページ（/troupe/performance/:performanceId/seat-map） */}
+          <Route path="performance/:performanceId/seat-map" element={<TroupeSeatMapEditPage />} />
+          
+          {/* 割引コードの管理ページ（/troupe/performance/:performanceId/promo-codes） */}
+          <Route path="performance/:performanceId/promo-codes" element={<TroupePromoCodesPage />} />
+          
+          {/* 抽選の管理ページ（/troupe/performance/:performanceId/lottery） */}
+          <Route path="performance/:performanceId/lottery" element={<TroupeLotteryPage />} />
+          
+          {/* 返金の管理ページ（/troupe/performance/:performanceId/refunds） */}
+          <Route path="performance/:performanceId/refunds" element={<TroupeRefundsPage />} />
+          
+          {/* 当日の受付ページ（/troupe/performance/:performanceId/check-in） */}
+          <Route path="performance/:performanceId/check-in" element={<TroupeCheckInPage />} />
+          
           {/* 公演一覧ページ（/troupe/performances） */}
           <Route path="performances" element={<TroupePerformancesPage />} />
           
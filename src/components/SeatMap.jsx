@@ -0,0 +1,141 @@
+/**
+ * ============================================
+ * SeatMap.jsx - 座席表の表示コンポーネント
+ * ============================================
+ *
+ * ステージの座席表（指定席）を、舞台を上にしたグリッドで表示するコンポーネントです。
+ *
+ * 使う場所：
+ * 1. 座席表の編集ページ：座席をクリックして「販売しない座席」を切り替える
+ * 2. 予約ページ：空いている座席をクリックして選ぶ
+ * 3. 予約一覧ページ：ステージごとの埋まり具合を確認する（クリック不可）
+ *
+ * 座席の状態と色：
+ * - 空席：白
+ * - 選択中：緑
+ * - 予約済み：茶色
+ * - 販売しない座席：グレー（×印）
+ */
+
+// 座席の状態ごとの見た目
+const seatStyles = {
+  available: { backgroundColor: "#fff", color: "#222", border: "1px solid #8b4513" },
+  selected: { backgroundColor: "#4caf50", color: "#fff", border: "1px solid #388e3c" },
+  taken: { backgroundColor: "#8b4513", color: "#fff", border: "1px solid #5d2e0c" },
+  blocked: { backgroundColor: "#e0e0e0", color: "#9e9e9e", border: "1px solid #bdbdbd" },
+};
+
+/**
+ * SeatMapコンポーネント
+ *
+ * @param {Object} props
+ * @param {Array} props.layout - getSeatMapLayout() の結果
+ * @param {Object} [props.takenSeats] - 予約済みの座席（座席番号 -> 予約ID など）
+ * @param {Array<string>} [props.selectedSeats] - 選択中の座席番号
+ * @param {Function} [props.onSeatClick] - 座席をクリックしたときに呼ぶ関数（座席のcellを受け取る）
+ *   渡さない場合は表示専用になる
+ * @param {boolean} [props.allowBlockedClick] - 販売しない座席もクリックできるようにするか（編集ページ用）
+ * @param {Object} [props.seatTitles] - 座席にマウスを乗せたときの説明（座席番号 -> 文字列）
+ *
+ * @returns {JSX.Element} 座席表のUI
+ */
+export default function SeatMap({
+  layout,
+  takenSeats = {},
+  selectedSeats = [],
+  onSeatClick,
+  allowBlockedClick = false,
+  seatTitles = {},
+}) {
+  const selectedSet = new Set(selectedSeats);
+
+  return (
+    <div className="seat-map" style={{ overflowX: "auto", padding: "8px 0" }}>
+      {/* 舞台の位置（座席表の上側） */}
+      <div style={{
+        textAlign: "center",
+        backgroundColor: "#3e2723",
+        color: "#fff",
+        borderRadius: "4px",
+        padding: "4px",
+        marginBottom: "12px",
+        fontSize: "0.85em",
+        minWidth: "240px",
+      }}>
+        舞台
+      </div>
+
+      {layout.map((row) => (
+        <div
+          key={row.label}
+          style={{ display: "flex", alignItems: "center", gap: "4px", marginBottom: "4px" }}
+        >
+          {/* 列名 */}
+          <span style={{ width: "28px", textAlign: "right", fontWeight: 600, fontSize: "0.85em", color: "#555" }}>
+            {row.label}
+          </span>
+
+          {row.cells.map((cell, index) => {
+            if (cell.type === "aisle") {
+              // 通路は空白で表す
+              return <span key={`aisle-${index}`} style={{ width: "16px" }} />;
+            }
+
+            const state = cell.blocked
+              ? "blocked"
+              : selectedSet.has(cell.label)
+              ? "selected"
+              : takenSeats[cell.label]
+              ? "taken"
+              : "available";
+
+            // クリックできるのは「空席・選択中」の座席（編集ページでは販売しない座席も）
+            const clickable = Boolean(onSeatClick) && (
+              state === "available" || state === "selected" || (allowBlockedClick && state === "blocked")
+            );
+
+            return (
+              <button
+                key={cell.label}
+                type="button"
+                title={seatTitles[cell.label] || cell.label}
+                aria-label={`${cell.label}（${
+                  state === "blocked" ? "販売なし" : state === "taken" ? "予約済み" : state === "selected" ? "選択中" : "空席"
+                }）`}
+                aria-pressed={state === "selected"}
+                disabled={!clickable}
+                onClick={() => onSeatClick(cell)}
+                style={{
+                  ...seatStyles[state],
+                  width: "28px",
+                  height: "28px",
+                  borderRadius: "6px 6px 2px 2px",
+                  fontSize: "0.7em",
+                  padding: 0,
+                  cursor: clickable ? "pointer" : "default",
+                }}
+              >
+                {state === "blocked" ? "×" : cell.number}
+              </button>
+            );
+          })}
+        </div>
+      ))}
+
+      {/* 凡例 */}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "12px", marginTop: "8px", fontSize: "0.8em", color: "#555" }}>
+        {[
+          ["available", "空席"],
+          ["selected", "選択中"],
+          ["taken", "予約済み"],
+          ["blocked", "販売なし"],
+        ].map(([state, label]) => (
+          <span key={state} style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+            <span style={{ ...seatStyles[state], display: "inline-block", width: "14px", height: "14px", borderRadius: "3px" }} />
+            {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+/**
+ * ============================================
+ * TicketQrCode.jsx - 電子チケットのQRコードの表示コンポーネント
+ * ============================================
+ *
+ * チケットコード（functions/tickets.js で署名したもの）をQRコードの画像にして表示するコンポーネントです。
+ * 受付では、この画像をスキャナーで読み取るか、下に表示したコードを入力します。
+ *
+ * 使う場所：
+ * 1. 予約完了ページ：予約ごとのチケット
+ *
+ * なぜ画像をブラウザで作るか：
+ * - チケットコードさえあれば、QRコードの画像は誰が作っても同じになるため
+ *   （画像のためにCloud Functionsを呼ぶ回数を増やさずに済む）
+ */
+
+import { useState, useEffect } from "react";
+import QRCode from "qrcode";
+
+/**
+ * TicketQrCodeコンポーネント
+ *
+ * @param {Object} props
+ * @param {string} props.code - チケットコード
+ * @param {number} [props.size] - 画像の幅・高さ（px）
+ *
+ * @returns {JSX.Element} QRコードの画像とチケットコードのUI
+ */
+export default function TicketQrCode({ code, size = 200 }) {
+  const [imageUrl, setImageUrl] = useState("");
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false; // 画像を作っている間に code が変わった場合、古い画像で上書きしないため
+    QRCode.toDataURL(code, { errorCorrectionLevel: "M", margin: 2, width: size })
+      .then((url) => {
+        if (!cancelled) {
+          setImageUrl(url);
+          setFailed(false);
+        }
+      })
+      .catch((error) => {
+        console.error("QRコードの作成に失敗しました:", error);
+        if (!cancelled) {
+          setFailed(true);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [code, size]);
+
+  return (
+    <div style={{ textAlign: "center", margin: "12px 0" }}>
+      {imageUrl && !failed && (
+        <img
+          src={imageUrl}
+          alt="チケットのQRコード"
+          width={size}
+          height={size}
+          style={{ display: "block", margin: "0 auto", imageRendering: "pixelated" }}
+        />
+      )}
+      {failed && (
+        <p style={{ color: "#c62828", fontSize: "14px" }}>
+          QRコードを表示できませんでした。受付で下のチケットコードをお伝えください。
+        </p>
+      )}
+      {/* QRコードを読み取れない場合に、受付で入力してもらうためのコード */}
+      <p style={{ fontFamily: "monospace", fontSize: "12px", wordBreak: "break-all", color: "#555", margin: "6px 0 0" }}>
+        {code}
+      </p>
+    </div>
+  );
+}
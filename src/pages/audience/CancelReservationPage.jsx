@@ -7,16 +7,54 @@
  * 
  * 主な機能：
  * 1. URLパラメータからcancelTokenを取得
- * 2. cancelTokenでFirestoreから予約を検索
+ * 2. cancelTokenで予約を検索（Cloud Functions の getReservationByToken）
  * 3. 予約情報を表示
- * 4. キャンセルボタンで予約をキャンセル（status: "cancelled"）
+ * 4. キャンセルボタンで予約をキャンセル（status: "cancelled"、座席在庫も戻す）
  * 5. 既にキャンセル済みの場合は「キャンセル済み」と表示
+ * 6. 予約内容（人数・日時）の変更（劇団が決めた締め切りまで。変更確認メールを送る）
+ * 7. 一部の人数だけのキャンセルと、キャンセル理由（選択肢＋自由記入）の入力
+ * 8. 公演のキャンセルポリシー（締め切り）の表示。締め切り後はキャンセル・変更を受け付けず、劇団の連絡先を案内する
+ * 9. 事前決済の予約の支払い状況の表示（お支払い待ちの場合はお支払いページへ案内し、変更・一部キャンセルは受け付けない）
  */
 
 import { useState, useEffect } from "react";
 import { useSearchParams, Link } from "react-router-dom";
-import { collection, query, where, getDocs, doc, updateDoc, serverTimestamp, getDoc } from "firebase/firestore";
+import { doc, getDoc } from "firebase/firestore";
 import { db } from "../../firebase";
+import {
+  findReservationByToken,
+  cancelReservation,
+  modifyReservation,
+  partiallyCancelReservation,
+  getReservedSeatsCount,
+  RESERVATION_ERROR_CODES,
+} from "../../services/reservationService";
+import { findStageById, getStageKey } from "../../../functions/shared/stageUtils.js";
+import {
+  getTicketTypes,
+  getTicketCounts,
+  buildTicketBreakdown,
+  getReservationSeatCount,
+  getReservationAttendeeCount,
+  getReservationTotalPrice,
+  formatTicketBreakdown,
+} from "../../../functions/shared/ticketUtils.js";
+import { formatSeatLabels } from "../../../functions/shared/seatMapUtils.js";
+import {
+  getReservationDeadline,
+  getCancellationPolicyText,
+  isBeforeDeadline,
+  formatDateTime,
+} from "../../../functions/shared/deadlineUtils.js";
+import { CANCELLATION_REASONS, MAX_REASON_NOTE_LENGTH } from "../../../functions/shared/cancellationUtils.js";
+import { PAYMENT_METHODS, PAYMENT_STATUSES, formatPaymentStatus, isPaymentPending } from "../../../functions/shared/paymentUtils.js";
+import {
+  REFUND_CAUSES,
+  buildRefundFields,
+  calculateRefundAmount,
+  describeRefundPolicy,
+  formatRefundStatus,
+} from "../../../functions/shared/refundUtils.js";
 import "./CancelReservationPage.css";
 
 export default function CancelReservationPage() {
@@ -25,11 +63,29 @@ export default function CancelReservationPage() {
 
   const [reservation, setReservation] = useState(null);
   const [performance, setPerformance] = useState(null);
+  const [troupeContactInfo, setTroupeContactInfo] = useState(""); // 劇団の連絡先（締め切り後の案内に使う）
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
   const [cancelling, setCancelling] = useState(false);
   const [cancelled, setCancelled] = useState(false);
 
+  // ============================================
+  // 予約内容の変更用の状態管理
+  // ============================================
+  const [changeStageId, setChangeStageId] = useState(null);       // 変更後のステージID
+  const [changeQuantities, setChangeQuantities] = useState({});   // 変更後の券種IDごとの枚数
+  const [stageReservedSeatsMap, setStageReservedSeatsMap] = useState({}); // ステージごとの埋まっている席数（stageId -> 席数）
+  const [changing, setChanging] = useState(false);                // 変更処理中かどうか
+  const [changeMessage, setChangeMessage] = useState("");         // 変更が完了したときのお知らせ
+
+  // ============================================
+  // キャンセル理由・一部キャンセル用の状態管理
+  // ============================================
+  const [cancelReason, setCancelReason] = useState("");           // キャンセル理由のID
+  const [cancelReasonNote, setCancelReasonNote] = useState("");   // 自由記入の理由
+  const [cancelQuantities, setCancelQuantities] = useState({});   // 一部キャンセルする券種IDごとの枚数
+  const [partialCancelling, setPartialCancelling] = useState(false); // 一部キャンセル処理中かどうか
+
   /**
    * cancelTokenで予約を取得
    * 
@@ -56,27 +112,15 @@ export default function CancelReservationPage() {
         setError("");
 
         // cancelTokenで予約を検索
-        const reservationsRef = collection(db, "reservations");
-        const q = query(
-          reservationsRef,
-          where("cancelToken", "==", token)
-        );
-        
-        const querySnapshot = await getDocs(q);
+        // （予約は画面から直接読めないため、Cloud Functions から受け取る。id を含む）
+        const reservationData = await findReservationByToken(token);
 
-        if (querySnapshot.empty) {
+        if (!reservationData) {
           setError("予約が見つかりませんでした。トークンが無効か、既に削除された可能性があります。");
           setLoading(false);
           return;
         }
 
-        // 予約データを取得（通常は1件のはず）
-        const reservationDoc = querySnapshot.docs[0];
-        const reservationData = {
-          id: reservationDoc.id,
-          ...reservationDoc.data(),
-        };
-
         // 既にキャンセル済みかチェック
         if (reservationData.status === "cancelled") {
           setReservation(reservationData);
@@ -86,6 +130,9 @@ export default function CancelReservationPage() {
         }
 
         setReservation(reservationData);
+        // 変更フォームの初期値は、今の予約内容にする
+        setChangeStageId(reservationData.stageId);
+        setChangeQuantities(getTicketCounts(reservationData));
 
         // 公演情報を取得（表示用）
         if (reservationData.performanceId) {
@@ -94,7 +141,24 @@ export default function CancelReservationPage() {
             const performanceDocSnap = await getDoc(performanceDocRef);
             
             if (performanceDocSnap.exists()) {
-              setPerformance(performanceDocSnap.data());
+              const performanceData = performanceDocSnap.data();
+              setPerformance(performanceData);
+
+              // 変更先の候補として、ステージごとの埋まっている席数を取得する
+              const reservedMap = {};
+              for (const [index, stage] of (performanceData.stages || []).entries()) {
+                const stageKey = getStageKey(stage, index);
+                reservedMap[stageKey] = await getReservedSeatsCount(reservationData.performanceId, stageKey, { stage });
+              }
+              setStageReservedSeatsMap(reservedMap);
+
+              // 締め切り後の問い合わせ先として、劇団の連絡先を取得する
+              if (performanceData.troupeId) {
+                const troupeDocSnap = await getDoc(doc(db, "troupes", performanceData.troupeId));
+                if (troupeDocSnap.exists()) {
+                  setTroupeContactInfo(troupeDocSnap.data().contactInfo || "");
+                }
+              }
             }
           } catch (perfError) {
             console.warn("公演情報の取得に失敗しました:", perfError);
@@ -119,6 +183,7 @@ export default function CancelReservationPage() {
    * なぜこの処理が必要か：
    * - ユーザーが「キャンセルする」ボタンを押したときに、予約をキャンセル状態にするため
    * - statusを"cancelled"に更新し、cancelledAtを記録するため
+   * - 同じトランザクションでステージの座席在庫を戻し、空いた席を再び予約できるようにするため
    */
   const handleCancel = async () => {
     if (!reservation || !db) {
@@ -134,22 +199,132 @@ export default function CancelReservationPage() {
     setError("");
 
     try {
-      const reservationRef = doc(db, "reservations", reservation.id);
-      await updateDoc(reservationRef, {
-        status: "cancelled",
-        cancelledAt: serverTimestamp(),
+      // 予約のキャンセルと座席在庫の返却、キャンセル理由の記録をまとめて実行
+      await cancelReservation(reservation.id, {
+        cancelToken: token,
+        reason: cancelReason,
+        reasonNote: cancelReasonNote,
       });
 
       setCancelled(true);
+      // 返金の状況を表示するため、サービス側と同じ計算で返金の項目を反映する
+      setReservation((current) => ({
+        ...current,
+        status: "cancelled",
+        ...buildRefundFields(performance, current, REFUND_CAUSES.CUSTOMER_CANCEL),
+      }));
       console.log("予約をキャンセルしました。予約ID:", reservation.id);
     } catch (error) {
-      console.error("キャンセル処理エラー:", error);
-      setError(`キャンセル処理に失敗しました: ${error.message}`);
+      if (error.code === RESERVATION_ERROR_CODES.CANCEL_DEADLINE_PASSED) {
+        // 画面を開いている間に締め切りを過ぎた場合
+        setError(`${error.message}ご事情がある場合は、劇団に直接お問い合わせください。`);
+      } else {
+        console.error("キャンセル処理エラー:", error);
+        setError(`キャンセル処理に失敗しました: ${error.message}`);
+      }
     } finally {
       setCancelling(false);
     }
   };
 
+  /**
+   * 予約内容の変更処理
+   * 
+   * なぜサービス側で座席を確認するか：
+   * - 画面に表示した残席は読み込んだ時点のもののため、
+   *   最終的な確認はトランザクション（modifyReservation）で行う
+   */
+  const handleModify = async () => {
+    if (!reservation || !db) {
+      return;
+    }
+
+    setChanging(true);
+    setError("");
+    setChangeMessage("");
+
+    try {
+      const changes = await modifyReservation({
+        reservationId: reservation.id,
+        cancelToken: token,
+        stageId: changeStageId,
+        ticketQuantities: changeQuantities,
+      });
+      // 関数は変更した項目だけを返すため、今の予約データに重ねる（変更が無い場合は空）
+      const updated = { ...reservation, ...changes };
+      setReservation(updated);
+      // 残席の表示を、変更した分だけ更新する（変更前の席を戻し、変更後の席を埋める）
+      setStageReservedSeatsMap((current) => {
+        const next = { ...current };
+        next[reservation.stageId] = (next[reservation.stageId] || 0) - getReservationSeatCount(reservation);
+        next[updated.stageId] = (next[updated.stageId] || 0) + getReservationSeatCount(updated);
+        return next;
+      });
+      setChangeMessage("予約内容を変更しました。変更内容をメールでお送りします。");
+      console.log("予約内容を変更しました。予約ID:", reservation.id);
+    } catch (error) {
+      if (error.code === RESERVATION_ERROR_CODES.SOLD_OUT) {
+        setError(`残席が不足しているため変更できません（残席：${error.availableSeats}席）。人数を減らすか、別の日時を選択してください。`);
+      } else if (error.code) {
+        setError(error.message);
+      } else {
+        console.error("予約内容の変更エラー:", error);
+        setError(`予約内容の変更に失敗しました: ${error.message}`);
+      }
+    } finally {
+      setChanging(false);
+    }
+  };
+
+  /**
+   * 一部キャンセル処理
+   * 
+   * なぜ予約の変更と別の処理にするか：
+   * - 一部キャンセルは締め切り後でも受け付け、キャンセル理由も記録するため
+   * - 空いた席はキャンセル待ちの方に回すため（全部キャンセルと同じ）
+   */
+  const handlePartialCancel = async () => {
+    if (!reservation || !db) {
+      return;
+    }
+
+    setPartialCancelling(true);
+    setError("");
+    setChangeMessage("");
+
+    try {
+      const changes = await partiallyCancelReservation({
+        reservationId: reservation.id,
+        cancelToken: token,
+        cancelQuantities,
+        reason: cancelReason,
+        reasonNote: cancelReasonNote,
+      });
+      const updated = { ...reservation, ...changes };
+      setReservation(updated);
+      // 残席の表示と変更フォームを、一部キャンセル後の内容にそろえる
+      setStageReservedSeatsMap((current) => ({
+        ...current,
+        [reservation.stageId]: (current[reservation.stageId] || 0)
+          - getReservationSeatCount(reservation)
+          + getReservationSeatCount(updated),
+      }));
+      setChangeQuantities(getTicketCounts(updated));
+      setCancelQuantities({});
+      setChangeMessage("ご予約の一部をキャンセルしました。キャンセル後の予約内容をメールでお送りします。");
+      console.log("予約の一部をキャンセルしました。予約ID:", reservation.id);
+    } catch (error) {
+      if (error.code) {
+        setError(error.message);
+      } else {
+        console.error("一部キャンセル処理エラー:", error);
+        setError(`一部キャンセルに失敗しました: ${error.message}`);
+      }
+    } finally {
+      setPartialCancelling(false);
+    }
+  };
+
   // ローディング中の表示
   if (loading) {
     return (
@@ -195,9 +370,21 @@ export default function CancelReservationPage() {
   }
 
   // ステージ情報を取得
-  const stageInfo = performance?.stages && reservation.stageId !== undefined
-    ? performance.stages[reservation.stageId]
-    : null;
+  // なぜfindStageByIdを使うか：stageIdはステージの固定IDのため（旧データのインデックスにも対応）
+  // ステージが見つからない場合は、予約時に保存した日時（stageDate等）を表示する
+  const stageInfo = findStageById(performance?.stages, reservation.stageId)
+    || (reservation.stageDate
+      ? { date: reservation.stageDate, start: reservation.stageStart, end: reservation.stageEnd }
+      : null);
+
+  // キャンセル・変更の締め切り（公演やステージが見つからない場合は締め切りなし。サービス側と同じ判定）
+  const currentStage = findStageById(performance?.stages, reservation.stageId);
+  const deadline = performance ? getReservationDeadline(performance, currentStage) : null;
+  const isDeadlinePassed = !isBeforeDeadline(deadline);
+  // 事前決済の予約は、金額が変わる変更・一部キャンセルを受け付けない（サービス側と同じ判定）
+  const isPrepaid = reservation.paymentMethod === PAYMENT_METHODS.PREPAID;
+  const isPending = isPaymentPending(reservation);
+  const isPaid = reservation.paymentStatus === PAYMENT_STATUSES.PAID;
 
   return (
     <div className="cancel-reservation-page">
@@ -230,8 +417,16 @@ export default function CancelReservationPage() {
         }}>
           <h2 style={{ marginTop: 0 }}>キャンセル済み</h2>
           <p style={{ margin: 0 }}>
-            この予約は既にキャンセルされています。
+            {reservation.cancelledByTroupe
+              ? "この公演は中止となったため、予約は取り消されました。"
+              : "この予約は既にキャンセルされています。"}
           </p>
+          {/* 事前決済でお支払い済みだった予約の返金の状況 */}
+          {reservation.refundStatus && (
+            <p style={{ margin: "8px 0 0" }}>
+              返金：{formatRefundStatus(reservation)}
+            </p>
+          )}
         </div>
       )}
 
@@ -239,6 +434,7 @@ export default function CancelReservationPage() {
       <div className="cancel-reservation-box">
         <h2 style={{ marginTop: 0 }}>予約内容</h2>
         
+        {reservation.confirmationCode && <p><strong>予約番号：</strong>{reservation.confirmationCode}</p>}
         <p><strong>公演名：</strong>{reservation.performanceTitle || performance?.title || "タイトル未設定"}</p>
         
         {stageInfo && (
@@ -251,13 +447,215 @@ export default function CancelReservationPage() {
         {reservation.venue && <p><strong>会場：</strong>{reservation.venue}</p>}
         <p><strong>予約者名：</strong>{reservation.name || "-"}</p>
         <p><strong>メールアドレス：</strong>{reservation.email || "-"}</p>
-        <p><strong>人数：</strong>{reservation.people || 0}名</p>
+        <p><strong>人数：</strong>{getReservationAttendeeCount(reservation)}名（{formatTicketBreakdown(reservation)}）</p>
+        {reservation.seats?.length > 0 && <p><strong>座席：</strong>{formatSeatLabels(reservation.seats)}</p>}
+        <p><strong>合計金額：</strong>{getReservationTotalPrice(reservation).toLocaleString("ja-JP")}円</p>
+        {reservation.paymentStatus && <p><strong>お支払い：</strong>{formatPaymentStatus(reservation)}</p>}
         {reservation.note && <p><strong>備考：</strong>{reservation.note}</p>}
       </div>
 
-      {/* キャンセルボタン（キャンセル済みでない場合のみ表示） */}
-      {!cancelled && (
-        <div style={{ marginTop: "24px", textAlign: "center" }}>
+      {/* 変更完了のお知らせ */}
+      {changeMessage && (
+        <div style={{
+          padding: "12px",
+          backgroundColor: "#e8f5e9",
+          color: "#2e7d32",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #4caf50"
+        }}>
+          {changeMessage}
+        </div>
+      )}
+
+      {/* お支払い待ちの場合（お支払いページへ案内する。キャンセル・変更はお支払いの後に受け付ける） */}
+      {!cancelled && isPending && (
+        <div className="deadline-passed-box">
+          <h2 style={{ marginTop: 0 }}>お支払いが済んでいません</h2>
+          <p>
+            この予約はまだお支払いが済んでいません。期限までにお支払いがない場合、予約は取り消されます。
+          </p>
+          <Link to={`/payment?token=${token}`}>お支払いページへ進む</Link>
+        </div>
+      )}
+
+      {/* 締め切り後の案内（キャンセルポリシーと劇団の連絡先） */}
+      {!cancelled && !isPending && isDeadlinePassed && (
+        <div className="deadline-passed-box">
+          <h2 style={{ marginTop: 0 }}>キャンセル・変更の受付は終了しました</h2>
+          <p>
+            この予約のキャンセル・変更の受付は{formatDateTime(deadline)}で締め切りました。
+            ご事情がある場合は、劇団に直接お問い合わせください。
+          </p>
+          <p className="deadline-policy-text">{getCancellationPolicyText(performance)}</p>
+          {troupeContactInfo && (
+            <p className="deadline-contact">
+              <strong>劇団の連絡先：</strong>
+              {troupeContactInfo}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* 予約内容の変更（キャンセル済みでなく、締め切り前の場合のみ表示） */}
+      {!cancelled && !isPending && !isDeadlinePassed && performance && (() => {
+        if (!currentStage || isPrepaid) {
+          return (
+            <div className="change-reservation-box">
+              <h2 style={{ marginTop: 0 }}>予約内容の変更</h2>
+              <p>この予約は変更できません。変更をご希望の場合は、劇団に直接お問い合わせください。</p>
+            </div>
+          );
+        }
+
+        const ticketTypes = getTicketTypes(performance);
+        const changeTickets = buildTicketBreakdown(ticketTypes, changeQuantities);
+        const changeSeats = getReservationSeatCount({ tickets: changeTickets });
+        const isCurrentStage = (stageKey) => String(stageKey) === String(reservation.stageId);
+
+        return (
+          <div className="change-reservation-box">
+            <h2 style={{ marginTop: 0 }}>予約内容の変更</h2>
+            <p className="change-deadline">
+              {formatDateTime(deadline)}まで、人数と日時を変更できます。
+              {reservation.seats?.length > 0 && "座席は空いている席から自動で割り当てます。"}
+            </p>
+
+            {/* 日時 */}
+            <p><strong>日時</strong></p>
+            {(performance.stages || []).map((stage, index) => {
+              const stageKey = getStageKey(stage, index);
+              const stageDeadline = getReservationDeadline(performance, stage);
+              const seatLimit = Number(stage.seatLimit) || 0;
+              // 今の日時の残席には、この予約自身の席も含める
+              const available = seatLimit > 0
+                ? seatLimit - (stageReservedSeatsMap[stageKey] || 0)
+                  + (isCurrentStage(stageKey) ? getReservationSeatCount(reservation) : 0)
+                : null;
+              const disabled = !isBeforeDeadline(stageDeadline)
+                || (available !== null && available < changeSeats);
+              return (
+                <label key={stageKey} className="change-stage-option" style={{ opacity: disabled ? 0.5 : 1 }}>
+                  <input
+                    type="radio"
+                    name="changeStage"
+                    checked={String(changeStageId) === String(stageKey)}
+                    onChange={() => setChangeStageId(stageKey)}
+                    disabled={disabled}
+                  />
+                  {stage.date} {stage.start}〜{stage.end}
+                  {isCurrentStage(stageKey) && "（現在のご予約）"}
+                  {available !== null && `（残席 ${Math.max(available, 0)}席）`}
+                </label>
+              );
+            })}
+
+            {/* 枚数 */}
+            <p><strong>枚数</strong></p>
+            {ticketTypes.map((ticketType) => (
+              <div key={ticketType.id} className="change-ticket-row">
+                <span>{ticketType.name}（{ticketType.price === 0 ? "無料" : `${ticketType.price}円`}）</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={changeQuantities[ticketType.id] || 0}
+                  onChange={(e) => setChangeQuantities({
+                    ...changeQuantities,
+                    [ticketType.id]: Math.max(Math.floor(Number(e.target.value) || 0), 0),
+                  })}
+                />
+              </div>
+            ))}
+
+            <button
+              onClick={handleModify}
+              disabled={changing || changeTickets.length === 0}
+              className="change-submit-btn"
+            >
+              {changing ? "変更処理中..." : "この内容に変更する"}
+            </button>
+          </div>
+        );
+      })()}
+
+      {/* キャンセル（キャンセル済みでなく、締め切り前の場合のみ表示） */}
+      {!cancelled && !isPending && !isDeadlinePassed && (
+        <div className="cancel-form-box">
+          <h2 style={{ marginTop: 0 }}>キャンセル</h2>
+          {performance && (
+            <p className="change-deadline" style={{ whiteSpace: "pre-wrap" }}>
+              {deadline && `${formatDateTime(deadline)}までキャンセルできます。\n`}
+              {getCancellationPolicyText(performance)}
+            </p>
+          )}
+          {/* 事前決済でお支払い済みの予約は、返金ポリシーと返金額を案内する */}
+          {isPaid && performance && (
+            <p className="change-deadline">
+              {describeRefundPolicy(performance)}
+              （このご予約の返金額：{calculateRefundAmount(performance, reservation, REFUND_CAUSES.CUSTOMER_CANCEL).toLocaleString("ja-JP")}円）
+              返金は劇団が手続きし、済みましたらメールでお知らせします。
+            </p>
+          )}
+
+          {/* キャンセル理由（任意。劇団の今後の参考にする） */}
+          <label className="cancel-form-label" htmlFor="cancelReason">
+            キャンセルの理由（任意）
+          </label>
+          <select
+            id="cancelReason"
+            className="cancel-form-input"
+            value={cancelReason}
+            onChange={(e) => setCancelReason(e.target.value)}
+          >
+            <option value="">選択してください</option>
+            {CANCELLATION_REASONS.map((option) => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+          <textarea
+            className="cancel-form-input cancel-form-textarea"
+            value={cancelReasonNote}
+            onChange={(e) => setCancelReasonNote(e.target.value)}
+            maxLength={MAX_REASON_NOTE_LENGTH}
+            placeholder="よろしければ、詳しい理由やご意見をお書きください"
+          />
+
+          {/* 一部キャンセル（2枚以上の予約のみ。事前決済の予約は全員分のキャンセルのみ） */}
+          {getReservationAttendeeCount(reservation) > 1 && !isPrepaid && (() => {
+            const cancelCount = Object.values(cancelQuantities).reduce((sum, quantity) => sum + quantity, 0);
+            return (
+              <div className="partial-cancel-box">
+                <p><strong>一部の人数だけキャンセルする</strong></p>
+                {(reservation.tickets || []).map((ticket) => (
+                  <div key={ticket.typeId} className="change-ticket-row">
+                    <span>{ticket.name}（予約 {ticket.quantity}枚）</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max={ticket.quantity}
+                      value={cancelQuantities[ticket.typeId] || 0}
+                      onChange={(e) => setCancelQuantities({
+                        ...cancelQuantities,
+                        [ticket.typeId]: Math.min(
+                          Math.max(Math.floor(Number(e.target.value) || 0), 0),
+                          Number(ticket.quantity) || 0
+                        ),
+                      })}
+                    />
+                  </div>
+                ))}
+                <button
+                  onClick={handlePartialCancel}
+                  disabled={partialCancelling || cancelCount === 0}
+                  className="partial-cancel-btn"
+                >
+                  {partialCancelling ? "キャンセル処理中..." : "選んだ枚数をキャンセルする"}
+                </button>
+              </div>
+            );
+          })()}
+
+          <p style={{ marginBottom: "8px" }}><strong>予約全体をキャンセルする</strong></p>
           <button
             onClick={handleCancel}
             disabled={cancelling}
@@ -296,6 +694,14 @@ export default function CancelReservationPage() {
       )}
 
       <div style={{ marginTop: "24px", textAlign: "center" }}>
+        {/* 電子チケット・カレンダーへの追加は予約確認ページで行う（メールのキャンセルリンクから来た方のため） */}
+        {!cancelled && (
+          <p style={{ marginBottom: "16px" }}>
+            <Link to={`/reservation/${reservation.id}?token=${token}`}>
+              電子チケット・予約確認ページを開く
+            </Link>
+          </p>
+        )}
         <Link to="/" className="cancel-home-btn">
           トップページに戻る
         </Link>
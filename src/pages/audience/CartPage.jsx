@@ -0,0 +1,501 @@
+/**
+ * ============================================
+ * CartPage.jsx - 予約カートページ
+ * ============================================
+ *
+ * 予約ページでカートに追加した複数の公演日時を、まとめて予約するためのページです。
+ *
+ * 主な機能：
+ * 1. カートの中身（公演・日時・券種・座席・金額）の一覧表示
+ * 2. 公演データの最新状態との照合（ステージの削除・料金の変更・残席の確認）
+ * 3. カートからの削除
+ * 4. 予約者情報（氏名・メールアドレス・備考）の入力
+ * 5. 全ての予約をまとめて作成（1件でも予約できなければ、何も予約しない）
+ * 6. 予約完了ページへの遷移（確認メールは全ての予約をまとめて1通）
+ * 7. ボット対策（予約ページと同じく、予約パスをCloud Functionsから受け取ってから予約する）
+ */
+
+import { useState, useEffect } from "react";
+import { useNavigate, Link } from "react-router-dom";
+import { doc, getDoc } from "firebase/firestore";
+import { db } from "../../firebase";
+import {
+  getReservedSeatsCount,
+  createReservations,
+  RESERVATION_ERROR_CODES,
+} from "../../services/reservationService";
+import {
+  startReservationForm,
+  requestReservationPass,
+  BOT_PROTECTION_ERROR_CODES,
+  HONEYPOT_FIELD_NAME,
+} from "../../services/botProtectionService";
+import { findStageById } from "../../../functions/shared/stageUtils.js";
+import { getCancellationPolicy, formatDateTime } from "../../../functions/shared/deadlineUtils.js";
+import {
+  getTicketTypes,
+  buildTicketBreakdown,
+  getTicketCounts,
+  getReservationSeatCount,
+  getReservationAttendeeCount,
+  getReservationTotalPrice,
+  formatTicketBreakdown,
+} from "../../../functions/shared/ticketUtils.js";
+import { formatSeatLabels } from "../../../functions/shared/seatMapUtils.js";
+import { hasAccessibilityRequest, formatAccessibilityRequest } from "../../../functions/shared/accessibilityUtils.js";
+import { getCartItems, saveCartItems, removeCartItem, clearCart } from "../../utils/cartUtils";
+import "./CartPage.css";
+
+/**
+ * 金額を表示用の文字列にする関数
+ *
+ * @param {number} price - 金額（円）
+ * @returns {string} 例："3,000円"（0円の場合は"無料"）
+ */
+function formatPrice(price) {
+  return price === 0 ? "無料" : `${price.toLocaleString("ja-JP")}円`;
+}
+
+/**
+ * CartPageコンポーネント
+ *
+ * @returns {JSX.Element} 予約カートページのUI
+ */
+export default function CartPage() {
+  const navigate = useNavigate();
+
+  // ============================================
+  // 状態管理
+  // ============================================
+  const [items, setItems] = useState(() => getCartItems()); // カートの中身
+  const [itemStatus, setItemStatus] = useState({});         // カートの1件ごとの確認結果（id -> { problem, availableSeats, policy }）
+  const [checking, setChecking] = useState(true);           // 公演データと照合中かどうか
+  const [checkVersion, setCheckVersion] = useState(0);      // 照合のやり直し用（値が変わると照合し直す）
+  const [error, setError] = useState("");                   // エラーメッセージ
+  const [isSubmitting, setIsSubmitting] = useState(false);  // 送信中の状態（重複送信防止用）
+
+  // 予約者情報の入力値
+  const [name, setName] = useState("");                 // 氏名
+  const [email, setEmail] = useState("");               // メールアドレス
+  const [emailConfirm, setEmailConfirm] = useState(""); // メールアドレス（確認用）
+  const [note, setNote] = useState("");                 // 備考（任意）
+
+  // ボット対策（予約ページと同じ。詳しくは botProtectionService.js）
+  const [formToken, setFormToken] = useState("");     // フォームの開始トークン（ページを開いた時刻をサーバーが署名したもの）
+  const [honeypot, setHoneypot] = useState("");       // 人には見えない入力欄の値
+  const [challenge, setChallenge] = useState(null);   // 確認の質問（{ challengeId, question }。必要な場合のみ）
+  const [challengeAnswer, setChallengeAnswer] = useState(""); // 確認の質問への答え
+
+  // ページを開いた時に、フォームの開始トークンを受け取る（送信までの時間はサーバーがこの時刻から測る）
+  useEffect(() => {
+    let cancelled = false;
+    startReservationForm()
+      .then((token) => {
+        if (!cancelled) {
+          setFormToken(token);
+        }
+      })
+      .catch((error) => {
+        console.warn("フォームの開始トークンを受け取れませんでした:", error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // ============================================
+  // カートの中身を公演データの最新状態と照合
+  // ============================================
+  // なぜ照合するか：
+  // - カートに入れてから予約するまでの間に、劇団がステージを削除したり料金を変えたりする場合があるため
+  // - 残席を表示して、満席になった公演日時を予約前に外してもらえるようにするため
+  // 注意：最終的な残席・座席のチェックは、予約時のトランザクション（createReservations）で行う
+  useEffect(() => {
+    const checkCartItems = async () => {
+      const currentItems = getCartItems();
+      if (!db || currentItems.length === 0) {
+        setChecking(false);
+        return;
+      }
+
+      setChecking(true);
+      try {
+        // 同じ公演は1回だけ読む
+        const performances = {};
+        for (const item of currentItems) {
+          if (!(item.performanceId in performances)) {
+            const performanceSnap = await getDoc(doc(db, "performances", item.performanceId));
+            performances[item.performanceId] = performanceSnap.exists() ? performanceSnap.data() : null;
+          }
+        }
+
+        const status = {};
+        const refreshedItems = [];
+        for (const item of currentItems) {
+          const performance = performances[item.performanceId];
+          const stage = performance ? findStageById(performance.stages, item.stageId) : null;
+          if (!stage) {
+            status[item.id] = { problem: "この公演日時は見つかりませんでした。カートから削除してください。" };
+            refreshedItems.push(item);
+            continue;
+          }
+
+          // 券種の名前・料金は最新の設定で計算し直す（削除された券種は外す）
+          const tickets = buildTicketBreakdown(getTicketTypes(performance), getTicketCounts(item));
+          const refreshedItem = {
+            ...item,
+            tickets,
+            totalPrice: getReservationTotalPrice({ tickets }),
+            people: getReservationAttendeeCount({ tickets }),
+          };
+          refreshedItems.push(refreshedItem);
+
+          if (tickets.length === 0) {
+            status[item.id] = { problem: "選択した券種の販売が終了しました。予約ページで選び直してください。" };
+            continue;
+          }
+
+          const seatLimit = Number(stage.seatLimit) || 0;
+          if (seatLimit > 0) {
+            const reserved = await getReservedSeatsCount(item.performanceId, item.stageId, {
+              stage,
+              accessibility: item.accessibility,
+            });
+            const availableSeats = Math.max(seatLimit - reserved, 0);
+            status[item.id] = {
+              availableSeats,
+              problem: getReservationSeatCount(refreshedItem) > availableSeats
+                ? `残席が${availableSeats}席のため、このままでは予約できません。`
+                : "",
+            };
+          } else {
+            status[item.id] = { problem: "" };
+          }
+          // キャンセル・変更の締め切り（カートに表示する）
+          status[item.id].policy = getCancellationPolicy(performance, stage);
+        }
+
+        setItems(saveCartItems(refreshedItems));
+        setItemStatus(status);
+      } catch (error) {
+        console.error("カートの確認エラー:", error);
+        setError(`カートの内容を確認できませんでした: ${error.message}`);
+      } finally {
+        setChecking(false);
+      }
+    };
+
+    checkCartItems();
+  }, [checkVersion]);
+
+  const grandTotal = items.reduce((sum, item) => sum + getReservationTotalPrice(item), 0);
+  const hasProblem = items.some((item) => itemStatus[item.id]?.problem);
+
+  /**
+   * カートから1件削除する処理
+   *
+   * @param {string} itemId - カートの1件分のID
+   */
+  const handleRemove = (itemId) => {
+    setItems(removeCartItem(itemId));
+    setError("");
+  };
+
+  /**
+   * 入力内容のバリデーション
+   *
+   * @returns {string} エラーメッセージ（問題が無ければ空文字）
+   */
+  const validateForm = () => {
+    if (items.length === 0) {
+      return "カートに公演日時がありません。";
+    }
+    if (hasProblem) {
+      return "予約できない公演日時があります。カートから削除してから予約してください。";
+    }
+    if (!name.trim()) {
+      return "氏名を入力してください。";
+    }
+    if (!email.trim()) {
+      return "メールアドレスを入力してください。";
+    }
+    if (!emailConfirm.trim()) {
+      return "メールアドレス（確認用）を入力してください。";
+    }
+    if (email.trim() !== emailConfirm.trim()) {
+      return "メールアドレスが一致しません。";
+    }
+    return "";
+  };
+
+  /**
+   * まとめて予約する処理
+   *
+   * @param {Event} e - フォーム送信イベント
+   *
+   * 処理の流れ：
+   * 1. バリデーション
+   * 2. 予約パスの受け取り（ボット対策。確認の質問が必要な場合は質問欄を表示して止める）
+   * 3. 予約ごとの内容（券種の枚数・座席・回答）をまとめる
+   * 4. 全ての予約と確認メール（1通）を Cloud Functions で保存（cancelToken・予約番号は関数が付ける）
+   * 5. カートを空にして予約完了ページへ遷移
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationError = validateForm();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+
+    try {
+      // 1つの予約パスで、カートの全ての予約を作成する
+      let reservationPassId;
+      try {
+        reservationPassId = await requestReservationPass({
+          email: email.trim(),
+          performanceIds: items.map((item) => item.performanceId),
+          honeypot,
+          formToken,
+          challenge: challenge ? { challengeId: challenge.challengeId, answer: challengeAnswer } : null,
+        });
+        setChallenge(null);
+        setChallengeAnswer("");
+      } catch (passError) {
+        if (
+          passError.code === BOT_PROTECTION_ERROR_CODES.CHALLENGE_REQUIRED ||
+          passError.code === BOT_PROTECTION_ERROR_CODES.REJECTED ||
+          passError.code === BOT_PROTECTION_ERROR_CODES.RATE_LIMITED
+        ) {
+          setChallenge(passError.challenge || null);
+          setChallengeAnswer("");
+          setError(passError.message);
+          return;
+        }
+        throw passError;
+      }
+
+      // cancelToken・予約番号は、関数が予約ごとに付ける（一部の公演だけキャンセルできるようにするため）
+      const reservations = await createReservations({
+        items: items.map((item) => {
+          const { id: _id, addedAt: _addedAt, ...selection } = item;
+          return {
+            performanceId: selection.performanceId,
+            stageId: selection.stageId,
+            reservationData: {
+              ...selection,
+              name: name.trim(),
+              email: email.trim(),
+              note: note.trim() || "",
+            },
+          };
+        }),
+        reservationPassId,
+      });
+
+      console.log("まとめて予約しました。ドキュメントID:", reservations.map((reservation) => reservation.id));
+      clearCart();
+
+      // 予約完了ページへ遷移（cancelTokenは電子チケットを受け取るために渡す）
+      navigate("/reserve-complete", {
+        state: {
+          reservations: reservations.map((reservation) => ({ ...reservation, reservationId: reservation.id })),
+        },
+      });
+    } catch (error) {
+      // どの公演日時で予約できなかったかを示し、残席を確認し直す
+      const failedItem = error.itemIndex !== undefined ? items[error.itemIndex] : null;
+      if (failedItem) {
+        const label = `${failedItem.performanceTitle || "公演"}（${failedItem.stageDate} ${failedItem.stageStart}）`;
+        const reason = error.code === RESERVATION_ERROR_CODES.SOLD_OUT
+          ? "ご予約の間に他のお客様の予約が入り、残席が不足しました。"
+          : error.code === RESERVATION_ERROR_CODES.SEAT_TAKEN
+          ? `選択した座席（${formatSeatLabels(error.unavailableSeats)}）は他のお客様が先に予約されました。予約ページで選び直してください。`
+          : error.code === RESERVATION_ERROR_CODES.SALES_CLOSED ||
+            error.code === RESERVATION_ERROR_CODES.PREPAYMENT_NOT_IN_CART
+          ? `${error.message}カートから削除してください。`
+          : error.message;
+        setError(`${label}を予約できなかったため、全ての予約を取りやめました。${reason}`);
+        setCheckVersion((version) => version + 1);
+        return;
+      }
+
+      console.error("予約の保存に失敗しました:", error);
+      setError(`予約の保存に失敗しました: ${error.message}`);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="cart-page">
+      <h1 className="cart-title">予約カート</h1>
+
+      {/* エラーメッセージ表示 */}
+      {error && (
+        <div className="error-message" style={{
+          backgroundColor: "#ffebee",
+          color: "#c62828",
+          padding: "12px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #ef5350"
+        }}>
+          {error}
+        </div>
+      )}
+
+      {items.length === 0 ? (
+        <div className="cart-empty">
+          <p>カートに公演日時がありません。</p>
+          <Link to="/stage-list">公演を探す</Link>
+        </div>
+      ) : (
+        <>
+          <p className="cart-description">
+            以下の公演日時をまとめて予約します。1件でも予約できない場合は、全ての予約を取りやめます。
+            <br />
+            ※カートに入れただけでは席は確保されません。
+          </p>
+
+          {/* カートの中身 */}
+          <ul className="cart-item-list">
+            {items.map((item) => {
+              const status = itemStatus[item.id];
+              return (
+                <li key={item.id} className="cart-item">
+                  <div className="cart-item-info">
+                    <p className="cart-item-title">{item.performanceTitle || "タイトル未設定"}</p>
+                    <p>{item.troupeName}</p>
+                    <p>日時：{item.stageDate} {item.stageStart}〜{item.stageEnd}</p>
+                    <p>会場：{item.venue}</p>
+                    <p>人数：{getReservationAttendeeCount(item)}名（{formatTicketBreakdown(item)}）</p>
+                    {item.seats?.length > 0 && <p>座席：{formatSeatLabels(item.seats)}</p>}
+                    {hasAccessibilityRequest(item) && (
+                      <p>配慮のご要望：{formatAccessibilityRequest(item) || item.accessibility.note}</p>
+                    )}
+                    <p>料金：{formatPrice(getReservationTotalPrice(item))}</p>
+                    {status?.policy?.deadline && (
+                      <p className="cart-item-deadline">
+                        キャンセル・変更の締め切り：{formatDateTime(status.policy.deadline)}
+                      </p>
+                    )}
+                    {status?.availableSeats !== undefined && !status.problem && (
+                      <p className="cart-item-available">残席：{status.availableSeats}席</p>
+                    )}
+                    {status?.problem && <p className="cart-item-problem">{status.problem}</p>}
+                  </div>
+                  <div className="cart-item-actions">
+                    <Link to={`/reserve/${item.performanceId}`}>変更する</Link>
+                    <button type="button" className="cart-remove-btn" onClick={() => handleRemove(item.id)}>
+                      削除
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+
+          <p className="cart-total">
+            お支払い合計：<strong>{formatPrice(grandTotal)}</strong>（{items.length}件）
+          </p>
+
+          {/* 予約者情報 */}
+          <form onSubmit={handleSubmit} className="cart-form">
+            <div className="cart-field">
+              <label className="cart-label">氏名</label>
+              <input
+                className="cart-input"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                required
+              />
+            </div>
+
+            <div className="cart-field">
+              <label className="cart-label">メールアドレス</label>
+              <input
+                className="cart-input"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+            </div>
+
+            <div className="cart-field">
+              <label className="cart-label">メールアドレス（確認用）</label>
+              <input
+                className="cart-input"
+                type="email"
+                value={emailConfirm}
+                onChange={(e) => setEmailConfirm(e.target.value)}
+                required
+              />
+              {email && emailConfirm && email !== emailConfirm && (
+                <p style={{ color: "#c62828", fontSize: "0.9em", marginTop: "4px" }}>
+                  メールアドレスが一致しません。
+                </p>
+              )}
+            </div>
+
+            <div className="cart-field">
+              <label className="cart-label">備考（任意）</label>
+              <textarea
+                className="cart-textarea"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+              />
+            </div>
+
+            {/* ハニーポット（ボット対策。人には見えない入力欄） */}
+            <div aria-hidden="true" style={{ position: "absolute", left: "-10000px", width: "1px", height: "1px", overflow: "hidden" }}>
+              <label>
+                ウェブサイト（入力しないでください）
+                <input
+                  type="text"
+                  name={HONEYPOT_FIELD_NAME}
+                  value={honeypot}
+                  onChange={(e) => setHoneypot(e.target.value)}
+                  tabIndex={-1}
+                  autoComplete="off"
+                />
+              </label>
+            </div>
+
+            {/* 確認の質問（短い時間に予約が続いた場合のみ表示） */}
+            {challenge && (
+              <div className="cart-field">
+                <label className="cart-label">確認の質問：{challenge.question}</label>
+                <input
+                  className="cart-input"
+                  type="number"
+                  value={challengeAnswer}
+                  onChange={(e) => setChallengeAnswer(e.target.value)}
+                />
+              </div>
+            )}
+
+            <button
+              type="submit"
+              className="cart-submit-btn"
+              disabled={isSubmitting || checking || hasProblem}
+            >
+              {isSubmitting
+                ? "予約処理中..."
+                : checking
+                ? "残席を確認中..."
+                : hasProblem
+                ? "予約できない公演日時があります"
+                : `${items.length}件をまとめて予約する`}
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+}
@@ -9,6 +9,7 @@
  * 主な機能：
  * 1. 観客向け：カレンダーページへのリンク
  * 2. 劇団向け：ログインページへのリンク
+ * 3. 予約済みの方向け：予約照会ページへのリンク
  */
 
 import { Link } from "react-router-dom";
@@ -53,6 +54,15 @@ export default function HomePage() {
           </p>
         </Link>
       </div>
+
+      {/* 予約照会ページへのリンク（予約確認メールを無くした方向け） */}
+      <p className="home-lookup-link">
+        <Link to="/reservation-lookup">予約番号で予約を照会する</Link>
+      </p>
+      {/* マイ予約へのリンク（メールのログイン用リンクで、予約を一覧で確認したい方向け） */}
+      <p className="home-lookup-link">
+        <Link to="/my-reservations">メールアドレスで予約の一覧を見る</Link>
+      </p>
     </div>
   );
 }
@@ -0,0 +1,356 @@
+/**
+ * ============================================
+ * MyReservationsPage.jsx - マイ予約（予約の一覧）ページ
+ * ============================================
+ *
+ * アカウントを持たない観客が、メールアドレスに届くログイン用リンクから、
+ * そのメールアドレスの予約（劇団・公演をまたいで全て）を一覧で確認するページです。
+ * URL：/my-reservations（ログイン用リンクは /my-reservations?link=...）
+ *
+ * 主な機能：
+ * 1. メールアドレスの入力と、ログイン用リンクの送信依頼（mailQueue でメールを送る）
+ * 2. ログイン用リンクを開いたときの、セッションの受け取り（リンクは1回だけ使える）
+ * 3. 予約の一覧（これからの公演・終わった公演）と、予約ごとの状態（キャンセル済み・お支払い待ちなど）の表示
+ * 4. 予約確認ページ・キャンセル/変更ページ・お支払いページへの案内
+ * 5. ログアウト
+ *
+ * なぜキャンセル・変更をこのページで行わないか：
+ * - 締め切り・返金ポリシー・キャンセル理由の入力など、既存のキャンセルページと同じ手続きにするため
+ *   （予約ごとの cancelToken で、キャンセルページを開く）
+ *
+ * 注意：
+ * - このページを使わなくても予約・キャンセルはできる（予約確認メールのリンクからも同じ手続きができる）
+ */
+
+import { useState, useEffect } from "react";
+import { useSearchParams, Link } from "react-router-dom";
+import {
+  requestMyReservationsLink,
+  openMyReservationsLink,
+  listMyReservations,
+  signOutMyReservations,
+  getMyReservationsSession,
+  MY_RESERVATIONS_ERROR_CODES,
+} from "../../services/myReservationsService";
+import {
+  formatTicketBreakdown,
+  getReservationAttendeeCount,
+  getReservationTotalPrice,
+} from "../../../functions/shared/ticketUtils.js";
+import { getStageStartDate } from "../../../functions/shared/deadlineUtils.js";
+import { isPaymentPending } from "../../../functions/shared/paymentUtils.js";
+import { formatRefundStatus } from "../../../functions/shared/refundUtils.js";
+import "./MyReservationsPage.css";
+
+/**
+ * 金額を表示用の文字列にする関数
+ *
+ * @param {number} price - 金額（円）
+ * @returns {string} 例："3,000円"（0円の場合は"無料"）
+ */
+function formatPrice(price) {
+  return price === 0 ? "無料" : `${price.toLocaleString("ja-JP")}円`;
+}
+
+/**
+ * 予約の状態の表示名を返す関数
+ *
+ * @param {Object} reservation - 予約データ（listMyReservations の1件）
+ * @returns {string} 例：「キャンセル済み」（有効な予約は空文字）
+ */
+function getStatusLabel(reservation) {
+  if (reservation.status === "cancelled") {
+    return reservation.cancelledByTroupe ? "公演中止" : "キャンセル済み";
+  }
+  if (isPaymentPending(reservation)) {
+    return "お支払い待ち";
+  }
+  return reservation.checkedIn ? "入場済み" : "";
+}
+
+/**
+ * これからの公演の予約かどうかを返す関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @param {Date} now - 現在日時
+ * @returns {boolean} 開演前ならtrue（日時が無い予約もtrue）
+ */
+function isUpcoming(reservation, now) {
+  const startDate = getStageStartDate({ date: reservation.stageDate, start: reservation.stageStart });
+  return !startDate || startDate >= now;
+}
+
+export default function MyReservationsPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const linkToken = searchParams.get("link");
+
+  // ============================================
+  // ログインの状態管理
+  // ============================================
+  const [session, setSession] = useState(() => getMyReservationsSession());
+  const [email, setEmail] = useState("");
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false); // ログイン用リンクを送ったかどうか
+  const [error, setError] = useState("");
+
+  // ============================================
+  // 予約の一覧の状態管理
+  // ============================================
+  const [reservations, setReservations] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  // ============================================
+  // ログイン用リンクを開いたときの処理
+  // ============================================
+  // なぜURLから ?link= を消すか：使用済みのリンクが履歴・ブックマークに残らないようにするため
+  useEffect(() => {
+    if (!linkToken) {
+      return;
+    }
+
+    const openLink = async () => {
+      try {
+        setLoading(true);
+        setError("");
+        setSession(await openMyReservationsLink(linkToken));
+      } catch (openError) {
+        if (openError.code === MY_RESERVATIONS_ERROR_CODES.LINK_INVALID) {
+          setError(openError.message);
+        } else {
+          console.error("ログイン用リンクの確認に失敗しました:", openError);
+          setError(`ログインに失敗しました: ${openError.message}`);
+        }
+      } finally {
+        setLoading(false);
+        setSearchParams({}, { replace: true });
+      }
+    };
+
+    openLink();
+  }, [linkToken, setSearchParams]);
+
+  // ============================================
+  // 予約の一覧の読み込み（ログイン中のみ）
+  // ============================================
+  useEffect(() => {
+    if (!session || linkToken) {
+      return;
+    }
+
+    const loadReservations = async () => {
+      try {
+        setLoading(true);
+        setError("");
+        setReservations(await listMyReservations(session.sessionToken));
+      } catch (loadError) {
+        if (loadError.code === MY_RESERVATIONS_ERROR_CODES.SESSION_EXPIRED) {
+          // メールアドレスの入力に戻す
+          setSession(null);
+          setError(loadError.message);
+        } else {
+          console.error("予約の一覧の取得に失敗しました:", loadError);
+          setError(`予約の一覧の取得に失敗しました: ${loadError.message}`);
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadReservations();
+  }, [session, linkToken]);
+
+  /**
+   * ログイン用リンクの送信処理
+   *
+   * @param {Event} e - フォーム送信イベント
+   */
+  const handleRequestLink = async (e) => {
+    e.preventDefault();
+
+    if (!email.trim()) {
+      setError("メールアドレスを入力してください。");
+      return;
+    }
+
+    setSending(true);
+    setError("");
+
+    try {
+      await requestMyReservationsLink(email);
+      setSent(true);
+    } catch (requestError) {
+      if (requestError.code === MY_RESERVATIONS_ERROR_CODES.RATE_LIMITED) {
+        setError(requestError.message);
+      } else {
+        console.error("ログイン用リンクの送信に失敗しました:", requestError);
+        setError(`ログイン用リンクの送信に失敗しました: ${requestError.message}`);
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  /**
+   * ログアウト処理
+   */
+  const handleSignOut = async () => {
+    const currentSession = session;
+    setSession(null);
+    setReservations([]);
+    setSent(false);
+    await signOutMyReservations(currentSession.sessionToken);
+  };
+
+  /**
+   * 予約1件分の表示
+   *
+   * @param {Object} reservation - 予約データ
+   * @param {boolean} upcoming - これからの公演か（キャンセル・変更の案内はこれからの公演のみ）
+   * @returns {JSX.Element}
+   */
+  const renderReservation = (reservation, upcoming) => {
+    const statusLabel = getStatusLabel(reservation);
+    const isCancelled = reservation.status === "cancelled";
+    const isPending = isPaymentPending(reservation);
+    return (
+      <li key={reservation.id} className={`my-reservation-item${isCancelled ? " my-reservation-item-cancelled" : ""}`}>
+        <div className="my-reservation-header">
+          <span className="my-reservation-date">
+            {reservation.stageDate} {reservation.stageStart}
+          </span>
+          {statusLabel && <span className="my-reservation-status">{statusLabel}</span>}
+        </div>
+        <p className="my-reservation-title">{reservation.performanceTitle || "タイトル未設定"}</p>
+        {reservation.troupeName && <p>劇団：{reservation.troupeName}</p>}
+        {reservation.venue && <p>会場：{reservation.venue}</p>}
+        <p>
+          人数：{getReservationAttendeeCount(reservation)}名（{formatTicketBreakdown(reservation)}）
+          ／ 料金：{formatPrice(getReservationTotalPrice(reservation))}
+        </p>
+        {reservation.confirmationCode && <p>予約番号：{reservation.confirmationCode}</p>}
+        {isCancelled && reservation.refundStatus && <p>返金：{formatRefundStatus(reservation)}</p>}
+
+        <div className="my-reservation-actions">
+          <Link to={`/reservation/${reservation.id}?token=${reservation.cancelToken}`} className="my-reservation-link">
+            {isCancelled || isPending ? "予約内容を見る" : "予約内容・電子チケット"}
+          </Link>
+          {upcoming && isPending && (
+            <Link to={`/payment?token=${reservation.cancelToken}`} className="my-reservation-link my-reservation-link-primary">
+              お支払いへ進む
+            </Link>
+          )}
+          {/* 締め切りの確認はキャンセルページで行う（締め切り後は劇団の連絡先を案内する） */}
+          {upcoming && !isCancelled && !isPending && (
+            <Link to={`/cancel?token=${reservation.cancelToken}`} className="my-reservation-link my-reservation-link-primary">
+              キャンセル・変更
+            </Link>
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  // ============================================
+  // ログイン前（メールアドレスの入力）
+  // ============================================
+  if (!session) {
+    return (
+      <div className="my-reservations-page">
+        <h1 className="my-reservations-title">予約の一覧（マイ予約）</h1>
+        <p className="my-reservations-description">
+          予約時のメールアドレスを入力すると、ログイン用のリンクをお送りします。
+          リンクを開くと、そのメールアドレスでご予約いただいた公演を一覧で確認でき、キャンセル・変更のお手続きもできます。
+          アカウントの登録は不要です（このページを使わなくても、予約確認メールのリンクから同じお手続きができます）。
+        </p>
+
+        {loading && <p>ログインしています...</p>}
+
+        {error && <p className="my-reservations-error">{error}</p>}
+
+        {sent ? (
+          <div className="my-reservations-sent">
+            <p>
+              {email} にご予約がある場合、ログイン用のリンクをお送りしました。
+              メールのリンクを30分以内に開いてください（リンクは1回だけ使えます）。
+            </p>
+            <button type="button" className="my-reservations-text-btn" onClick={() => setSent(false)}>
+              別のメールアドレスを入力する
+            </button>
+          </div>
+        ) : (
+          !loading && (
+            <form onSubmit={handleRequestLink} className="my-reservations-form">
+              <label htmlFor="my-reservations-email">メールアドレス</label>
+              <input
+                id="my-reservations-email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="example@example.com"
+              />
+              <button type="submit" className="my-reservations-submit-btn" disabled={sending}>
+                {sending ? "送信中..." : "ログイン用のリンクを送る"}
+              </button>
+            </form>
+          )
+        )}
+
+        <p className="my-reservations-footer">
+          <Link to="/reservation-lookup">予約番号で予約を照会する</Link>
+          <Link to="/">トップページに戻る</Link>
+        </p>
+      </div>
+    );
+  }
+
+  // ============================================
+  // ログイン中（予約の一覧）
+  // ============================================
+  const now = new Date();
+  const upcomingReservations = reservations.filter((reservation) => isUpcoming(reservation, now));
+  // 終わった公演は新しい順にする（最近観た公演を上にする）
+  const pastReservations = reservations.filter((reservation) => !isUpcoming(reservation, now)).reverse();
+
+  return (
+    <div className="my-reservations-page">
+      <h1 className="my-reservations-title">予約の一覧（マイ予約）</h1>
+      <div className="my-reservations-account">
+        <span>{session.email} でログイン中</span>
+        <button type="button" className="my-reservations-text-btn" onClick={handleSignOut}>
+          ログアウト
+        </button>
+      </div>
+
+      {error && <p className="my-reservations-error">{error}</p>}
+
+      {loading ? (
+        <p>読み込み中...</p>
+      ) : (
+        <>
+          <h2 className="my-reservations-section-title">これからの公演</h2>
+          {upcomingReservations.length === 0 ? (
+            <p className="my-reservations-empty">これからの公演のご予約はありません。</p>
+          ) : (
+            <ul className="my-reservation-list">
+              {upcomingReservations.map((reservation) => renderReservation(reservation, true))}
+            </ul>
+          )}
+
+          <h2 className="my-reservations-section-title">終わった公演</h2>
+          {pastReservations.length === 0 ? (
+            <p className="my-reservations-empty">終わった公演のご予約はありません。</p>
+          ) : (
+            <ul className="my-reservation-list">
+              {pastReservations.map((reservation) => renderReservation(reservation, false))}
+            </ul>
+          )}
+        </>
+      )}
+
+      <p className="my-reservations-footer">
+        <Link to="/calendar">公演を探す</Link>
+        <Link to="/">トップページに戻る</Link>
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,309 @@
+/**
+ * ============================================
+ * PaymentPage.jsx - お支払いページ（事前決済）
+ * ============================================
+ *
+ * 事前決済の公演を予約したお客様が、予約の後にお支払いをするためのページです。
+ *
+ * 主な機能：
+ * 1. URLパラメータの token（予約の cancelToken）で、お支払い待ちの予約を取得
+ * 2. お支払い金額と、お支払いの期限（カウントダウン）を表示
+ * 3. 決済サービスでのお支払い（成功したら予約完了ページへ。予約確認メールもこのときに送る）
+ * 4. お支払いをやめる（予約を取り消して席を空ける）
+ *
+ * なぜ予約ページと別のページにするか：
+ * - 再読み込みしても、URLからお支払い待ちの予約を開き直せるようにするため
+ *   （予約ページの入力内容は再読み込みで消えてしまう）
+ *
+ * 注意：
+ * - お支払いの期限を過ぎた予約は取り消される（席は他のお客様に回る）
+ */
+
+import { useState, useEffect } from "react";
+import { useSearchParams, useNavigate, Link } from "react-router-dom";
+import { db } from "../../firebase";
+import {
+  findReservationByToken,
+  releaseUnpaidReservation,
+  RESERVATION_ERROR_CODES,
+} from "../../services/reservationService";
+import { payForReservation, getPaymentProvider, PAYMENT_ERROR_CODES } from "../../services/paymentService";
+import { fakePaymentProvider, TEST_CARD_NUMBERS } from "../../services/fakePaymentProvider";
+import {
+  formatTicketBreakdown,
+  getReservationAttendeeCount,
+  getReservationTotalPrice,
+} from "../../../functions/shared/ticketUtils.js";
+import { formatSeatLabels } from "../../../functions/shared/seatMapUtils.js";
+import { formatHoldRemaining } from "../../../functions/shared/seatHoldUtils.js";
+import { PAYMENT_STATUSES, PAYMENT_STATUS_LABELS, isPaymentPending } from "../../../functions/shared/paymentUtils.js";
+import "./PaymentPage.css";
+
+export default function PaymentPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const navigate = useNavigate();
+
+  const [reservation, setReservation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // ============================================
+  // お支払い用の状態管理
+  // ============================================
+  const [cardNumber, setCardNumber] = useState("");     // カード番号（テスト用の決済サービスで使う）
+  const [paying, setPaying] = useState(false);          // お支払い処理中かどうか
+  const [releasing, setReleasing] = useState(false);    // お支払いをやめる処理中かどうか
+  const [released, setReleased] = useState(false);      // 予約を取り消したかどうか
+  const [now, setNow] = useState(() => Date.now());     // カウントダウン表示用の現在時刻
+
+  /**
+   * token（cancelToken）で予約を取得
+   */
+  useEffect(() => {
+    const loadReservation = async () => {
+      if (!db) {
+        setError("Firestoreが初期化されていません。");
+        setLoading(false);
+        return;
+      }
+      if (!token) {
+        setError("お支払いのリンクが正しくありません。");
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError("");
+
+        // 予約は画面から直接読めないため、cancelToken で Cloud Functions から受け取る
+        const reservationData = await findReservationByToken(token);
+        if (!reservationData) {
+          setError("予約が見つかりませんでした。リンクが無効か、既に削除された可能性があります。");
+          return;
+        }
+        setReservation(reservationData);
+      } catch (error) {
+        console.error("予約の取得に失敗しました:", error);
+        setError(`予約の取得に失敗しました: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadReservation();
+  }, [token]);
+
+  // ============================================
+  // お支払いの期限のカウントダウン（1秒ごとに更新）
+  // ============================================
+  const isPending = isPaymentPending(reservation);
+  useEffect(() => {
+    if (!isPending) {
+      return;
+    }
+    const timerId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timerId);
+  }, [isPending]);
+
+  const remainingMs = (Number(reservation?.paymentExpiresAt) || 0) - now;
+
+  /**
+   * お支払い処理
+   *
+   * なぜ期限を過ぎても送信できるようにするか：
+   * - 期限切れの予約がまだ取り消されていなければ、席は残っているのでお支払いを受け付けられるため
+   *   （取り消されていた場合は、決済サービス側の支払いも取り消して理由を表示する）
+   */
+  const handlePay = async (e) => {
+    e.preventDefault();
+    if (!reservation || paying) {
+      return;
+    }
+
+    setPaying(true);
+    setError("");
+
+    try {
+      const paidReservation = await payForReservation({
+        reservation,
+        paymentDetails: { cardNumber },
+      });
+      console.log("お支払いが完了しました。予約ID:", paidReservation.id);
+
+      // 予約完了ページへ遷移（予約ページから遷移する場合と同じ形で渡す）
+      // なぜ createdAt などを渡さないか：Firestoreの日時は画面の状態として保存できないため
+      // （cancelToken は、予約完了ページで電子チケットを受け取るために渡す）
+      const {
+        id: reservationId,
+        createdAt: _createdAt,
+        paidAt: _paidAt,
+        ...completedReservation
+      } = paidReservation;
+      navigate("/reserve-complete", {
+        state: { reservations: [{ ...completedReservation, reservationId }] },
+      });
+    } catch (error) {
+      if (error.code === PAYMENT_ERROR_CODES.DECLINED) {
+        setError(error.message);
+        return;
+      }
+      // 期限切れで予約が取り消されていた場合は、予約からやり直してもらう
+      if (error.code === RESERVATION_ERROR_CODES.PAYMENT_EXPIRED) {
+        setReservation((current) => ({ ...current, status: "cancelled", paymentStatus: PAYMENT_STATUSES.EXPIRED }));
+        setError(error.message);
+        return;
+      }
+      console.error("お支払いに失敗しました:", error);
+      setError(`お支払いに失敗しました: ${error.message}`);
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  /**
+   * お支払いをやめる処理（予約を取り消して、席を他のお客様に回す）
+   */
+  const handleRelease = async () => {
+    if (!reservation) {
+      return;
+    }
+    const confirmed = window.confirm("お支払いをやめて、この予約を取り消しますか？");
+    if (!confirmed) {
+      return;
+    }
+
+    setReleasing(true);
+    setError("");
+
+    try {
+      await releaseUnpaidReservation(reservation.id, { cancelToken: token });
+      setReleased(true);
+      setReservation((current) => ({ ...current, status: "cancelled", paymentStatus: PAYMENT_STATUSES.CANCELLED }));
+    } catch (error) {
+      console.error("予約の取り消しに失敗しました:", error);
+      setError(`予約の取り消しに失敗しました: ${error.message}`);
+    } finally {
+      setReleasing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="payment-page">
+        <p>読み込み中...</p>
+      </div>
+    );
+  }
+
+  if (!reservation) {
+    return (
+      <div className="payment-page">
+        <h1 className="payment-title">お支払い</h1>
+        <p className="payment-error">{error}</p>
+        <Link to="/" className="payment-home-link">トップページに戻る</Link>
+      </div>
+    );
+  }
+
+  // テスト用の決済サービスの場合のみ、テスト用のカード番号を案内する
+  let provider = null;
+  try {
+    provider = getPaymentProvider();
+  } catch (providerError) {
+    console.error(providerError);
+  }
+  const isFakeProvider = provider?.id === fakePaymentProvider.id;
+
+  return (
+    <div className="payment-page">
+      <h1 className="payment-title">お支払い</h1>
+
+      {/* 予約内容 */}
+      <div className="payment-summary-box">
+        {reservation.confirmationCode && (
+          <p><strong>予約番号：</strong>{reservation.confirmationCode}</p>
+        )}
+        <p><strong>公演名：</strong>{reservation.performanceTitle || "タイトル未設定"}</p>
+        <p><strong>日時：</strong>{reservation.stageDate} {reservation.stageStart}</p>
+        {reservation.venue && <p><strong>会場：</strong>{reservation.venue}</p>}
+        <p>
+          <strong>人数：</strong>
+          {getReservationAttendeeCount(reservation)}名（{formatTicketBreakdown(reservation)}）
+        </p>
+        {reservation.seats?.length > 0 && (
+          <p><strong>座席：</strong>{formatSeatLabels(reservation.seats)}</p>
+        )}
+        <p className="payment-amount">
+          <strong>お支払い金額：</strong>{getReservationTotalPrice(reservation).toLocaleString("ja-JP")}円
+        </p>
+      </div>
+
+      {error && <p className="payment-error">{error}</p>}
+
+      {isPending ? (
+        <form onSubmit={handlePay} className="payment-form">
+          {/* お支払いの期限（過ぎると予約が取り消される） */}
+          <p className={remainingMs > 0 ? "payment-deadline" : "payment-deadline payment-deadline-expired"}>
+            {remainingMs > 0
+              ? `あと ${formatHoldRemaining(remainingMs)} 以内にお支払いください。期限を過ぎると予約は取り消されます。`
+              : "お支払いの期限を過ぎました。予約が取り消されていなければ、このままお支払いいただけます。"}
+          </p>
+
+          <div className="payment-field">
+            <label htmlFor="payment-card-number">カード番号</label>
+            <input
+              id="payment-card-number"
+              type="text"
+              inputMode="numeric"
+              autoComplete="cc-number"
+              value={cardNumber}
+              onChange={(e) => setCardNumber(e.target.value)}
+              placeholder="1234 5678 9012 3456"
+            />
+          </div>
+          {isFakeProvider && (
+            <p className="payment-test-note">
+              {fakePaymentProvider.label}：成功するカード {TEST_CARD_NUMBERS.SUCCESS}、
+              失敗するカード {TEST_CARD_NUMBERS.DECLINED}
+            </p>
+          )}
+
+          <button type="submit" className="payment-submit-btn" disabled={paying || releasing || !provider}>
+            {paying ? "お支払い処理中..." : "お支払いを確定する"}
+          </button>
+          <button
+            type="button"
+            className="payment-release-btn"
+            onClick={handleRelease}
+            disabled={paying || releasing}
+          >
+            {releasing ? "取り消し中..." : "お支払いをやめて予約を取り消す"}
+          </button>
+        </form>
+      ) : (
+        <div className="payment-status-box">
+          {released ? (
+            <p>予約を取り消しました。またのご予約をお待ちしております。</p>
+          ) : reservation.status === "cancelled" ? (
+            <p>
+              この予約は取り消されています
+              {reservation.paymentStatus ? `（${PAYMENT_STATUS_LABELS[reservation.paymentStatus] || reservation.paymentStatus}）` : ""}。
+              お手数ですが、もう一度ご予約ください。
+            </p>
+          ) : (
+            <p>この予約はお支払い済みです。予約確認メールをご確認ください。</p>
+          )}
+          {reservation.performanceId && reservation.status === "cancelled" && (
+            <Link to={`/reserve/${reservation.performanceId}`} className="payment-retry-link">
+              予約ページへ戻る
+            </Link>
+          )}
+        </div>
+      )}
+
+      <Link to="/" className="payment-home-link">トップページに戻る</Link>
+    </div>
+  );
+}
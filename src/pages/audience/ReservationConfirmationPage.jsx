@@ -0,0 +1,285 @@
+/**
+ * ============================================
+ * ReservationConfirmationPage.jsx - 予約確認ページ
+ * ============================================
+ *
+ * 予約ID と cancelToken をURLに含めた、予約内容の確認ページです。
+ * URL：/reservation/:reservationId?token=...
+ *
+ * 主な機能：
+ * 1. URLの予約ID と cancelToken で、Cloud Functions から予約を読み込む（cancelToken が違う場合は表示しない）
+ * 2. 予約内容の表示（日時・会場と住所・人数・料金の合計・予約番号など）
+ * 3. 電子チケット（QRコード）と、カレンダーに追加するファイル（.ics）のダウンロード
+ * 4. キャンセル・変更の締め切りの表示と、キャンセル・変更ページへの案内
+ * 5. キャンセル済み（劇団による中止を含む）・お支払い待ちの予約の表示
+ *
+ * なぜ予約完了ページとは別のページにするか：
+ * - 予約完了ページは遷移時の状態（location.state）だけで表示するため、
+ *   再読み込み・ブックマーク・別の端末では何も表示されないから
+ * - このページは毎回予約を読み込み直すため、後からキャンセル・変更された場合も最新の内容を表示できる
+ */
+
+import { useState, useEffect } from "react";
+import { useParams, useSearchParams, Link } from "react-router-dom";
+import { doc, getDoc } from "firebase/firestore";
+import { db } from "../../firebase";
+import { findReservationByIdAndToken } from "../../services/reservationService";
+import { fetchTicketCodes } from "../../services/ticketService";
+import TicketQrCode from "../../components/TicketQrCode";
+import { findStageById } from "../../../functions/shared/stageUtils.js";
+import {
+  formatTicketBreakdown,
+  getReservationAttendeeCount,
+  getReservationTotalPrice,
+} from "../../../functions/shared/ticketUtils.js";
+import { formatSeatLabels } from "../../../functions/shared/seatMapUtils.js";
+import { hasAccessibilityRequest, formatAccessibilityRequest } from "../../../functions/shared/accessibilityUtils.js";
+import {
+  getReservationDeadline,
+  getCancellationPolicyText,
+  isBeforeDeadline,
+  formatDateTime,
+} from "../../../functions/shared/deadlineUtils.js";
+import { formatPaymentStatus, isPaymentPending } from "../../../functions/shared/paymentUtils.js";
+import { formatRefundStatus } from "../../../functions/shared/refundUtils.js";
+import { downloadReservationIcs } from "../../utils/icsUtils";
+import { buildCancelUrl } from "../../utils/mailRequests";
+import "./ReservationConfirmationPage.css";
+
+/**
+ * 金額を表示用の文字列にする関数
+ *
+ * @param {number} price - 金額（円）
+ * @returns {string} 例："3,000円"（0円の場合は"無料"）
+ */
+function formatPrice(price) {
+  return price === 0 ? "無料" : `${price.toLocaleString("ja-JP")}円`;
+}
+
+export default function ReservationConfirmationPage() {
+  const { reservationId } = useParams();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  // ============================================
+  // 予約と公演の状態管理
+  // ============================================
+  const [reservation, setReservation] = useState(null);
+  const [performance, setPerformance] = useState(null); // 住所・締め切りの表示に使う（取得できなくても予約は表示する）
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // ============================================
+  // 電子チケット（有効な予約のみ）
+  // ============================================
+  const [ticketCode, setTicketCode] = useState("");
+  const [ticketError, setTicketError] = useState("");
+
+  useEffect(() => {
+    const loadReservation = async () => {
+      if (!token) {
+        setError("予約確認ページのURLが正しくありません。予約確認メールのリンクからもう一度開いてください。");
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError("");
+
+        const found = await findReservationByIdAndToken(reservationId, token);
+        if (!found) {
+          setError("予約が見つかりませんでした。URLが正しいかご確認ください。");
+          return;
+        }
+        setReservation(found);
+
+        // 公演情報を取得（予約に住所が無い以前の予約と、締め切りの表示に使う）
+        if (found.performanceId) {
+          try {
+            const performanceSnap = await getDoc(doc(db, "performances", found.performanceId));
+            if (performanceSnap.exists()) {
+              setPerformance(performanceSnap.data());
+            }
+          } catch (perfError) {
+            console.warn("公演情報の取得に失敗しました:", perfError);
+          }
+        }
+
+        // チケットコードは、キャンセル済み・お支払い待ちの予約には発行されないため、有効な予約のみ受け取る
+        if (found.status !== "cancelled" && !isPaymentPending(found)) {
+          try {
+            const codes = await fetchTicketCodes([{ reservationId: found.id, cancelToken: found.cancelToken }]);
+            setTicketCode(codes[found.id] || "");
+          } catch (ticketLoadError) {
+            console.error("チケットの取得に失敗しました:", ticketLoadError);
+            setTicketError("チケットを表示できませんでした。予約確認メールに載っているQRコードをご利用ください。");
+          }
+        }
+      } catch (loadError) {
+        console.error("予約データの取得エラー:", loadError);
+        setError(`予約データの取得に失敗しました: ${loadError.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadReservation();
+  }, [reservationId, token]);
+
+  if (loading) {
+    return (
+      <div className="reservation-confirmation-page">
+        <p>読み込み中...</p>
+      </div>
+    );
+  }
+
+  if (!reservation) {
+    return (
+      <div className="reservation-confirmation-page">
+        <h1 className="confirmation-title">予約内容の確認</h1>
+        <p className="confirmation-error">{error}</p>
+        <p className="confirmation-description">
+          予約番号とメールアドレスがわかる場合は、予約の照会からも確認できます。
+        </p>
+        <div className="confirmation-links">
+          <Link to="/reservation-lookup" className="confirmation-secondary-link">予約を照会する</Link>
+          <Link to="/" className="confirmation-secondary-link">トップページに戻る</Link>
+        </div>
+      </div>
+    );
+  }
+
+  const isCancelled = reservation.status === "cancelled";
+  const isPending = isPaymentPending(reservation);
+  const stage = performance ? findStageById(performance.stages, reservation.stageId) : null;
+  const deadline = performance && stage ? getReservationDeadline(performance, stage) : null;
+  const isDeadlinePassed = !isBeforeDeadline(deadline);
+  // 住所は予約に保存したもの（予約した時点の住所）を優先し、以前の予約は公演の住所を使う
+  const address = reservation.address || performance?.address || "";
+  const stageEnd = reservation.stageEnd || stage?.end || "";
+
+  return (
+    <div className="reservation-confirmation-page">
+      <h1 className="confirmation-title">予約内容の確認</h1>
+      <p className="confirmation-description">
+        このページはブックマークしておくと、いつでも予約内容と電子チケットを確認できます。
+        URLには予約者様専用の情報が含まれるため、他の方に共有しないようご注意ください。
+      </p>
+
+      {/* キャンセル済みの場合（お客様のキャンセル・劇団による中止） */}
+      {isCancelled && (
+        <div className="confirmation-status confirmation-status-cancelled">
+          <p className="confirmation-status-title">キャンセル済み</p>
+          <p>
+            {reservation.cancelledByTroupe
+              ? "この公演は中止となったため、予約は取り消されました。"
+              : "この予約はキャンセルされています。"}
+          </p>
+          {reservation.refundStatus && <p>返金：{formatRefundStatus(reservation)}</p>}
+        </div>
+      )}
+
+      {/* お支払い待ちの場合は、予約はまだ確定していないのでお支払いページを案内する */}
+      {!isCancelled && isPending && (
+        <div className="confirmation-status confirmation-status-pending">
+          <p className="confirmation-status-title">お支払い待ち</p>
+          <p>お支払いが済むと予約が確定し、電子チケットが表示されます。</p>
+          <Link to={`/payment?token=${reservation.cancelToken}`} className="confirmation-primary-link">
+            お支払いページへ進む
+          </Link>
+        </div>
+      )}
+
+      {/* 予約内容 */}
+      <div className="confirmation-box">
+        {reservation.confirmationCode && (
+          <p className="confirmation-code">
+            <strong>予約番号：</strong>{reservation.confirmationCode}
+          </p>
+        )}
+        <p><strong>公演名：</strong>{reservation.performanceTitle || performance?.title || "タイトル未設定"}</p>
+        {reservation.troupeName && <p><strong>劇団：</strong>{reservation.troupeName}</p>}
+        <p>
+          <strong>日時：</strong>
+          {reservation.stageDate} {reservation.stageStart}{stageEnd ? `〜${stageEnd}` : ""}
+        </p>
+        {reservation.venue && <p><strong>会場：</strong>{reservation.venue}</p>}
+        {address && <p><strong>住所：</strong>{address}</p>}
+        <p><strong>予約者名：</strong>{reservation.name}</p>
+        <p>
+          <strong>人数：</strong>
+          {getReservationAttendeeCount(reservation)}名（{formatTicketBreakdown(reservation)}）
+        </p>
+        {reservation.seats?.length > 0 && (
+          <p><strong>座席：</strong>{formatSeatLabels(reservation.seats)}</p>
+        )}
+        {hasAccessibilityRequest(reservation) && (
+          <p>
+            <strong>配慮のご要望：</strong>
+            {[formatAccessibilityRequest(reservation), reservation.accessibility.note].filter(Boolean).join(" / ")}
+          </p>
+        )}
+        {reservation.promoCode && (
+          <p>
+            <strong>割引コード：</strong>
+            {reservation.promoCode}（-{formatPrice(Number(reservation.discountAmount) || 0)}）
+          </p>
+        )}
+        <p><strong>合計金額：</strong>{formatPrice(getReservationTotalPrice(reservation))}</p>
+        {reservation.paymentStatus && <p><strong>お支払い：</strong>{formatPaymentStatus(reservation)}</p>}
+        {reservation.note && <p><strong>備考：</strong>{reservation.note}</p>}
+        {reservation.checkedIn && <p><strong>受付：</strong>入場済み</p>}
+
+        {/* 有効な予約のみ、カレンダーへの追加と電子チケットを表示する */}
+        {!isCancelled && !isPending && (
+          <>
+            {reservation.stageDate && (
+              <button
+                type="button"
+                className="confirmation-calendar-add-btn"
+                onClick={() => downloadReservationIcs(reservation, { cancelUrl: buildCancelUrl(reservation.cancelToken) })}
+              >
+                カレンダーに追加（.ics）
+              </button>
+            )}
+            <div className="confirmation-ticket">
+              <p><strong>電子チケット</strong></p>
+              {ticketCode ? (
+                <TicketQrCode code={ticketCode} />
+              ) : (
+                <p className="confirmation-ticket-note">
+                  {ticketError || "チケットは予約確認メールでお送りしています。"}
+                </p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* キャンセル・変更の案内（有効な予約のみ。手続きはキャンセルページで行う） */}
+      {!isCancelled && !isPending && (
+        <div className="confirmation-box">
+          <p><strong>キャンセル・変更について</strong></p>
+          {deadline && <p>締め切り：{formatDateTime(deadline)}</p>}
+          {performance && <p className="confirmation-policy">{getCancellationPolicyText(performance)}</p>}
+          {isDeadlinePassed ? (
+            <p className="confirmation-policy">
+              締め切りを過ぎたため、このページからはキャンセル・変更できません。劇団に直接お問い合わせください。
+            </p>
+          ) : (
+            <Link to={`/cancel?token=${reservation.cancelToken}`} className="confirmation-primary-link">
+              キャンセル・変更の手続きへ
+            </Link>
+          )}
+        </div>
+      )}
+
+      <div className="confirmation-links">
+        <Link to="/reservation-lookup" className="confirmation-secondary-link">予約を照会する</Link>
+        <Link to="/" className="confirmation-secondary-link">トップページに戻る</Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,230 @@
+/**
+ * ============================================
+ * ReservationLookupPage.jsx - 予約照会ページ
+ * ============================================
+ *
+ * 観客がメールアドレスと予約番号（例："TR-7K3Q-92"）で自分の予約を確認するためのページです。
+ *
+ * 主な機能：
+ * 1. メールアドレスと予約番号で予約を検索
+ * 2. 予約内容を表示（キャンセル済みの場合は「キャンセル済み」と表示）
+ * 3. 予約確認メールの再送（メールが届かない・削除してしまった場合）
+ * 4. キャンセル・変更ページへの案内（締め切りや理由の入力はキャンセルページで行う）
+ * 5. 事前決済の予約の支払い状況の表示（お支払い待ちの場合はお支払いページへ案内する）
+ * 6. 予約確認ページ（電子チケット・カレンダーへの追加。ブックマークできる）への案内
+ *
+ * なぜ予約番号で照会できるようにするか：
+ * - 予約確認メールを無くした方でも、受付や電話で伝えた予約番号から予約を確認できるようにするため
+ */
+
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  findReservationByConfirmationCode,
+  resendReservationConfirmation,
+} from "../../services/reservationService";
+import {
+  formatTicketBreakdown,
+  getReservationAttendeeCount,
+  getReservationTotalPrice,
+} from "../../../functions/shared/ticketUtils.js";
+import { formatSeatLabels } from "../../../functions/shared/seatMapUtils.js";
+import { formatPaymentStatus, isPaymentPending } from "../../../functions/shared/paymentUtils.js";
+import { formatRefundStatus } from "../../../functions/shared/refundUtils.js";
+import "./ReservationLookupPage.css";
+
+export default function ReservationLookupPage() {
+  // ============================================
+  // 検索フォームの状態管理
+  // ============================================
+  const [email, setEmail] = useState("");                       // 予約時のメールアドレス
+  const [confirmationCode, setConfirmationCode] = useState(""); // 予約番号
+  const [searching, setSearching] = useState(false);            // 検索中かどうか
+  const [error, setError] = useState("");
+
+  // ============================================
+  // 検索結果の状態管理
+  // ============================================
+  const [reservation, setReservation] = useState(null);         // 見つかった予約
+  const [resending, setResending] = useState(false);            // メールの再送中かどうか
+  const [resent, setResent] = useState(false);                  // メールを再送したかどうか
+
+  /**
+   * 予約の検索処理
+   *
+   * @param {Event} e - フォーム送信イベント
+   *
+   * 注意：
+   * - 見つからない場合は「番号が違う」「メールアドレスが違う」を区別せずに伝える
+   *   （他の方の予約番号を探れないようにするため）
+   */
+  const handleSearch = async (e) => {
+    e.preventDefault();
+
+    if (!email.trim() || !confirmationCode.trim()) {
+      setError("メールアドレスと予約番号を入力してください。");
+      return;
+    }
+
+    setSearching(true);
+    setError("");
+    setReservation(null);
+    setResent(false);
+
+    try {
+      const found = await findReservationByConfirmationCode({ email, confirmationCode });
+      if (!found) {
+        setError("予約が見つかりませんでした。メールアドレスと予約番号をご確認ください。");
+        return;
+      }
+      setReservation(found);
+    } catch (error) {
+      console.error("予約の照会に失敗しました:", error);
+      setError(`予約の照会に失敗しました: ${error.message}`);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  /**
+   * 予約確認メールの再送処理
+   *
+   * なぜ1回だけにするか：
+   * - ボタンの連打で同じメールが何通も届かないようにするため（もう一度送る場合は検索し直す）
+   */
+  const handleResend = async () => {
+    if (!reservation || resent) {
+      return;
+    }
+
+    setResending(true);
+    setError("");
+
+    try {
+      await resendReservationConfirmation(reservation);
+      setResent(true);
+    } catch (error) {
+      console.error("予約確認メールの再送に失敗しました:", error);
+      setError(`予約確認メールの再送に失敗しました: ${error.message}`);
+    } finally {
+      setResending(false);
+    }
+  };
+
+  const isCancelled = reservation?.status === "cancelled";
+  const isPending = isPaymentPending(reservation);
+
+  return (
+    <div className="reservation-lookup-page">
+      <h1 className="lookup-title">予約の照会</h1>
+      <p className="lookup-description">
+        予約時のメールアドレスと、予約確認メールに記載の予約番号（例：TR-7K3Q-92）を入力してください。
+      </p>
+
+      {/* 検索フォーム */}
+      <form onSubmit={handleSearch} className="lookup-form">
+        <div className="lookup-field">
+          <label htmlFor="lookup-email">メールアドレス</label>
+          <input
+            id="lookup-email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="example@example.com"
+          />
+        </div>
+        <div className="lookup-field">
+          <label htmlFor="lookup-code">予約番号</label>
+          <input
+            id="lookup-code"
+            type="text"
+            value={confirmationCode}
+            onChange={(e) => setConfirmationCode(e.target.value)}
+            placeholder="TR-XXXX-XX"
+            autoCapitalize="characters"
+          />
+        </div>
+        <button type="submit" className="lookup-submit-btn" disabled={searching}>
+          {searching ? "検索中..." : "予約を照会する"}
+        </button>
+      </form>
+
+      {/* エラーメッセージ */}
+      {error && (
+        <p style={{ color: "#c62828", marginBottom: "16px" }}>{error}</p>
+      )}
+
+      {/* 検索結果 */}
+      {reservation && (
+        <div className="lookup-result-box">
+          {isCancelled && (
+            <p className="lookup-cancelled-badge">この予約はキャンセル済みです</p>
+          )}
+          <p><strong>予約番号：</strong>{reservation.confirmationCode}</p>
+          <p><strong>公演名：</strong>{reservation.performanceTitle || "タイトル未設定"}</p>
+          {reservation.troupeName && <p><strong>劇団：</strong>{reservation.troupeName}</p>}
+          <p><strong>日時：</strong>{reservation.stageDate} {reservation.stageStart}</p>
+          {reservation.venue && <p><strong>会場：</strong>{reservation.venue}</p>}
+          <p><strong>予約者名：</strong>{reservation.name}</p>
+          <p>
+            <strong>人数：</strong>
+            {getReservationAttendeeCount(reservation)}名（{formatTicketBreakdown(reservation)}）
+          </p>
+          {reservation.seats?.length > 0 && (
+            <p><strong>座席：</strong>{formatSeatLabels(reservation.seats)}</p>
+          )}
+          <p>
+            <strong>料金：</strong>
+            {getReservationTotalPrice(reservation) === 0
+              ? "無料"
+              : `${getReservationTotalPrice(reservation).toLocaleString("ja-JP")}円`}
+          </p>
+          {reservation.paymentStatus && <p><strong>お支払い：</strong>{formatPaymentStatus(reservation)}</p>}
+          {reservation.refundStatus && <p><strong>返金：</strong>{formatRefundStatus(reservation)}</p>}
+
+          {/* お支払い待ちの予約は、予約確認メールをまだ送っていないので、お支払いページを案内する */}
+          {isPending && (
+            <div className="lookup-actions">
+              <Link to={`/payment?token=${reservation.cancelToken}`} className="lookup-cancel-link">
+                お支払いページへ進む
+              </Link>
+            </div>
+          )}
+
+          {/* 有効な予約のみ、メールの再送とキャンセル・変更を案内する */}
+          {!isCancelled && !isPending && (
+            <div className="lookup-actions">
+              <button
+                type="button"
+                className="lookup-resend-btn"
+                onClick={handleResend}
+                disabled={resending || resent}
+              >
+                {resending ? "送信中..." : resent ? "予約確認メールを再送しました" : "予約確認メールを再送する"}
+              </button>
+              <Link to={`/cancel?token=${reservation.cancelToken}`} className="lookup-cancel-link">
+                キャンセル・変更の手続きへ
+              </Link>
+              {/* 電子チケット・カレンダーへの追加は予約確認ページで行う（ブックマークもできる） */}
+              <Link
+                to={`/reservation/${reservation.id}?token=${reservation.cancelToken}`}
+                className="lookup-resend-btn lookup-page-link"
+              >
+                電子チケット・予約確認ページを開く
+              </Link>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* 予約番号がわからない方・複数の予約をまとめて確認したい方向け */}
+      <p className="lookup-description">
+        予約番号がわからない場合は、<Link to="/my-reservations">メールアドレスで予約の一覧を見る</Link>こともできます。
+      </p>
+
+      <Link to="/" className="lookup-home-link">
+        トップページに戻る
+      </Link>
+    </div>
+  );
+}
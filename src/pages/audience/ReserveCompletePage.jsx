@@ -1,17 +1,80 @@
 // ============================================
 // ReserveCompletePage.jsx（予約完了ページ）
 // ============================================
+//
+// 予約フォーム（1件）とカートページ（まとめて予約）のどちらから来ても、
+// 遷移時に渡された予約の配列（location.state.reservations）を一覧で表示する。
+//
+// 予約ごとに電子チケット（QRコード）も表示する。
+// チケットコードは Cloud Functions でしか作れないため、予約ID と cancelToken を渡して受け取る。
+// 予約した公演日時をカレンダーに追加するファイル（.ics）もダウンロードできる。
+//
+// このページの内容は遷移時の状態だけで表示するため、再読み込みすると消えてしまう。
+// 後から見返せるように、予約ごとに予約確認ページ（/reservation/:reservationId?token=...）へのリンクを出す。
 
+import { useState, useEffect } from "react";
 import { useLocation, Link } from "react-router-dom";
-import { mockEvents } from "../../mock/MockEvents";
+import {
+  formatTicketBreakdown,
+  getReservationAttendeeCount,
+  getReservationTotalPrice,
+} from "../../../functions/shared/ticketUtils.js";
+import { formatSeatLabels } from "../../../functions/shared/seatMapUtils.js";
+import { PAYMENT_STATUSES } from "../../../functions/shared/paymentUtils.js";
+import { fetchTicketCodes } from "../../services/ticketService";
+import TicketQrCode from "../../components/TicketQrCode";
+import { downloadReservationIcs } from "../../utils/icsUtils";
+import { buildCancelUrl } from "../../utils/mailRequests";
 import "./ReserveCompletePage.css";
 
+/**
+ * 金額を表示用の文字列にする関数
+ *
+ * @param {number} price - 金額（円）
+ * @returns {string} 例："3,000円"（0円の場合は"無料"）
+ */
+function formatPrice(price) {
+  return price === 0 ? "無料" : `${price.toLocaleString("ja-JP")}円`;
+}
+
 export default function ReserveCompletePage() {
   const location = useLocation();
-  const reservationData = location.state?.reservationData;
+  // 以前の形式（reservationData 1件）で渡された場合も表示できるように配列にそろえる
+  const reservations = location.state?.reservations
+    || (location.state?.reservationData ? [location.state.reservationData] : []);
+
+  // ============================================
+  // 電子チケット（予約ID -> チケットコード）
+  // ============================================
+  const [ticketCodes, setTicketCodes] = useState({});
+  const [ticketLoading, setTicketLoading] = useState(true);
+  const [ticketError, setTicketError] = useState("");
+
+  useEffect(() => {
+    const loadTicketCodes = async () => {
+      const ticketRequests = (location.state?.reservations || [])
+        .filter((reservation) => reservation.reservationId && reservation.cancelToken)
+        .map(({ reservationId, cancelToken }) => ({ reservationId, cancelToken }));
+      if (ticketRequests.length === 0) {
+        setTicketLoading(false);
+        return;
+      }
+      try {
+        setTicketCodes(await fetchTicketCodes(ticketRequests));
+      } catch (error) {
+        // チケットが表示できなくても予約は完了しているため、案内だけ出す（確認メールにもチケットが載る）
+        console.error("チケットの取得に失敗しました:", error);
+        setTicketError("チケットを表示できませんでした。予約確認メールに載っているQRコードをご利用ください。");
+      } finally {
+        setTicketLoading(false);
+      }
+    };
+
+    loadTicketCodes();
+  }, [location.state]);
 
   // 予約データがない場合はトップページにリダイレクト
-  if (!reservationData) {
+  if (reservations.length === 0) {
     return (
       <div className="reserve-complete-page">
         <h1 className="complete-title">予約情報が見つかりません</h1>
@@ -22,8 +85,11 @@ export default function ReserveCompletePage() {
     );
   }
 
-  const { stageId, name, email, people, note } = reservationData;
-  const event = mockEvents.find((ev) => ev.id === Number(stageId));
+  const { name, email, note } = reservations[0];
+  const grandTotal = reservations.reduce(
+    (sum, reservation) => sum + getReservationTotalPrice(reservation),
+    0
+  );
 
   return (
     <div className="reserve-complete-page">
@@ -32,7 +98,7 @@ export default function ReserveCompletePage() {
       <p className="complete-message">
         ご予約ありがとうございます。予約内容を確認してください。
       </p>
-      
+
       {/* メール送信についての案内 */}
       <div style={{
         marginTop: "20px",
@@ -44,27 +110,101 @@ export default function ReserveCompletePage() {
       }}>
         <p style={{ margin: 0, lineHeight: "1.6", color: "#1565c0" }}>
           入力したメールアドレス宛に予約内容をお送りします。<br />
+          当日は受付で、下の電子チケット（QRコード）をご提示ください（予約確認メールにも同じチケットが載っています）。<br />
+          QRコードを表示できない場合は、予約番号を受付でお伝えください（お問い合わせの際も予約番号をお伝えください）。<br />
+          このページは再読み込みすると表示されなくなります。後から確認する場合は「予約確認ページを開く」からブックマークしてください。<br />
           キャンセルをご希望の場合は、メール内のキャンセルリンクからお手続きください。
+          {reservations.length > 1 && (
+            <>
+              <br />
+              キャンセルリンクは予約ごとに分かれているため、一部の公演だけキャンセルすることもできます。
+            </>
+          )}
         </p>
       </div>
 
-      {event && (
-        <div className="complete-summary-box">
-          <p><strong>公演名：</strong>{event.title}</p>
-          <p><strong>劇団：</strong>{event.troupe}</p>
-          <p><strong>日時：</strong>{event.date} {event.time}</p>
-          <p><strong>会場：</strong>{event.venue}</p>
-          <p><strong>料金：</strong>{event.price === 0 ? "無料" : `${event.price} 円`}</p>
-          <p><strong>予約者名：</strong>{name}</p>
-          <p><strong>メールアドレス：</strong>{email}</p>
-          <p><strong>人数：</strong>{people}名</p>
-          {note && <p><strong>備考：</strong>{note}</p>}
+      {/* 予約ごとの内容 */}
+      {reservations.map((reservation, index) => (
+        <div className="complete-summary-box" key={reservation.reservationId || index}>
+          {reservations.length > 1 && <p><strong>{index + 1}件目</strong></p>}
+          {/* 予約番号（受付・お問い合わせのときに伝えていただく番号） */}
+          {reservation.confirmationCode && (
+            <p className="complete-confirmation-code">
+              <strong>予約番号：</strong>{reservation.confirmationCode}
+            </p>
+          )}
+          <p><strong>公演名：</strong>{reservation.performanceTitle || "タイトル未設定"}</p>
+          {reservation.troupeName && <p><strong>劇団：</strong>{reservation.troupeName}</p>}
+          {reservation.stageDate && (
+            <p><strong>日時：</strong>{reservation.stageDate} {reservation.stageStart}</p>
+          )}
+          {reservation.venue && <p><strong>会場：</strong>{reservation.venue}</p>}
+          <p>
+            <strong>人数：</strong>
+            {getReservationAttendeeCount(reservation)}名（{formatTicketBreakdown(reservation)}）
+          </p>
+          {reservation.seats?.length > 0 && (
+            <p><strong>座席：</strong>{formatSeatLabels(reservation.seats)}</p>
+          )}
+          {reservation.promoCode && (
+            <p>
+              <strong>割引コード：</strong>
+              {reservation.promoCode}（-{formatPrice(Number(reservation.discountAmount) || 0)}）
+            </p>
+          )}
+          <p><strong>料金：</strong>{formatPrice(getReservationTotalPrice(reservation))}</p>
+          {reservation.paymentStatus === PAYMENT_STATUSES.PAID && (
+            <p><strong>お支払い：</strong>事前決済（お支払い済み）</p>
+          )}
+          {/* カレンダーに追加（予約確認メールにも同じファイルを添付している） */}
+          {reservation.stageDate && (
+            <button
+              type="button"
+              className="complete-calendar-add-btn"
+              onClick={() => downloadReservationIcs(reservation, {
+                cancelUrl: reservation.cancelToken ? buildCancelUrl(reservation.cancelToken) : undefined,
+              })}
+            >
+              カレンダーに追加（.ics）
+            </button>
+          )}
+          {/* 予約確認ページ（再読み込み・ブックマーク・別の端末でも開ける） */}
+          {reservation.reservationId && reservation.cancelToken && (
+            <Link
+              to={`/reservation/${reservation.reservationId}?token=${reservation.cancelToken}`}
+              className="complete-reservation-page-link"
+            >
+              予約確認ページを開く（ブックマークできます）
+            </Link>
+          )}
+          {/* 電子チケット（当日、受付でこのQRコードを読み取る） */}
+          <div className="complete-ticket">
+            <p><strong>電子チケット</strong></p>
+            {ticketCodes[reservation.reservationId] ? (
+              <TicketQrCode code={ticketCodes[reservation.reservationId]} />
+            ) : (
+              <p className="complete-ticket-note">
+                {ticketLoading ? "チケットを読み込み中..." : ticketError || "チケットは予約確認メールでお送りします。"}
+              </p>
+            )}
+          </div>
         </div>
-      )}
+      ))}
+
+      {/* 予約者情報 */}
+      <div className="complete-summary-box">
+        {reservations.length > 1 && <p><strong>お支払い合計：</strong>{formatPrice(grandTotal)}</p>}
+        <p><strong>予約者名：</strong>{name}</p>
+        <p><strong>メールアドレス：</strong>{email}</p>
+        {note && <p><strong>備考：</strong>{note}</p>}
+      </div>
 
       <Link to="/" className="complete-home-btn">
         トップページに戻る
       </Link>
+      <Link to="/reservation-lookup" className="complete-calendar-btn">
+        予約を照会する
+      </Link>
       <Link to="/calendar" className="complete-calendar-btn">
         カレンダーを見る
       </Link>
@@ -8,15 +8,113 @@
  * 主な機能：
  * 1. 選択した公演情報の表示
  * 2. ステージ（日時）の選択（複数の公演日時から選択）
- * 3. 予約情報の入力（氏名、メールアドレス、人数、備考）
+ * 3. 予約情報の入力（氏名、メールアドレス、券種ごとの枚数、劇団が設定した追加質問、備考）
  * 4. Firebaseへの予約データの保存
  * 5. 予約完了ページへの遷移
+ * 6. 満席・残席不足のステージへのキャンセル待ち登録
+ * 7. 座席表（指定席）のあるステージでの座席選択
+ * 8. 入力中の席の仮押さえ（期限付き・カウントダウン表示）
+ * 9. 割引コードの適用
+ * 10. カートへの追加（複数の公演日時をカートページでまとめて予約する）
+ * 11. ボット対策（ハニーポット・入力時間・確認の質問。予約パスをCloud Functionsから受け取ってから予約する）
+ * 12. 予約の受付期間の表示（ステージごとに「予約開始前 / 受付中 / 受付終了」。受付中のステージのみ選択できる）
+ * 13. 抽選の申込（抽選の公演の申込期間中は、第1希望・第2希望の公演日時を選んで申し込む）
+ * 14. 配慮のご要望（車椅子スペース・同伴者席は公演日時ごとの枠の中で受け付け、聴覚・視覚のサポートは希望のみ伺う）
+ * 15. 事前決済（劇団が事前決済を選んだ有料の公演は、予約の後にお支払いページでお支払いいただく）
  */
 
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, Link } from "react-router-dom";
 import { useState, useEffect } from "react";
-import { collection, addDoc, doc, getDoc, query, where, getDocs, serverTimestamp } from "firebase/firestore";
+import { doc, getDoc, onSnapshot } from "firebase/firestore";
 import { db } from "../../firebase";
+import {
+  getReservedSeatsCount,
+  getStageInventory,
+  getStageInventoryRef,
+  createReservation,
+  holdSeats,
+  releaseSeatHold,
+  RESERVATION_ERROR_CODES,
+} from "../../services/reservationService";
+import { joinWaitlist } from "../../services/waitlistService";
+import { expireUnpaidReservations } from "../../services/paymentService";
+import { applyForLottery, LOTTERY_ERROR_CODES } from "../../services/lotteryService";
+import {
+  startReservationForm,
+  requestReservationPass,
+  BOT_PROTECTION_ERROR_CODES,
+  HONEYPOT_FIELD_NAME,
+} from "../../services/botProtectionService";
+import { getPromoCode } from "../../services/promoCodeService";
+import { getStageKey, findStageById } from "../../../functions/shared/stageUtils.js";
+import { getCancellationPolicy, formatDateTime } from "../../../functions/shared/deadlineUtils.js";
+import {
+  SALES_STATUS,
+  SALES_STATUS_LABELS,
+  getStageSalesStatus,
+  describeStageSalesWindow,
+  assertSalesWindowOpen,
+} from "../../../functions/shared/salesWindowUtils.js";
+import {
+  LOTTERY_PHASES,
+  LOTTERY_PHASE_LABELS,
+  getLotteryPhase,
+  isLotteryPending,
+  describeLotteryPeriod,
+} from "../../../functions/shared/lotteryUtils.js";
+import {
+  QUESTION_TYPES,
+  MAX_TEXT_ANSWER_LENGTH,
+  getFormQuestions,
+  validateAnswers,
+  buildReservationAnswers,
+} from "../../../functions/shared/formQuestionUtils.js";
+import {
+  getEmailKey,
+  getReservationCountByEmail,
+  getPeopleLimitError,
+  getEmailLimitError,
+} from "../../../functions/shared/reservationLimitUtils.js";
+import {
+  getTicketTypes,
+  buildTicketBreakdown,
+  getTicketCounts,
+  findQuotaShortage,
+  getReservationSeatCount,
+  getReservationAttendeeCount,
+  getReservationTotalPrice,
+  mergeTicketCounts,
+} from "../../../functions/shared/ticketUtils.js";
+import {
+  ACCESSIBILITY_NEEDS,
+  ACCESSIBILITY_NEED_LABELS,
+  MAX_ACCESSIBILITY_NOTE_LENGTH,
+  getStageAccessibilityQuotas,
+  hasAccessibilityQuota,
+  normalizeAccessibilityRequest,
+  getAccessibilityCounts,
+  findAccessibilityShortage,
+  countReservedAccessibleSeats,
+  getAccessibilityRequestError,
+  formatStageAccessibilityQuotas,
+} from "../../../functions/shared/accessibilityUtils.js";
+import { hasSeatMap, getSeatMapLayout, sortSeatLabels, formatSeatLabels } from "../../../functions/shared/seatMapUtils.js";
+import SeatMap from "../../components/SeatMap";
+import {
+  SEAT_HOLD_MINUTES,
+  generateHoldId,
+  countHeldSeats,
+  formatHoldRemaining,
+} from "../../../functions/shared/seatHoldUtils.js";
+import { getPromoCodeError, calculateDiscount, formatPromoDiscount } from "../../../functions/shared/promoCodeUtils.js";
+import { addCartItem, getCartItems } from "../../utils/cartUtils";
+import {
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_LABELS,
+  PAYMENT_HOLD_MINUTES,
+  getPaymentMethod,
+  requiresPrepayment,
+} from "../../../functions/shared/paymentUtils.js";
 import "./ReservePage.css";
 
 /**
@@ -30,7 +128,8 @@ import "./ReservePage.css";
  * 
  * 注意：
  * - performanceIdは「公演ID」を表します
- * - stageIdは「ステージ（日時）」のインデックスを表します（0から始まる）
+ * - stageIdは「ステージ（日時）」の固定ID（stage.id）を表します
+ *   （IDが未付与の旧データの公演では、配列のインデックスになります）
  */
 export default function ReservePage() {
   // useParams: URLパラメータから公演IDを取得
@@ -52,70 +151,92 @@ export default function ReservePage() {
   const [name, setName] = useState("");                 // 氏名
   const [email, setEmail] = useState("");               // メールアドレス
   const [emailConfirm, setEmailConfirm] = useState(""); // メールアドレス（確認用）
-  const [people, setPeople] = useState(1);              // 人数（デフォルト：1人）
+  const [ticketQuantities, setTicketQuantities] = useState({}); // 券種IDごとの枚数（例：{ tkt_xxx: 2 }）
   const [note, setNote] = useState("");                 // 備考（任意）
-  const [selectedStageId, setSelectedStageId] = useState(null); // 選択されたステージID（配列のインデックス）
+  // 配慮のご要望（車椅子スペース・同伴者席の人数、聴覚・視覚のサポートの希望、詳しいご要望）
+  const [accessibilityInput, setAccessibilityInput] = useState({
+    wheelchair: 0,
+    companion: 0,
+    hearing: false,
+    visual: false,
+    note: "",
+  });
+  const [answers, setAnswers] = useState({});           // 劇団が設定した追加質問への回答（質問ID -> 回答）
+  const [selectedStageId, setSelectedStageId] = useState(null); // 選択されたステージID（stage.id）
   const [isSubmitting, setIsSubmitting] = useState(false); // 送信中の状態（重複送信防止用）
 
   // ============================================
   // 残席チェック用の状態管理
   // ============================================
   const [reservedSeats, setReservedSeats] = useState(0);  // 予約済み人数（選択されたステージの）
+  const [stageTicketCounts, setStageTicketCounts] = useState({}); // 券種ごとの販売済み枚数（選択されたステージの）
+  const [stageAccessibilityCounts, setStageAccessibilityCounts] = useState({}); // 車椅子スペース・同伴者席の予約済みの人数（選択されたステージの）
   const [stageReservedSeatsMap, setStageReservedSeatsMap] = useState({}); // 各ステージごとの予約済み人数（stageId -> 人数）
   const [checkingSeats, setCheckingSeats] = useState(false); // 残席チェック中かどうか
+  const [seatsVersion, setSeatsVersion] = useState(0);       // 残席の再取得用（値が変わると再取得する）
+  const [soldOutNotice, setSoldOutNotice] = useState("");    // 入力中に売り切れた場合のお知らせ
+  const [selectedSeats, setSelectedSeats] = useState([]);    // 選択した座席番号（座席表のあるステージのみ）
+  const [takenSeats, setTakenSeats] = useState({});          // 予約済みの座席（選択されたステージの。リアルタイム更新）
+  const [waitlistJoined, setWaitlistJoined] = useState(false); // キャンセル待ちの登録が完了したかどうか
 
-  /**
-   * 指定された公演IDとステージIDに紐づく予約済み人数を取得する関数
-   * 
-   * @param {string} targetPerformanceId - 公演ID（FirestoreのドキュメントID）
-   * @param {number} targetStageId - ステージID（配列のインデックス）
-   * @returns {Promise<number>} 予約済み人数の合計
-   * 
-   * なぜこの関数が必要か：
-   * - 同じ公演・同じステージ（日時）に対して複数の予約が存在する可能性があるため
-   * - 各予約の人数（people）を合計して、実際に予約されている人数を把握する必要があるため
-   * - 残席数を正確に計算するために必要
-   * 
-   * 処理の流れ：
-   * 1. Firestoreのreservationsコレクションから、指定されたperformanceIdとstageIdに一致する予約を検索
-   * 2. 各予約のpeopleフィールドを合計する（peopleが無い場合は1として扱う）
-   * 3. 合計値を返す
-   */
-  const getReservedSeatsCount = async (targetPerformanceId, targetStageId) => {
-    if (!db || !targetPerformanceId || targetStageId === null || targetStageId === undefined) {
-      return 0;
-    }
+  // ============================================
+  // 抽選の申込用の状態管理
+  // ============================================
+  // 第1希望は selectedStageId を使う（先着順の予約と同じ公演日時の選択欄で選ぶため）
+  const [secondStageId, setSecondStageId] = useState(null); // 第2希望のステージID（任意）
+  const [lotteryApplied, setLotteryApplied] = useState(false); // 抽選の申込が完了したかどうか
 
-    try {
-      // Firestoreのreservationsコレクションから、指定された条件に一致する予約を検索
-      // なぜquery + whereを使うか：特定の条件に一致するドキュメントだけを取得するため
-      // これにより、ネットワーク転送量を減らし、パフォーマンスを向上させます
-      const reservationsRef = collection(db, "reservations");
-      const q = query(
-        reservationsRef,
-        where("performanceId", "==", targetPerformanceId),  // 公演IDでフィルタリング
-        where("stageId", "==", targetStageId)              // ステージIDでフィルタリング
-      );
-      
-      const querySnapshot = await getDocs(q);
-      
-      // 各予約の人数を合計
-      // なぜpeopleが無い場合は1として扱うか：古いデータやデータ不整合に対応するため
-      let totalReserved = 0;
-      querySnapshot.forEach((doc) => {
-        const data = doc.data();
-        // peopleフィールドが存在する場合はその値、無い場合は1として扱う
-        const peopleCount = data.people && typeof data.people === "number" ? data.people : 1;
-        totalReserved += peopleCount;
-      });
+  // ============================================
+  // 仮押さえ用の状態管理
+  // ============================================
+  // なぜ仮押さえするか：
+  // - 入力している間に席が埋まり、送信した時点で「残席不足」になるのを防ぐため
+  const [holdId] = useState(() => generateHoldId());       // このページで使う仮押さえID（ステージを変えても同じ）
+  const [seatHold, setSeatHold] = useState(null);          // 現在の仮押さえ（{ holdId, stageId, seats, expiresAt }）
+  const [holdExpired, setHoldExpired] = useState(false);   // 仮押さえの期限が切れたかどうか
+  const [holdVersion, setHoldVersion] = useState(0);       // 仮押さえのやり直し用（値が変わると確保し直す）
+  const [holdNow, setHoldNow] = useState(() => Date.now()); // カウントダウン表示用の現在時刻
 
-      return totalReserved;
-    } catch (error) {
-      console.error("予約済み人数の取得に失敗しました:", error);
-      // エラーが発生した場合は0を返す（安全側に倒す）
-      return 0;
-    }
-  };
+  // ============================================
+  // 割引コード用の状態管理
+  // ============================================
+  const [promoCodeInput, setPromoCodeInput] = useState("");       // 入力中の割引コード
+  const [appliedPromoCode, setAppliedPromoCode] = useState(null); // 適用した割引コードのデータ
+  const [promoCodeMessage, setPromoCodeMessage] = useState("");   // 割引コードが使えない理由
+  const [applyingPromoCode, setApplyingPromoCode] = useState(false); // 割引コードを確認中かどうか
+
+  // ============================================
+  // カート用の状態管理
+  // ============================================
+  const [cartCount, setCartCount] = useState(() => getCartItems().length); // カートに入っている件数
+  const [cartNotice, setCartNotice] = useState("");                       // カートに追加したときのお知らせ
+
+  // ============================================
+  // ボット対策用の状態管理
+  // ============================================
+  // なぜ必要か：スクリプトで席を埋めたり、確認メールを迷惑メールとして送らせたりするのを防ぐため
+  // （確認そのものはCloud Functions側で行う。詳しくは botProtectionService.js）
+  const [formToken, setFormToken] = useState("");     // フォームの開始トークン（フォームを開いた時刻をサーバーが署名したもの）
+  const [honeypot, setHoneypot] = useState("");       // 人には見えない入力欄の値（人が使う場合は空のまま）
+  const [challenge, setChallenge] = useState(null);   // 確認の質問（{ challengeId, question }。必要な場合のみ）
+  const [challengeAnswer, setChallengeAnswer] = useState(""); // 確認の質問への答え
+
+  // フォームを開いた時に、フォームの開始トークンを受け取る（送信までの時間はサーバーがこの時刻から測る）
+  useEffect(() => {
+    let cancelled = false;
+    startReservationForm()
+      .then((token) => {
+        if (!cancelled) {
+          setFormToken(token);
+        }
+      })
+      .catch((error) => {
+        console.warn("フォームの開始トークンを受け取れませんでした:", error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
   // Firestoreから公演データと劇団情報を取得
   useEffect(() => {
@@ -170,6 +291,9 @@ export default function ReservePage() {
         }
 
         setPerformance(performanceData);
+        // 先頭の券種（通常は「一般」）を1枚選んだ状態から始める
+        // なぜ：券種が1種類の公演では、これまでの「人数1人」と同じ操作感にするため
+        setTicketQuantities({ [getTicketTypes(performanceData)[0].id]: 1 });
         console.log("公演データを読み込みました:", performanceData);
       } catch (error) {
         console.error("公演データ読み込みエラー:", error);
@@ -203,8 +327,14 @@ export default function ReservePage() {
         // 各ステージごとに予約済み人数を取得
         // なぜ並列で取得するか：パフォーマンスを向上させるため
         const promises = performance.stages.map(async (stage, index) => {
-          const stageId = index;
-          const reserved = await getReservedSeatsCount(performanceId, stageId);
+          const stageId = getStageKey(stage, index);
+          // 事前決済の公演では、お支払いの期限が切れた予約を先に取り消す（空いた席を残席に数えるため）
+          if (getPaymentMethod(performance) === PAYMENT_METHODS.PREPAID) {
+            await expireUnpaidReservations(performanceId, stageId);
+          }
+          // 自分の仮押さえは「埋まっている席」に数えない
+          // まだ予約されていない車椅子スペース・同伴者席は、一般のお客様は予約できないので埋まっている席に数える
+          const reserved = await getReservedSeatsCount(performanceId, stageId, { excludeHoldId: holdId, stage });
           return { stageId, reserved };
         });
 
@@ -225,7 +355,74 @@ export default function ReservePage() {
     };
 
     loadAllStageReservedSeats();
-  }, [performanceId, performance]); // 公演データが変更されたときに再取得
+  }, [performanceId, performance, seatsVersion, holdId]); // 公演データが変更されたとき・売り切れを検知したときに再取得
+
+  // ============================================
+  // 予約済み座席のリアルタイム取得（座席表のあるステージのみ）
+  // ============================================
+  // なぜonSnapshotを使うか：
+  // - 座席を選んでいる間に他のお客様が予約した座席を、すぐに「予約済み」に変えるため
+  useEffect(() => {
+    const stage = selectedStageId !== null ? findStageById(performance?.stages, selectedStageId) : null;
+    if (!db || !performanceId || !hasSeatMap(stage)) {
+      setTakenSeats({});
+      return;
+    }
+
+    let active = true; // cleanup後に古いステージの結果で上書きしないためのフラグ
+    const unsubscribe = onSnapshot(
+      getStageInventoryRef(performanceId, selectedStageId),
+      (inventorySnap) => {
+        if (inventorySnap.exists()) {
+          setTakenSeats(inventorySnap.data().takenSeats || {});
+          return;
+        }
+        // 在庫ドキュメントがまだ無い場合は、既存の予約から集計する
+        getStageInventory(performanceId, selectedStageId).then((inventory) => {
+          if (active) {
+            setTakenSeats(inventory.takenSeats);
+          }
+        });
+      },
+      (error) => {
+        console.error("座席の取得エラー:", error);
+      }
+    );
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [performanceId, performance, selectedStageId]);
+
+  // ============================================
+  // 券種と枚数の集計
+  // ============================================
+  // なぜ毎回計算するか：枚数の入力に合わせて、席数・合計金額をすぐに表示し直すため
+  // 席を使わない券種（膝上の未就学児など）は requestedSeats に含めない
+  const ticketTypes = getTicketTypes(performance);
+  const formQuestions = getFormQuestions(performance); // 劇団が設定した追加質問
+  const tickets = buildTicketBreakdown(ticketTypes, ticketQuantities);
+  const requestedSeats = getReservationSeatCount({ tickets });
+  const attendeeCount = getReservationAttendeeCount({ tickets });
+  const totalPrice = getReservationTotalPrice({ tickets });
+  // 割引コードを適用した場合の割引額と、お支払い金額
+  const discountAmount = appliedPromoCode ? calculateDiscount(appliedPromoCode, totalPrice) : 0;
+  const finalPrice = totalPrice - discountAmount;
+  // 事前決済の公演かどうかと、この予約でお支払いが必要か（割引で0円になった場合は不要）
+  const isPrepaidPerformance = getPaymentMethod(performance) === PAYMENT_METHODS.PREPAID;
+  const needsPrepayment = requiresPrepayment(performance, { tickets, discountAmount });
+  // 配慮のご要望（選択中の公演日時に枠の無い車椅子スペース・同伴者席は、入力欄を出さないので含めない）
+  const accessibilityQuotas = getStageAccessibilityQuotas(
+    selectedStageId !== null ? findStageById(performance?.stages, selectedStageId) : null
+  );
+  const accessibilityRequest = normalizeAccessibilityRequest({
+    ...accessibilityInput,
+    wheelchair: accessibilityQuotas.wheelchair > 0 ? accessibilityInput.wheelchair : 0,
+    companion: accessibilityQuotas.companion > 0 ? accessibilityInput.companion : 0,
+  });
+  const requestedWheelchair = accessibilityRequest?.wheelchair || 0;
+  const requestedCompanion = accessibilityRequest?.companion || 0;
 
   // ============================================
   // 残席チェック処理（選択されたステージ用）
@@ -236,8 +433,11 @@ export default function ReservePage() {
   // - UIレベルで事故を減らすため（完全な防止ではないが、ユーザー体験を向上させる）
   useEffect(() => {
     // ステージが選択されていない、または公演データが無い場合はチェックしない
-    if (selectedStageId === null || !performance || !performanceId) {
+    // 抽選の前は席を確保しないので、残席もチェックしない（席の割り当ては抽選で行う）
+    if (selectedStageId === null || !performance || !performanceId || isLotteryPending(performance)) {
       setReservedSeats(0);
+      setStageTicketCounts({});
+      setStageAccessibilityCounts({});
       return;
     }
 
@@ -246,12 +446,24 @@ export default function ReservePage() {
       setCheckingSeats(true);
       
       try {
-        // 予約済み人数を取得
-        const reserved = await getReservedSeatsCount(performanceId, selectedStageId);
-        setReservedSeats(reserved);
-        
+        // 予約済みの席数と、券種ごとの販売済み枚数を取得
+        const inventory = await getStageInventory(performanceId, selectedStageId);
         // 選択されたステージの情報を取得
-        const selectedStageData = performance.stages[selectedStageId];
+        const selectedStageData = findStageById(performance.stages, selectedStageId);
+        // 他のお客様が仮押さえ中の席も埋まっている席として数える（自分の仮押さえは除く）
+        // まだ予約されていない車椅子スペース・同伴者席も数える（自分が使う分は除く）
+        const reserved = inventory.reservedSeats
+          + countHeldSeats(inventory.holds, Date.now(), holdId)
+          + countReservedAccessibleSeats(
+            selectedStageData,
+            mergeTicketCounts(inventory.accessibilityCounts, {
+              [ACCESSIBILITY_NEEDS.WHEELCHAIR]: requestedWheelchair,
+              [ACCESSIBILITY_NEEDS.COMPANION]: requestedCompanion,
+            })
+          );
+        setReservedSeats(reserved);
+        setStageTicketCounts(inventory.ticketCounts);
+        setStageAccessibilityCounts(inventory.accessibilityCounts);
         const seatLimit = selectedStageData?.seatLimit || 0;
         
         // 残席数を計算
@@ -260,9 +472,8 @@ export default function ReservePage() {
         
         // 希望人数が残席を超えている場合、エラーメッセージを設定
         // なぜこのチェックが必要か：残席を超える予約を防ぐため（UIレベルでの防止）
-        const requestedPeople = Number(people) || 0;
-        if (seatLimit > 0 && requestedPeople > availableSeats) {
-          setError(`残席が不足しています。残席: ${availableSeats}席、希望人数: ${requestedPeople}人`);
+        if (seatLimit > 0 && requestedSeats > availableSeats) {
+          setError(`残席が不足しています。残席: ${availableSeats}席、希望人数: ${requestedSeats}人`);
         } else {
           // 残席が十分な場合は、残席関連のエラーをクリア
           // 注意：他のエラー（氏名未入力など）は残す
@@ -279,7 +490,92 @@ export default function ReservePage() {
     };
 
     checkAvailableSeats();
-  }, [selectedStageId, people, performanceId, performance]); // これらの値が変更されたときに再チェック
+  }, [selectedStageId, requestedSeats, requestedWheelchair, requestedCompanion, performanceId, performance, seatsVersion, holdId]); // これらの値が変更されたときに再チェック
+
+  // ============================================
+  // 席の仮押さえ（ステージ・席数が決まったとき）
+  // ============================================
+  // なぜ少し待ってから仮押さえするか：
+  // - 枚数を続けて変更したときに、1回ごとにFirestoreへ書き込まないようにするため
+  useEffect(() => {
+    const stage = selectedStageId !== null ? findStageById(performance?.stages, selectedStageId) : null;
+    // 席数上限の無いステージは満席にならないので、仮押さえしない
+    // 抽選の前も、申込の時点では席を確保しないので仮押さえしない
+    if (!db || !performanceId || !stage || !(Number(stage.seatLimit) > 0) || isLotteryPending(performance)) {
+      return;
+    }
+
+    let active = true; // cleanup後に古い結果で上書きしないためのフラグ
+    const timer = setTimeout(async () => {
+      try {
+        if (requestedSeats <= 0) {
+          // 席を使う券種が0枚になった場合は、仮押さえを解放する
+          await releaseSeatHold(performanceId, selectedStageId, holdId);
+          if (active) {
+            setSeatHold(null);
+          }
+          return;
+        }
+        const hold = await holdSeats({ performanceId, stageId: selectedStageId, holdId, seats: requestedSeats });
+        if (active) {
+          setSeatHold(hold ? { ...hold, stageId: selectedStageId } : null);
+          setHoldExpired(false);
+          setHoldNow(Date.now());
+        }
+      } catch (error) {
+        if (!active) {
+          return;
+        }
+        // 残席が足りない場合は仮押さえせず、残席表示を最新にする（キャンセル待ちボタンが表示される）
+        if (error.code === RESERVATION_ERROR_CODES.SOLD_OUT) {
+          setSeatHold(null);
+          setSeatsVersion((version) => version + 1);
+          return;
+        }
+        // 仮押さえに失敗しても予約はできる（送信時のトランザクションで残席を確認するため）
+        console.warn("席の仮押さえに失敗しました:", error);
+      }
+    }, 500);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [performanceId, performance, selectedStageId, requestedSeats, holdId, holdVersion]);
+
+  // ステージを変えたとき・ページを離れたときに、前のステージの仮押さえを解放する
+  // なぜ期限切れを待たないか：他のお客様がすぐにその席を予約できるようにするため
+  useEffect(() => {
+    if (!db || !performanceId || selectedStageId === null) {
+      return;
+    }
+    const stageId = selectedStageId;
+    return () => {
+      releaseSeatHold(performanceId, stageId, holdId).catch((error) => {
+        console.warn("仮押さえの解放に失敗しました:", error);
+      });
+    };
+  }, [performanceId, selectedStageId, holdId]);
+
+  // 仮押さえのカウントダウン（1秒ごとに残り時間を更新し、期限が来たら仮押さえを終了する）
+  useEffect(() => {
+    if (!seatHold) {
+      return;
+    }
+    const timer = setInterval(() => {
+      const now = Date.now();
+      setHoldNow(now);
+      if (now >= seatHold.expiresAt) {
+        setSeatHold(null);
+        setHoldExpired(true);
+        setSeatsVersion((version) => version + 1); // 期限切れで他のお客様に席が取られていないか確認
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [seatHold]);
+
+  // 選択中のステージの仮押さえ（ステージを変えた直後の古い仮押さえは表示しない）
+  const activeSeatHold = seatHold && seatHold.stageId === selectedStageId ? seatHold : null;
 
   // 表示用データに変換
   // 注意：eventは公演情報カードの表示用で、最初のステージ情報を表示します
@@ -299,90 +595,340 @@ export default function ReservePage() {
   } : null;
 
   // 選択されたステージ情報を取得
-  // selectedStageIdがnullの場合は未選択、数値の場合はそのインデックスのステージを取得
+  // selectedStageIdがnullの場合は未選択、それ以外はIDが一致するステージを取得
   const selectedStage = selectedStageId !== null && performance?.stages 
-    ? performance.stages[selectedStageId] 
+    ? findStageById(performance.stages, selectedStageId) 
     : null;
 
+  // 抽選の進み具合（抽選の公演でない場合はnull）と、抽選の申込を受け付けているかどうか
+  const lotteryPhase = getLotteryPhase(performance);
+  const isLotteryApplication = lotteryPhase === LOTTERY_PHASES.OPEN;
+
+  // 座席表（指定席）のあるステージかどうか
+  // 抽選の申込では座席を選ばない（当選した方に、なるべく隣り合う座席を自動で割り当てる）
+  const isSeatSelectable = hasSeatMap(selectedStage) && !isLotteryApplication;
+
+  // 選択中の座席のうち、まだ空いているもの
+  // なぜ毎回絞り込むか：選んでいる間に他のお客様が予約した座席を、自動で選択から外すため
+  const validSelectedSeats = selectedSeats.filter((seat) => !takenSeats[seat]);
+  const lostSeatCount = selectedSeats.length - validSelectedSeats.length;
+
   /**
-   * cancelTokenを生成する関数
+   * 座席をクリックしたときの処理
    * 
-   * @returns {string} ランダムな32〜48文字の英数字文字列
+   * @param {Object} cell - クリックした座席（getSeatMapLayoutのcell）
    * 
-   * なぜこの関数が必要か：
-   * - キャンセル用の安全なトークンを生成するため
-   * - window.crypto.getRandomValuesを使用して、セキュアな乱数を生成
-   * - 予測不可能なトークンにより、不正なキャンセルを防ぐ
+   * - 選択中の座席なら選択を外す
+   * - 選べる数（席を使う枚数）に達している場合は、一番古い選択と入れ替える
    */
-  const generateCancelToken = () => {
-    // window.crypto.getRandomValuesを使用して安全な乱数を生成
-    // なぜcrypto APIを使うか：Math.random()よりもセキュアで予測不可能なため
-    const array = new Uint8Array(32); // 32バイト = 256ビット
-    window.crypto.getRandomValues(array);
-    
-    // バイト配列を16進数文字列に変換
-    const hexString = Array.from(array)
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
-    
-    return hexString; // 64文字の16進数文字列
+  const handleSeatClick = (cell) => {
+    setSoldOutNotice("");
+    if (validSelectedSeats.includes(cell.label)) {
+      setSelectedSeats(validSelectedSeats.filter((seat) => seat !== cell.label));
+      return;
+    }
+    if (requestedSeats <= 0) {
+      return;
+    }
+    const kept = validSelectedSeats.length >= requestedSeats
+      ? validSelectedSeats.slice(validSelectedSeats.length - requestedSeats + 1)
+      : validSelectedSeats;
+    setSelectedSeats([...kept, cell.label]);
   };
 
   /**
-   * フォーム送信処理
+   * 割引コードを適用する処理
    * 
-   * @param {Event} e - フォーム送信イベント
+   * なぜ送信前に確認するか：
+   * - 割引後の金額を確認してから予約できるようにするため
+   * - 最終的な確認（期限・利用上限）は、保存時のトランザクション（createReservation）で行う
+   */
+  const handleApplyPromoCode = async () => {
+    setPromoCodeMessage("");
+    if (!promoCodeInput.trim()) {
+      setPromoCodeMessage("割引コードを入力してください。");
+      return;
+    }
+
+    setApplyingPromoCode(true);
+    try {
+      const promoCode = await getPromoCode(performanceId, promoCodeInput);
+      const message = getPromoCodeError(promoCode, { performanceId });
+      if (message) {
+        setAppliedPromoCode(null);
+        setPromoCodeMessage(message);
+        return;
+      }
+      setAppliedPromoCode(promoCode);
+      setPromoCodeInput(promoCode.code);
+    } catch (error) {
+      console.error("割引コードの確認エラー:", error);
+      setPromoCodeMessage("割引コードを確認できませんでした。時間をおいてもう一度お試しください。");
+    } finally {
+      setApplyingPromoCode(false);
+    }
+  };
+
+  /**
+   * 入力内容のバリデーション
    * 
-   * 処理の流れ：
-   * 1. フォームのデフォルト動作（ページリロード）を防止
-   * 2. バリデーション
-   * 3. Firestoreに予約データを保存
-   * 4. mailQueueに送信依頼を追加（Phase1）
-   * 5. 予約完了ページへ遷移
+   * @returns {string} エラーメッセージ（問題が無ければ空文字）
+   * 
+   * なぜ関数にまとめるか：
+   * - 予約とキャンセル待ち登録で、同じ入力チェックを行うため
    */
-  const handleSubmit = async (e) => {
-    // フォームのデフォルト動作（ページリロード）を防止
-    e.preventDefault();
-    
-    // バリデーション
+  const validateForm = () => {
     // なぜバリデーションが必要か：不正なデータをFirestoreに保存するのを防ぐため
     if (!name.trim()) {
-      setError("氏名を入力してください。");
-      return;
+      return "氏名を入力してください。";
     }
     if (!email.trim()) {
-      setError("メールアドレスを入力してください。");
-      return;
+      return "メールアドレスを入力してください。";
     }
     if (!emailConfirm.trim()) {
-      setError("メールアドレス（確認用）を入力してください。");
-      return;
+      return "メールアドレス（確認用）を入力してください。";
     }
     // メールアドレスの一致確認
     if (email.trim() !== emailConfirm.trim()) {
-      setError("メールアドレスが一致しません。");
-      return;
+      return "メールアドレスが一致しません。";
     }
-    if (Number(people) < 1) {
-      setError("人数は1人以上を入力してください。");
-      return;
+    return validateSelection();
+  };
+
+  /**
+   * 公演日時・券種・座席の選択内容のバリデーション
+   * 
+   * @returns {string} エラーメッセージ（問題が無ければ空文字）
+   * 
+   * なぜ予約者情報と分けるか：
+   * - カートに追加するときは、予約者情報をカートページでまとめて入力するため
+   */
+  const validateSelection = () => {
+    if (attendeeCount < 1) {
+      return "枚数を1枚以上選択してください。";
+    }
+    // 1件あたりの人数の上限（公演で設定されている場合のみ。最終的なチェックは保存時のトランザクションで行う）
+    const peopleLimitError = getPeopleLimitError(performance, attendeeCount);
+    if (peopleLimitError) {
+      return peopleLimitError;
     }
     // ステージ選択のバリデーション
     // なぜ必要か：どの日時の公演を予約するのかを明確にするため
     if (selectedStageId === null) {
-      setError("公演日時を選択してください。");
-      return;
+      return "公演日時を選択してください。";
     }
     // 選択されたステージが存在するか確認
-    // なぜ必要か：配列の範囲外アクセスを防ぐため
-    if (!performance?.stages || !performance.stages[selectedStageId]) {
-      setError("選択された公演日時が見つかりませんでした。");
+    // なぜ必要か：選択後に劇団がステージを削除した場合などに備えるため
+    if (!performance?.stages || !findStageById(performance.stages, selectedStageId)) {
+      return "選択された公演日時が見つかりませんでした。";
+    }
+    // 車椅子スペース・同伴者席は、席を使う枚数のうち何席かを選ぶ
+    const accessibilityError = getAccessibilityRequestError(accessibilityRequest, requestedSeats);
+    if (accessibilityError) {
+      return accessibilityError;
+    }
+    // 抽選の申込では、第2希望を確認する（受付期間の確認は保存時のトランザクションで行う）
+    if (isLotteryApplication) {
+      if (secondStageId !== null && secondStageId === selectedStageId) {
+        return "第2希望には、第1希望と別の公演日時を選択してください。";
+      }
+      return validateAnswers(formQuestions, answers);
+    }
+    // 予約の受付期間の確認（ページを開いたまま締め切りを過ぎた場合に備える。最終的なチェックは保存時のトランザクションで行う）
+    try {
+      assertSalesWindowOpen(performance, findStageById(performance.stages, selectedStageId));
+    } catch (salesWindowError) {
+      return salesWindowError.message;
+    }
+    // 指定席のステージでは、席を使う枚数と同じ数の座席を選ぶ必要がある
+    if (isSeatSelectable && validSelectedSeats.length !== requestedSeats) {
+      return `座席を${requestedSeats}席選択してください（選択中：${validSelectedSeats.length}席）。`;
+    }
+    // 券種ごとの販売上限チェック（最終的なチェックは保存時のトランザクションで行う）
+    const shortage = findQuotaShortage(ticketTypes, stageTicketCounts, getTicketCounts({ tickets }));
+    if (shortage) {
+      return `「${shortage.ticketType.name}」の残りは${shortage.availableQuantity}枚です。枚数を減らしてください。`;
+    }
+    // 車椅子スペース・同伴者席の枠のチェック（最終的なチェックは保存時のトランザクションで行う）
+    const accessibilityShortage = findAccessibilityShortage(
+      findStageById(performance.stages, selectedStageId),
+      stageAccessibilityCounts,
+      getAccessibilityCounts({ accessibility: accessibilityRequest })
+    );
+    if (accessibilityShortage) {
+      return `この公演日時の${accessibilityShortage.label}の残りは${accessibilityShortage.availableQuantity}です。人数を減らすか、別の日時を選択してください。`;
+    }
+    // 追加質問の回答チェック（公演ごとの質問のため、カートに追加するときも確認する）
+    return validateAnswers(formQuestions, answers);
+  };
+
+  /**
+   * 予約・キャンセル待ちで共通の保存データを作る関数
+   * 
+   * @returns {Object} 公演・ステージ・予約者の情報
+   * 
+   * なぜ共通化するか：
+   * - キャンセル待ちから繰り上げるとき、このデータがそのまま予約データになるため
+   *   （項目がずれると、繰り上げた予約だけ表示が欠けてしまう）
+   */
+  const buildBookingData = () => {
+    return {
+      ...buildSelectionData(),                      // 公演・ステージ・券種の情報
+
+      // 予約者情報
+      name: name.trim(),                            // 予約者名
+      email: email.trim(),                          // 予約者メールアドレス
+      note: note.trim() || "",                      // 備考
+    };
+  };
+
+  /**
+   * 選択した公演日時・券種の情報を作る関数
+   * 
+   * @returns {Object} 公演・ステージ・券種の情報（予約者情報は含まない）
+   * 
+   * なぜ分けるか：
+   * - カートに追加するときは、この情報だけを保存するため
+   */
+  const buildSelectionData = () => {
+    // 選択されたステージ情報を取得
+    // なぜselectedStageを使うか：ユーザーが選択した日時情報を正確に保存するため
+    const selectedStageData = findStageById(performance.stages, selectedStageId);
+
+    return {
+      // 公演情報
+      performanceId: performanceId,                 // 公演ID（FirestoreのドキュメントID）
+      troupeId: performance.troupeId || "",        // 劇団ID
+      
+      // ステージ情報（ユーザーが選択した日時）
+      // なぜstageIdを保存するか：どのステージ（日時）を予約したかを明確にするため
+      stageId: selectedStageId,                    // ステージID（stage.id。並び替え・削除でずれない）
+      stageDate: selectedStageData.date || "",     // 公演日（選択されたステージの日付）
+      stageStart: selectedStageData.start || "",   // 公演開始時間（選択されたステージの開始時間）
+      stageEnd: selectedStageData.end || "",       // 公演終了時間（選択されたステージの終了時間）
+      
+      // 公演の基本情報（検索・表示用に保存）
+      performanceTitle: performance.title || "",     // 公演タイトル
+      troupeName: troupeInfo?.troupeName || "",     // 劇団名
+      venue: performance.venue || "",               // 会場
+      address: performance.address || "",           // 住所（カレンダーに追加する予定の場所に使う）
+      prefecture: performance.prefecture || "",     // 都道府県
+      region: performance.region || "",             // 地域
+      
+      // 券種の内訳（予約時点の券種名・料金を保存する）
+      // なぜ人数だけでなく内訳を保存するか：席数・合計金額を券種ごとに集計するため
+      tickets: tickets,                             // 例：[{ typeId, name, price, quantity, occupiesSeat }]
+      totalPrice: totalPrice,                       // 合計金額
+      people: attendeeCount,                        // 来場人数（膝上の未就学児なども含む。表示用）
+
+      // 追加質問への回答（予約時点の質問文と一緒に保存する）
+      answers: buildReservationAnswers(formQuestions, answers), // 例：[{ questionId, label, type, value }]
+
+      // 配慮のご要望（ご要望が無い場合は保存しない）
+      // なぜ選択した公演日時の情報と一緒にするか：車椅子スペース・同伴者席の枠は公演日時ごとにあるため
+      ...(accessibilityRequest ? { accessibility: accessibilityRequest } : {}),
+    };
+  };
+
+  /**
+   * 同じメールアドレスでの重複予約を確認する関数
+   * 
+   * @returns {Promise<boolean>} 予約（キャンセル待ちの登録）を続けてよければtrue
+   * 
+   * 処理の流れ：
+   * 1. 選択中の公演日時で、同じメールアドレスの有効な予約の件数を在庫から取得
+   * 2. 公演の上限に達している場合はエラーを表示して止める
+   * 3. 既に予約がある場合は、重複していないかを確認ダイアログで尋ねる
+   * 
+   * なぜ確認ダイアログを出すか：
+   * - 送信ボタンの二度押しや、予約済みなのを忘れての申し込みで、同じ方の予約が重複しやすいため
+   * - 家族の分を別に予約するなど、意図した重複もあるので、上限が無い場合は止めない
+   */
+  const confirmDuplicateReservation = async () => {
+    const emailKey = await getEmailKey(email);
+    const inventory = await getStageInventory(performanceId, selectedStageId);
+    const currentCount = getReservationCountByEmail(inventory, emailKey);
+    const emailLimitError = getEmailLimitError(performance, currentCount);
+    if (emailLimitError) {
+      setError(emailLimitError);
+      return false;
+    }
+    if (currentCount > 0) {
+      return window.confirm(
+        `このメールアドレスでは、この公演日時を既に${currentCount}件予約しています。\n重複した予約ではないかご確認ください。このまま予約しますか？`
+      );
+    }
+    return true;
+  };
+
+  /**
+   * 予約パス（ボット対策の確認を通過した証明）を受け取る関数
+   * 
+   * @returns {Promise<string|null>} 予約パスのID（受け取れなかった場合はnull。理由はエラー欄に表示する）
+   * 
+   * 注意：
+   * - 同じIPアドレスから予約が続いた場合は確認の質問が返ってくるので、質問欄を表示して答えてもらう
+   * - 答えを送ったら質問は使えなくなるため、次の送信では新しい質問か予約パスが返ってくる
+   */
+  const obtainReservationPass = async (performanceIds) => {
+    try {
+      const passId = await requestReservationPass({
+        email: email.trim(),
+        performanceIds,
+        honeypot,
+        formToken,
+        challenge: challenge ? { challengeId: challenge.challengeId, answer: challengeAnswer } : null,
+      });
+      setChallenge(null);
+      setChallengeAnswer("");
+      return passId;
+    } catch (error) {
+      if (error.code === BOT_PROTECTION_ERROR_CODES.CHALLENGE_REQUIRED) {
+        setChallenge(error.challenge);
+        setChallengeAnswer("");
+        setError(error.message);
+        return null;
+      }
+      if (
+        error.code === BOT_PROTECTION_ERROR_CODES.REJECTED ||
+        error.code === BOT_PROTECTION_ERROR_CODES.RATE_LIMITED
+      ) {
+        setChallenge(null);
+        setError(error.message);
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  /**
+   * フォーム送信処理
+   * 
+   * @param {Event} e - フォーム送信イベント
+   * 
+   * 処理の流れ：
+   * 1. フォームのデフォルト動作（ページリロード）を防止
+   * 2. バリデーション
+   * 3. 同じメールアドレスでの重複予約の確認
+   * 4. 予約パスの受け取り（ボット対策）
+   * 5. 残席チェック・予約データ・mailQueue送信依頼（Phase1）をトランザクションで保存
+   * 6. 予約完了ページへ遷移（入力中に売り切れた場合はお知らせを表示）
+   */
+  const handleSubmit = async (e) => {
+    // フォームのデフォルト動作（ページリロード）を防止
+    e.preventDefault();
+    
+    // バリデーション
+    const validationError = validateForm();
+    if (validationError) {
+      setError(validationError);
       return;
     }
 
     // 送信中の状態に設定（ボタンの無効化などに使用）
     setIsSubmitting(true);
     setError("");
+    setSoldOutNotice("");
 
     try {
       // Firestore初期化チェック
@@ -394,140 +940,134 @@ export default function ReservePage() {
         throw new Error("公演情報が取得できませんでした。");
       }
 
-      // 選択されたステージ情報を取得
-      // なぜselectedStageを使うか：ユーザーが選択した日時情報を正確に保存するため
-      const selectedStageData = performance.stages[selectedStageId];
-
-      // ============================================
-      // 保存直前の最終残席チェック
-      // ============================================
-      // なぜこのチェックが必要か：
-      // - UIでの事前チェックと、実際の保存時点では時間差があるため
-      // - その間に他のユーザーが予約して残席が変動する可能性があるため
-      // - 保存直前の最新状態を確認することで、残席を超える予約を防ぐため
-      // - 注意：これはUIレベルでの最終チェックであり、完全な防止ではないため、
-      //   サーバー側（Firestore Security Rules）でもチェックが必要です
-      const seatLimit = selectedStageData?.seatLimit || 0;
-      
-      // 席数上限が設定されている場合のみ残席チェックを実行
-      if (seatLimit > 0) {
-        // 最新の予約済み人数を取得
-        // なぜ再取得するか：保存直前の最新状態を確認するため
-        const latestReservedSeats = await getReservedSeatsCount(performanceId, selectedStageId);
-        
-        // 最新の残席数を計算
-        const latestAvailableSeats = seatLimit - latestReservedSeats;
-        
-        // 希望人数を取得
-        const requestedPeople = Number(people) || 0;
-        
-        // 希望人数が残席を超えている場合、保存を中止
-        if (requestedPeople > latestAvailableSeats) {
-          setError(`残席が不足しています。残席: ${latestAvailableSeats}席、希望人数: ${requestedPeople}人。他のユーザーが予約した可能性があります。`);
-          setIsSubmitting(false); // 送信中の状態を解除
-          return; // ここで処理を中断（addDocを実行しない）
-        }
+      // 同じメールアドレスでの重複予約の確認（上限の最終的なチェックは保存時のトランザクションで行う）
+      if (!(await confirmDuplicateReservation())) {
+        return;
       }
 
-      // cancelTokenを生成
-      const cancelToken = generateCancelToken();
+      // ボット対策の確認を通過した場合のみ、予約パスを受け取れる
+      const reservationPassId = await obtainReservationPass([performanceId]);
+      if (!reservationPassId) {
+        return;
+      }
 
-      // 保存する予約データのオブジェクトを作成
+      // 予約の内容（券種の内訳・金額・cancelToken・予約番号は、関数が公演データから作り直して付ける）
       const reservationData = {
-        // 公演情報
-        performanceId: performanceId,                 // 公演ID（FirestoreのドキュメントID）
-        troupeId: performance.troupeId || "",        // 劇団ID
-        
-        // ステージ情報（ユーザーが選択した日時）
-        // なぜstageIdを保存するか：どのステージ（日時）を予約したかを明確にするため
-        stageId: selectedStageId,                    // ステージID（配列のインデックス、0から始まる）
-        stageDate: selectedStageData.date || "",     // 公演日（選択されたステージの日付）
-        stageStart: selectedStageData.start || "",   // 公演開始時間（選択されたステージの開始時間）
-        stageEnd: selectedStageData.end || "",       // 公演終了時間（選択されたステージの終了時間）
+        ...buildBookingData(),                        // 公演・ステージ・予約者の情報
         
-        // 公演の基本情報（検索・表示用に保存）
-        performanceTitle: performance.title || "",     // 公演タイトル
-        troupeName: troupeInfo?.troupeName || "",     // 劇団名
-        venue: performance.venue || "",               // 会場
-        prefecture: performance.prefecture || "",     // 都道府県
-        region: performance.region || "",             // 地域
-        price: performance.price || 0,                // 料金
+        // 座席（指定席のステージのみ。例：["A-5", "A-6"]）
+        ...(isSeatSelectable ? { seats: sortSeatLabels(validSelectedSeats) } : {}),
         
-        // 予約者情報
-        name: name.trim(),                            // 予約者名
-        email: email.trim(),                          // 予約者メールアドレス
-        people: Number(people),                       // 人数（文字列を数値に変換）
-        note: note.trim() || "",                      // 備考
-        
-        // メタデータ
-        createdAt: serverTimestamp(),                 // 作成日時（Firebaseサーバーのタイムスタンプ）
-        status: "active",                             // 予約ステータス（active: 有効な予約）
-        cancelToken: cancelToken,                     // キャンセル用トークン（ランダム文字列）
+        // 割引コード（適用した場合のみ。関数が割引額を計算し直し、画面の表示と違えば断る）
+        ...(appliedPromoCode
+          ? {
+              promoCode: appliedPromoCode.code,
+              discountAmount: discountAmount,
+            }
+          : {}),
       };
 
-      // Firestoreの"reservations"コレクションに予約データを追加
-      const docRef = await addDoc(collection(db, "reservations"), reservationData);
-      
-      console.log("予約データを保存しました。ドキュメントID:", docRef.id);
-      console.log("保存した予約データ:", reservationData);
-
       // ============================================
-      // mailQueueに送信依頼を追加（Phase1）
+      // 残席チェック + 予約 + mailQueue を Cloud Functions で保存
       // ============================================
-      // なぜmailQueueを使うか：
-      // - Phase1: 送信依頼を保存するだけ（実送信は後で実装）
-      // - Phase2: Firebase FunctionsでmailQueueを監視し、SendGrid等で実送信
-      // この設計により、後から実送信機能を追加しやすい
-      const cancelUrl = `${window.location.origin}/cancel?token=${cancelToken}`;
-      const mailQueueData = {
-        type: "reservation-confirm",
-        to: email.trim(),
-        subject: `【予約確認】${performance.title || "公演"}のご予約`,
-        body: `
-${name.trim()} 様
-
-この度は、${performance.title || "公演"}のご予約ありがとうございます。
-
-【予約内容】
-公演名：${performance.title || "タイトル未設定"}
-日時：${selectedStageData.date || ""} ${selectedStageData.start || ""}
-会場：${performance.venue || ""}
-予約者名：${name.trim()}
-人数：${people}名
-${note.trim() ? `備考：${note.trim()}` : ""}
-
-【キャンセルについて】
-キャンセルをご希望の場合は、以下のリンクからお手続きください。
-${cancelUrl}
-
-※このリンクは予約者様のみが使用できます。他の方に共有しないようご注意ください。
-
-ご不明な点がございましたら、劇団までお問い合わせください。
-        `.trim(),
-        status: "pending",
-        createdAt: serverTimestamp(),
-        reservationId: docRef.id,
-      };
+      // なぜ関数で保存するか：
+      // - 「残席を数えてからaddDocする」方式では、同時に送信した2人が
+      //   どちらもチェックを通過して席数上限を超えてしまうため
+      // - 画面から直接書き込むと、人数・券種・金額を書き換えた予約を保存できてしまうため
+      // - createReservation はステージごとの在庫ドキュメントを使って、
+      //   残席チェックと書き込み（予約確認メールの送信依頼を含む）を1つのトランザクションで実行する
+      // - 残席が足りない場合は何も保存されず、SOLD_OUTのエラーが返る
+      const reservation = await createReservation({
+        performanceId,
+        stageId: selectedStageId,
+        reservationData,
+        holdId, // 自分の仮押さえは残席から除き、予約と同時に解放する
+        reservationPassId,
+      });
 
-      // mailQueueコレクションに送信依頼を追加
-      await addDoc(collection(db, "mailQueue"), mailQueueData);
-      console.log("メール送信依頼をmailQueueに追加しました。");
+      console.log("予約データを保存しました。ドキュメントID:", reservation.id);
 
-      // 予約完了ページへ遷移
+      // 事前決済の場合は、お支払いページへ遷移する（予約確認メールはお支払いが済んでから送る）
+      if (needsPrepayment) {
+        navigate(`/payment?token=${reservation.cancelToken}`);
+        return;
+      }
+
+      // 予約完了ページへ遷移（カートからまとめて予約した場合と同じく、予約の配列で渡す）
+      // なぜreservationDataではなく関数が返した予約を渡すか：券種の内訳・金額・予約番号は関数が決めるため
+      // cancelTokenは、予約完了ページで電子チケット（QRコード）を受け取るために渡す
       navigate("/reserve-complete", {
         state: {
-          reservationData: {
-            reservationId: docRef.id,
-            performanceId: performanceId,
-            name,
-            email,
-            people,
-            note,
-            performanceTitle: performance.title,
-          },
+          reservations: [{ ...reservation, reservationId: reservation.id }],
         },
       });
     } catch (error) {
+      // ============================================
+      // 入力中に売り切れた場合の処理
+      // ============================================
+      // なぜ専用の表示にするか：
+      // - 「入力内容の誤り」ではなく「他のお客様の予約で席が埋まった」ことを明確に伝えるため
+      // - 残席表示を最新に更新し、人数の変更や別日時の選択を促すため
+      if (error.code === RESERVATION_ERROR_CODES.SOLD_OUT) {
+        setSoldOutNotice(
+          error.availableSeats > 0
+            ? `ご入力中に他のお客様の予約が入り、残席が${error.availableSeats}席になりました。人数を減らすか、別の日時を選択してください。`
+            : "ご入力中に他のお客様の予約が入り、この日時は満席になりました。別の日時を選択してください。"
+        );
+        setSeatsVersion((version) => version + 1); // 残席表示を再取得
+        return;
+      }
+      // 選んだ座席が先に予約された場合は、その座席を選択から外して選び直してもらう
+      if (error.code === RESERVATION_ERROR_CODES.SEAT_TAKEN) {
+        setSoldOutNotice(
+          `選択した座席（${formatSeatLabels(error.unavailableSeats)}）は他のお客様が先に予約されました。別の座席を選択してください。`
+        );
+        setSelectedSeats((seats) => seats.filter((seat) => !error.unavailableSeats.includes(seat)));
+        return;
+      }
+      // 割引コードが使えなくなった場合は、適用を外して割引コード欄で伝える
+      if (error.code === RESERVATION_ERROR_CODES.PROMO_CODE_INVALID) {
+        setAppliedPromoCode(null);
+        setPromoCodeMessage(error.message);
+        setError("割引コードを確認してください。割引コードを外して予約することもできます。");
+        return;
+      }
+      // 入力中に券種の販売上限に達した場合も、同じお知らせ欄で伝える
+      if (error.code === RESERVATION_ERROR_CODES.TICKET_QUOTA_EXCEEDED) {
+        setSoldOutNotice(
+          error.availableQuantity > 0
+            ? `ご入力中に他のお客様の予約が入り、「${error.ticketTypeName}」の残りが${error.availableQuantity}枚になりました。枚数を減らしてください。`
+            : `ご入力中に他のお客様の予約が入り、「${error.ticketTypeName}」は売り切れになりました。別の券種を選択してください。`
+        );
+        setSeatsVersion((version) => version + 1); // 残り枚数の表示を再取得
+        return;
+      }
+      // 入力中に車椅子スペース・同伴者席の枠が埋まった場合も、同じお知らせ欄で伝える
+      if (error.code === RESERVATION_ERROR_CODES.ACCESSIBILITY_QUOTA_EXCEEDED) {
+        setSoldOutNotice(`ご入力中に他のお客様の予約が入りました。${error.message}`);
+        setSeatsVersion((version) => version + 1); // 残りの数の表示を再取得
+        return;
+      }
+      // 人数・同じメールアドレスの予約件数の上限に達した場合、予約パスの期限が切れた場合は、理由をそのまま表示する
+      if (
+        error.code === RESERVATION_ERROR_CODES.PEOPLE_LIMIT_EXCEEDED ||
+        error.code === RESERVATION_ERROR_CODES.EMAIL_LIMIT_EXCEEDED ||
+        error.code === RESERVATION_ERROR_CODES.INVALID_ACCESSIBILITY ||
+        error.code === BOT_PROTECTION_ERROR_CODES.PASS_INVALID
+      ) {
+        setError(error.message);
+        return;
+      }
+      // 入力中に予約の受付が締め切られた場合（または予約開始前・抽選の前の場合）も、理由をそのまま表示する
+      if (
+        error.code === RESERVATION_ERROR_CODES.SALES_NOT_STARTED ||
+        error.code === RESERVATION_ERROR_CODES.SALES_CLOSED ||
+        error.code === RESERVATION_ERROR_CODES.LOTTERY_PENDING
+      ) {
+        setError(error.message);
+        return;
+      }
+
       // エラーが発生した場合の処理
       console.error("予約の保存に失敗しました:", error);
       setError(`予約の保存に失敗しました: ${error.message}`);
@@ -537,6 +1077,141 @@ ${cancelUrl}
     }
   };
 
+  /**
+   * 選択した公演日時をカートに追加する処理
+   * 
+   * 注意：
+   * - カートに入れただけでは席は確保されない（残席・座席はカートページで予約するときにまとめて確認する）
+   * - 割引コードはカートには入れない（このページから1件だけ予約する場合のみ使える）
+   */
+  const handleAddToCart = () => {
+    const validationError = validateSelection();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setError("");
+    setSoldOutNotice("");
+    try {
+      const items = addCartItem({
+        ...buildSelectionData(),
+        ...(isSeatSelectable ? { seats: sortSeatLabels(validSelectedSeats) } : {}),
+      });
+      setCartCount(items.length);
+      setCartNotice("カートに追加しました。他の公演日時も追加して、カートページでまとめて予約できます。");
+    } catch (error) {
+      console.error("カートへの追加に失敗しました:", error);
+      setError(`カートへの追加に失敗しました: ${error.message}`);
+    }
+  };
+
+  /**
+   * キャンセル待ち登録処理
+   * 
+   * 処理の流れ：
+   * 1. 予約と同じバリデーション・重複予約の確認
+   * 2. キャンセル待ちと受付メールの送信依頼を保存（joinWaitlist）
+   * 3. 登録完了のメッセージを表示
+   * 
+   * なぜキャンセル待ちでも重複予約を確認するか：
+   * - 繰り上げでは予約件数の上限を確認しないため、登録の時点で上限を守る
+   * 
+   * 注意：
+   * - 席が空いたときは、キャンセル処理の中で登録順に自動で予約へ繰り上がる
+   *   （繰り上げ時に新しいキャンセル用リンクを含む確定メールが送られる）
+   */
+  const handleJoinWaitlist = async () => {
+    const validationError = validateForm();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+    setSoldOutNotice("");
+
+    try {
+      if (!(await confirmDuplicateReservation())) {
+        return;
+      }
+      const reservationPassId = await obtainReservationPass([performanceId]);
+      if (!reservationPassId) {
+        return;
+      }
+      const entryId = await joinWaitlist(buildBookingData(), { reservationPassId });
+      console.log("キャンセル待ちを登録しました。ドキュメントID:", entryId);
+      setWaitlistJoined(true);
+    } catch (error) {
+      console.error("キャンセル待ちの登録に失敗しました:", error);
+      setError(`キャンセル待ちの登録に失敗しました: ${error.message}`);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * 抽選の申込処理
+   * 
+   * @param {Event} e - フォーム送信イベント
+   * 
+   * 処理の流れ：
+   * 1. 予約と同じバリデーション
+   * 2. 予約パスの受け取り（ボット対策）
+   * 3. 申込と受付メールの送信依頼を保存（applyForLottery）
+   * 4. 申込完了のメッセージを表示
+   * 
+   * なぜ予約データと同じ形で保存するか：
+   * - 当選した場合、申込のデータがそのまま予約データになるため（希望の公演日時だけを preferences に分ける）
+   */
+  const handleApplyLottery = async (e) => {
+    e.preventDefault();
+
+    const validationError = validateForm();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError("");
+
+    try {
+      const reservationPassId = await obtainReservationPass([performanceId]);
+      if (!reservationPassId) {
+        return;
+      }
+
+      // 公演日時は第1希望・第2希望の順で preferences に入れる（表示用の日時は関数が公演データから付ける）
+      const {
+        stageId: _stageId,
+        stageDate: _stageDate,
+        stageStart: _stageStart,
+        stageEnd: _stageEnd,
+        ...applicationData
+      } = buildBookingData();
+      const preferences = [selectedStageId, secondStageId].filter((stageId) => stageId !== null);
+
+      const applicationId = await applyForLottery({ ...applicationData, preferences }, { reservationPassId });
+      console.log("抽選の申込を保存しました。ドキュメントID:", applicationId);
+      setLotteryApplied(true);
+    } catch (error) {
+      // 申込済み・申込期間の終了・人数の上限などは、理由をそのまま表示する
+      if (
+        Object.values(LOTTERY_ERROR_CODES).includes(error.code) ||
+        error.code === BOT_PROTECTION_ERROR_CODES.PASS_INVALID
+      ) {
+        setError(error.message);
+        return;
+      }
+      console.error("抽選の申込に失敗しました:", error);
+      setError(`抽選の申込に失敗しました: ${error.message}`);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   // ローディング中の表示
   if (loading) {
     return (
@@ -557,10 +1232,92 @@ ${cancelUrl}
     );
   }
 
+  // キャンセル待ち登録完了の表示
+  if (waitlistJoined) {
+    return (
+      <div className="reserve-page">
+        <h1 className="reserve-title">キャンセル待ちを受け付けました</h1>
+        <div className="waitlist-complete" style={{
+          backgroundColor: "#e8f5e9",
+          color: "#2e7d32",
+          padding: "16px",
+          borderRadius: "8px",
+          border: "1px solid #81c784",
+          lineHeight: 1.8
+        }}>
+          <p>{name} 様（{attendeeCount}名）のキャンセル待ちを登録しました。</p>
+          <p>お席が空き次第、登録順に自動でご予約を確定し、{email} 宛てにお知らせします。</p>
+          <p>まだご予約は確定していませんのでご注意ください。</p>
+        </div>
+      </div>
+    );
+  }
+
+  // 抽選の申込完了の表示
+  if (lotteryApplied) {
+    return (
+      <div className="reserve-page">
+        <h1 className="reserve-title">抽選のお申し込みを受け付けました</h1>
+        <div className="lottery-complete" style={{
+          backgroundColor: "#e8f5e9",
+          color: "#2e7d32",
+          padding: "16px",
+          borderRadius: "8px",
+          border: "1px solid #81c784",
+          lineHeight: 1.8
+        }}>
+          <p>{name} 様（{attendeeCount}名）の抽選のお申し込みを受け付けました。</p>
+          <p>抽選の結果は、申込期間の終了後に {email} 宛てにお知らせします。</p>
+          <p>まだご予約は確定していませんのでご注意ください（当選した場合のみ、ご予約が確定します）。</p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="reserve-page">
       {/* ページタイトル */}
-      <h1 className="reserve-title">予約フォーム</h1>
+      <h1 className="reserve-title">{isLotteryApplication ? "抽選申込フォーム" : "予約フォーム"}</h1>
+
+      {/* 抽選の案内（抽選の公演で、まだ抽選を行っていない場合のみ） */}
+      {/* なぜ表示するか：先着順ではないこと、いつ結果が分かるかを、入力する前に伝えるため */}
+      {isLotteryPending(performance) && (
+        <div className="lottery-notice" style={{
+          backgroundColor: "#e3f2fd",
+          color: "#0d47a1",
+          padding: "12px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #64b5f6",
+          lineHeight: 1.7
+        }}>
+          <strong>この公演は抽選でお申し込みを受け付けます（{LOTTERY_PHASE_LABELS[lotteryPhase]}）。</strong>
+          <br />
+          {describeLotteryPeriod(performance)}
+          <br />
+          {lotteryPhase === LOTTERY_PHASES.OPEN &&
+            "第1希望と第2希望（任意）の公演日時を選んでお申し込みください。お申し込みの順番は抽選に影響しません。"}
+          {lotteryPhase === LOTTERY_PHASES.BEFORE && "申込期間になるまで、お申し込みはできません。"}
+          {lotteryPhase === LOTTERY_PHASES.CLOSED &&
+            "申込期間は終了しました。抽選の結果はメールでお知らせします。残った席は、抽選の後に先着順で受け付けます。"}
+        </div>
+      )}
+
+      {/* カートの案内（カートに1件以上ある場合のみ） */}
+      {(cartCount > 0 || cartNotice) && (
+        <div className="cart-notice" style={{
+          backgroundColor: "#e8f5e9",
+          color: "#2e7d32",
+          padding: "12px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #4caf50"
+        }}>
+          {cartNotice && <>{cartNotice}<br /></>}
+          カートに{cartCount}件の公演日時が入っています。
+          <Link to="/cart" style={{ marginLeft: "8px", fontWeight: "bold" }}>カートを見る</Link>
+        </div>
+      )}
 
       {/* エラーメッセージ表示 */}
       {error && (
@@ -576,6 +1333,22 @@ ${cancelUrl}
         </div>
       )}
 
+      {/* 入力中に売り切れた場合のお知らせ */}
+      {soldOutNotice && (
+        <div className="sold-out-notice" style={{
+          backgroundColor: "#fff3e0",
+          color: "#e65100",
+          padding: "12px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #ffb74d"
+        }}>
+          <strong>ご予約を完了できませんでした。</strong>
+          <br />
+          {soldOutNotice}
+        </div>
+      )}
+
       {/* 公演情報の表示（eventが存在する場合のみ表示） */}
       {event && (
         <div className="reserve-event-card">
@@ -586,14 +1359,19 @@ ${cancelUrl}
           </p>
           <p className="reserve-event-text">会場：{event.venue}</p>
           <p className="reserve-event-text">
-            {/* 料金が0円の場合は「無料」と表示 */}
-            料金：{event.price === 0 ? "無料" : `${event.price} 円`}
+            {/* 料金が0円の場合は「無料」と表示（券種が複数ある場合は券種ごとに表示） */}
+            料金：{ticketTypes
+              .map((ticketType) => {
+                const priceText = ticketType.price === 0 ? "無料" : `${ticketType.price} 円`;
+                return ticketTypes.length > 1 ? `${ticketType.name} ${priceText}` : priceText;
+              })
+              .join(" ／ ")}
           </p>
         </div>
       )}
 
       {/* 予約フォーム */}
-      <form onSubmit={handleSubmit} className="reserve-form">
+      <form onSubmit={isLotteryApplication ? handleApplyLottery : handleSubmit} className="reserve-form">
         {/* ============================================
             ステージ（日時）選択セクション
             ============================================
@@ -603,23 +1381,32 @@ ${cancelUrl}
         {performance?.stages && performance.stages.length > 0 && (
           <div className="reserve-field">
             <label className="reserve-label">
-              公演日時 <span style={{ color: "#c62828" }}>*</span>
+              {isLotteryApplication ? "第1希望の公演日時" : "公演日時"} <span style={{ color: "#c62828" }}>*</span>
             </label>
             <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
               {performance.stages.map((stage, index) => {
-                // なぜindexを使うか：配列のインデックスをstageIdとして使用するため
-                // これにより、どのステージが選択されたかを簡単に識別できます
-                const stageId = index;
+                // なぜstage.idを使うか：ステージの並び替え・削除でずれない固定IDで予約を紐付けるため
+                // （IDが未付与の旧データではインデックスを使います）
+                const stageId = getStageKey(stage, index);
                 const isSelected = selectedStageId === stageId;
                 
                 // 各ステージごとの残席を計算
-                // なぜ各ステージごとに計算するか：満席のステージを選択不可にするため
+                // なぜ各ステージごとに計算するか：満席のステージをグレー表示するため
+                // （満席でもキャンセル待ちに登録できるよう、選択は可能にしている）
                 const stageReservedSeats = stageReservedSeatsMap[stageId] || 0;
                 const seatLimit = stage.seatLimit || 0;
                 const availableSeats = seatLimit > 0 
                   ? seatLimit - stageReservedSeats 
                   : Infinity;
                 const isFull = seatLimit > 0 && availableSeats <= 0; // 満席かどうか
+
+                // 予約の受付状況（予約開始前・受付終了のステージは選択できない）
+                // なぜ選択できなくするか：キャンセル待ちも含めて、受付期間の外では申し込めないため
+                const salesStatus = getStageSalesStatus(performance, stage);
+                const isSalesOpen = salesStatus === SALES_STATUS.OPEN;
+                // 抽選の申込期間中は、抽選を受け付けているステージを選択できる
+                const isSelectable = isLotteryApplication ? salesStatus === SALES_STATUS.LOTTERY : isSalesOpen;
+                const salesWindowText = describeStageSalesWindow(performance, stage);
                 
                 // 日時の表示形式を整形
                 // 例：2025-12-03 14:00〜16:00
@@ -635,15 +1422,15 @@ ${cancelUrl}
                       display: "flex",
                       alignItems: "center",
                       padding: "12px",
-                      border: `2px solid ${isSelected ? "#4caf50" : isFull ? "#bdbdbd" : "#e0e0e0"}`,
+                      border: `2px solid ${isSelected ? "#4caf50" : isFull || !isSelectable ? "#bdbdbd" : "#e0e0e0"}`,
                       borderRadius: "8px",
-                      cursor: isFull ? "not-allowed" : "pointer",
+                      cursor: isSelectable ? "pointer" : "not-allowed",
                       backgroundColor: isSelected 
                         ? "#e8f5e9" 
-                        : isFull 
+                        : isFull || !isSelectable
                         ? "#f5f5f5" 
                         : "#fff",
-                      opacity: isFull ? 0.6 : 1, // 満席の場合はグレーアウト
+                      opacity: (isFull || !isSelectable) && !isSelected ? 0.6 : 1, // 満席・受付期間外の場合はグレーアウト
                       transition: "all 0.2s",
                     }}
                   >
@@ -654,14 +1441,13 @@ ${cancelUrl}
                       name="stage"
                       value={stageId}
                       checked={isSelected}
-                      disabled={isFull} // 満席の場合は選択不可
-                      onChange={(e) => {
-                        // 満席の場合は選択できないようにする
-                        if (isFull) {
-                          return;
-                        }
-                        // なぜNumber()で変換するか：e.target.valueは文字列なので、数値に変換する必要があるため
-                        setSelectedStageId(Number(e.target.value));
+                      disabled={!isSelectable}
+                      onChange={() => {
+                        // なぜe.target.valueを使わないか：valueは文字列になるため、
+                        // 旧データの数値ID（インデックス）を正しく扱えるよう元のstageIdをそのまま使う
+                        setSelectedStageId(stageId);
+                        setSelectedSeats([]); // 座席はステージごとに選び直す
+                        setSoldOutNotice(""); // 日時を選び直したらお知らせを消す
                         // エラーメッセージをクリア（ユーザーが選択したらエラーを消す）
                         if (error.includes("公演日時")) {
                           setError("");
@@ -669,15 +1455,41 @@ ${cancelUrl}
                       }}
                       style={{ 
                         marginRight: "12px", 
-                        cursor: isFull ? "not-allowed" : "pointer",
-                        opacity: isFull ? 0.5 : 1
+                        cursor: isSelectable ? "pointer" : "not-allowed"
                       }}
                     />
-                    <span style={{ flex: 1, color: isFull ? "#999" : "inherit" }}>
+                    <span style={{ flex: 1, color: isFull || !isSelectable ? "#999" : "inherit" }}>
                       {displayText}
+                      {/* 予約開始日時・締め切り（例：「2025-12-03 12:00 まで受付」） */}
+                      {salesWindowText && (
+                        <span style={{ display: "block", fontSize: "0.8em", color: "#666" }}>
+                          {salesWindowText}
+                        </span>
+                      )}
+                      {/* 車椅子スペース・同伴者席のある公演日時（車椅子の方が日時を選ぶときの目安） */}
+                      {hasAccessibilityQuota(stage) && (
+                        <span style={{ display: "block", fontSize: "0.8em", color: "#2e7d32" }}>
+                          ♿ {formatStageAccessibilityQuotas(stage)}
+                        </span>
+                      )}
                     </span>
-                    {/* 席数上限が設定されている場合の表示 */}
-                    {seatLimit > 0 ? (
+                    {/* 予約開始前・受付終了・公演中止の場合は、残席の代わりに受付状況を表示 */}
+                    {!isSalesOpen ? (
+                      <span style={{
+                        color: salesStatus === SALES_STATUS.CANCELLED
+                          ? "#c62828"
+                          : salesStatus === SALES_STATUS.CLOSED ? "#757575" : "#1565c0",
+                        fontSize: "0.9em",
+                        fontWeight: "bold",
+                        backgroundColor: salesStatus === SALES_STATUS.CANCELLED
+                          ? "#ffebee"
+                          : salesStatus === SALES_STATUS.CLOSED ? "#eeeeee" : "#e3f2fd",
+                        padding: "4px 8px",
+                        borderRadius: "4px"
+                      }}>
+                        {SALES_STATUS_LABELS[salesStatus]}
+                      </span>
+                    ) : seatLimit > 0 ? (
                       <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
                         {isFull ? (
                           // 満席の場合の表示
@@ -689,16 +1501,20 @@ ${cancelUrl}
                             padding: "4px 8px",
                             borderRadius: "4px"
                           }}>
-                            満席
+                            満席（キャンセル待ち受付中）
                           </span>
                         ) : (
                           // 残席がある場合の表示
                           <span style={{ color: "#666", fontSize: "0.9em" }}>
-                            （残席: {availableSeats}席）
+                            {SALES_STATUS_LABELS[salesStatus]}（残席: {availableSeats}席）
                           </span>
                         )}
                       </div>
-                    ) : null}
+                    ) : (
+                      <span style={{ color: "#666", fontSize: "0.9em" }}>
+                        {SALES_STATUS_LABELS[salesStatus]}
+                      </span>
+                    )}
                   </label>
                 );
               })}
@@ -712,6 +1528,44 @@ ${cancelUrl}
           </div>
         )}
 
+        {/* 第2希望の公演日時（抽選の申込のみ・任意） */}
+        {/* なぜ任意にするか：都合の合う日時が1つしか無い方もいるため */}
+        {isLotteryApplication && (
+          <div className="reserve-field">
+            <label className="reserve-label">第2希望の公演日時（任意）</label>
+            <select
+              className="reserve-input"
+              value={secondStageId === null ? "" : String(secondStageId)}
+              onChange={(e) => {
+                // option の value は文字列になるため、元のstageIdに戻す（旧データの数値IDに対応するため）
+                const stageIndex = performance.stages.findIndex(
+                  (stage, index) => String(getStageKey(stage, index)) === e.target.value
+                );
+                setSecondStageId(stageIndex >= 0 ? getStageKey(performance.stages[stageIndex], stageIndex) : null);
+                if (error.includes("第2希望")) {
+                  setError("");
+                }
+              }}
+            >
+              <option value="">第2希望なし</option>
+              {performance.stages.map((stage, index) => {
+                const stageId = getStageKey(stage, index);
+                if (stageId === selectedStageId || getStageSalesStatus(performance, stage) !== SALES_STATUS.LOTTERY) {
+                  return null; // 第1希望と同じ日時・受付が終わった日時は選べない
+                }
+                return (
+                  <option key={stageId} value={String(stageId)}>
+                    {stage.date || ""} {stage.start || ""}{stage.end ? `〜${stage.end}` : ""}
+                  </option>
+                );
+              })}
+            </select>
+            <p style={{ color: "#666", fontSize: "0.9em", marginTop: "4px" }}>
+              第1希望で当選しなかった場合のみ、第2希望で抽選します。
+            </p>
+          </div>
+        )}
+
         {/* 氏名入力フィールド */}
         <div className="reserve-field">
           <label className="reserve-label">氏名</label>
@@ -765,16 +1619,261 @@ ${cancelUrl}
           )}
         </div>
 
-        {/* 人数入力フィールド */}
+        {/* 券種ごとの枚数入力フィールド */}
+        {/* なぜ券種ごとに入力するか：一般・学生などで料金が異なり、膝上の未就学児は席を使わないため */}
         <div className="reserve-field">
-          <label className="reserve-label">人数</label>
-          <input
-            className="reserve-input"
-            type="number"                                  // 数値入力
-            min="1"                                        // 最小値：1人
-            value={people}
-            onChange={(e) => setPeople(e.target.value)}
-            required
+          <label className="reserve-label">枚数</label>
+          <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+            {ticketTypes.map((ticketType) => {
+              // 販売上限がある券種は、選択中のステージの残り枚数を表示する
+              const remainingQuota = ticketType.quota > 0 && selectedStageId !== null
+                ? Math.max(ticketType.quota - (Number(stageTicketCounts[ticketType.id]) || 0), 0)
+                : null;
+              return (
+                <div
+                  key={ticketType.id}
+                  className="ticket-type-row"
+                  style={{ display: "flex", alignItems: "center", gap: "12px" }}
+                >
+                  <span style={{ flex: 1 }}>
+                    {ticketType.name}（{ticketType.price === 0 ? "無料" : `${ticketType.price} 円`}）
+                    {!ticketType.occupiesSeat && (
+                      <span style={{ color: "#666", fontSize: "0.85em", marginLeft: "6px" }}>
+                        ※お席は使いません
+                      </span>
+                    )}
+                    {remainingQuota !== null && (
+                      <span style={{ color: remainingQuota === 0 ? "#c62828" : "#666", fontSize: "0.85em", marginLeft: "6px" }}>
+                        {remainingQuota === 0 ? "売り切れ" : `残り${remainingQuota}枚`}
+                      </span>
+                    )}
+                  </span>
+                  <input
+                    className="reserve-input"
+                    type="number"                          // 数値入力
+                    min="0"                                // 最小値：0枚（この券種は買わない）
+                    value={ticketQuantities[ticketType.id] ?? 0}
+                    onChange={(e) => {
+                      setTicketQuantities({ ...ticketQuantities, [ticketType.id]: e.target.value });
+                      setSoldOutNotice(""); // 枚数を変更したらお知らせを消す
+                    }}
+                    style={{ width: "90px" }}
+                  />
+                </div>
+              );
+            })}
+          </div>
+          {/* 合計の表示 */}
+          <p style={{ marginTop: "8px", color: "#333" }}>
+            合計：{attendeeCount}名
+            {requestedSeats !== attendeeCount && `（お席 ${requestedSeats}席）`}
+            ／ {totalPrice === 0 ? "無料" : `${totalPrice.toLocaleString("ja-JP")} 円`}
+          </p>
+          {/* 割引後の金額（割引コードを適用した場合のみ） */}
+          {appliedPromoCode && (
+            <p style={{ color: "#2e7d32" }}>
+              割引（{appliedPromoCode.code}）：-{discountAmount.toLocaleString("ja-JP")} 円
+              ／ お支払い金額：{finalPrice === 0 ? "無料" : `${finalPrice.toLocaleString("ja-JP")} 円`}
+            </p>
+          )}
+          {/* お支払い方法（事前決済の場合は、予約の後すぐにお支払いいただくことを伝える） */}
+          {totalPrice > 0 && !isLotteryApplication && (
+            <p style={{ color: "#555", fontSize: "0.9em" }}>
+              お支払い方法：{PAYMENT_METHOD_LABELS[getPaymentMethod(performance)]}
+              {needsPrepayment
+                ? `（予約の後、${PAYMENT_HOLD_MINUTES}分以内にお支払いください。期限を過ぎると予約は取り消されます）`
+                : "（当日、受付でお支払いください）"}
+            </p>
+          )}
+        </div>
+
+        {/* 割引コード入力（任意。抽選の申込では使えない） */}
+        {!isLotteryApplication && (
+          <div className="reserve-field">
+            <label className="reserve-label">割引コード（任意）</label>
+            <div style={{ display: "flex", gap: "8px" }}>
+              <input
+                className="reserve-input"
+                type="text"
+                value={promoCodeInput}
+                placeholder="お持ちの方のみ入力してください"
+                onChange={(e) => {
+                  setPromoCodeInput(e.target.value);
+                  setPromoCodeMessage("");
+                }}
+                disabled={Boolean(appliedPromoCode)}
+                style={{ flex: 1 }}
+              />
+              {appliedPromoCode ? (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setAppliedPromoCode(null);
+                    setPromoCodeInput("");
+                  }}
+                >
+                  取り消す
+                </button>
+              ) : (
+                <button type="button" onClick={handleApplyPromoCode} disabled={applyingPromoCode}>
+                  {applyingPromoCode ? "確認中..." : "適用する"}
+                </button>
+              )}
+            </div>
+            {appliedPromoCode && (
+              <p style={{ color: "#2e7d32", fontSize: "0.9em", marginTop: "4px" }}>
+                「{appliedPromoCode.code}」を適用しました（{formatPromoDiscount(appliedPromoCode)}）。
+              </p>
+            )}
+            {promoCodeMessage && (
+              <p style={{ color: "#c62828", fontSize: "0.9em", marginTop: "4px" }}>{promoCodeMessage}</p>
+            )}
+          </div>
+        )}
+
+        {/* 座席選択（座席表のあるステージのみ） */}
+        {/* なぜ枚数の後に置くか：選ぶ座席の数は「席を使う券種の枚数」で決まるため */}
+        {isSeatSelectable && (
+          <div className="reserve-field">
+            <label className="reserve-label">
+              座席 <span style={{ color: "#c62828" }}>*</span>
+            </label>
+            <p style={{ color: "#666", fontSize: "0.9em", marginBottom: "8px" }}>
+              {requestedSeats}席を選択してください（選択中：{validSelectedSeats.length}席
+              {validSelectedSeats.length > 0 && ` ${formatSeatLabels(validSelectedSeats)}`}）
+            </p>
+            {lostSeatCount > 0 && (
+              <p style={{ color: "#e65100", fontSize: "0.9em", marginBottom: "8px" }}>
+                選択中の座席のうち{lostSeatCount}席が他のお客様に予約されたため、選択を外しました。
+              </p>
+            )}
+            <SeatMap
+              layout={getSeatMapLayout(selectedStage.seatMap)}
+              takenSeats={takenSeats}
+              selectedSeats={validSelectedSeats}
+              onSeatClick={handleSeatClick}
+            />
+          </div>
+        )}
+
+        {/* 劇団が設定した追加質問 */}
+        {formQuestions.map((question) => (
+          <div key={question.id} className="reserve-field">
+            {question.type === QUESTION_TYPES.CHECKBOX ? (
+              <label className="reserve-checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={answers[question.id] === true}
+                  onChange={(e) => setAnswers({ ...answers, [question.id]: e.target.checked })}
+                />
+                {question.label}{question.required && "（必須）"}
+              </label>
+            ) : (
+              <>
+                <label className="reserve-label">
+                  {question.label}{question.required ? "（必須）" : "（任意）"}
+                </label>
+                {question.type === QUESTION_TYPES.TEXT && (
+                  <input
+                    type="text"
+                    className="reserve-input"
+                    value={answers[question.id] || ""}
+                    maxLength={MAX_TEXT_ANSWER_LENGTH}
+                    onChange={(e) => setAnswers({ ...answers, [question.id]: e.target.value })}
+                  />
+                )}
+                {question.type === QUESTION_TYPES.SINGLE_CHOICE && question.options.map((option) => (
+                  <label key={option} className="reserve-checkbox-label">
+                    <input
+                      type="radio"
+                      name={question.id}
+                      checked={answers[question.id] === option}
+                      onChange={() => setAnswers({ ...answers, [question.id]: option })}
+                    />
+                    {option}
+                  </label>
+                ))}
+                {question.type === QUESTION_TYPES.MULTIPLE_CHOICE && question.options.map((option) => {
+                  const selected = answers[question.id] || [];
+                  return (
+                    <label key={option} className="reserve-checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(option)}
+                        onChange={(e) => setAnswers({
+                          ...answers,
+                          [question.id]: e.target.checked
+                            ? [...selected, option]
+                            : selected.filter((current) => current !== option),
+                        })}
+                      />
+                      {option}
+                    </label>
+                  );
+                })}
+              </>
+            )}
+          </div>
+        ))}
+
+        {/* 配慮のご要望（任意） */}
+        {/* なぜ備考と分けるか：受付で準備するために、劇団の予約一覧で車椅子スペースなどを数えられるようにするため */}
+        <div className="reserve-field reserve-accessibility">
+          <label className="reserve-label">配慮のご要望（任意）</label>
+          <p style={{ color: "#666", fontSize: "0.9em", marginBottom: "8px" }}>
+            ご来場にあたってお手伝いが必要な場合はお知らせください。当日の受付で準備いたします。
+          </p>
+          {[ACCESSIBILITY_NEEDS.WHEELCHAIR, ACCESSIBILITY_NEEDS.COMPANION].map((need) => {
+            // 選択中の公演日時に枠が無いものは、入力欄を出さない
+            if (accessibilityQuotas[need] <= 0) {
+              return null;
+            }
+            // 枠の残り（抽選の申込では、残りは抽選で決まるので表示しない）
+            const remaining = Math.max(accessibilityQuotas[need] - (Number(stageAccessibilityCounts[need]) || 0), 0);
+            return (
+              <div key={need} className="reserve-accessibility-count">
+                <span>{ACCESSIBILITY_NEED_LABELS[need]}</span>
+                <input
+                  type="number"
+                  className="reserve-input"
+                  min="0"
+                  max={Math.min(requestedSeats, accessibilityQuotas[need])}
+                  value={accessibilityInput[need]}
+                  onChange={(e) => setAccessibilityInput({
+                    ...accessibilityInput,
+                    [need]: Math.max(parseInt(e.target.value, 10) || 0, 0),
+                  })}
+                  style={{ width: "80px" }}
+                />
+                {!isLotteryApplication && (
+                  <span style={{ color: "#666", fontSize: "0.9em" }}>残り：{remaining}</span>
+                )}
+              </div>
+            );
+          })}
+          {selectedStage && !hasAccessibilityQuota(selectedStage) && (
+            <p style={{ color: "#666", fontSize: "0.9em", marginBottom: "8px" }}>
+              この公演日時には車椅子スペースの用意がありません。車椅子でご来場の場合は、劇団にお問い合わせください。
+            </p>
+          )}
+          {[ACCESSIBILITY_NEEDS.HEARING, ACCESSIBILITY_NEEDS.VISUAL].map((need) => (
+            <label key={need} className="reserve-checkbox-label">
+              <input
+                type="checkbox"
+                checked={accessibilityInput[need]}
+                onChange={(e) => setAccessibilityInput({ ...accessibilityInput, [need]: e.target.checked })}
+              />
+              {need === ACCESSIBILITY_NEEDS.HEARING
+                ? "聴覚のサポートを希望する（台本の貸し出し・筆談など）"
+                : "視覚のサポートを希望する（座席までのご案内など）"}
+            </label>
+          ))}
+          <textarea
+            className="reserve-textarea"
+            placeholder="詳しいご要望（例：段差の少ない入口を使いたい、補助犬と来場する）"
+            value={accessibilityInput.note}
+            maxLength={MAX_ACCESSIBILITY_NOTE_LENGTH}
+            onChange={(e) => setAccessibilityInput({ ...accessibilityInput, note: e.target.value })}
           />
         </div>
 
@@ -789,42 +1888,188 @@ ${cancelUrl}
           />
         </div>
 
+        {/* ハニーポット（ボット対策）
+            人には見えない入力欄。ボットは全ての欄を埋めがちなので、値が入っていたらサーバー側で拒否する
+            なぜ display: none にしないか：display: none の欄を読み飛ばすボットがあるため、画面の外に置く */}
+        <div aria-hidden="true" style={{ position: "absolute", left: "-10000px", width: "1px", height: "1px", overflow: "hidden" }}>
+          <label>
+            ウェブサイト（入力しないでください）
+            <input
+              type="text"
+              name={HONEYPOT_FIELD_NAME}
+              value={honeypot}
+              onChange={(e) => setHoneypot(e.target.value)}
+              tabIndex={-1}
+              autoComplete="off"
+            />
+          </label>
+        </div>
+
+        {/* 確認の質問（短い時間に予約が続いた場合のみ表示） */}
+        {challenge && (
+          <div className="reserve-field">
+            <label className="reserve-label">確認の質問：{challenge.question}</label>
+            <input
+              type="number"
+              className="reserve-input"
+              value={challengeAnswer}
+              onChange={(e) => setChallengeAnswer(e.target.value)}
+            />
+          </div>
+        )}
+
         {/* 送信ボタン */}
         {/* 
           なぜ残席チェックでボタンを無効化するか：
           - 残席が不足している場合、予約できないことを明確に伝えるため
           - ユーザーが誤って予約しようとするのを防ぐため（UIレベルでの防止）
-          - 注意：これは完全な防止ではないため、サーバー側でもチェックが必要です
+          - 注意：最終的な残席チェックは保存時のトランザクション（createReservation）で行います
         */}
         {(() => {
           // 残席チェックの結果を計算
           const selectedStageData = selectedStageId !== null && performance?.stages 
-            ? performance.stages[selectedStageId] 
+            ? findStageById(performance.stages, selectedStageId) 
             : null;
           const seatLimit = selectedStageData?.seatLimit || 0;
           const availableSeats = seatLimit > 0 ? seatLimit - reservedSeats : Infinity;
-          const requestedPeople = Number(people) || 0;
-          const isSeatInsufficient = seatLimit > 0 && requestedPeople > availableSeats;
+          // 抽選の申込では残席を確認しない（席は抽選で割り当てる）
+          const isSeatInsufficient = !isLotteryApplication && seatLimit > 0 && requestedSeats > availableSeats;
           
           // メールアドレス不一致チェック
           const isEmailMismatch = email && emailConfirm && email !== emailConfirm;
+
+          // キャンセルポリシー（予約する前に締め切りを確認してもらう）
+          const cancellationPolicy = selectedStageData ? getCancellationPolicy(performance, selectedStageData) : null;
           
           return (
-            <button 
-              type="submit"
-              className="reserve-button"
-              disabled={isSubmitting || checkingSeats || isSeatInsufficient || isEmailMismatch}
-            >
-              {isSubmitting 
-                ? "予約処理中..." 
-                : checkingSeats 
-                ? "残席を確認中..." 
-                : isSeatInsufficient
-                ? "残席が不足しています"
-                : isEmailMismatch
-                ? "メールアドレスを確認してください"
-                : "この公演を予約する"}
-            </button>
+            <>
+              {cancellationPolicy && (
+                <div
+                  className="cancellation-policy-notice"
+                  style={{
+                    backgroundColor: "#f5f5f5",
+                    color: "#444",
+                    padding: "12px",
+                    borderRadius: "8px",
+                    marginBottom: "16px",
+                    fontSize: "0.9em",
+                    whiteSpace: "pre-wrap",
+                  }}
+                >
+                  {cancellationPolicy.deadline && (
+                    <strong>キャンセル・変更の締め切り：{formatDateTime(cancellationPolicy.deadline)}{"\n"}</strong>
+                  )}
+                  {cancellationPolicy.policyText}
+                </div>
+              )}
+
+              {/* 仮押さえの残り時間 */}
+              {activeSeatHold && (
+                <div
+                  className="seat-hold-notice"
+                  style={{
+                    backgroundColor: activeSeatHold.expiresAt - holdNow <= 60 * 1000 ? "#fff3e0" : "#e8f5e9",
+                    color: activeSeatHold.expiresAt - holdNow <= 60 * 1000 ? "#e65100" : "#2e7d32",
+                    padding: "12px",
+                    borderRadius: "8px",
+                    marginBottom: "16px",
+                    fontSize: "0.9em",
+                  }}
+                >
+                  {activeSeatHold.seats}席を仮押さえしています。残り
+                  <strong style={{ margin: "0 4px", fontSize: "1.1em" }}>
+                    {formatHoldRemaining(activeSeatHold.expiresAt - holdNow)}
+                  </strong>
+                  以内に予約を確定してください。
+                </div>
+              )}
+              {holdExpired && !activeSeatHold && (
+                <div
+                  className="seat-hold-notice"
+                  style={{
+                    backgroundColor: "#fff3e0",
+                    color: "#e65100",
+                    padding: "12px",
+                    borderRadius: "8px",
+                    marginBottom: "16px",
+                    fontSize: "0.9em",
+                  }}
+                >
+                  仮押さえの期限（{SEAT_HOLD_MINUTES}分）が切れたため、席の確保を解除しました。
+                  このまま予約することもできますが、先に他のお客様の予約が入る場合があります。
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setHoldExpired(false);
+                      setHoldVersion((version) => version + 1);
+                    }}
+                    style={{ marginLeft: "8px" }}
+                  >
+                    席を確保し直す
+                  </button>
+                </div>
+              )}
+
+              <button 
+                type="submit"
+                className="reserve-button"
+                disabled={isSubmitting || checkingSeats || isSeatInsufficient || isEmailMismatch}
+              >
+                {isSubmitting 
+                  ? (isLotteryApplication ? "申込処理中..." : "予約処理中...")
+                  : checkingSeats 
+                  ? "残席を確認中..." 
+                  : isSeatInsufficient
+                  ? "残席が不足しています"
+                  : isEmailMismatch
+                  ? "メールアドレスを確認してください"
+                  : isLotteryApplication
+                  ? "抽選に申し込む"
+                  : needsPrepayment
+                  ? "予約してお支払いへ進む"
+                  : "この公演を予約する"}
+              </button>
+
+              {/* カートに追加ボタン（予約者情報は入力しなくてよい。抽選の申込ではカートを使わない） */}
+              {/* 事前決済の公演はお支払いページが1件ずつのため、カートを使わない */}
+              {!isSeatInsufficient && !isLotteryApplication && !isPrepaidPerformance && (
+                <div className="cart-add-section" style={{ marginTop: "16px" }}>
+                  <p style={{ color: "#666", fontSize: "0.9em", marginBottom: "8px" }}>
+                    別の日時や別の公演も一緒に予約する場合は、カートに追加してからまとめて予約できます。
+                    {appliedPromoCode && "（割引コードはカートでは使えません）"}
+                  </p>
+                  <button
+                    type="button"
+                    className="reserve-button"
+                    onClick={handleAddToCart}
+                    disabled={isSubmitting || checkingSeats}
+                    style={{ backgroundColor: "#6d4c41" }}
+                  >
+                    カートに追加する
+                  </button>
+                </div>
+              )}
+
+              {/* キャンセル待ち登録ボタン（残席が足りない場合のみ表示） */}
+              {/* なぜ別ボタンにするか：予約が確定しないことを、押す前にはっきり区別できるようにするため */}
+              {isSeatInsufficient && !checkingSeats && (
+                <div className="waitlist-section" style={{ marginTop: "16px" }}>
+                  <p style={{ color: "#666", fontSize: "0.9em", marginBottom: "8px" }}>
+                    キャンセル待ちに登録すると、お席が空いたときに登録順で自動的にご予約が確定し、メールでお知らせします。
+                    {isPrepaidPerformance && "（繰り上がったご予約は、当日受付でのお支払いになります）"}
+                  </p>
+                  <button
+                    type="button"
+                    className="reserve-button"
+                    onClick={handleJoinWaitlist}
+                    disabled={isSubmitting || isEmailMismatch}
+                    style={{ backgroundColor: "#ff9800" }}
+                  >
+                    {isSubmitting ? "登録処理中..." : "キャンセル待ちに登録する"}
+                  </button>
+                </div>
+              )}
+            </>
           );
         })()}
       </form>
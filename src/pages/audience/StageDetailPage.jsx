@@ -9,19 +9,33 @@
  * 1. Firestoreから公演データを取得
  * 2. 公演の基本情報表示（タイトル、劇団、日時、会場、料金）
  * 3. あらすじ、キャスト、スタッフ情報の表示
- * 4. 予約ボタンの表示（公演が終了している場合は非表示）
+ * 4. 予約ボタンの表示（受付中のステージが無い場合は非表示）
  * 5. 公演終了判定と終了メッセージの表示
+ * 6. ステージごとの予約の受付状況（予約開始前 / 受付中 / 受付終了）の表示
+ * 7. 抽選の公演の申込期間の表示と、抽選の申込ボタン（申込期間中のみ）
  */
 
 import { useState, useEffect } from "react";
 import { useParams, Link } from "react-router-dom";
-import { doc, getDoc, collection, query, where, getDocs } from "firebase/firestore";
+import { doc, getDoc } from "firebase/firestore";
 import { db } from "../../firebase";
-import { 
-  getTotalReservedPeople, 
-  getTotalSeatLimit, 
-  getReservationStatus 
+import { getStageInventory } from "../../services/reservationService";
+import {
+  getTotalSeatLimit,
+  getReservationStatus
 } from "../troupe/TroupePerformancesPage";
+import { getStageKey } from "../../../functions/shared/stageUtils.js";
+import {
+  SALES_STATUS,
+  SALES_STATUS_LABELS,
+  getStageSalesStatus,
+  getPerformanceSalesStatus,
+  getSalesStartDate,
+  describeStageSalesWindow,
+  hasPerformanceEnded,
+} from "../../../functions/shared/salesWindowUtils.js";
+import { formatDateTime } from "../../../functions/shared/deadlineUtils.js";
+import { LOTTERY_PHASES, getLotteryPhase, describeLotteryPeriod } from "../../../functions/shared/lotteryUtils.js";
 import "./StageDetailPage.css";
 
 /**
@@ -97,23 +111,17 @@ export default function StageDetailPage() {
         // ============================================
         // 予約状況の取得と判定
         // ============================================
-        // Firestoreから予約データを取得して予約状況を判定
+        // ステージごとの座席在庫から予約済みの席数を集計して予約状況を判定
+        // （予約データは劇団だけが読めるため、観客の画面では在庫ドキュメントを使う）
         try {
-          // 1. 予約データを取得（performanceIdでフィルタ）
-          const reservationsQuery = query(
-            collection(db, "reservations"),
-            where("performanceId", "==", performanceData.id)
+          // 1. ステージごとの予約済みの席数を取得
+          const stages = performanceData.stages || [];
+          const inventories = await Promise.all(
+            stages.map((stage, index) => getStageInventory(performanceData.id, getStageKey(stage, index)))
           );
-          const reservationsSnapshot = await getDocs(reservationsQuery);
 
-          // 予約データを配列形式に変換
-          const reservations = [];
-          reservationsSnapshot.forEach((doc) => {
-            reservations.push(doc.data());
-          });
-
-          // 2. 予約人数と席数上限を集計
-          const totalReservedPeople = getTotalReservedPeople(reservations);
+          // 2. 予約済みの席数と席数上限を集計
+          const totalReservedPeople = inventories.reduce((sum, inventory) => sum + inventory.reservedSeats, 0);
           const totalSeatLimit = getTotalSeatLimit(performanceData.stages || []);
 
           // 3. 予約状況を判定
@@ -122,14 +130,14 @@ export default function StageDetailPage() {
 
           // 4. Firestore連携確認のためのconsole.log
           console.log("=== 予約状況データ ===");
-          console.log("reservations:", reservations);
+          console.log("inventories:", inventories);
           console.log("stages:", performanceData.stages);
           console.log("totalReservedPeople:", totalReservedPeople);
           console.log("totalSeatLimit:", totalSeatLimit);
           console.log("reservationStatus:", status);
           console.log("====================");
         } catch (reservationError) {
-          console.warn("予約データの取得に失敗しました:", reservationError);
+          console.warn("座席在庫の取得に失敗しました:", reservationError);
           // エラーが発生しても公演データは表示するため、予約状況はnullのまま
         }
 
@@ -197,26 +205,27 @@ export default function StageDetailPage() {
    * 公演が終了しているかどうかを判定
    * 
    * 判定ロジック：
-   * - 公演の最終日（endDate）が設定されている場合：最終日と現在日を比較
-   * - endDateが設定されていない場合：公演日（date）を最終日として扱う
+   * - 全てのステージの開演日時を過ぎていれば終了（salesWindowUtils の hasPerformanceEnded）
+   * 
+   * なぜ最終日の日付ではなく、ステージごとの開演日時で判定するか：
+   * - 日付だけで判定すると、最終日の14時のステージが終わった後も、その日のうちは予約ボタンが表示されてしまうため
    * 
    * @returns {boolean} 公演が終了している場合true
    */
   const isEventEnded = () => {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // 時刻を00:00:00にリセット
-
-    // 公演の最終日を取得（endDateがあればそれを使用、なければdateを使用）
-    const endDateString = event.endDate || event.date;
-    const endDate = new Date(endDateString);
-    endDate.setHours(0, 0, 0, 0);
-
-    // 最終日が今日より前の場合、公演は終了している
-    return endDate < today;
+    return hasPerformanceEnded(performance);
   };
 
   const eventEnded = isEventEnded();
 
+  // 公演全体の予約の受付状況（受付中のステージが1つでもあれば受付中）
+  // 予約ボタンは受付中の場合のみ表示する（予約開始前は予約開始日時を案内する）
+  const salesStatus = getPerformanceSalesStatus(performance);
+  const isSalesOpen = salesStatus === SALES_STATUS.OPEN;
+  const salesStartDate = getSalesStartDate(performance);
+  // 抽選の申込期間中は、予約ボタンの代わりに抽選の申込ボタンを表示する（申込は予約ページで行う）
+  const isLotteryOpen = getLotteryPhase(performance) === LOTTERY_PHASES.OPEN;
+
   return (
     <div className="detail-container">
       {/* 公演終了メッセージ（公演が終了している場合のみ表示） */}
@@ -233,7 +242,7 @@ export default function StageDetailPage() {
             ⚠️ この公演は終了しました
           </h2>
           <p style={{ color: "#666", margin: 0 }}>
-            公演の最終日が過ぎているため、予約はできません。
+            全ての公演日時が過ぎているため、予約はできません。
           </p>
         </div>
       )}
@@ -269,7 +278,24 @@ export default function StageDetailPage() {
         </p>
 
         {/* 予約状況表示（観客側UI専用） */}
-        {reservationStatus && (
+        {/* 受付中でない場合は、残席より先に受付状況（予約開始前・受付終了）を伝える */}
+        {!eventEnded && !isSalesOpen && (
+          <div className="reservation-status" style={{
+            marginTop: "12px",
+            marginBottom: "12px",
+            fontSize: "1em",
+            fontWeight: 500
+          }}>
+            {SALES_STATUS_LABELS[salesStatus]}
+            {salesStatus === SALES_STATUS.NOT_STARTED && salesStartDate && (
+              <span>（{formatDateTime(salesStartDate)} 予約開始）</span>
+            )}
+            {salesStatus === SALES_STATUS.LOTTERY && (
+              <span>（{describeLotteryPeriod(performance)}）</span>
+            )}
+          </div>
+        )}
+        {isSalesOpen && reservationStatus && (
           <div className="reservation-status" style={{
             marginTop: "12px",
             marginBottom: "12px",
@@ -282,15 +308,44 @@ export default function StageDetailPage() {
           </div>
         )}
 
-        {/* 予約ボタン（上部）- 公演が終了している場合は非表示 */}
+        {/* 予約ボタン（上部）- 受付中のステージが無い場合は非表示 */}
         {/* event.idは公演ID（performanceId）で、予約ページのURLパラメータとして渡されます */}
-        {!eventEnded && (
+        {!eventEnded && isSalesOpen && (
           <Link to={`/reserve/${event.id}`} className="detail-reserve-btn top-btn">
             この公演を予約する
           </Link>
         )}
+        {!eventEnded && isLotteryOpen && (
+          <Link to={`/reserve/${event.id}`} className="detail-reserve-btn top-btn">
+            抽選に申し込む
+          </Link>
+        )}
       </div>
 
+      {/* ▼ 公演日時と予約の受付状況（ステージごと） */}
+      {performance.stages && performance.stages.length > 0 && (
+        <div className="detail-section">
+          <h2 className="section-title">公演日時</h2>
+          <ul className="schedule-list">
+            {performance.stages.map((stage, index) => {
+              const stageSalesStatus = getStageSalesStatus(performance, stage);
+              const salesWindowText = describeStageSalesWindow(performance, stage);
+              return (
+                <li key={getStageKey(stage, index)} className="schedule-item">
+                  <span className="schedule-date">
+                    {stage.date} {stage.start}{stage.end ? `〜${stage.end}` : ""}
+                  </span>
+                  <span className={`schedule-status schedule-status-${stageSalesStatus}`}>
+                    {SALES_STATUS_LABELS[stageSalesStatus]}
+                  </span>
+                  {salesWindowText && <span className="schedule-window">{salesWindowText}</span>}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
       {/* ▼ あらすじ */}
       <div className="detail-section">
         <h2 className="section-title">あらすじ</h2>
@@ -332,7 +387,7 @@ export default function StageDetailPage() {
       )}
 
       {/* 予約状況表示（下部）- 観客側UI専用 */}
-      {reservationStatus && (
+      {isSalesOpen && reservationStatus && (
         <div className="reservation-status-bottom" style={{
           textAlign: "center",
           marginTop: "20px",
@@ -346,15 +401,22 @@ export default function StageDetailPage() {
         </div>
       )}
 
-      {/* 予約ボタン（下部にも配置）- 公演が終了している場合は非表示 */}
+      {/* 予約ボタン（下部にも配置）- 受付中のステージが無い場合は非表示 */}
       {/* event.idは公演ID（performanceId）で、予約ページのURLパラメータとして渡されます */}
-      {!eventEnded && (
+      {!eventEnded && isSalesOpen && (
         <div className="detail-bottom-reserve">
           <Link to={`/reserve/${event.id}`} className="detail-reserve-btn">
             この公演を予約する
           </Link>
         </div>
       )}
+      {!eventEnded && isLotteryOpen && (
+        <div className="detail-bottom-reserve">
+          <Link to={`/reserve/${event.id}`} className="detail-reserve-btn">
+            抽選に申し込む
+          </Link>
+        </div>
+      )}
 
       {/* ▼ 公演一覧へ戻る */}
       <div className="detail-back">
@@ -8,8 +8,20 @@ import { useState, useEffect } from "react";
 import { useLocation, Link } from "react-router-dom";
 import { collection, getDocs, query, orderBy, doc, getDoc } from "firebase/firestore";
 import { db } from "../../firebase";
+import { getStageKey } from "../../../functions/shared/stageUtils.js";
+import { getStageStartDate } from "../../../functions/shared/deadlineUtils.js";
+import {
+  SALES_STATUS,
+  SALES_STATUS_LABELS,
+  getStageSalesStatus,
+  getPerformanceSalesStatus,
+  hasPerformanceEnded,
+} from "../../../functions/shared/salesWindowUtils.js";
 import "./StageListPage.css";
 
+// 公演カードに受付状況を表示するステージの最大数（これより多い場合は「ほか○回」とまとめる）
+const MAX_SCHEDULE_ITEMS_ON_CARD = 3;
+
 export default function StageListPage() {
   const location = useLocation();
   const urlParams = new URLSearchParams(location.search);
@@ -143,6 +155,9 @@ export default function StageListPage() {
       cast: performance.cast || [],
       staff: performance.staff || [],
       stages: performance.stages || [],
+      salesStartAt: performance.salesStartAt || "",   // 予約開始日時（受付状況の判定に使う）
+      salesCloseHours: performance.salesCloseHours || 0, // 開演の何時間前に予約を締め切るか
+      salesCloseAt: performance.salesCloseAt || "",     // 予約の締め切り日時（全ステージ共通）
     };
   };
 
@@ -332,11 +347,18 @@ export default function StageListPage() {
 
         {displayList.map((item) => {
           // 公演が終了しているかどうかを判定
-          // endDateが設定されている場合はendDateを使用、ない場合はdateを使用
-          const endDate = item.endDate || item.date;
-          const endDateTime = new Date(`${endDate}T${item.time || "23:59"}`);
+          // なぜ最終日の日付ではなくステージごとに見るか：item.time は初日の開演時刻で、最終日の開演時刻とは限らないため
           const now = new Date();
-          const isEnded = endDateTime < now;
+          const isEnded = hasPerformanceEnded(item, now);
+
+          // 予約の受付状況（公演全体と、まだ開演していないステージごと）
+          const salesStatus = getPerformanceSalesStatus(item, now);
+          const upcomingStages = item.stages
+            .map((stage, index) => ({ stage, key: getStageKey(stage, index) }))
+            .filter(({ stage }) => {
+              const startDate = getStageStartDate(stage);
+              return !startDate || startDate > now;
+            });
 
           return (
             <Link
@@ -354,6 +376,12 @@ export default function StageListPage() {
                       終了
                     </span>
                   )}
+                  {/* 受付状況バッジ（終了した公演には表示しない） */}
+                  {!isEnded && (
+                    <span className={`sales-badge sales-badge-${salesStatus}`}>
+                      {SALES_STATUS_LABELS[salesStatus]}
+                    </span>
+                  )}
                   {/* 料金バッジ */}
                   <span
                     className={`price-badge ${
@@ -377,6 +405,26 @@ export default function StageListPage() {
               </p>
 
               <p className="stage-info">地域：{item.region}</p>
+
+              {/* ステージごとの受付状況（受付中以外のステージがある場合に見分けられるように） */}
+              {upcomingStages.length > 0 && (
+                <ul className="stage-schedule">
+                  {upcomingStages.slice(0, MAX_SCHEDULE_ITEMS_ON_CARD).map(({ stage, key }) => {
+                    const stageSalesStatus = getStageSalesStatus(item, stage, now);
+                    return (
+                      <li
+                        key={key}
+                        className={stageSalesStatus === SALES_STATUS.OPEN ? "" : "stage-schedule-unavailable"}
+                      >
+                        {stage.date} {stage.start}：{SALES_STATUS_LABELS[stageSalesStatus]}
+                      </li>
+                    );
+                  })}
+                  {upcomingStages.length > MAX_SCHEDULE_ITEMS_ON_CARD && (
+                    <li>ほか{upcomingStages.length - MAX_SCHEDULE_ITEMS_ON_CARD}回</li>
+                  )}
+                </ul>
+              )}
             </Link>
           );
         })}
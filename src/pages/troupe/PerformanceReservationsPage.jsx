@@ -11,14 +11,58 @@
  * 3. ステージ（日時）ごとに予約人数を合計
  * 4. 席数上限（seatLimit）と比較して残席を算出
  * 5. ステージごとに予約状況を表示
+ * 6. キャンセル記録（全部・一部のキャンセルと、その理由）を表示
+ * 7. 配慮のご要望（車椅子スペース・同伴者席の枠の使用状況と、予約ごとのご要望）を表示
+ * 8. 事前決済の公演の支払い状況（お支払い済み・お支払い待ち）を表示し、期限切れのお支払い待ちの予約を取り消す
+ * 9. ステージの中止（そのステージの予約を全て取り消し、中止のお知らせメールを送る。お支払い済みの予約は返金待ちにする）
+ * 10. 当日の受付ページ（電子チケットの読み取り）へのリンク（受付ページで入場済みにした予約も、チェックボックスに反映される）
  * 
  * URL: /troupe/performances/:performanceId/reservations
  */
 
 import { useState, useEffect } from "react";
-import { useParams } from "react-router-dom";
+import { useParams, Link } from "react-router-dom";
 import { doc, getDoc, collection, query, where, onSnapshot, updateDoc, serverTimestamp } from "firebase/firestore";
 import { db } from "../../firebase";
+import { migrateStageIds } from "../../services/stageMigrationService";
+import { getStageKey, findStageById } from "../../../functions/shared/stageUtils.js";
+import { WAITLIST_STATUS } from "../../services/waitlistService";
+import { expireUnpaidReservations } from "../../services/paymentService";
+import { cancelStage } from "../../services/reservationService";
+import {
+  getReservationTickets,
+  getReservationSeatCount,
+  getReservationAttendeeCount,
+  getReservationTotalPrice,
+  getReservationSubtotalPrice,
+  formatTicketBreakdown,
+} from "../../../functions/shared/ticketUtils.js";
+import { hasSeatMap, getSeatMapLayout, getSellableSeatLabels, formatSeatLabels } from "../../../functions/shared/seatMapUtils.js";
+import SeatMap from "../../components/SeatMap";
+import { countHeldSeats } from "../../../functions/shared/seatHoldUtils.js";
+import { getAnswerColumns, formatReservationAnswer } from "../../../functions/shared/formQuestionUtils.js";
+import { CANCELLATION_REASONS, CANCELLATION_TYPES, getCancellationReasonLabel } from "../../../functions/shared/cancellationUtils.js";
+import { REJECT_REASON_LABELS } from "../../services/botProtectionService";
+import {
+  ACCESSIBILITY_NEEDS,
+  ACCESSIBILITY_NEED_LABELS,
+  ACCESSIBILITY_QUOTA_FIELDS,
+  getStageAccessibilityQuotas,
+  hasAccessibilityQuota,
+  hasAccessibilityRequest,
+  adjustAccessibilityCounts,
+  countReservedAccessibleSeats,
+  formatAccessibilityRequest,
+} from "../../../functions/shared/accessibilityUtils.js";
+import {
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_LABELS,
+  PAYMENT_STATUSES,
+  PENDING_PAYMENT_STATUS,
+  getPaymentMethod,
+  formatPaymentStatus,
+  isPaymentPending,
+} from "../../../functions/shared/paymentUtils.js";
 
 /**
  * PerformanceReservationsPageコンポーネント
@@ -43,13 +87,19 @@ export default function PerformanceReservationsPage() {
   
   const [performance, setPerformance] = useState(null);  // 公演データ
   const [reservations, setReservations] = useState([]);  // 予約データの配列
-  const [stageStats, setStageStats] = useState([]);     // ステージごとの統計情報
+  const [waitlistEntries, setWaitlistEntries] = useState([]); // キャンセル待ちの配列（待機中のみ・登録順）
+  const [cancellationLogs, setCancellationLogs] = useState([]); // キャンセル記録の配列（新しい順）
+  const [botProtectionLogs, setBotProtectionLogs] = useState([]); // ボット対策で拒否した予約の試み（新しい順）
+  const [reservationStageStats, setReservationStageStats] = useState([]); // ステージごとの統計情報（予約から集計した分）
+  const [stageHolds, setStageHolds] = useState({});     // ステージID -> 入力中のお客様の仮押さえ（在庫ドキュメントの holds）
+  const [holdNow, setHoldNow] = useState(() => Date.now()); // 仮押さえの期限判定に使う現在時刻
   const [selectedStageId, setSelectedStageId] = useState(null); // 選択されたステージID（予約者一覧を表示するため）
   const [checkedReservations, setCheckedReservations] = useState(new Set()); // 来場チェック済みの予約IDセット
   const [printTargetStageId, setPrintTargetStageId] = useState(null); // 印刷対象のステージID
   const [loading, setLoading] = useState(true);         // データ読み込み中かどうか
   const [error, setError] = useState("");               // エラーメッセージ
   const [savingCheckIn, setSavingCheckIn] = useState(new Set()); // 保存中の予約IDセット（多重クリック防止）
+  const [cancellingStageId, setCancellingStageId] = useState(null); // 中止の処理中のステージID（多重クリック防止）
 
   /**
    * Firestoreから公演データと予約データを読み込む
@@ -68,6 +118,10 @@ export default function PerformanceReservationsPage() {
    */
   useEffect(() => {
     let unsubscribeReservations = null; // cleanup 用の unsubscribe 関数
+    let unsubscribeWaitlist = null;     // cleanup 用の unsubscribe 関数（キャンセル待ち）
+    let unsubscribeInventories = null;  // cleanup 用の unsubscribe 関数（座席在庫・仮押さえ）
+    let unsubscribeCancellationLogs = null; // cleanup 用の unsubscribe 関数（キャンセル記録）
+    let unsubscribeBotProtectionLogs = null; // cleanup 用の unsubscribe 関数（拒否した予約の試み）
 
     const loadData = async () => {
       // Firestoreが初期化されているか確認
@@ -112,9 +166,36 @@ export default function PerformanceReservationsPage() {
           id: performanceDocSnap.id,
           ...performanceDocSnap.data(), // スプレッド演算子でデータを展開
         };
+
+        // ============================================
+        // 旧データ（stageId = 配列のインデックス）をステージIDに移行
+        // ============================================
+        // なぜ必要か：予約をステージの固定IDで集計するため
+        // 移行済みの公演では何も書き込まれない
+        try {
+          const { stages } = await migrateStageIds(performanceId);
+          performanceData.stages = stages;
+        } catch (migrationError) {
+          console.warn("ステージIDの移行に失敗しました:", migrationError);
+          // 移行に失敗しても、インデックスを使って表示は続ける
+        }
+
         setPerformance(performanceData);
         setLoading(false); // 公演データの取得が完了したら loading を false に
 
+        // ============================================
+        // 事前決済の公演では、お支払いの期限が切れた予約を取り消す
+        // ============================================
+        // なぜここで行うか：定期的に動くサーバーの処理が無いため、劇団が予約一覧を開いたときにも片付ける
+        // （取り消した結果は、下の onSnapshot で一覧に反映される。失敗しても表示は続ける）
+        if (getPaymentMethod(performanceData) === PAYMENT_METHODS.PREPAID) {
+          (performanceData.stages || []).forEach((stage, index) => {
+            expireUnpaidReservations(performanceId, getStageKey(stage, index)).catch((expireError) => {
+              console.warn("期限切れの予約の取り消しに失敗しました:", expireError);
+            });
+          });
+        }
+
         // ============================================
         // 2. 該当公演の予約データをリアルタイム取得（onSnapshot）
         // ============================================
@@ -161,30 +242,73 @@ export default function PerformanceReservationsPage() {
             if (performanceData.stages && Array.isArray(performanceData.stages)) {
               const stats = [];
               performanceData.stages.forEach((stage, stageIndex) => {
+                // ステージの固定ID（旧データでIDが無い場合はインデックス）
+                const stageKey = getStageKey(stage, stageIndex);
                 // ステージIDが一致し、かつキャンセルされていない予約のみを集計
                 const stageReservations = reservationsData.filter(
-                  (reservation) => reservation.stageId === stageIndex && reservation.status !== "cancelled"
+                  (reservation) => reservation.stageId === stageKey && reservation.status !== "cancelled"
                 );
+                // 席数は券種の内訳から計算する（膝上の未就学児など、席を使わない券種は含めない）
                 const totalReservedPeople = stageReservations.reduce((sum, reservation) => {
-                  const people = Number(reservation.people) || 0;
-                  return sum + people;
+                  return sum + getReservationSeatCount(reservation);
                 }, 0);
+                // 来場人数・売上見込み・券種ごとの枚数（席を使わない券種も含む）
+                let attendeeCount = 0;
+                let sales = 0;
+                const ticketBreakdown = {}; // 券種名 -> 枚数
+                stageReservations.forEach((reservation) => {
+                  attendeeCount += getReservationAttendeeCount(reservation);
+                  sales += getReservationTotalPrice(reservation);
+                  getReservationTickets(reservation).forEach((ticket) => {
+                    ticketBreakdown[ticket.name] = (ticketBreakdown[ticket.name] || 0) + (Number(ticket.quantity) || 0);
+                  });
+                });
+                // 配慮のご要望（車椅子スペース・同伴者席の人数と、聴覚・視覚のサポートを希望する予約の件数）
+                let accessibilityCounts = {};
+                const supportCounts = { [ACCESSIBILITY_NEEDS.HEARING]: 0, [ACCESSIBILITY_NEEDS.VISUAL]: 0 };
+                stageReservations.forEach((reservation) => {
+                  accessibilityCounts = adjustAccessibilityCounts(accessibilityCounts, reservation);
+                  Object.keys(supportCounts).forEach((need) => {
+                    if (reservation.accessibility?.[need]) {
+                      supportCounts[need] += 1;
+                    }
+                  });
+                });
+                // 事前決済の支払い状況（お支払い済み・お支払い待ちの件数）
+                const paidCount = stageReservations.filter(
+                  (reservation) => reservation.paymentStatus === PAYMENT_STATUSES.PAID
+                ).length;
+                const pendingPaymentCount = stageReservations.filter(isPaymentPending).length;
+                // まだ予約されていない車椅子スペース・同伴者席（一般のお客様には販売しない席）
+                const reservedAccessibleSeats = countReservedAccessibleSeats(stage, accessibilityCounts);
                 const seatLimit = Number(stage.seatLimit) || 0;
-                const availableSeats = seatLimit > 0 ? seatLimit - totalReservedPeople : null;
+                const availableSeats = seatLimit > 0 ? seatLimit - totalReservedPeople - reservedAccessibleSeats : null;
                 const isFull = seatLimit > 0 && availableSeats <= 0;
                 
                 stats.push({
-                  stageId: stageIndex,
+                  stageId: stageKey,
+                  stageNumber: stageIndex + 1, // 表示用の番号（1から始まる）
                   date: stage.date || "",
                   start: stage.start || "",
                   end: stage.end || "",
                   seatLimit: seatLimit,
                   reservedPeople: totalReservedPeople,
+                  attendeeCount: attendeeCount,
+                  sales: sales,
+                  ticketBreakdown: ticketBreakdown,
                   availableSeats: availableSeats,
                   isFull: isFull,
+                  seatMap: hasSeatMap(stage) ? stage.seatMap : null, // 座席表（自由席はnull）
+                  hasAccessibilityQuota: hasAccessibilityQuota(stage),
+                  accessibilityQuotas: getStageAccessibilityQuotas(stage),
+                  accessibilityCounts: accessibilityCounts,
+                  supportCounts: supportCounts,
+                  reservedAccessibleSeats: reservedAccessibleSeats,
+                  paidCount: paidCount,
+                  pendingPaymentCount: pendingPaymentCount,
                 });
               });
-              setStageStats(stats);
+              setReservationStageStats(stats);
             }
           },
           (error) => {
@@ -195,6 +319,105 @@ export default function PerformanceReservationsPage() {
 
         // 注意：ステージ統計の計算は onSnapshot のコールバック内で行う
         // これにより、予約データが更新されるたびに統計も自動的に再計算される
+
+        // ============================================
+        // 3. キャンセル待ちをリアルタイム取得（onSnapshot）
+        // ============================================
+        // なぜリアルタイムにするか：
+        // - キャンセルが出ると自動で繰り上がるため、待機中の一覧が画面を開いたまま変わるから
+        // 待機中のものだけを登録順（繰り上げ順）に並べて保持する
+        const waitlistQuery = query(
+          collection(db, "waitlistEntries"),
+          where("performanceId", "==", performanceId)
+        );
+        unsubscribeWaitlist = onSnapshot(
+          waitlistQuery,
+          (snapshot) => {
+            const entries = snapshot.docs
+              .map((entryDoc) => ({ id: entryDoc.id, ...entryDoc.data() }))
+              .filter((entry) => entry.status === WAITLIST_STATUS.WAITING)
+              .sort((a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0));
+            setWaitlistEntries(entries);
+          },
+          (error) => {
+            console.error("キャンセル待ちの取得エラー:", error);
+            setError(`キャンセル待ちの取得に失敗しました: ${error.message}`);
+          }
+        );
+
+        // ============================================
+        // 4. 座席在庫の仮押さえをリアルタイム取得（onSnapshot）
+        // ============================================
+        // なぜ必要か：
+        // - 予約フォームを入力中のお客様が仮押さえしている席は、他のお客様は予約できないため
+        //   残席の表示に含めないと、観客側の表示と劇団側の表示が食い違うから
+        const inventoriesQuery = query(
+          collection(db, "stageInventories"),
+          where("performanceId", "==", performanceId)
+        );
+        unsubscribeInventories = onSnapshot(
+          inventoriesQuery,
+          (snapshot) => {
+            const holdsByStage = {};
+            snapshot.forEach((inventoryDoc) => {
+              const data = inventoryDoc.data();
+              holdsByStage[data.stageId] = data.holds || {};
+            });
+            setStageHolds(holdsByStage);
+            setHoldNow(Date.now());
+          },
+          (error) => {
+            // 仮押さえが取得できなくても、予約一覧は表示できるので警告のみ
+            console.warn("仮押さえの取得エラー:", error);
+          }
+        );
+
+        // ============================================
+        // 5. キャンセル記録をリアルタイム取得（onSnapshot）
+        // ============================================
+        // なぜ予約とは別に取得するか：
+        // - 一部キャンセルは予約が残ったままになるため、予約一覧からはキャンセルの理由が分からないから
+        const cancellationLogsQuery = query(
+          collection(db, "cancellationLogs"),
+          where("performanceId", "==", performanceId)
+        );
+        unsubscribeCancellationLogs = onSnapshot(
+          cancellationLogsQuery,
+          (snapshot) => {
+            const logs = snapshot.docs
+              .map((logDoc) => ({ id: logDoc.id, ...logDoc.data() }))
+              .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+            setCancellationLogs(logs);
+          },
+          (error) => {
+            // キャンセル記録が取得できなくても、予約一覧は表示できるので警告のみ
+            console.warn("キャンセル記録の取得エラー:", error);
+          }
+        );
+
+        // ============================================
+        // 6. ボット対策で拒否した予約の試みをリアルタイム取得（onSnapshot）
+        // ============================================
+        // なぜ劇団に見せるか：
+        // - 大量の予約の試みがあった公演に気づき、必要なら劇団から問い合わせ先などを案内できるようにするため
+        // 記録はCloud Functions（functions/reservationPass.js）が追加する
+        const botProtectionLogsQuery = query(
+          collection(db, "botProtectionLogs"),
+          where("performanceIds", "array-contains", performanceId)
+        );
+        unsubscribeBotProtectionLogs = onSnapshot(
+          botProtectionLogsQuery,
+          (snapshot) => {
+            const logs = snapshot.docs
+              .map((logDoc) => ({ id: logDoc.id, ...logDoc.data() }))
+              .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+            setBotProtectionLogs(logs);
+          },
+          (error) => {
+            // 記録が取得できなくても、予約一覧は表示できるので警告のみ
+            console.warn("拒否した予約の試みの取得エラー:", error);
+          }
+        );
       } catch (error) {
         console.error("データ読み込みエラー:", error);
         setError(`データの読み込みに失敗しました: ${error.message}`);
@@ -209,9 +432,46 @@ export default function PerformanceReservationsPage() {
       if (unsubscribeReservations) {
         unsubscribeReservations();
       }
+      if (unsubscribeWaitlist) {
+        unsubscribeWaitlist();
+      }
+      if (unsubscribeInventories) {
+        unsubscribeInventories();
+      }
+      if (unsubscribeCancellationLogs) {
+        unsubscribeCancellationLogs();
+      }
+      if (unsubscribeBotProtectionLogs) {
+        unsubscribeBotProtectionLogs();
+      }
     };
   }, [performanceId]); // performanceIdが変更されたときに再実行
 
+  // 仮押さえは時間が経つと期限切れになるため、30秒ごとに残席を計算し直す
+  // なぜ必要か：期限切れの仮押さえは在庫ドキュメントが更新されるまで残っているため
+  useEffect(() => {
+    const timer = setInterval(() => setHoldNow(Date.now()), 30 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // ============================================
+  // ステージごとの統計情報（仮押さえを含めた残席）
+  // ============================================
+  // 残席 = 席数上限 - 予約済みの席数 - 期限内の仮押さえの席数 - まだ予約されていない車椅子スペース・同伴者席
+  // （車椅子スペース・同伴者席の残りは、残席とは別に表示する）
+  const stageStats = reservationStageStats.map((stat) => {
+    const heldSeats = countHeldSeats(stageHolds[stat.stageId], holdNow);
+    const availableSeats = stat.seatLimit > 0
+      ? stat.seatLimit - stat.reservedPeople - heldSeats - stat.reservedAccessibleSeats
+      : null;
+    return {
+      ...stat,
+      heldSeats,
+      availableSeats,
+      isFull: stat.seatLimit > 0 && availableSeats <= 0,
+    };
+  });
+
   /**
    * 日付をフォーマットする関数
    * 
@@ -283,7 +543,7 @@ export default function PerformanceReservationsPage() {
   /**
    * ステージカードをクリックした時の処理
    * 
-   * @param {number} stageId - クリックされたステージのID
+   * @param {string|number} stageId - クリックされたステージのID
    * 
    * 【なぜステージ単位で予約を管理する必要があるのか】
    * - 1つの公演に複数のステージ（日時）が存在するため
@@ -400,10 +660,46 @@ export default function PerformanceReservationsPage() {
     }
   };
 
+  /**
+   * ステージの中止処理
+   *
+   * @param {string|number} stageId - 中止するステージのID
+   * @param {Event} e - クリックイベント（ステージカードの開閉に伝わらないように止める）
+   *
+   * なぜ確認ダイアログを出すか：
+   * - 中止は取り消せず、予約した全員にすぐ中止のお知らせメールが送られるため
+   */
+  const handleCancelStage = async (stageId, e) => {
+    e.stopPropagation();
+    if (!window.confirm(
+      "このステージを中止し、全ての予約を取り消します。\n中止は取り消せません。予約した方には中止のお知らせメールが送られます。よろしいですか？"
+    )) {
+      return;
+    }
+
+    setCancellingStageId(stageId);
+    try {
+      const cancelledCount = await cancelStage(performanceId, stageId);
+      // 予約の取り消しは onSnapshot で反映されるが、公演データは読み込み直さないため、ここで中止を反映する
+      setPerformance((current) => ({
+        ...current,
+        stages: (current.stages || []).map((stage, index) =>
+          String(getStageKey(stage, index)) === String(stageId) ? { ...stage, cancelled: true } : stage
+        ),
+      }));
+      alert(`ステージを中止し、予約を${cancelledCount}件取り消しました。お支払い済みの予約は「返金」ページから返金してください。`);
+    } catch (error) {
+      console.error("ステージの中止エラー:", error);
+      alert(`ステージの中止に失敗しました。もう一度お試しください（取り消し済みの予約はそのままです）。\n${error.message}`);
+    } finally {
+      setCancellingStageId(null);
+    }
+  };
+
   /**
    * ステージごとの印刷処理
    * 
-   * @param {number} stageId - 印刷するステージのID
+   * @param {string|number} stageId - 印刷するステージのID
    * 
    * 【なぜ印刷範囲を限定したほうが当日運用で便利なのか】
    * - 当日の受付作業では、各ステージ（日時）ごとに別々の紙を持って立つことが多い
@@ -591,6 +887,17 @@ export default function PerformanceReservationsPage() {
       fontWeight: 500,
       fontStyle: "italic",
     },
+    // 当日の受付ページへのリンク（タイトルの右側に並べる）
+    checkInLink: {
+      display: "inline-block",
+      marginLeft: "auto",
+      padding: "8px 16px",
+      backgroundColor: "#4b1818",
+      color: "#fff",
+      borderRadius: "6px",
+      fontSize: "14px",
+      textDecoration: "none",
+    },
     reservationsTable: {
       width: "100%",
       borderCollapse: "collapse",
@@ -696,6 +1003,27 @@ export default function PerformanceReservationsPage() {
       marginTop: "8px",
       transition: "all 0.2s ease",
     },
+    cancelStageButton: {
+      backgroundColor: "#fff",
+      color: "#c62828",
+      border: "1px solid #c62828",
+      borderRadius: "6px",
+      padding: "8px 16px",
+      fontSize: "14px",
+      fontWeight: 600,
+      cursor: "pointer",
+      marginTop: "8px",
+      marginLeft: "8px",
+    },
+    stageCancelledBadge: {
+      display: "inline-block",
+      marginLeft: "8px",
+      padding: "2px 8px",
+      borderRadius: "4px",
+      fontSize: "0.8em",
+      backgroundColor: "#ffebee",
+      color: "#c62828",
+    },
   };
 
   // ============================================
@@ -721,6 +1049,37 @@ export default function PerformanceReservationsPage() {
     return sum + people;
   }, 0);
 
+  // 全ステージの売上見込み（券種ごとの料金 × 枚数の合計）
+  const totalSales = stageStats.reduce((sum, stat) => sum + (Number(stat.sales) || 0), 0);
+
+  // ============================================
+  // 割引コードごとの利用状況（キャンセル済みを除く）
+  // ============================================
+  // なぜ予約から集計するか：
+  // - 利用件数だけでなく、そのコード経由の売上・割引額も見て、キャンペーンの効果を判断するため
+  const promoCodeStats = Object.values(
+    reservations.reduce((statsByCode, reservation) => {
+      if (!reservation.promoCode || reservation.status === "cancelled") {
+        return statsByCode;
+      }
+      const current = statsByCode[reservation.promoCode] || {
+        code: reservation.promoCode,
+        count: 0,
+        attendeeCount: 0,
+        discount: 0,
+        revenue: 0,
+      };
+      statsByCode[reservation.promoCode] = {
+        ...current,
+        count: current.count + 1,
+        attendeeCount: current.attendeeCount + getReservationAttendeeCount(reservation),
+        discount: current.discount + (getReservationSubtotalPrice(reservation) - getReservationTotalPrice(reservation)),
+        revenue: current.revenue + getReservationTotalPrice(reservation),
+      };
+      return statsByCode;
+    }, {})
+  ).sort((a, b) => a.code.localeCompare(b.code));
+
   const totalSeatLimit = stageStats.reduce((sum, stat) => {
     // なぜ条件分岐が必要か：seatLimitが0より大きいもののみを合計するため
     // 0や未設定（null/undefined）の場合は除外
@@ -986,6 +1345,10 @@ export default function PerformanceReservationsPage() {
                 （席数上限なし）
               </span>
             )}
+            {/* 当日の受付（QRコードの読み取り）は別のページで行う */}
+            <Link to={`/troupe/performance/${performanceId}/check-in`} style={styles.checkInLink}>
+              受付（チケットの読み取り）
+            </Link>
           </>
         )}
       </div>
@@ -1022,6 +1385,140 @@ export default function PerformanceReservationsPage() {
           {performance.venue && (
             <p style={styles.performanceVenue}>会場: {performance.venue}</p>
           )}
+          {totalSales > 0 && (
+            <p style={styles.performanceVenue}>
+              売上見込み: {totalSales.toLocaleString("ja-JP")}円
+            </p>
+          )}
+
+          {/* 割引コードごとの利用状況（割引コード付きの予約がある場合のみ表示） */}
+          {promoCodeStats.length > 0 && (
+            <div style={{ marginTop: "12px", overflowX: "auto" }}>
+              <h3 style={{ fontSize: "1em", margin: "0 0 8px", color: "#222" }}>割引コードの利用状況</h3>
+              <table style={styles.reservationsTable}>
+                <thead>
+                  <tr>
+                    <th style={styles.tableHeader}>コード</th>
+                    <th style={styles.tableHeader}>利用件数</th>
+                    <th style={styles.tableHeader}>来場人数</th>
+                    <th style={styles.tableHeader}>割引額</th>
+                    <th style={styles.tableHeader}>売上（割引後）</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {promoCodeStats.map((stat) => (
+                    <tr key={stat.code}>
+                      <td style={{ ...styles.tableCell, color: "#222" }}>{stat.code}</td>
+                      <td style={{ ...styles.tableCell, color: "#222" }}>{stat.count}件</td>
+                      <td style={{ ...styles.tableCell, color: "#222" }}>{stat.attendeeCount}人</td>
+                      <td style={{ ...styles.tableCell, color: "#222" }}>{stat.discount.toLocaleString("ja-JP")}円</td>
+                      <td style={{ ...styles.tableCell, color: "#222" }}>{stat.revenue.toLocaleString("ja-JP")}円</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* キャンセル記録（キャンセルがあった場合のみ表示） */}
+      {!error && performance && cancellationLogs.length > 0 && (
+        <div style={styles.performanceInfo} className="no-print">
+          <h3 style={{ fontSize: "1em", margin: "0 0 8px", color: "#222" }}>キャンセル記録</h3>
+
+          {/* 理由ごとの件数（選択肢の順。未回答は最後） */}
+          <p style={{ margin: "0 0 8px", color: "#222", fontSize: "0.9em" }}>
+            {[...CANCELLATION_REASONS.map((option) => option.id), ""]
+              .map((reasonId) => ({
+                reasonId,
+                count: cancellationLogs.filter((log) => (log.reason || "") === reasonId).length,
+              }))
+              .filter(({ count }) => count > 0)
+              .map(({ reasonId, count }) => `${getCancellationReasonLabel(reasonId)}：${count}件`)
+              .join(" ／ ")}
+          </p>
+
+          <div style={{ overflowX: "auto" }}>
+            <table style={styles.reservationsTable}>
+              <thead>
+                <tr>
+                  <th style={styles.tableHeader}>キャンセル日時</th>
+                  <th style={styles.tableHeader}>ステージ</th>
+                  <th style={styles.tableHeader}>予約者</th>
+                  <th style={styles.tableHeader}>種類</th>
+                  <th style={styles.tableHeader}>人数</th>
+                  <th style={styles.tableHeader}>理由</th>
+                  <th style={styles.tableHeader}>詳細</th>
+                </tr>
+              </thead>
+              <tbody>
+                {cancellationLogs.map((log) => (
+                  <tr key={log.id}>
+                    <td style={{ ...styles.tableCell, color: "#222" }}>{formatDateTime(log.createdAt)}</td>
+                    <td style={{ ...styles.tableCell, color: "#222" }}>{log.stageDate} {log.stageStart}</td>
+                    <td style={{ ...styles.tableCell, color: "#222" }}>{log.name || "-"}</td>
+                    <td style={{ ...styles.tableCell, color: "#222" }}>
+                      {log.type === CANCELLATION_TYPES.PARTIAL ? "一部" : "全部"}
+                    </td>
+                    <td style={{ ...styles.tableCell, color: "#222" }}>
+                      {log.cancelledPeople}人
+                      {log.cancelledTickets?.length > 0 && (
+                        <div style={{ fontSize: "0.85em", color: "#666" }}>
+                          {log.cancelledTickets.map((ticket) => `${ticket.name}${ticket.quantity}`).join("・")}
+                        </div>
+                      )}
+                    </td>
+                    <td style={{ ...styles.tableCell, color: "#222" }}>{getCancellationReasonLabel(log.reason)}</td>
+                    <td style={{ ...styles.tableCell, color: "#222", whiteSpace: "pre-wrap" }}>{log.reasonNote || "-"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* ボット対策で拒否した予約の試み（あった場合のみ表示） */}
+      {!error && performance && botProtectionLogs.length > 0 && (
+        <div style={styles.performanceInfo} className="no-print">
+          <h3 style={{ fontSize: "1em", margin: "0 0 8px", color: "#222" }}>拒否した予約の試み（ボット対策）</h3>
+
+          {/* 理由ごとの件数 */}
+          <p style={{ margin: "0 0 8px", color: "#222", fontSize: "0.9em" }}>
+            {Object.entries(REJECT_REASON_LABELS)
+              .map(([reason, label]) => ({
+                label,
+                count: botProtectionLogs.filter((log) => log.reason === reason).length,
+              }))
+              .filter(({ count }) => count > 0)
+              .map(({ label, count }) => `${label}：${count}件`)
+              .join(" ／ ")}
+          </p>
+
+          {/* 新しい順に最大20件（同じ相手からの試みは、IPアドレスのハッシュ値の先頭で見分ける） */}
+          <div style={{ overflowX: "auto" }}>
+            <table style={styles.reservationsTable}>
+              <thead>
+                <tr>
+                  <th style={styles.tableHeader}>日時</th>
+                  <th style={styles.tableHeader}>理由</th>
+                  <th style={styles.tableHeader}>送信元（IPのハッシュ値）</th>
+                </tr>
+              </thead>
+              <tbody>
+                {botProtectionLogs.slice(0, 20).map((log) => (
+                  <tr key={log.id}>
+                    <td style={{ ...styles.tableCell, color: "#222" }}>{formatDateTime(log.createdAt)}</td>
+                    <td style={{ ...styles.tableCell, color: "#222" }}>
+                      {REJECT_REASON_LABELS[log.reason] || log.reason}
+                    </td>
+                    <td style={{ ...styles.tableCell, color: "#222" }}>{(log.ipKey || "").slice(0, 8) || "-"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
         </div>
       )}
 
@@ -1072,6 +1569,38 @@ export default function PerformanceReservationsPage() {
             const stageReservations = reservations.filter(
               (reservation) => reservation.stageId === stat.stageId
             );
+            // このステージのキャンセル待ち（登録順 = 繰り上げ順）
+            const stageWaitlist = waitlistEntries.filter(
+              (entry) => entry.stageId === stat.stageId
+            );
+            const waitlistPeople = stageWaitlist.reduce(
+              (sum, entry) => sum + getReservationAttendeeCount(entry),
+              0
+            );
+            // 座席番号 -> 予約者名（座席表の埋まり具合の表示に使う）
+            // なぜ予約者名を入れるか：座席にマウスを乗せたときに、誰の座席か分かるようにするため
+            const seatOwners = {};
+            stageReservations.forEach((reservation) => {
+              if (reservation.status === "cancelled") {
+                return;
+              }
+              (reservation.seats || []).forEach((seat) => {
+                seatOwners[seat] = `${seat}：${reservation.name || "氏名未設定"}`;
+              });
+            });
+            // 座席列を表示するか（座席表がある、または座席付きの予約が残っている場合）
+            const showSeatColumn = Boolean(stat.seatMap) || stageReservations.some(
+              (reservation) => Array.isArray(reservation.seats) && reservation.seats.length > 0
+            );
+            // 劇団が設定した追加質問の回答の列（質問を削除する前の回答も表示する）
+            const answerColumns = getAnswerColumns(performance, stageReservations);
+            // 配慮のご要望の列を表示するか（枠がある、またはご要望のある予約がある場合）
+            const showAccessibilityColumn = stat.hasAccessibilityQuota || stageReservations.some(hasAccessibilityRequest);
+            // 劇団が中止したステージかどうか（公演データの stages[].cancelled）
+            const isStageCancelled = Boolean(findStageById(performance?.stages, stat.stageId)?.cancelled);
+            // お支払いの列を表示するか（事前決済の公演、または事前決済の予約がある場合）
+            const showPaymentColumn = getPaymentMethod(performance) === PAYMENT_METHODS.PREPAID
+              || stageReservations.some((reservation) => reservation.paymentStatus);
 
             return (
               <div
@@ -1127,9 +1656,10 @@ export default function PerformanceReservationsPage() {
                 >
                   <div style={styles.stageHeader}>
                     <h3 style={styles.stageTitle}>
-                      ステージ {stat.stageId + 1}
+                      ステージ {stat.stageNumber}
                       {isExpanded && " ▼"}
                       {!isExpanded && " ▶"}
+                      {isStageCancelled && <span style={styles.stageCancelledBadge}>中止</span>}
                     </h3>
                     <div style={styles.stageDatetime}>
                       {/* 日付表示 */}
@@ -1205,6 +1735,76 @@ export default function PerformanceReservationsPage() {
                       </div>
                     )}
                     
+                    {/* 仮押さえ中の席（予約フォームを入力中のお客様がいる場合のみ表示） */}
+                    {stat.heldSeats > 0 && (
+                      <div style={styles.statItem}>
+                        <span style={styles.statLabel}>仮押さえ中:</span>
+                        <span style={styles.statValue}>{stat.heldSeats}席</span>
+                      </div>
+                    )}
+
+                    {/* 事前決済の支払い状況（事前決済の公演のみ表示） */}
+                    {showPaymentColumn && (
+                      <div style={styles.statItem}>
+                        <span style={styles.statLabel}>お支払い:</span>
+                        <span style={styles.statValue}>
+                          {PAYMENT_METHOD_LABELS[getPaymentMethod(performance)]}
+                          （お支払い済み {stat.paidCount}件・お支払い待ち {stat.pendingPaymentCount}件）
+                        </span>
+                      </div>
+                    )}
+
+                    {/* 配慮のご要望（枠がある、またはご要望のある予約がある場合のみ表示） */}
+                    {/* なぜ一覧の外にも出すか：受付で車椅子スペース・介助の準備が必要な数を、開かずに確認できるようにするため */}
+                    {(stat.hasAccessibilityQuota || stageReservations.some(
+                      (reservation) => reservation.status !== "cancelled" && hasAccessibilityRequest(reservation)
+                    )) && (
+                      <div style={styles.statItem}>
+                        <span style={styles.statLabel}>配慮のご要望:</span>
+                        <span style={styles.statValue}>
+                          {[
+                            ...Object.keys(ACCESSIBILITY_QUOTA_FIELDS).map((need) =>
+                              `${ACCESSIBILITY_NEED_LABELS[need]} ${stat.accessibilityCounts[need] || 0} / ${stat.accessibilityQuotas[need]}`
+                            ),
+                            ...Object.entries(stat.supportCounts).map(([need, count]) =>
+                              `${ACCESSIBILITY_NEED_LABELS[need]} ${count}件`
+                            ),
+                          ].join("、")}
+                        </span>
+                      </div>
+                    )}
+
+                    {/* 券種ごとの枚数（券種が複数ある場合・席を使わない券種がある場合に表示） */}
+                    {(Object.keys(stat.ticketBreakdown).length > 1 || stat.attendeeCount !== stat.reservedPeople) && (
+                      <div style={styles.statItem}>
+                        <span style={styles.statLabel}>券種内訳:</span>
+                        <span style={styles.statValue}>
+                          {Object.entries(stat.ticketBreakdown)
+                            .map(([ticketName, quantity]) => `${ticketName} ${quantity}枚`)
+                            .join("、")}
+                          （来場 {stat.attendeeCount}人）
+                        </span>
+                      </div>
+                    )}
+
+                    {/* 売上見込み（有料の予約がある場合のみ表示） */}
+                    {stat.sales > 0 && (
+                      <div style={styles.statItem}>
+                        <span style={styles.statLabel}>売上見込み:</span>
+                        <span style={styles.statValue}>{stat.sales.toLocaleString("ja-JP")}円</span>
+                      </div>
+                    )}
+
+                    {/* キャンセル待ち（待機中がいる場合のみ表示） */}
+                    {stageWaitlist.length > 0 && (
+                      <div style={styles.statItem}>
+                        <span style={styles.statLabel}>キャンセル待ち:</span>
+                        <span style={styles.statValueFew}>
+                          {stageWaitlist.length}件（{waitlistPeople}人）
+                        </span>
+                      </div>
+                    )}
+
                     {/* ============================================
                         【ステージごとの印刷ボタン】このステージを印刷
                         ============================================
@@ -1226,6 +1826,17 @@ export default function PerformanceReservationsPage() {
                     >
                       📄 このステージを印刷
                     </button>
+                    {/* ステージの中止（中止済みのステージには表示しない） */}
+                    {!isStageCancelled && (
+                      <button
+                        onClick={(e) => handleCancelStage(stat.stageId, e)}
+                        style={styles.cancelStageButton}
+                        className="no-print"
+                        disabled={cancellingStageId !== null}
+                      >
+                        {cancellingStageId === stat.stageId ? "中止の処理中..." : "このステージを中止する"}
+                      </button>
+                    )}
                   </div>
                 </div>
 
@@ -1284,6 +1895,20 @@ export default function PerformanceReservationsPage() {
                       </div>
                     </div>
                     
+                    {/* 座席表の埋まり具合（指定席のステージのみ） */}
+                    {stat.seatMap && (
+                      <div className="no-print" style={{ marginBottom: "20px" }}>
+                        <h4 style={{ margin: "0 0 8px", color: "#222" }}>
+                          座席表（予約済み {Object.keys(seatOwners).length} / {getSellableSeatLabels(stat.seatMap).length}席）
+                        </h4>
+                        <SeatMap
+                          layout={getSeatMapLayout(stat.seatMap)}
+                          takenSeats={seatOwners}
+                          seatTitles={seatOwners}
+                        />
+                      </div>
+                    )}
+
                     {stageReservations.length === 0 ? (
                       <div style={styles.noReservationsMessage}>
                         <p>このステージの予約はまだありません。</p>
@@ -1298,6 +1923,12 @@ export default function PerformanceReservationsPage() {
                             <th style={styles.tableHeader}>氏名</th>
                             <th style={styles.tableHeader}>メールアドレス</th>
                             <th style={styles.tableHeader}>人数</th>
+                            {showSeatColumn && <th style={styles.tableHeader}>座席</th>}
+                            {answerColumns.map((column) => (
+                              <th key={column.id} style={styles.tableHeader}>{column.label}</th>
+                            ))}
+                            {showAccessibilityColumn && <th style={styles.tableHeader}>配慮のご要望</th>}
+                            {showPaymentColumn && <th style={styles.tableHeader}>お支払い</th>}
                             <th style={styles.tableHeader}>備考</th>
                             <th style={styles.tableHeader}>予約日時</th>
                             <th style={styles.tableHeader}>ステータス</th>
@@ -1398,13 +2029,71 @@ export default function PerformanceReservationsPage() {
                                 */}
                                 <td style={{ ...styles.tableCell, color: "#222" }}>
                                   {reservation.name || "-"}
+                                  {/* 予約番号（受付・電話で予約を特定するため。番号の無い旧データは表示しない） */}
+                                  {reservation.confirmationCode && (
+                                    <div style={{ fontSize: "0.85em", color: "#666" }}>
+                                      {reservation.confirmationCode}
+                                    </div>
+                                  )}
                                 </td>
                                 <td style={{ ...styles.tableCell, color: "#222" }}>
                                   {reservation.email || "-"}
                                 </td>
                                 <td style={{ ...styles.tableCell, color: "#222" }}>
-                                  {reservation.people || 0}人
+                                  {getReservationAttendeeCount(reservation)}人
+                                  {/* 券種の内訳（券種を選んで予約した場合のみ） */}
+                                  {Array.isArray(reservation.tickets) && (
+                                    <div style={{ fontSize: "0.85em", color: "#666" }}>
+                                      {formatTicketBreakdown(reservation)}
+                                    </div>
+                                  )}
+                                  {/* 割引コード（使った予約のみ） */}
+                                  {reservation.promoCode && (
+                                    <div style={{ fontSize: "0.85em", color: "#666" }}>
+                                      割引コード：{reservation.promoCode}
+                                    </div>
+                                  )}
                                 </td>
+                                {showSeatColumn && (
+                                  <td style={{ ...styles.tableCell, color: "#222" }}>
+                                    {formatSeatLabels(reservation.seats) || "-"}
+                                  </td>
+                                )}
+                                {answerColumns.map((column) => (
+                                  <td key={column.id} style={{ ...styles.tableCell, color: "#222" }}>
+                                    {formatReservationAnswer(reservation, column.id)}
+                                  </td>
+                                ))}
+                                {showAccessibilityColumn && (
+                                  <td style={{ ...styles.tableCell, color: "#222" }}>
+                                    {hasAccessibilityRequest(reservation) ? (
+                                      <>
+                                        {/* 受付で見落とさないように太字にする（印刷しても目立つように色ではなく太さで区別） */}
+                                        {formatAccessibilityRequest(reservation) && (
+                                          <div style={{ fontWeight: 600 }}>{formatAccessibilityRequest(reservation)}</div>
+                                        )}
+                                        {reservation.accessibility.note && (
+                                          <div style={{ fontSize: "0.85em", color: "#666" }}>
+                                            {reservation.accessibility.note}
+                                          </div>
+                                        )}
+                                      </>
+                                    ) : "-"}
+                                  </td>
+                                )}
+                                {showPaymentColumn && (
+                                  <td style={{ ...styles.tableCell, color: "#222" }}>
+                                    {/* 受付で料金をいただくかどうかが分かるように、当日精算の予約も表示する */}
+                                    <div style={reservation.paymentStatus === PAYMENT_STATUSES.PAID ? { fontWeight: 600 } : {}}>
+                                      {formatPaymentStatus(reservation)}
+                                    </div>
+                                    {isPaymentPending(reservation) && reservation.paymentExpiresAt && (
+                                      <div style={{ fontSize: "0.85em", color: "#666" }}>
+                                        期限：{formatDateTime(reservation.paymentExpiresAt)}
+                                      </div>
+                                    )}
+                                  </td>
+                                )}
                                 <td style={{ ...styles.tableCell, color: "#222" }}>
                                   {reservation.note || "-"}
                                 </td>
@@ -1412,6 +2101,17 @@ export default function PerformanceReservationsPage() {
                                   {reservation.createdAt
                                     ? formatDateTime(reservation.createdAt)
                                     : "-"}
+                                  {/* お客様自身による変更・一部キャンセルの履歴（変更した予約のみ） */}
+                                  {(reservation.history || [])
+                                    .filter((entry) => entry.type === "modified" || entry.type === "partially_cancelled")
+                                    .map((entry) => (
+                                      <div key={entry.changedAt} style={{ fontSize: "0.85em", color: "#666" }}>
+                                        {formatDateTime(entry.changedAt)}{" "}
+                                        {entry.type === "partially_cancelled" ? "一部キャンセル" : "変更"}：
+                                        {entry.before.stageDate} {entry.before.stageStart} {entry.before.people}人
+                                        → {entry.after.stageDate} {entry.after.stageStart} {entry.after.people}人
+                                      </div>
+                                    ))}
                                 </td>
                                 <td style={{ ...styles.tableCell, color: "#222" }}>
                                   {reservation.status ? (
@@ -1433,6 +2133,8 @@ export default function PerformanceReservationsPage() {
                                         ? "キャンセル"
                                         : reservation.status === "pending"
                                         ? "保留"
+                                        : reservation.status === PENDING_PAYMENT_STATUS
+                                        ? "お支払い待ち"
                                         : reservation.status}
                                     </span>
                                   ) : (
@@ -1454,6 +2156,55 @@ export default function PerformanceReservationsPage() {
                         </div>
                       </div>
                     )}
+
+                    {/* ============================================
+                        キャンセル待ち一覧
+                        ============================================
+                        上から順に、席が空いたときに自動で予約へ繰り上がります。
+                        （人数が空席に収まらない場合は飛ばして、次の方が先に繰り上がります）
+                        印刷物は当日の受付用のため、キャンセル待ちは印刷しない
+                    */}
+                    {stageWaitlist.length > 0 && (
+                      <div className="no-print" style={{ marginTop: "24px" }}>
+                        <h4 style={{ margin: "0 0 12px", color: "#222" }}>
+                          キャンセル待ち（{stageWaitlist.length}件・{waitlistPeople}人）
+                        </h4>
+                        <div style={{ overflowX: "auto" }}>
+                          <table style={styles.reservationsTable}>
+                            <thead>
+                              <tr>
+                                <th style={styles.tableHeader}>順番</th>
+                                <th style={styles.tableHeader}>氏名</th>
+                                <th style={styles.tableHeader}>メールアドレス</th>
+                                <th style={styles.tableHeader}>人数</th>
+                                <th style={styles.tableHeader}>備考</th>
+                                <th style={styles.tableHeader}>登録日時</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {stageWaitlist.map((entry, index) => (
+                                <tr key={entry.id} style={styles.tableRow}>
+                                  <td style={styles.tableCell}>{index + 1}</td>
+                                  <td style={styles.tableCell}>{entry.name || "-"}</td>
+                                  <td style={styles.tableCell}>{entry.email || "-"}</td>
+                                  <td style={styles.tableCell}>{getReservationAttendeeCount(entry)}人（{formatTicketBreakdown(entry)}）</td>
+                                  <td style={styles.tableCell}>
+                                    {/* 繰り上がったときに準備が必要なため、配慮のご要望も備考と一緒に表示する */}
+                                    {hasAccessibilityRequest(entry) && (
+                                      <div style={{ fontWeight: 600 }}>
+                                        {[formatAccessibilityRequest(entry), entry.accessibility.note].filter(Boolean).join("：")}
+                                      </div>
+                                    )}
+                                    {entry.note || (hasAccessibilityRequest(entry) ? "" : "-")}
+                                  </td>
+                                  <td style={styles.tableCell}>{formatDateTime(entry.createdAt)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
@@ -55,7 +55,6 @@ function TroupeAccountDeletePage() {
 
     // 変数をtryブロックの外で宣言（catchブロックでも使用するため）
     let troupeDocId = null;
-    let troupeName = "";
 
     try {
       // 1. Firestoreから劇団データを取得（削除前に取得）
@@ -68,22 +67,19 @@ function TroupeAccountDeletePage() {
       if (!troupeSnapshot.empty) {
         const troupeDoc = troupeSnapshot.docs[0];
         troupeDocId = troupeDoc.id;
-        troupeName = troupeDoc.data().troupeName || "";
       }
 
-      // 2. 関連する予約データを取得（劇団名で検索）
-      // 注意：予約データにtroupeUidが含まれていない場合、劇団名で検索します
+      // 2. 関連する予約データを取得（劇団のuidで検索）
+      // 注意：予約は公演の劇団だけが読める（firestore.rules）ため、自分の予約だけに絞れる troupeId で検索します
       let reservationsSnapshot = null;
-      if (troupeName) {
-        try {
-          const reservationsQuery = query(
-            collection(db, "reservations"),
-            where("troupe", "==", troupeName)
-          );
-          reservationsSnapshot = await getDocs(reservationsQuery);
-        } catch (reservationError) {
-          console.warn("予約データの取得に失敗しました（無視して続行）:", reservationError);
-        }
+      try {
+        const reservationsQuery = query(
+          collection(db, "reservations"),
+          where("troupeId", "==", user.uid)
+        );
+        reservationsSnapshot = await getDocs(reservationsQuery);
+      } catch (reservationError) {
+        console.warn("予約データの取得に失敗しました（無視して続行）:", reservationError);
       }
 
       // 3. まずFirebase Authenticationのアカウントを削除
@@ -0,0 +1,321 @@
+/**
+ * ============================================
+ * TroupeCheckInPage.jsx - 当日の受付ページ（電子チケットの読み取り）
+ * ============================================
+ *
+ * 公演当日の受付で、お客様の電子チケット（QRコード・チケットコード）を読み取り、
+ * 予約を入場済みにするページです。
+ *
+ * 主な機能：
+ * 1. 受付をする公演日時の選択（今日の公演日時を最初に選ぶ）
+ * 2. チケットコードの入力（USB接続のQRコードスキャナー・貼り付け・手入力）
+ * 3. 読み取った結果の大きな表示（入場OK：緑 / 使用済み：オレンジ / キャンセル済み・別の日時など：赤）
+ * 4. 直近に読み取ったチケットの一覧
+ *
+ * 【QRコードスキャナーについて】
+ * USB接続のスキャナー（キーボードとして動くもの）は、読み取った文字を入力してから Enter を送ります。
+ * そのため、入力欄にカーソルがあれば、読み取るだけで確認まで進みます。
+ * 読み取りのたびに入力欄を空にしてカーソルを戻すので、続けて読み取れます。
+ *
+ * 予約一覧のチェックボックスで入場済みにした予約も、ここでは「使用済み」と表示されます。
+ */
+
+import { useState, useEffect, useRef } from "react";
+import { useParams, Link } from "react-router-dom";
+import { doc, getDoc } from "firebase/firestore";
+import { db } from "../../firebase";
+import { checkInTicket, CHECK_IN_RESULTS, CHECK_IN_RESULT_LABELS } from "../../services/ticketService";
+import { getStageKey } from "../../../functions/shared/stageUtils.js";
+import { formatTicketBreakdown, getReservationAttendeeCount } from "../../../functions/shared/ticketUtils.js";
+import { formatSeatLabels } from "../../../functions/shared/seatMapUtils.js";
+import { hasAccessibilityRequest, formatAccessibilityRequest } from "../../../functions/shared/accessibilityUtils.js";
+import "./TroupeCheckInPage.css";
+
+// 直近の読み取りの一覧に残す件数
+const MAX_RECENT_SCANS = 20;
+
+/**
+ * 受付の結果の色分けを返す関数
+ *
+ * @param {string} result - 受付の結果（CHECK_IN_RESULTS）
+ * @returns {string} "ok"（入場OK） / "warning"（使用済み） / "error"（入場させてはいけない）
+ *
+ * なぜ使用済みだけ色を変えるか：
+ * - 読み取りを2回してしまっただけの場合が多く、キャンセル済みなどとは受付の対応が違うため
+ */
+function getResultTone(result) {
+  if (result === CHECK_IN_RESULTS.OK) {
+    return "ok";
+  }
+  return result === CHECK_IN_RESULTS.ALREADY_USED ? "warning" : "error";
+}
+
+/**
+ * 受付の結果の説明文を返す関数
+ *
+ * @param {Object} scan - 受付の結果（checkInTicket の戻り値）
+ * @returns {string} 受付で取るべき対応
+ */
+function describeResult(scan) {
+  const reservation = scan.reservation;
+  switch (scan.result) {
+    case CHECK_IN_RESULTS.OK:
+      return "入場済みにしました。";
+    case CHECK_IN_RESULTS.ALREADY_USED:
+      return scan.checkedInAt
+        ? `${new Date(scan.checkedInAt).toLocaleString("ja-JP")} に入場済みです。同じチケットが2回使われていないか確認してください。`
+        : "既に入場済みです。同じチケットが2回使われていないか確認してください。";
+    case CHECK_IN_RESULTS.CANCELLED:
+      return "この予約はキャンセルされています。入場させないでください。";
+    case CHECK_IN_RESULTS.NOT_PAID:
+      return "事前決済のお支払いが済んでいない予約です。";
+    case CHECK_IN_RESULTS.WRONG_STAGE:
+      return `このチケットは ${reservation?.stageDate || ""} ${reservation?.stageStart || ""} の公演のものです。`;
+    case CHECK_IN_RESULTS.OUTDATED:
+      return `予約の日時が変更されています（変更後：${reservation?.stageDate || ""} ${reservation?.stageStart || ""}）。予約確認メールで最新のチケットを表示してもらってください。`;
+    case CHECK_IN_RESULTS.WRONG_PERFORMANCE:
+      return "この公演のチケットではありません。";
+    default:
+      return "チケットコードを確認できませんでした。読み取り直すか、予約番号で予約一覧から確認してください。";
+  }
+}
+
+/**
+ * TroupeCheckInPageコンポーネント
+ *
+ * @returns {JSX.Element} 当日の受付ページのUI
+ */
+function TroupeCheckInPage() {
+  const { performanceId } = useParams(); // URLパラメータから公演IDを取得
+  const inputRef = useRef(null);         // 読み取りのたびにカーソルを戻す入力欄
+
+  // ============================================
+  // UI状態管理
+  // ============================================
+  const [loading, setLoading] = useState(true);         // データ読み込み中かどうか
+  const [checking, setChecking] = useState(0);          // 確認中の件数（続けて読み取った場合は複数）
+  const [error, setError] = useState("");               // エラーメッセージ（通信エラー・権限など）
+
+  const [performance, setPerformance] = useState(null); // 公演データ
+  const [stageId, setStageId] = useState("");           // 受付をする公演日時（select の値なので文字列）
+  const [code, setCode] = useState("");                 // 入力中のチケットコード
+  const [scans, setScans] = useState([]);               // 直近の読み取りの結果（新しい順）
+
+  // ============================================
+  // 公演データの読み込み
+  // ============================================
+  useEffect(() => {
+    const loadPerformance = async () => {
+      if (!db) {
+        setError("Firestoreが初期化されていません。");
+        setLoading(false);
+        return;
+      }
+      if (!performanceId) {
+        setError("公演IDが指定されていません。");
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const performanceSnapshot = await getDoc(doc(db, "performances", performanceId));
+        if (!performanceSnapshot.exists()) {
+          setError("指定された公演が見つかりませんでした。");
+          return;
+        }
+        const performanceData = performanceSnapshot.data();
+        setPerformance(performanceData);
+
+        // 今日の公演日時があれば最初に選ぶ（無ければ先頭）
+        const stages = performanceData.stages || [];
+        const today = new Date().toLocaleDateString("sv-SE"); // "YYYY-MM-DD"
+        const todayIndex = stages.findIndex((stage) => stage.date === today && !stage.cancelled);
+        const initialIndex = todayIndex >= 0 ? todayIndex : 0;
+        if (stages[initialIndex]) {
+          setStageId(String(getStageKey(stages[initialIndex], initialIndex)));
+        }
+      } catch (error) {
+        console.error("公演の読み込みエラー:", error);
+        setError(`公演の読み込みに失敗しました: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPerformance();
+  }, [performanceId]);
+
+  // 読み込みが終わったら、すぐに読み取れるように入力欄にカーソルを置く
+  useEffect(() => {
+    if (!loading) {
+      inputRef.current?.focus();
+    }
+  }, [loading, stageId]);
+
+  /**
+   * チケットコードを確認する処理（スキャナーの Enter でも呼ばれる）
+   *
+   * なぜ確認中も次の読み取りを受け付けるか：
+   * - 受付に列ができているときに、通信を待たずに次のお客様のチケットを読み取れるようにするため
+   *   （結果は読み取った順に一覧に並ぶ）
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const scannedCode = code.trim();
+    setCode("");
+    inputRef.current?.focus();
+    if (!scannedCode) {
+      return;
+    }
+
+    // 旧データのステージIDは数値のインデックス（select の値は文字列なので戻す）
+    const stages = performance?.stages || [];
+    const stageIndex = stages.findIndex((stage, index) => String(getStageKey(stage, index)) === stageId);
+    if (stageIndex < 0) {
+      setError("受付をする公演日時を選んでください。");
+      return;
+    }
+
+    setError("");
+    setChecking((count) => count + 1);
+    try {
+      const scan = await checkInTicket({
+        code: scannedCode,
+        performanceId,
+        stageId: getStageKey(stages[stageIndex], stageIndex),
+      });
+      setScans((current) => [
+        { ...scan, code: scannedCode, scannedAt: Date.now() },
+        ...current,
+      ].slice(0, MAX_RECENT_SCANS));
+    } catch (error) {
+      console.error("チケットの確認エラー:", error);
+      setError(`チケットを確認できませんでした: ${error.message}`);
+    } finally {
+      setChecking((count) => count - 1);
+      inputRef.current?.focus();
+    }
+  };
+
+  // データ読み込み中の表示
+  if (loading) {
+    return (
+      <div className="troupe-check-in-page">
+        <h1>受付</h1>
+        <p>読み込み中...</p>
+      </div>
+    );
+  }
+
+  const latestScan = scans[0];
+  const checkedInCount = scans.filter((scan) => scan.result === CHECK_IN_RESULTS.OK).length;
+
+  return (
+    <div className="troupe-check-in-page">
+      <h1>受付</h1>
+      {performance?.title && <p className="check-in-performance-title">{performance.title}</p>}
+
+      {/* エラーメッセージ表示 */}
+      {error && (
+        <div className="error-message" style={{
+          backgroundColor: "#ffebee",
+          color: "#c62828",
+          padding: "12px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #ef5350"
+        }}>
+          {error}
+        </div>
+      )}
+
+      {/* 公演日時とチケットコードの入力 */}
+      <div className="check-in-section">
+        <label className="check-in-label" htmlFor="check-in-stage">受付をする公演日時</label>
+        <select
+          id="check-in-stage"
+          className="check-in-stage-select"
+          value={stageId}
+          onChange={(e) => setStageId(e.target.value)}
+        >
+          {(performance?.stages || []).map((stage, index) => {
+            const key = String(getStageKey(stage, index));
+            return (
+              <option key={key} value={key}>
+                {stage.date} {stage.start}{stage.cancelled ? "（中止）" : ""}
+              </option>
+            );
+          })}
+        </select>
+
+        <form onSubmit={handleSubmit} className="check-in-form">
+          <label className="check-in-label" htmlFor="check-in-code">チケットコード</label>
+          <input
+            id="check-in-code"
+            ref={inputRef}
+            type="text"
+            className="check-in-code-input"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="QRコードを読み取るか、コードを貼り付けて Enter"
+            autoComplete="off"
+            autoCapitalize="off"
+            spellCheck={false}
+          />
+          <button type="submit" className="check-in-btn">確認する</button>
+        </form>
+        <p className="section-description">
+          QRコードスキャナーは、この入力欄にカーソルがある状態で読み取ってください。
+          {checking > 0 && "（確認中...）"}
+        </p>
+      </div>
+
+      {/* 最新の読み取りの結果（遠くからでも分かるように大きく表示する） */}
+      {latestScan && (
+        <div className={`check-in-result check-in-result-${getResultTone(latestScan.result)}`}>
+          <p className="check-in-result-title">{CHECK_IN_RESULT_LABELS[latestScan.result] || latestScan.result}</p>
+          <p className="check-in-result-message">{describeResult(latestScan)}</p>
+          {latestScan.reservation && (
+            <div className="check-in-result-detail">
+              <p className="check-in-result-name">{latestScan.reservation.name} 様</p>
+              <p>
+                {getReservationAttendeeCount(latestScan.reservation)}名（{formatTicketBreakdown(latestScan.reservation)}）
+                {latestScan.reservation.seats?.length > 0 && ` ／ 座席：${formatSeatLabels(latestScan.reservation.seats)}`}
+              </p>
+              {latestScan.reservation.confirmationCode && <p>予約番号：{latestScan.reservation.confirmationCode}</p>}
+              {hasAccessibilityRequest(latestScan.reservation) && (
+                <p>配慮のご要望：{formatAccessibilityRequest(latestScan.reservation)}</p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* 直近の読み取りの一覧 */}
+      <div className="check-in-section">
+        <h3>直近の読み取り（この画面で入場済みにした件数：{checkedInCount}件）</h3>
+        {scans.length === 0 ? (
+          <p className="section-description">まだ読み取っていません。</p>
+        ) : (
+          <ul className="check-in-history">
+            {scans.map((scan) => (
+              <li key={`${scan.scannedAt}_${scan.code}`} className={`check-in-history-${getResultTone(scan.result)}`}>
+                <span className="check-in-history-time">{new Date(scan.scannedAt).toLocaleTimeString("ja-JP")}</span>
+                <span className="check-in-history-label">{CHECK_IN_RESULT_LABELS[scan.result] || scan.result}</span>
+                <span>{scan.reservation ? `${scan.reservation.name} 様（${getReservationAttendeeCount(scan.reservation)}名）` : "-"}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <p className="check-in-back-link">
+        <Link to={`/troupe/performances/${performanceId}/reservations`}>予約一覧</Link>
+        {" ／ "}
+        <Link to="/troupe/performances">公演一覧に戻る</Link>
+      </p>
+    </div>
+  );
+}
+
+export default TroupeCheckInPage;
@@ -0,0 +1,365 @@
+/**
+ * ============================================
+ * TroupeLotteryPage.jsx - 抽選の管理ページ
+ * ============================================
+ *
+ * 抽選で予約を受け付ける公演の、申込の確認と抽選を行うページです。
+ *
+ * 主な機能：
+ * 1. 抽選の進み具合（申込前 / 受付中 / 抽選待ち / 抽選済み）と申込期間の表示
+ * 2. 公演日時ごとの申込の件数（第1希望・第2希望）と席数の表示
+ * 3. 申込の一覧（当選・落選の結果を含む）
+ * 4. 抽選の実行（申込期間の終了後のみ）
+ * 5. 結果のお知らせの再開（お知らせの途中で失敗した場合のみ）
+ *
+ * 予約方式・申込期間は、公演の作成・編集ページの「予約の受付期間」で設定します。
+ */
+
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import { doc, getDoc } from "firebase/firestore";
+import { db } from "../../firebase";
+import {
+  LOTTERY_STATUS,
+  listLotteryApplications,
+  getLotteryDraw,
+  runLotteryDraw,
+  sendLotteryResults,
+} from "../../services/lotteryService";
+import {
+  LOTTERY_PHASES,
+  LOTTERY_PHASE_LABELS,
+  isLotteryMode,
+  getLotteryPhase,
+  describeLotteryPeriod,
+} from "../../../functions/shared/lotteryUtils.js";
+import { getStageKey } from "../../../functions/shared/stageUtils.js";
+import { getReservationAttendeeCount } from "../../../functions/shared/ticketUtils.js";
+import { formatSeatLabels } from "../../../functions/shared/seatMapUtils.js";
+import "./TroupeLotteryPage.css";
+
+// 申込のステータスの表示名
+const LOTTERY_STATUS_LABELS = {
+  [LOTTERY_STATUS.APPLIED]: "抽選待ち",
+  [LOTTERY_STATUS.WON]: "当選",
+  [LOTTERY_STATUS.LOST]: "落選",
+};
+
+/**
+ * 希望の公演日時を表示用の文字列にする関数
+ *
+ * @param {Object} preference - 申込の preferences の1件（{ stageDate, stageStart }）
+ * @returns {string} 例："2025-12-03 14:00"
+ */
+function formatPreference(preference) {
+  return preference ? `${preference.stageDate || ""} ${preference.stageStart || ""}` : "-";
+}
+
+/**
+ * TroupeLotteryPageコンポーネント
+ *
+ * @returns {JSX.Element} 抽選の管理ページのUI
+ */
+function TroupeLotteryPage() {
+  const { performanceId } = useParams(); // URLパラメータから公演IDを取得
+
+  // ============================================
+  // UI状態管理
+  // ============================================
+  const [loading, setLoading] = useState(true);  // データ読み込み中かどうか
+  const [drawing, setDrawing] = useState(false); // 抽選・お知らせの処理中かどうか
+  const [error, setError] = useState("");        // エラーメッセージ
+  const [success, setSuccess] = useState("");    // 成功メッセージ
+
+  const [performance, setPerformance] = useState(null); // 公演データ
+  const [applications, setApplications] = useState([]); // 抽選の申込の一覧
+  const [draw, setDraw] = useState(null);               // 抽選の結果（まだ抽選していない場合はnull）
+  const [reloadVersion, setReloadVersion] = useState(0); // 再取得用（値が変わると再取得する）
+
+  // ============================================
+  // 公演データ・申込・抽選の結果の読み込み
+  // ============================================
+  useEffect(() => {
+    const loadLottery = async () => {
+      if (!db) {
+        setError("Firestoreが初期化されていません。");
+        setLoading(false);
+        return;
+      }
+      if (!performanceId) {
+        setError("公演IDが指定されていません。");
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const performanceSnapshot = await getDoc(doc(db, "performances", performanceId));
+        if (!performanceSnapshot.exists()) {
+          setError("指定された公演が見つかりませんでした。");
+          return;
+        }
+        setPerformance(performanceSnapshot.data());
+        setApplications(await listLotteryApplications(performanceId));
+        setDraw(await getLotteryDraw(performanceId));
+      } catch (error) {
+        console.error("抽選の読み込みエラー:", error);
+        setError(`抽選の読み込みに失敗しました: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadLottery();
+  }, [performanceId, reloadVersion]);
+
+  /**
+   * 抽選を行う処理
+   *
+   * なぜ確認ダイアログを出すか：
+   * - 抽選はやり直せず、当選した方にはすぐに予約確定のメールが送られるため
+   */
+  const handleDraw = async () => {
+    if (!window.confirm(
+      `${applications.length}件の申込で抽選を行います。\n抽選はやり直せません。当選・落選のメールもすぐに送られます。よろしいですか？`
+    )) {
+      return;
+    }
+    setError("");
+    setSuccess("");
+    setDrawing(true);
+    try {
+      const result = await runLotteryDraw(performanceId);
+      setSuccess(
+        `抽選を行いました（申込${result.applicationCount}件のうち、当選${result.winnerCount}件）。結果を${result.notifiedCount}件お知らせしました。`
+      );
+    } catch (error) {
+      console.error("抽選エラー:", error);
+      setError(error.code ? error.message : `抽選に失敗しました: ${error.message}`);
+    } finally {
+      setDrawing(false);
+      setReloadVersion((version) => version + 1);
+    }
+  };
+
+  /**
+   * 結果のお知らせを再開する処理（お知らせの途中で失敗した場合のみ）
+   */
+  const handleResumeNotify = async () => {
+    setError("");
+    setSuccess("");
+    setDrawing(true);
+    try {
+      const notifiedCount = await sendLotteryResults(performanceId);
+      setSuccess(`抽選の結果を${notifiedCount}件お知らせしました。`);
+    } catch (error) {
+      console.error("抽選結果のお知らせエラー:", error);
+      setError(error.code ? error.message : `抽選結果のお知らせに失敗しました: ${error.message}`);
+    } finally {
+      setDrawing(false);
+      setReloadVersion((version) => version + 1);
+    }
+  };
+
+  // データ読み込み中の表示
+  if (loading) {
+    return (
+      <div className="troupe-lottery-page">
+        <h1>抽選</h1>
+        <p>読み込み中...</p>
+      </div>
+    );
+  }
+
+  const lotteryPhase = getLotteryPhase(performance);
+
+  // 公演日時ごとの申込の件数（第1希望・第2希望）
+  // なぜ希望ごとに分けるか：第1希望が集中している日時と、席の余りそうな日時を見分けるため
+  const stageSummaries = (performance?.stages || []).map((stage, index) => {
+    const stageId = getStageKey(stage, index);
+    const countFor = (preferenceIndex) =>
+      applications.filter(
+        (application) => String(application.preferences?.[preferenceIndex]?.stageId) === String(stageId)
+      );
+    return {
+      stageId,
+      label: `${stage.date || ""} ${stage.start || ""}`,
+      seatLimit: Number(stage.seatLimit) || 0,
+      firstCount: countFor(0).length,
+      firstPeople: countFor(0).reduce((sum, application) => sum + getReservationAttendeeCount(application), 0),
+      secondCount: countFor(1).length,
+    };
+  });
+
+  return (
+    <div className="troupe-lottery-page">
+      <h1>抽選</h1>
+      {performance?.title && <p className="lottery-performance-title">{performance.title}</p>}
+
+      {/* エラーメッセージ表示 */}
+      {error && (
+        <div className="error-message" style={{
+          backgroundColor: "#ffebee",
+          color: "#c62828",
+          padding: "12px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #ef5350"
+        }}>
+          {error}
+        </div>
+      )}
+
+      {/* 成功メッセージ表示 */}
+      {success && (
+        <div className="success-message" style={{
+          backgroundColor: "#e8f5e9",
+          color: "#2e7d32",
+          padding: "12px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #4caf50"
+        }}>
+          {success}
+        </div>
+      )}
+
+      {performance && !isLotteryMode(performance) ? (
+        <div className="lottery-section">
+          <p className="section-description">
+            この公演は先着順で予約を受け付けています。抽選で受け付ける場合は、公演の編集ページの「予約の受付期間」で予約方式を「抽選」にしてください。
+          </p>
+        </div>
+      ) : (
+        <>
+          {/* 抽選の進み具合と抽選の実行 */}
+          <div className="lottery-section">
+            <h3>抽選の状況</h3>
+            <p>
+              <span className={`lottery-phase-badge lottery-phase-${lotteryPhase}`}>
+                {LOTTERY_PHASE_LABELS[lotteryPhase]}
+              </span>
+              {describeLotteryPeriod(performance)}
+            </p>
+
+            {lotteryPhase === LOTTERY_PHASES.CLOSED && (
+              <>
+                <p className="section-description">
+                  申込期間が終わりました。抽選を行うと、当選した方の予約を作成し、当選・落選をメールでお知らせします。
+                  抽選の後、残った席は先着順で受け付けます（予約の受付期間の設定に従います）。
+                </p>
+                <button type="button" className="lottery-draw-btn" onClick={handleDraw} disabled={drawing}>
+                  {drawing ? "抽選中..." : "抽選を実行する"}
+                </button>
+              </>
+            )}
+            {(lotteryPhase === LOTTERY_PHASES.BEFORE || lotteryPhase === LOTTERY_PHASES.OPEN) && (
+              <p className="section-description">
+                抽選は、申込期間が終わってから行えます。
+              </p>
+            )}
+            {draw && (
+              <p>
+                抽選日時：{draw.drawnAt?.toDate ? draw.drawnAt.toDate().toLocaleString("ja-JP") : "-"}
+                ／ 申込{draw.applicationCount}件のうち、当選{draw.winnerCount}件
+              </p>
+            )}
+            {/* お知らせが途中で止まった場合のみ（通信エラーなど） */}
+            {draw && !draw.notifiedAt && (
+              <div className="lottery-resume">
+                <p className="section-description">
+                  抽選の結果のお知らせが完了していません。お知らせを再開してください（お知らせ済みの方には再送しません）。
+                </p>
+                <button type="button" className="lottery-draw-btn" onClick={handleResumeNotify} disabled={drawing}>
+                  {drawing ? "お知らせ中..." : "結果のお知らせを再開する"}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* 公演日時ごとの申込の件数 */}
+          <div className="lottery-section">
+            <h3>公演日時ごとの申込</h3>
+            <div style={{ overflowX: "auto" }}>
+              <table className="lottery-table">
+                <thead>
+                  <tr>
+                    <th>公演日時</th>
+                    <th>席数</th>
+                    <th>第1希望</th>
+                    <th>第2希望</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stageSummaries.map((summary) => (
+                    <tr key={summary.stageId}>
+                      <td>{summary.label}</td>
+                      <td>{summary.seatLimit > 0 ? `${summary.seatLimit}席` : "上限なし"}</td>
+                      <td>{summary.firstCount}件（{summary.firstPeople}名）</td>
+                      <td>{summary.secondCount}件</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* 申込の一覧 */}
+          <div className="lottery-section">
+            <h3>申込の一覧（{applications.length}件）</h3>
+            {applications.length === 0 ? (
+              <p className="section-description">まだ申込はありません。</p>
+            ) : (
+              <div style={{ overflowX: "auto" }}>
+                <table className="lottery-table">
+                  <thead>
+                    <tr>
+                      <th>氏名</th>
+                      <th>メールアドレス</th>
+                      <th>第1希望</th>
+                      <th>第2希望</th>
+                      <th>人数</th>
+                      <th>結果</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {applications.map((application) => {
+                      const result = draw?.results?.[application.id];
+                      return (
+                        <tr key={application.id}>
+                          <td>{application.name}</td>
+                          <td>{application.email}</td>
+                          <td>{formatPreference(application.preferences?.[0])}</td>
+                          <td>{formatPreference(application.preferences?.[1])}</td>
+                          <td>{getReservationAttendeeCount(application)}名</td>
+                          <td>
+                            <span className={`lottery-status lottery-status-${application.status}`}>
+                              {LOTTERY_STATUS_LABELS[application.status] || application.status}
+                            </span>
+                            {result?.won && (
+                              <span className="lottery-result-detail">
+                                第{result.preferenceIndex + 1}希望
+                                {result.seats && ` ${formatSeatLabels(result.seats)}`}
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      <p className="lottery-back-link">
+        <Link to={`/troupe/performances/${performanceId}/reservations`}>予約一覧（当選した方の予約）</Link>
+        {" ／ "}
+        <Link to="/troupe/performances">公演一覧に戻る</Link>
+      </p>
+    </div>
+  );
+}
+
+export default TroupeLotteryPage;
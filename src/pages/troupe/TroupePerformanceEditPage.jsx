@@ -14,10 +14,41 @@
  */
 
 import { useState, useEffect } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, Link } from "react-router-dom";
 import { doc, getDoc, updateDoc, deleteDoc, serverTimestamp } from "firebase/firestore";
 import { db } from "../../firebase";
 import { useAuth } from "../../contexts/AuthContext";
+import { generateStageId, ensureStageIds } from "../../../functions/shared/stageUtils.js";
+import { generateTicketTypeId, getTicketTypes, getRepresentativePrice } from "../../../functions/shared/ticketUtils.js";
+import {
+  QUESTION_TYPES,
+  QUESTION_TYPE_LABELS,
+  generateQuestionId,
+  hasQuestionOptions,
+  getFormQuestions,
+  validateFormQuestions,
+  normalizeFormQuestions,
+} from "../../../functions/shared/formQuestionUtils.js";
+import {
+  DEFAULT_CHANGE_DEADLINE_HOURS,
+  DEADLINE_TYPES,
+  getChangeDeadlineHours,
+  getDeadlineType,
+} from "../../../functions/shared/deadlineUtils.js";
+import { getMaxPeoplePerReservation, getMaxReservationsPerEmail } from "../../../functions/shared/reservationLimitUtils.js";
+import { getSalesCloseHours } from "../../../functions/shared/salesWindowUtils.js";
+import { RESERVATION_MODES } from "../../../functions/shared/lotteryUtils.js";
+import { PAYMENT_METHODS, PAYMENT_METHOD_LABELS, PAYMENT_HOLD_MINUTES, getPaymentMethod } from "../../../functions/shared/paymentUtils.js";
+import {
+  DEFAULT_REFUND_PERCENT,
+  DEFAULT_LATE_REFUND_PERCENT,
+  getRefundPercent,
+  getLateCancelHours,
+  getLateRefundPercent,
+} from "../../../functions/shared/refundUtils.js";
+import { getStageAccessibilityQuotaError } from "../../../functions/shared/accessibilityUtils.js";
+import { migrateStageIds } from "../../services/stageMigrationService";
+import { hasSeatMap, getSellableSeatLabels } from "../../../functions/shared/seatMapUtils.js";
 import "./TroupePerformanceEditPage.css";
 
 /**
@@ -55,16 +86,19 @@ function TroupePerformanceEditPage() {
   const [address, setAddress] = useState("");       // 住所
   const [prefecture, setPrefecture] = useState(""); // 都道府県
   const [region, setRegion] = useState("");         // 地域（例：関東）
-  const [price, setPrice] = useState(0);            // 料金（0なら無料）
 
   // ============================================
   // ステージ情報（配列：複数の公演日時を管理）
   // ============================================
   // 1つの公演に複数のステージ（公演日時）を設定できます
   // 例：同じ公演を3日間開催する場合、3つのステージを追加
+  // 
+  // 【なぜステージごとにidを持たせるか】
+  // - 予約はこのidでステージを参照するため、削除・挿入をしても既存の予約がずれない
+  // - 以前は配列のインデックスで参照していたため、削除すると別の日時を指してしまっていた
   
-  const [stages, setStages] = useState([
-    { date: "", start: "", end: "", seatLimit: 0 }  // 初期値：1つのステージ
+  const [stages, setStages] = useState(() => [
+    { id: generateStageId(), date: "", start: "", end: "", seatLimit: 0, wheelchairSpaces: 0, companionSeats: 0 }  // 初期値：1つのステージ
   ]);
 
   /**
@@ -73,14 +107,14 @@ function TroupePerformanceEditPage() {
    * スプレッド演算子（...）を使用して、既存の配列に新しい要素を追加
    */
   const addStage = () => {
-    setStages([...stages, { date: "", start: "", end: "", seatLimit: 0 }]);
+    setStages([...stages, { id: generateStageId(), date: "", start: "", end: "", seatLimit: 0, wheelchairSpaces: 0, companionSeats: 0 }]);
   };
 
   /**
    * ステージ情報を更新する関数
    * 
    * @param {number} index - 更新するステージのインデックス
-   * @param {string} key - 更新するフィールド名（date, start, end, seatLimit）
+   * @param {string} key - 更新するフィールド名（date, start, end, seatLimit, wheelchairSpaces, companionSeats）
    * @param {string|number} value - 新しい値
    */
   const updateStage = (index, key, value) => {
@@ -101,6 +135,120 @@ function TroupePerformanceEditPage() {
     setStages(stages.filter((_, i) => i !== index));  // 指定されたインデックスの要素を除外
   };
 
+  // ============================================
+  // 券種情報（配列：一般・学生・シニア・未就学児などを管理）
+  // ============================================
+  // 券種ごとに料金と、1ステージあたりの販売上限（0なら上限なし）を設定できます
+  // 
+  // 【なぜ「席を使わない」設定が必要か】
+  // - 膝上の未就学児などは席を使わないため、席数上限（seatLimit）に数えないようにするため
+  
+  const [ticketTypes, setTicketTypes] = useState(() => [
+    { id: generateTicketTypeId(), name: "一般", price: 0, quota: 0, occupiesSeat: true }  // 初期値：一般のみ
+  ]);
+
+  // キャンセルポリシー（お客様自身がキャンセル・人数や日時の変更をできる締め切り）
+  const [deadlineType, setDeadlineType] = useState(DEADLINE_TYPES.HOURS_BEFORE); // 締め切りの決め方
+  const [changeDeadlineHours, setChangeDeadlineHours] = useState(DEFAULT_CHANGE_DEADLINE_HOURS); // 開演の何時間前まで
+  const [cancellationPolicyText, setCancellationPolicyText] = useState(""); // お客様に表示するポリシーの文章
+
+  // 予約の受付期間（予約開始日時と、ステージごとの締め切り）
+  const [salesStartAt, setSalesStartAt] = useState(""); // 予約開始日時（"YYYY-MM-DDTHH:mm"。空はすぐに受付開始）
+  const [salesCloseHours, setSalesCloseHours] = useState(0); // 開演の何時間前に予約を締め切るか（0は開演時刻まで）
+  const [salesCloseAt, setSalesCloseAt] = useState(""); // 予約の締め切り日時（"YYYY-MM-DDTHH:mm"。空は開演の何時間前かだけで締め切る）
+  const [reservationMode, setReservationMode] = useState(RESERVATION_MODES.FIRST_COME); // 予約方式（先着順 / 抽選）
+  const [paymentMethod, setPaymentMethod] = useState(PAYMENT_METHODS.ON_SITE); // お支払い方法（当日精算 / 事前決済）
+  const [refundPercent, setRefundPercent] = useState(DEFAULT_REFUND_PERCENT);   // キャンセル時に返金する割合（%）
+  const [lateCancelHours, setLateCancelHours] = useState(0); // 開演の何時間前からを直前のキャンセルとするか（0は区別しない）
+  const [lateRefundPercent, setLateRefundPercent] = useState(DEFAULT_LATE_REFUND_PERCENT); // 直前のキャンセルで返金する割合（%）
+  const [lotteryStartAt, setLotteryStartAt] = useState(""); // 抽選の申込開始日時（空はすぐに申込開始）
+  const [lotteryEndAt, setLotteryEndAt] = useState("");     // 抽選の申込終了日時（抽選の場合は必須）
+  const [lotteryDrawnAt, setLotteryDrawnAt] = useState(null); // 抽選を行った日時（抽選後は予約方式を変更できない）
+
+  // 予約の制限（0は上限なし）
+  const [maxPeoplePerReservation, setMaxPeoplePerReservation] = useState(0); // 1件の予約の人数の上限
+  const [maxReservationsPerEmail, setMaxReservationsPerEmail] = useState(0); // 同じメールアドレスの予約件数の上限
+
+  // 予約フォームの追加質問（例：「どこで公演を知りましたか？」）
+  const [formQuestions, setFormQuestions] = useState([]);
+
+  /**
+   * 券種を追加する関数
+   */
+  const addTicketType = () => {
+    setTicketTypes([...ticketTypes, { id: generateTicketTypeId(), name: "", price: 0, quota: 0, occupiesSeat: true }]);
+  };
+
+  /**
+   * 券種情報を更新する関数
+   * 
+   * @param {number} index - 更新する券種のインデックス
+   * @param {string} key - 更新するフィールド名（name, price, quota, occupiesSeat）
+   * @param {string|number|boolean} value - 新しい値
+   */
+  const updateTicketType = (index, key, value) => {
+    setTicketTypes(ticketTypes.map((ticketType, i) => (i === index ? { ...ticketType, [key]: value } : ticketType)));
+  };
+
+  /**
+   * 券種を削除する関数
+   * 
+   * @param {number} index - 削除する券種のインデックス
+   * 
+   * 注意：最後の1つは削除できない（最低1つの券種が必要）
+   * 削除しても、既存の予約には予約時点の券種名・料金が残るため表示は崩れない
+   */
+  const removeTicketType = (index) => {
+    if (ticketTypes.length === 1) return;  // 最後の1つは削除不可
+    setTicketTypes(ticketTypes.filter((_, i) => i !== index));
+  };
+
+  /**
+   * 追加質問を追加する関数
+   */
+  const addFormQuestion = () => {
+    setFormQuestions([
+      ...formQuestions,
+      { id: generateQuestionId(), type: QUESTION_TYPES.TEXT, label: "", options: [], required: false },
+    ]);
+  };
+
+  /**
+   * 追加質問を更新する関数
+   * 
+   * @param {number} index - 更新する質問のインデックス
+   * @param {string} key - 更新するフィールド名（type, label, options, required）
+   * @param {string|boolean|Array<string>} value - 新しい値
+   */
+  const updateFormQuestion = (index, key, value) => {
+    setFormQuestions(formQuestions.map((question, i) => (i === index ? { ...question, [key]: value } : question)));
+  };
+
+  /**
+   * 追加質問を削除する関数
+   * 
+   * @param {number} index - 削除する質問のインデックス
+   * 
+   * 削除しても、既存の予約には予約時点の質問文と回答が残るため、予約一覧では引き続き確認できる
+   */
+  const removeFormQuestion = (index) => {
+    setFormQuestions(formQuestions.filter((_, i) => i !== index));
+  };
+
+  /**
+   * 追加質問の順番を入れ替える関数
+   * 
+   * @param {number} index - 動かす質問のインデックス
+   * @param {number} direction - -1なら上へ、1なら下へ
+   */
+  const moveFormQuestion = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= formQuestions.length) return;
+    const next = [...formQuestions];
+    [next[index], next[target]] = [next[target], next[index]];
+    setFormQuestions(next);
+  };
+
   // ============================================
   // キャスト情報（配列：複数のキャストを管理）
   // ============================================
@@ -267,8 +415,8 @@ function TroupePerformanceEditPage() {
         //   - region: "地域"
         //   - price: 1000
         //   - stages: [
-        //       { date: "2025-12-01", start: "14:00", end: "16:00", seatLimit: 20 },
-        //       { date: "2025-12-02", start: "14:00", end: "16:00", seatLimit: 20 }
+        //       { id: "stg_3f9a0c12b7e4", date: "2025-12-01", start: "14:00", end: "16:00", seatLimit: 20 },
+        //       { id: "stg_8d21e5a09c3b", date: "2025-12-02", start: "14:00", end: "16:00", seatLimit: 20 }
         //     ]
         //   - createdAt: Timestamp（作成日時）
         //   - updatedAt: Timestamp（更新日時）
@@ -286,6 +434,21 @@ function TroupePerformanceEditPage() {
         // 取得したデータを取得
         const performanceData = performanceSnapshot.data();
 
+        // ============================================
+        // 【重要】ステージIDへの移行（旧データ対応）
+        // ============================================
+        // なぜ編集前に移行するか：
+        // - 旧データの予約はstageIdに「配列のインデックス」を保存している
+        // - この画面でステージを削除・挿入するとインデックスがずれるため、
+        //   編集を始める前にステージIDを付与し、予約もIDに書き換えておく必要がある
+        try {
+          const { stages: migratedStages } = await migrateStageIds(performanceId);
+          performanceData.stages = migratedStages;
+        } catch (migrationError) {
+          console.warn("ステージIDの移行に失敗しました:", migrationError);
+          setError("既存予約のステージIDの移行に失敗しました。ステージの削除・追加は予約とずれる可能性があるため控えてください。");
+        }
+
         // ============================================
         // 【重要】取得したデータをフォームの初期値として反映
         // ============================================
@@ -309,21 +472,47 @@ function TroupePerformanceEditPage() {
         setAddress(performanceData.address || "");
         setPrefecture(performanceData.prefecture || "");
         setRegion(performanceData.region || "");
-        setPrice(Number(performanceData.price) || 0);
+        // 券種を反映（券種の無い旧データは、公演の料金を使った「一般」1種類として読み込む）
+        setTicketTypes(getTicketTypes(performanceData));
+        setChangeDeadlineHours(getChangeDeadlineHours(performanceData));
+        setDeadlineType(getDeadlineType(performanceData));
+        setCancellationPolicyText(performanceData.cancellationPolicyText || "");
+        setSalesStartAt(performanceData.salesStartAt || "");
+        setSalesCloseHours(getSalesCloseHours(performanceData));
+        setSalesCloseAt(performanceData.salesCloseAt || "");
+        setReservationMode(performanceData.reservationMode || RESERVATION_MODES.FIRST_COME);
+        setPaymentMethod(getPaymentMethod(performanceData));
+        setRefundPercent(getRefundPercent(performanceData));
+        setLateCancelHours(getLateCancelHours(performanceData));
+        setLateRefundPercent(getLateRefundPercent(performanceData));
+        setLotteryStartAt(performanceData.lotteryStartAt || "");
+        setLotteryEndAt(performanceData.lotteryEndAt || "");
+        setLotteryDrawnAt(performanceData.lotteryDrawnAt || null);
+        setMaxPeoplePerReservation(getMaxPeoplePerReservation(performanceData));
+        setMaxReservationsPerEmail(getMaxReservationsPerEmail(performanceData));
+        setFormQuestions(getFormQuestions(performanceData));
 
         // ステージ情報を反映
         // 【重要】stagesが配列で存在する場合のみ反映
         // なぜ必要か：stagesが存在しない場合や、空配列の場合にエラーを防ぐため
         if (Array.isArray(performanceData.stages) && performanceData.stages.length > 0) {
           setStages(performanceData.stages.map(stage => ({
+            id: stage.id || generateStageId(),  // ステージID（移行済みなら既存のIDを維持）
             date: stage.date || "",
             start: stage.start || "",
             end: stage.end || "",
             seatLimit: Number(stage.seatLimit) || 0,
+            wheelchairSpaces: Number(stage.wheelchairSpaces) || 0,
+            companionSeats: Number(stage.companionSeats) || 0,
+            // 座席表（座席表の編集ページで設定する。ここでは保存時に消えないよう保持するだけ）
+            seatMap: hasSeatMap(stage) ? stage.seatMap : null,
+            // 中止（予約一覧の「このステージを中止する」で設定する。ここでは保存時に消えないよう保持するだけ）
+            cancelled: Boolean(stage.cancelled),
+            cancelledAt: stage.cancelledAt || null,
           })));
         } else {
           // stagesが存在しない場合は、初期値（1つの空ステージ）を維持
-          setStages([{ date: "", start: "", end: "", seatLimit: 0 }]);
+          setStages([{ id: generateStageId(), date: "", start: "", end: "", seatLimit: 0, wheelchairSpaces: 0, companionSeats: 0 }]);
         }
 
         // ============================================
@@ -434,6 +623,38 @@ function TroupePerformanceEditPage() {
       if (stages.length === 0 || !stages[0].date || !stages[0].start || !stages[0].end) {
         throw new Error("最低1つのステージ情報（公演日、開始時間、終了時間）を入力してください。");
       }
+      if (ticketTypes.some(ticketType => !ticketType.name.trim())) {
+        throw new Error("券種名を入力してください。");
+      }
+      // 抽選の場合は、申込の終了日時が無いと抽選を行えないため必須にする
+      if (reservationMode === RESERVATION_MODES.LOTTERY && !lotteryEndAt) {
+        throw new Error("抽選の申込終了日時を入力してください。");
+      }
+      if (reservationMode === RESERVATION_MODES.LOTTERY && lotteryStartAt && lotteryStartAt >= lotteryEndAt) {
+        throw new Error("抽選の申込終了日時は、申込開始日時より後にしてください。");
+      }
+      // 座席表のあるステージは、販売できる座席数を席数上限として確認する
+      const accessibilityQuotaError = stages
+        .map((stage) => getStageAccessibilityQuotaError(
+          hasSeatMap(stage) ? { ...stage, seatLimit: getSellableSeatLabels(stage.seatMap).length } : stage
+        ))
+        .find(Boolean);
+      if (accessibilityQuotaError) {
+        throw new Error(accessibilityQuotaError);
+      }
+      const formQuestionsError = validateFormQuestions(formQuestions);
+      if (formQuestionsError) {
+        throw new Error(formQuestionsError);
+      }
+
+      // 保存する券種（数値に変換）
+      const savedTicketTypes = ticketTypes.map(ticketType => ({
+        id: ticketType.id,                      // 券種ID（予約の内訳・販売数はこのIDで紐付く）
+        name: ticketType.name.trim(),
+        price: Number(ticketType.price) || 0,
+        quota: Number(ticketType.quota) || 0,   // 1ステージあたりの販売上限（0なら上限なし）
+        occupiesSeat: ticketType.occupiesSeat !== false,
+      }));
 
       // ============================================
       // 【重要】updateDocを使用して既存ドキュメントを更新
@@ -458,12 +679,38 @@ function TroupePerformanceEditPage() {
         address: address.trim(),                // 住所
         prefecture: prefecture.trim(),          // 都道府県
         region: region.trim(),                  // 地域
-        price: Number(price) || 0,              // 料金（数値に変換）
-        stages: stages.map(stage => ({          // ステージ情報
+        ticketTypes: savedTicketTypes,          // 券種（料金・販売上限）
+        price: getRepresentativePrice(savedTicketTypes), // 一覧表示用の代表料金（先頭の券種の料金）
+        salesStartAt,                          // 予約開始日時（空はすぐに受付開始）
+        salesCloseHours: Math.max(Number(salesCloseHours) || 0, 0), // 予約の締め切り（開演の何時間前）
+        salesCloseAt,                          // 予約の締め切り日時（空は開演の何時間前かだけで締め切る）
+        reservationMode,                       // 予約方式（先着順 / 抽選）
+        paymentMethod,                         // お支払い方法（当日精算 / 事前決済）
+        refundPercent: getRefundPercent({ refundPercent }), // キャンセル時に返金する割合（事前決済のみ使う）
+        lateCancelHours: getLateCancelHours({ lateCancelHours }), // 直前のキャンセルとする時間（開演の何時間前から）
+        lateRefundPercent: getLateRefundPercent({ lateRefundPercent }), // 直前のキャンセルで返金する割合
+        lotteryStartAt,                        // 抽選の申込開始日時（空はすぐに申込開始）
+        lotteryEndAt,                          // 抽選の申込終了日時
+        deadlineType,                          // キャンセル・変更の締め切りの決め方
+        changeDeadlineHours: Math.max(Number(changeDeadlineHours) || 0, 0), // キャンセル・変更の締め切り（開演の何時間前）
+        cancellationPolicyText: cancellationPolicyText.trim(), // キャンセルポリシーの文章
+        maxPeoplePerReservation: Math.max(Math.floor(Number(maxPeoplePerReservation) || 0), 0), // 1件の予約の人数の上限（0は上限なし）
+        maxReservationsPerEmail: Math.max(Math.floor(Number(maxReservationsPerEmail) || 0), 0), // 同じメールアドレスの予約件数の上限（0は上限なし）
+        formQuestions: normalizeFormQuestions(formQuestions), // 予約フォームの追加質問
+        stages: ensureStageIds(stages).map(stage => ({ // ステージ情報
+          id: stage.id,                         // ステージID（既存の予約はこのIDで紐付いている）
           date: stage.date,
           start: stage.start,
           end: stage.end,
           seatLimit: Number(stage.seatLimit) || 0,
+          wheelchairSpaces: Math.max(Math.floor(Number(stage.wheelchairSpaces) || 0), 0), // 車椅子スペースの数（席数上限の内数）
+          companionSeats: Math.max(Math.floor(Number(stage.companionSeats) || 0), 0),     // 同伴者席の数（席数上限の内数）
+          // 中止したステージは、中止のまま保存する（中止を取り消すと、取り消した予約との整合が取れなくなるため）
+          ...(stage.cancelled ? { cancelled: true, cancelledAt: stage.cancelledAt } : {}),
+          // 座席表のあるステージは、席数上限を「販売できる座席数」に揃える
+          ...(hasSeatMap(stage)
+            ? { seatMap: stage.seatMap, seatLimit: getSellableSeatLabels(stage.seatMap).length }
+            : {}),
         })),
         cast: cast.filter(c => c.name.trim() && c.role.trim()), // キャスト情報（空のキャストを除外）
         staff: staff.filter(s => s.name.trim() && s.role.trim()), // スタッフ情報（空のスタッフを除外）
@@ -717,28 +964,407 @@ function TroupePerformanceEditPage() {
           />
         </div>
 
-        {/* 料金（任意） */}
+        {/* 券種・料金 */}
+        <h3>券種・料金</h3>
+        <p className="section-description">
+          一般・学生などの券種ごとに料金を設定します。販売上限は1ステージあたりの枚数です（0なら上限なし）。
+        </p>
+
+        {ticketTypes.map((ticketType, i) => (
+          <div key={ticketType.id} className="stage-item ticket-type-item">
+            <div className="form-field">
+              <label className="form-label">
+                券種名 <span className="required-badge">必須</span>
+              </label>
+              <input
+                type="text"
+                placeholder="例：一般、学生、未就学児（膝上）"
+                value={ticketType.name}
+                onChange={(e) => updateTicketType(i, "name", e.target.value)}
+                required
+              />
+            </div>
+
+            <div className="form-field">
+              <label className="form-label">料金（円）</label>
+              <input
+                type="number"
+                min="0"
+                placeholder="0なら無料"
+                value={ticketType.price}
+                onChange={(e) => updateTicketType(i, "price", Number(e.target.value))}
+              />
+            </div>
+
+            <div className="form-field">
+              <label className="form-label">
+                販売上限 <span className="optional-badge">任意</span>
+              </label>
+              <input
+                type="number"
+                min="0"
+                placeholder="1ステージあたりの枚数"
+                value={ticketType.quota}
+                onChange={(e) => updateTicketType(i, "quota", Number(e.target.value))}
+              />
+            </div>
+
+            <div className="form-field">
+              <label className="form-label">
+                <input
+                  type="checkbox"
+                  checked={ticketType.occupiesSeat === false}
+                  onChange={(e) => updateTicketType(i, "occupiesSeat", !e.target.checked)}
+                  style={{ width: "auto", marginRight: "6px" }}
+                />
+                席を使わない（膝上など。席数上限に数えません）
+              </label>
+            </div>
+
+            {ticketTypes.length > 1 && (
+              <button 
+                type="button" 
+                className="remove-btn"
+                onClick={() => removeTicketType(i)}
+              >
+                削除
+              </button>
+            )}
+          </div>
+        ))}
+
+        <button type="button" className="add-btn" onClick={addTicketType}>
+          ＋ 券種追加
+        </button>
+
+        {/* お支払い方法（有料の券種がある場合のみ使われる） */}
         <div className="form-field">
           <label className="form-label">
-            料金 <span className="optional-badge">任意</span>
+            お支払い方法
           </label>
-          <input 
-            type="number" 
-            placeholder="料金（0なら無料）"
-            value={price}
-            onChange={(e) => setPrice(e.target.value)}
+          <select
+            value={paymentMethod}
+            onChange={(e) => setPaymentMethod(e.target.value)}
+          >
+            <option value={PAYMENT_METHODS.ON_SITE}>{PAYMENT_METHOD_LABELS[PAYMENT_METHODS.ON_SITE]}（当日、受付でお支払い）</option>
+            <option value={PAYMENT_METHODS.PREPAID}>{PAYMENT_METHOD_LABELS[PAYMENT_METHODS.PREPAID]}（予約の後すぐにお支払い）</option>
+          </select>
+          <p className="section-description">
+            事前決済の場合、お客様は予約の後{PAYMENT_HOLD_MINUTES}分以内にお支払いいただき、期限を過ぎた予約は自動で取り消されます。
+            キャンセル待ちの繰り上げ・抽選の当選による予約は、当日精算になります。
+          </p>
+        </div>
+        {paymentMethod === PAYMENT_METHODS.PREPAID && (
+          <div className="form-field">
+            <label className="form-label">
+              キャンセル時に返金する割合（%）
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={refundPercent}
+              onChange={(e) => setRefundPercent(e.target.value)}
+            />
+            <p className="section-description">
+              お客様のご都合でキャンセルされた場合に、お支払い金額のうち返金する割合です（0%は返金なし）。
+              ステージを中止した場合は、この設定に関わらず全額を返金します。返金は「返金」ページから手続きします。
+            </p>
+          </div>
+        )}
+        {paymentMethod === PAYMENT_METHODS.PREPAID && (
+          <div className="form-field">
+            <label className="form-label">
+              直前のキャンセル（開演の何時間前から） <span className="optional-badge">任意</span>
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={lateCancelHours}
+              onChange={(e) => setLateCancelHours(e.target.value)}
+            />
+            <label className="form-label">
+              直前のキャンセルで返金する割合（%）
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={lateRefundPercent}
+              onChange={(e) => setLateRefundPercent(e.target.value)}
+            />
+            <p className="section-description">
+              返金額は、お客様がキャンセルした日時で決まります。開演の指定時間前より後のキャンセルは、上の割合ではなくこの割合で返金します。
+              0時間の場合は区別せず、いつキャンセルされても上の割合で返金します（キャンセルできるのは、キャンセルの締め切りまでです）。
+            </p>
+          </div>
+        )}
+
+        {/* 予約の受付期間（予約開始日時・ステージごとの締め切り） */}
+        <h3>予約の受付期間</h3>
+        <p className="section-description">
+          予約開始日時までは「予約開始前」と表示し、予約を受け付けません。
+          各ステージの予約は、開演の指定時間前か締め切り日時の早い方で締め切ります（キャンセル待ちの登録も同じです）。
+        </p>
+        <div className="form-field">
+          <label className="form-label">
+            予約開始日時 <span className="optional-badge">任意</span>
+          </label>
+          <input
+            type="datetime-local"
+            value={salesStartAt}
+            onChange={(e) => setSalesStartAt(e.target.value)}
+          />
+          <p className="section-description">
+            未入力の場合は、公演を登録した時点から予約を受け付けます。
+          </p>
+        </div>
+        <div className="form-field">
+          <label className="form-label">
+            予約の締め切り（開演の何時間前） <span className="optional-badge">任意</span>
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={salesCloseHours}
+            onChange={(e) => setSalesCloseHours(e.target.value)}
+          />
+          <p className="section-description">
+            0の場合は開演時刻まで受け付けます。
+          </p>
+        </div>
+        <div className="form-field">
+          <label className="form-label">
+            予約の締め切り日時 <span className="optional-badge">任意</span>
+          </label>
+          <input
+            type="datetime-local"
+            value={salesCloseAt}
+            onChange={(e) => setSalesCloseAt(e.target.value)}
+          />
+          <p className="section-description">
+            全てのステージの予約をこの日時で締め切ります。開演の何時間前かで決まる締め切りの方が早いステージは、そちらで締め切ります。
+          </p>
+        </div>
+        <div className="form-field">
+          <label className="form-label">
+            予約方式
+          </label>
+          <select
+            value={reservationMode}
+            onChange={(e) => setReservationMode(e.target.value)}
+            disabled={Boolean(lotteryDrawnAt)}
+          >
+            <option value={RESERVATION_MODES.FIRST_COME}>先着順</option>
+            <option value={RESERVATION_MODES.LOTTERY}>抽選（申込期間の後に抽選し、残った席を先着順で受け付ける）</option>
+          </select>
+          <p className="section-description">
+            抽選の場合、お客様は申込期間中に第1希望・第2希望の公演日時を選んで申し込みます。
+            申込期間が終わったら、公演一覧の「抽選」から抽選を行ってください。当選・落選はメールでお知らせします。
+            {lotteryDrawnAt && "（抽選済みのため、予約方式は変更できません）"}
+          </p>
+        </div>
+        {reservationMode === RESERVATION_MODES.LOTTERY && (
+          <>
+            <div className="form-field">
+              <label className="form-label">
+                抽選の申込開始日時 <span className="optional-badge">任意</span>
+              </label>
+              <input
+                type="datetime-local"
+                value={lotteryStartAt}
+                onChange={(e) => setLotteryStartAt(e.target.value)}
+              />
+            </div>
+            <div className="form-field">
+              <label className="form-label">
+                抽選の申込終了日時 <span className="required-badge">必須</span>
+              </label>
+              <input
+                type="datetime-local"
+                value={lotteryEndAt}
+                onChange={(e) => setLotteryEndAt(e.target.value)}
+              />
+            </div>
+          </>
+        )}
+
+        {/* キャンセルポリシー（キャンセル・変更の締め切り） */}
+        <h3>キャンセル・変更</h3>
+        <p className="section-description">
+          お客様は予約確認メールのリンクから、締め切りまで予約のキャンセルと人数・日時の変更ができます。
+          締め切りは予約確認メールにも記載されます。
+        </p>
+        <div className="form-field">
+          <label className="form-label">
+            締め切り <span className="optional-badge">任意</span>
+          </label>
+          <select value={deadlineType} onChange={(e) => setDeadlineType(e.target.value)}>
+            <option value={DEADLINE_TYPES.HOURS_BEFORE}>開演の○時間前まで</option>
+            <option value={DEADLINE_TYPES.PREVIOUS_DAY_END}>公演前日の24時まで</option>
+          </select>
+        </div>
+        {deadlineType === DEADLINE_TYPES.HOURS_BEFORE && (
+          <div className="form-field">
+            <label className="form-label">
+              開演の何時間前まで <span className="optional-badge">任意</span>
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={changeDeadlineHours}
+              onChange={(e) => setChangeDeadlineHours(e.target.value)}
+            />
+          </div>
+        )}
+        <div className="form-field">
+          <label className="form-label">
+            キャンセルポリシー <span className="optional-badge">任意</span>
+          </label>
+          <textarea
+            value={cancellationPolicyText}
+            onChange={(e) => setCancellationPolicyText(e.target.value)}
+            rows={3}
+            placeholder="例：締め切り後のキャンセル・変更は承っておりません。やむを得ない事情の場合は劇団までご連絡ください。"
+          />
+          <p className="section-description">
+            未入力の場合は、締め切りの説明（例：「開演の24時間前まで、キャンセル・変更を受け付けます。」）を表示します。
+          </p>
+        </div>
+
+        {/* 予約の制限（1件あたりの人数・同じメールアドレスの予約件数） */}
+        <h3>予約の制限</h3>
+        <p className="section-description">
+          転売目的の大量予約や、同じ方の重複予約を防ぐための上限です。0の場合は上限を設けません。
+        </p>
+        <div className="form-field">
+          <label className="form-label">
+            1件の予約で申し込める人数 <span className="optional-badge">任意</span>
+          </label>
+          <input
+            type="number"
             min="0"
+            value={maxPeoplePerReservation}
+            onChange={(e) => setMaxPeoplePerReservation(e.target.value)}
           />
         </div>
+        <div className="form-field">
+          <label className="form-label">
+            同じメールアドレスで1つの公演日時を予約できる件数 <span className="optional-badge">任意</span>
+          </label>
+          <input
+            type="number"
+            min="0"
+            value={maxReservationsPerEmail}
+            onChange={(e) => setMaxReservationsPerEmail(e.target.value)}
+          />
+          <p className="section-description">
+            上限が無い場合も、同じメールアドレスで既に予約がある方には、予約の前に重複していないかを確認します。
+          </p>
+        </div>
+
+        {/* 予約フォームの追加質問 */}
+        <h3>予約フォームの追加質問</h3>
+        <p className="section-description">
+          氏名・メールアドレス・枚数・備考のほかに、お客様に質問したいことを追加できます。
+          回答は予約一覧に表示されます。
+        </p>
+
+        {formQuestions.map((question, i) => (
+          <div key={question.id} className="stage-item form-question-item">
+            <div className="form-field">
+              <label className="form-label">
+                質問文 <span className="required-badge">必須</span>
+              </label>
+              <input
+                type="text"
+                placeholder="例：この公演をどこで知りましたか？"
+                value={question.label}
+                onChange={(e) => updateFormQuestion(i, "label", e.target.value)}
+              />
+            </div>
+
+            <div className="form-field">
+              <label className="form-label">回答の形式</label>
+              <select value={question.type} onChange={(e) => updateFormQuestion(i, "type", e.target.value)}>
+                {Object.values(QUESTION_TYPES).map((type) => (
+                  <option key={type} value={type}>{QUESTION_TYPE_LABELS[type]}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* 選択肢（単一選択・複数選択のみ） */}
+            {hasQuestionOptions(question.type) && (
+              <div className="form-field">
+                <label className="form-label">
+                  選択肢（1行に1つ） <span className="required-badge">必須</span>
+                </label>
+                <textarea
+                  rows={4}
+                  placeholder={"例：\nSNS\nチラシ\n知人の紹介"}
+                  value={question.options.join("\n")}
+                  onChange={(e) => updateFormQuestion(i, "options", e.target.value.split("\n"))}
+                />
+              </div>
+            )}
+
+            <div className="form-field">
+              <label className="form-label">
+                <input
+                  type="checkbox"
+                  checked={question.required}
+                  onChange={(e) => updateFormQuestion(i, "required", e.target.checked)}
+                  style={{ width: "auto", marginRight: "6px" }}
+                />
+                {question.type === QUESTION_TYPES.CHECKBOX
+                  ? "チェックを必須にする（同意事項など）"
+                  : "回答を必須にする"}
+              </label>
+            </div>
+
+            <div style={{ display: "flex", gap: "8px" }}>
+              <button type="button" className="add-btn" onClick={() => moveFormQuestion(i, -1)} disabled={i === 0}>
+                ↑ 上へ
+              </button>
+              <button
+                type="button"
+                className="add-btn"
+                onClick={() => moveFormQuestion(i, 1)}
+                disabled={i === formQuestions.length - 1}
+              >
+                ↓ 下へ
+              </button>
+              <button 
+                type="button" 
+                className="remove-btn"
+                onClick={() => removeFormQuestion(i)}
+              >
+                削除
+              </button>
+            </div>
+          </div>
+        ))}
+
+        <button type="button" className="add-btn" onClick={addFormQuestion}>
+          ＋ 質問追加
+        </button>
 
         {/* ステージ */}
         <h3>ステージ日時（複数可）</h3>
         <p className="section-description">
           公演の日時を設定します。最低1つのステージ情報が必要です。
+          指定席にする場合は<Link to={`/troupe/performance/${performanceId}/seat-map`}>座席表の編集</Link>から座席を設定してください。
         </p>
 
         {stages.map((st, i) => (
-          <div key={i} className="stage-item">
+          <div key={st.id || i} className="stage-item">
+            {/* 中止したステージ（予約は取り消し済み。日時を直しても予約は受け付けない） */}
+            {st.cancelled && (
+              <p className="section-description" style={{ color: "#c62828", fontWeight: "bold" }}>
+                このステージは中止しました。
+              </p>
+            )}
             <div className="form-field">
               <label className="form-label">
                 公演日 <span className="required-badge">必須</span>
@@ -779,12 +1405,44 @@ function TroupePerformanceEditPage() {
               <label className="form-label">
                 席数上限 <span className="optional-badge">任意</span>
               </label>
+              {/* 座席表のあるステージは、座席表の販売できる座席数が席数上限になる */}
               <input
                 type="number"
                 min="0"
                 placeholder="席数上限（例：120）"
-                value={st.seatLimit}
+                value={hasSeatMap(st) ? getSellableSeatLabels(st.seatMap).length : st.seatLimit}
                 onChange={(e) => updateStage(i, "seatLimit", Number(e.target.value))}
+                disabled={hasSeatMap(st)}
+              />
+              {hasSeatMap(st) && (
+                <p className="section-description">座席表（指定席）が設定されているため、座席表の座席数が席数上限になります。</p>
+              )}
+            </div>
+
+            {/* 車椅子スペース・同伴者席（席数上限の内数。まだ予約されていない分は一般のお客様に販売しない） */}
+            <div className="form-field">
+              <label className="form-label">
+                車椅子スペース <span className="optional-badge">任意</span>
+              </label>
+              <input
+                type="number"
+                min="0"
+                placeholder="0は受け付けない"
+                value={st.wheelchairSpaces}
+                onChange={(e) => updateStage(i, "wheelchairSpaces", Number(e.target.value))}
+              />
+            </div>
+
+            <div className="form-field">
+              <label className="form-label">
+                同伴者席 <span className="optional-badge">任意</span>
+              </label>
+              <input
+                type="number"
+                min="0"
+                placeholder="0は受け付けない"
+                value={st.companionSeats}
+                onChange={(e) => updateStage(i, "companionSeats", Number(e.target.value))}
               />
             </div>
 
@@ -18,6 +18,9 @@ import { Link } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
 import { db } from "../../firebase";
 import { collection, query, where, getDocs, orderBy } from "firebase/firestore";
+import { getReservationSeatCount, getTotalSales } from "../../../functions/shared/ticketUtils.js";
+import { isLotteryMode } from "../../../functions/shared/lotteryUtils.js";
+import { PAYMENT_METHODS, getPaymentMethod } from "../../../functions/shared/paymentUtils.js";
 import "./TroupePerformancesPage.css";
 
 // ============================================
@@ -31,15 +34,17 @@ import "./TroupePerformancesPage.css";
  * 予約人数の合計を計算する関数
  * 
  * @param {Array} reservations - 予約データの配列
- *  各要素は { people: number } の形式
+ *  各要素は { tickets: [...] } または旧形式の { people: number } の形式
  *  例：[{ people: 2 }, { people: 3 }, { people: 2 }]
  * 
- * @returns {number} 合計予約人数
+ * @returns {number} 合計予約人数（席を使う人数）
  *  例：7（上記の例の場合）
  * 
  * 処理内容：
- * - 全予約データのpeople（予約人数）を合計する
+ * - 全予約データの券種の内訳（tickets）から、席を使う枚数を合計する
  * - 例：予約1（2人）+ 予約2（3人）+ 予約3（2人）= 合計7人
+ * - 膝上の未就学児など、席を使わない券種は席数上限と比べる意味が無いため数えない
+ * - キャンセル済みの予約は数えない
  * 
  * なぜforEachを使うか：
  * - 配列の各要素を順番に処理するため
@@ -71,8 +76,13 @@ export function getTotalReservedPeople(reservations) {
   let total = 0; // 合計予約人数を格納する変数（初期値は0）
 
   reservations.forEach((reservation) => {
-    // 予約人数を数値に変換（失敗時は0）
-    const people = Number(reservation?.people) || 0;
+    // キャンセル済みの予約は席を使っていないため除外
+    if (!reservation || reservation.status === "cancelled") {
+      return;
+    }
+
+    // 券種の内訳から席を使う枚数を計算（内訳の無い旧データは people を使う）
+    const people = getReservationSeatCount(reservation);
     
     // 合計に加算
     total += people;
@@ -485,6 +495,8 @@ function TroupePerformancesPage() {
 
           // 関数を使用して予約人数を合計
           const totalReservedPeople = getTotalReservedPeople(reservationsData);
+          // 券種ごとの料金から売上見込みを合計
+          const totalSales = getTotalSales(reservationsData);
 
           // ============================================
           // 【集計ロジック その2】席数上限を合計
@@ -510,6 +522,7 @@ function TroupePerformancesPage() {
           // 
           performanceData.totalReservedPeople = totalReservedPeople; // 合計予約人数を追加
           performanceData.totalSeatLimit = totalSeatLimit;           // 合計席数上限を追加
+          performanceData.totalSales = totalSales;                   // 売上見込みを追加
 
           // 集計済みの公演データを配列に追加
           performancesData.push(performanceData);
@@ -661,9 +674,11 @@ function TroupePerformancesPage() {
                 ) : (
                   `（${p.totalReservedPeople || 0} / 制限なし）`
                 )}
+                {/* 売上見込み（券種ごとの料金 × 枚数の合計） */}
+                {p.totalSales > 0 && ` 売上見込み：${p.totalSales.toLocaleString("ja-JP")}円`}
               </div>
               
-              {/* アクションボタンエリア（編集・予約一覧を横並びに表示） */}
+              {/* アクションボタンエリア（編集・予約一覧・座席表・割引コードを横並びに表示） */}
               <div className="performance-actions">
                 {/* 編集ボタン */}
                 {/* なぜ Link を使うか：React Router でページ遷移を行うため */}
@@ -687,6 +702,50 @@ function TroupePerformancesPage() {
                 >
                   予約一覧
                 </Link>
+
+                {/* 受付ボタン（公演当日に、電子チケットを読み取って入場済みにする） */}
+                <Link 
+                  to={`/troupe/performance/${p.id}/check-in`} 
+                  className="performance-check-in-link"
+                >
+                  受付
+                </Link>
+
+                {/* 座席表ボタン（指定席の座席表を編集する） */}
+                <Link 
+                  to={`/troupe/performance/${p.id}/seat-map`} 
+                  className="performance-seat-map-link"
+                >
+                  座席表
+                </Link>
+
+                {/* 割引コードボタン（早割・提携先向けのコードを発行する） */}
+                <Link 
+                  to={`/troupe/performance/${p.id}/promo-codes`} 
+                  className="performance-promo-codes-link"
+                >
+                  割引コード
+                </Link>
+
+                {/* 抽選ボタン（抽選で予約を受け付ける公演のみ。申込の確認と抽選を行う） */}
+                {isLotteryMode(p) && (
+                  <Link 
+                    to={`/troupe/performance/${p.id}/lottery`} 
+                    className="performance-lottery-link"
+                  >
+                    抽選
+                  </Link>
+                )}
+
+                {/* 返金ボタン（事前決済の公演のみ。キャンセルされた予約の返金を手続きする） */}
+                {getPaymentMethod(p) === PAYMENT_METHODS.PREPAID && (
+                  <Link 
+                    to={`/troupe/performance/${p.id}/refunds`} 
+                    className="performance-refunds-link"
+                  >
+                    返金
+                  </Link>
+                )}
               </div>
             </div>
           ))
@@ -0,0 +1,394 @@
+/**
+ * ============================================
+ * TroupePromoCodesPage.jsx - 割引コードの管理ページ
+ * ============================================
+ *
+ * 劇団が公演ごとに割引コード（早割・提携先・学校向けなど）を発行・管理するページです。
+ *
+ * 主な機能：
+ * 1. 割引コードの作成（金額引き・割合引き、利用上限、有効期間）
+ * 2. 割引コードの一覧（利用件数・状態）
+ * 3. 受付の停止・再開
+ * 4. 未使用の割引コードの削除
+ *
+ * コードごとの利用件数・売上は、予約一覧ページ（PerformanceReservationsPage）で確認できます。
+ */
+
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import { doc, getDoc } from "firebase/firestore";
+import { db } from "../../firebase";
+import { useAuth } from "../../contexts/AuthContext";
+import {
+  listPromoCodes,
+  createPromoCode,
+  setPromoCodeActive,
+  deletePromoCode,
+} from "../../services/promoCodeService";
+import { DISCOUNT_TYPES, formatPromoDiscount } from "../../../functions/shared/promoCodeUtils.js";
+import "./TroupePromoCodesPage.css";
+
+// 入力フォームの初期値
+const EMPTY_FORM = {
+  code: "",
+  discountType: DISCOUNT_TYPES.AMOUNT,
+  discountValue: 500,
+  usageLimit: 0,
+  validFrom: "",
+  validUntil: "",
+};
+
+/**
+ * 有効期間を表示用の文字列にする関数
+ *
+ * @param {Object} promoCode - 割引コードデータ
+ * @returns {string} 例："2025-11-01 10:00 〜 2025-11-30 23:59"（制限なしは「制限なし」）
+ */
+function formatValidPeriod(promoCode) {
+  if (!promoCode.validFrom && !promoCode.validUntil) {
+    return "制限なし";
+  }
+  const format = (value) => (value ? value.replace("T", " ") : "");
+  return `${format(promoCode.validFrom)} 〜 ${format(promoCode.validUntil)}`;
+}
+
+/**
+ * TroupePromoCodesPageコンポーネント
+ *
+ * @returns {JSX.Element} 割引コードの管理ページのUI
+ */
+function TroupePromoCodesPage() {
+  const { performanceId } = useParams(); // URLパラメータから公演IDを取得
+  const { user } = useAuth(); // 認証状態を取得
+
+  // ============================================
+  // UI状態管理
+  // ============================================
+  const [loading, setLoading] = useState(true);  // データ読み込み中かどうか
+  const [saving, setSaving] = useState(false);   // 保存処理中かどうか
+  const [error, setError] = useState("");        // エラーメッセージ
+  const [success, setSuccess] = useState("");    // 成功メッセージ
+
+  const [performanceTitle, setPerformanceTitle] = useState(""); // 公演タイトル（表示用）
+  const [promoCodes, setPromoCodes] = useState([]);             // 割引コードの一覧
+  const [form, setForm] = useState(EMPTY_FORM);                 // 新しい割引コードの入力内容
+  const [reloadVersion, setReloadVersion] = useState(0);        // 一覧の再取得用（値が変わると再取得する）
+
+  // ============================================
+  // 公演データと割引コードの読み込み
+  // ============================================
+  useEffect(() => {
+    const loadPromoCodes = async () => {
+      if (!db) {
+        setError("Firestoreが初期化されていません。");
+        setLoading(false);
+        return;
+      }
+      if (!performanceId) {
+        setError("公演IDが指定されていません。");
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const performanceSnapshot = await getDoc(doc(db, "performances", performanceId));
+        if (!performanceSnapshot.exists()) {
+          setError("指定された公演が見つかりませんでした。");
+          return;
+        }
+        setPerformanceTitle(performanceSnapshot.data().title || "タイトル未設定");
+        setPromoCodes(await listPromoCodes(performanceId));
+      } catch (error) {
+        console.error("割引コードの読み込みエラー:", error);
+        setError(`割引コードの読み込みに失敗しました: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPromoCodes();
+  }, [performanceId, reloadVersion]);
+
+  /**
+   * 入力内容を更新する関数
+   *
+   * @param {string} key - 更新する項目名
+   * @param {string|number} value - 新しい値
+   */
+  const updateForm = (key, value) => {
+    setForm((current) => ({ ...current, [key]: value }));
+  };
+
+  /**
+   * 割引コードを作成する処理
+   *
+   * @param {Event} e - フォーム送信イベント
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError("");
+    setSuccess("");
+
+    if (!user || !user.uid) {
+      setError("ログインが必要です。");
+      return;
+    }
+
+    // 入力チェック（コードの形式は createPromoCode でチェックする）
+    const discountValue = Number(form.discountValue);
+    if (!Number.isInteger(discountValue) || discountValue <= 0) {
+      setError("割引の値は1以上の整数で入力してください。");
+      return;
+    }
+    if (form.discountType === DISCOUNT_TYPES.PERCENT && discountValue > 100) {
+      setError("割引率は100%以下で入力してください。");
+      return;
+    }
+    if (form.validFrom && form.validUntil && form.validFrom >= form.validUntil) {
+      setError("有効期間の終了日時は、開始日時より後にしてください。");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await createPromoCode({ performanceId, troupeId: user.uid, promoCode: form });
+      setSuccess("割引コードを作成しました。");
+      setForm(EMPTY_FORM);
+      setReloadVersion((version) => version + 1);
+    } catch (error) {
+      console.error("割引コードの作成エラー:", error);
+      setError(error.code ? error.message : `割引コードの作成に失敗しました: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * 受付の停止・再開を切り替える処理
+   *
+   * @param {Object} promoCode - 割引コードデータ
+   */
+  const handleToggleActive = async (promoCode) => {
+    setError("");
+    setSuccess("");
+    try {
+      await setPromoCodeActive(promoCode.id, promoCode.active === false);
+      setReloadVersion((version) => version + 1);
+    } catch (error) {
+      console.error("割引コードの更新エラー:", error);
+      setError(`割引コードの更新に失敗しました: ${error.message}`);
+    }
+  };
+
+  /**
+   * 割引コードを削除する処理（未使用のコードのみ）
+   *
+   * @param {Object} promoCode - 割引コードデータ
+   */
+  const handleDelete = async (promoCode) => {
+    if (!window.confirm(`割引コード「${promoCode.code}」を削除しますか？`)) {
+      return;
+    }
+    setError("");
+    setSuccess("");
+    try {
+      await deletePromoCode(promoCode.id);
+      setSuccess("割引コードを削除しました。");
+      setReloadVersion((version) => version + 1);
+    } catch (error) {
+      console.error("割引コードの削除エラー:", error);
+      setError(error.code ? error.message : `割引コードの削除に失敗しました: ${error.message}`);
+    }
+  };
+
+  // データ読み込み中の表示
+  if (loading) {
+    return (
+      <div className="troupe-promo-codes-page">
+        <h1>割引コード</h1>
+        <p>読み込み中...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="troupe-promo-codes-page">
+      <h1>割引コード</h1>
+      {performanceTitle && <p className="promo-codes-performance-title">{performanceTitle}</p>}
+
+      {/* エラーメッセージ表示 */}
+      {error && (
+        <div className="error-message" style={{
+          backgroundColor: "#ffebee",
+          color: "#c62828",
+          padding: "12px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #ef5350"
+        }}>
+          {error}
+        </div>
+      )}
+
+      {/* 成功メッセージ表示 */}
+      {success && (
+        <div className="success-message" style={{
+          backgroundColor: "#e8f5e9",
+          color: "#2e7d32",
+          padding: "12px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #4caf50"
+        }}>
+          {success}
+        </div>
+      )}
+
+      {/* 新しい割引コード */}
+      <form className="promo-code-form" onSubmit={handleCreate}>
+        <h3>割引コードを作成</h3>
+        <p className="section-description">
+          お客様は予約ページでコードを入力すると割引を受けられます。コードは大文字・小文字を区別しません。
+        </p>
+
+        <div className="promo-code-form-fields">
+          <div className="form-field">
+            <label className="form-label">
+              コード <span className="required-badge">必須</span>
+            </label>
+            <input
+              type="text"
+              value={form.code}
+              placeholder="例：HAYAWARI"
+              onChange={(e) => updateForm("code", e.target.value)}
+              required
+            />
+          </div>
+
+          <div className="form-field">
+            <label className="form-label">
+              割引の種類 <span className="required-badge">必須</span>
+            </label>
+            <select
+              value={form.discountType}
+              onChange={(e) => updateForm("discountType", e.target.value)}
+            >
+              <option value={DISCOUNT_TYPES.AMOUNT}>金額引き（円）</option>
+              <option value={DISCOUNT_TYPES.PERCENT}>割合引き（%）</option>
+            </select>
+          </div>
+
+          <div className="form-field">
+            <label className="form-label">
+              {form.discountType === DISCOUNT_TYPES.PERCENT ? "割引率（%）" : "割引額（円）"}
+              <span className="required-badge">必須</span>
+            </label>
+            <input
+              type="number"
+              min="1"
+              max={form.discountType === DISCOUNT_TYPES.PERCENT ? 100 : undefined}
+              value={form.discountValue}
+              onChange={(e) => updateForm("discountValue", e.target.value)}
+              required
+            />
+          </div>
+
+          <div className="form-field">
+            <label className="form-label">
+              利用上限（件） <span className="optional-badge">任意</span>
+            </label>
+            <input
+              type="number"
+              min="0"
+              placeholder="0なら上限なし"
+              value={form.usageLimit}
+              onChange={(e) => updateForm("usageLimit", e.target.value)}
+            />
+          </div>
+
+          <div className="form-field">
+            <label className="form-label">
+              有効期間（開始） <span className="optional-badge">任意</span>
+            </label>
+            <input
+              type="datetime-local"
+              value={form.validFrom}
+              onChange={(e) => updateForm("validFrom", e.target.value)}
+            />
+          </div>
+
+          <div className="form-field">
+            <label className="form-label">
+              有効期間（終了） <span className="optional-badge">任意</span>
+            </label>
+            <input
+              type="datetime-local"
+              value={form.validUntil}
+              onChange={(e) => updateForm("validUntil", e.target.value)}
+            />
+          </div>
+        </div>
+
+        <button type="submit" className="add-btn" disabled={saving}>
+          {saving ? "作成中..." : "＋ 割引コードを作成"}
+        </button>
+      </form>
+
+      {/* 割引コードの一覧 */}
+      <div className="promo-code-list">
+        <h3>発行済みの割引コード</h3>
+        {promoCodes.length === 0 ? (
+          <p className="section-description">まだ割引コードはありません。</p>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table className="promo-code-table">
+              <thead>
+                <tr>
+                  <th>コード</th>
+                  <th>割引</th>
+                  <th>利用件数</th>
+                  <th>有効期間</th>
+                  <th>状態</th>
+                  <th>操作</th>
+                </tr>
+              </thead>
+              <tbody>
+                {promoCodes.map((promoCode) => {
+                  const usedCount = Number(promoCode.usedCount) || 0;
+                  const usageLimit = Number(promoCode.usageLimit) || 0;
+                  return (
+                    <tr key={promoCode.id}>
+                      <td><strong>{promoCode.code}</strong></td>
+                      <td>{formatPromoDiscount(promoCode)}</td>
+                      <td>{usedCount}{usageLimit > 0 ? ` / ${usageLimit}` : "（上限なし）"}</td>
+                      <td>{formatValidPeriod(promoCode)}</td>
+                      <td>{promoCode.active === false ? "停止中" : "受付中"}</td>
+                      <td className="promo-code-actions">
+                        <button type="button" onClick={() => handleToggleActive(promoCode)}>
+                          {promoCode.active === false ? "再開" : "停止"}
+                        </button>
+                        {usedCount === 0 && (
+                          <button type="button" className="remove-btn" onClick={() => handleDelete(promoCode)}>
+                            削除
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <p className="promo-codes-back-link">
+        <Link to={`/troupe/performances/${performanceId}/reservations`}>予約一覧（コードごとの利用状況）</Link>
+        {" ／ "}
+        <Link to="/troupe/performances">公演一覧に戻る</Link>
+      </p>
+    </div>
+  );
+}
+
+export default TroupePromoCodesPage;
@@ -0,0 +1,306 @@
+/**
+ * ============================================
+ * TroupeRefundsPage.jsx - 返金の管理ページ
+ * ============================================
+ *
+ * 事前決済の公演で、お支払い済みの予約がキャンセルされた場合の返金を手続きするページです。
+ *
+ * 主な機能：
+ * 1. 返金ポリシー（キャンセル時に返金する割合）の表示
+ * 2. 返金待ち・返金済みの件数と金額の集計
+ * 3. 返金の対象の予約の一覧（返金待ち → 返金済み → 返金なし の順）
+ * 4. 返金の手続き（決済サービスで返金 / 振込などで返金したことの記録。返金のお知らせメールを送る）
+ *
+ * 返金の割合は、公演の作成・編集ページの「お支払い方法」で設定します。
+ */
+
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import { doc, getDoc } from "firebase/firestore";
+import { db } from "../../firebase";
+import { useAuth } from "../../contexts/AuthContext";
+import { listRefunds, processRefund, REFUND_ERROR_CODES } from "../../services/refundService";
+import {
+  REFUND_STATUSES,
+  REFUND_STATUS_LABELS,
+  REFUND_CAUSE_LABELS,
+  REFUND_METHODS,
+  describeRefundPolicy,
+} from "../../../functions/shared/refundUtils.js";
+import { PAYMENT_METHODS, getPaymentMethod } from "../../../functions/shared/paymentUtils.js";
+import { getReservationTotalPrice } from "../../../functions/shared/ticketUtils.js";
+import "./TroupeRefundsPage.css";
+
+/**
+ * FirestoreのTimestampを表示用の文字列にする関数
+ *
+ * @param {Object|null} timestamp - FirestoreのTimestamp
+ * @returns {string} 例："2025/12/1 14:00:00"（無い場合は"-"）
+ */
+function formatTimestamp(timestamp) {
+  return timestamp?.toDate ? timestamp.toDate().toLocaleString("ja-JP") : "-";
+}
+
+/**
+ * TroupeRefundsPageコンポーネント
+ *
+ * @returns {JSX.Element} 返金の管理ページのUI
+ */
+function TroupeRefundsPage() {
+  const { performanceId } = useParams(); // URLパラメータから公演IDを取得
+  const { user } = useAuth();            // 返金の手続きをした劇団のアカウントとして記録する
+
+  // ============================================
+  // UI状態管理
+  // ============================================
+  const [loading, setLoading] = useState(true);            // データ読み込み中かどうか
+  const [processingId, setProcessingId] = useState(null);  // 返金の手続き中の予約ID（多重クリック防止）
+  const [error, setError] = useState("");                  // エラーメッセージ
+  const [success, setSuccess] = useState("");              // 成功メッセージ
+  const [notes, setNotes] = useState({});                  // 予約ID -> 劇団のメモ（振込日など）
+
+  const [performance, setPerformance] = useState(null);    // 公演データ
+  const [refunds, setRefunds] = useState([]);              // 返金の対象の予約の一覧
+  const [reloadVersion, setReloadVersion] = useState(0);   // 再取得用（値が変わると再取得する）
+
+  // ============================================
+  // 公演データ・返金の対象の予約の読み込み
+  // ============================================
+  useEffect(() => {
+    const loadRefunds = async () => {
+      if (!db) {
+        setError("Firestoreが初期化されていません。");
+        setLoading(false);
+        return;
+      }
+      if (!performanceId) {
+        setError("公演IDが指定されていません。");
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const performanceSnapshot = await getDoc(doc(db, "performances", performanceId));
+        if (!performanceSnapshot.exists()) {
+          setError("指定された公演が見つかりませんでした。");
+          return;
+        }
+        setPerformance(performanceSnapshot.data());
+        setRefunds(await listRefunds(performanceId));
+      } catch (error) {
+        console.error("返金の読み込みエラー:", error);
+        setError(`返金の読み込みに失敗しました: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRefunds();
+  }, [performanceId, reloadVersion]);
+
+  /**
+   * 返金の手続きをする処理
+   *
+   * @param {Object} reservation - 返金する予約
+   * @param {string} method - 返金の方法（REFUND_METHODS）
+   *
+   * なぜ確認ダイアログを出すか：
+   * - 返金は取り消せず、お客様にはすぐに返金のお知らせメールが送られるため
+   */
+  const handleRefund = async (reservation, method) => {
+    const amountText = `${(Number(reservation.refundAmount) || 0).toLocaleString("ja-JP")}円`;
+    const message = method === REFUND_METHODS.PROVIDER
+      ? `${reservation.name} 様に${amountText}を決済サービスで返金します。よろしいですか？`
+      : `${reservation.name} 様に${amountText}を振込などで返金済みとして記録します。よろしいですか？`;
+    if (!window.confirm(`${message}\n返金のお知らせメールもすぐに送られます。`)) {
+      return;
+    }
+    setError("");
+    setSuccess("");
+    setProcessingId(reservation.id);
+    try {
+      await processRefund({
+        reservationId: reservation.id,
+        processedBy: user,
+        method,
+        note: notes[reservation.id],
+      });
+      setSuccess(`${reservation.name} 様への${amountText}の返金を記録し、返金のお知らせメールを送りました。`);
+    } catch (error) {
+      console.error("返金エラー:", error);
+      // 他の方が先に手続きした場合・決済サービスが無い場合は、理由をそのまま表示する
+      setError(
+        error.code === REFUND_ERROR_CODES.NOT_DUE || error.code === REFUND_ERROR_CODES.PROVIDER_NOT_FOUND
+          ? error.message
+          : `返金に失敗しました: ${error.message}`
+      );
+    } finally {
+      setProcessingId(null);
+      setReloadVersion((version) => version + 1);
+    }
+  };
+
+  // データ読み込み中の表示
+  if (loading) {
+    return (
+      <div className="troupe-refunds-page">
+        <h1>返金</h1>
+        <p>読み込み中...</p>
+      </div>
+    );
+  }
+
+  // 返金待ち・返金済みの件数と金額
+  const summarize = (status) => {
+    const items = refunds.filter((reservation) => reservation.refundStatus === status);
+    return {
+      count: items.length,
+      amount: items.reduce((sum, reservation) => sum + (Number(reservation.refundAmount) || 0), 0),
+    };
+  };
+  const dueSummary = summarize(REFUND_STATUSES.DUE);
+  const refundedSummary = summarize(REFUND_STATUSES.REFUNDED);
+
+  return (
+    <div className="troupe-refunds-page">
+      <h1>返金</h1>
+      {performance?.title && <p className="refunds-performance-title">{performance.title}</p>}
+
+      {/* エラーメッセージ表示 */}
+      {error && (
+        <div className="error-message" style={{
+          backgroundColor: "#ffebee",
+          color: "#c62828",
+          padding: "12px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #ef5350"
+        }}>
+          {error}
+        </div>
+      )}
+
+      {/* 成功メッセージ表示 */}
+      {success && (
+        <div className="success-message" style={{
+          backgroundColor: "#e8f5e9",
+          color: "#2e7d32",
+          padding: "12px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #4caf50"
+        }}>
+          {success}
+        </div>
+      )}
+
+      {/* 返金ポリシーと集計 */}
+      <div className="refunds-section">
+        <h3>返金の状況</h3>
+        {performance && getPaymentMethod(performance) !== PAYMENT_METHODS.PREPAID && (
+          <p className="section-description">
+            この公演は当日精算です。事前決済にしていた間にお支払いいただいた予約がある場合のみ、ここに表示されます。
+          </p>
+        )}
+        <p className="section-description">
+          返金ポリシー：{describeRefundPolicy(performance)}（ステージを中止した場合は全額）
+        </p>
+        <p>
+          返金待ち：{dueSummary.count}件（{dueSummary.amount.toLocaleString("ja-JP")}円）
+          ／ 返金済み：{refundedSummary.count}件（{refundedSummary.amount.toLocaleString("ja-JP")}円）
+        </p>
+      </div>
+
+      {/* 返金の対象の予約の一覧 */}
+      <div className="refunds-section">
+        <h3>返金の一覧（{refunds.length}件）</h3>
+        {refunds.length === 0 ? (
+          <p className="section-description">返金の対象の予約はありません。</p>
+        ) : (
+          <div style={{ overflowX: "auto" }}>
+            <table className="refunds-table">
+              <thead>
+                <tr>
+                  <th>予約番号</th>
+                  <th>氏名 / メールアドレス</th>
+                  <th>公演日時</th>
+                  <th>理由</th>
+                  <th>お支払い金額</th>
+                  <th>返金額</th>
+                  <th>キャンセル日時</th>
+                  <th>状況</th>
+                </tr>
+              </thead>
+              <tbody>
+                {refunds.map((reservation) => (
+                  <tr key={reservation.id}>
+                    <td>{reservation.confirmationCode || "-"}</td>
+                    <td>
+                      {reservation.name}
+                      <span className="refunds-sub-text">{reservation.email}</span>
+                    </td>
+                    <td>{reservation.stageDate} {reservation.stageStart}</td>
+                    <td>{REFUND_CAUSE_LABELS[reservation.refundCause] || "-"}</td>
+                    <td>{getReservationTotalPrice(reservation).toLocaleString("ja-JP")}円</td>
+                    <td>{(Number(reservation.refundAmount) || 0).toLocaleString("ja-JP")}円</td>
+                    <td>{formatTimestamp(reservation.cancelledAt)}</td>
+                    <td>
+                      <span className={`refunds-status refunds-status-${reservation.refundStatus}`}>
+                        {REFUND_STATUS_LABELS[reservation.refundStatus]}
+                      </span>
+                      {/* 返金済み：手続きした日時と劇団のアカウント */}
+                      {reservation.refundStatus === REFUND_STATUSES.REFUNDED && (
+                        <span className="refunds-sub-text">
+                          {formatTimestamp(reservation.refundedAt)}
+                          {reservation.refundedBy?.email && ` ／ ${reservation.refundedBy.email}`}
+                          {reservation.refundMethod === REFUND_METHODS.MANUAL && "（振込など）"}
+                          {reservation.refundNote && ` ／ ${reservation.refundNote}`}
+                        </span>
+                      )}
+                      {/* 返金待ち：返金の手続き */}
+                      {reservation.refundStatus === REFUND_STATUSES.DUE && (
+                        <div className="refunds-actions">
+                          <input
+                            type="text"
+                            className="refunds-note-input"
+                            value={notes[reservation.id] || ""}
+                            onChange={(e) => setNotes((current) => ({ ...current, [reservation.id]: e.target.value }))}
+                            placeholder="メモ（任意。振込日など）"
+                          />
+                          <button
+                            type="button"
+                            className="refunds-btn"
+                            onClick={() => handleRefund(reservation, REFUND_METHODS.PROVIDER)}
+                            disabled={processingId !== null}
+                          >
+                            {processingId === reservation.id ? "手続き中..." : "決済サービスで返金する"}
+                          </button>
+                          <button
+                            type="button"
+                            className="refunds-btn refunds-btn-secondary"
+                            onClick={() => handleRefund(reservation, REFUND_METHODS.MANUAL)}
+                            disabled={processingId !== null}
+                          >
+                            振込などで返金済みにする
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <p className="refunds-back-link">
+        <Link to={`/troupe/performances/${performanceId}/reservations`}>予約一覧</Link>
+        {" ／ "}
+        <Link to="/troupe/performances">公演一覧に戻る</Link>
+      </p>
+    </div>
+  );
+}
+
+export default TroupeRefundsPage;
@@ -15,7 +15,8 @@
 import { useState, useEffect } from "react";
 import { useAuth } from "../../contexts/AuthContext";
 import { db } from "../../firebase";
-import { collection, query, where, getDocs, orderBy } from "firebase/firestore";
+import { collection, query, where, getDocs } from "firebase/firestore";
+import { getReservationAttendeeCount } from "../../../functions/shared/ticketUtils.js";
 import "./TroupeReservationsPage.css";
 
 /**
@@ -64,11 +65,12 @@ function TroupeReservationsPage() {
           return;
         }
 
-        // 2. 劇団名で予約データを検索
+        // 2. 劇団のuidで予約データを検索
+        // なぜ劇団名ではなく troupeId で探すか：
+        // - 予約は公演の劇団だけが読める（firestore.rules）ため、自分の予約だけに絞れる条件で検索する
         const reservationsQuery = query(
           collection(db, "reservations"),
-          where("troupe", "==", name),
-          orderBy("createdAt", "desc") // 作成日時の降順でソート
+          where("troupeId", "==", user.uid)
         );
         const reservationsSnapshot = await getDocs(reservationsQuery);
 
@@ -82,6 +84,8 @@ function TroupeReservationsPage() {
             createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : null,
           });
         });
+        // 作成日時の降順でソート（複合インデックスを追加しないよう、並び替えは手元で行う）
+        reservationsData.sort((a, b) => (b.createdAt?.getTime() || 0) - (a.createdAt?.getTime() || 0));
 
         setReservations(reservationsData);
         console.log(`予約データを読み込みました: ${reservationsData.length}件`);
@@ -200,7 +204,7 @@ function TroupeReservationsPage() {
                   <td>{reservation.venue || "-"}</td>
                   <td>{reservation.name || "-"}</td>
                   <td>{reservation.email || "-"}</td>
-                  <td>{reservation.people || 0}名</td>
+                  <td>{getReservationAttendeeCount(reservation)}名</td>
                   <td>{reservation.note || "-"}</td>
                 </tr>
               ))}
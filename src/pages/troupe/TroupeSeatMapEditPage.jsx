@@ -0,0 +1,592 @@
+/**
+ * ============================================
+ * TroupeSeatMapEditPage.jsx - 座席表の編集ページ
+ * ============================================
+ *
+ * 劇団が公演のステージごとに座席表（指定席）を設定するページです。
+ *
+ * 主な機能：
+ * 1. ステージごとに列（列名・座席数・通路の位置）を追加・編集・削除
+ * 2. プレビューの座席をクリックして「販売しない座席」（機材席・見切れ席など）を切り替え
+ * 3. 座席表を他のステージにコピー
+ * 4. 座席表を外して自由席に戻す
+ * 5. 保存時に、席数上限（seatLimit）を販売できる座席数に揃える
+ *
+ * 【保存できない場合】
+ * - 予約済みの座席が、新しい座席表で「存在しない・販売しない座席」になる場合
+ *   （予約済みのお客様の座席が無くなってしまうため）
+ */
+
+import { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import { doc, getDoc, getDocs, collection, query, where, updateDoc, serverTimestamp } from "firebase/firestore";
+import { db } from "../../firebase";
+import { useAuth } from "../../contexts/AuthContext";
+import { getStageKey } from "../../../functions/shared/stageUtils.js";
+import { migrateStageIds } from "../../services/stageMigrationService";
+import {
+  buildSeatLabel,
+  hasSeatMap,
+  getSeatMapLayout,
+  getSellableSeatLabels,
+  formatSeatLabels,
+} from "../../../functions/shared/seatMapUtils.js";
+import SeatMap from "../../components/SeatMap";
+import "./TroupeSeatMapEditPage.css";
+
+// 1列あたりの座席数の上限（画面に収まらないほどの入力ミスを防ぐため）
+const MAX_SEATS_PER_ROW = 60;
+
+/**
+ * 次に追加する列の列名を決める関数
+ *
+ * @param {Array} rows - 編集中の列
+ * @returns {string} まだ使われていないA〜Zの列名（全て使われている場合は空文字）
+ */
+function getNextRowLabel(rows) {
+  const usedLabels = new Set(rows.map((row) => row.label));
+  for (let code = 65; code <= 90; code += 1) {
+    const label = String.fromCharCode(code);
+    if (!usedLabels.has(label)) {
+      return label;
+    }
+  }
+  return "";
+}
+
+/**
+ * 保存されている座席表を、編集用の列データに変換する関数
+ *
+ * @param {Object|null} seatMap - 保存されている座席表
+ * @returns {Array} 編集用の列（通路の位置は「4, 8」のような文字列で編集する）
+ */
+function toEditableRows(seatMap) {
+  if (!Array.isArray(seatMap?.rows)) {
+    return [];
+  }
+  return seatMap.rows.map((row) => ({
+    label: row.label || "",
+    seatCount: Number(row.seatCount) || 0,
+    aisleAfterText: (row.aisleAfter || []).join(", "),
+    blocked: (row.blocked || []).map(Number),
+  }));
+}
+
+/**
+ * 編集用の列データを、保存する座席表に変換する関数
+ *
+ * @param {Array} rows - 編集中の列
+ * @returns {Object|null} 座席表（列が無い場合はnull = 自由席）
+ */
+function toSeatMap(rows) {
+  if (rows.length === 0) {
+    return null;
+  }
+  return {
+    rows: rows.map((row) => {
+      const seatCount = Math.floor(Number(row.seatCount) || 0);
+      return {
+        label: row.label.trim(),
+        seatCount,
+        // 「4, 8」→ [4, 8]（座席の範囲外・重複は除く）
+        aisleAfter: [...new Set(
+          row.aisleAfterText
+            .split(/[,、\s]+/)
+            .map(Number)
+            .filter((n) => Number.isInteger(n) && n >= 1 && n < seatCount)
+        )].sort((a, b) => a - b),
+        // 座席数を減らした場合に、範囲外になった販売しない座席は除く
+        blocked: row.blocked.filter((n) => n <= seatCount).sort((a, b) => a - b),
+      };
+    }),
+  };
+}
+
+/**
+ * TroupeSeatMapEditPageコンポーネント
+ *
+ * @returns {JSX.Element} 座席表の編集ページのUI
+ */
+function TroupeSeatMapEditPage() {
+  const { performanceId } = useParams(); // URLパラメータから公演IDを取得
+  const { user } = useAuth(); // 認証状態を取得
+
+  // ============================================
+  // UI状態管理
+  // ============================================
+  const [loading, setLoading] = useState(true);  // データ読み込み中かどうか
+  const [saving, setSaving] = useState(false);   // 保存処理中かどうか
+  const [error, setError] = useState("");        // エラーメッセージ
+  const [success, setSuccess] = useState("");    // 成功メッセージ
+
+  // ============================================
+  // 公演・座席表のデータ
+  // ============================================
+  const [performance, setPerformance] = useState(null);          // 公演データ
+  const [selectedStageId, setSelectedStageId] = useState(null);  // 編集中のステージID
+  const [draftRows, setDraftRows] = useState({});                // ステージID -> 編集中の列
+  const [reservations, setReservations] = useState([]);          // 有効な予約（座席の重複チェック用）
+
+  // ============================================
+  // 公演データと予約の読み込み
+  // ============================================
+  useEffect(() => {
+    const loadPerformance = async () => {
+      if (!db) {
+        setError("Firestoreが初期化されていません。");
+        setLoading(false);
+        return;
+      }
+      if (!performanceId) {
+        setError("公演IDが指定されていません。");
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError("");
+
+        const performanceSnapshot = await getDoc(doc(db, "performances", performanceId));
+        if (!performanceSnapshot.exists()) {
+          setError("指定された公演が見つかりませんでした。");
+          return;
+        }
+        const performanceData = performanceSnapshot.data();
+
+        // なぜ移行するか：座席の在庫はステージIDで管理するため、旧データにもIDを付けておく
+        try {
+          const { stages: migratedStages } = await migrateStageIds(performanceId);
+          performanceData.stages = migratedStages;
+        } catch (migrationError) {
+          console.warn("ステージIDの移行に失敗しました:", migrationError);
+        }
+
+        const stages = Array.isArray(performanceData.stages) ? performanceData.stages : [];
+        const rowsByStage = {};
+        stages.forEach((stage, index) => {
+          rowsByStage[getStageKey(stage, index)] = toEditableRows(stage.seatMap);
+        });
+
+        // 予約済みの座席を確認するため、この公演の有効な予約を取得
+        const reservationsSnapshot = await getDocs(
+          query(collection(db, "reservations"), where("performanceId", "==", performanceId))
+        );
+        const activeReservations = reservationsSnapshot.docs
+          .map((reservationDoc) => ({ id: reservationDoc.id, ...reservationDoc.data() }))
+          .filter((reservation) => reservation.status !== "cancelled");
+
+        setPerformance({ id: performanceSnapshot.id, ...performanceData, stages });
+        setDraftRows(rowsByStage);
+        setReservations(activeReservations);
+        setSelectedStageId(stages.length > 0 ? getStageKey(stages[0], 0) : null);
+      } catch (error) {
+        console.error("データ読み込みエラー:", error);
+        setError(`データの読み込みに失敗しました: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPerformance();
+  }, [performanceId]);
+
+  // ============================================
+  // 編集中のステージ
+  // ============================================
+  const stages = performance?.stages || [];
+  const rows = (selectedStageId !== null && draftRows[selectedStageId]) || [];
+  const previewSeatMap = toSeatMap(rows);
+
+  // このステージの予約済みの座席（座席番号 -> 「A-5：予約者名」）
+  const stageSeatOwners = {};
+  reservations
+    .filter((reservation) => reservation.stageId === selectedStageId)
+    .forEach((reservation) => {
+      (reservation.seats || []).forEach((seat) => {
+        stageSeatOwners[seat] = `${seat}：${reservation.name || "氏名未設定"}`;
+      });
+    });
+
+  /**
+   * 編集中のステージの列を更新する関数
+   *
+   * @param {Function} updater - 現在の列を受け取り、新しい列を返す関数
+   */
+  const updateRows = (updater) => {
+    setSuccess("");
+    setDraftRows((current) => ({
+      ...current,
+      [selectedStageId]: updater(current[selectedStageId] || []),
+    }));
+  };
+
+  const addRow = () => {
+    updateRows((current) => [
+      ...current,
+      {
+        label: getNextRowLabel(current),
+        // 前の列と同じ座席数・通路で追加する（同じ形の列が続くことが多いため）
+        seatCount: current.length > 0 ? current[current.length - 1].seatCount : 10,
+        aisleAfterText: current.length > 0 ? current[current.length - 1].aisleAfterText : "",
+        blocked: [],
+      },
+    ]);
+  };
+
+  const updateRow = (index, key, value) => {
+    updateRows((current) => current.map((row, i) => (i === index ? { ...row, [key]: value } : row)));
+  };
+
+  const removeRow = (index) => {
+    updateRows((current) => current.filter((_, i) => i !== index));
+  };
+
+  /**
+   * プレビューの座席をクリックしたときの処理（販売しない座席の切り替え）
+   *
+   * @param {Object} cell - クリックした座席（getSeatMapLayoutのcell）
+   */
+  const handleSeatClick = (cell) => {
+    updateRows((current) => current.map((row) => {
+      if (buildSeatLabel(row.label.trim(), cell.number) !== cell.label) {
+        return row;
+      }
+      const blocked = row.blocked.includes(cell.number)
+        ? row.blocked.filter((n) => n !== cell.number)
+        : [...row.blocked, cell.number];
+      return { ...row, blocked };
+    }));
+  };
+
+  /**
+   * 編集中の座席表を全てのステージにコピーする関数
+   *
+   * なぜ必要か：同じ会場で複数回公演する場合、ステージごとに同じ座席表を作り直す手間を省くため
+   */
+  const copyToAllStages = () => {
+    if (!window.confirm("この座席表を全てのステージにコピーしますか？\n他のステージの編集中の座席表は上書きされます。")) {
+      return;
+    }
+    setSuccess("");
+    setDraftRows((current) => {
+      const copied = {};
+      Object.keys(current).forEach((stageId) => {
+        copied[stageId] = rows.map((row) => ({ ...row, blocked: [...row.blocked] }));
+      });
+      return copied;
+    });
+  };
+
+  // ============================================
+  // 入力チェック
+  // ============================================
+  /**
+   * 列の入力内容をチェックする関数
+   *
+   * @param {Array} stageRows - チェックする列
+   * @returns {string} エラーメッセージ（問題が無ければ空文字）
+   */
+  const validateRows = (stageRows) => {
+    const labels = new Set();
+    for (const row of stageRows) {
+      const label = row.label.trim();
+      if (!label) {
+        return "列名を入力してください。";
+      }
+      // なぜ「-」を禁止するか：座席番号を「列名-番号」で表すため
+      if (label.includes("-")) {
+        return `列名「${label}」に「-」は使えません。`;
+      }
+      if (labels.has(label)) {
+        return `列名「${label}」が重複しています。`;
+      }
+      labels.add(label);
+      const seatCount = Number(row.seatCount);
+      if (!Number.isInteger(seatCount) || seatCount < 1 || seatCount > MAX_SEATS_PER_ROW) {
+        return `${label}列の座席数は1〜${MAX_SEATS_PER_ROW}の整数で入力してください。`;
+      }
+    }
+    return "";
+  };
+
+  // ============================================
+  // 保存処理
+  // ============================================
+  /**
+   * 全ステージの座席表を保存する関数
+   *
+   * 【処理の流れ】
+   * 1. 入力チェック（列名・座席数）
+   * 2. 予約済みの座席が新しい座席表で販売できるかを確認
+   * 3. 最新の公演データを読み直し、ステージの seatMap と seatLimit だけを書き換えて保存
+   *
+   * なぜ最新の公演データを読み直すか：
+   * - このページを開いている間に公演編集ページでステージ日時が変更されても、上書きしないため
+   */
+  const handleSave = async () => {
+    setError("");
+    setSuccess("");
+
+    if (!user || !user.uid) {
+      setError("ログインが必要です。");
+      return;
+    }
+
+    // 1. 入力チェック
+    for (const [index, stage] of stages.entries()) {
+      const message = validateRows(draftRows[getStageKey(stage, index)] || []);
+      if (message) {
+        setError(`ステージ ${index + 1}：${message}`);
+        setSelectedStageId(getStageKey(stage, index));
+        return;
+      }
+    }
+
+    // 2. 予約済みの座席が残るかを確認
+    let freeSeatingReservations = 0; // 座席表を新しく付けるステージの、自由席の予約件数
+    for (const [index, stage] of stages.entries()) {
+      const stageId = getStageKey(stage, index);
+      const seatMap = toSeatMap(draftRows[stageId] || []);
+      const sellable = new Set(seatMap ? getSellableSeatLabels(seatMap) : []);
+      const stageReservations = reservations.filter((reservation) => reservation.stageId === stageId);
+      const lostSeats = stageReservations
+        .flatMap((reservation) => reservation.seats || [])
+        .filter((seat) => !sellable.has(seat));
+      if (lostSeats.length > 0) {
+        setError(
+          `ステージ ${index + 1}：予約済みの座席（${formatSeatLabels(lostSeats)}）が座席表から無くなるため保存できません。` +
+          "予約をキャンセルするか、座席を残してください。"
+        );
+        setSelectedStageId(stageId);
+        return;
+      }
+      if (seatMap && !hasSeatMap(stage)) {
+        freeSeatingReservations += stageReservations.filter(
+          (reservation) => !Array.isArray(reservation.seats) || reservation.seats.length === 0
+        ).length;
+      }
+    }
+    if (
+      freeSeatingReservations > 0 &&
+      !window.confirm(
+        `座席表を設定するステージに、座席の無い（自由席の）予約が${freeSeatingReservations}件あります。\n` +
+        "これらの予約には座席が割り当てられません。保存しますか？"
+      )
+    ) {
+      return;
+    }
+
+    // 3. 保存
+    setSaving(true);
+    try {
+      const performanceRef = doc(db, "performances", performanceId);
+      const performanceSnapshot = await getDoc(performanceRef);
+      if (!performanceSnapshot.exists()) {
+        throw new Error("公演が見つかりませんでした。");
+      }
+      const latestStages = performanceSnapshot.data().stages || [];
+
+      const updatedStages = latestStages.map((stage, index) => {
+        const stageId = getStageKey(stage, index);
+        if (!(stageId in draftRows)) {
+          return stage; // このページを開いた後に追加されたステージは変更しない
+        }
+        const { seatMap: _previousSeatMap, ...rest } = stage;
+        const seatMap = toSeatMap(draftRows[stageId]);
+        if (!seatMap) {
+          return rest; // 自由席に戻す（席数上限はそのまま）
+        }
+        return {
+          ...rest,
+          seatMap,
+          // 席数上限は販売できる座席数に揃える（残席の計算・満席判定に使うため）
+          seatLimit: getSellableSeatLabels(seatMap).length,
+        };
+      });
+
+      await updateDoc(performanceRef, {
+        stages: updatedStages,
+        updatedAt: serverTimestamp(),
+      });
+
+      setPerformance((current) => ({ ...current, stages: updatedStages }));
+      setSuccess("座席表を保存しました。");
+      console.log("座席表を保存しました。公演ID:", performanceId);
+    } catch (error) {
+      console.error("座席表の保存エラー:", error);
+      setError(`座席表の保存に失敗しました: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // データ読み込み中の表示
+  if (loading) {
+    return (
+      <div className="troupe-seat-map-edit-page">
+        <h1>座席表の編集</h1>
+        <p>読み込み中...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="troupe-seat-map-edit-page">
+      <h1>座席表の編集</h1>
+      {performance && (
+        <p className="seat-map-performance-title">{performance.title || "タイトル未設定"}</p>
+      )}
+
+      {/* エラーメッセージ表示 */}
+      {error && (
+        <div className="error-message" style={{
+          backgroundColor: "#ffebee",
+          color: "#c62828",
+          padding: "12px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #ef5350"
+        }}>
+          {error}
+        </div>
+      )}
+
+      {/* 成功メッセージ表示 */}
+      {success && (
+        <div className="success-message" style={{
+          backgroundColor: "#e8f5e9",
+          color: "#2e7d32",
+          padding: "12px",
+          borderRadius: "8px",
+          marginBottom: "20px",
+          border: "1px solid #4caf50"
+        }}>
+          {success}
+        </div>
+      )}
+
+      {performance && stages.length === 0 && (
+        <p>この公演にはステージ情報が登録されていません。先に公演編集ページでステージを追加してください。</p>
+      )}
+
+      {performance && stages.length > 0 && (
+        <div className="seat-map-edit-form">
+          {/* ステージの選択 */}
+          <h3>ステージ</h3>
+          <div className="seat-map-stage-tabs">
+            {stages.map((stage, index) => {
+              const stageId = getStageKey(stage, index);
+              const isSelected = stageId === selectedStageId;
+              const rowCount = (draftRows[stageId] || []).length;
+              return (
+                <button
+                  key={stageId}
+                  type="button"
+                  className={`seat-map-stage-tab ${isSelected ? "selected" : ""}`}
+                  onClick={() => setSelectedStageId(stageId)}
+                >
+                  ステージ {index + 1}（{stage.date || "日付未設定"} {stage.start || ""}）
+                  <span className="seat-map-stage-tab-note">{rowCount > 0 ? "指定席" : "自由席"}</span>
+                </button>
+              );
+            })}
+          </div>
+
+          {/* 列の編集 */}
+          <h3>列</h3>
+          <p className="section-description">
+            舞台に近い列から順に追加してください。通路の位置は「4, 8」のように、通路の左側の座席番号で入力します。
+            列が1つも無い場合は自由席（人数のみ）になります。
+          </p>
+
+          {rows.map((row, index) => (
+            <div key={index} className="seat-map-row-item">
+              <div className="form-field">
+                <label className="form-label">
+                  列名 <span className="required-badge">必須</span>
+                </label>
+                <input
+                  type="text"
+                  value={row.label}
+                  placeholder="例：A"
+                  onChange={(e) => updateRow(index, "label", e.target.value)}
+                />
+              </div>
+              <div className="form-field">
+                <label className="form-label">
+                  座席数 <span className="required-badge">必須</span>
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  max={MAX_SEATS_PER_ROW}
+                  value={row.seatCount}
+                  onChange={(e) => updateRow(index, "seatCount", Number(e.target.value))}
+                />
+              </div>
+              <div className="form-field">
+                <label className="form-label">
+                  通路の位置 <span className="optional-badge">任意</span>
+                </label>
+                <input
+                  type="text"
+                  value={row.aisleAfterText}
+                  placeholder="例：4, 8"
+                  onChange={(e) => updateRow(index, "aisleAfterText", e.target.value)}
+                />
+              </div>
+              <button type="button" className="remove-btn" onClick={() => removeRow(index)}>
+                削除
+              </button>
+            </div>
+          ))}
+
+          <div className="seat-map-actions">
+            <button type="button" className="add-btn" onClick={addRow}>
+              ＋ 列追加
+            </button>
+            {rows.length > 0 && stages.length > 1 && (
+              <button type="button" className="add-btn" onClick={copyToAllStages}>
+                全ステージにコピー
+              </button>
+            )}
+            {rows.length > 0 && (
+              <button type="button" className="remove-btn" onClick={() => updateRows(() => [])}>
+                自由席に戻す
+              </button>
+            )}
+          </div>
+
+          {/* プレビュー */}
+          {previewSeatMap && !validateRows(rows) && (
+            <>
+              <h3>プレビュー</h3>
+              <p className="section-description">
+                座席をクリックすると「販売しない座席」（機材席・見切れ席など）を切り替えられます。
+                販売できる座席：{getSellableSeatLabels(previewSeatMap).length}席
+              </p>
+              <SeatMap
+                layout={getSeatMapLayout(previewSeatMap)}
+                takenSeats={stageSeatOwners}
+                seatTitles={stageSeatOwners}
+                onSeatClick={handleSeatClick}
+                allowBlockedClick
+              />
+            </>
+          )}
+
+          <button type="button" className="update-btn" onClick={handleSave} disabled={saving}>
+            {saving ? "保存中..." : "座席表を保存"}
+          </button>
+        </div>
+      )}
+
+      <p className="seat-map-back-link">
+        <Link to="/troupe/performances">公演一覧に戻る</Link>
+      </p>
+    </div>
+  );
+}
+
+export default TroupeSeatMapEditPage;
@@ -0,0 +1,171 @@
+/**
+ * ============================================
+ * botProtectionService.js - 予約フォームのボット対策
+ * ============================================
+ *
+ * 予約・キャンセル待ちの登録の前に、Cloud Functions（functions/reservationPass.js）から
+ * 1回きりの「予約パス」を受け取るためのモジュールです。
+ *
+ * 主な機能：
+ * 1. フォームの開始トークンの受け取り（予約フォームを開いた時刻を、サーバーが署名して渡す）
+ * 2. 予約パスの発行依頼（ハニーポット・入力時間・回数制限・確認の質問はサーバー側で確認する）
+ * 3. 予約・キャンセル待ち・抽選の申込の関数の呼び出し（予約パスの確認と使用済みへの更新は関数が行う）
+ *
+ * 【なぜサーバー側で確認するか】
+ * - 画面のチェックは、スクリプトから直接書き込まれると素通りされてしまうため
+ * - IPアドレスはブラウザからは分からず、サーバー側でしか数えられないため
+ * - 入力時間も、画面で測った値は書き換えられるため、サーバーが発行した開始トークンの時刻から測る
+ *
+ * 【予約パス】reservationPasses/{passId}（Cloud Functionsだけが読み書きする）
+ *   - emailKey, performanceIds, maxUses, used, expiresAt（詳しくは functions/reservationPass.js）
+ */
+
+import { getApp } from "firebase/app";
+import { getFunctions, httpsCallable, connectFunctionsEmulator } from "firebase/functions";
+
+// Cloud Functions のリージョン（functions/index.js の setGlobalOptions と揃える）
+const FUNCTIONS_REGION = "asia-northeast1";
+
+/**
+ * ボット対策で発生するエラーコード
+ *
+ * なぜコードを定義するか：
+ * - 画面側で「確認の質問に答えてもらう」場合と「受付を断る」場合を区別するため
+ */
+export const BOT_PROTECTION_ERROR_CODES = {
+  REJECTED: "bot-protection/rejected",                     // ハニーポット・開始トークン・入力時間・確認の質問の誤りで拒否された
+  RATE_LIMITED: "bot-protection/rate-limited",             // 回数の上限に達した
+  CHALLENGE_REQUIRED: "bot-protection/challenge-required", // 確認の質問に答える必要がある
+  PASS_INVALID: "bot-protection/pass-invalid",             // 予約パスが無い・使用済み・期限切れ・内容が違う
+};
+
+// 拒否した理由の表示名（劇団の予約一覧で使う。キーは functions/reservationPass.js の REJECT_REASONS）
+export const REJECT_REASON_LABELS = {
+  honeypot: "ハニーポットへの入力",
+  too_fast: "入力時間が短すぎる",
+  form_token_invalid: "フォームの開始の確認ができない（改ざん・期限切れ）",
+  rate_limited_ip: "同じIPアドレスからの回数超過",
+  rate_limited_email: "同じメールアドレスからの回数超過",
+  challenge_failed: "確認の質問の誤り",
+};
+
+// 予約フォームの入力欄のうち、人には見えないハニーポットの欄の名前
+// なぜ「website」にするか：ボットが埋めたくなる、ありがちな欄の名前にするため
+export const HONEYPOT_FIELD_NAME = "website";
+
+let functionsInstance = null;
+
+/**
+ * Cloud Functions のインスタンスを返す関数
+ *
+ * @returns {Functions} 初期化済みのCloud Functions
+ *
+ * なぜ src/firebase.js で初期化しないか：
+ * - src/firebase.js はGit管理外のため、各自の環境で書き換えなくても動くようにするため
+ * - VITE_FUNCTIONS_EMULATOR_HOST（例："localhost:5001"）を設定すると、エミュレーターに接続する
+ *
+ * 電子チケット（ticketService.js）も同じインスタンスを使う（エミュレーターへの接続を1回にするため）
+ */
+export function getReservationFunctions() {
+  if (!functionsInstance) {
+    functionsInstance = getFunctions(getApp(), FUNCTIONS_REGION);
+    const emulatorHost = import.meta.env.VITE_FUNCTIONS_EMULATOR_HOST;
+    if (emulatorHost) {
+      const [host, port] = emulatorHost.split(":");
+      connectFunctionsEmulator(functionsInstance, host, Number(port));
+    }
+  }
+  return functionsInstance;
+}
+
+/**
+ * 予約フォームを開いた時に、フォームの開始トークンを受け取る関数
+ *
+ * @returns {Promise<string>} フォームの開始トークン（requestReservationPass に渡す）
+ *
+ * 予約ページ・カートページを開いた時に1回だけ呼ぶ（送信までの時間は、このトークンを発行した時刻から測る）
+ */
+export async function startReservationForm() {
+  const startForm = httpsCallable(getReservationFunctions(), "startReservationForm");
+  const result = await startForm();
+  return result.data.formToken;
+}
+
+/**
+ * 予約パスの発行を依頼する関数
+ *
+ * @param {Object} params
+ * @param {string} params.email - 予約者のメールアドレス
+ * @param {Array<string>} params.performanceIds - 予約する公演のID（予約1件ごとに1つ）
+ * @param {string} params.honeypot - ハニーポットの入力欄の値
+ * @param {string} params.formToken - フォームの開始トークン（startReservationForm で受け取ったもの）
+ * @param {Object} [params.challenge] - 確認の質問に答えた場合のみ（{ challengeId, answer }）
+ * @returns {Promise<string>} 予約パスのID
+ *
+ * エラー：
+ * - 確認の質問が必要な場合は code = BOT_PROTECTION_ERROR_CODES.CHALLENGE_REQUIRED
+ *   （error.challenge に { challengeId, question }。答えが違った場合も新しい質問が入る）
+ * - 回数の上限の場合は code = BOT_PROTECTION_ERROR_CODES.RATE_LIMITED
+ * - その他の拒否は code = BOT_PROTECTION_ERROR_CODES.REJECTED
+ *   （フォームの開始トークンを受け取れていない場合も、関数を呼ばずに同じコードで返す）
+ */
+export async function requestReservationPass({ email, performanceIds, honeypot, formToken, challenge }) {
+  if (!formToken) {
+    const error = new Error("予約フォームの準備ができていません。通信環境をご確認のうえ、ページを再読み込みしてください。");
+    error.code = BOT_PROTECTION_ERROR_CODES.REJECTED;
+    throw error;
+  }
+  try {
+    const issueReservationPass = httpsCallable(getReservationFunctions(), "issueReservationPass");
+    const result = await issueReservationPass({
+      email,
+      performanceIds,
+      honeypot,
+      formToken,
+      ...(challenge ? { challengeId: challenge.challengeId, challengeAnswer: challenge.answer } : {}),
+    });
+    return result.data.passId;
+  } catch (callError) {
+    const error = new Error(callError.message);
+    if (callError.details?.challenge) {
+      error.code = BOT_PROTECTION_ERROR_CODES.CHALLENGE_REQUIRED;
+      error.challenge = callError.details.challenge;
+    } else if (callError.code === "functions/resource-exhausted") {
+      error.code = BOT_PROTECTION_ERROR_CODES.RATE_LIMITED;
+    } else if (callError.code === "functions/permission-denied") {
+      error.code = BOT_PROTECTION_ERROR_CODES.REJECTED;
+    } else {
+      throw callError; // 通信エラーなどはそのまま返す
+    }
+    throw error;
+  }
+}
+
+/**
+ * 予約・キャンセル待ち・抽選の申込の関数（Cloud Functions）を呼ぶ関数
+ *
+ * @param {string} name - 関数の名前（例："createReservations"）
+ * @param {Object} data - 関数に渡す値
+ * @returns {Promise<Object>} 関数が返した値
+ *
+ * エラー：
+ * - 関数が予約できない理由を返した場合は、そのコード（例：RESERVATION_ERROR_CODES.SOLD_OUT）を
+ *   error.code に入れ、追加の情報（availableSeats・itemIndex など）も error に付けて投げる
+ *   （画面のトランザクションで予約していた頃と同じ形のエラーにして、画面の表示を変えずに使えるようにする）
+ * - 通信エラーなどはそのまま投げる
+ */
+export async function callReservationFunction(name, data) {
+  try {
+    const callable = httpsCallable(getReservationFunctions(), name);
+    const result = await callable(data);
+    return result.data;
+  } catch (callError) {
+    const details = callError.details;
+    if (!details?.code) {
+      throw callError;
+    }
+    const error = new Error(callError.message);
+    Object.assign(error, details);
+    throw error;
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * ============================================
+ * fakePaymentProvider.js - 開発・動作確認用の決済サービス（オフラインで動く）
+ * ============================================
+ *
+ * paymentService.js の決済サービスの形（createPayment / confirmPayment / refundPayment）を満たす、
+ * 実際にはお金を動かさない決済サービスです。
+ *
+ * なぜ必要か：
+ * - 決済サービスのアカウントやネットワークが無くても、事前決済の流れ（お支払い待ち → 支払い済み / 期限切れ）を
+ *   ローカルで最後まで確認できるようにするため
+ *
+ * 【テスト用のカード番号】
+ * - TEST_CARD_NUMBERS.SUCCESS（4242 4242 4242 4242）：支払いが成功する
+ * - TEST_CARD_NUMBERS.DECLINED（4000 0000 0000 0002）：カード会社に断られたものとして失敗する
+ * - それ以外の16桁の番号も成功として扱う（番号の形が違う場合は失敗）
+ *
+ * 注意：
+ * - 支払いの記録はこのタブのメモリにだけ持つ（ページを再読み込みすると消える）
+ * - 本番では使わないこと（画面から「支払い済み」にできてしまうため）
+ */
+
+import { generatePrefixedId } from "../../functions/shared/tokenUtils.js";
+
+// テスト用のカード番号
+export const TEST_CARD_NUMBERS = {
+  SUCCESS: "4242424242424242",
+  DECLINED: "4000000000000002",
+};
+
+// 支払いID -> { amount, currency, reservationId, status, refundedAmount }
+const payments = new Map();
+
+/**
+ * 支払いIDを生成する関数
+ *
+ * @returns {string} 例："fakepay_3f9a0c12b7e4"
+ */
+function generatePaymentId() {
+  return generatePrefixedId("fakepay");
+}
+
+export const fakePaymentProvider = {
+  id: "fake",
+  label: "テスト用決済（実際には請求されません）",
+
+  /**
+   * 支払いを作成する
+   *
+   * @param {Object} params - { amount, currency, reservationId, description }
+   * @returns {Promise<{ paymentId: string, status: string }>}
+   */
+  async createPayment({ amount, currency, reservationId }) {
+    const paymentId = generatePaymentId();
+    payments.set(paymentId, { amount, currency, reservationId, status: "requires_confirmation" });
+    return { paymentId, status: "requires_confirmation" };
+  },
+
+  /**
+   * 支払いを確定する（カード番号で成功・失敗を決める）
+   *
+   * @param {string} paymentId - createPayment で受け取った支払いID
+   * @param {Object} details - { cardNumber }
+   * @returns {Promise<{ paymentId: string, status: "succeeded"|"failed", amount?: number, failureMessage?: string }>}
+   */
+  async confirmPayment(paymentId, { cardNumber } = {}) {
+    const payment = payments.get(paymentId);
+    if (!payment) {
+      return { paymentId, status: "failed", failureMessage: "お支払いの情報が見つかりませんでした。最初からやり直してください。" };
+    }
+    const digits = String(cardNumber || "").replace(/[\s-]/g, "");
+    if (!/^\d{16}$/.test(digits)) {
+      payment.status = "failed";
+      return { paymentId, status: "failed", failureMessage: "カード番号は16桁の数字で入力してください。" };
+    }
+    if (digits === TEST_CARD_NUMBERS.DECLINED) {
+      payment.status = "failed";
+      return { paymentId, status: "failed", failureMessage: "このカードはご利用いただけませんでした。別のカードをお試しください。" };
+    }
+    payment.status = "succeeded";
+    return { paymentId, status: "succeeded", amount: payment.amount };
+  },
+
+  /**
+   * 支払いを取り消す（返金する）
+   *
+   * @param {string} paymentId - 支払いID
+   * @param {Object} [options] - { amount, idempotencyKey }（amount を省略した場合は全額）
+   * @returns {Promise<{ paymentId: string, refundId: string, status: "refunded" }>}
+   *
+   * 別のタブ（劇団の管理画面など）で作成された支払いは記録が無いが、返金できたものとして扱う
+   */
+  async refundPayment(paymentId, { amount, idempotencyKey } = {}) {
+    const payment = payments.get(paymentId);
+    if (payment) {
+      payment.status = "refunded";
+      payment.refundedAmount = amount ?? payment.amount;
+    }
+    return { paymentId, refundId: `fakerefund_${idempotencyKey || paymentId}`, status: "refunded" };
+  },
+};
@@ -0,0 +1,437 @@
+/**
+ * ============================================
+ * lotteryService.js - 抽選予約
+ * ============================================
+ *
+ * 抽選で予約を受け付ける公演の、申込・抽選・結果のお知らせを行うモジュールです。
+ * （抽選の設定と抽選の手順は utils/lotteryUtils.js）
+ *
+ * 【抽選の申込】lotteryApplications/{performanceId}__{emailKey}
+ *   - performanceId, troupeId, performanceTitle, troupeName, venue など: 公演の情報
+ *   - preferences: [{ stageId, stageDate, stageStart, stageEnd }]（第1希望・第2希望の順）
+ *   - name, email, emailKey, tickets, totalPrice, people, note, answers, accessibility: 申込者の情報
+ *       （当選した場合は、そのまま予約データになる）
+ *   - reservationPassId: 申込に使った予約パス（ボット対策。申込は Cloud Functions の functions/lottery.js が保存する）
+ *   - status: "applied"（抽選待ち） | "won"（当選） | "lost"（落選）
+ *   - createdAt: 申込日時（抽選の順番には使わない）
+ *   - notifiedAt, reservationId: 結果をお知らせした日時と、当選で作成した予約のID
+ *
+ * 【抽選の結果】lotteryDraws/{performanceId}
+ *   - results: { [applicationId]: { won, stageId, seats, reservationId, cancelToken, confirmationCode } }
+ *   - applicationCount, winnerCount, drawnAt, notifiedAt（全員にお知らせし終えた日時）
+ *
+ * なぜ申込のドキュメントIDにメールアドレスのハッシュ値を使うか：
+ * - 同じメールアドレスで何度も申し込み、当選しやすくすることを防ぐため
+ *
+ * なぜ抽選と結果のお知らせを分けるか：
+ * - 1回のトランザクションで書き込めるのは500件までで、申込が多いと予約・メールを一度に書き込めないため
+ * - 抽選の結果（在庫・当選者）を先に1回で確定させ、予約の作成とメールは少しずつ書き込む
+ *   （途中で失敗しても、sendLotteryResults をもう一度呼べば続きから再開できる）
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  runTransaction,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { getStageKey } from "../../functions/shared/stageUtils.js";
+import { generateCancelToken, generateConfirmationCode } from "../../functions/shared/tokenUtils.js";
+import {
+  getTicketTypes,
+  getTicketCounts,
+  mergeTicketCounts,
+  getReservationSeatCount,
+} from "../../functions/shared/ticketUtils.js";
+import { hasSeatMap } from "../../functions/shared/seatMapUtils.js";
+import { countHeldSeats } from "../../functions/shared/seatHoldUtils.js";
+import { adjustEmailCounts } from "../../functions/shared/reservationLimitUtils.js";
+import { SALES_STATUS, getStageSalesStatus } from "../../functions/shared/salesWindowUtils.js";
+import { adjustAccessibilityCounts } from "../../functions/shared/accessibilityUtils.js";
+import {
+  LOTTERY_PHASES,
+  LOTTERY_ERROR_CODES,
+  isLotteryMode,
+  getLotteryPhase,
+  drawLottery,
+} from "../../functions/shared/lotteryUtils.js";
+import { buildMailRequest, MAIL_TYPES } from "../utils/mailRequests";
+import { getStageInventory, getStageInventoryRef, readInventory } from "./reservationService";
+import { getAnswerValues } from "../../functions/shared/formQuestionUtils.js";
+import { callReservationFunction } from "./botProtectionService";
+
+/**
+ * 抽選の申込のステータス
+ */
+export const LOTTERY_STATUS = {
+  APPLIED: "applied", // 抽選待ち
+  WON: "won",         // 当選（予約を作成済み）
+  LOST: "lost",       // 落選
+};
+
+// 抽選で発生するエラーコード（申込の関数 functions/lottery.js と共通のため functions/shared/lotteryUtils.js に置く）
+export { LOTTERY_ERROR_CODES };
+
+// 結果のお知らせを1回のトランザクションで書き込む申込の数
+// なぜ100件か：当選1件につき予約・メール・申込の更新で3件書き込むため（上限500件に収める）
+const NOTIFY_CHUNK_SIZE = 100;
+
+/**
+ * 抽選に申し込む関数（Cloud Functions の applyForLottery を呼ぶ）
+ *
+ * @param {Object} applicationData - 申込の内容（予約ページの buildBookingData と、希望する公演日時のID preferences）
+ * @param {Object} params
+ * @param {string} params.reservationPassId - 予約パスのID（botProtectionService の requestReservationPass で受け取る）
+ * @returns {Promise<string>} 作成した申込のドキュメントID
+ *
+ * エラー：
+ * - 申込期間ではない場合は code = LOTTERY_ERROR_CODES.NOT_ACCEPTING
+ * - 同じメールアドレスで申込済みの場合は code = LOTTERY_ERROR_CODES.ALREADY_APPLIED
+ * - 希望の日時が無い・重複している・予約の受付が終わっている場合は code = LOTTERY_ERROR_CODES.INVALID_PREFERENCES
+ * - 人数の上限を超える場合は code = LOTTERY_ERROR_CODES.PEOPLE_LIMIT_EXCEEDED
+ * - 予約パスが無い・使用済み・期限切れの場合は code = BOT_PROTECTION_ERROR_CODES.PASS_INVALID
+ *
+ * なぜ画面から直接書き込まないか：
+ * - 当選した申込はそのまま予約データになるため、券種の内訳・金額・希望の日時の表示用の情報は
+ *   関数（functions/lottery.js）が公演データから作り直して保存する（ここでは枚数と日時のIDだけを渡す）
+ */
+export async function applyForLottery(applicationData, { reservationPassId } = {}) {
+  const { applicationId } = await callReservationFunction("applyForLottery", {
+    reservationPassId,
+    customer: { name: applicationData.name, email: applicationData.email, note: applicationData.note || "" },
+    performanceId: applicationData.performanceId,
+    preferences: applicationData.preferences || [],
+    ticketQuantities: getTicketCounts(applicationData),
+    answers: getAnswerValues(applicationData.answers),
+    accessibility: applicationData.accessibility || null,
+  });
+  return applicationId;
+}
+
+/**
+ * 公演の抽選の申込を全て取得する関数（劇団側の抽選ページ用）
+ *
+ * @param {string} performanceId - 公演ID
+ * @returns {Promise<Array>} 申込の配列（申込が早い順）
+ */
+export async function listLotteryApplications(performanceId) {
+  const q = query(collection(db, "lotteryApplications"), where("performanceId", "==", performanceId));
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs
+    .map((applicationDoc) => ({ id: applicationDoc.id, ...applicationDoc.data() }))
+    .sort((a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0));
+}
+
+/**
+ * 公演の抽選の結果を取得する関数
+ *
+ * @param {string} performanceId - 公演ID
+ * @returns {Promise<Object|null>} lotteryDraws のデータ（まだ抽選していない場合はnull）
+ */
+export async function getLotteryDraw(performanceId) {
+  const drawSnap = await getDoc(doc(db, "lotteryDraws", performanceId));
+  return drawSnap.exists() ? drawSnap.data() : null;
+}
+
+/**
+ * 抽選を行う関数（劇団側の抽選ページから呼ぶ）
+ *
+ * @param {string} performanceId - 公演ID
+ * @returns {Promise<{ applicationCount: number, winnerCount: number, notifiedCount: number }>}
+ *   申込の件数・当選の件数・結果をお知らせした件数
+ *
+ * エラー：
+ * - 抽選の公演でない・申込期間中の場合は code = LOTTERY_ERROR_CODES.NOT_READY
+ * - 抽選済みの場合は code = LOTTERY_ERROR_CODES.ALREADY_DRAWN
+ *
+ * 処理の流れ：
+ * 1. 抽選待ちの申込と、ステージごとの在庫の初期値を用意する（トランザクションではクエリが使えないため）
+ * 2. トランザクション内で公演と在庫を読み直し、抽選を行う（drawLottery）
+ * 3. 当選分を在庫に反映し、抽選の結果と公演の抽選日時をまとめて書き込む
+ *    （これ以降、残った席は先着順で予約できる）
+ * 4. 当選した方の予約の作成と、当選・落選のメールを書き込む（sendLotteryResults）
+ *
+ * なぜ申込を読み直さないか：
+ * - 申込期間が終わった後は新しい申込が入らず、申込の内容も変わらないため
+ */
+export async function runLotteryDraw(performanceId) {
+  if (!db) {
+    throw new Error("Firestoreが初期化されていません。");
+  }
+
+  const performanceRef = doc(db, "performances", performanceId);
+  const drawRef = doc(db, "lotteryDraws", performanceId);
+
+  // 1. 抽選待ちの申込と、在庫の初期値（在庫ドキュメントがまだ無いステージ用）
+  const applicationsSnapshot = await getDocs(
+    query(
+      collection(db, "lotteryApplications"),
+      where("performanceId", "==", performanceId),
+      where("status", "==", LOTTERY_STATUS.APPLIED)
+    )
+  );
+  const applications = applicationsSnapshot.docs.map((applicationDoc) => ({
+    id: applicationDoc.id,
+    ...applicationDoc.data(),
+  }));
+  const performanceBefore = await getDoc(performanceRef);
+  const stageIds = (performanceBefore.exists() ? performanceBefore.data().stages || [] : [])
+    .map((stage, index) => getStageKey(stage, index));
+  const fallbacks = {};
+  for (const stageId of stageIds) {
+    fallbacks[String(stageId)] = await getStageInventory(performanceId, stageId, { countReservations: true });
+  }
+
+  let winnerCount = 0;
+  await runTransaction(db, async (transaction) => {
+    // なぜ毎回0に戻すか：競合でトランザクションが再実行されても、前回の試行の当選数を数え続けないようにするため
+    winnerCount = 0;
+
+    // ============================================
+    // 読み取り
+    // ============================================
+    const performanceSnap = await transaction.get(performanceRef);
+    const drawSnap = await transaction.get(drawRef);
+    const inventorySnaps = {};
+    for (const stageId of stageIds) {
+      inventorySnaps[String(stageId)] = await transaction.get(getStageInventoryRef(performanceId, stageId));
+    }
+
+    // ============================================
+    // チェック
+    // ============================================
+    const performance = performanceSnap.exists() ? performanceSnap.data() : null;
+    const now = new Date();
+    if (drawSnap.exists() || performance?.lotteryDrawnAt) {
+      const error = new Error("この公演は既に抽選を行いました。");
+      error.code = LOTTERY_ERROR_CODES.ALREADY_DRAWN;
+      throw error;
+    }
+    if (!isLotteryMode(performance) || getLotteryPhase(performance, now) !== LOTTERY_PHASES.CLOSED) {
+      const error = new Error("抽選は、申込期間が終わってから行えます。");
+      error.code = LOTTERY_ERROR_CODES.NOT_READY;
+      throw error;
+    }
+
+    // ============================================
+    // 抽選（予約の受付が終わったステージ・中止したステージには割り当てない）
+    // ============================================
+    const stocks = {};
+    const inventories = {};
+    (performance.stages || []).forEach((stage, index) => {
+      const stageKey = String(getStageKey(stage, index));
+      const stageSalesStatus = getStageSalesStatus(performance, stage, now);
+      if (!inventorySnaps[stageKey] || stageSalesStatus === SALES_STATUS.CLOSED || stageSalesStatus === SALES_STATUS.CANCELLED) {
+        return;
+      }
+      const inventory = readInventory(inventorySnaps[stageKey], fallbacks[stageKey]);
+      inventories[stageKey] = inventory;
+      const seatLimit = Number(stage.seatLimit) || 0;
+      stocks[stageKey] = {
+        availableSeats: seatLimit > 0
+          ? Math.max(seatLimit - inventory.reservedSeats - countHeldSeats(inventory.holds, now.getTime()), 0)
+          : Infinity,
+        ticketCounts: inventory.ticketCounts,
+        takenSeats: inventory.takenSeats,
+        seatMap: hasSeatMap(stage) ? stage.seatMap : null,
+        stage,
+        accessibilityCounts: inventory.accessibilityCounts,
+      };
+    });
+    const drawResults = drawLottery(applications, stocks, getTicketTypes(performance));
+
+    // ============================================
+    // 書き込み（在庫・抽選の結果・公演の抽選日時）
+    // ============================================
+    const results = {};
+    const inventoryUpdates = {};
+    applications.forEach((application) => {
+      const result = drawResults[application.id];
+      if (!result.won) {
+        results[application.id] = { won: false };
+        return;
+      }
+      // 予約のIDとトークンはここで決めておく（結果のお知らせを再開しても同じ予約になるようにするため）
+      const reservationId = doc(collection(db, "reservations")).id;
+      results[application.id] = {
+        ...result,
+        reservationId,
+        cancelToken: generateCancelToken(),
+        confirmationCode: generateConfirmationCode(),
+      };
+      winnerCount += 1;
+
+      const stageKey = String(result.stageId);
+      const inventory = inventories[stageKey];
+      const update = inventoryUpdates[stageKey] || {
+        stageId: result.stageId,
+        reservedSeats: inventory.reservedSeats,
+        ticketCounts: inventory.ticketCounts,
+        seatAssignments: {},
+        emailCounts: inventory.emailCounts,
+        emailKeys: [],
+        accessibilityCounts: inventory.accessibilityCounts,
+      };
+      update.reservedSeats += getReservationSeatCount(application);
+      update.ticketCounts = mergeTicketCounts(update.ticketCounts, getTicketCounts(application));
+      (result.seats || []).forEach((seat) => {
+        update.seatAssignments[seat] = reservationId;
+      });
+      update.emailCounts = adjustEmailCounts(update.emailCounts, application.emailKey);
+      update.accessibilityCounts = adjustAccessibilityCounts(update.accessibilityCounts, application);
+      if (application.emailKey) {
+        update.emailKeys.push(application.emailKey);
+      }
+      inventoryUpdates[stageKey] = update;
+    });
+
+    Object.entries(inventoryUpdates).forEach(([stageKey, update]) => {
+      const inventorySnap = inventorySnaps[stageKey];
+      const inventory = inventories[stageKey];
+      transaction.set(
+        inventorySnap.ref,
+        {
+          performanceId,
+          stageId: update.stageId,
+          reservedSeats: update.reservedSeats,
+          ticketCounts: update.ticketCounts,
+          // 在庫ドキュメントを新しく作る場合は、集計した既存の座席・件数も一緒に書き込む
+          takenSeats: inventorySnap.exists()
+            ? update.seatAssignments
+            : { ...inventory.takenSeats, ...update.seatAssignments },
+          emailCounts: inventorySnap.exists()
+            ? Object.fromEntries(update.emailKeys.map((emailKey) => [emailKey, update.emailCounts[emailKey]]))
+            : update.emailCounts,
+          accessibilityCounts: update.accessibilityCounts,
+          updatedAt: serverTimestamp(),
+        },
+        { merge: true }
+      );
+    });
+
+    transaction.set(drawRef, {
+      performanceId,
+      troupeId: performance.troupeId || "",
+      results,
+      applicationCount: applications.length,
+      winnerCount,
+      drawnAt: serverTimestamp(),
+      notifiedAt: null,
+    });
+    transaction.update(performanceRef, { lotteryDrawnAt: serverTimestamp() });
+  });
+
+  const notifiedCount = await sendLotteryResults(performanceId);
+  return { applicationCount: applications.length, winnerCount, notifiedCount };
+}
+
+/**
+ * 抽選の結果をお知らせする関数（当選した方の予約の作成と、当選・落選のメール）
+ *
+ * @param {string} performanceId - 公演ID
+ * @returns {Promise<number>} 今回お知らせした申込の件数
+ *
+ * エラー：
+ * - まだ抽選を行っていない場合は code = LOTTERY_ERROR_CODES.NOT_READY
+ *
+ * なぜ何度呼んでもよいか：
+ * - 抽選待ち（"applied"）のままの申込だけをお知らせし、お知らせした申込は "won" / "lost" にするため
+ *   （途中で失敗した場合は、劇団側の抽選ページから再開できる）
+ */
+export async function sendLotteryResults(performanceId) {
+  const drawRef = doc(db, "lotteryDraws", performanceId);
+  const drawSnap = await getDoc(drawRef);
+  if (!drawSnap.exists()) {
+    const error = new Error("まだ抽選を行っていません。");
+    error.code = LOTTERY_ERROR_CODES.NOT_READY;
+    throw error;
+  }
+  const { results } = drawSnap.data();
+
+  const applicationsSnapshot = await getDocs(
+    query(
+      collection(db, "lotteryApplications"),
+      where("performanceId", "==", performanceId),
+      where("status", "==", LOTTERY_STATUS.APPLIED)
+    )
+  );
+  const pendingRefs = applicationsSnapshot.docs
+    .filter((applicationDoc) => results?.[applicationDoc.id])
+    .map((applicationDoc) => applicationDoc.ref);
+
+  let notifiedCount = 0;
+  for (let start = 0; start < pendingRefs.length; start += NOTIFY_CHUNK_SIZE) {
+    const chunkRefs = pendingRefs.slice(start, start + NOTIFY_CHUNK_SIZE);
+    notifiedCount += await runTransaction(db, async (transaction) => {
+      const applicationSnaps = await Promise.all(chunkRefs.map((applicationRef) => transaction.get(applicationRef)));
+      let count = 0;
+
+      applicationSnaps.forEach((applicationSnap) => {
+        // 他の画面で先にお知らせ済みの申込は飛ばす
+        if (!applicationSnap.exists() || applicationSnap.data().status !== LOTTERY_STATUS.APPLIED) {
+          return;
+        }
+        const application = applicationSnap.data();
+        const result = results[applicationSnap.id];
+
+        if (!result.won) {
+          transaction.set(
+            doc(collection(db, "mailQueue")),
+            buildMailRequest(MAIL_TYPES.LOTTERY_LOST, { lotteryApplicationId: applicationSnap.id })
+          );
+          transaction.update(applicationSnap.ref, {
+            status: LOTTERY_STATUS.LOST,
+            notifiedAt: serverTimestamp(),
+          });
+          count += 1;
+          return;
+        }
+
+        // 当選した希望の日時で、通常の予約を作成する
+        // preferences・status・createdAt は申込自身の情報なので、予約データには引き継がない
+        const { preferences, status: _status, createdAt: _createdAt, ...booking } = application;
+        const preference = (preferences || []).find(
+          (candidate) => String(candidate.stageId) === String(result.stageId)
+        ) || {};
+        const reservationData = {
+          ...booking,
+          stageId: result.stageId,
+          stageDate: preference.stageDate || "",
+          stageStart: preference.stageStart || "",
+          stageEnd: preference.stageEnd || "",
+          ...(result.seats ? { seats: result.seats } : {}),
+          note: booking.note || "",
+          createdAt: serverTimestamp(),
+          status: "active",
+          cancelToken: result.cancelToken,
+          confirmationCode: result.confirmationCode, // 予約番号（受付・お問い合わせ用）
+          lotteryApplicationId: applicationSnap.id, // どの抽選の申込から作成したか
+        };
+
+        transaction.set(doc(db, "reservations", result.reservationId), reservationData);
+        transaction.set(
+          doc(collection(db, "mailQueue")),
+          buildMailRequest(MAIL_TYPES.LOTTERY_WON, { reservationId: result.reservationId })
+        );
+        transaction.update(applicationSnap.ref, {
+          status: LOTTERY_STATUS.WON,
+          notifiedAt: serverTimestamp(),
+          reservationId: result.reservationId,
+        });
+        count += 1;
+      });
+
+      return count;
+    });
+  }
+
+  await runTransaction(db, async (transaction) => {
+    transaction.update(drawRef, { notifiedAt: serverTimestamp() });
+  });
+  return notifiedCount;
+}
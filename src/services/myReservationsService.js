@@ -0,0 +1,165 @@
+/**
+ * ============================================
+ * myReservationsService.js - 観客の「マイ予約」（メールのログイン用リンク）
+ * ============================================
+ *
+ * Cloud Functions（functions/myReservations.js）を呼び出して、
+ * メールアドレスに届くログイン用リンクから、そのメールアドレスの予約を一覧で確認するためのモジュールです。
+ *
+ * 主な機能：
+ * 1. ログイン用リンクの送信依頼（メールアドレスを入力する）
+ * 2. ログイン用リンクを開いたときの、セッションの受け取りと保存
+ * 3. セッションのメールアドレスの予約の一覧の取得
+ * 4. ログアウト（セッションの削除）
+ *
+ * 【セッションの保存先】localStorage（キー：MY_RESERVATIONS_SESSION_KEY）
+ *   - { sessionToken, email, expiresAt }（expiresAt はミリ秒。期限はCloud Functionsが決める）
+ * なぜlocalStorageを使うか：
+ * - ログイン用リンクは1回しか使えないため、タブを閉じても期限までは一覧を開き直せるようにするため
+ *
+ * 注意：
+ * - アカウントが無くても予約はできる（この一覧を使うかどうかはお客様が選ぶ）
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { getReservationFunctions } from "./botProtectionService";
+
+// localStorageのキー
+export const MY_RESERVATIONS_SESSION_KEY = "theater-reservation-my-reservations-session";
+
+/**
+ * マイ予約で発生するエラーコード
+ *
+ * なぜコードを定義するか：
+ * - 画面側で「メールアドレスの入力に戻す」場合と、その場でエラーを表示する場合を区別するため
+ */
+export const MY_RESERVATIONS_ERROR_CODES = {
+  LINK_INVALID: "my-reservations/link-invalid",       // ログイン用リンクが使用済み・期限切れ
+  SESSION_EXPIRED: "my-reservations/session-expired", // セッションが無い・期限切れ
+  RATE_LIMITED: "my-reservations/rate-limited",       // リンクの送信回数の上限に達した
+};
+
+/**
+ * 保存したセッションを取得する関数
+ *
+ * @returns {{ sessionToken: string, email: string, expiresAt: number }|null} 期限内のセッション（無い・期限切れの場合はnull）
+ */
+export function getMyReservationsSession() {
+  try {
+    const session = JSON.parse(window.localStorage.getItem(MY_RESERVATIONS_SESSION_KEY) || "null");
+    if (!session?.sessionToken || !(Number(session.expiresAt) > Date.now())) {
+      return null;
+    }
+    return session;
+  } catch (error) {
+    console.warn("ログイン情報の読み込みに失敗しました:", error);
+    return null;
+  }
+}
+
+/**
+ * 保存したセッションを消す関数（期限切れ・ログアウトのとき）
+ */
+export function clearMyReservationsSession() {
+  window.localStorage.removeItem(MY_RESERVATIONS_SESSION_KEY);
+}
+
+/**
+ * ログイン用リンクをメールで送る関数
+ *
+ * @param {string} email - メールアドレス
+ * @returns {Promise<void>}
+ *
+ * エラー：
+ * - 送信回数の上限に達した場合は code = MY_RESERVATIONS_ERROR_CODES.RATE_LIMITED
+ *
+ * 予約が無いメールアドレスの場合もエラーにはならない（他人の予約の有無を探れないようにするため）
+ */
+export async function requestMyReservationsLink(email) {
+  try {
+    const requestLink = httpsCallable(getReservationFunctions(), "requestMyReservationsLink");
+    await requestLink({ email: String(email || "").trim() });
+  } catch (callError) {
+    if (callError.code !== "functions/resource-exhausted") {
+      throw callError; // 通信エラー・メールアドレスの形の誤りなどはそのまま返す
+    }
+    const error = new Error(callError.message);
+    error.code = MY_RESERVATIONS_ERROR_CODES.RATE_LIMITED;
+    throw error;
+  }
+}
+
+/**
+ * ログイン用リンクのトークンでセッションを受け取り、保存する関数
+ *
+ * @param {string} linkToken - メールのリンクに含まれるトークン（URLの ?link=）
+ * @returns {Promise<{ sessionToken: string, email: string, expiresAt: number }>} 保存したセッション
+ *
+ * エラー：
+ * - リンクが使用済み・期限切れの場合は code = MY_RESERVATIONS_ERROR_CODES.LINK_INVALID
+ */
+export async function openMyReservationsLink(linkToken) {
+  let result;
+  try {
+    const openLink = httpsCallable(getReservationFunctions(), "openMyReservationsLink");
+    result = await openLink({ linkToken });
+  } catch (callError) {
+    if (callError.code !== "functions/failed-precondition" && callError.code !== "functions/invalid-argument") {
+      throw callError;
+    }
+    const error = new Error(callError.message);
+    error.code = MY_RESERVATIONS_ERROR_CODES.LINK_INVALID;
+    throw error;
+  }
+  const session = {
+    sessionToken: result.data.sessionToken,
+    email: result.data.email,
+    expiresAt: result.data.expiresAt,
+  };
+  window.localStorage.setItem(MY_RESERVATIONS_SESSION_KEY, JSON.stringify(session));
+  return session;
+}
+
+/**
+ * セッションのメールアドレスの予約を一覧で取得する関数
+ *
+ * @param {string} sessionToken - セッションのトークン
+ * @returns {Promise<Array<Object>>} 予約の配列（公演日時の順。id と cancelToken を含む）
+ *
+ * エラー：
+ * - セッションが期限切れの場合は code = MY_RESERVATIONS_ERROR_CODES.SESSION_EXPIRED（保存したセッションも消す）
+ */
+export async function listMyReservations(sessionToken) {
+  try {
+    const list = httpsCallable(getReservationFunctions(), "listMyReservations");
+    const result = await list({ sessionToken });
+    return result.data.reservations || [];
+  } catch (callError) {
+    if (callError.code !== "functions/unauthenticated") {
+      throw callError;
+    }
+    clearMyReservationsSession();
+    const error = new Error(callError.message);
+    error.code = MY_RESERVATIONS_ERROR_CODES.SESSION_EXPIRED;
+    throw error;
+  }
+}
+
+/**
+ * ログアウトする関数（保存したセッションを消し、Cloud Functions 側のセッションも削除する）
+ *
+ * @param {string} sessionToken - セッションのトークン
+ * @returns {Promise<void>}
+ *
+ * なぜ削除に失敗しても続けるか：
+ * - この端末からはセッションを消しているので、Cloud Functions 側も期限が来れば使えなくなるため
+ */
+export async function signOutMyReservations(sessionToken) {
+  clearMyReservationsSession();
+  try {
+    const signOut = httpsCallable(getReservationFunctions(), "signOutMyReservations");
+    await signOut({ sessionToken });
+  } catch (error) {
+    console.warn("ログアウトの処理に失敗しました:", error);
+  }
+}
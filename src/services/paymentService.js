@@ -0,0 +1,126 @@
+/**
+ * ============================================
+ * paymentService.js - 事前決済（決済サービスの切り替えと、お支払いの流れ）
+ * ============================================
+ *
+ * 事前決済の公演で、お支払い待ちの予約を決済サービスで支払い、お支払い済みにするためのモジュールです。
+ * （お支払い方法・支払い状況の項目は paymentUtils.js を参照）
+ *
+ * 主な機能：
+ * 1. 使う決済サービスの選択（VITE_PAYMENT_PROVIDER。開発サーバー（npm run dev）で未設定の場合だけテスト用の決済サービス）
+ * 2. お支払い待ちの予約の支払い（Cloud Functions の payReservation が決済サービスで支払い、
+ *    結果を確認してから予約をお支払い済みにして予約確認メールを送る）
+ * 3. お支払いの期限が切れた予約の取り消し（Cloud Functions の expireUnpaidReservations が席を空けて、キャンセル待ちに回す）
+ *
+ * 【決済サービスの形】
+ * 決済サービスは、次のプロパティ・関数を持つオブジェクトです（例：fakePaymentProvider.js）。
+ *   - id: 決済サービスの種類（予約の paymentProvider に保存する）
+ *   - label: 表示名
+ *   - createPayment({ amount, currency, reservationId, description }) → Promise<{ paymentId, status }>
+ *       支払いを作成する（まだお金は動かない）
+ *   - confirmPayment(paymentId, details) → Promise<{ paymentId, status: "succeeded" | "failed", amount?, failureMessage? }>
+ *       お支払い画面で入力された内容（details）で支払いを確定する
+ *   - refundPayment(paymentId, { amount, idempotencyKey }) → Promise<{ paymentId, refundId, status: "refunded" }>
+ *       支払いを返金する（amount を省略した場合は全額。予約が先に取り消されていた場合・劇団が返金する場合に使う）
+ *       idempotencyKey が同じ返金は、2回呼ばれても1回だけ返金すること（返金の二重処理を防ぐため）
+ *
+ * なぜ決済サービスを差し替えられるようにするか：
+ * - 開発中・動作確認ではお金を動かさず、本番だけ実際の決済サービスを使うため
+ * - 劇団ごと・時期によって決済サービスを変える場合に、予約の処理を書き換えずに済むようにするため
+ *
+ * 画面の決済サービスは、表示名・お支払い画面の入力欄と、劇団の返金（refundService.js）に使う
+ * （お支払いは Cloud Functions 側の決済サービス functions/paymentProviders.js が行う）
+ *
+ * なぜテスト用の決済サービスを開発サーバーでしか使わないか：
+ * - 本番で VITE_PAYMENT_PROVIDER の設定を忘れた場合に、テスト用のお支払い画面を出さないため
+ *   （設定が無い場合は、お支払いを受け付けない）
+ */
+
+import { callReservationFunction } from "./botProtectionService";
+import { fakePaymentProvider } from "./fakePaymentProvider";
+import { PAYMENT_STATUSES, PAYMENT_ERROR_CODES } from "../../functions/shared/paymentUtils.js";
+
+// お支払いで発生するエラーコード（お支払いの関数 functions/payments.js と共通のため functions/shared/paymentUtils.js に置く）
+export { PAYMENT_ERROR_CODES };
+
+// 使える決済サービス（id -> 決済サービス）
+// 実際の決済サービスを追加する場合は、同じ形のオブジェクトを作ってここに登録する
+// （functions/paymentProviders.js にも、同じ id の決済サービスを登録すること）
+export const PAYMENT_PROVIDERS = {
+  [fakePaymentProvider.id]: fakePaymentProvider,
+};
+
+/**
+ * 使う決済サービスを返す関数
+ *
+ * @returns {Object} 決済サービス（VITE_PAYMENT_PROVIDER で指定したもの。開発サーバーで未設定の場合はテスト用）
+ *
+ * エラー：決済サービスが設定されていない・登録されていない場合、または開発サーバーの外で
+ *         テスト用の決済サービスを指定した場合は code = PAYMENT_ERROR_CODES.PROVIDER_NOT_FOUND
+ */
+export function getPaymentProvider() {
+  const isDev = import.meta.env.DEV;
+  const providerId = import.meta.env.VITE_PAYMENT_PROVIDER || (isDev ? fakePaymentProvider.id : "");
+  const provider = PAYMENT_PROVIDERS[providerId];
+  if (!provider || (provider === fakePaymentProvider && !isDev)) {
+    const error = new Error("お支払いの準備ができていません。劇団にお問い合わせください。");
+    error.code = PAYMENT_ERROR_CODES.PROVIDER_NOT_FOUND;
+    throw error;
+  }
+  return provider;
+}
+
+/**
+ * お支払い待ちの予約を支払い、お支払い済みにする関数（Cloud Functions の payReservation を呼ぶ）
+ *
+ * @param {Object} params
+ * @param {Object} params.reservation - お支払い待ちの予約データ（id・cancelToken を含む）
+ * @param {Object} params.paymentDetails - お支払い画面で入力された内容（決済サービスの confirmPayment に渡す）
+ * @returns {Promise<Object>} お支払い済みにした予約データ
+ *
+ * エラー：
+ * - 決済サービスで支払いが失敗した場合は code = PAYMENT_ERROR_CODES.DECLINED（error.message が理由）
+ * - 決済サービスが設定されていない場合は code = PAYMENT_ERROR_CODES.PROVIDER_NOT_FOUND
+ * - 予約が先に取り消されていた場合は code = RESERVATION_ERROR_CODES.PAYMENT_EXPIRED など
+ *   （決済サービス側の支払いは、関数が取り消し済み）
+ *
+ * なぜ画面で決済サービスを呼ばないか：
+ * - 画面からの「成功した」という報告だけで予約をお支払い済みにできないよう、
+ *   支払いと結果の確認・予約の更新を関数（functions/payments.js）がまとめて行うため
+ */
+export async function payForReservation({ reservation, paymentDetails }) {
+  getPaymentProvider(); // 決済サービスが設定されていない場合は、関数を呼ぶ前に止める
+
+  const { paymentProvider, paymentId } = await callReservationFunction("payReservation", {
+    reservationId: reservation.id,
+    cancelToken: reservation.cancelToken,
+    paymentDetails,
+  });
+
+  return {
+    ...reservation,
+    status: "active",
+    paymentStatus: PAYMENT_STATUSES.PAID,
+    paymentProvider,
+    paymentId,
+  };
+}
+
+/**
+ * ステージのお支払い待ちの予約のうち、期限を過ぎたものを取り消す関数（Cloud Functions の expireUnpaidReservations を呼ぶ）
+ *
+ * @param {string} performanceId - 公演ID
+ * @param {string|number} stageId - ステージID
+ * @returns {Promise<number>} 取り消した予約の件数
+ *
+ * なぜ予約ページ・予約一覧を開いたときに呼ぶか：
+ * - 定期的に動くサーバーの処理が無くても、期限切れの予約の席を空けられるようにするため
+ *   （仮押さえと同じく、次に誰かが在庫を見るときに片付ける）
+ *
+ * 取り消しと空いた席へのキャンセル待ちの繰り上げは、関数（functions/cancellations.js）が1件ずつ行う
+ * （期限前の予約は取り消さないため、誰が呼んでもよい）
+ */
+export async function expireUnpaidReservations(performanceId, stageId) {
+  const { releasedCount } = await callReservationFunction("expireUnpaidReservations", { performanceId, stageId });
+  return releasedCount;
+}
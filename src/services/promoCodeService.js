@@ -0,0 +1,164 @@
+/**
+ * ============================================
+ * promoCodeService.js - 割引コードの保存・取得
+ * ============================================
+ *
+ * 劇団が公演ごとに発行する割引コードを、Firestoreの promoCodes コレクションで管理するモジュールです。
+ * データの形は promoCodeUtils.js を参照してください。
+ *
+ * 【利用件数（usedCount）の更新】
+ * - 予約の作成・キャンセルと同じトランザクションで増減する（reservationService.js）
+ * - 画面から直接 usedCount を書き換えることはしない
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  runTransaction,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { normalizePromoCode, isValidPromoCodeFormat, getPromoCodeDocId } from "../../functions/shared/promoCodeUtils.js";
+
+/**
+ * 割引コードの操作で発生するエラーコード
+ */
+export const PROMO_CODE_ERROR_CODES = {
+  INVALID_FORMAT: "promo-code/invalid-format", // コードに使えない文字が含まれている
+  ALREADY_EXISTS: "promo-code/already-exists", // 同じ公演に同じコードがある
+  IN_USE: "promo-code/in-use",                 // 利用済みのため削除できない
+};
+
+/**
+ * 割引コードドキュメントの参照を返す関数
+ *
+ * @param {string} performanceId - 公演ID
+ * @param {string} code - コード（大文字・小文字は区別しない）
+ * @returns {DocumentReference} promoCodes/{performanceId}__{code}
+ *
+ * なぜドキュメントIDにコードを含めるか：
+ * - 予約のトランザクション内でクエリを使わずに、コードから直接読めるようにするため
+ */
+export function getPromoCodeRef(performanceId, code) {
+  return doc(db, "promoCodes", getPromoCodeDocId(performanceId, code));
+}
+
+/**
+ * 割引コードを1件取得する関数（予約ページでの適用確認用）
+ *
+ * @param {string} performanceId - 公演ID
+ * @param {string} code - お客様が入力したコード
+ * @returns {Promise<Object|null>} 割引コードデータ（存在しない場合はnull）
+ */
+export async function getPromoCode(performanceId, code) {
+  const normalized = normalizePromoCode(code);
+  if (!db || !performanceId || !isValidPromoCodeFormat(normalized)) {
+    return null;
+  }
+  const promoCodeSnap = await getDoc(getPromoCodeRef(performanceId, normalized));
+  return promoCodeSnap.exists() ? { id: promoCodeSnap.id, ...promoCodeSnap.data() } : null;
+}
+
+/**
+ * 公演の割引コードを全て取得する関数（劇団側の管理・集計用）
+ *
+ * @param {string} performanceId - 公演ID
+ * @returns {Promise<Array>} 割引コードの配列（コード順）
+ */
+export async function listPromoCodes(performanceId) {
+  const q = query(collection(db, "promoCodes"), where("performanceId", "==", performanceId));
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs
+    .map((promoCodeDoc) => ({ id: promoCodeDoc.id, ...promoCodeDoc.data() }))
+    .sort((a, b) => a.code.localeCompare(b.code));
+}
+
+/**
+ * 割引コードを新しく作成する関数
+ *
+ * @param {Object} params
+ * @param {string} params.performanceId - 公演ID
+ * @param {string} params.troupeId - 劇団ID（作成した劇団のUID）
+ * @param {Object} params.promoCode - 入力内容（code, discountType, discountValue, usageLimit, validFrom, validUntil）
+ * @returns {Promise<string>} 作成した割引コードのドキュメントID
+ *
+ * なぜトランザクションを使うか：
+ * - 同じコードを同時に作成しても、後から作った方で利用件数が0に戻らないようにするため
+ */
+export async function createPromoCode({ performanceId, troupeId, promoCode }) {
+  if (!db) {
+    throw new Error("Firestoreが初期化されていません。");
+  }
+
+  const code = normalizePromoCode(promoCode.code);
+  if (!isValidPromoCodeFormat(code)) {
+    const error = new Error("コードは英数字・ハイフン・アンダースコアの3〜32文字で入力してください。");
+    error.code = PROMO_CODE_ERROR_CODES.INVALID_FORMAT;
+    throw error;
+  }
+
+  const promoCodeRef = getPromoCodeRef(performanceId, code);
+  await runTransaction(db, async (transaction) => {
+    const existingSnap = await transaction.get(promoCodeRef);
+    if (existingSnap.exists()) {
+      const error = new Error(`コード「${code}」は既にこの公演で使われています。`);
+      error.code = PROMO_CODE_ERROR_CODES.ALREADY_EXISTS;
+      throw error;
+    }
+    transaction.set(promoCodeRef, {
+      performanceId,
+      troupeId,
+      code,
+      discountType: promoCode.discountType,
+      discountValue: Number(promoCode.discountValue) || 0,
+      usageLimit: Number(promoCode.usageLimit) || 0,
+      usedCount: 0,
+      validFrom: promoCode.validFrom || "",
+      validUntil: promoCode.validUntil || "",
+      active: true,
+      createdAt: serverTimestamp(),
+    });
+  });
+
+  return promoCodeRef.id;
+}
+
+/**
+ * 割引コードの受付を停止・再開する関数
+ *
+ * @param {string} promoCodeId - 割引コードのドキュメントID
+ * @param {boolean} active - trueなら受付中、falseなら停止
+ * @returns {Promise<void>}
+ */
+export async function setPromoCodeActive(promoCodeId, active) {
+  await updateDoc(doc(db, "promoCodes", promoCodeId), {
+    active,
+    updatedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * 割引コードを削除する関数（まだ使われていないコードのみ）
+ *
+ * @param {string} promoCodeId - 割引コードのドキュメントID
+ * @returns {Promise<void>}
+ *
+ * なぜ利用済みのコードは削除できないか：
+ * - キャンセル時に利用件数を戻す先が無くなり、集計の元データも失われるため（停止で対応する）
+ */
+export async function deletePromoCode(promoCodeId) {
+  const promoCodeRef = doc(db, "promoCodes", promoCodeId);
+  const promoCodeSnap = await getDoc(promoCodeRef);
+  if (promoCodeSnap.exists() && (Number(promoCodeSnap.data().usedCount) || 0) > 0) {
+    const error = new Error("利用済みの割引コードは削除できません。受付を停止してください。");
+    error.code = PROMO_CODE_ERROR_CODES.IN_USE;
+    throw error;
+  }
+  await deleteDoc(promoCodeRef);
+}
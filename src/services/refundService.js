@@ -0,0 +1,162 @@
+/**
+ * ============================================
+ * refundService.js - 事前決済の予約の返金（劇団側の返金待ちの一覧と返金の手続き）
+ * ============================================
+ *
+ * お支払い済みの予約がキャンセルされた（お客様のキャンセル・劇団によるステージの中止）ときの、
+ * 返金待ちの一覧の取得と、返金の手続きを行うモジュールです。
+ * （返金額の計算・返金の状況の項目は refundUtils.js を参照）
+ *
+ * 主な機能：
+ * 1. 公演の返金の対象の予約（返金待ち・返金済み・返金なし）の一覧
+ * 2. 返金の手続き（決済サービスで返金、または振込などで返金したことの記録）
+ *    返金した日時と手続きをした劇団のアカウントを予約に残し、返金のお知らせメールを mailQueue に追加する
+ *
+ * なぜ返金を自動で行わず、劇団の手続きにするか：
+ * - キャンセルの理由によっては、返金ポリシーと違う対応（振込での返金など）を劇団が決める場合があるため
+ * - 画面から決済サービスの返金を勝手に呼べないよう、返金は劇団の管理画面からだけ行うため
+ */
+
+import { collection, doc, getDoc, getDocs, query, where, runTransaction, serverTimestamp } from "firebase/firestore";
+import { db } from "../firebase";
+import { PAYMENT_PROVIDERS } from "./paymentService";
+import { REFUND_STATUSES, REFUND_METHODS } from "../../functions/shared/refundUtils.js";
+import { buildMailRequest, MAIL_TYPES } from "../utils/mailRequests";
+
+/**
+ * 返金の手続きで発生するエラーコード
+ *
+ * なぜコードを定義するか：
+ * - 画面側で「他の方が先に手続きした」場合と、その他のエラーを区別するため
+ */
+export const REFUND_ERROR_CODES = {
+  NOT_FOUND: "refund/not-found",                   // 予約が存在しない
+  NOT_DUE: "refund/not-due",                       // 返金待ちではない（返金済み・返金なし）
+  PROVIDER_NOT_FOUND: "refund/provider-not-found", // 支払いに使った決済サービスが登録されていない
+};
+
+// 返金待ちを先に並べるための順番
+const REFUND_STATUS_ORDER = [REFUND_STATUSES.DUE, REFUND_STATUSES.REFUNDED, REFUND_STATUSES.NOT_REFUNDABLE];
+
+/**
+ * 公演の返金の対象の予約を全て取得する関数（劇団側の返金ページ用）
+ *
+ * @param {string} performanceId - 公演ID
+ * @returns {Promise<Array>} 予約の配列（返金待ち → 返金済み → 返金なし の順。同じ状況ではキャンセルが早い順）
+ *
+ * なぜ refundStatus で絞り込むクエリにしないか：
+ * - performanceId との複合インデックスを作らずに済むようにするため（1公演の予約の件数なら、取得後に絞り込んでも十分速い）
+ */
+export async function listRefunds(performanceId) {
+  const q = query(collection(db, "reservations"), where("performanceId", "==", performanceId));
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs
+    .map((reservationDoc) => ({ id: reservationDoc.id, ...reservationDoc.data() }))
+    .filter((reservation) => REFUND_STATUS_ORDER.includes(reservation.refundStatus))
+    .sort((a, b) =>
+      REFUND_STATUS_ORDER.indexOf(a.refundStatus) - REFUND_STATUS_ORDER.indexOf(b.refundStatus) ||
+      (a.cancelledAt?.toMillis?.() || 0) - (b.cancelledAt?.toMillis?.() || 0)
+    );
+}
+
+/**
+ * 返金の手続きをする関数
+ *
+ * @param {Object} params
+ * @param {string} params.reservationId - 予約のドキュメントID
+ * @param {Object} params.processedBy - 手続きをした劇団のアカウント（{ uid, email }）
+ * @param {string} [params.method] - 返金の方法（REFUND_METHODS。既定は決済サービスで返金）
+ * @param {string} [params.note] - 劇団のメモ（振込日など）
+ * @returns {Promise<Object>} 返金した予約データ
+ *
+ * エラー：
+ * - 予約が無い場合は code = REFUND_ERROR_CODES.NOT_FOUND
+ * - 返金待ちでない場合（他の方が先に手続きした場合など）は code = REFUND_ERROR_CODES.NOT_DUE
+ * - 決済サービスで返金する場合に、支払いに使った決済サービスが無いときは code = REFUND_ERROR_CODES.PROVIDER_NOT_FOUND
+ *
+ * 処理の流れ：
+ * 1. 予約が返金待ちであることを確認する
+ * 2. 決済サービスで返金する（振込などで返金した場合は何もしない）
+ * 3. 予約を返金済みにし、返金のお知らせメールを mailQueue に追加する（1つのトランザクション）
+ *
+ * なぜ決済サービスに idempotencyKey を渡すか：
+ * - 2人の劇団員が同時に手続きした場合も、決済サービス側で二重に返金されないようにするため
+ *   （Firestore の記録は、3のトランザクションで先に書いた方だけが残る）
+ */
+export async function processRefund({ reservationId, processedBy, method = REFUND_METHODS.PROVIDER, note = "" }) {
+  if (!db) {
+    throw new Error("Firestoreが初期化されていません。");
+  }
+
+  const reservationRef = doc(db, "reservations", reservationId);
+  const reservationSnap = await getDoc(reservationRef);
+  if (!reservationSnap.exists()) {
+    const error = new Error("予約が見つかりませんでした。");
+    error.code = REFUND_ERROR_CODES.NOT_FOUND;
+    throw error;
+  }
+  assertRefundDue(reservationSnap.data());
+
+  // ============================================
+  // 決済サービスで返金
+  // ============================================
+  const reservation = reservationSnap.data();
+  let refundId = null;
+  if (method === REFUND_METHODS.PROVIDER) {
+    const provider = PAYMENT_PROVIDERS[reservation.paymentProvider];
+    if (!provider || !reservation.paymentId) {
+      const error = new Error(
+        `支払いに使った決済サービス「${reservation.paymentProvider || "不明"}」が見つかりません。振込などで返金し、「返金済みにする」で記録してください。`
+      );
+      error.code = REFUND_ERROR_CODES.PROVIDER_NOT_FOUND;
+      throw error;
+    }
+    const result = await provider.refundPayment(reservation.paymentId, {
+      amount: Number(reservation.refundAmount) || 0,
+      idempotencyKey: `refund_${reservationId}`,
+    });
+    refundId = result.refundId || null;
+  }
+
+  // ============================================
+  // 予約を返金済みにし、返金のお知らせメールを送る
+  // ============================================
+  const mailRef = doc(collection(db, "mailQueue"));
+  const refundData = {
+    refundStatus: REFUND_STATUSES.REFUNDED,
+    refundMethod: method,
+    refundId,
+    refundNote: String(note || "").trim(),
+    refundedBy: { uid: processedBy?.uid || null, email: processedBy?.email || null },
+  };
+
+  await runTransaction(db, async (transaction) => {
+    const latestSnap = await transaction.get(reservationRef);
+    assertRefundDue(latestSnap.data());
+
+    transaction.update(reservationRef, { ...refundData, refundedAt: serverTimestamp() });
+    transaction.set(mailRef, buildMailRequest(MAIL_TYPES.REFUND_NOTICE, { reservationId }));
+  });
+
+  console.log("返金の手続きをしました。予約ID:", reservationId);
+  return { id: reservationId, ...reservation, ...refundData };
+}
+
+/**
+ * 予約が返金待ちであることを確認する関数
+ *
+ * @param {Object} reservation - 予約データ
+ *
+ * エラー：返金待ちでない場合は code = REFUND_ERROR_CODES.NOT_DUE
+ */
+function assertRefundDue(reservation) {
+  if (reservation?.refundStatus !== REFUND_STATUSES.DUE) {
+    const error = new Error(
+      reservation?.refundStatus === REFUND_STATUSES.REFUNDED
+        ? "この予約は既に返金済みです。"
+        : "この予約は返金の対象ではありません。"
+    );
+    error.code = REFUND_ERROR_CODES.NOT_DUE;
+    throw error;
+  }
+}
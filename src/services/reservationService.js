@@ -0,0 +1,607 @@
+/**
+ * ============================================
+ * reservationService.js - 予約の保存・キャンセル処理（座席在庫つき）
+ * ============================================
+ *
+ * 予約の作成・キャンセル・変更と座席の仮押さえを、ステージごとの「座席在庫ドキュメント」と
+ * 一緒にトランザクション内で行う Cloud Functions を呼ぶためのモジュールです。
+ *
+ * 主な機能：
+ * 1. ステージごとの予約済み人数の取得（在庫ドキュメント優先）
+ * 2. 予約の作成（Cloud Functions の createReservations を呼ぶ。在庫チェック + 予約 + mailQueue は関数がまとめて書き込む）
+ * 3. 予約のキャンセル（cancelReservation を呼ぶ。関数が在庫を戻しつつ status を "cancelled" に更新し、
+ *    空いた席にキャンセル待ちを自動で繰り上げる。キャンセルの受付メールを mailQueue に追加する）
+ * 4. 予約フォーム入力中の座席の仮押さえ（holdSeats・releaseSeatHold を呼ぶ。一定時間で自動的に解放）
+ * 5. 割引コードの利用件数の増減（予約・キャンセルと同じトランザクションで関数が更新）
+ * 6. 複数のステージの予約をまとめて作成（カートからの一括予約。全て予約できた場合のみ関数が書き込む）
+ * 7. お客様自身による予約内容（人数・日時）の変更（modifyReservation を呼ぶ。締め切り前のみ。変更履歴を残す）
+ * 8. 一部の人数だけのキャンセルと、キャンセル理由の記録（partiallyCancelReservation を呼ぶ。cancellationLogs）
+ * 9. 1件あたりの人数と、同じメールアドレスの予約件数の上限（在庫の emailCounts で数える）
+ * 10. メールアドレスと予約番号（confirmationCode）での予約の照会と、予約確認メールの再送
+ *     cancelToken・予約ID と cancelToken での予約の取得（キャンセル・お支払い・予約確認ページ用）
+ *     （予約は画面から直接読めないため、Cloud Functions の functions/reservationLookup.js を呼ぶ）
+ * 11. 予約パス（ボット対策。Cloud Functionsが発行する1回きりのパス）を予約の関数に渡す（確認と使用済みへの更新は関数が行う）
+ * 12. 車椅子スペース・同伴者席の枠の確認（在庫の accessibilityCounts で数える。詳しくは accessibilityUtils.js）
+ * 13. 事前決済の公演の、お支払い待ちの予約の作成・取り消し（お支払いの確定は functions/payments.js。詳しくは paymentUtils.js）
+ * 14. 劇団によるステージの中止（cancelStage を呼ぶ。予約を全て取り消し、お支払い済みの予約は全額を返金待ちにする。詳しくは refundUtils.js）
+ *
+ * 【なぜトランザクションが必要か】
+ * - 「残席を数える → addDocする」を別々に行うと、同時に送信した2人が
+ *   どちらもチェックを通過してしまい、席数上限を超えて予約できてしまうため
+ * - トランザクション内で在庫ドキュメントを読み書きすると、
+ *   同時更新があった場合はFirestoreが自動で再実行してくれるため、
+ *   常に最新の予約済み人数でチェックできる
+ *
+ * 【なぜ在庫を変える操作を全て Cloud Functions で行うか】
+ * - 画面から在庫ドキュメント・割引コードの利用件数に書き込めるようにすると、
+ *   スクリプトから予約済みの席数・座席を好きな値にして、満席のステージに予約を入れられてしまうため
+ *   （firestore.rules では、在庫への書き込みは劇団本人の操作（抽選・ステージIDの移行）だけを許可している）
+ * - 関数は functions/seatHolds.js（仮押さえ）・cancellations.js（キャンセル・お支払い待ちの取り消し・ステージの中止）・
+ *   reservationChanges.js（変更・一部キャンセル）。空いた席への繰り上げは waitlistPromotions.js
+ *
+ * 【座席在庫ドキュメント】
+ * stageInventories/{performanceId}__{stageId}
+ *   - performanceId: 公演ID
+ *   - stageId: ステージID
+ *   - reservedSeats: 予約済みの席数（キャンセル分・席を使わない券種は含まない）
+ *   - ticketCounts: 券種IDごとの販売済み枚数（券種の販売上限のチェックに使う）
+ *   - takenSeats: 予約済みの座席（座席番号 -> 予約ID。座席表のあるステージのみ）
+ *   - holds: 入力中の仮押さえ（仮押さえID -> { seats, expiresAt }。詳しくは seatHoldUtils.js）
+ *   - accessibilityCounts: 車椅子スペース・同伴者席の予約済みの人数（{ wheelchair, companion }）
+ *   - pendingPayments: お支払い待ちの予約（予約ID -> お支払いの期限。席は通常の予約と同じく数える）
+ *   - updatedAt: 更新日時
+ *
+ * 【残席の数え方】
+ * - 残席 = seatLimit - reservedSeats - 期限内の仮押さえの席数（自分の仮押さえは除く）
+ *          - まだ予約されていない車椅子スペース・同伴者席の数（枠を使う予約のために取っておく）
+ * - 仮押さえでは、車椅子スペース・同伴者席の分を差し引かない
+ *   （入力中はご要望が決まっていないため。予約を保存するときのトランザクションで確認する）
+ * - 期限切れの仮押さえは数えず、在庫を書き込むときに一緒に削除する
+ *   （サーバー側の処理が無くても、時間が過ぎれば自動的に席が空く）
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import {
+  getTicketCounts,
+  mergeTicketCounts,
+  getReservationSeatCount,
+} from "../../functions/shared/ticketUtils.js";
+import { countHeldSeats } from "../../functions/shared/seatHoldUtils.js";
+import { adjustEmailCounts } from "../../functions/shared/reservationLimitUtils.js";
+import { RESERVATION_ERROR_CODES } from "../../functions/shared/reservationErrorCodes.js";
+import { getAnswerValues } from "../../functions/shared/formQuestionUtils.js";
+import {
+  getAccessibilityCounts,
+  adjustAccessibilityCounts,
+  countReservedAccessibleSeats,
+} from "../../functions/shared/accessibilityUtils.js";
+import { isPaymentPending } from "../../functions/shared/paymentUtils.js";
+import { callReservationFunction } from "./botProtectionService";
+
+// 予約処理で発生するエラーコード（Cloud Functions と共通。functions/shared/reservationErrorCodes.js）
+export { RESERVATION_ERROR_CODES };
+
+/**
+ * 座席在庫ドキュメントの参照を返す関数
+ *
+ * @param {string} performanceId - 公演ID
+ * @param {string|number} stageId - ステージID（stage.id。旧データはインデックス）
+ * @returns {DocumentReference} stageInventories/{performanceId}__{stageId}
+ */
+export function getStageInventoryRef(performanceId, stageId) {
+  return doc(db, "stageInventories", `${performanceId}__${stageId}`);
+}
+
+/**
+ * reservationsコレクションを集計して、在庫ドキュメントと同じ形の値を返す関数
+ *
+ * @param {string} performanceId - 公演ID
+ * @param {string|number} stageId - ステージID
+ * @returns {Promise<{ reservedSeats: number, ticketCounts: Object, takenSeats: Object, holds: Object, emailCounts: Object, accessibilityCounts: Object, pendingPayments: Object }>}
+ *   キャンセル済みを除いた席数の合計と、券種ごとの枚数、予約済みの座席、メールアドレスごとの件数、
+ *   車椅子スペース・同伴者席の人数、お支払い待ちの予約（仮押さえは空）
+ *
+ * なぜ必要か：
+ * - 在庫ドキュメントが作られる前の既存予約を、在庫の初期値として数えるため
+ *
+ * 注意：予約を読めるのは公演の劇団だけ（firestore.rules）なので、劇団の画面からだけ呼ぶこと
+ */
+async function countActiveInventory(performanceId, stageId) {
+  const q = query(
+    collection(db, "reservations"),
+    where("performanceId", "==", performanceId),
+    where("stageId", "==", stageId)
+  );
+  const querySnapshot = await getDocs(q);
+
+  let reservedSeats = 0;
+  let ticketCounts = {};
+  const takenSeats = {};
+  let emailCounts = {};
+  let accessibilityCounts = {};
+  const pendingPayments = {};
+  querySnapshot.forEach((reservationDoc) => {
+    const data = reservationDoc.data();
+    if (data.status === "cancelled") {
+      return; // キャンセル済みは数えない
+    }
+    reservedSeats += getReservationSeatCount(data);
+    ticketCounts = mergeTicketCounts(ticketCounts, getTicketCounts(data));
+    (data.seats || []).forEach((seat) => {
+      takenSeats[seat] = reservationDoc.id;
+    });
+    // emailKey の無い予約（件数の制限を入れる前の予約）は、キャンセル時に減らせないので数えない
+    emailCounts = adjustEmailCounts(emailCounts, data.emailKey);
+    accessibilityCounts = adjustAccessibilityCounts(accessibilityCounts, data);
+    if (isPaymentPending(data)) {
+      pendingPayments[reservationDoc.id] = Number(data.paymentExpiresAt) || 0;
+    }
+  });
+
+  return { reservedSeats, ticketCounts, takenSeats, holds: {}, emailCounts, accessibilityCounts, pendingPayments };
+}
+
+/**
+ * 在庫ドキュメントのスナップショットから値を取り出す関数
+ *
+ * @param {DocumentSnapshot} inventorySnap - 在庫ドキュメント
+ * @param {Object} fallback - ドキュメントが無い場合に使う値（countActiveInventoryの結果）
+ * @returns {{ reservedSeats: number, ticketCounts: Object, takenSeats: Object, holds: Object, emailCounts: Object, accessibilityCounts: Object, pendingPayments: Object }}
+ *
+ * 抽選（lotteryService.js）のトランザクションでも、同じ形で在庫を読むために使う
+ */
+export function readInventory(inventorySnap, fallback) {
+  if (!inventorySnap.exists()) {
+    return fallback;
+  }
+  const data = inventorySnap.data();
+  return {
+    reservedSeats: Number(data.reservedSeats) || 0,
+    ticketCounts: data.ticketCounts || {},
+    takenSeats: data.takenSeats || {},
+    holds: data.holds || {},
+    emailCounts: data.emailCounts || {},
+    accessibilityCounts: data.accessibilityCounts || {},
+    pendingPayments: data.pendingPayments || {},
+  };
+}
+
+/**
+ * 指定ステージの在庫（予約済みの席数・券種ごとの枚数・予約済みの座席）を取得する関数
+ *
+ * @param {string} performanceId - 公演ID
+ * @param {string|number} stageId - ステージID
+ * @param {Object} [options]
+ * @param {boolean} [options.countReservations] - 在庫ドキュメントが無い場合に reservations を集計するか（劇団の画面のみ）
+ * @returns {Promise<{ reservedSeats: number, ticketCounts: Object, takenSeats: Object, holds: Object }>}
+ *
+ * 処理の流れ：
+ * 1. 在庫ドキュメントがあれば、その値を返す
+ * 2. まだ無ければ、劇団の画面では reservations を集計して返す（既存データ向け）
+ *    観客の画面では空の在庫を返す
+ *
+ * なぜ観客の画面では集計しないか：
+ * - 予約は劇団だけが読めるため。在庫ドキュメントが無いステージは、最初の予約・キャンセルのときに
+ *   Cloud Functions が既存の予約を集計して作るので、残席の最終的な確認は関数が行う
+ */
+export async function getStageInventory(performanceId, stageId, { countReservations = false } = {}) {
+  const emptyInventory = {
+    reservedSeats: 0,
+    ticketCounts: {},
+    takenSeats: {},
+    holds: {},
+    emailCounts: {},
+    accessibilityCounts: {},
+    pendingPayments: {},
+  };
+  if (!db || !performanceId || stageId === null || stageId === undefined) {
+    return emptyInventory;
+  }
+
+  const inventorySnap = await getDoc(getStageInventoryRef(performanceId, stageId));
+  if (inventorySnap.exists()) {
+    return readInventory(inventorySnap);
+  }
+
+  return countReservations ? countActiveInventory(performanceId, stageId) : emptyInventory;
+}
+
+/**
+ * 指定ステージの埋まっている席数（予約済み + 仮押さえ中）を取得する関数
+ *
+ * @param {string} performanceId - 公演ID
+ * @param {string|number} stageId - ステージID
+ * @param {Object} [options]
+ * @param {string} [options.excludeHoldId] - 数えない仮押さえID（自分の仮押さえ）
+ * @param {Object} [options.stage] - ステージデータ（渡すと、まだ予約されていない車椅子スペース・同伴者席も数える）
+ * @param {Object} [options.accessibility] - 予約しようとしている配慮のご要望（この分の車椅子スペースなどは数えない）
+ * @returns {Promise<number>} 予約済みの席数と、期限内の仮押さえの席数（と、取っておく車椅子スペースなど）の合計
+ *
+ * なぜ仮押さえも含めるか：
+ * - 他のお客様が入力中の席を「空席」と表示すると、送信した時点で席が足りなくなるため
+ * - 車椅子スペース・同伴者席も同じく、一般のお客様は予約できないので空席として表示しない
+ */
+export async function getReservedSeatsCount(performanceId, stageId, { excludeHoldId, stage, accessibility } = {}) {
+  const inventory = await getStageInventory(performanceId, stageId);
+  const reservedAccessibleSeats = stage
+    ? countReservedAccessibleSeats(
+        stage,
+        mergeTicketCounts(inventory.accessibilityCounts, getAccessibilityCounts({ accessibility }))
+      )
+    : 0;
+  return inventory.reservedSeats + countHeldSeats(inventory.holds, Date.now(), excludeHoldId) + reservedAccessibleSeats;
+}
+
+/**
+ * 予約フォームの入力中に、席を一定時間だけ仮押さえする関数（Cloud Functions の holdSeats を呼ぶ）
+ *
+ * @param {Object} params
+ * @param {string} params.performanceId - 公演ID
+ * @param {string|number} params.stageId - ステージID
+ * @param {string} params.holdId - 仮押さえID（generateHoldId で作ったID。同じIDで呼ぶと席数だけを更新する）
+ * @param {number} params.seats - 仮押さえする席数
+ * @returns {Promise<{ holdId: string, seats: number, expiresAt: number }|null>}
+ *   仮押さえの内容（席数上限が無いステージは仮押さえ不要のためnull）
+ *
+ * エラー：
+ * - 残席が足りない場合は code = RESERVATION_ERROR_CODES.SOLD_OUT のエラーを投げる
+ *   （error.availableSeats に、自分の仮押さえを除いた残席数が入る）
+ *
+ * なぜ画面から在庫に書き込まないか：
+ * - 在庫ドキュメントへの書き込みを画面に許可すると、スクリプトから予約済みの席数・座席を書き換えられてしまうため
+ *   （仮押さえの期限は関数（functions/seatHolds.js）が決める）
+ */
+export async function holdSeats({ performanceId, stageId, holdId, seats }) {
+  const { hold } = await callReservationFunction("holdSeats", { performanceId, stageId, holdId, seats });
+  return hold;
+}
+
+/**
+ * 仮押さえを解放する関数（Cloud Functions の releaseSeatHold を呼ぶ）
+ *
+ * @param {string} performanceId - 公演ID
+ * @param {string|number} stageId - ステージID
+ * @param {string} holdId - 仮押さえID
+ * @returns {Promise<void>}
+ *
+ * 解放に失敗しても、期限が過ぎれば数えられなくなる（エラーは呼び出し側で無視してよい）
+ */
+export async function releaseSeatHold(performanceId, stageId, holdId) {
+  if (!holdId) {
+    return;
+  }
+  await callReservationFunction("releaseSeatHold", { performanceId, stageId, holdId });
+}
+
+/**
+ * 予約データを、予約の関数（Cloud Functions の createReservations）に渡す形にする関数
+ *
+ * @param {Object} item - { performanceId, stageId, reservationData, holdId? }
+ * @returns {Object} 関数に渡す1件分の予約の内容
+ *
+ * なぜ券種の名前・料金・公演名などを渡さないか：
+ * - 関数が公演データから作り直すため（画面の値は信用しない。詳しくは functions/bookingData.js）
+ *   ここでは枚数・座席・割引コード・回答・配慮のご要望だけを渡す
+ */
+function toReservationRequestItem({ performanceId, stageId, reservationData, holdId }) {
+  return {
+    performanceId,
+    stageId,
+    ticketQuantities: getTicketCounts(reservationData),
+    seats: reservationData.seats || [],
+    holdId: holdId || "",
+    promoCode: reservationData.promoCode || "",
+    discountAmount: Number(reservationData.discountAmount) || 0,
+    answers: getAnswerValues(reservationData.answers),
+    accessibility: reservationData.accessibility || null,
+  };
+}
+
+/**
+ * 予約者の情報を、予約の関数に渡す形にする関数
+ *
+ * @param {Object} reservationData - 予約データ（name・email・note を使う）
+ * @returns {{ name: string, email: string, note: string }}
+ */
+function toCustomerRequest(reservationData) {
+  return {
+    name: reservationData.name || "",
+    email: reservationData.email || "",
+    note: reservationData.note || "",
+  };
+}
+
+/**
+ * 予約を作成する関数（Cloud Functions の createReservations を呼ぶ）
+ *
+ * @param {Object} params
+ * @param {string} params.performanceId - 公演ID
+ * @param {string|number} params.stageId - ステージID
+ * @param {Object} params.reservationData - 予約の内容（予約者・券種の内訳・座席・割引コード・回答など）
+ * @param {string} [params.holdId] - 入力中に仮押さえしていた仮押さえID（残席から除き、予約と同時に解放する）
+ * @param {string} params.reservationPassId - 予約パスのID（botProtectionService の requestReservationPass で受け取る）
+ * @returns {Promise<Object>} 作成した予約（{ id, ...予約データ }。cancelToken・予約番号を含む）
+ *
+ * エラー：
+ * - 残席が足りない場合は code = RESERVATION_ERROR_CODES.SOLD_OUT のエラーを投げる
+ *   （error.availableSeats に、その時点の残席数が入る）
+ * - 券種の販売上限を超える場合は code = RESERVATION_ERROR_CODES.TICKET_QUOTA_EXCEEDED のエラーを投げる
+ *   （error.ticketTypeName・error.availableQuantity に、券種名と残り枚数が入る）
+ * - 車椅子スペース・同伴者席の枠を超える場合は code = RESERVATION_ERROR_CODES.ACCESSIBILITY_QUOTA_EXCEEDED のエラーを投げる
+ *   （error.accessibilityNeed・error.availableQuantity に、ご要望の種類と残りの数が入る）
+ * - 座席表のあるステージで、選んだ座席が予約済みの場合は code = RESERVATION_ERROR_CODES.SEAT_TAKEN のエラーを投げる
+ *   （error.unavailableSeats に、予約できなかった座席番号が入る）
+ * - 割引コード（reservationData.promoCode）が使えない場合、または割引額（discountAmount）が
+ *   現在の設定で計算した額と違う場合は code = RESERVATION_ERROR_CODES.PROMO_CODE_INVALID のエラーを投げる
+ * - 予約パスが無い・使用済み・期限切れの場合は code = BOT_PROTECTION_ERROR_CODES.PASS_INVALID のエラーを投げる
+ * - 予約開始前の場合は code = RESERVATION_ERROR_CODES.SALES_NOT_STARTED、
+ *   締め切り（開演の○時間前）を過ぎた場合は code = RESERVATION_ERROR_CODES.SALES_CLOSED のエラーを投げる
+ * - 抽選で受け付ける公演で、まだ抽選を行っていない場合は code = RESERVATION_ERROR_CODES.LOTTERY_PENDING のエラーを投げる
+ *
+ * 事前決済の公演（お支払い金額が1円以上の予約）の場合：
+ * - 予約は status = "pending_payment" で作成され、お支払いの期限（PAYMENT_HOLD_MINUTES分後）が付く
+ * - 予約確認メールはまだ送らない（お支払いが済んだときに送る）
+ *
+ * なぜ画面のトランザクションで作成しないか：
+ * - 画面のチェックはスクリプトから直接書き込まれると素通りされてしまうため、
+ *   残席・上限などの確認と書き込みは Cloud Functions（functions/reservations.js）が行う
+ */
+export async function createReservation({ performanceId, stageId, reservationData, holdId, reservationPassId }) {
+  const { reservations } = await callReservationFunction("createReservations", {
+    reservationPassId,
+    customer: toCustomerRequest(reservationData),
+    items: [toReservationRequestItem({ performanceId, stageId, reservationData, holdId })],
+    allowPrepayment: true,
+  });
+  return reservations[0];
+}
+
+/**
+ * 複数のステージの予約をまとめて作成する関数（カートからの一括予約）
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.items - 予約する内容の配列（{ performanceId, stageId, reservationData, holdId? }）
+ * @param {string} params.reservationPassId - 予約パスのID（1つのパスで全ての予約を作成する）
+ * @returns {Promise<Array<Object>>} 作成した予約（items と同じ順番。確認メールは全ての予約をまとめて1通）
+ *
+ * エラー：
+ * - createReservation と同じエラーを投げる。どの予約で失敗したかは error.itemIndex に入る
+ * - 同じステージが2つ以上含まれる場合は code = RESERVATION_ERROR_CODES.DUPLICATE_STAGE のエラーを投げる
+ * - 事前決済の公演の予約が含まれる場合は code = RESERVATION_ERROR_CODES.PREPAYMENT_NOT_IN_CART のエラーを投げる
+ *   （お支払いの画面は1件ずつなので、公演の予約ページから予約してもらう）
+ *
+ * 全て予約できるか、何も予約しないかのどちらかになる（関数が1つのトランザクションで作成する）
+ */
+export async function createReservations({ items, reservationPassId }) {
+  if (!items || items.length === 0) {
+    throw new Error("予約する公演日時が選択されていません。");
+  }
+  const { reservations } = await callReservationFunction("createReservations", {
+    reservationPassId,
+    customer: toCustomerRequest(items[0].reservationData),
+    items: items.map(toReservationRequestItem),
+  });
+  return reservations;
+}
+
+/**
+ * 予約をキャンセルする関数（Cloud Functions の cancelReservation を呼ぶ）
+ *
+ * @param {string} reservationId - 予約のドキュメントID
+ * @param {Object} options
+ * @param {string} options.cancelToken - 予約のcancelToken（キャンセル用リンクを知っている本人かの確認に使う）
+ * @param {string} [options.reason] - キャンセル理由のID（CANCELLATION_REASONS）
+ * @param {string} [options.reasonNote] - 自由記入の理由
+ * @returns {Promise<boolean>} キャンセルした場合true、既にキャンセル済みの場合false
+ *
+ * エラー：
+ * - トークンが一致しない・予約が無い場合は code = RESERVATION_ERROR_CODES.NOT_FOUND
+ * - キャンセルの締め切り（公演のキャンセルポリシー）を過ぎている場合は code = RESERVATION_ERROR_CODES.CANCEL_DEADLINE_PASSED
+ *
+ * 関数（functions/cancellations.js）が、予約の取り消し・在庫の返却・空いた席へのキャンセル待ちの繰り上げ・
+ * 割引コードの利用件数の返却・キャンセル記録とキャンセルの受付メールを1つのトランザクションで行う
+ * （事前決済でお支払い済みの予約は、返金ポリシーで計算した返金額と返金の状況も保存する）
+ */
+export async function cancelReservation(reservationId, { cancelToken, reason, reasonNote } = {}) {
+  const { cancelled } = await callReservationFunction("cancelReservation", {
+    reservationId,
+    cancelToken,
+    reason,
+    reasonNote,
+  });
+  return cancelled;
+}
+
+/**
+ * お客様がお支払いをやめて、お支払い待ちの予約を取り消す関数（Cloud Functions の releaseUnpaidReservation を呼ぶ）
+ *
+ * @param {string} reservationId - 予約のドキュメントID
+ * @param {Object} options
+ * @param {string} options.cancelToken - 予約のcancelToken（お支払いページのURLに含まれる）
+ * @returns {Promise<boolean>} 取り消した場合true（お支払い済み・取り消し済みの場合はfalse）
+ *
+ * エラー：
+ * - 予約が無い場合・cancelToken が違う場合は code = RESERVATION_ERROR_CODES.NOT_FOUND
+ *
+ * 期限を過ぎた予約の取り消しは、paymentService の expireUnpaidReservations を使う
+ *
+ * 通常のキャンセルとの違い：
+ * - キャンセルの締め切りを確認しない（お支払いが無ければ、締め切り後でも席を空ける）
+ * - キャンセル記録（cancellationLogs）を残さない（お客様が理由を選んだキャンセルではないため）
+ */
+export async function releaseUnpaidReservation(reservationId, { cancelToken } = {}) {
+  const { released } = await callReservationFunction("releaseUnpaidReservation", { reservationId, cancelToken });
+  return released;
+}
+
+/**
+ * 劇団がステージを中止する関数（Cloud Functions の cancelStage を呼ぶ）
+ *
+ * @param {string} performanceId - 公演ID
+ * @param {string|number} stageId - 中止するステージのID
+ * @returns {Promise<number>} 取り消した予約の件数
+ *
+ * エラー：
+ * - 公演が無い場合は code = RESERVATION_ERROR_CODES.PERFORMANCE_NOT_FOUND
+ * - ステージが無い場合は code = RESERVATION_ERROR_CODES.STAGE_NOT_FOUND
+ * - 自分の公演でない場合は、関数の permission-denied のエラー
+ *
+ * 関数（functions/cancellations.js）が、ステージに cancelled: true を付けて以降の予約を止め、
+ * そのステージの予約を1件ずつ取り消して中止のお知らせメールを送る
+ * （お支払い済みの予約は、返金ポリシーに関わらず全額を返金待ちにする。途中で失敗しても、もう一度呼べば残りだけを取り消す）
+ */
+export async function cancelStage(performanceId, stageId) {
+  const { cancelledCount } = await callReservationFunction("cancelStage", { performanceId, stageId });
+  return cancelledCount;
+}
+
+/**
+ * お客様自身が予約内容（人数・日時）を変更する関数（Cloud Functions の modifyReservation を呼ぶ）
+ *
+ * @param {Object} params
+ * @param {string} params.reservationId - 予約のドキュメントID
+ * @param {string} params.cancelToken - 予約のcancelToken（リンクを知っている本人かの確認に使う）
+ * @param {string|number} params.stageId - 変更後のステージID（同じ公演のステージのみ）
+ * @param {Object} params.ticketQuantities - 変更後の券種IDごとの枚数（例：{ tkt_xxx: 2 }）
+ * @returns {Promise<Object>} 予約データのうち変更した項目（日時・券種の内訳・人数・座席・金額。変更が無い場合は空）
+ *
+ * エラー：
+ * - トークンが一致しない・予約が無い場合は code = RESERVATION_ERROR_CODES.NOT_FOUND
+ * - キャンセル済みの予約は code = RESERVATION_ERROR_CODES.NOT_ACTIVE
+ * - 事前決済の予約は code = RESERVATION_ERROR_CODES.PREPAID_NOT_CHANGEABLE
+ * - 変更前・変更後のどちらかのステージが締め切りを過ぎている場合は code = RESERVATION_ERROR_CODES.CHANGE_DEADLINE_PASSED
+ *   （error.deadline に締め切り日時が入る）
+ * - 来場人数が0人になる場合は code = RESERVATION_ERROR_CODES.INVALID_TICKETS
+ * - 残席・券種の残り枚数が足りない・移る先の日時の予約受付が終わっている場合は createReservation と同じエラー
+ *
+ * 券種の内訳・金額・座席の割り当ては、関数（functions/reservationChanges.js）が予約時の内訳と公演データから作り直す
+ * （座席表のあるステージでは、今の座席をなるべく残して空いている座席を自動で割り当てる）
+ */
+export async function modifyReservation({ reservationId, cancelToken, stageId, ticketQuantities }) {
+  const { changes } = await callReservationFunction("modifyReservation", {
+    reservationId,
+    cancelToken,
+    stageId,
+    ticketQuantities,
+  });
+  return changes;
+}
+
+/**
+ * お客様自身が予約の一部の人数だけをキャンセルする関数（Cloud Functions の partiallyCancelReservation を呼ぶ）
+ *
+ * @param {Object} params
+ * @param {string} params.reservationId - 予約のドキュメントID
+ * @param {string} params.cancelToken - 予約のcancelToken
+ * @param {Object} params.cancelQuantities - キャンセルする券種IDごとの枚数（例：{ tkt_xxx: 1 }）
+ * @param {string} [params.reason] - キャンセル理由のID（CANCELLATION_REASONS）
+ * @param {string} [params.reasonNote] - 自由記入の理由
+ * @returns {Promise<Object>} 予約データのうち変更した項目（modifyReservation と同じ）
+ *
+ * エラー：
+ * - キャンセルする枚数が0枚・予約の枚数を超える・全員分になる場合は code = RESERVATION_ERROR_CODES.INVALID_TICKETS
+ *   （全員分をキャンセルする場合は cancelReservation を使う）
+ * - キャンセルの締め切りを過ぎている場合は code = RESERVATION_ERROR_CODES.CANCEL_DEADLINE_PASSED
+ * - その他は modifyReservation と同じ
+ *
+ * 予約内容の変更と同じトランザクションで、空いた席をキャンセル待ちに回し、
+ * キャンセル記録（cancellationLogs）と一部キャンセルのお知らせメールを追加する
+ */
+export async function partiallyCancelReservation({ reservationId, cancelToken, cancelQuantities, reason, reasonNote }) {
+  const { changes } = await callReservationFunction("partiallyCancelReservation", {
+    reservationId,
+    cancelToken,
+    cancelQuantities,
+    reason,
+    reasonNote,
+  });
+  return changes;
+}
+
+// ============================================
+// 予約番号での照会
+// ============================================
+
+/**
+ * メールアドレスと予約番号で予約を探す関数（Cloud Functions の lookupReservation を呼ぶ。予約照会ページから使う）
+ *
+ * @param {Object} params
+ * @param {string} params.email - 予約時のメールアドレス（大文字・小文字、前後の空白は区別しない）
+ * @param {string} params.confirmationCode - 予約番号（ハイフンの有無・大文字・小文字は区別しない）
+ * @returns {Promise<Object|null>} 予約データ（id を含む。日時はミリ秒。見つからない場合はnull）
+ *
+ * なぜメールアドレスと組み合わせるか：
+ * - 予約番号は短く、受付や電話で口にするものなので、番号だけで予約を開けないようにするため
+ * - 見つからない場合に「番号が違う」「メールアドレスが違う」を区別しない（他の方の予約番号を探れないようにする）
+ * なぜ関数で探すか：
+ * - 予約は画面から直接読めないため（照会の回数も関数が IPアドレスごとに制限する）
+ */
+export async function findReservationByConfirmationCode({ email, confirmationCode }) {
+  if (!String(email || "").trim() || !String(confirmationCode || "").trim()) {
+    return null;
+  }
+  const { reservation } = await callReservationFunction("lookupReservation", { email, confirmationCode });
+  return reservation;
+}
+
+/**
+ * cancelToken で予約を取得する関数（Cloud Functions の getReservationByToken を呼ぶ）
+ *
+ * @param {string} cancelToken - 予約のcancelToken（キャンセル・変更ページ、お支払いページのURLに含まれる）
+ * @returns {Promise<Object|null>} 予約データ（id を含む。日時はミリ秒。見つからない場合はnull）
+ */
+export async function findReservationByToken(cancelToken) {
+  if (!cancelToken) {
+    return null;
+  }
+  const { reservation } = await callReservationFunction("getReservationByToken", { cancelToken });
+  return reservation;
+}
+
+/**
+ * 予約ID と cancelToken で予約を取得する関数（Cloud Functions の getReservationByToken を呼ぶ。予約確認ページから使う）
+ *
+ * @param {string} reservationId - 予約ID（予約確認ページのURLに含まれる）
+ * @param {string} cancelToken - 予約のcancelToken（予約確認ページのURLに含まれる）
+ * @returns {Promise<Object|null>} 予約データ（id を含む。日時はミリ秒。見つからない・cancelToken が違う場合はnull）
+ *
+ * なぜ予約IDだけで開けないようにするか：
+ * - 予約IDは劇団の管理画面やメールの送信依頼にも載るため、IDだけで氏名・メールアドレスを見られないようにする
+ * - 見つからない場合と cancelToken が違う場合を区別しない（他の方の予約IDを探れないようにする）
+ */
+export async function findReservationByIdAndToken(reservationId, cancelToken) {
+  if (!reservationId || !cancelToken) {
+    return null;
+  }
+  const { reservation } = await callReservationFunction("getReservationByToken", { reservationId, cancelToken });
+  return reservation;
+}
+
+/**
+ * 予約確認メールを送り直す関数（Cloud Functions の resendReservationConfirmation を呼ぶ。予約照会ページから使う）
+ *
+ * @param {Object} reservation - findReservationByConfirmationCode で取得した予約データ（id と cancelToken を使う）
+ * @returns {Promise<void>}
+ *
+ * エラー：
+ * - キャンセル済み・お支払い待ちの予約の場合は code = RESERVATION_ERROR_CODES.NOT_ACTIVE
+ *
+ * 文面は送る時に Cloud Functions が作るため、締め切りは送り直す時点の公演の設定で載る
+ * （予約後に劇団が変更している場合があるため）
+ * 同じ予約の送り直しは10分に1通まで（Cloud Functions の functions/mailDelivery.js が確認し、
+ * 間を空けずに依頼されたメールは送らない。何度も押されて予約者に同じメールが届き続けないようにするため）
+ */
+export async function resendReservationConfirmation(reservation) {
+  await callReservationFunction("resendReservationConfirmation", {
+    reservationId: reservation.id,
+    cancelToken: reservation.cancelToken,
+  });
+}
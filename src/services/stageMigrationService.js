@@ -0,0 +1,172 @@
+/**
+ * ============================================
+ * stageMigrationService.js - ステージIDへの移行処理
+ * ============================================
+ *
+ * 「stageId = stages配列のインデックス」で保存された旧データを、
+ * ステージごとの固定ID（stage.id）に移行するためのモジュールです。
+ *
+ * 移行内容：
+ * 1. performances.stages[] のうちIDの無いステージにIDを付与
+ * 2. reservations.stageId が数値（インデックス）の予約を、対応するステージIDに書き換え
+ *    （元のインデックスは legacyStageIndex に残す）
+ * 3. stageInventories の {performanceId}__{インデックス} を {performanceId}__{ステージID} に移す
+ *    （ID形式の在庫が既にある場合は、件数を足し合わせる。mergeLegacyInventory）
+ *
+ * 【いつ実行するか】
+ * - 劇団が公演編集ページ・予約一覧ページを開いたとき
+ * - 特に編集ページでは、ステージの削除・並び替えで「インデックス」がずれる前に
+ *   必ず移行を済ませておく必要がある
+ *
+ * 何度実行しても結果が変わらない（移行済みのデータには何もしない）ように作っています。
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  runTransaction,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import { ensureStageIds } from "../../functions/shared/stageUtils.js";
+import { mergeTicketCounts } from "../../functions/shared/ticketUtils.js";
+import { getStageInventoryRef } from "./reservationService";
+
+// writeBatchの上限（500件）より少し余裕を持たせた1バッチあたりの件数
+const BATCH_LIMIT = 400;
+
+/**
+ * 公演のステージIDを移行する関数
+ *
+ * @param {string} performanceId - 公演ID
+ * @returns {Promise<{ stages: Array, migratedReservations: number }>}
+ *   - stages: ID付与後のステージ配列
+ *   - migratedReservations: stageIdを書き換えた予約の件数
+ */
+export async function migrateStageIds(performanceId) {
+  if (!db) {
+    throw new Error("Firestoreが初期化されていません。");
+  }
+
+  const performanceRef = doc(db, "performances", performanceId);
+  const performanceSnap = await getDoc(performanceRef);
+  if (!performanceSnap.exists()) {
+    return { stages: [], migratedReservations: 0 };
+  }
+
+  const originalStages = performanceSnap.data().stages || [];
+  const stages = ensureStageIds(originalStages);
+  const stagesChanged = stages.some((stage, index) => stage.id !== originalStages[index]?.id);
+
+  // ============================================
+  // 旧形式（数値のstageId）の予約を探す
+  // ============================================
+  const reservationsSnapshot = await getDocs(
+    query(collection(db, "reservations"), where("performanceId", "==", performanceId))
+  );
+  const legacyReservations = reservationsSnapshot.docs.filter(
+    (reservationDoc) => typeof reservationDoc.data().stageId === "number"
+  );
+
+  if (!stagesChanged && legacyReservations.length === 0) {
+    return { stages, migratedReservations: 0 };
+  }
+
+  // ============================================
+  // 書き込み内容をまとめる
+  // ============================================
+  const operations = [];
+
+  if (stagesChanged) {
+    operations.push((batch) =>
+      batch.update(performanceRef, { stages, updatedAt: serverTimestamp() })
+    );
+  }
+
+  let migratedReservations = 0;
+  legacyReservations.forEach((reservationDoc) => {
+    const legacyIndex = reservationDoc.data().stageId;
+    const stage = stages[legacyIndex];
+    if (!stage) {
+      // 既に削除されたステージを指している予約は、推測で付け替えずにそのまま残す
+      console.warn("対応するステージが無いため移行をスキップしました。予約ID:", reservationDoc.id);
+      return;
+    }
+    operations.push((batch) =>
+      batch.update(reservationDoc.ref, { stageId: stage.id, legacyStageIndex: legacyIndex })
+    );
+    migratedReservations += 1;
+  });
+
+  // ============================================
+  // BATCH_LIMIT件ずつ書き込む
+  // ============================================
+  for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    operations.slice(i, i + BATCH_LIMIT).forEach((apply) => apply(batch));
+    await batch.commit();
+  }
+
+  // ============================================
+  // 在庫ドキュメントもインデックス形式からID形式に移す（ステージごとに1つのトランザクション）
+  // ============================================
+  // なぜトランザクションで移すか：
+  // - ID形式の在庫が既にある場合（移行の途中で予約が入った場合など）に、上書きせず件数を足し合わせるため
+  // - 足し合わせている間に入った予約の書き込みと重なっても、どちらかがやり直しになり件数がずれないため
+  for (let index = 0; index < stages.length; index += 1) {
+    const legacyRef = getStageInventoryRef(performanceId, index);
+    const stageId = stages[index].id;
+    const targetRef = getStageInventoryRef(performanceId, stageId);
+    if (legacyRef.id === targetRef.id) {
+      continue;
+    }
+    await runTransaction(db, async (transaction) => {
+      const legacySnap = await transaction.get(legacyRef);
+      if (!legacySnap.exists()) {
+        return;
+      }
+      const targetSnap = await transaction.get(targetRef);
+      transaction.set(targetRef, {
+        ...(targetSnap.exists()
+          ? mergeLegacyInventory(targetSnap.data(), legacySnap.data())
+          : legacySnap.data()),
+        performanceId,
+        stageId,
+        updatedAt: serverTimestamp(),
+      });
+      transaction.delete(legacyRef);
+    });
+  }
+
+  console.log(`ステージIDを移行しました（予約${migratedReservations}件）。公演ID:`, performanceId);
+  return { stages, migratedReservations };
+}
+
+/**
+ * ID形式の在庫に、インデックス形式の在庫の件数を足し合わせる関数
+ *
+ * @param {Object} target - ID形式の在庫ドキュメントのデータ（既にあるもの）
+ * @param {Object} legacy - インデックス形式の在庫ドキュメントのデータ
+ * @returns {Object} 足し合わせた在庫のデータ
+ *
+ * - 席数・券種ごとの枚数・メールアドレスごとの件数・車椅子スペースなどの人数は足し合わせる
+ * - 座席・仮押さえ・お支払い待ちは、予約・仮押さえのIDごとの記録なのでまとめる（同じキーはID形式の方を残す）
+ */
+function mergeLegacyInventory(target, legacy) {
+  return {
+    ...legacy,
+    ...target,
+    reservedSeats: (Number(target.reservedSeats) || 0) + (Number(legacy.reservedSeats) || 0),
+    ticketCounts: mergeTicketCounts(target.ticketCounts, legacy.ticketCounts),
+    emailCounts: mergeTicketCounts(target.emailCounts, legacy.emailCounts),
+    accessibilityCounts: mergeTicketCounts(target.accessibilityCounts, legacy.accessibilityCounts),
+    takenSeats: { ...(legacy.takenSeats || {}), ...(target.takenSeats || {}) },
+    holds: { ...(legacy.holds || {}), ...(target.holds || {}) },
+    pendingPayments: { ...(legacy.pendingPayments || {}), ...(target.pendingPayments || {}) },
+  };
+}
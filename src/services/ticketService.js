@@ -0,0 +1,84 @@
+/**
+ * ============================================
+ * ticketService.js - 電子チケット（チケットコードの受け取りと、受付での確認）
+ * ============================================
+ *
+ * Cloud Functions（functions/tickets.js）を呼び出して、予約のチケットコードを受け取り、
+ * 当日の受付でチケットコードを確認して入場済みにするためのモジュールです。
+ *
+ * 主な機能：
+ * 1. 予約完了ページに表示するチケットコードの受け取り（予約ID と cancelToken が必要）
+ * 2. 劇団の受付画面での、チケットコードの確認と入場済みへの更新
+ *
+ * 【なぜチケットコードを画面で作らないか】
+ * - チケットコードは署名の鍵で作るため、鍵を持つCloud Functionsでしか作れない
+ *   （画面で作れると、誰でも他人の予約のチケットを作れてしまう）
+ */
+
+import { httpsCallable } from "firebase/functions";
+import { getReservationFunctions } from "./botProtectionService";
+
+// 受付の結果（キーは functions/tickets.js の CHECK_IN_RESULTS と揃える）
+export const CHECK_IN_RESULTS = {
+  OK: "ok",
+  INVALID: "invalid",
+  OUTDATED: "outdated",
+  CANCELLED: "cancelled",
+  NOT_PAID: "not_paid",
+  WRONG_PERFORMANCE: "wrong_performance",
+  WRONG_STAGE: "wrong_stage",
+  ALREADY_USED: "already_used",
+};
+
+// 受付の結果の見出し（受付画面に大きく表示する）
+export const CHECK_IN_RESULT_LABELS = {
+  [CHECK_IN_RESULTS.OK]: "入場OK",
+  [CHECK_IN_RESULTS.INVALID]: "無効なチケットです",
+  [CHECK_IN_RESULTS.OUTDATED]: "日時の変更前のチケットです",
+  [CHECK_IN_RESULTS.CANCELLED]: "キャンセル済みの予約です",
+  [CHECK_IN_RESULTS.NOT_PAID]: "お支払いが済んでいません",
+  [CHECK_IN_RESULTS.WRONG_PERFORMANCE]: "別の公演のチケットです",
+  [CHECK_IN_RESULTS.WRONG_STAGE]: "別の日時のチケットです",
+  [CHECK_IN_RESULTS.ALREADY_USED]: "使用済みのチケットです",
+};
+
+/**
+ * 予約のチケットコードを受け取る関数（予約完了ページ用）
+ *
+ * @param {Array<{ reservationId: string, cancelToken: string }>} tickets - 予約IDとcancelTokenの配列
+ * @returns {Promise<Object>} 予約ID -> チケットコード（発行できなかった予約は含まない）
+ *
+ * キャンセル済み・お支払い待ちの予約にはチケットコードは発行されない
+ */
+export async function fetchTicketCodes(tickets) {
+  const validTickets = tickets.filter((ticket) => ticket.reservationId && ticket.cancelToken);
+  if (validTickets.length === 0) {
+    return {};
+  }
+  const getTicketCodes = httpsCallable(getReservationFunctions(), "getTicketCodes");
+  const result = await getTicketCodes({ tickets: validTickets });
+  return Object.fromEntries(
+    (result.data.tickets || [])
+      .filter((ticket) => ticket.code)
+      .map((ticket) => [ticket.reservationId, ticket.code])
+  );
+}
+
+/**
+ * チケットコードを確認して、予約を入場済みにする関数（劇団の受付画面用）
+ *
+ * @param {Object} params
+ * @param {string} params.code - 読み取った（入力した）チケットコード
+ * @param {string} params.performanceId - 受付をしている公演のID
+ * @param {string|number} params.stageId - 受付をしているステージのID
+ * @returns {Promise<{ result: string, reservation?: Object, checkedInAt?: number|null }>}
+ *   result は CHECK_IN_RESULTS。reservation は予約の内容（氏名・人数・日時など）
+ *
+ * 使えないチケット（キャンセル済み・別の日時・使用済みなど）はエラーにならず、result で返る。
+ * ログインしていない・自分の公演でない場合は、Cloud Functions のエラーがそのまま返る。
+ */
+export async function checkInTicket({ code, performanceId, stageId }) {
+  const checkIn = httpsCallable(getReservationFunctions(), "checkInTicket");
+  const result = await checkIn({ code: String(code || "").trim(), performanceId, stageId });
+  return result.data;
+}
@@ -0,0 +1,72 @@
+/**
+ * ============================================
+ * waitlistService.js - キャンセル待ち（ウェイトリスト）
+ * ============================================
+ *
+ * 満席のステージに対するキャンセル待ちの登録を行うモジュールです。
+ * キャンセルで空いた席への自動繰り上げは、キャンセル・変更の関数と同じトランザクションで
+ * Cloud Functions（functions/waitlistPromotions.js）が行います。
+ *
+ * 【キャンセル待ちドキュメント】
+ * waitlistEntries/{entryId}
+ *   - performanceId, stageId, troupeId: どの公演・ステージのキャンセル待ちか
+ *   - performanceTitle, troupeName, venue, stageDate, stageStart, stageEnd など:
+ *       繰り上げ時にそのまま予約データになる表示用の情報
+ *   - name, email, tickets（券種ごとの枚数）, people, note: 申込者の情報
+ *   - accessibility: 配慮のご要望（車椅子スペース・同伴者席など。詳しくは accessibilityUtils.js）
+ *   - emailKey: メールアドレスのハッシュ値（繰り上げた予約の件数を在庫の emailCounts に数えるため）
+ *   - reservationPassId: 登録に使った予約パス（ボット対策。登録は Cloud Functions の functions/waitlist.js が行う）
+ *   - status: "waiting"（待機中） | "promoted"（予約に繰り上げ済み）
+ *   - createdAt: 登録日時（繰り上げの順番に使う）
+ *   - promotedAt, reservationId: 繰り上げた日時と、作成した予約のID
+ *
+ * 【繰り上げのルール】
+ * - 登録が早い順に見ていき、空いた席数（と券種の販売上限・車椅子スペースなどの枠）に収まる申込だけを繰り上げる
+ * - 人数が多くて収まらない申込は飛ばし、後ろの収まる申込を先に繰り上げる
+ *   （空いた席を無駄にしないため）
+ * - 座席表（指定席）のあるステージでは、空いている座席を自動で割り当てる
+ *   （なるべく同じ列の隣り合う座席。キャンセル待ちの方は座席を選べないため）
+ */
+
+import { getTicketCounts } from "../../functions/shared/ticketUtils.js";
+import { getAnswerValues } from "../../functions/shared/formQuestionUtils.js";
+import { callReservationFunction } from "./botProtectionService";
+
+/**
+ * キャンセル待ちのステータス
+ */
+export const WAITLIST_STATUS = {
+  WAITING: "waiting",   // 待機中
+  PROMOTED: "promoted", // 予約に繰り上げ済み
+};
+
+/**
+ * キャンセル待ちに登録する関数（Cloud Functions の joinWaitlist を呼ぶ）
+ *
+ * @param {Object} entryData - キャンセル待ちの内容（予約ページの buildBookingData。予約者・公演日時・券種の内訳・回答など）
+ * @param {Object} params
+ * @param {string} params.reservationPassId - 予約パスのID（botProtectionService の requestReservationPass で受け取る）
+ * @returns {Promise<string>} 作成したキャンセル待ちのドキュメントID
+ *
+ * エラー：
+ * - 予約パスが無い・使用済み・期限切れの場合は code = BOT_PROTECTION_ERROR_CODES.PASS_INVALID
+ * - 予約の受付期間の外の場合は code = SALES_WINDOW_ERROR_CODES.NOT_STARTED / CLOSED
+ *   （受付が終わった日時のキャンセル待ちは、繰り上がっても来場の準備が間に合わないため）
+ * - 人数・同じメールアドレスの予約件数の上限を超える場合は code = RESERVATION_ERROR_CODES.PEOPLE_LIMIT_EXCEEDED / EMAIL_LIMIT_EXCEEDED
+ *
+ * なぜ画面から直接書き込まないか：
+ * - キャンセル待ちは繰り上げるときにそのまま予約データになるため、券種の内訳・金額は
+ *   関数（functions/waitlist.js）が公演データから作り直して保存する（ここでは枚数だけを渡す）
+ */
+export async function joinWaitlist(entryData, { reservationPassId } = {}) {
+  const { entryId } = await callReservationFunction("joinWaitlist", {
+    reservationPassId,
+    customer: { name: entryData.name, email: entryData.email, note: entryData.note || "" },
+    performanceId: entryData.performanceId,
+    stageId: entryData.stageId,
+    ticketQuantities: getTicketCounts(entryData),
+    answers: getAnswerValues(entryData.answers),
+    accessibility: entryData.accessibility || null,
+  });
+  return entryId;
+}
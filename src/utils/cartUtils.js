@@ -0,0 +1,98 @@
+/**
+ * ============================================
+ * cartUtils.js - 予約カート（複数の公演日時をまとめて予約）
+ * ============================================
+ *
+ * 予約ページで選んだ公演日時・券種・座席を「カート」に集めておき、
+ * カートページでまとめて予約するための関数群です。
+ *
+ * 【カートの保存先】localStorage（キー：CART_STORAGE_KEY）
+ * なぜlocalStorageを使うか：
+ * - 観客はログインせずに予約するため、Firestoreに保存する先（ユーザーID）が無いため
+ * - 別の公演ページに移動したり、ページを再読み込みしたりしてもカートが消えないようにするため
+ *
+ * 【カートの1件分】
+ *   - id: "{performanceId}__{stageId}"（同じ公演日時は1件にまとめる）
+ *   - performanceId, troupeId, stageId, stageDate, stageStart, stageEnd: 公演・ステージの情報
+ *   - performanceTitle, troupeName, venue, address, prefecture, region: 表示用の公演情報
+ *   - tickets, totalPrice, people: 券種の内訳・合計金額・来場人数
+ *   - seats: 選んだ座席（指定席のステージのみ）
+ *   - addedAt: カートに追加した日時（ミリ秒）
+ *
+ * 注意：
+ * - カートに入れただけでは席は確保されない（残席・座席は予約するときにまとめて確認する）
+ * - 割引コードは公演ごとの予約フォームでのみ使える（カートには入れない）
+ */
+
+// localStorageのキー
+export const CART_STORAGE_KEY = "theater-reservation-cart";
+
+/**
+ * カートの1件分のIDを返す関数
+ *
+ * @param {string} performanceId - 公演ID
+ * @param {string|number} stageId - ステージID
+ * @returns {string} 例："abc123__stg_3f9a0c12b7e4"
+ */
+export function getCartItemId(performanceId, stageId) {
+  return `${performanceId}__${stageId}`;
+}
+
+/**
+ * カートの中身を取得する関数
+ *
+ * @returns {Array<Object>} カートの中身（追加した順）。読み込めない場合は空配列
+ */
+export function getCartItems() {
+  try {
+    const items = JSON.parse(window.localStorage.getItem(CART_STORAGE_KEY) || "[]");
+    return Array.isArray(items) ? items : [];
+  } catch (error) {
+    console.warn("カートの読み込みに失敗しました:", error);
+    return [];
+  }
+}
+
+/**
+ * カートの中身を保存する関数
+ *
+ * @param {Array<Object>} items - カートの中身
+ * @returns {Array<Object>} 保存した中身
+ */
+export function saveCartItems(items) {
+  window.localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(items));
+  return items;
+}
+
+/**
+ * カートに公演日時を追加する関数
+ *
+ * @param {Object} item - カートの1件分（idは自動で付与する）
+ * @returns {Array<Object>} 追加後のカートの中身
+ *
+ * なぜ同じ公演日時は置き換えるか：
+ * - 同じステージを2件予約すると在庫の更新が重なるため、まとめて予約できない
+ *   （枚数を変えたいときは、予約ページで選び直して追加し直してもらう）
+ */
+export function addCartItem(item) {
+  const id = getCartItemId(item.performanceId, item.stageId);
+  const items = getCartItems().filter((current) => current.id !== id);
+  return saveCartItems([...items, { ...item, id, addedAt: Date.now() }]);
+}
+
+/**
+ * カートから1件削除する関数
+ *
+ * @param {string} itemId - カートの1件分のID
+ * @returns {Array<Object>} 削除後のカートの中身
+ */
+export function removeCartItem(itemId) {
+  return saveCartItems(getCartItems().filter((item) => item.id !== itemId));
+}
+
+/**
+ * カートを空にする関数（まとめて予約できたときに呼ぶ）
+ */
+export function clearCart() {
+  window.localStorage.removeItem(CART_STORAGE_KEY);
+}
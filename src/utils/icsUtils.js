@@ -0,0 +1,222 @@
+/**
+ * ============================================
+ * icsUtils.js - カレンダーに追加するファイル（iCalendar / .ics）
+ * ============================================
+ *
+ * 予約した公演日時を、お客様のカレンダー（Googleカレンダー・iPhoneのカレンダー・Outlookなど）に
+ * 追加するための .ics ファイルの中身を作る関数群です。
+ * 予約完了ページ・予約確認ページのダウンロードで使います。
+ * （メールの添付ファイルは、送る時に Cloud Functions の functions/calendar.js が同じ形で作ります。
+ *   予定の形を変える場合は、両方を直すこと）
+ *
+ * 【予定の内容】
+ * - 日時：予約の stageDate, stageStart, stageEnd（終了時刻が無い場合は開演から DEFAULT_EVENT_HOURS 時間）
+ * - 場所：予約の venue と address
+ * - 説明：予約番号・人数と、キャンセル・変更用のリンク
+ *
+ * 【予定の更新・取り消し】
+ * - UID は予約ごとに固定（予約番号から作る）。同じ UID のファイルを開くと、カレンダーの予定が置き換わる
+ * - SEQUENCE は予約の変更履歴（history）の件数。取り消しのメールでは +1 して、新しい方が優先されるようにする
+ * - 取り消しは STATUS:CANCELLED の予定として送る（キャンセル・ステージの中止のメール）
+ *
+ * なぜ公演日時を日本時間（+09:00）として扱うか：
+ * - 公演は国内の劇場で行うため。海外からブラウザで予約した場合も、開演時刻がずれないようにする
+ */
+
+import { getReservationAttendeeCount } from "../../functions/shared/ticketUtils.js";
+
+// 終了時刻が未設定のステージで使う上演時間（時間）
+const DEFAULT_EVENT_HOURS = 2;
+
+// 公演日時のタイムゾーン（日本時間）
+const STAGE_TIMEZONE_OFFSET = "+09:00";
+
+// UID のドメイン部分（アプリのURLが変わっても同じ UID になるように固定する）
+const EVENT_UID_DOMAIN = "theater-reservation-app";
+
+// 1行の最大の長さ（バイト数。RFC 5545 では75バイトを超える行は折り返す）
+const MAX_LINE_BYTES = 75;
+
+/**
+ * 公演の日付と時刻を、iCalendar の日時（UTC）にする関数
+ *
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - "HH:mm"
+ * @param {number} [addHours] - 足す時間（終了時刻が無い場合に使う）
+ * @returns {string|null} 例："20251203T050000Z"（日時が正しくない場合はnull）
+ */
+function toIcsDateTime(date, time, addHours = 0) {
+  const millis = Date.parse(`${date}T${time}:00${STAGE_TIMEZONE_OFFSET}`);
+  if (Number.isNaN(millis)) {
+    return null;
+  }
+  return formatIcsTimestamp(new Date(millis + addHours * 60 * 60 * 1000));
+}
+
+/**
+ * Date を iCalendar の日時（UTC）にする関数
+ *
+ * @param {Date} date - 日時
+ * @returns {string} 例："20251203T050000Z"
+ */
+function formatIcsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * iCalendar の文字列の値をエスケープする関数
+ *
+ * @param {string} text - 文字列
+ * @returns {string} \ ; , 改行をエスケープした文字列
+ */
+function escapeIcsText(text) {
+  return String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * 75バイトを超える行を折り返す関数
+ *
+ * @param {string} line - 1行（"SUMMARY:..." など）
+ * @returns {string} 折り返した行（続きの行は先頭が半角スペース）
+ *
+ * なぜ文字数ではなくバイト数で数えるか：
+ * - 日本語は1文字が3バイトのため、文字数で区切ると上限を超えてしまうため
+ *   （1文字の途中では区切らない）
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const lines = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    // 続きの行は先頭の半角スペースの分だけ短くする
+    const limit = lines.length === 0 ? MAX_LINE_BYTES : MAX_LINE_BYTES - 1;
+    if (currentBytes + charBytes > limit) {
+      lines.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  lines.push(current);
+  return lines.join("\r\n ");
+}
+
+/**
+ * 予約の予定の UID を返す関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {string} 例："TR-7K3Q-92@theater-reservation-app"
+ *
+ * なぜ予約番号から作るか：
+ * - 予約確認・変更・キャンセルのメールを別々の画面・処理で作っても、同じ予約なら同じ UID になるため
+ *   （予約番号が無い旧データは cancelToken を使う）
+ */
+export function getReservationEventUid(reservation) {
+  return `${reservation.confirmationCode || reservation.cancelToken}@${EVENT_UID_DOMAIN}`;
+}
+
+/**
+ * 予約の予定の SEQUENCE（何回目の更新か）を返す関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {number} 予約の変更履歴の件数
+ */
+export function getReservationEventSequence(reservation) {
+  return reservation?.history?.length || 0;
+}
+
+/**
+ * 予約した公演日時の .ics ファイルの中身を作る関数
+ *
+ * @param {Object} reservation - 予約データ（stageDate, stageStart, stageEnd, venue, address, performanceTitle など）
+ * @param {Object} [options]
+ * @param {string} [options.cancelUrl] - キャンセル・変更用のリンク（説明に載せる）
+ * @param {boolean} [options.cancelled] - 取り消した予定として作るか（キャンセル・ステージの中止）
+ * @param {number} [options.sequence] - SEQUENCE（省略時は getReservationEventSequence）
+ * @returns {string|null} .ics ファイルの中身（公演日時が無い・正しくない場合はnull）
+ */
+export function buildReservationIcs(reservation, { cancelUrl, cancelled = false, sequence } = {}) {
+  const dtStart = toIcsDateTime(reservation.stageDate, reservation.stageStart || "00:00");
+  if (!dtStart) {
+    return null;
+  }
+  const dtEnd = reservation.stageEnd
+    ? toIcsDateTime(reservation.stageDate, reservation.stageEnd)
+    : toIcsDateTime(reservation.stageDate, reservation.stageStart || "00:00", DEFAULT_EVENT_HOURS);
+
+  const title = reservation.performanceTitle || "公演";
+  const description = [
+    reservation.troupeName ? `劇団：${reservation.troupeName}` : "",
+    reservation.confirmationCode ? `予約番号：${reservation.confirmationCode}` : "",
+    `人数：${getReservationAttendeeCount(reservation)}名`,
+    cancelled
+      ? "このご予約は取り消されました。"
+      : cancelUrl ? `キャンセル・変更はこちら：${cancelUrl}` : "",
+  ].filter(Boolean).join("\n");
+  const location = [reservation.venue, reservation.address].filter(Boolean).join(" ");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//theater-reservation-app//reservation//JA",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${getReservationEventUid(reservation)}`,
+    `SEQUENCE:${sequence ?? getReservationEventSequence(reservation)}`,
+    `DTSTAMP:${formatIcsTimestamp(new Date())}`,
+    `DTSTART:${dtStart}`,
+    ...(dtEnd ? [`DTEND:${dtEnd}`] : []),
+    `SUMMARY:${escapeIcsText(cancelled ? `【中止・キャンセル】${title}` : title)}`,
+    ...(location ? [`LOCATION:${escapeIcsText(location)}`] : []),
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    ...(cancelUrl && !cancelled ? [`URL:${cancelUrl}`] : []),
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+/**
+ * .ics ファイルの名前を返す関数
+ *
+ * @param {Object} reservation - 予約データ
+ * @returns {string} 例："reservation-TR-7K3Q-92.ics"（カートでまとめて予約した場合も名前が重ならないように予約番号を使う）
+ */
+export function getReservationIcsFilename(reservation) {
+  return `reservation-${reservation.confirmationCode || reservation.stageDate || "event"}.ics`;
+}
+
+/**
+ * 予約した公演日時の .ics ファイルをダウンロードする関数（予約完了ページ・予約確認ページ用）
+ *
+ * @param {Object} reservation - 予約データ
+ * @param {Object} [options]
+ * @param {string} [options.cancelUrl] - キャンセル・変更用のリンク（説明に載せる）
+ *
+ * なぜリンクではなくボタンで作るか：
+ * - DTSTAMP（ファイルを作った日時）を、押したときの日時にするため
+ */
+export function downloadReservationIcs(reservation, { cancelUrl } = {}) {
+  const content = buildReservationIcs(reservation, { cancelUrl });
+  if (!content) {
+    return;
+  }
+  const url = URL.createObjectURL(new Blob([content], { type: "text/calendar;charset=utf-8" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = getReservationIcsFilename(reservation);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // ダウンロードが始まる前にURLを無効にしないよう、少し後で解放する
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
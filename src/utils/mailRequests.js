@@ -0,0 +1,55 @@
+/**
+ * ============================================
+ * mailRequests.js - mailQueueに積むメールの送信依頼
+ * ============================================
+ *
+ * mailQueueコレクションに保存する送信依頼（メールの種類と、紐づく予約などのID）を組み立てる関数群です。
+ * （メールの種類と状態の決め方は functions/shared/mailRequestUtils.js）
+ *
+ * 件名・本文は画面では作りません。送る時に Cloud Functions（functions/mailTemplates.js）が、
+ * 送る時点の予約・キャンセル待ち・抽選の申込のデータから作ります。
+ * なぜ画面で文面を作らないか：
+ * - mailQueue は劇団の画面（抽選の結果・返金のお知らせ）から作成できるため、画面の文面をそのまま送ると、
+ *   予約に紐づけさえすれば好きな内容のメールを予約者に送れてしまうため
+ *   （firestore.rules で subject・body を書き込めないようにしている。お客様の画面からは作成できない）
+ *
+ * 予約が確定したときのメール（予約確認・変更確認・キャンセル待ちの繰り上げ・抽選の当選）は
+ * status を "awaiting_ticket" にして保存します。電子チケット（チケットコードとQRコード）は
+ * 署名の鍵を持つCloud Functionsでしか作れないため、functions/mailDelivery.js が送る時に本文に追加します。
+ */
+
+import { serverTimestamp } from "firebase/firestore";
+import { MAIL_TYPES, getMailRequestStatus } from "../../functions/shared/mailRequestUtils.js";
+
+export { MAIL_TYPES };
+
+/**
+ * キャンセル用URLを組み立てる関数（メールに載せるURLと同じ形。functions/appUrl.js）
+ *
+ * @param {string} cancelToken - 予約のcancelToken
+ * @returns {string} 例：https://example.com/cancel?token=abc...
+ */
+export function buildCancelUrl(cancelToken) {
+  return `${window.location.origin}/cancel?token=${cancelToken}`;
+}
+
+/**
+ * mailQueueに保存する送信依頼を組み立てる関数
+ *
+ * @param {string} type - メールの種類（MAIL_TYPES）
+ * @param {Object} [links] - 紐づくデータ（文面を作るのに使う。同じ書き込みで作成するものでもよい）
+ * @param {string} [links.reservationId] - 予約のID
+ * @param {Array<string>} [links.reservationIds] - カートからまとめて予約した予約のID
+ * @param {string} [links.waitlistEntryId] - キャンセル待ちのID
+ * @param {string} [links.lotteryApplicationId] - 抽選の申込のID
+ * @param {number} [links.historyIndex] - 予約変更・一部キャンセルのメールのみ：予約の変更履歴（history）の何番目の変更か
+ * @returns {Object} mailQueueに保存する送信依頼
+ */
+export function buildMailRequest(type, links = {}) {
+  return {
+    type,
+    ...links,
+    status: getMailRequestStatus(type),
+    createdAt: serverTimestamp(),
+  };
+}
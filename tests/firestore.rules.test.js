@@ -0,0 +1,466 @@
+/**
+ * ============================================
+ * firestore.rules.test.js - Firestore のセキュリティルールの確認
+ * ============================================
+ *
+ * firestore.rules を Firestore エミュレーターに読み込み、画面（未ログインのブラウザ）から
+ * 予約・キャンセル待ち・抽選の申込を直接作成できないこと（作成は Cloud Functions だけが行う）と、
+ * 予約を読めないこと、メールの送信依頼・在庫・割引コードの利用件数・キャンセル記録を書き込めないことを確認します。
+ * 公演・劇団・抽選の結果は劇団本人だけが書き込め、Cloud Functions だけが使うデータ（回数制限など）は
+ * 画面から書き込めないことも確認します。
+ *
+ * 実行方法（リポジトリのルートで実行。Java が必要。Firebase CLI は devDependencies の firebase-tools を使う）：
+ *   npm test
+ *   （npm run test:rules と同じ。firebase emulators:exec が Firestore エミュレーターを起動し、終わったら停止する）
+ */
+
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { describe, it, before, beforeEach, after } from "node:test";
+import {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} from "@firebase/rules-unit-testing";
+import {
+  doc,
+  collection,
+  query,
+  where,
+  getDoc,
+  getDocs,
+  setDoc,
+  writeBatch,
+  serverTimestamp,
+  Timestamp,
+} from "firebase/firestore";
+
+const PERFORMANCE_ID = "perf1";
+const ALICE = "Alice@example.com";
+const BOB = "bob@example.com";
+
+/**
+ * 予約の emailKey と同じハッシュ値を返す関数（functions/shared/reservationLimitUtils.js の getEmailKey と同じ計算）
+ *
+ * @param {string} email - メールアドレス
+ * @returns {string} 16進数64文字
+ */
+function getEmailKey(email) {
+  return createHash("sha256").update(email.trim().toLowerCase()).digest("hex");
+}
+
+/**
+ * 予約パスのデータを作る関数（functions/reservationPass.js が発行するものと同じ形）
+ *
+ * @param {Object} [overrides] - 上書きする項目
+ * @returns {Object}
+ */
+function buildPass(overrides = {}) {
+  return {
+    emailKey: getEmailKey(ALICE),
+    performanceIds: [PERFORMANCE_ID],
+    maxUses: 1,
+    used: false,
+    expiresAt: Timestamp.fromMillis(Date.now() + 10 * 60 * 1000),
+    ...overrides,
+  };
+}
+
+/**
+ * 予約・キャンセル待ち・抽選の申込に共通する予約者の項目を作る関数
+ *
+ * @param {string} email - メールアドレス
+ * @param {string} [passId] - 予約パスのID
+ * @returns {Object}
+ */
+function buildBooking(email, passId = "pass1") {
+  return {
+    performanceId: PERFORMANCE_ID,
+    stageId: "stg_1",
+    name: "予約 太郎",
+    email,
+    emailKey: getEmailKey(email),
+    people: 1,
+    reservationPassId: passId,
+  };
+}
+
+let testEnv;
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "demo-theater-reservation",
+    firestore: { rules: readFileSync(new URL("../firestore.rules", import.meta.url), "utf8") },
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, "performances", PERFORMANCE_ID), { troupeId: "troupe1", title: "公演" });
+    await setDoc(doc(db, "reservationPasses", "pass1"), buildPass());
+    await setDoc(doc(db, "reservationPasses", "usedPass"), buildPass({ used: true }));
+    await setDoc(doc(db, "reservationPasses", "expiredPass"), buildPass({ expiresAt: Timestamp.fromMillis(Date.now() - 1000) }));
+    await setDoc(doc(db, "waitlistEntries", "entry1"), {
+      ...buildBooking(ALICE, "usedPass"),
+      status: "waiting",
+    });
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+describe("予約（reservations）", () => {
+  it("予約パス無しでは作成できない", async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    const { reservationPassId: _reservationPassId, ...booking } = buildBooking(ALICE);
+    await assertFails(setDoc(doc(db, "reservations", "r1"), { ...booking, status: "active" }));
+  });
+
+  it("未使用の予約パスを同じ書き込みで使用済みにしても、画面からは作成できない", async () => {
+    // 人数・券種・金額を書き換えた予約を作れないよう、作成は Cloud Functions（functions/reservations.js）だけが行う
+    const db = testEnv.unauthenticatedContext().firestore();
+    const batch = writeBatch(db);
+    batch.set(doc(db, "reservations", "r1"), { ...buildBooking(ALICE), people: 500, status: "active" });
+    batch.update(doc(db, "reservationPasses", "pass1"), { used: true, usedAt: serverTimestamp(), reservationIds: ["r1"] });
+    await assertFails(batch.commit());
+  });
+
+  it("キャンセル待ちを同じ書き込みで繰り上げ済みにしても、画面からは作成できない", async () => {
+    // 繰り上げは Cloud Functions（functions/waitlistPromotions.js）がキャンセルと同じトランザクションで行う
+    const db = testEnv.unauthenticatedContext().firestore();
+    const batch = writeBatch(db);
+    batch.set(doc(db, "reservations", "r1"), {
+      ...buildBooking(ALICE, "usedPass"),
+      status: "active",
+      waitlistEntryId: "entry1",
+    });
+    batch.update(doc(db, "waitlistEntries", "entry1"), {
+      status: "promoted",
+      promotedAt: serverTimestamp(),
+      reservationId: "r1",
+    });
+    await assertFails(batch.commit());
+  });
+
+  it("予約はお客様の画面から読めない（劇団は自分の公演の予約だけ読める）", async () => {
+    // メールアドレス・cancelToken・予約番号が入るため。お客様の照会は functions/reservationLookup.js が行う
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "reservations", "r1"), {
+        ...buildBooking(ALICE),
+        troupeId: "troupe1",
+        cancelToken: "token",
+      });
+    });
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(getDoc(doc(db, "reservations", "r1")));
+    await assertFails(getDocs(query(collection(db, "reservations"), where("cancelToken", "==", "token"))));
+    const other = testEnv.authenticatedContext("troupe2").firestore();
+    await assertFails(getDoc(doc(other, "reservations", "r1")));
+    const owner = testEnv.authenticatedContext("troupe1").firestore();
+    await assertSucceeds(getDoc(doc(owner, "reservations", "r1")));
+    await assertSucceeds(getDocs(query(collection(owner, "reservations"), where("performanceId", "==", PERFORMANCE_ID))));
+    await assertSucceeds(getDocs(query(collection(owner, "reservations"), where("troupeId", "==", "troupe1"))));
+  });
+
+  it("お客様の画面からは更新できない（キャンセル・変更は Cloud Functions が行う）", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "reservations", "r1"), { ...buildBooking(ALICE), cancelToken: "token" });
+    });
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(setDoc(doc(db, "reservations", "r1"), { status: "cancelled" }, { merge: true }));
+    await assertFails(setDoc(doc(db, "reservations", "r1"), { stageId: "stg_2", people: 10 }, { merge: true }));
+    await assertFails(setDoc(doc(db, "reservations", "r1"), { refundStatus: "refunded" }, { merge: true }));
+  });
+
+  it("劇団は自分の公演の予約を更新できるが、予約者・予約番号は変えられない", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "reservations", "r1"), { ...buildBooking(ALICE), cancelToken: "token" });
+    });
+    const owner = testEnv.authenticatedContext("troupe1").firestore();
+    await assertSucceeds(setDoc(doc(owner, "reservations", "r1"), { checkedIn: true }, { merge: true }));
+    await assertFails(setDoc(doc(owner, "reservations", "r1"), { email: BOB }, { merge: true }));
+    const other = testEnv.authenticatedContext("troupe2").firestore();
+    await assertFails(setDoc(doc(other, "reservations", "r1"), { checkedIn: true }, { merge: true }));
+  });
+
+  it("電子チケットの cancelToken は読めず、入場済み（checkedIn）は劇団だけが書ける", async () => {
+    // cancelToken でチケットコードを受け取れるため（functions/tickets.js）。入場済みを戻されると同じチケットで再入場できてしまう
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "reservations", "r1"), {
+        ...buildBooking(ALICE),
+        troupeId: "troupe1",
+        cancelToken: "token",
+        checkedIn: true,
+      });
+    });
+    const alice = testEnv.authenticatedContext("alice", { email: ALICE }).firestore();
+    await assertFails(getDoc(doc(alice, "reservations", "r1")));
+    await assertFails(getDocs(query(collection(alice, "reservations"), where("email", "==", ALICE))));
+    const guest = testEnv.unauthenticatedContext().firestore();
+    await assertFails(setDoc(doc(guest, "reservations", "r1"), { checkedIn: false }, { merge: true }));
+    await assertFails(setDoc(doc(alice, "reservations", "r1"), { checkedIn: false }, { merge: true }));
+    const other = testEnv.authenticatedContext("troupe2").firestore();
+    await assertFails(setDoc(doc(other, "reservations", "r1"), { checkedIn: false }, { merge: true }));
+    const owner = testEnv.authenticatedContext("troupe1").firestore();
+    await assertSucceeds(setDoc(doc(owner, "reservations", "r1"), { checkedIn: false }, { merge: true }));
+  });
+});
+
+describe("事前決済（reservations のお支払い）", () => {
+  it("お支払い待ちの予約は、画面からお支払い済みにできない", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "reservations", "r1"), {
+        ...buildBooking(ALICE),
+        status: "pending_payment",
+        paymentStatus: "pending",
+      });
+    });
+    const db = testEnv.unauthenticatedContext().firestore();
+    // お支払い済みにするのは functions/payments.js だけ（決済サービスの結果を確認してから更新する）
+    await assertFails(setDoc(doc(db, "reservations", "r1"), { paymentStatus: "paid" }, { merge: true }));
+    await assertFails(setDoc(doc(db, "reservations", "r1"), { status: "active" }, { merge: true }));
+    await assertFails(setDoc(doc(db, "reservations", "r1"), { paymentId: "fakepay_1" }, { merge: true }));
+  });
+});
+
+describe("キャンセル待ち・抽選の申込", () => {
+  it("キャンセル待ちは予約パス無しでは登録できない", async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(setDoc(doc(db, "waitlistEntries", "entry2"), { ...buildBooking(ALICE), status: "waiting" }));
+  });
+
+  it("キャンセル待ちは予約パスを同じ書き込みで使用済みにしても、画面からは登録できない", async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    const batch = writeBatch(db);
+    batch.set(doc(db, "waitlistEntries", "entry2"), { ...buildBooking(ALICE), status: "waiting" });
+    batch.update(doc(db, "reservationPasses", "pass1"), { used: true, waitlistEntryId: "entry2" });
+    await assertFails(batch.commit());
+  });
+
+  it("抽選は予約パスを同じ書き込みで使用済みにしても、画面からは申し込めない", async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    const applicationId = `${PERFORMANCE_ID}__${getEmailKey(ALICE)}`;
+    const batch = writeBatch(db);
+    batch.set(doc(db, "lotteryApplications", applicationId), { ...buildBooking(ALICE), status: "applied" });
+    batch.update(doc(db, "reservationPasses", "pass1"), { used: true, lotteryApplicationId: applicationId });
+    await assertFails(batch.commit());
+  });
+
+  it("抽選の申込は予約パス無しでは申し込めない", async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    const applicationId = `${PERFORMANCE_ID}__${getEmailKey(ALICE)}`;
+    await assertFails(setDoc(doc(db, "lotteryApplications", applicationId), { ...buildBooking(ALICE), status: "applied" }));
+  });
+});
+
+describe("予約パス・メールの送信依頼", () => {
+  it("予約パスは画面から作成・読み取り・更新できない", async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(setDoc(doc(db, "reservationPasses", "pass2"), buildPass()));
+    await assertFails(getDoc(doc(db, "reservationPasses", "pass1")));
+    await assertFails(setDoc(doc(db, "reservationPasses", "pass1"), { used: true }, { merge: true }));
+  });
+
+  it("予約などに紐づかないメールは送信を依頼できない", async () => {
+    const owner = testEnv.authenticatedContext("troupe1").firestore();
+    await assertFails(setDoc(doc(owner, "mailQueue", "mail1"), {
+      type: "refund-notice",
+      status: "pending",
+    }));
+    await assertFails(setDoc(doc(owner, "mailQueue", "mail2"), {
+      type: "refund-notice",
+      status: "pending",
+      reservationId: "missing",
+    }));
+  });
+
+  it("劇団は自分の公演の予約にだけ送信を依頼できる（お客様の画面からは依頼できない）", async () => {
+    // 予約確認・確認メールの再送などお客様に送るメールは、Cloud Functions が作成する
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "reservations", "r1"), { ...buildBooking(ALICE), status: "active" });
+    });
+    const mail = { type: "refund-notice", status: "pending", reservationId: "r1" };
+    const owner = testEnv.authenticatedContext("troupe1").firestore();
+    await assertSucceeds(setDoc(doc(owner, "mailQueue", "mail1"), mail));
+    const other = testEnv.authenticatedContext("troupe2").firestore();
+    await assertFails(setDoc(doc(other, "mailQueue", "mail2"), mail));
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(setDoc(doc(db, "mailQueue", "mail3"), mail));
+    await assertFails(setDoc(doc(db, "mailQueue", "mail4"), {
+      type: "reservation-confirm",
+      status: "pending",
+      reservationId: "r1",
+      resent: true,
+    }));
+  });
+
+  it("宛先・件名・本文を付けたメールは送信を依頼できない", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "reservations", "r1"), { ...buildBooking(ALICE), status: "active" });
+    });
+    const owner = testEnv.authenticatedContext("troupe1").firestore();
+    const mail = { type: "refund-notice", status: "pending", reservationId: "r1" };
+    await assertFails(setDoc(doc(owner, "mailQueue", "mail1"), { ...mail, to: BOB }));
+    await assertFails(setDoc(doc(owner, "mailQueue", "mail2"), { ...mail, subject: "件名" }));
+    await assertFails(setDoc(doc(owner, "mailQueue", "mail3"), { ...mail, body: "https://example.com の偽の案内" }));
+  });
+
+  it("html・添付ファイルを付けたメールは送信を依頼できない", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "reservations", "r1"), { ...buildBooking(ALICE), status: "active" });
+    });
+    const owner = testEnv.authenticatedContext("troupe1").firestore();
+    const mail = { type: "refund-notice", status: "pending", reservationId: "r1" };
+    await assertFails(setDoc(doc(owner, "mailQueue", "mail1"), { ...mail, html: "<a href=\"https://example.com\">本文</a>" }));
+    await assertFails(setDoc(doc(owner, "mailQueue", "mail2"), {
+      ...mail,
+      attachments: [{ filename: "invoice.pdf", content: "..." }],
+    }));
+  });
+
+  it("決まった種類以外のメールは送信を依頼できない", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "reservations", "r1"), { ...buildBooking(ALICE), status: "active" });
+    });
+    const owner = testEnv.authenticatedContext("troupe1").firestore();
+    // ログイン用リンクのメールは Cloud Functions だけが作る（保存した文面をそのまま送るため）
+    await assertFails(setDoc(doc(owner, "mailQueue", "mail1"), {
+      type: "my-reservations-link",
+      status: "pending",
+      reservationId: "r1",
+    }));
+  });
+
+  it("送信状況は画面から読み書きできない", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "mailQueue", "mail1"), { to: ALICE, status: "sent" });
+    });
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(setDoc(doc(db, "mailQueue", "mail1"), { status: "pending" }, { merge: true }));
+  });
+});
+
+describe("在庫・割引コード・キャンセル記録", () => {
+  const INVENTORY_ID = `${PERFORMANCE_ID}__stg_1`;
+
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, "stageInventories", INVENTORY_ID), {
+        performanceId: PERFORMANCE_ID,
+        stageId: "stg_1",
+        reservedSeats: 10,
+      });
+      await setDoc(doc(db, "promoCodes", `${PERFORMANCE_ID}__SPRING`), {
+        performanceId: PERFORMANCE_ID,
+        troupeId: "troupe1",
+        code: "SPRING",
+        usedCount: 3,
+      });
+    });
+  });
+
+  it("在庫は誰でも読めるが、画面から書き込めない", async () => {
+    // 在庫を変える予約・キャンセル・仮押さえは Cloud Functions が行う
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertSucceeds(getDoc(doc(db, "stageInventories", INVENTORY_ID)));
+    await assertFails(setDoc(doc(db, "stageInventories", INVENTORY_ID), { reservedSeats: 0 }, { merge: true }));
+    await assertFails(setDoc(doc(db, "stageInventories", `${PERFORMANCE_ID}__stg_2`), {
+      performanceId: PERFORMANCE_ID,
+      stageId: "stg_2",
+      reservedSeats: 0,
+    }));
+    await assertFails(setDoc(doc(db, "stageInventories", INVENTORY_ID), {
+      holds: { hold_000000000000: { seats: 100, expiresAt: Date.now() + 60 * 1000 } },
+    }, { merge: true }));
+  });
+
+  it("劇団は自分の公演の在庫だけを書き込める", async () => {
+    const owner = testEnv.authenticatedContext("troupe1").firestore();
+    await assertSucceeds(setDoc(doc(owner, "stageInventories", INVENTORY_ID), {
+      performanceId: PERFORMANCE_ID,
+      reservedSeats: 12,
+    }, { merge: true }));
+    const other = testEnv.authenticatedContext("troupe2").firestore();
+    await assertFails(setDoc(doc(other, "stageInventories", INVENTORY_ID), {
+      performanceId: PERFORMANCE_ID,
+      reservedSeats: 0,
+    }, { merge: true }));
+  });
+
+  it("割引コードの利用件数は画面から変えられない", async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertSucceeds(getDoc(doc(db, "promoCodes", `${PERFORMANCE_ID}__SPRING`)));
+    await assertFails(setDoc(doc(db, "promoCodes", `${PERFORMANCE_ID}__SPRING`), { usedCount: 0 }, { merge: true }));
+  });
+
+  it("キャンセル記録は画面から作成できない", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), "reservations", "r1"), { ...buildBooking(ALICE), status: "cancelled" });
+    });
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(setDoc(doc(db, "cancellationLogs", "log1"), {
+      reservationId: "r1",
+      performanceId: PERFORMANCE_ID,
+      reason: "other",
+    }));
+  });
+
+  it("キャンセル待ちは画面から繰り上げ済みにできない", async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(setDoc(doc(db, "waitlistEntries", "entry1"), {
+      status: "promoted",
+      reservationId: "r1",
+    }, { merge: true }));
+  });
+});
+
+describe("公演・劇団・抽選の結果・Cloud Functions だけが書き込むデータ", () => {
+  it("公演は劇団本人だけが作成・更新できる", async () => {
+    const guest = testEnv.unauthenticatedContext().firestore();
+    await assertFails(setDoc(doc(guest, "performances", "perf2"), { troupeId: "troupe1", title: "公演" }));
+    await assertFails(setDoc(doc(guest, "performances", PERFORMANCE_ID), { title: "変更" }, { merge: true }));
+    const other = testEnv.authenticatedContext("troupe2").firestore();
+    await assertFails(setDoc(doc(other, "performances", "perf2"), { troupeId: "troupe1", title: "公演" }));
+    await assertFails(setDoc(doc(other, "performances", PERFORMANCE_ID), { troupeId: "troupe2" }, { merge: true }));
+    const owner = testEnv.authenticatedContext("troupe1").firestore();
+    await assertSucceeds(setDoc(doc(owner, "performances", PERFORMANCE_ID), { title: "変更" }, { merge: true }));
+  });
+
+  it("劇団の情報は本人のIDのドキュメントだけを作成できる", async () => {
+    const guest = testEnv.unauthenticatedContext().firestore();
+    await assertFails(setDoc(doc(guest, "troupes", "troupe1"), { uid: "troupe1", troupeName: "劇団" }));
+    const other = testEnv.authenticatedContext("troupe2").firestore();
+    await assertFails(setDoc(doc(other, "troupes", "troupe1"), { uid: "troupe2", troupeName: "劇団" }));
+    const owner = testEnv.authenticatedContext("troupe1").firestore();
+    await assertSucceeds(setDoc(doc(owner, "troupes", "troupe1"), { uid: "troupe1", troupeName: "劇団" }));
+  });
+
+  it("抽選の結果は公演の劇団だけが作成できる", async () => {
+    // 結果には当選者の cancelToken が入るため
+    const guest = testEnv.unauthenticatedContext().firestore();
+    await assertFails(setDoc(doc(guest, "lotteryDraws", PERFORMANCE_ID), { troupeId: "troupe1", results: {} }));
+    const other = testEnv.authenticatedContext("troupe2").firestore();
+    await assertFails(setDoc(doc(other, "lotteryDraws", PERFORMANCE_ID), { troupeId: "troupe2", results: {} }));
+    const owner = testEnv.authenticatedContext("troupe1").firestore();
+    await assertSucceeds(setDoc(doc(owner, "lotteryDraws", PERFORMANCE_ID), { troupeId: "troupe1", results: {} }));
+  });
+
+  it("回数制限・確認の質問・拒否の記録・マイ予約のリンクとセッションは画面から書き込めない", async () => {
+    const contexts = [
+      testEnv.unauthenticatedContext().firestore(),
+      testEnv.authenticatedContext("troupe1").firestore(),
+    ];
+    for (const db of contexts) {
+      await assertFails(setDoc(doc(db, "rateLimits", "ip__test"), { timestamps: [] }));
+      await assertFails(setDoc(doc(db, "reservationChallenges", "challenge1"), { answer: 2, ipKey: "test" }));
+      await assertFails(setDoc(doc(db, "botProtectionLogs", "log1"), { performanceIds: [PERFORMANCE_ID], reason: "honeypot" }));
+      await assertFails(setDoc(doc(db, "myReservationLinks", "link1"), { email: ALICE, used: false }));
+      await assertFails(setDoc(doc(db, "myReservationSessions", "session1"), { email: ALICE }));
+    }
+  });
+});